@@ -21,6 +21,39 @@ module.exports = {
     'no-var': 'error'
   },
   globals: {
-    'AudioMeters': 'readonly'
+    'AudioMeters': 'readonly',
+    'WaterfallView': 'readonly',
+    'OctaveBandAnalyzer': 'readonly',
+    'WeightingFilters': 'readonly',
+    'TruePeakDetector': 'readonly',
+    'Goniometer': 'readonly',
+    'BandCorrelation': 'readonly',
+    'TransferFunction': 'readonly',
+    'TransferFunctionEngine': 'readonly',
+    'HarmonicAnalyzer': 'readonly',
+    'FFTEngine': 'readonly',
+    'SpectrumEngine': 'readonly',
+    'PitchTuner': 'readonly',
+    'FeedbackDetector': 'readonly',
+    'RoomModeAnalyzer': 'readonly',
+    'ReferenceTraces': 'readonly',
+    'TargetCurve': 'readonly',
+    'SpectrumMarkers': 'readonly',
+    'SignalGenerator': 'readonly',
+    'ImpulseResponse': 'readonly',
+    'SplCalibration': 'readonly',
+    'SoundLevelMeter': 'readonly',
+    'SoundLevelAccumulator': 'readonly',
+    'LevelLogger': 'readonly',
+    'LevelHistoryChart': 'readonly',
+    'AlarmMonitor': 'readonly',
+    'AudioRecorder': 'readonly',
+    'PreTriggerRecorder': 'readonly',
+    'FilePlayer': 'readonly',
+    'LoudnessMeter': 'readonly',
+    'LoudnessBlockAccumulator': 'readonly',
+    // AudioWorkletGlobalScope (only referenced when registerProcessor is defined)
+    'registerProcessor': 'readonly',
+    'AudioWorkletProcessor': 'readonly'
   }
 };
\ No newline at end of file
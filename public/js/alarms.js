@@ -0,0 +1,237 @@
+/**
+ * Threshold alarms - rule evaluation on the running meters
+ *
+ * AlarmMonitor checks the alarm rules stored in the preferences (edited in the Alarms
+ * tab, saved with PUT /api/alarms/config) against the live measurements:
+ *
+ * - leq:         equivalent level over the rule window, from the sound level meter blocks
+ * - level:       sound level meter level (frequency and time weighting of the SLM tab)
+ * - peak:        sample peak in dBFS on the left/right input (M/S frames are decoded first)
+ * - shortTerm:   EBU R128 short-term loudness in LUFS
+ * - correlation: phase correlation as shown by the correlation meter (-1 to +1)
+ *
+ * Sound levels read dB SPL once the SPL calibration is set, dBFS otherwise. A rule
+ * triggers when its condition has become true `count` times within `window` seconds;
+ * it re-arms once fewer than `count` of those onsets remain in the window.
+ */
+
+/**
+ * AlarmMonitor - Evaluates alarm rules and reports triggered alarms
+ */
+class AlarmMonitor {
+  /**
+   * @param {Function} onTrigger - Called with (alarm, rule) when a rule triggers;
+   *   alarm is { ruleId, name, metric, operator, threshold, value, time }
+   */
+  constructor(onTrigger) {
+    this.onTrigger = onTrigger;
+    this.rules = [];
+    this.states = new Map();            // Rule id -> evaluation state
+  }
+
+  /**
+   * Replace the alarm rules
+   * Rules that are unchanged keep their state, so reloading the rules does not restart a Leq window.
+   * @param {Array<object>} rules - Rules as validated by PreferencesService.validateAlarmSettings
+   */
+  setRules(rules) {
+    const previous = new Map(this.rules.map((rule) => [rule.id, JSON.stringify(rule)]));
+    const states = new Map();
+    for (const rule of rules) {
+      const unchanged = previous.get(rule.id) === JSON.stringify(rule);
+      states.set(rule.id, unchanged ? this.states.get(rule.id) : AlarmMonitor.createState());
+    }
+
+    this.rules = rules.map((rule) => ({ ...rule }));
+    this.states = states;
+  }
+
+  /**
+   * Clear all rule states (window contents, condition onsets and active alarms)
+   */
+  reset() {
+    for (const rule of this.rules) {
+      this.states.set(rule.id, AlarmMonitor.createState());
+    }
+  }
+
+  /**
+   * Initial evaluation state of a rule
+   * @returns {object} Rule state
+   */
+  static createState() {
+    return {
+      met: false,                       // Condition true at the last evaluation
+      onsets: [],                       // Times the condition became true within the window
+      active: false,                    // Triggered and not re-armed yet
+      powers: null,                     // Leq rules: block powers of the window (ring buffer)
+      head: 0,
+      count: 0,
+      powerSum: 0
+    };
+  }
+
+  /**
+   * Evaluate the sound level rules on one sound level meter block
+   * @param {number} power - Frequency-weighted mean square of the block
+   * @param {number} levelPower - Time-weighted mean square (the SLM display level)
+   * @param {number} offset - dB added to reach the displayed unit (SPL calibration offset, or 0)
+   * @param {number} now - Current time in milliseconds
+   */
+  addBlock(power, levelPower, offset, now) {
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+
+      if (rule.metric === 'level') {
+        this.evaluate(rule, AlarmMonitor.powerToDB(levelPower) + offset, now);
+      } else if (rule.metric === 'leq') {
+        const leq = this.addLeqBlock(this.states.get(rule.id), rule.window, power);
+        if (leq !== null) {
+          this.evaluate(rule, leq + offset, now);
+        }
+      }
+    }
+  }
+
+  /**
+   * Add a block to a Leq rule's window
+   * @param {object} state - Rule state
+   * @param {number} window - Averaging time in seconds
+   * @param {number} power - Block mean square
+   * @returns {number|null} Leq in dBFS, or null until the window is filled
+   */
+  addLeqBlock(state, window, power) {
+    if (!state.powers) {
+      state.powers = new Float64Array(Math.max(1, Math.round(window / AlarmMonitor.BLOCK_DURATION)));
+    }
+
+    if (state.count === state.powers.length) {
+      state.powerSum -= state.powers[state.head];
+    } else {
+      state.count++;
+    }
+    state.powers[state.head] = power;
+    state.powerSum += power;
+    state.head = (state.head + 1) % state.powers.length;
+
+    if (state.count < state.powers.length) {
+      return null;
+    }
+    return AlarmMonitor.powerToDB(Math.max(0, state.powerSum) / state.count);
+  }
+
+  /**
+   * Evaluate the meter rules on one display frame
+   * @param {object} values - { peak, shortTerm, correlation }; null for values not available
+   * @param {number} now - Current time in milliseconds
+   */
+  addFrame(values, now) {
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+
+      const value = values[rule.metric];
+      if (value !== undefined && value !== null && !isNaN(value)) {
+        this.evaluate(rule, value, now);
+      }
+    }
+  }
+
+  /**
+   * Update a rule with a new value and trigger it when its onset count is reached
+   * @param {object} rule - Alarm rule
+   * @param {number} value - Measured value
+   * @param {number} now - Current time in milliseconds
+   */
+  evaluate(rule, value, now) {
+    const state = this.states.get(rule.id);
+    const met = rule.operator === 'above' ? value > rule.threshold : value < rule.threshold;
+    if (met && !state.met) {
+      state.onsets.push(now);
+    }
+    state.met = met;
+
+    while (state.onsets.length > 0 && state.onsets[0] <= now - rule.window * 1000) {
+      state.onsets.shift();
+    }
+
+    if (state.onsets.length < rule.count) {
+      state.active = false;
+      return;
+    }
+    if (state.active) {
+      return;
+    }
+
+    state.active = true;
+    this.onTrigger({
+      ruleId: rule.id,
+      name: rule.name,
+      metric: rule.metric,
+      operator: rule.operator,
+      threshold: rule.threshold,
+      value: Math.max(-200, Math.min(200, value)),
+      time: now
+    }, rule);
+  }
+
+  /**
+   * Short description of a rule, e.g. "Leq 300 s above 98" or "Peak above -1, 3× in 10 s"
+   * @param {object} rule - Alarm rule
+   * @returns {string} Description
+   */
+  static describe(rule) {
+    const metric = AlarmMonitor.METRIC_LABELS[rule.metric];
+    const condition = rule.metric === 'leq'
+      ? `${metric} ${rule.window} s ${rule.operator} ${rule.threshold}`
+      : `${metric} ${rule.operator} ${rule.threshold}`;
+    return rule.count > 1 ? `${condition}, ${rule.count}× in ${rule.window} s` : condition;
+  }
+
+  /**
+   * Sample peak of a frame on the left/right input
+   * @param {Float32Array} left - Left (or mid) samples
+   * @param {Float32Array|null} right - Right (or side) samples, null for mono input
+   * @param {number|null} midSideScale - M/S encoding gain when the frames are M/S, else null
+   * @returns {number} Peak level in dBFS
+   */
+  static peakLevel(left, right, midSideScale) {
+    let peak = 0;
+    for (let i = 0; i < left.length; i++) {
+      if (!right) {
+        peak = Math.max(peak, Math.abs(left[i]));
+      } else if (midSideScale) {
+        // L = (M + S) / 2s, R = (M - S) / 2s
+        peak = Math.max(peak, (Math.abs(left[i]) + Math.abs(right[i])) / (2 * midSideScale));
+      } else {
+        peak = Math.max(peak, Math.abs(left[i]), Math.abs(right[i]));
+      }
+    }
+    return AlarmMonitor.powerToDB(peak * peak);
+  }
+
+  /**
+   * Convert a mean square to dB
+   * @param {number} power - Mean square
+   * @returns {number} Level in dB (-Infinity for silence)
+   */
+  static powerToDB(power) {
+    return power > 0 ? 10 * Math.log10(power) : -Infinity;
+  }
+}
+
+// Length of a sound level meter block in seconds (SoundLevelMeter.BLOCK_DURATION)
+AlarmMonitor.BLOCK_DURATION = 0.1;
+
+// Short metric names for rule descriptions and the alarm banner
+AlarmMonitor.METRIC_LABELS = {
+  leq: 'Leq',
+  level: 'Level',
+  peak: 'Peak',
+  shortTerm: 'Short-term loudness',
+  correlation: 'Correlation'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AlarmMonitor };
+}
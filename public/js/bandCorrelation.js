@@ -0,0 +1,312 @@
+/**
+ * BandCorrelation - Multiband stereo phase correlation
+ *
+ * Splits the meter analysers' L/R time-domain data into frequency bands with
+ * 4th-order Linkwitz-Riley band-pass filters (cascaded Butterworth high- and low-pass
+ * biquads) and computes the Pearson correlation per band. This exposes bass
+ * mono-compatibility problems that the single broadband correlation meter hides.
+ * The bars are drawn in a panel in the top-left corner of the plot area using the
+ * same colour segments as the broadband correlation meter.
+ */
+class BandCorrelation {
+  constructor(analyzer) {
+    // Reference to the main analyzer for accessing canvas context, plot area and level meters
+    this.analyzer = analyzer;
+
+    // === DISPLAY SETTINGS ===
+    this.enabled = false;               // Whether the panel is drawn
+    this.bandSet = 'four';              // Band layout: 'four' (low/low-mid/high-mid/high) or 'octave'
+    this.margin = 10;                   // Gap between the panel and the plot edges
+    this.panelWidth = 230;              // Panel width in pixels
+    this.rowHeight = 16;                // Height of one band row
+
+    // === MEASUREMENT SETTINGS ===
+    this.updateInterval = 100;          // Minimum time between measurements in ms (filtering is costly)
+    this.smoothingFactor = 0.7;         // Same smoothing as the broadband correlation meter
+    this.silenceThreshold = 1e-6;       // Mean-square band power below which a band shows no reading (-60 dBFS)
+
+    // === STATE ===
+    this.bands = [];                    // [{ label, lower, upper, sections }]
+    this.bandsKey = '';                 // Cache key for bands (band set + sample rate)
+    this.correlations = [];             // Smoothed correlation per band (null = silent)
+    this.lastUpdate = 0;                // Timestamp of the last measurement
+  }
+
+  /**
+   * Show or hide the band correlation panel
+   * @param {boolean} enabled - Whether the panel is drawn
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    this.correlations = [];
+  }
+
+  /**
+   * Select the band layout
+   * @param {string} bandSet - 'four' or 'octave'
+   */
+  setBandSet(bandSet) {
+    if (!BandCorrelation.BAND_SETS.includes(bandSet)) {
+      return;
+    }
+    this.bandSet = bandSet;
+    this.correlations = [];
+  }
+
+  /**
+   * Band edges for a band layout, limited to below Nyquist
+   * @param {string} bandSet - 'four' or 'octave'
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Array<object>} Bands: { label, lower, upper }
+   */
+  static getBandEdges(bandSet, sampleRate) {
+    const nyquist = sampleRate / 2;
+    let bands;
+
+    if (bandSet === 'octave') {
+      // IEC 61260 octave bands from 31.5 Hz to 16 kHz
+      const octaves = new OctaveBandAnalyzer();
+      octaves.setResolution(1);
+      bands = octaves.getBands(31.5, 16000).map((band) => ({
+        label: octaves.formatLabel(band.nominal),
+        lower: band.lower,
+        upper: band.upper
+      }));
+    } else {
+      bands = [
+        { label: 'Low', lower: 20, upper: 150 },
+        { label: 'Low-Mid', lower: 150, upper: 800 },
+        { label: 'High-Mid', lower: 800, upper: 4000 },
+        { label: 'High', lower: 4000, upper: 20000 }
+      ];
+    }
+
+    return bands
+      .filter((band) => band.lower < nyquist * 0.9)
+      .map((band) => ({ ...band, upper: Math.min(band.upper, nyquist * 0.9) }));
+  }
+
+  /**
+   * Design the Linkwitz-Riley band-pass cascade for one band
+   * Each edge is two identical Butterworth sections (RBJ cookbook, Q = 1/√2).
+   * @param {number} lower - Lower band edge in Hz
+   * @param {number} upper - Upper band edge in Hz
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Array<object>} Biquad coefficients: { b0, b1, b2, a1, a2 }
+   */
+  static designBandPass(lower, upper, sampleRate) {
+    const highPass = BandCorrelation.butterworth('highpass', lower, sampleRate);
+    const lowPass = BandCorrelation.butterworth('lowpass', upper, sampleRate);
+    return [highPass, { ...highPass }, lowPass, { ...lowPass }];
+  }
+
+  /**
+   * Second-order Butterworth high- or low-pass section
+   * @param {string} kind - 'highpass' or 'lowpass'
+   * @param {number} frequency - Cut-off frequency in Hz
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {object} Biquad coefficients: { b0, b1, b2, a1, a2 }
+   */
+  static butterworth(kind, frequency, sampleRate) {
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const cos = Math.cos(w0);
+    const alpha = Math.sin(w0) * Math.SQRT1_2;   // sin(w0) / (2Q) with Q = 1/√2
+    const a0 = 1 + alpha;
+
+    const b1 = kind === 'highpass' ? -(1 + cos) : 1 - cos;
+    const b0 = kind === 'highpass' ? (1 + cos) / 2 : (1 - cos) / 2;
+    return {
+      b0: b0 / a0,
+      b1: b1 / a0,
+      b2: b0 / a0,
+      a1: -2 * cos / a0,
+      a2: (1 - alpha) / a0
+    };
+  }
+
+  /**
+   * Run samples through a biquad cascade starting from rest
+   * The analysers return overlapping windows, so filter state is not carried between calls.
+   * @param {Float32Array} samples - Input samples
+   * @param {Array<object>} sections - Biquad coefficients
+   * @returns {Float32Array} Filtered samples
+   */
+  static filter(samples, sections) {
+    let data = samples;
+
+    for (const s of sections) {
+      const output = new Float32Array(data.length);
+      let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+      for (let i = 0; i < data.length; i++) {
+        const x = data[i];
+        const y = s.b0 * x + s.b1 * x1 + s.b2 * x2 - s.a1 * y1 - s.a2 * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        output[i] = y;
+      }
+      data = output;
+    }
+
+    return data;
+  }
+
+  /**
+   * Pearson correlation of two filtered band signals
+   * The first quarter of the window is skipped while the filters settle.
+   * @param {Float32Array} left - Band-filtered left samples
+   * @param {Float32Array} right - Band-filtered right samples
+   * @param {number} silenceThreshold - Minimum mean-square power on both channels
+   * @returns {number|null} Correlation (-1 to +1), or null if the band is silent
+   */
+  static correlate(left, right, silenceThreshold) {
+    const start = Math.floor(left.length / 4);
+    const n = left.length - start;
+    let sumLeftSquared = 0, sumRightSquared = 0, sumProduct = 0;
+
+    for (let i = start; i < left.length; i++) {
+      sumLeftSquared += left[i] * left[i];
+      sumRightSquared += right[i] * right[i];
+      sumProduct += left[i] * right[i];
+    }
+
+    if (n <= 0 || sumLeftSquared / n < silenceThreshold || sumRightSquared / n < silenceThreshold) {
+      return null;
+    }
+
+    return Math.max(-1, Math.min(1, sumProduct / Math.sqrt(sumLeftSquared * sumRightSquared)));
+  }
+
+  /**
+   * Measure correlation in every band
+   * @param {Float32Array} timeDataLeft - Left (or mid) time-domain samples
+   * @param {Float32Array} timeDataRight - Right (or side) time-domain samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {boolean} midSide - True when the inputs are M/S; they are decoded back to L/R
+   * @returns {Array<number|null>} Correlation per band (null = silent)
+   */
+  measure(timeDataLeft, timeDataRight, sampleRate, midSide = false) {
+    const key = `${this.bandSet}:${sampleRate}`;
+    if (this.bandsKey !== key) {
+      this.bands = BandCorrelation.getBandEdges(this.bandSet, sampleRate).map((band) => ({
+        ...band,
+        sections: BandCorrelation.designBandPass(band.lower, band.upper, sampleRate)
+      }));
+      this.bandsKey = key;
+    }
+
+    let left = timeDataLeft;
+    let right = timeDataRight;
+    if (midSide) {
+      // L = M + S, R = M - S (overall scale does not affect correlation)
+      left = new Float32Array(timeDataLeft.length);
+      right = new Float32Array(timeDataLeft.length);
+      for (let i = 0; i < left.length; i++) {
+        left[i] = timeDataLeft[i] + timeDataRight[i];
+        right[i] = timeDataLeft[i] - timeDataRight[i];
+      }
+    }
+
+    return this.bands.map((band) => BandCorrelation.correlate(
+      BandCorrelation.filter(left, band.sections),
+      BandCorrelation.filter(right, band.sections),
+      this.silenceThreshold
+    ));
+  }
+
+  /**
+   * Measure (at most every updateInterval ms) and smooth the band correlations
+   * @param {Float32Array} timeDataLeft - Left (or mid) time-domain samples
+   * @param {Float32Array} timeDataRight - Right (or side) time-domain samples
+   * @param {boolean} midSide - True when the inputs are M/S
+   */
+  update(timeDataLeft, timeDataRight, midSide) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const now = performance.now();
+    if (now - this.lastUpdate < this.updateInterval) {
+      return;
+    }
+    this.lastUpdate = now;
+
+    const measured = this.measure(timeDataLeft, timeDataRight, this.analyzer.levelMeters.sampleRate, midSide);
+    this.correlations = measured.map((value, i) => {
+      const previous = this.correlations[i];
+      if (value === null || previous === null || previous === undefined) {
+        return value;
+      }
+      return value * (1 - this.smoothingFactor) + previous * this.smoothingFactor;
+    });
+  }
+
+  /**
+   * Draw one horizontal correlation bar per band
+   */
+  draw() {
+    if (!this.enabled || this.bands.length === 0) {
+      return;
+    }
+
+    const ctx = this.analyzer.ctx;
+    const labelWidth = 60;
+    const valueWidth = 40;
+    const x = this.analyzer.plotLeft + this.margin;
+    const y = this.analyzer.plotTop + this.margin;
+    const height = 22 + this.bands.length * this.rowHeight;
+    const barX = x + labelWidth;
+    const barWidth = this.panelWidth - labelWidth - valueWidth - 8;
+
+    // === DRAW PANEL ===
+    ctx.fillStyle = 'rgba(17, 17, 17, 0.85)';
+    ctx.fillRect(x, y, this.panelWidth, height);
+    ctx.strokeStyle = '#555';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, this.panelWidth, height);
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText('Band Correlation', x + 6, y + 4);
+
+    // === DRAW BANDS ===
+    ctx.font = '11px Arial';
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i < this.bands.length; i++) {
+      const rowY = y + 20 + i * this.rowHeight;
+      const correlation = this.correlations[i];
+
+      ctx.fillStyle = '#222';
+      ctx.fillRect(barX, rowY, barWidth, this.rowHeight - 2);
+      if (correlation !== null && correlation !== undefined) {
+        const fillWidth = (correlation + 1) / 2 * barWidth;
+        this.analyzer.levelMeters.drawCorrelationSegments(barX, rowY, barWidth, this.rowHeight - 2, fillWidth);
+      }
+
+      // Zero-correlation centre line
+      ctx.strokeStyle = '#666';
+      ctx.beginPath();
+      ctx.moveTo(barX + barWidth / 2, rowY);
+      ctx.lineTo(barX + barWidth / 2, rowY + this.rowHeight - 2);
+      ctx.stroke();
+
+      ctx.fillStyle = '#ccc';
+      ctx.textAlign = 'left';
+      ctx.fillText(this.bands[i].label, x + 6, rowY + (this.rowHeight - 2) / 2);
+      ctx.textAlign = 'right';
+      const text = correlation === null || correlation === undefined ? '--' : correlation.toFixed(2);
+      ctx.fillText(text, x + this.panelWidth - 6, rowY + (this.rowHeight - 2) / 2);
+    }
+  }
+}
+
+// Supported band layouts
+BandCorrelation.BAND_SETS = ['four', 'octave'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BandCorrelation;
+}
@@ -0,0 +1,380 @@
+/**
+ * SplCalibration - Absolute dB SPL calibration and microphone correction
+ *
+ * Holds the calibration of the current input device: a sensitivity offset measured
+ * with a 94/114 dB SPL, 1 kHz acoustic calibrator (dB SPL = dBFS RMS + offset) and an
+ * optional frequency-dependent correction imported from a microphone calibration file
+ * (frequency/dB text, e.g. UMIK-1 style). The correction is normalised to 0 dB at
+ * 1 kHz, so it never changes the level set with the calibrator.
+ * The calibrator is measured after the input gain, so the gain in use is stored with the
+ * offset and later gain changes are compensated (getOffset).
+ * Calibrations are stored per device on the server (/api/calibrations).
+ */
+class SplCalibration {
+  constructor() {
+    // === DEVICE ===
+    this.deviceId = 'default';          // Input device the calibration belongs to
+    this.deviceLabel = '';              // Human readable device name (for the calibration list)
+
+    // === STORED CALIBRATION ===
+    this.offsetDB = null;               // dB SPL at 0 dBFS RMS (null until calibrated)
+    this.referenceLevel = 94;           // Calibrator level in dB SPL (94 or 114)
+    this.calibratedAt = null;           // ISO timestamp of the last calibrator measurement
+    this.inputGainDB = 0;               // Input gain in dB while the calibrator was measured
+    this.micCorrection = null;          // { name, points: [{ frequency, dB }] } from a mic calibration file
+
+    // === INPUT GAIN ===
+    this.currentGainDB = 0;             // Input gain in dB applied now (set by the analyzer)
+
+    // === CALIBRATOR MEASUREMENT ===
+    this.state = 'idle';                // 'idle' or 'calibrating'
+    this.duration = 3;                  // Seconds the calibrator tone is averaged over
+    this.run = null;                    // { powerSum, frames, toneFrames, startTime, resolve, reject }
+
+    // === PER-BIN CORRECTION CACHE ===
+    this.correctionVersion = 0;         // Bumped whenever the mic correction changes
+    this.binCache = null;               // { key, corrections }
+  }
+
+  /**
+   * Select the device whose calibration is held (clears the current calibration)
+   * @param {string} deviceId - Audio input device ID ('default' for the system default)
+   * @param {string} deviceLabel - Device name
+   */
+  setDevice(deviceId, deviceLabel = '') {
+    this.cancel();
+    this.deviceId = deviceId || 'default';
+    this.deviceLabel = deviceLabel;
+    this.setRecord(null);
+  }
+
+  /**
+   * Apply a calibration record loaded from the server (null clears it)
+   * @param {object|null} record - { offsetDB, referenceLevel, calibratedAt, inputGainDB, micCorrection }
+   *   (records without inputGainDB were measured at 0 dB gain)
+   */
+  setRecord(record) {
+    this.offsetDB = record && typeof record.offsetDB === 'number' ? record.offsetDB : null;
+    this.referenceLevel = record && record.referenceLevel ? record.referenceLevel : 94;
+    this.calibratedAt = record ? record.calibratedAt || null : null;
+    this.inputGainDB = record && typeof record.inputGainDB === 'number' ? record.inputGainDB : 0;
+    this.setMicCorrection(record ? record.micCorrection || null : null);
+  }
+
+  /**
+   * Calibration record for storage on the server
+   * @returns {object} { deviceLabel, offsetDB, referenceLevel, calibratedAt, inputGainDB, micCorrection }
+   */
+  toRecord() {
+    return {
+      deviceLabel: this.deviceLabel,
+      offsetDB: this.offsetDB,
+      referenceLevel: this.referenceLevel,
+      calibratedAt: this.calibratedAt,
+      inputGainDB: this.inputGainDB,
+      micCorrection: this.micCorrection
+    };
+  }
+
+  /**
+   * Whether an absolute SPL calibration exists for the device
+   * @returns {boolean} True if levels can be shown in dB SPL
+   */
+  isCalibrated() {
+    return this.offsetDB !== null;
+  }
+
+  /**
+   * Set the input gain applied before the analysis (levels are measured after it)
+   * @param {number} gainDB - Input gain in dB
+   */
+  setInputGain(gainDB) {
+    this.currentGainDB = gainDB;
+  }
+
+  /**
+   * Calibration offset for the current input gain: raising the gain raises the measured
+   * dBFS level by the same amount, so the offset drops by the change since calibrating
+   * @returns {number|null} dB SPL at 0 dBFS RMS, or null when not calibrated
+   */
+  getOffset() {
+    if (!this.isCalibrated()) return null;
+    return this.offsetDB - (this.currentGainDB - this.inputGainDB);
+  }
+
+  /**
+   * Whether the device holds any calibration data worth storing
+   * @returns {boolean} True if an offset or a mic correction is set
+   */
+  hasData() {
+    return this.isCalibrated() || this.micCorrection !== null;
+  }
+
+  /**
+   * Set or clear the microphone frequency response correction
+   * @param {object|null} micCorrection - { name, points: [{ frequency, dB }] } or null
+   */
+  setMicCorrection(micCorrection) {
+    this.micCorrection = micCorrection && micCorrection.points && micCorrection.points.length >= 2 ? micCorrection : null;
+    this.correctionVersion++;
+    this.binCache = null;
+  }
+
+  /**
+   * Start measuring a 1 kHz calibrator on the first input channel
+   * Frames are fed by addFrame() from the analyzer's drawing loop
+   *
+   * @param {number} referenceLevel - Calibrator level in dB SPL (94 or 114)
+   * @returns {Promise<number>} Resolves with the new offset in dB once the measurement completes
+   */
+  startCalibration(referenceLevel) {
+    this.cancel();
+    this.state = 'calibrating';
+    return new Promise((resolve, reject) => {
+      this.run = { referenceLevel, powerSum: 0, frames: 0, toneFrames: 0, startTime: null, resolve, reject };
+    });
+  }
+
+  /**
+   * Add one analysis frame to a running calibrator measurement
+   *
+   * @param {Float32Array} timeData - Time domain samples of the first input channel
+   * @param {Float32Array} spectrum - FFT data of the same channel (dB)
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @param {number} now - Current time in milliseconds
+   */
+  addFrame(timeData, spectrum, sampleRate, now = Date.now()) {
+    const run = this.run;
+    if (this.state !== 'calibrating' || !run) return;
+
+    if (run.startTime === null) {
+      run.startTime = now;
+    }
+    run.powerSum += SplCalibration.meanSquare(timeData);
+    run.frames++;
+
+    const peak = SplCalibration.findPeakFrequency(spectrum, sampleRate);
+    if (Math.abs(peak - SplCalibration.CALIBRATOR_FREQUENCY) <= SplCalibration.CALIBRATOR_FREQUENCY * 0.05) {
+      run.toneFrames++;
+    }
+
+    if (now - run.startTime < this.duration * 1000) return;
+
+    // === FINISH THE MEASUREMENT ===
+    this.state = 'idle';
+    this.run = null;
+    const meanPower = run.powerSum / run.frames;
+    if (run.toneFrames < run.frames * 0.75 || meanPower <= 0) {
+      run.reject(new Error('No 1 kHz calibrator tone detected'));
+      return;
+    }
+
+    this.offsetDB = run.referenceLevel - 10 * Math.log10(meanPower);
+    this.referenceLevel = run.referenceLevel;
+    this.calibratedAt = new Date(now).toISOString();
+    this.inputGainDB = this.currentGainDB;
+    run.resolve(this.offsetDB);
+  }
+
+  /**
+   * Abort a running calibrator measurement
+   */
+  cancel() {
+    if (this.run) {
+      this.run.reject(new Error('Measurement cancelled'));
+    }
+    this.run = null;
+    this.state = 'idle';
+  }
+
+  /**
+   * Correction to add at a frequency (inverse mic response, 0 dB at 1 kHz)
+   * @param {number} frequency - Frequency in Hz
+   * @returns {number} Correction in dB
+   */
+  correctionAt(frequency) {
+    if (!this.micCorrection) return 0;
+    const points = this.micCorrection.points;
+    return SplCalibration.interpolate(points, SplCalibration.CALIBRATOR_FREQUENCY) -
+      SplCalibration.interpolate(points, frequency);
+  }
+
+  /**
+   * Per-bin corrections for an FFT frame (cached until the size or correction changes)
+   * Bin frequencies follow the analyzer's mapping: i × sampleRate / (2 × binCount)
+   *
+   * @param {number} binCount - Number of FFT bins
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @returns {Float32Array|null} Correction in dB per bin, or null without a mic correction
+   */
+  getBinCorrections(binCount, sampleRate) {
+    if (!this.micCorrection) return null;
+
+    const key = `${binCount}:${sampleRate}:${this.correctionVersion}`;
+    if (!this.binCache || this.binCache.key !== key) {
+      const corrections = new Float32Array(binCount);
+      for (let i = 0; i < binCount; i++) {
+        corrections[i] = this.correctionAt((i * sampleRate) / (2 * binCount));
+      }
+      this.binCache = { key, corrections };
+    }
+    return this.binCache.corrections;
+  }
+
+  /**
+   * Apply the mic correction to an FFT frame in place
+   * @param {Float32Array} data - FFT data in dB
+   * @param {number} sampleRate - Audio sample rate in Hz
+   */
+  applyCorrection(data, sampleRate) {
+    const corrections = this.getBinCorrections(data.length, sampleRate);
+    if (!corrections) return;
+    for (let i = 0; i < data.length; i++) {
+      data[i] += corrections[i];
+    }
+  }
+
+  /**
+   * Broadband level change caused by the mic correction for the current signal
+   * Used by the RMS meters, which have no per-frequency view of the signal: the
+   * correction is weighted by the energy in each bin of the (corrected) spectrum.
+   *
+   * @param {Float32Array} correctedData - FFT data in dB with the correction applied
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @returns {number} Correction in dB (0 without a mic correction or without signal)
+   */
+  getBroadbandCorrection(correctedData, sampleRate) {
+    const corrections = this.getBinCorrections(correctedData.length, sampleRate);
+    if (!corrections) return 0;
+
+    let correctedPower = 0;
+    let rawPower = 0;
+    for (let i = 1; i < correctedData.length; i++) {            // Skip DC
+      const power = Math.pow(10, correctedData[i] / 10);
+      correctedPower += power;
+      rawPower += power * Math.pow(10, -corrections[i] / 10);
+    }
+    return rawPower > 0 && correctedPower > 0 ? 10 * Math.log10(correctedPower / rawPower) : 0;
+  }
+
+  /**
+   * Offset from the spectrum display level to dB SPL
+   * The spectrum shows FFT bin levels plus amplitudeCalibrationDB; a sine's bin level
+   * sits SINE_BIN_TO_RMS_DB below its RMS level (AnalyserNode's Blackman window), so a
+   * calibrated spectrum reads the SPL of tones correctly whatever the display offset.
+   *
+   * @param {number} amplitudeCalibrationDB - Analyzer display offset in dB
+   * @param {number} sineBinToRmsDB - Sine RMS level minus its bin level for the active FFT backend
+   * @returns {number} dB to add to displayed levels (0 when not calibrated)
+   */
+  getDisplayOffset(amplitudeCalibrationDB, sineBinToRmsDB = SplCalibration.SINE_BIN_TO_RMS_DB) {
+    if (!this.isCalibrated()) return 0;
+    return this.getOffset() + sineBinToRmsDB - amplitudeCalibrationDB;
+  }
+
+  /**
+   * Parse a microphone calibration file (also used for target curves)
+   * Accepts one "frequency dB [phase]" pair per line separated by whitespace, commas or
+   * semicolons; header lines (quoted sensitivity lines, comments, column titles) are skipped.
+   *
+   * @param {string} text - File contents
+   * @returns {Array<{frequency: number, dB: number}>} Points sorted by frequency
+   */
+  static parseCalibrationFile(text) {
+    const byFrequency = new Map();
+    String(text).split(/\r?\n/).forEach((line) => {
+      const fields = line.trim().split(/[\s,;]+/);
+      if (fields.length < 2) return;
+      const frequency = Number(fields[0]);
+      const dB = Number(fields[1]);
+      if (!isFinite(frequency) || !isFinite(dB) || frequency <= 0 || fields[0] === '' || fields[1] === '') return;
+      byFrequency.set(frequency, dB);                             // Last value wins for repeated frequencies
+    });
+
+    const points = [...byFrequency.entries()]
+      .map(([frequency, dB]) => ({ frequency, dB }))
+      .sort((a, b) => a.frequency - b.frequency);
+    if (points.length < 2) {
+      throw new Error('No frequency/dB pairs found in file');
+    }
+    if (points.length > SplCalibration.MAX_POINTS) {
+      throw new Error(`File has more than ${SplCalibration.MAX_POINTS} points`);
+    }
+    return points;
+  }
+
+  /**
+   * Interpolate a response linearly on a logarithmic frequency axis
+   * Frequencies outside the table use the first or last value.
+   *
+   * @param {Array<{frequency: number, dB: number}>} points - Points sorted by frequency
+   * @param {number} frequency - Frequency in Hz
+   * @returns {number} Interpolated level in dB
+   */
+  static interpolate(points, frequency) {
+    if (frequency <= points[0].frequency) return points[0].dB;
+    const last = points[points.length - 1];
+    if (frequency >= last.frequency) return last.dB;
+
+    // Binary search for the surrounding points
+    let low = 0;
+    let high = points.length - 1;
+    while (high - low > 1) {
+      const mid = (low + high) >> 1;
+      if (points[mid].frequency <= frequency) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    const a = points[low];
+    const b = points[high];
+    const t = Math.log(frequency / a.frequency) / Math.log(b.frequency / a.frequency);
+    return a.dB + t * (b.dB - a.dB);
+  }
+
+  /**
+   * Frequency of the loudest FFT bin
+   * @param {Float32Array} spectrum - FFT data in dB
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @returns {number} Frequency in Hz
+   */
+  static findPeakFrequency(spectrum, sampleRate) {
+    let peakIndex = 1;
+    for (let i = 2; i < spectrum.length; i++) {
+      if (spectrum[i] > spectrum[peakIndex]) peakIndex = i;
+    }
+    return (peakIndex * sampleRate) / (2 * spectrum.length);
+  }
+
+  /**
+   * Mean square of a block of samples
+   * @param {Float32Array} samples - Time domain samples
+   * @returns {number} Mean square (linear power relative to full scale)
+   */
+  static meanSquare(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    return samples.length > 0 ? sum / samples.length : 0;
+  }
+}
+
+// Calibrator levels offered in the UI (dB SPL)
+SplCalibration.REFERENCE_LEVELS = [94, 114];
+
+// Calibrator tone frequency in Hz
+SplCalibration.CALIBRATOR_FREQUENCY = 1000;
+
+// Largest mic calibration table accepted
+SplCalibration.MAX_POINTS = 2000;
+
+// RMS level of a sine relative to its FFT bin level with the analyser's Blackman window:
+// the bin holds amplitude × 0.42 / 2, the RMS is amplitude / √2
+SplCalibration.SINE_BIN_TO_RMS_DB = 20 * Math.log10(Math.SQRT2 / 0.42);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SplCalibration;
+}
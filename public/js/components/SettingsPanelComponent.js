@@ -9,11 +9,26 @@ class SettingsPanelComponent {
     this.container = container;
     this.currentTab = 'general';
     this.isVisible = false;
-    this.tabs = ['general', 'spectrogram', 'spectrogram-drawing', 'meters', 'performance', 'network', 'server'];
+    this.tabs = ['general', 'spectrogram', 'spectrogram-drawing', 'waterfall', 'traces', 'target', 'markers', 'transfer', 'generator', 'impulse', 'room', 'calibration', 'slm', 'history', 'alarms', 'feedback', 'recorder', 'file', 'meters', 'performance', 'network', 'server'];
     this.tabLabels = {
       'general': 'General',
       'spectrogram': 'Spectrogram Interface',
       'spectrogram-drawing': 'Spectrogram Drawing',
+      'waterfall': 'Waterfall',
+      'traces': 'Reference Traces',
+      'target': 'Target Curve',
+      'markers': 'Markers',
+      'transfer': 'Transfer',
+      'generator': 'Generator',
+      'impulse': 'Impulse',
+      'room': 'Room Modes',
+      'calibration': 'Calibration',
+      'slm': 'Sound Level Meter',
+      'history': 'Level History',
+      'alarms': 'Alarms',
+      'feedback': 'Feedback',
+      'recorder': 'Recorder',
+      'file': 'File',
       'meters': 'Meters',
       'performance': 'Performance',
       'network': 'Network',
@@ -0,0 +1,281 @@
+/**
+ * FeedbackDetector - Finds acoustic feedback (howl) frequencies in the live spectrum
+ *
+ * Feedback builds up as a single narrow line that persists and grows while the loop
+ * gain at its frequency is above one. Each frame the local maxima of the louder of the
+ * two channel spectra are scored by their peak-to-neighbour power ratio (PNPR):
+ *   PNPR = P(peak) / mean P(neighbours),  neighbours between a semitone and three
+ *   semitones away on both sides (never closer than the window's main lobe)
+ * Peaks at or above the PNPR threshold are tracked from frame to frame by bin. A track
+ * becomes a candidate once it has lasted for the persistence time without decaying
+ * (level slope from a regression over the track history). Each candidate gets the
+ * nearest 1/3-octave graphic EQ band and a suggested notch depth.
+ */
+class FeedbackDetector {
+  constructor() {
+    // === SETTINGS ===
+    this.enabled = false;               // Detect feedback and mark the candidates
+    this.threshold = 12;                // Minimum peak-to-neighbour ratio in dB
+    this.persistence = 500;             // Time a peak must last to become a candidate in ms
+
+    // === STATE ===
+    this.tracks = [];                   // Peaks followed across frames: { id, bin, frequency, levelDB, ratioDB, history, firstSeen, lastSeen }
+    this.candidates = [];               // Tracks currently reported as feedback (loudest first)
+    this.nextId = 1;                    // Identifier of the next new track
+  }
+
+  /**
+   * Switch detection on or off (clears all tracks)
+   * @param {boolean} enabled - Whether to detect
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    this.reset();
+  }
+
+  /**
+   * Set the minimum peak-to-neighbour ratio
+   * @param {number} threshold - One of THRESHOLDS in dB
+   */
+  setThreshold(threshold) {
+    if (FeedbackDetector.THRESHOLDS.includes(threshold)) {
+      this.threshold = threshold;
+    }
+  }
+
+  /**
+   * Set the time a peak must persist before it is reported
+   * @param {number} persistence - One of PERSISTENCE_TIMES in ms
+   */
+  setPersistence(persistence) {
+    if (FeedbackDetector.PERSISTENCE_TIMES.includes(persistence)) {
+      this.persistence = persistence;
+    }
+  }
+
+  /**
+   * Forget all tracked peaks and candidates
+   */
+  reset() {
+    this.tracks = [];
+    this.candidates = [];
+  }
+
+  /**
+   * Analyse one spectrum frame and update the candidates
+   * @param {Float32Array} dataLeft - Left (or mid) spectrum in dB
+   * @param {Float32Array|null} dataRight - Right (or side) spectrum in dB (null for mono)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True when the set of candidates changed
+   */
+  update(dataLeft, dataRight, sampleRate, now = Date.now()) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    // === LOUDER OF THE TWO CHANNELS PER BIN ===
+    let data = dataLeft;
+    if (dataRight && dataRight.length === dataLeft.length) {
+      data = new Float32Array(dataLeft.length);
+      for (let k = 0; k < data.length; k++) {
+        data[k] = Math.max(dataLeft[k], dataRight[k]);
+      }
+    }
+    const peaks = FeedbackDetector.findPeaks(data, sampleRate, this.threshold);
+
+    // === FOLLOW PEAKS ACROSS FRAMES (NEAREST TRACK WITHIN MATCH_BINS) ===
+    const matched = new Set();
+    peaks.forEach((peak) => {
+      let best = null;
+      this.tracks.forEach((track) => {
+        const distance = Math.abs(track.bin - peak.bin);
+        if (!matched.has(track) && distance <= FeedbackDetector.MATCH_BINS &&
+            (!best || distance < Math.abs(best.bin - peak.bin))) {
+          best = track;
+        }
+      });
+      if (!best) {
+        best = { id: this.nextId++, history: [], firstSeen: now };
+        this.tracks.push(best);
+      }
+      matched.add(best);
+      Object.assign(best, { bin: peak.bin, frequency: peak.frequency, levelDB: peak.levelDB, ratioDB: peak.ratioDB, lastSeen: now });
+      best.history.push({ time: now, levelDB: peak.levelDB });
+      while (now - best.history[0].time > FeedbackDetector.HISTORY_TIME) {
+        best.history.shift();
+      }
+    });
+    this.tracks = this.tracks.filter((track) => now - track.lastSeen <= FeedbackDetector.DROP_TIME);
+
+    // === PERSISTENT, NON-DECAYING TRACKS ARE CANDIDATES ===
+    const previous = this.candidates.map((candidate) => candidate.id).join(',');
+    this.candidates = this.tracks
+      .filter((track) => track.lastSeen === now && now - track.firstSeen >= this.persistence)
+      .map((track) => ({ track, growth: FeedbackDetector.levelSlope(track.history) }))
+      .filter(({ growth }) => growth >= FeedbackDetector.MIN_GROWTH)
+      .sort((a, b) => b.track.levelDB - a.track.levelDB)
+      .slice(0, FeedbackDetector.MAX_CANDIDATES)
+      .map(({ track, growth }) => ({
+        id: track.id,
+        frequency: track.frequency,
+        levelDB: track.levelDB,
+        ratioDB: track.ratioDB,
+        growth,
+        band: FeedbackDetector.nearestThirdOctave(track.frequency),
+        notchDepth: FeedbackDetector.notchDepth(track.ratioDB)
+      }));
+    return this.candidates.map((candidate) => candidate.id).join(',') !== previous;
+  }
+
+  /**
+   * Find the narrow peaks of a spectrum
+   * @param {Float32Array} data - Spectrum in dB (bins from 0 Hz to Nyquist)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} threshold - Minimum peak-to-neighbour ratio in dB
+   * @returns {Array<object>} Peaks { bin, frequency, levelDB, ratioDB } with frequency and level
+   *   refined by parabolic interpolation
+   */
+  static findPeaks(data, sampleRate, threshold) {
+    const binWidth = sampleRate / (2 * data.length);
+    const first = Math.max(1, Math.ceil(FeedbackDetector.FREQUENCY_RANGE[0] / binWidth));
+    const last = Math.min(data.length - 2, Math.floor(FeedbackDetector.FREQUENCY_RANGE[1] / binWidth));
+
+    // === CUMULATIVE POWER FOR THE NEIGHBOUR MEANS ===
+    const cumulative = new Float64Array(data.length + 1);
+    let maxDB = -Infinity;
+    for (let k = 0; k < data.length; k++) {
+      cumulative[k + 1] = cumulative[k] + (isFinite(data[k]) ? Math.pow(10, data[k] / 10) : 0);
+      if (k >= first && k <= last) maxDB = Math.max(maxDB, data[k]);
+    }
+    const meanPower = (from, to) => {
+      const lo = Math.max(0, from);
+      const hi = Math.min(data.length - 1, to);
+      return hi >= lo ? (cumulative[hi + 1] - cumulative[lo]) / (hi - lo + 1) : 0;
+    };
+
+    const peaks = [];
+    const floor = Math.max(FeedbackDetector.MIN_LEVEL, maxDB - FeedbackDetector.DYNAMIC_RANGE);
+    for (let k = first; k <= last; k++) {
+      const b = data[k];
+      if (!(b > floor && b > data[k - 1] && b >= data[k + 1])) continue;
+
+      // === PEAK-TO-NEIGHBOUR RATIO ===
+      const inner = Math.max(FeedbackDetector.MAIN_LOBE_BINS, Math.round(k * (Math.pow(2, 1 / 12) - 1)));
+      const outer = 3 * inner;
+      const neighbours = (meanPower(k - outer, k - inner) + meanPower(k + inner, k + outer)) / 2;
+      const ratioDB = neighbours > 0 ? b - 10 * Math.log10(neighbours) : Infinity;
+      if (ratioDB < threshold) continue;
+
+      // === PARABOLIC INTERPOLATION ===
+      const a = data[k - 1];
+      const c = data[k + 1];
+      const denominator = a - 2 * b + c;
+      const shift = denominator < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator)) : 0;
+      peaks.push({
+        bin: k,
+        frequency: (k + shift) * binWidth,
+        levelDB: b - 0.25 * (a - c) * shift,
+        ratioDB: Math.min(ratioDB, FeedbackDetector.MAX_RATIO)
+      });
+    }
+    return peaks;
+  }
+
+  /**
+   * Level slope of a track by least-squares regression
+   * @param {Array<{time: number, levelDB: number}>} history - Levels over time (ms)
+   * @returns {number} Growth in dB per second (0 for fewer than two points)
+   */
+  static levelSlope(history) {
+    const n = history.length;
+    if (n < 2) {
+      return 0;
+    }
+    const meanTime = history.reduce((sum, point) => sum + point.time, 0) / n;
+    const meanLevel = history.reduce((sum, point) => sum + point.levelDB, 0) / n;
+    let covariance = 0;
+    let variance = 0;
+    history.forEach((point) => {
+      covariance += (point.time - meanTime) * (point.levelDB - meanLevel);
+      variance += (point.time - meanTime) * (point.time - meanTime);
+    });
+    return variance > 0 ? covariance / variance * 1000 : 0;
+  }
+
+  /**
+   * Nominal centre of the nearest 1/3-octave graphic EQ band (base-10 bands, IEC 61260)
+   * @param {number} frequency - Frequency in Hz
+   * @returns {number} Nominal band frequency in Hz (e.g. 2500, 31.5)
+   */
+  static nearestThirdOctave(frequency) {
+    const index = Math.round(10 * Math.log10(frequency / 1000));
+    const mantissa = FeedbackDetector.R10_SERIES[((index % 10) + 10) % 10];
+    return Math.round(mantissa * Math.pow(10, 3 + Math.floor(index / 10)) * 100) / 100;
+  }
+
+  /**
+   * Suggested notch cut: brings the peak to within NOTCH_MARGIN of its neighbours,
+   * in 3 dB steps within NOTCH_DEPTH_RANGE
+   * @param {number} ratioDB - Peak-to-neighbour ratio in dB
+   * @returns {number} Cut in dB (positive)
+   */
+  static notchDepth(ratioDB) {
+    const [min, max] = FeedbackDetector.NOTCH_DEPTH_RANGE;
+    const depth = 3 * Math.ceil((ratioDB - FeedbackDetector.NOTCH_MARGIN) / 3);
+    return Math.max(min, Math.min(max, depth));
+  }
+}
+
+// Selectable peak-to-neighbour ratio thresholds in dB
+FeedbackDetector.THRESHOLDS = [6, 9, 12, 15, 20];
+
+// Selectable persistence times in ms
+FeedbackDetector.PERSISTENCE_TIMES = [250, 500, 1000, 2000];
+
+// Searched frequency range in Hz (feedback in PA systems lies well inside it)
+FeedbackDetector.FREQUENCY_RANGE = [60, 16000];
+
+// Peaks more than this many dB below the loudest one are ignored
+FeedbackDetector.DYNAMIC_RANGE = 40;
+
+// Peaks below this level in dB are ignored
+FeedbackDetector.MIN_LEVEL = -110;
+
+// Closest neighbour bin, outside the analysis window's main lobe
+FeedbackDetector.MAIN_LOBE_BINS = 4;
+
+// Ratio reported for a peak over silent neighbours in dB
+FeedbackDetector.MAX_RATIO = 60;
+
+// Largest bin distance of a peak from its track in the previous frame
+FeedbackDetector.MATCH_BINS = 2;
+
+// Track is dropped when its peak has not been seen for this long in ms
+FeedbackDetector.DROP_TIME = 300;
+
+// Level history kept per track for the growth slope in ms
+FeedbackDetector.HISTORY_TIME = 2000;
+
+// Slowest decay in dB/s still reported (a howl held at the system's limit no longer grows)
+FeedbackDetector.MIN_GROWTH = -1;
+
+// Candidates listed at most (loudest first)
+FeedbackDetector.MAX_CANDIDATES = 8;
+
+// Ratio left uncut by the suggested notch in dB
+FeedbackDetector.NOTCH_MARGIN = 3;
+
+// Suggested notch depth limits in dB
+FeedbackDetector.NOTCH_DEPTH_RANGE = [3, 18];
+
+// Minimum time between candidate reports to the server in ms (sooner when the candidates change)
+FeedbackDetector.REPORT_INTERVAL = 1000;
+
+// ISO 266 R10 preferred numbers, the nominal 1/3-octave band mantissas
+FeedbackDetector.R10_SERIES = [1, 1.25, 1.6, 2, 2.5, 3.15, 4, 5, 6.3, 8];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FeedbackDetector;
+}
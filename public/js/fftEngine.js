@@ -0,0 +1,515 @@
+/**
+ * FFT engine - windowed, overlapped and averaged spectrum as an AnalyserNode alternative
+ *
+ * AnalyserNode always uses a Blackman window, a 1/N magnitude scale and its own
+ * per-read exponential smoothing, which is why its bin levels need the display offset.
+ * SpectrumEngine (on the audio thread when loaded as an AudioWorklet) computes one FFT
+ * every hop = fftSize × (1 - overlap) samples with a selectable window, scaled by the
+ * window's coherent gain so a sine centred on a bin reads its true peak level in dBFS,
+ * and averages the power spectra per FFT frame. FFTEngine holds the settings on the
+ * main thread and serves the latest spectra through getFloatFrequencyData() stand-ins,
+ * so the drawing code reads either backend the same way.
+ */
+
+/**
+ * SpectrumEngine - Ring buffer, windowed FFT and spectrum averaging per channel
+ */
+class SpectrumEngine {
+  /**
+   * @param {number} channelCount - Analysed channels (1 or 2)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {object} options - { fftSize, window, overlap, averaging, averages } (see FFTEngine.getOptions)
+   * @param {Function} onSpectrum - Called with { fftSize, spectra } (dB per bin per channel) at most every EMIT_INTERVAL
+   */
+  constructor(channelCount, sampleRate, options, onSpectrum) {
+    this.channelCount = channelCount;
+    this.sampleRate = sampleRate;
+    this.onSpectrum = onSpectrum;
+    this.emitInterval = Math.round(sampleRate * SpectrumEngine.EMIT_INTERVAL);
+    this.configure(options);
+  }
+
+  /**
+   * Apply new FFT settings (clears the input buffer and the averages)
+   * @param {object} options - { fftSize, window, overlap (percent), averaging, averages }
+   */
+  configure(options) {
+    const size = options.fftSize;
+    this.fftSize = size;
+    this.hop = Math.max(1, Math.round(size * (1 - options.overlap / 100)));
+    this.averaging = options.averaging;
+    this.averages = options.averages;
+
+    // A sine of amplitude A centred on bin k gives |X(k)| = A·Σw/2, so scaling the power
+    // by (2/Σw)² makes it read A² (DC is not split between two bins: (1/Σw)²)
+    this.window = SpectrumEngine.createWindow(options.window, size);
+    let windowSum = 0;
+    for (let i = 0; i < size; i++) {
+      windowSum += this.window[i];
+    }
+    this.powerScale = 4 / (windowSum * windowSum);
+
+    // === FFT TABLES ===
+    const bits = Math.round(Math.log2(size));
+    this.reverse = new Uint32Array(size);
+    for (let i = 0; i < size; i++) {
+      let reversed = 0;
+      for (let b = 0; b < bits; b++) {
+        reversed = (reversed << 1) | ((i >> b) & 1);
+      }
+      this.reverse[i] = reversed;
+    }
+    this.cosTable = new Float64Array(size / 2);
+    this.sinTable = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      this.cosTable[i] = Math.cos(2 * Math.PI * i / size);
+      this.sinTable[i] = -Math.sin(2 * Math.PI * i / size);
+    }
+    this.re = new Float64Array(size);
+    this.im = new Float64Array(size);
+
+    // === INPUT RING BUFFER ===
+    this.buffers = [];
+    for (let c = 0; c < this.channelCount; c++) {
+      this.buffers.push(new Float32Array(size));
+    }
+    this.writeIndex = 0;
+    this.filled = 0;                    // Valid samples in the buffer (up to fftSize)
+    this.sinceFrame = 0;                // Samples since the last FFT frame
+    this.sinceEmit = 0;                 // Samples since the last spectrum was handed over
+    this.reset();
+  }
+
+  /**
+   * Restart averaging (and the peak hold) from the next frame
+   */
+  reset() {
+    const bins = this.fftSize / 2;
+    this.frames = 0;                    // Frames averaged since the reset
+    this.pending = false;               // A frame was added since the last hand-over
+    this.averaged = [];                 // Exponential average, peak or linear sum of power per channel
+    this.history = [];                  // Last `averages` power spectra per channel (linear averaging)
+    for (let c = 0; c < this.channelCount; c++) {
+      this.averaged.push(new Float64Array(bins));
+      if (this.averaging === 'linear') {
+        this.history.push(Array.from({ length: this.averages }, () => new Float64Array(bins)));
+      }
+    }
+  }
+
+  /**
+   * Add one block of input samples
+   * @param {Array<Float32Array>} channels - Input channels (a missing right channel repeats the left)
+   */
+  process(channels) {
+    if (!channels || channels.length === 0) {
+      return;
+    }
+    const frames = channels[0].length;
+    const size = this.fftSize;
+    let offset = 0;
+
+    while (offset < frames) {
+      // Copy up to the next hop boundary (and the end of the ring buffer)
+      const count = Math.min(frames - offset, this.hop - this.sinceFrame, size - this.writeIndex);
+      for (let c = 0; c < this.channelCount; c++) {
+        const input = channels[Math.min(c, channels.length - 1)];
+        this.buffers[c].set(input.subarray(offset, offset + count), this.writeIndex);
+      }
+      this.writeIndex = (this.writeIndex + count) % size;
+      this.filled = Math.min(size, this.filled + count);
+      this.sinceFrame += count;
+      offset += count;
+
+      if (this.sinceFrame >= this.hop) {
+        this.sinceFrame = 0;
+        if (this.filled === size) {
+          this.analyseFrame();
+        }
+      }
+    }
+
+    this.sinceEmit += frames;
+    if (this.pending && this.sinceEmit >= this.emitInterval) {
+      this.sinceEmit = 0;
+      this.pending = false;
+      this.onSpectrum({ fftSize: size, spectra: this.getSpectra() });
+    }
+  }
+
+  /**
+   * Window and transform the latest fftSize samples of each channel and add them to the averages
+   */
+  analyseFrame() {
+    const size = this.fftSize;
+    const bins = size / 2;
+    const re = this.re;
+    const im = this.im;
+
+    for (let c = 0; c < this.channelCount; c++) {
+      // Oldest sample first: the ring buffer starts at the write index
+      const buffer = this.buffers[c];
+      for (let i = 0; i < size; i++) {
+        re[i] = buffer[(this.writeIndex + i) % size] * this.window[i];
+        im[i] = 0;
+      }
+      this.transform();
+
+      const averaged = this.averaged[c];
+      const slot = this.averaging === 'linear' ? this.history[c][this.frames % this.averages] : null;
+      const count = Math.min(this.frames + 1, this.averages);
+      for (let k = 0; k < bins; k++) {
+        const power = (re[k] * re[k] + im[k] * im[k]) * (k === 0 ? this.powerScale / 4 : this.powerScale);
+        if (this.averaging === 'peak') {
+          averaged[k] = this.frames === 0 ? power : Math.max(averaged[k], power);
+        } else if (this.averaging === 'linear') {
+          averaged[k] += power - slot[k];
+          slot[k] = power;
+        } else {
+          // Exponential with weight 1/N (the first N frames average linearly, so there is no start-up bias)
+          averaged[k] += (power - averaged[k]) / count;
+        }
+      }
+
+      // Re-sum the linear average once per cycle so rounding errors cannot accumulate
+      if (slot && (this.frames + 1) % this.averages === 0) {
+        averaged.fill(0);
+        for (const spectrum of this.history[c]) {
+          for (let k = 0; k < bins; k++) {
+            averaged[k] += spectrum[k];
+          }
+        }
+      }
+    }
+
+    this.frames++;
+    this.pending = true;
+  }
+
+  /**
+   * In-place iterative radix-2 FFT of re/im
+   */
+  transform() {
+    const size = this.fftSize;
+    const re = this.re;
+    const im = this.im;
+
+    for (let i = 0; i < size; i++) {
+      const j = this.reverse[i];
+      if (j > i) {
+        let swap = re[i]; re[i] = re[j]; re[j] = swap;
+        swap = im[i]; im[i] = im[j]; im[j] = swap;
+      }
+    }
+
+    for (let length = 2; length <= size; length <<= 1) {
+      const half = length >> 1;
+      const step = size / length;
+      for (let start = 0; start < size; start += length) {
+        for (let k = 0; k < half; k++) {
+          const cos = this.cosTable[k * step];
+          const sin = this.sinTable[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tre = re[b] * cos - im[b] * sin;
+          const tim = re[b] * sin + im[b] * cos;
+          re[b] = re[a] - tre;
+          im[b] = im[a] - tim;
+          re[a] += tre;
+          im[a] += tim;
+        }
+      }
+    }
+  }
+
+  /**
+   * Current averaged spectra
+   * @returns {Array<Float32Array>} fftSize/2 bin levels in dBFS (sine peak) per channel
+   */
+  getSpectra() {
+    const bins = this.fftSize / 2;
+    const divisor = this.averaging === 'linear' ? Math.min(this.frames, this.averages) : 1;
+    return this.averaged.map((averaged) => {
+      const spectrum = new Float32Array(bins);
+      for (let k = 0; k < bins; k++) {
+        spectrum[k] = 10 * Math.log10(Math.max(averaged[k] / divisor, SpectrumEngine.MIN_POWER));
+      }
+      return spectrum;
+    });
+  }
+
+  /**
+   * Periodic (DFT-even) window of a generalised cosine family
+   * @param {string} type - One of the WINDOWS keys
+   * @param {number} size - Window length
+   * @returns {Float64Array} Window
+   */
+  static createWindow(type, size) {
+    const coefficients = SpectrumEngine.WINDOWS[type] || SpectrumEngine.WINDOWS.hann;
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      let value = 0;
+      for (let k = 0; k < coefficients.length; k++) {
+        value += (k % 2 === 0 ? 1 : -1) * coefficients[k] * Math.cos(2 * Math.PI * k * i / size);
+      }
+      window[i] = value;
+    }
+    return window;
+  }
+
+  /**
+   * Equivalent noise bandwidth of a window: N·Σw² / (Σw)²
+   * @param {string} type - One of the WINDOWS keys
+   * @returns {number} ENBW in bins
+   */
+  static windowENBW(type) {
+    const window = SpectrumEngine.createWindow(type, 4096);
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < window.length; i++) {
+      sum += window[i];
+      sumSquares += window[i] * window[i];
+    }
+    return window.length * sumSquares / (sum * sum);
+  }
+}
+
+// Generalised cosine window coefficients a0, a1, ... (w = a0 - a1·cos + a2·cos(2x) - ...)
+SpectrumEngine.WINDOWS = {
+  hann: [0.5, 0.5],
+  hamming: [0.54, 0.46],
+  'blackman-harris': [0.35875, 0.48829, 0.14128, 0.01168],           // 4-term, sidelobes -92 dB
+  flattop: [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368], // Scalloping loss < 0.02 dB
+  rectangular: [1]
+};
+
+// Shortest time between spectra handed to the main thread in seconds
+SpectrumEngine.EMIT_INTERVAL = 1 / 60;
+
+// Power floor for bins without signal (-200 dB)
+SpectrumEngine.MIN_POWER = 1e-20;
+
+// Largest processing block (ScriptProcessor fallback buffer size)
+SpectrumEngine.MAX_BLOCK = 2048;
+
+/**
+ * FFTEngine - Backend selection, FFT settings and the latest spectra on the main thread
+ */
+class FFTEngine {
+  constructor() {
+    // === SETTINGS ===
+    this.backend = 'analyser';          // 'analyser' (Web Audio AnalyserNode) or 'custom' (SpectrumEngine)
+    this.fftSize = 4096;                // Follows the Resolution (FFT Size) setting
+    this.window = 'hann';               // One of SpectrumEngine.WINDOWS
+    this.overlap = 50;                  // Overlap of consecutive frames in percent
+    this.averaging = 'exponential';     // 'exponential', 'linear' or 'peak' (peak hold)
+    this.averages = 8;                  // N for exponential and linear averaging
+
+    // === STATE ===
+    this.processor = null;              // { configure(options), reset() } of the running engine
+    this.spectra = [];                  // Latest spectrum per channel in dB
+
+    // getFloatFrequencyData() stand-ins for analyserLeft/analyserRight (mono input repeats the left)
+    this.channels = [0, 1].map((channel) => ({
+      getFloatFrequencyData: (array) => this.read(channel, array)
+    }));
+  }
+
+  /**
+   * Whether the custom engine replaces the AnalyserNodes
+   * @returns {boolean} True for the custom backend
+   */
+  get enabled() {
+    return this.backend === 'custom';
+  }
+
+  /**
+   * Display offset before the user's adjustment: AnalyserNode levels need the historical
+   * 15 dB, the custom engine already reads dBFS
+   * @returns {number} Baseline amplitude calibration in dB
+   */
+  get baselineCalibrationDB() {
+    return this.enabled ? 0 : FFTEngine.ANALYSER_CALIBRATION_DB;
+  }
+
+  /**
+   * Equivalent noise bandwidth of the active backend's window
+   * @returns {number} ENBW in bins
+   */
+  get enbw() {
+    return this.enabled ? SpectrumEngine.windowENBW(this.window) : FFTEngine.ANALYSER_ENBW;
+  }
+
+  /**
+   * Select the spectrum backend (takes effect when the analyzer starts)
+   * @param {string} backend - One of BACKENDS
+   */
+  setBackend(backend) {
+    if (FFTEngine.BACKENDS.includes(backend)) {
+      this.backend = backend;
+    }
+  }
+
+  /**
+   * @param {number} size - FFT size (power of two, 512 to 32768)
+   */
+  setFFTSize(size) {
+    if (FFTEngine.FFT_SIZES.includes(size)) {
+      this.fftSize = size;
+      this.configure();
+    }
+  }
+
+  /**
+   * @param {string} type - One of the SpectrumEngine.WINDOWS keys
+   */
+  setWindow(type) {
+    if (Object.prototype.hasOwnProperty.call(SpectrumEngine.WINDOWS, type)) {
+      this.window = type;
+      this.configure();
+    }
+  }
+
+  /**
+   * @param {number} percent - One of OVERLAPS
+   */
+  setOverlap(percent) {
+    if (FFTEngine.OVERLAPS.includes(percent)) {
+      this.overlap = percent;
+      this.configure();
+    }
+  }
+
+  /**
+   * @param {string} type - One of AVERAGING_TYPES
+   */
+  setAveraging(type) {
+    if (FFTEngine.AVERAGING_TYPES.includes(type)) {
+      this.averaging = type;
+      this.configure();
+    }
+  }
+
+  /**
+   * @param {number} count - One of AVERAGES
+   */
+  setAverages(count) {
+    if (FFTEngine.AVERAGES.includes(count)) {
+      this.averages = count;
+      this.configure();
+    }
+  }
+
+  /**
+   * Settings for SpectrumEngine
+   * @returns {object} { fftSize, window, overlap, averaging, averages }
+   */
+  getOptions() {
+    return {
+      fftSize: this.fftSize,
+      window: this.window,
+      overlap: this.overlap,
+      averaging: this.averaging,
+      averages: this.averages
+    };
+  }
+
+  /**
+   * Send the settings to the running engine (its averages restart)
+   */
+  configure() {
+    if (this.processor) {
+      this.processor.configure(this.getOptions());
+    }
+  }
+
+  /**
+   * Restart averaging and clear the peak hold
+   */
+  reset() {
+    if (this.processor) {
+      this.processor.reset();
+    }
+  }
+
+  /**
+   * Connect (or with null disconnect) the engine running in the audio graph
+   * @param {object|null} processor - { configure(options), reset() }
+   */
+  attachProcessor(processor) {
+    this.processor = processor;
+    this.spectra = [];
+  }
+
+  /**
+   * Keep the spectra posted by the engine
+   * @param {object} message - { fftSize, spectra }
+   */
+  handleSpectrum(message) {
+    this.spectra = message.spectra;
+  }
+
+  /**
+   * Copy a channel's latest spectrum (the floor level until one of this length arrives)
+   * @param {number} channel - 0 for left, 1 for right
+   * @param {Float32Array} array - Receives fftSize/2 bin levels in dB
+   */
+  read(channel, array) {
+    const spectrum = this.spectra[Math.min(channel, this.spectra.length - 1)];
+    if (spectrum && spectrum.length === array.length) {
+      array.set(spectrum);
+    } else {
+      array.fill(10 * Math.log10(SpectrumEngine.MIN_POWER));
+    }
+  }
+}
+
+FFTEngine.BACKENDS = ['analyser', 'custom'];
+FFTEngine.FFT_SIZES = [512, 1024, 2048, 4096, 8192, 16384, 32768];
+FFTEngine.OVERLAPS = [0, 50, 75, 90];
+FFTEngine.AVERAGING_TYPES = ['exponential', 'linear', 'peak'];
+FFTEngine.AVERAGES = [1, 2, 4, 8, 16, 32, 64];
+
+// AnalyserNode display offset (amplitudeCalibrationDB with the slider at 0) in dB
+FFTEngine.ANALYSER_CALIBRATION_DB = 15.0;
+
+// Equivalent noise bandwidth of AnalyserNode's Blackman window in bins
+FFTEngine.ANALYSER_ENBW = 1.7268;
+
+// Custom engine bins read a sine's peak level: its RMS level is 3.01 dB lower
+FFTEngine.SINE_BIN_TO_RMS_DB = -10 * Math.log10(2);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SpectrumEngine, FFTEngine };
+}
+
+// === AUDIO WORKLET REGISTRATION ===
+// When loaded with audioWorklet.addModule(), run the FFTs on the audio thread.
+// Port messages: { options } reconfigures, { reset: true } restarts averaging;
+// spectra are posted back as { fftSize, spectra }.
+if (typeof registerProcessor === 'function') {
+  class SpectrumEngineProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+      const { channelCount, sampleRate, settings } = options.processorOptions;
+      this.engine = new SpectrumEngine(channelCount, sampleRate, settings, (message) => {
+        this.port.postMessage(message, message.spectra.map((spectrum) => spectrum.buffer));
+      });
+      this.port.onmessage = (event) => {
+        if (event.data.options) this.engine.configure(event.data.options);
+        if (event.data.reset) this.engine.reset();
+      };
+    }
+
+    process(inputs) {
+      const input = inputs[0];
+      if (input && input.length > 0) {
+        this.engine.process(input);
+      }
+      return true;
+    }
+  }
+
+  registerProcessor('spectrum-engine', SpectrumEngineProcessor);
+}
@@ -0,0 +1,282 @@
+/**
+ * FilePlayer - Decoded audio file as the analyzer input
+ *
+ * A WAV, FLAC or MP3 file (picked locally or downloaded from the stored recordings) is
+ * decoded once with decodeAudioData and played through an AudioBufferSourceNode into
+ * the analyzer's gain node instead of the microphone stream, so every view and meter
+ * works on the file. Source nodes can only be started once, so every play, seek or
+ * loop change starts a new one at the current file position.
+ */
+class FilePlayer {
+  constructor() {
+    // === FILE ===
+    this.buffer = null;                 // Decoded AudioBuffer
+    this.name = '';                     // File name shown in the File tab
+
+    // === TRANSPORT SETTINGS ===
+    this.loop = false;                  // Repeat the loop region
+    this.loopStart = 0;                 // Loop region start in seconds
+    this.loopEnd = 0;                   // Loop region end in seconds (the file length once loaded)
+    this.monitor = false;               // Also play the file to the default output
+
+    // === STATE ===
+    this.context = null;                // Analyzer AudioContext (while running)
+    this.output = null;                 // Node the analyzer takes the file from (while running)
+    this.source = null;                 // Current buffer source (while playing)
+    this.playing = false;
+    this.offset = 0;                    // File position in seconds when playback last started or paused
+    this.startTime = 0;                 // Context time at which playback started from offset
+  }
+
+  /**
+   * Length of the loaded file
+   * @returns {number} Seconds (0 without a file)
+   */
+  get duration() {
+    return this.buffer ? this.buffer.duration : 0;
+  }
+
+  /**
+   * Load a decoded file (stops playback; the loop region covers the whole file)
+   * @param {AudioBuffer} buffer - Decoded audio
+   * @param {string} name - File name
+   */
+  setBuffer(buffer, name) {
+    this.stopSource();
+    this.playing = false;
+    this.buffer = buffer;
+    this.name = name;
+    this.offset = 0;
+    this.loopStart = 0;
+    this.loopEnd = buffer.duration;
+  }
+
+  /**
+   * Create the output node in a running analyzer's AudioContext
+   * Files with more than two channels are downmixed to stereo by the output node.
+   * @param {AudioContext} context - Analyzer AudioContext
+   * @returns {AudioNode} Output to connect to the analysis chain
+   */
+  attach(context) {
+    this.context = context;
+    this.output = context.createGain();
+    this.output.channelCount = Math.min(2, this.buffer.numberOfChannels);
+    this.output.channelCountMode = 'explicit';
+    this.output.channelInterpretation = 'speakers';
+    this.connectMonitor();
+    return this.output;
+  }
+
+  /**
+   * Stop playback when the analyzer stops (the position is kept)
+   */
+  detach() {
+    if (this.playing) {
+      this.pause();
+    }
+    if (this.output) {
+      this.output.disconnect();
+      this.output = null;
+    }
+    this.context = null;
+  }
+
+  /**
+   * Start playback at the current position (the start of the file or loop region once past it)
+   * @returns {boolean} False without a file or a running analyzer
+   */
+  play() {
+    if (!this.buffer || !this.context) return false;
+    if (this.playing) return true;
+
+    if (this.loop && (this.offset < this.loopStart || this.offset >= this.loopEnd)) {
+      this.offset = this.loopStart;
+    } else if (this.offset >= this.duration) {
+      this.offset = 0;
+    }
+    if (this.context.state === 'suspended') {
+      this.context.resume();            // Contexts created without a user gesture start suspended
+    }
+    this.startSource();
+    this.playing = true;
+    return true;
+  }
+
+  /**
+   * Pause playback at the current position
+   */
+  pause() {
+    if (!this.playing) return;
+    this.offset = this.getPosition();
+    this.playing = false;
+    this.stopSource();
+  }
+
+  /**
+   * Move to a file position
+   * @param {number} seconds - Position in seconds
+   */
+  seek(seconds) {
+    this.offset = Math.max(0, Math.min(this.duration, seconds));
+    if (this.playing) {
+      this.stopSource();
+      this.playing = false;
+      this.play();
+    }
+  }
+
+  /**
+   * Switch looping of the loop region on or off
+   * @param {boolean} enabled - Loop state
+   */
+  setLoop(enabled) {
+    this.loop = !!enabled;
+    this.restart();
+  }
+
+  /**
+   * Set the loop region (limited to the file, at least MIN_LOOP long)
+   * @param {number} start - Start in seconds
+   * @param {number} end - End in seconds
+   */
+  setLoopRegion(start, end) {
+    const duration = this.duration;
+    const minLoop = Math.min(FilePlayer.MIN_LOOP, duration);
+    this.loopStart = Math.max(0, Math.min(duration - minLoop, start));
+    this.loopEnd = Math.max(this.loopStart + minLoop, Math.min(duration, end));
+    if (this.loop) {
+      this.restart();
+    }
+  }
+
+  /**
+   * Also play the file to the default output (the analysis is unaffected)
+   * @param {boolean} enabled - Monitor state
+   */
+  setMonitor(enabled) {
+    this.monitor = !!enabled;
+    if (this.output) {
+      this.output.disconnect();
+      this.connectMonitor();
+    }
+  }
+
+  /**
+   * Current file position
+   * @returns {number} Seconds
+   */
+  getPosition() {
+    if (!this.playing) {
+      return this.offset;
+    }
+    const loop = this.loop ? { start: this.loopStart, end: this.loopEnd } : null;
+    return FilePlayer.playbackPosition(this.offset, this.context.currentTime - this.startTime, this.duration, loop);
+  }
+
+  /**
+   * Continue from the current position with a new source, so transport changes take effect
+   */
+  restart() {
+    if (!this.playing) return;
+    this.offset = this.getPosition();
+    this.stopSource();
+    this.playing = false;
+    this.play();
+  }
+
+  /**
+   * Create and start a buffer source at the current offset
+   */
+  startSource() {
+    const source = this.context.createBufferSource();
+    source.buffer = this.buffer;
+    source.loop = this.loop;
+    source.loopStart = this.loopStart;
+    source.loopEnd = this.loopEnd;
+    source.connect(this.output);
+    source.onended = () => {
+      // Only the end of the file ends playback (stopped sources are replaced or paused)
+      if (this.source === source) {
+        this.source = null;
+        this.playing = false;
+        this.offset = this.duration;
+        source.disconnect();
+      }
+    };
+    source.start(0, this.offset);
+    this.startTime = this.context.currentTime;
+    this.source = source;
+  }
+
+  /**
+   * Stop and release the current source
+   */
+  stopSource() {
+    if (this.source) {
+      const source = this.source;
+      this.source = null;
+      source.stop();
+      source.disconnect();
+    }
+  }
+
+  /**
+   * Connect the output to the default output device when monitoring
+   */
+  connectMonitor() {
+    if (this.monitor) {
+      this.output.connect(this.context.destination);
+    }
+  }
+
+  /**
+   * File position after playing for a while from an offset
+   * @param {number} offset - Start position in seconds
+   * @param {number} elapsed - Seconds played since
+   * @param {number} duration - File length in seconds
+   * @param {object|null} loop - { start, end } loop region in seconds when looping
+   * @returns {number} Position in seconds
+   */
+  static playbackPosition(offset, elapsed, duration, loop) {
+    const position = offset + elapsed;
+    if (loop && offset < loop.end && position >= loop.end) {
+      return loop.start + (position - loop.end) % (loop.end - loop.start);
+    }
+    return Math.min(position, duration);
+  }
+
+  /**
+   * Format a position as minutes, seconds and tenths, e.g. 1:05.3
+   * @param {number} seconds - Position in seconds
+   * @returns {string} Formatted position
+   */
+  static formatTime(seconds) {
+    const tenths = Math.floor(Math.max(0, seconds) * 10);
+    const minutes = Math.floor(tenths / 600);
+    const rest = (tenths % 600) / 10;
+    return `${minutes}:${rest < 10 ? '0' : ''}${rest.toFixed(1)}`;
+  }
+
+  /**
+   * Decode an audio file (WAV, FLAC, MP3 or anything else the browser supports)
+   * Decoding uses a short-lived AudioContext; the buffer is at the default output rate.
+   * @param {ArrayBuffer} data - Encoded file contents
+   * @returns {Promise<AudioBuffer>} Decoded audio
+   */
+  static async decode(data) {
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    try {
+      return await context.decodeAudioData(data);
+    } finally {
+      context.close();
+    }
+  }
+}
+
+// Shortest loop region in seconds
+FilePlayer.MIN_LOOP = 0.1;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FilePlayer;
+}
@@ -0,0 +1,275 @@
+/**
+ * Goniometer - Stereo vectorscope (Lissajous) panel
+ *
+ * Plots the meter analysers' time-domain data rotated by 45° so that mid (L+R) is
+ * vertical and side (R-L) is horizontal: mono signals draw a vertical line, a signal
+ * on one channel only leans 45° towards that side and out-of-phase content spreads
+ * horizontally. Earlier frames fade out gradually (persistence) and an auto-gain
+ * keeps the trace filling the panel regardless of input level.
+ * The panel is drawn in the top-right corner of the plot area.
+ */
+class Goniometer {
+  constructor(analyzer) {
+    // Reference to the main analyzer for accessing canvas context and plot area
+    this.analyzer = analyzer;
+
+    // === DISPLAY SETTINGS ===
+    this.enabled = false;               // Whether the panel is drawn
+    this.size = 200;                    // Panel width and height in pixels (120-400)
+    this.renderMode = 'dots';           // 'dots' (one point per sample) or 'lines' (connected trace)
+    this.margin = 10;                   // Gap between the panel and the plot edges
+    this.pointsPerFrame = 2048;         // Most recent samples plotted each frame
+
+    // === PERSISTENCE ===
+    // New points are drawn onto an offscreen trail canvas that is faded by this
+    // fraction every frame, so older points decay over a few hundred milliseconds
+    this.decay = 0.2;
+    this.trail = null;                  // { canvas, ctx } offscreen trail buffer, created on first draw
+
+    // === AUTO-GAIN ===
+    // Scale the trace so its peak radius sits at targetRadius of the panel.
+    // Louder signals pull the gain down quickly, quieter ones let it rise slowly.
+    this.gain = 1;
+    this.minGain = 1;                   // Full scale fills the panel at unity gain
+    this.maxGain = 100;                 // Limit to +40 dB so noise floor does not fill the panel
+    this.targetRadius = 0.9;
+    this.gainAttack = 0.5;              // Smoothing factor when the gain has to drop
+    this.gainRelease = 0.03;            // Smoothing factor when the gain can rise
+  }
+
+  /**
+   * Show or hide the goniometer panel
+   * @param {boolean} enabled - Whether the panel is drawn
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    this.reset();
+  }
+
+  /**
+   * Set the panel size
+   * @param {number} size - Width and height in pixels
+   */
+  setSize(size) {
+    this.size = Math.max(120, Math.min(400, size));
+    this.trail = null;                  // Re-created at the new size on the next frame
+  }
+
+  /**
+   * Select dot or line rendering
+   * @param {string} mode - 'dots' or 'lines'
+   */
+  setRenderMode(mode) {
+    if (mode !== 'dots' && mode !== 'lines') {
+      return;
+    }
+    this.renderMode = mode;
+    this.reset();
+  }
+
+  /**
+   * Clear the persistence trail and restart auto-gain
+   */
+  reset() {
+    if (this.trail) {
+      this.trail.ctx.clearRect(0, 0, this.trail.canvas.width, this.trail.canvas.height);
+    }
+    this.gain = 1;
+  }
+
+  /**
+   * Rotate a block of samples into goniometer coordinates
+   * In stereo mode the inputs are L/R and are rotated by 45°; in Mid-Side mode the
+   * meter analysers already carry M = s·(L+R) and S = s·(L−R). The encoder scale s is
+   * undone so M/S plots with the same scaling and orientation as stereo (S is negated so
+   * left-leaning content plots on the left).
+   * @param {Float32Array} left - Left (or mid) samples
+   * @param {Float32Array} right - Right (or side) samples
+   * @param {number|null} midSideScale - Encoder scale when the inputs are M/S, null for L/R
+   * @param {number} count - Number of most recent samples to convert
+   * @returns {{x: Float32Array, y: Float32Array, peak: number}} Side (x) and mid (y) values plus the largest radius
+   */
+  static toMidSide(left, right, midSideScale, count = left.length) {
+    const n = Math.min(count, left.length, right.length);
+    const decode = midSideScale ? Math.SQRT1_2 / midSideScale : 0;
+    const start = Math.min(left.length, right.length) - n;
+    const x = new Float32Array(n);
+    const y = new Float32Array(n);
+    let peak = 0;
+
+    for (let i = 0; i < n; i++) {
+      const l = left[start + i];
+      const r = right[start + i];
+      if (decode) {
+        x[i] = -r * decode;
+        y[i] = l * decode;
+      } else {
+        x[i] = (r - l) * Math.SQRT1_2;
+        y[i] = (l + r) * Math.SQRT1_2;
+      }
+      const radius = Math.sqrt(x[i] * x[i] + y[i] * y[i]);
+      if (radius > peak) {
+        peak = radius;
+      }
+    }
+
+    return { x, y, peak };
+  }
+
+  /**
+   * Move the auto-gain towards the value that places the peak at targetRadius
+   * @param {number} peak - Largest radius in the current block
+   * @returns {number} Updated gain
+   */
+  updateGain(peak) {
+    if (peak <= 0) {
+      return this.gain;                 // Hold the gain through silence
+    }
+
+    const target = Math.max(this.minGain, Math.min(this.maxGain, this.targetRadius / peak));
+    const coefficient = target < this.gain ? this.gainAttack : this.gainRelease;
+    this.gain += (target - this.gain) * coefficient;
+
+    // Never let a sudden loud block overshoot the panel
+    if (peak * this.gain > 1) {
+      this.gain = Math.max(this.minGain, 1 / peak);
+    }
+    return this.gain;
+  }
+
+  /**
+   * Panel bounds inside the plot area
+   * @returns {{x: number, y: number, size: number}} Top-left corner and side length
+   */
+  getBounds() {
+    const analyzer = this.analyzer;
+    const size = Math.min(this.size, analyzer.plotHeight - 2 * this.margin, analyzer.plotWidth - 2 * this.margin);
+    return {
+      x: analyzer.plotRight - this.margin - size,
+      y: analyzer.plotTop + this.margin,
+      size
+    };
+  }
+
+  /**
+   * Add the current block to the trail and draw the panel
+   * @param {Float32Array} left - Left (or mid) time-domain samples
+   * @param {Float32Array} right - Right (or side) time-domain samples
+   * @param {number|null} midSideScale - Encoder scale when the inputs are M/S, null for L/R
+   */
+  draw(left, right, midSideScale) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const ctx = this.analyzer.ctx;
+    const bounds = this.getBounds();
+    if (bounds.size <= 0) {
+      return;
+    }
+
+    // === PREPARE TRAIL BUFFER ===
+    if (!this.trail || this.trail.canvas.width !== bounds.size) {
+      const canvas = document.createElement('canvas');
+      canvas.width = bounds.size;
+      canvas.height = bounds.size;
+      this.trail = { canvas, ctx: canvas.getContext('2d') };
+    }
+    const trailCtx = this.trail.ctx;
+    const size = bounds.size;
+    const half = size / 2;
+
+    // === FADE OLDER POINTS ===
+    trailCtx.globalCompositeOperation = 'destination-out';
+    trailCtx.fillStyle = `rgba(0, 0, 0, ${this.decay})`;
+    trailCtx.fillRect(0, 0, size, size);
+    trailCtx.globalCompositeOperation = 'source-over';
+
+    // === PLOT NEW POINTS ===
+    const points = Goniometer.toMidSide(left, right, midSideScale, this.pointsPerFrame);
+    const scale = this.updateGain(points.peak) * half;
+
+    trailCtx.fillStyle = '#4caf50';
+    trailCtx.strokeStyle = 'rgba(76, 175, 80, 0.6)';
+    trailCtx.lineWidth = 1;
+    if (this.renderMode === 'lines') {
+      trailCtx.beginPath();
+      for (let i = 0; i < points.x.length; i++) {
+        const px = half + points.x[i] * scale;
+        const py = half - points.y[i] * scale;  // Mid (mono) points upwards
+        if (i === 0) {
+          trailCtx.moveTo(px, py);
+        } else {
+          trailCtx.lineTo(px, py);
+        }
+      }
+      trailCtx.stroke();
+    } else {
+      for (let i = 0; i < points.x.length; i++) {
+        trailCtx.fillRect(half + points.x[i] * scale, half - points.y[i] * scale, 1, 1);
+      }
+    }
+
+    // === DRAW PANEL ===
+    ctx.fillStyle = 'rgba(17, 17, 17, 0.85)';
+    ctx.fillRect(bounds.x, bounds.y, size, size);
+    this.drawGraticule(bounds);
+    ctx.drawImage(this.trail.canvas, bounds.x, bounds.y);
+
+    ctx.strokeStyle = '#555';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(bounds.x, bounds.y, size, size);
+  }
+
+  /**
+   * Draw the M/S and L/R axes, the full-scale circle and the gain readout
+   * @param {{x: number, y: number, size: number}} bounds - Panel bounds
+   */
+  drawGraticule(bounds) {
+    const ctx = this.analyzer.ctx;
+    const half = bounds.size / 2;
+    const cx = bounds.x + half;
+    const cy = bounds.y + half;
+    const diagonal = half * Math.SQRT1_2;
+
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    // M (vertical) and S (horizontal) axes
+    ctx.moveTo(cx, bounds.y);
+    ctx.lineTo(cx, bounds.y + bounds.size);
+    ctx.moveTo(bounds.x, cy);
+    ctx.lineTo(bounds.x + bounds.size, cy);
+    // L and R axes at ±45°
+    ctx.moveTo(cx - diagonal, cy - diagonal);
+    ctx.lineTo(cx + diagonal, cy + diagonal);
+    ctx.moveTo(cx + diagonal, cy - diagonal);
+    ctx.lineTo(cx - diagonal, cy + diagonal);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.arc(cx, cy, half * this.targetRadius, 0, 2 * Math.PI);
+    ctx.stroke();
+
+    // === AXIS LABELS ===
+    ctx.fillStyle = '#888';
+    ctx.font = '11px Arial';
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'center';
+    ctx.fillText('M', cx, bounds.y + 3);
+    ctx.textAlign = 'left';
+    ctx.fillText('L', bounds.x + 5, bounds.y + 3);
+    ctx.fillText('S', bounds.x + 5, cy + 3);
+    ctx.textAlign = 'right';
+    ctx.fillText('R', bounds.x + bounds.size - 5, bounds.y + 3);
+
+    // Auto-gain readout so levels can still be compared
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`+${(20 * Math.log10(this.gain)).toFixed(0)} dB`, bounds.x + bounds.size - 5, bounds.y + bounds.size - 3);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Goniometer;
+}
@@ -0,0 +1,209 @@
+/**
+ * HarmonicAnalyzer - Fundamental, harmonics, THD, THD+N and SINAD of a test tone
+ *
+ * Runs its own FFT on a dedicated 32768-sample analyser block with a 7-term
+ * Blackman-Harris window (sidelobes below -180 dB), so distortion products far below
+ * the AnalyserNode's Blackman window leakage can be measured. The strongest bin within
+ * 20 Hz - 20 kHz is the fundamental; its frequency is refined from the power centroid
+ * of the main lobe. All figures are power ratios within 20 Hz - 20 kHz (AES17):
+ *   THD   = √(ΣP(H2..Hn) / P(F))
+ *   THD+N = √(P(outside the notch) / P(total)),  SINAD = -20·log10(THD+N)
+ * The notch around the fundamental is the wider of the window's main lobe and the
+ * selected notch bandwidth.
+ */
+class HarmonicAnalyzer {
+  constructor() {
+    // === SETTINGS ===
+    this.enabled = false;               // Analyse and draw the harmonic markers and panel
+    this.maxHarmonic = 5;               // Highest harmonic order included in THD (H2..Hn)
+    this.notchBandwidth = 50;           // Width of the fundamental notch for THD+N in Hz
+
+    // === STATE ===
+    this.result = null;                 // Last analysis (null without a dominant tone)
+    this.lastUpdate = 0;                // Timestamp of the last analysis in ms
+    this.samples = null;                // Time-domain block read from the analyser
+    this.window = null;                 // Cached window for the current block size
+  }
+
+  /**
+   * Switch the analysis on or off
+   * @param {boolean} enabled - Whether to analyse
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    this.result = null;
+  }
+
+  /**
+   * Set the highest harmonic order included in THD
+   * @param {number} order - One of MAX_HARMONICS
+   */
+  setMaxHarmonic(order) {
+    if (HarmonicAnalyzer.MAX_HARMONICS.includes(order)) {
+      this.maxHarmonic = order;
+    }
+  }
+
+  /**
+   * Set the notch bandwidth used for THD+N
+   * @param {number} bandwidth - One of NOTCH_BANDWIDTHS in Hz
+   */
+  setNotchBandwidth(bandwidth) {
+    if (HarmonicAnalyzer.NOTCH_BANDWIDTHS.includes(bandwidth)) {
+      this.notchBandwidth = bandwidth;
+    }
+  }
+
+  /**
+   * Analyse the analyser's latest block when the update interval has passed
+   * @param {AnalyserNode} analyser - Analyser with a BLOCK_SIZE fftSize
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} now - Current time in ms
+   */
+  update(analyser, sampleRate, now = Date.now()) {
+    if (!this.enabled || now - this.lastUpdate < HarmonicAnalyzer.UPDATE_INTERVAL) {
+      return;
+    }
+    this.lastUpdate = now;
+    if (!this.samples || this.samples.length !== analyser.fftSize) {
+      this.samples = new Float32Array(analyser.fftSize);
+      this.window = HarmonicAnalyzer.blackmanHarris(analyser.fftSize);
+    }
+    analyser.getFloatTimeDomainData(this.samples);
+    this.result = HarmonicAnalyzer.analyse(this.samples, sampleRate, this.maxHarmonic, this.notchBandwidth, this.window);
+  }
+
+  /**
+   * 7-term Blackman-Harris window
+   * @param {number} size - Window length
+   * @returns {Float64Array} Window
+   */
+  static blackmanHarris(size) {
+    const coefficients = HarmonicAnalyzer.WINDOW_COEFFICIENTS;
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      let value = 0;
+      for (let k = 0; k < coefficients.length; k++) {
+        value += (k % 2 === 0 ? 1 : -1) * coefficients[k] * Math.cos(2 * Math.PI * k * i / size);
+      }
+      window[i] = value;
+    }
+    return window;
+  }
+
+  /**
+   * Find the fundamental and measure its harmonics and the residual
+   * @param {Float32Array} samples - Time-domain block (power-of-two length)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} maxHarmonic - Highest harmonic order included in THD
+   * @param {number} notchBandwidth - Fundamental notch width in Hz
+   * @param {Float64Array} window - Window of the block length (computed if omitted)
+   * @returns {object|null} { frequency, levelDB, harmonics: [{ order, frequency, levelDB }], thd, thdN, sinad }
+   *   with levelDB in dBFS (full-scale sine = 0 dBFS) and harmonic levels in dBc; null without a dominant tone
+   */
+  static analyse(samples, sampleRate, maxHarmonic, notchBandwidth, window = HarmonicAnalyzer.blackmanHarris(samples.length)) {
+    const size = samples.length;
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    let windowPower = 0;
+    for (let i = 0; i < size; i++) {
+      re[i] = samples[i] * window[i];
+      windowPower += window[i] * window[i];
+    }
+    TransferFunctionEngine.fft(re, im);
+
+    // === POWER SPECTRUM WITHIN THE MEASUREMENT BAND ===
+    const binWidth = sampleRate / size;
+    const first = Math.max(1, Math.ceil(HarmonicAnalyzer.BAND[0] / binWidth));
+    const last = Math.min(size / 2 - 1, Math.floor(HarmonicAnalyzer.BAND[1] / binWidth));
+    const power = new Float64Array(size / 2);
+    let total = 0;
+    let peak = first;
+    for (let k = first; k <= last; k++) {
+      power[k] = re[k] * re[k] + im[k] * im[k];
+      total += power[k];
+      if (power[k] > power[peak]) peak = k;
+    }
+    const sumAround = (center, halfWidth) => {
+      let sum = 0;
+      for (let k = Math.max(first, center - halfWidth); k <= Math.min(last, center + halfWidth); k++) {
+        sum += power[k];
+      }
+      return sum;
+    };
+
+    // === FUNDAMENTAL ===
+    // A tone is dominant when it holds at least half of the band power (SINAD ≥ 0 dB)
+    const lobe = HarmonicAnalyzer.MAIN_LOBE;
+    const fundamentalPower = sumAround(peak, lobe);
+    if (total === 0 || fundamentalPower < total / 2) {
+      return null;
+    }
+    let centroid = 0;
+    for (let k = Math.max(first, peak - lobe); k <= Math.min(last, peak + lobe); k++) {
+      centroid += k * power[k];
+    }
+    const frequency = centroid / fundamentalPower * binWidth;
+
+    // === HARMONICS ===
+    const harmonics = [];
+    let harmonicPower = 0;
+    for (let order = 2; order <= maxHarmonic; order++) {
+      const center = Math.round(order * frequency / binWidth);
+      if (center + lobe > last) break;
+      const orderPower = sumAround(center, lobe);
+      harmonicPower += orderPower;
+      harmonics.push({ order, frequency: order * frequency, levelDB: 10 * Math.log10(Math.max(orderPower / fundamentalPower, 1e-30)) });
+    }
+
+    // === RESIDUAL (NOISE AND DISTORTION OUTSIDE THE NOTCH) ===
+    const notch = Math.max(lobe, Math.ceil(notchBandwidth / 2 / binWidth));
+    const residual = Math.max(total - sumAround(peak, notch), total * 1e-30);
+    const thdN = Math.sqrt(residual / total);
+
+    return {
+      frequency,
+      levelDB: 10 * Math.log10(4 * fundamentalPower / (size * windowPower)),
+      harmonics,
+      thd: Math.sqrt(harmonicPower / fundamentalPower),
+      thdN,
+      sinad: -20 * Math.log10(thdN)
+    };
+  }
+
+  /**
+   * Format a distortion ratio as percent and dB, e.g. "0.0105 % (-79.6 dB)"
+   * @param {number} ratio - Amplitude ratio
+   * @returns {string} Formatted ratio
+   */
+  static formatRatio(ratio) {
+    return `${(ratio * 100).toPrecision(3)} % (${(20 * Math.log10(Math.max(ratio, 1e-15))).toFixed(1)} dB)`;
+  }
+}
+
+// 7-term Blackman-Harris coefficients (minimum sidelobe level -180 dB)
+HarmonicAnalyzer.WINDOW_COEFFICIENTS = [
+  0.27105140069342, 0.43329793923448, 0.21812299954311, 0.06592544638803,
+  0.01081174209837, 0.00077658482522, 0.00001388721735
+];
+
+// Half-width of the window's main lobe in bins (summed as one tone)
+HarmonicAnalyzer.MAIN_LOBE = 8;
+
+// Measurement bandwidth in Hz
+HarmonicAnalyzer.BAND = [20, 20000];
+
+// Samples per analysed block (the largest AnalyserNode fftSize)
+HarmonicAnalyzer.BLOCK_SIZE = 32768;
+
+// Minimum time between analyses in ms (a 32768-point FFT is costly on a Raspberry Pi)
+HarmonicAnalyzer.UPDATE_INTERVAL = 250;
+
+// Selectable highest harmonic orders and notch bandwidths in Hz
+HarmonicAnalyzer.MAX_HARMONICS = [3, 5, 10, 20];
+HarmonicAnalyzer.NOTCH_BANDWIDTHS = [10, 20, 50, 100, 200];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HarmonicAnalyzer;
+}
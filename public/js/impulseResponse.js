@@ -0,0 +1,732 @@
+/**
+ * ImpulseResponse - Impulse response capture and reverberation (RT60) analysis
+ *
+ * Captures an impulse response either by playing an exponential sweep through the
+ * signal generator and deconvolving the recording with the sweep's inverse filter
+ * (Farina method), or by recording an impulsive sound such as a handclap or balloon
+ * pop. The response is split into octave bands, Schroeder backward integration gives
+ * the energy decay curves, and EDT, T20 and T30 are fitted per ISO 3382-1.
+ * RT60 is reported as T30, or T20 where the decay does not reach -35 dB.
+ * In 'impulse' view mode the response and its decay curve are drawn on the canvas.
+ */
+class ImpulseResponse {
+  constructor(analyzer) {
+    // Reference to the main analyzer for accessing canvas context and plot area
+    this.analyzer = analyzer;
+
+    // === MEASUREMENT SETTINGS ===
+    this.method = 'sweep';              // 'sweep' (generator log sweep) or 'impulse' (handclap/balloon pop)
+    this.channel = 0;                   // Input channel analysed (0 = left/mono, 1 = right)
+    this.tailLength = 2;                // Recording time after the sweep / after the trigger in seconds
+    this.sweepStart = 20;               // Measurement sweep start frequency in Hz
+    this.sweepEnd = 20000;              // Measurement sweep end frequency in Hz (limited to below Nyquist)
+    this.triggerLevel = 0.1;            // Impulse trigger threshold (linear, -20 dBFS)
+    this.armTimeout = 30;               // Seconds to wait for an impulse before giving up
+    this.preTrigger = 0.05;             // Seconds kept before the impulse trigger
+
+    // === DISPLAY SETTINGS ===
+    this.rangeDB = 80;                  // Level range of the display below the peak
+
+    // === STATE ===
+    this.recorder = null;               // { setRecording(boolean) } while the analyzer is running
+    this.sampleRate = 48000;
+    this.state = 'idle';                // 'idle', 'measuring', 'armed' or 'processing'
+    this.chunks = [];                   // Recorded blocks of the analysed channel
+    this.recordedLength = 0;
+    this.triggerIndex = null;           // Sample index where the impulse crossed the trigger level
+    this.onCaptured = null;             // Called with the recording when an impulse capture completes
+    this.armTimer = null;
+    this.result = null;                 // { ir, sampleRate, method, onset, end, curve, bands, broadband }
+  }
+
+  /**
+   * Connect the recorder tap of a running analyzer (null when it stops)
+   * @param {object|null} recorder - { setRecording(boolean) }
+   * @param {number} sampleRate - Sample rate in Hz
+   */
+  attachRecorder(recorder, sampleRate) {
+    if (!recorder) {
+      this.cancel();
+    }
+    this.recorder = recorder;
+    this.sampleRate = sampleRate;
+  }
+
+  /**
+   * Select the measurement method
+   * @param {string} method - 'sweep' or 'impulse'
+   */
+  setMethod(method) {
+    if (method === 'sweep' || method === 'impulse') {
+      this.method = method;
+    }
+  }
+
+  /**
+   * Select the analysed input channel
+   * @param {string} channel - 'left' or 'right'
+   */
+  setChannel(channel) {
+    this.channel = channel === 'right' ? 1 : 0;
+  }
+
+  /**
+   * Set the recording time after the sweep or trigger
+   * @param {number} seconds - Tail length in seconds
+   */
+  setTailLength(seconds) {
+    this.tailLength = Math.max(0.5, Math.min(10, seconds));
+  }
+
+  /**
+   * Start or stop collecting input samples
+   * @param {string} state - New measurement state ('idle' stops recording)
+   */
+  setState(state) {
+    this.state = state;
+    const recording = state === 'measuring' || state === 'armed';
+    if (recording) {
+      this.chunks = [];
+      this.recordedLength = 0;
+      this.triggerIndex = null;
+    }
+    if (this.recorder) {
+      this.recorder.setRecording(recording);
+    }
+  }
+
+  /**
+   * Receive one block of input samples from the recorder tap
+   * @param {Array<Float32Array>} channels - Samples per input channel
+   */
+  addSamples(channels) {
+    if (this.state !== 'measuring' && this.state !== 'armed') {
+      return;
+    }
+
+    const samples = channels[Math.min(this.channel, channels.length - 1)];
+    this.chunks.push(samples.slice());
+    this.recordedLength += samples.length;
+
+    if (this.state !== 'armed') {
+      return;
+    }
+
+    if (this.triggerIndex === null) {
+      const start = this.recordedLength - samples.length;
+      for (let i = 0; i < samples.length; i++) {
+        if (Math.abs(samples[i]) >= this.triggerLevel) {
+          this.triggerIndex = start + i;
+          break;
+        }
+      }
+
+      // Keep only the pre-trigger history while waiting
+      const keep = Math.round(this.preTrigger * this.sampleRate) + samples.length;
+      while (this.triggerIndex === null && this.chunks.length > 1 && this.recordedLength - this.chunks[0].length >= keep) {
+        this.recordedLength -= this.chunks.shift().length;
+      }
+    }
+
+    if (this.triggerIndex !== null && this.recordedLength - this.triggerIndex >= this.tailLength * this.sampleRate) {
+      const recording = this.takeRecording();
+      if (this.onCaptured) {
+        this.onCaptured(recording);
+      }
+    }
+  }
+
+  /**
+   * Stop recording and return the collected samples as one array
+   * @returns {Float32Array} Recorded samples
+   */
+  takeRecording() {
+    const recording = new Float32Array(this.recordedLength);
+    let offset = 0;
+    this.chunks.forEach((chunk) => {
+      recording.set(chunk, offset);
+      offset += chunk.length;
+    });
+    this.chunks = [];
+    this.setState('processing');
+    return recording;
+  }
+
+  /**
+   * Abort a running measurement
+   */
+  cancel() {
+    clearTimeout(this.armTimer);
+    this.armTimer = null;
+    this.onCaptured = null;
+    this.chunks = [];
+    if (this.state !== 'idle') {
+      this.setState('idle');
+    }
+  }
+
+  /**
+   * Measure with the generator: record while a log sweep plays, then deconvolve
+   * @param {SignalGenerator} generator - Generator used to play the sweep (level and routing)
+   * @param {number} sweepDuration - Sweep length in seconds
+   * @returns {Promise<object>} Analysis result
+   */
+  async measureSweep(generator, sweepDuration) {
+    if (!this.recorder) {
+      throw new Error('Start the analyzer first');
+    }
+    if (generator.playing) {
+      throw new Error('Stop the generator first');
+    }
+
+    const sampleRate = this.sampleRate;
+    const endFrequency = Math.min(this.sweepEnd, sampleRate * 0.45);
+    const sweep = SignalGenerator.generateLogSweep(sampleRate, this.sweepStart, endFrequency, sweepDuration);
+
+    this.setState('measuring');
+    const playback = generator.playOnce(sweep);
+    if (!playback) {
+      this.cancel();
+      throw new Error('Start the analyzer first');
+    }
+    await playback;
+    await new Promise((resolve) => setTimeout(resolve, this.tailLength * 1000));
+    if (this.state !== 'measuring') {
+      throw new Error('Measurement cancelled');
+    }
+
+    const recording = this.takeRecording();
+    const inverse = ImpulseResponse.inverseSweep(sweep, sampleRate, this.sweepStart, endFrequency);
+    const ir = ImpulseResponse.deconvolve(recording, inverse, sweep.length, Math.round(0.01 * sampleRate));
+    return this.setResult(ir, sampleRate, 'sweep');
+  }
+
+  /**
+   * Measure an impulsive sound: wait for the input to cross the trigger level, then record the decay
+   * @returns {Promise<object>} Analysis result
+   */
+  measureImpulse() {
+    if (!this.recorder) {
+      return Promise.reject(new Error('Start the analyzer first'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.setState('armed');
+      this.armTimer = setTimeout(() => {
+        this.cancel();
+        reject(new Error('No impulse detected'));
+      }, this.armTimeout * 1000);
+      this.onCaptured = (recording) => {
+        clearTimeout(this.armTimer);
+        this.onCaptured = null;
+        resolve(this.setResult(recording, this.sampleRate, 'impulse'));
+      };
+    });
+  }
+
+  /**
+   * Analyse a captured impulse response and keep it for display
+   * @param {Float32Array} ir - Impulse response
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {string} method - 'sweep' or 'impulse'
+   * @returns {object} Analysis result
+   */
+  setResult(ir, sampleRate, method) {
+    const analysis = ImpulseResponse.analyze(ir, sampleRate);
+    this.result = { ir, sampleRate, method, ...analysis };
+    this.setState('idle');
+    return this.result;
+  }
+
+  /**
+   * Measurement data in the form stored by the server (/api/measurements)
+   * @returns {object|null} Measurement, or null if nothing has been measured
+   */
+  toMeasurement() {
+    if (!this.result) {
+      return null;
+    }
+    return {
+      type: 'rt60',
+      method: this.result.method,
+      sampleRate: this.result.sampleRate,
+      bands: this.result.bands.map(({ label, frequency, edt, t20, t30, rt60 }) => ({ label, frequency, edt, t20, t30, rt60 })),
+      broadband: this.result.broadband
+    };
+  }
+
+  /**
+   * Inverse filter for an exponential sweep: the time-reversed sweep with a
+   * -6 dB/octave amplitude envelope, so sweep * inverse is a band-limited impulse
+   * @param {Float32Array} sweep - Sweep samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} startFrequency - Sweep start frequency in Hz
+   * @param {number} endFrequency - Sweep end frequency in Hz
+   * @returns {Float32Array} Inverse filter
+   */
+  static inverseSweep(sweep, sampleRate, startFrequency, endFrequency) {
+    const length = sweep.length;
+    const duration = length / sampleRate;
+    const rate = Math.log(endFrequency / startFrequency);
+    const inverse = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      inverse[i] = sweep[length - 1 - i] * Math.exp(-i / sampleRate * rate / duration);
+    }
+    return inverse;
+  }
+
+  /**
+   * FFT convolution of a recording with the inverse sweep
+   * Harmonic distortion products land before the linear response, so the result is
+   * cut to start shortly before the sweep-aligned position and normalised to a peak of 1.
+   * @param {Float32Array} recording - Recorded samples (sweep plus decay)
+   * @param {Float32Array} inverse - Inverse sweep filter
+   * @param {number} sweepLength - Sweep length in samples
+   * @param {number} preRoll - Samples kept before the aligned position
+   * @returns {Float32Array} Impulse response
+   */
+  static deconvolve(recording, inverse, sweepLength, preRoll) {
+    let size = 1;
+    while (size < recording.length + inverse.length) {
+      size <<= 1;
+    }
+
+    const aRe = new Float64Array(size);
+    const aIm = new Float64Array(size);
+    const bRe = new Float64Array(size);
+    const bIm = new Float64Array(size);
+    aRe.set(recording);
+    bRe.set(inverse);
+    TransferFunctionEngine.fft(aRe, aIm);
+    TransferFunctionEngine.fft(bRe, bIm);
+
+    // Multiply the spectra, then inverse FFT via conjugation
+    for (let k = 0; k < size; k++) {
+      const re = aRe[k] * bRe[k] - aIm[k] * bIm[k];
+      const im = aRe[k] * bIm[k] + aIm[k] * bRe[k];
+      aRe[k] = re;
+      aIm[k] = -im;
+    }
+    TransferFunctionEngine.fft(aRe, aIm);
+
+    const start = Math.max(0, sweepLength - 1 - preRoll);
+    const length = Math.max(0, recording.length - sweepLength + 1 + preRoll);
+    const ir = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      ir[i] = aRe[start + i] / size;
+    }
+    return SignalGenerator.normalize(ir);
+  }
+
+  /**
+   * Start of the response: first sample within 20 dB of the peak (ISO 3382-1)
+   * @param {Float32Array} ir - Impulse response
+   * @returns {number} Sample index
+   */
+  static findOnset(ir) {
+    let peak = 0;
+    for (let i = 0; i < ir.length; i++) {
+      peak = Math.max(peak, Math.abs(ir[i]));
+    }
+    for (let i = 0; i < ir.length; i++) {
+      if (Math.abs(ir[i]) >= peak * 0.1) {
+        return i;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Noise floor estimated from the last 10% of the response
+   * @param {Float32Array} ir - Impulse response
+   * @returns {number} Mean-square noise power
+   */
+  static noiseFloor(ir) {
+    const tailStart = Math.floor(ir.length * 0.9);
+    let noise = 0;
+    for (let i = tailStart; i < ir.length; i++) {
+      noise += ir[i] * ir[i];
+    }
+    return noise / Math.max(1, ir.length - tailStart);
+  }
+
+  /**
+   * Mean-square power of consecutive 10 ms blocks from the onset
+   * @param {Float32Array} ir - Impulse response
+   * @param {number} onset - Start of the response
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {{block: number, powers: Array<number>}} Block length in samples and block powers
+   */
+  static blockPowers(ir, onset, sampleRate) {
+    const block = Math.max(1, Math.round(0.01 * sampleRate));
+    const powers = [];
+    for (let start = onset; start + block <= ir.length; start += block) {
+      let energy = 0;
+      for (let i = start; i < start + block; i++) {
+        energy += ir[i] * ir[i];
+      }
+      powers.push(energy / block);
+    }
+    return { block, powers };
+  }
+
+  /**
+   * End of the usable decay: where the 10 ms energy envelope meets the noise floor
+   * plus 5 dB; a simplified Lundeby truncation
+   * @param {Float32Array} ir - Impulse response
+   * @param {number} onset - Start of the response
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {number} Sample index (exclusive)
+   */
+  static findTruncation(ir, onset, sampleRate) {
+    const limit = ImpulseResponse.noiseFloor(ir) * Math.pow(10, 5 / 10);
+    const { block, powers } = ImpulseResponse.blockPowers(ir, onset, sampleRate);
+    const index = powers.findIndex((power) => power <= limit);
+    return index < 0 ? ir.length : onset + index * block;
+  }
+
+  /**
+   * Decay range available above the noise floor (strongest 10 ms block vs noise)
+   * @param {Float32Array} ir - Impulse response
+   * @param {number} onset - Start of the response
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {number} Dynamic range in dB (Infinity for a noise-free response)
+   */
+  static dynamicRange(ir, onset, sampleRate) {
+    const peak = Math.max(0, ...ImpulseResponse.blockPowers(ir, onset, sampleRate).powers);
+    const noise = ImpulseResponse.noiseFloor(ir);
+    return noise > 0 ? 10 * Math.log10(peak / noise) : Infinity;
+  }
+
+  /**
+   * Schroeder backward integration as a decay curve in dB (0 dB at the onset)
+   * @param {Float32Array} ir - Impulse response
+   * @param {number} onset - First sample
+   * @param {number} end - Last sample (exclusive)
+   * @returns {Float32Array} Decay curve from onset to end
+   */
+  static schroeder(ir, onset, end) {
+    const curve = new Float32Array(Math.max(0, end - onset));
+    let energy = 0;
+    for (let i = end - 1; i >= onset; i--) {
+      energy += ir[i] * ir[i];
+      curve[i - onset] = energy;
+    }
+    const total = curve[0] || 1;
+    for (let i = 0; i < curve.length; i++) {
+      curve[i] = curve[i] > 0 ? 10 * Math.log10(curve[i] / total) : -Infinity;
+    }
+    return curve;
+  }
+
+  /**
+   * Decay time from a least-squares line fitted between two decay curve levels, extrapolated to 60 dB
+   * @param {Float32Array} curve - Schroeder decay curve in dB
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} fromDB - Upper evaluation level (e.g. -5)
+   * @param {number} toDB - Lower evaluation level (e.g. -35)
+   * @returns {number|null} Decay time in seconds, or null if the curve does not reach toDB
+   */
+  static fitDecay(curve, sampleRate, fromDB, toDB) {
+    let first = -1;
+    let last = -1;
+    for (let i = 0; i < curve.length; i++) {
+      if (first < 0 && curve[i] <= fromDB) {
+        first = i;
+      }
+      if (curve[i] <= toDB) {
+        last = i;
+        break;
+      }
+    }
+    if (first < 0 || last <= first) {
+      return null;
+    }
+
+    let sumT = 0, sumL = 0, sumTT = 0, sumTL = 0;
+    const n = last - first + 1;
+    for (let i = first; i <= last; i++) {
+      const t = i / sampleRate;
+      sumT += t;
+      sumL += curve[i];
+      sumTT += t * t;
+      sumTL += t * curve[i];
+    }
+    const slope = (n * sumTL - sumT * sumL) / (n * sumTT - sumT * sumT);   // dB per second
+    return slope < 0 ? -60 / slope : null;
+  }
+
+  /**
+   * EDT, T20, T30 and RT60 of one (band-filtered) impulse response
+   * A decay time is only fitted if its evaluation range ends at least 10 dB above the noise floor.
+   * @param {Float32Array} ir - Impulse response
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {object} { edt, t20, t30, rt60, onset, end, curve } (decay times in seconds or null)
+   */
+  static analyzeDecay(ir, sampleRate) {
+    const onset = ImpulseResponse.findOnset(ir);
+    const end = ImpulseResponse.findTruncation(ir, onset, sampleRate);
+    const curve = ImpulseResponse.schroeder(ir, onset, end);
+    const range = ImpulseResponse.dynamicRange(ir, onset, sampleRate);
+    const fit = (fromDB, toDB) => (range >= 10 - toDB ? ImpulseResponse.fitDecay(curve, sampleRate, fromDB, toDB) : null);
+    const edt = fit(0, -10);
+    const t20 = fit(-5, -25);
+    const t30 = fit(-5, -35);
+    return { edt, t20, t30, rt60: t30 !== null ? t30 : t20, onset, end, curve };
+  }
+
+  /**
+   * Broadband and octave band (63 Hz - 8 kHz) reverberation analysis
+   * @param {Float32Array} ir - Impulse response
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {object} { onset, end, curve, broadband, bands: [{ label, frequency, edt, t20, t30, rt60 }] }
+   */
+  static analyze(ir, sampleRate) {
+    const { onset, end, curve, ...broadband } = ImpulseResponse.analyzeDecay(ir, sampleRate);
+
+    const octaves = new OctaveBandAnalyzer();
+    octaves.setResolution(1);
+    const bands = octaves.getBands(63, 8000)
+      .filter((band) => band.upper < sampleRate * 0.45)
+      .map((band) => {
+        const filtered = BandCorrelation.filter(ir, BandCorrelation.designBandPass(band.lower, band.upper, sampleRate));
+        const { edt, t20, t30, rt60 } = ImpulseResponse.analyzeDecay(filtered, sampleRate);
+        return { label: octaves.formatLabel(band.nominal), frequency: band.nominal, edt, t20, t30, rt60 };
+      });
+
+    return { onset, end, curve, broadband, bands };
+  }
+
+  /**
+   * Time range shown in the view: 10 ms before the onset to the end of the decay
+   * @returns {{start: number, end: number}} Sample indices
+   */
+  getDisplayRange() {
+    const { ir, sampleRate, onset, end } = this.result;
+    const start = Math.max(0, onset - Math.round(0.01 * sampleRate));
+    return { start, end: Math.min(ir.length, Math.max(end, onset + Math.round(0.1 * sampleRate))) };
+  }
+
+  /**
+   * Convert a level below the peak to a y coordinate
+   * @param {number} dB - Level in dB (0 at the top)
+   * @returns {number} Y coordinate
+   */
+  levelToPixel(dB) {
+    const clamped = Math.max(-this.rangeDB, Math.min(0, dB));
+    return this.analyzer.plotTop - clamped / this.rangeDB * this.analyzer.plotHeight;
+  }
+
+  /**
+   * Draw the impulse response level (grey), the Schroeder decay curve (yellow) and the results panel
+   */
+  draw() {
+    const ctx = this.analyzer.ctx;
+    this.drawGrid();
+
+    if (!this.result) {
+      const messages = {
+        measuring: 'Measuring...',
+        armed: 'Waiting for impulse...',
+        processing: 'Processing...'
+      };
+      this.drawMessage(messages[this.state] || 'No impulse response yet - measure one in the Impulse tab');
+      return;
+    }
+
+    const { ir, sampleRate, onset, curve } = this.result;
+    const { start, end } = this.getDisplayRange();
+    const samplesPerPixel = (end - start) / this.analyzer.plotWidth;
+
+    // === IMPULSE RESPONSE LEVEL (peak per pixel column) ===
+    ctx.fillStyle = 'rgba(150, 150, 150, 0.6)';
+    for (let x = 0; x < this.analyzer.plotWidth; x++) {
+      const from = start + Math.floor(x * samplesPerPixel);
+      const to = Math.max(from + 1, start + Math.floor((x + 1) * samplesPerPixel));
+      let peak = 0;
+      for (let i = from; i < to && i < ir.length; i++) {
+        peak = Math.max(peak, Math.abs(ir[i]));
+      }
+      if (peak > 0) {
+        const y = this.levelToPixel(20 * Math.log10(peak));
+        ctx.fillRect(this.analyzer.plotLeft + x, y, 1, this.analyzer.plotBottom - y);
+      }
+    }
+
+    // === SCHROEDER DECAY CURVE ===
+    ctx.strokeStyle = '#ffcc00';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let started = false;
+    for (let x = 0; x < this.analyzer.plotWidth; x++) {
+      const index = start + Math.floor(x * samplesPerPixel) - onset;
+      if (index < 0 || index >= curve.length || !isFinite(curve[index])) {
+        continue;
+      }
+      const y = this.levelToPixel(curve[index]);
+      if (started) {
+        ctx.lineTo(this.analyzer.plotLeft + x, y);
+      } else {
+        ctx.moveTo(this.analyzer.plotLeft + x, y);
+        started = true;
+      }
+    }
+    ctx.stroke();
+
+    this.drawResults(sampleRate);
+  }
+
+  /**
+   * Draw the per-band decay times in a panel in the bottom-left corner of the plot
+   * @param {number} sampleRate - Sample rate of the measurement
+   */
+  drawResults(sampleRate) {
+    const ctx = this.analyzer.ctx;
+    const rows = [...this.result.bands, { label: 'Broadband', ...this.result.broadband }];
+    const columns = ['EDT', 'T20', 'T30', 'RT60'];
+    const keys = ['edt', 't20', 't30', 'rt60'];
+    const rowHeight = 15;
+    const width = 270;
+    const height = 24 + (rows.length + 1) * rowHeight;
+    const x = this.analyzer.plotLeft + 10;
+    const y = this.analyzer.plotBottom - 10 - height;
+
+    ctx.fillStyle = 'rgba(17, 17, 17, 0.85)';
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeStyle = '#555';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, width, height);
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`Reverberation (s) - ${this.result.method === 'sweep' ? 'sweep' : 'impulse'}, ${sampleRate / 1000} kHz`, x + 6, y + 4);
+
+    ctx.font = '11px Arial';
+    ctx.textBaseline = 'middle';
+    const rowY = (row) => y + 24 + row * rowHeight + rowHeight / 2;
+    ctx.fillStyle = '#aaa';
+    ctx.textAlign = 'right';
+    columns.forEach((column, c) => ctx.fillText(column, x + 110 + c * 48, rowY(0)));
+
+    rows.forEach((row, r) => {
+      ctx.fillStyle = '#ccc';
+      ctx.textAlign = 'left';
+      ctx.fillText(row.label, x + 6, rowY(r + 1));
+      ctx.textAlign = 'right';
+      keys.forEach((key, c) => {
+        ctx.fillText(row[key] === null ? '--' : row[key].toFixed(2), x + 110 + c * 48, rowY(r + 1));
+      });
+    });
+  }
+
+  /**
+   * Draw the level grid (10 dB steps) and time grid lines
+   */
+  drawGrid() {
+    const ctx = this.analyzer.ctx;
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+
+    for (let dB = 0; dB >= -this.rangeDB; dB -= 10) {
+      const y = this.levelToPixel(dB);
+      ctx.beginPath();
+      ctx.moveTo(this.analyzer.plotLeft, y);
+      ctx.lineTo(this.analyzer.plotRight, y);
+      ctx.stroke();
+    }
+
+    this.getTimeTicks().forEach(({ x }) => {
+      ctx.beginPath();
+      ctx.moveTo(x, this.analyzer.plotTop);
+      ctx.lineTo(x, this.analyzer.plotBottom);
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * Time axis ticks relative to the onset
+   * @returns {Array<{x: number, label: string}>} Tick positions and labels
+   */
+  getTimeTicks() {
+    if (!this.result) {
+      return [];
+    }
+    const { sampleRate, onset } = this.result;
+    const { start, end } = this.getDisplayRange();
+    const duration = (end - start) / sampleRate;
+    const step = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2].find((s) => duration / s <= 10) || 5;
+
+    const ticks = [];
+    for (let t = 0; t <= (end - onset) / sampleRate; t += step) {
+      const x = this.analyzer.plotLeft + (onset + t * sampleRate - start) / (end - start) * this.analyzer.plotWidth;
+      const label = step < 1 ? `${Math.round(t * 1000)} ms` : `${t.toFixed(0)} s`;
+      ticks.push({ x, label });
+    }
+    return ticks;
+  }
+
+  /**
+   * Draw the level ruler on the left and the time ruler below the plot
+   */
+  drawRuler() {
+    const ctx = this.analyzer.ctx;
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let dB = 0; dB >= -this.rangeDB; dB -= 10) {
+      ctx.fillText(`${dB}`, this.analyzer.plotLeft - 2, this.levelToPixel(dB));
+    }
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    this.getTimeTicks().forEach(({ x, label }) => {
+      ctx.fillText(label, x, this.analyzer.plotBottom + 5);
+    });
+  }
+
+  /**
+   * Draw a centred message in the plot area
+   * @param {string} message - Text to show
+   */
+  drawMessage(message) {
+    const ctx = this.analyzer.ctx;
+    ctx.fillStyle = '#aaa';
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(message, this.analyzer.plotLeft + this.analyzer.plotWidth / 2, this.analyzer.plotTop + this.analyzer.plotHeight / 2);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImpulseResponse;
+}
+
+// === AUDIO WORKLET REGISTRATION ===
+// When loaded with audioWorklet.addModule(), forward input blocks to the main thread
+// while a measurement is recording. Recording is switched on and off with port messages.
+if (typeof registerProcessor === 'function') {
+  class ImpulseResponseRecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+      super();
+      this.recording = false;
+      this.port.onmessage = (event) => {
+        if (event.data.recording !== undefined) this.recording = event.data.recording;
+      };
+    }
+
+    process(inputs) {
+      const input = inputs[0];
+      if (this.recording && input && input.length > 0) {
+        this.port.postMessage(input.map((channel) => channel.slice()));
+      }
+      return true;
+    }
+  }
+
+  registerProcessor('impulse-response-recorder', ImpulseResponseRecorderProcessor);
+}
@@ -0,0 +1,364 @@
+/**
+ * Long-term level logging - interval summaries for the server log and the history chart
+ *
+ * LevelLogger condenses the meter frames of each logging interval into one summary
+ * (highest peak, energy-averaged RMS and loudness, interval correlation) and queues it
+ * for POST /api/levels. LevelHistoryChart draws the downsampled history returned by
+ * GET /api/levels/history.
+ *
+ * Levels are logged in dBFS on the left/right input (M/S frames are decoded first),
+ * independent of the meter ballistics and the SPL calibration.
+ */
+
+/**
+ * LevelLogger - Collects meter frames into periodic level summaries
+ */
+class LevelLogger {
+  constructor() {
+    // === SETTINGS ===
+    this.enabled = true;                // Whether summaries are collected and posted
+    this.interval = 10;                 // Summary interval in seconds
+
+    // === SUMMARY QUEUE ===
+    this.pending = [];                  // Summaries waiting to be posted (kept while the server is unreachable)
+
+    this.reset();
+  }
+
+  /**
+   * Turn logging on or off (a partial interval is discarded)
+   * @param {boolean} enabled - Whether to log
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.reset();
+  }
+
+  /**
+   * Select the summary interval (a partial interval is discarded)
+   * @param {number} seconds - One of INTERVALS
+   */
+  setInterval(seconds) {
+    if (!LevelLogger.INTERVALS.includes(seconds)) return;
+    this.interval = seconds;
+    this.reset();
+  }
+
+  /**
+   * Start a new interval with the next frame
+   */
+  reset() {
+    this.intervalStart = null;          // Time of the first frame in the interval (ms)
+    this.lastFrameTime = null;          // Time of the latest frame (ms)
+    this.frames = 0;
+    this.stereo = false;
+    this.peakLeft = 0;                  // Highest absolute sample values
+    this.peakRight = 0;
+    this.sumSquaresLeft = 0;            // Sums of per-frame mean squares (for the RMS)
+    this.sumSquaresRight = 0;
+    this.sumProduct = 0;                // Sums of per-frame mean L·R (for the correlation)
+    this.loudnessPower = 0;             // Sum of momentary loudness powers
+    this.loudnessFrames = 0;            // Frames with a momentary loudness reading
+  }
+
+  /**
+   * Add one meter frame
+   * @param {Float32Array} timeDataLeft - Left (or Mid, or mono) samples
+   * @param {Float32Array|null} timeDataRight - Right (or Side) samples, null for mono input
+   * @param {number|null} midSideScale - Encoder scale when the frames are M/S (M = s·(L+R)), null for L/R
+   * @param {number} loudness - Momentary loudness in LUFS (-Infinity when unavailable)
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True when the frame completed a summary (see takePending)
+   */
+  addFrame(timeDataLeft, timeDataRight, midSideScale, loudness, now = Date.now()) {
+    if (!this.enabled) {
+      return false;
+    }
+    // Frames stop while the page is hidden or the analyzer is stopped; a stalled interval is
+    // discarded so a summary never spans a gap in the measurement
+    if (this.intervalStart !== null && now - this.lastFrameTime > this.interval * 1000) {
+      this.reset();
+    }
+    if (this.intervalStart === null) {
+      this.intervalStart = now;
+    }
+    this.lastFrameTime = now;
+
+    // === FRAME LEVELS ===
+    // M/S frames are decoded back to L/R: L = (M + S) / 2s, R = (M - S) / 2s
+    const decode = midSideScale ? 1 / (2 * midSideScale) : 0;
+    let peakLeft = 0;
+    let peakRight = 0;
+    let squaresLeft = 0;
+    let squaresRight = 0;
+    let product = 0;
+    for (let i = 0; i < timeDataLeft.length; i++) {
+      let left = timeDataLeft[i];
+      let right = timeDataRight ? timeDataRight[i] : 0;
+      if (decode && timeDataRight) {
+        const mid = left;
+        left = (mid + right) * decode;
+        right = (mid - right) * decode;
+      }
+      peakLeft = Math.max(peakLeft, Math.abs(left));
+      peakRight = Math.max(peakRight, Math.abs(right));
+      squaresLeft += left * left;
+      squaresRight += right * right;
+      product += left * right;
+    }
+
+    const length = timeDataLeft.length;
+    this.frames++;
+    this.stereo = timeDataRight !== null;
+    this.peakLeft = Math.max(this.peakLeft, peakLeft);
+    this.peakRight = Math.max(this.peakRight, peakRight);
+    this.sumSquaresLeft += squaresLeft / length;
+    this.sumSquaresRight += squaresRight / length;
+    this.sumProduct += product / length;
+    if (isFinite(loudness)) {
+      this.loudnessPower += Math.pow(10, loudness / 10);
+      this.loudnessFrames++;
+    }
+
+    // === COMPLETE THE INTERVAL ===
+    if (now - this.intervalStart < this.interval * 1000) {
+      return false;
+    }
+    this.pending.push(this.createSummary(now));
+    if (this.pending.length > LevelLogger.MAX_PENDING) {
+      this.pending.shift();
+    }
+    this.reset();
+    this.intervalStart = now;           // The next interval follows on without drift
+    this.lastFrameTime = now;
+    return true;
+  }
+
+  /**
+   * Summary of the current interval
+   * @param {number} now - End time of the interval in milliseconds
+   * @returns {object} { time, duration, peakLeft, peakRight, rmsLeft, rmsRight, correlation, loudness }
+   */
+  createSummary(now) {
+    const amplitudeDB = (amplitude) => Math.max(LevelLogger.FLOOR_DB, 20 * Math.log10(amplitude));
+    const powerDB = (power) => Math.max(LevelLogger.FLOOR_DB, 10 * Math.log10(power));
+    const round = (value) => Math.round(value * 100) / 100;
+    const energy = this.sumSquaresLeft * this.sumSquaresRight;
+
+    return {
+      time: now,
+      duration: round((now - this.intervalStart) / 1000) || this.interval,
+      peakLeft: round(amplitudeDB(this.peakLeft)),
+      peakRight: this.stereo ? round(amplitudeDB(this.peakRight)) : null,
+      rmsLeft: round(powerDB(this.sumSquaresLeft / this.frames)),
+      rmsRight: this.stereo ? round(powerDB(this.sumSquaresRight / this.frames)) : null,
+      correlation: this.stereo && energy > 0 ? round(this.sumProduct / Math.sqrt(energy)) : null,
+      loudness: this.loudnessFrames > 0 ? round(powerDB(this.loudnessPower / this.loudnessFrames)) : null
+    };
+  }
+
+  /**
+   * Remove and return the queued summaries for posting
+   * @returns {Array<object>} Summaries, oldest first
+   */
+  takePending() {
+    const samples = this.pending;
+    this.pending = [];
+    return samples;
+  }
+
+  /**
+   * Put summaries back at the front of the queue after a failed post
+   * @param {Array<object>} samples - Summaries returned by takePending()
+   */
+  requeue(samples) {
+    this.pending = samples.concat(this.pending).slice(-LevelLogger.MAX_PENDING);
+  }
+}
+
+// Supported summary intervals in seconds
+LevelLogger.INTERVALS = [1, 5, 10, 30, 60];
+
+// Summaries kept while the server cannot be reached (1 hour at the default interval)
+LevelLogger.MAX_PENDING = 360;
+
+// Lowest logged level (digital silence)
+LevelLogger.FLOOR_DB = -120;
+
+/**
+ * LevelHistoryChart - Draws the logged peak, RMS, loudness and correlation history
+ */
+class LevelHistoryChart {
+  /**
+   * @param {HTMLCanvasElement} canvas - Chart canvas (drawn at its attribute size)
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.history = null;                // Last result of GET /api/levels/history
+
+    // === LAYOUT ===
+    this.margin = { left: 40, right: 10, top: 22, bottom: 20 };
+    this.correlationHeight = 40;        // Height of the correlation strip below the level plot
+    this.minDB = -80;                   // Level axis range in dBFS / LUFS
+    this.maxDB = 0;
+  }
+
+  /**
+   * Show a new history and redraw
+   * @param {object} history - { from, to, resolution, points }
+   */
+  setHistory(history) {
+    this.history = history;
+    this.draw();
+  }
+
+  /**
+   * Redraw the chart
+   */
+  draw() {
+    const ctx = this.ctx;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const margin = this.margin;
+    const plotLeft = margin.left;
+    const plotRight = width - margin.right;
+    const levelTop = margin.top;
+    const levelBottom = height - margin.bottom - this.correlationHeight - 8;
+    const correlationTop = levelBottom + 8;
+    const correlationBottom = height - margin.bottom;
+
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '10px Arial';
+    ctx.lineWidth = 1;
+
+    // === LEVEL GRID ===
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let level = this.minDB; level <= this.maxDB; level += 10) {
+      const y = this.levelToY(level, levelTop, levelBottom);
+      ctx.strokeStyle = '#333';
+      ctx.beginPath();
+      ctx.moveTo(plotLeft, y);
+      ctx.lineTo(plotRight, y);
+      ctx.stroke();
+      ctx.fillStyle = '#888';
+      ctx.fillText(String(level), plotLeft - 4, y);
+    }
+
+    // === CORRELATION GRID ===
+    [-1, 0, 1].forEach((value) => {
+      const y = correlationBottom - (value + 1) / 2 * (correlationBottom - correlationTop);
+      ctx.strokeStyle = value === 0 ? '#444' : '#333';
+      ctx.beginPath();
+      ctx.moveTo(plotLeft, y);
+      ctx.lineTo(plotRight, y);
+      ctx.stroke();
+      ctx.fillStyle = '#888';
+      ctx.fillText(value > 0 ? '+1' : String(value), plotLeft - 4, y);
+    });
+
+    // === LEGEND ===
+    ctx.textAlign = 'left';
+    let legendX = plotLeft;
+    LevelHistoryChart.SERIES.forEach((series) => {
+      ctx.fillStyle = series.color;
+      ctx.fillRect(legendX, 6, 10, 3);
+      ctx.fillStyle = '#aaa';
+      ctx.fillText(series.label, legendX + 14, 8);
+      legendX += ctx.measureText(series.label).width + 28;
+    });
+
+    const history = this.history;
+    if (!history || history.points.length === 0) {
+      ctx.fillStyle = '#888';
+      ctx.textAlign = 'center';
+      ctx.fillText(history ? 'No levels logged in this period' : 'Loading...', (plotLeft + plotRight) / 2, (levelTop + levelBottom) / 2);
+      return;
+    }
+
+    // === TIME AXIS ===
+    const timeToX = (time) => plotLeft + (time - history.from) / (history.to - history.from) * (plotRight - plotLeft);
+    ctx.fillStyle = '#888';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    const span = history.to - history.from;
+    for (let i = 0; i <= 4; i++) {
+      const time = history.from + span * i / 4;
+      ctx.fillText(LevelHistoryChart.formatTime(time, span), timeToX(time), correlationBottom + 4);
+    }
+
+    // === TRACES ===
+    // Points further apart than the resolution have a logging gap between them
+    const maxGap = history.resolution * 1000 * 1.5;
+    LevelHistoryChart.SERIES.forEach((series) => {
+      const valueToY = series.key === 'correlation'
+        ? (value) => correlationBottom - (value + 1) / 2 * (correlationBottom - correlationTop)
+        : (value) => this.levelToY(value, levelTop, levelBottom);
+
+      ctx.strokeStyle = series.color;
+      ctx.beginPath();
+      let previousTime = null;
+      history.points.forEach((point) => {
+        const value = series.value(point);
+        if (value === null) {
+          previousTime = null;
+          return;
+        }
+        const x = timeToX(point.time + history.resolution * 500);  // Centre of the point's interval
+        const y = valueToY(value);
+        if (previousTime === null || point.time - previousTime > maxGap) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+        previousTime = point.time;
+      });
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * Vertical position of a level, clamped to the plot
+   * @param {number} level - Level in dB
+   * @param {number} top - Plot top
+   * @param {number} bottom - Plot bottom
+   * @returns {number} Y coordinate
+   */
+  levelToY(level, top, bottom) {
+    const clamped = Math.max(this.minDB, Math.min(this.maxDB, level));
+    return bottom - (clamped - this.minDB) / (this.maxDB - this.minDB) * (bottom - top);
+  }
+
+  /**
+   * Time axis label: time of day, with the date for spans over one day
+   * @param {number} time - Milliseconds since the epoch
+   * @param {number} span - Chart span in milliseconds
+   * @returns {string} Label in local time
+   */
+  static formatTime(time, span) {
+    const date = new Date(time);
+    const clock = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    return span > 24 * 3600 * 1000 ? `${date.getDate()}/${date.getMonth() + 1} ${clock}` : clock;
+  }
+}
+
+// Chart traces: label, colour and the value of a history point (null leaves a gap)
+LevelHistoryChart.SERIES = [
+  {
+    key: 'peak',
+    label: 'Peak',
+    color: '#ff6b6b',
+    value: (point) => (point.peakRight === null ? point.peakLeft : Math.max(point.peakLeft, point.peakRight))
+  },
+  { key: 'rmsLeft', label: 'RMS L', color: '#4caf50', value: (point) => point.rmsLeft },
+  { key: 'rmsRight', label: 'RMS R', color: '#26a69a', value: (point) => point.rmsRight },
+  { key: 'loudness', label: 'LUFS', color: '#ffd54f', value: (point) => point.loudness },
+  { key: 'correlation', label: 'Correlation', color: '#64b5f6', value: (point) => point.correlation }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LevelLogger, LevelHistoryChart };
+}
@@ -0,0 +1,394 @@
+/**
+ * Loudness measurement - ITU-R BS.1770-4 / EBU R128
+ *
+ * LoudnessBlockAccumulator runs on the audio (K-weighting filter and 100 ms mean-square
+ * blocks); LoudnessMeter turns those blocks into momentary (400 ms), short-term (3 s),
+ * gated integrated loudness and loudness range (EBU Tech 3342).
+ *
+ * The accumulator runs inside an AudioWorklet (registered at the bottom of this file) so no
+ * samples are missed; the meter lives on the main thread so the integrated measurement
+ * survives stopping and restarting the audio graph.
+ */
+
+/**
+ * LoudnessBlockAccumulator - K-weights audio and emits one channel-summed power per 100 ms
+ */
+class LoudnessBlockAccumulator {
+  /**
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {function(number): void} onBlock - Called with the power of each completed 100 ms block
+   */
+  constructor(sampleRate, onBlock) {
+    this.sampleRate = sampleRate;
+    this.onBlock = onBlock;
+    this.blockLength = Math.round(sampleRate * LoudnessMeter.BLOCK_DURATION); // Samples per 100 ms block
+    this.coefficients = LoudnessBlockAccumulator.designKWeighting(sampleRate);
+    this.filterStates = [];              // Per-channel [shelf, high-pass] delay lines
+    this.channelSums = [];               // Per-channel sum of squared K-weighted samples
+    this.samplesInBlock = 0;             // Samples accumulated in the current block
+  }
+
+  /**
+   * Design the two K-weighting stages (BS.1770-4 pre-filter and RLB high-pass) for a sample rate
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Array<object>} Biquad coefficients: { b0, b1, b2, a1, a2 }
+   */
+  static designKWeighting(sampleRate) {
+    // Stage 1: high shelf modelling the acoustic effect of the head (+4 dB above ~1.7 kHz)
+    const shelfFrequency = 1681.974450955533;
+    const shelfGainDB = 3.999843853973347;
+    const shelfQ = 0.7071752369554196;
+    let k = Math.tan(Math.PI * shelfFrequency / sampleRate);
+    const vh = Math.pow(10, shelfGainDB / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    let a0 = 1 + k / shelfQ + k * k;
+    const shelf = {
+      b0: (vh + vb * k / shelfQ + k * k) / a0,
+      b1: 2 * (k * k - vh) / a0,
+      b2: (vh - vb * k / shelfQ + k * k) / a0,
+      a1: 2 * (k * k - 1) / a0,
+      a2: (1 - k / shelfQ + k * k) / a0
+    };
+
+    // Stage 2: revised low-frequency B-curve (RLB) high-pass at ~38 Hz
+    const highPassFrequency = 38.13547087602444;
+    const highPassQ = 0.5003270373238773;
+    k = Math.tan(Math.PI * highPassFrequency / sampleRate);
+    a0 = 1 + k / highPassQ + k * k;
+    const highPass = {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: 2 * (k * k - 1) / a0,
+      a2: (1 - k / highPassQ + k * k) / a0
+    };
+
+    return [shelf, highPass];
+  }
+
+  /**
+   * K-weight a buffer of samples and emit completed blocks
+   * All channels carry weight 1.0 (left, right or a single mono channel)
+   * @param {Array<Float32Array>} channels - Equal-length channel buffers
+   */
+  process(channels) {
+    const channelCount = channels.length;
+    while (this.filterStates.length < channelCount) {
+      this.filterStates.push(this.coefficients.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 })));
+      this.channelSums.push(0);
+    }
+
+    const length = channels[0].length;
+    let offset = 0;
+    while (offset < length) {
+      const count = Math.min(length - offset, this.blockLength - this.samplesInBlock);
+
+      for (let c = 0; c < channelCount; c++) {
+        this.channelSums[c] += this.filterSquares(channels[c], offset, count, this.filterStates[c]);
+      }
+
+      offset += count;
+      this.samplesInBlock += count;
+
+      if (this.samplesInBlock === this.blockLength) {
+        let power = 0;
+        for (let c = 0; c < channelCount; c++) {
+          power += this.channelSums[c] / this.blockLength;
+          this.channelSums[c] = 0;
+        }
+        this.samplesInBlock = 0;
+        this.onBlock(power);
+      }
+    }
+  }
+
+  /**
+   * Run samples through the K-weighting cascade and sum their squares
+   * @param {Float32Array} samples - Channel buffer
+   * @param {number} offset - First sample to process
+   * @param {number} count - Number of samples to process
+   * @param {Array<object>} states - Delay lines for each stage
+   * @returns {number} Sum of squared K-weighted samples
+   */
+  filterSquares(samples, offset, count, states) {
+    const [s, h] = this.coefficients;
+    const shelf = states[0];
+    const highPass = states[1];
+    let sum = 0;
+
+    for (let i = offset; i < offset + count; i++) {
+      const x = samples[i];
+      const y = s.b0 * x + s.b1 * shelf.x1 + s.b2 * shelf.x2 - s.a1 * shelf.y1 - s.a2 * shelf.y2;
+      shelf.x2 = shelf.x1;
+      shelf.x1 = x;
+      shelf.y2 = shelf.y1;
+      shelf.y1 = y;
+
+      const z = h.b0 * y + h.b1 * highPass.x1 + h.b2 * highPass.x2 - h.a1 * highPass.y1 - h.a2 * highPass.y2;
+      highPass.x2 = highPass.x1;
+      highPass.x1 = y;
+      highPass.y2 = highPass.y1;
+      highPass.y1 = z;
+
+      sum += z * z;
+    }
+
+    return sum;
+  }
+}
+
+/**
+ * LoudnessMeter - Momentary, short-term, integrated loudness and loudness range
+ */
+class LoudnessMeter {
+  constructor() {
+    // === CONSTANTS ===
+    this.MOMENTARY_BLOCKS = 4;           // 400 ms momentary window (in 100 ms blocks)
+    this.SHORT_TERM_BLOCKS = 30;         // 3 s short-term window (in 100 ms blocks)
+    this.ABSOLUTE_GATE = -70;            // Blocks at or below -70 LUFS are ignored
+    this.RELATIVE_GATE = -10;            // Integrated loudness relative gate (LU, BS.1770-4)
+    this.LRA_RELATIVE_GATE = -20;        // Loudness range relative gate (LU, EBU Tech 3342)
+    this.TARGETS = [-23, -16, -14];      // EBU R128 broadcast, Apple/podcast, streaming platforms
+
+    // Gated measurements use histograms of block loudness so long sessions use constant memory
+    this.HISTOGRAM_STEP = 0.01;          // Bin width in LU
+    this.HISTOGRAM_MAX = 10;             // Highest binned loudness in LUFS
+    this.HISTOGRAM_BINS = Math.round((this.HISTOGRAM_MAX - this.ABSOLUTE_GATE) / this.HISTOGRAM_STEP);
+
+    this.target = -23;                   // Selected target loudness in LUFS
+    this.reset();
+  }
+
+  /**
+   * Clear all measurements, including integrated loudness and loudness range
+   */
+  reset() {
+    this.resetWindows();
+    this.integratedHistogram = this.createHistogram();  // 400 ms gating blocks (75% overlap)
+    this.rangeHistogram = this.createHistogram();       // 3 s short-term values, one per 100 ms
+  }
+
+  /**
+   * Clear the sliding momentary/short-term windows only
+   * Used when audio restarts so a new stream doesn't average with the old one,
+   * while integrated loudness and loudness range keep accumulating until reset()
+   */
+  resetWindows() {
+    this.recentBlocks = [];              // Powers of the most recent 100 ms blocks (newest last)
+  }
+
+  /**
+   * Set the target loudness shown on the meter
+   * @param {number} target - One of TARGETS (LUFS)
+   * @returns {boolean} True if the target is supported
+   */
+  setTarget(target) {
+    if (!this.TARGETS.includes(target)) {
+      return false;
+    }
+    this.target = target;
+    return true;
+  }
+
+  /**
+   * Add one 100 ms block from LoudnessBlockAccumulator
+   * @param {number} power - Channel-summed mean square of the K-weighted block
+   */
+  addBlock(power) {
+    this.recentBlocks.push(power);
+    if (this.recentBlocks.length > this.SHORT_TERM_BLOCKS) {
+      this.recentBlocks.shift();
+    }
+
+    // Every new block completes a 400 ms gating block and (after 3 s) a short-term value
+    if (this.recentBlocks.length >= this.MOMENTARY_BLOCKS) {
+      this.addToHistogram(this.integratedHistogram, this.windowPower(this.MOMENTARY_BLOCKS));
+    }
+    if (this.recentBlocks.length >= this.SHORT_TERM_BLOCKS) {
+      this.addToHistogram(this.rangeHistogram, this.windowPower(this.SHORT_TERM_BLOCKS));
+    }
+  }
+
+  /**
+   * Momentary loudness (400 ms window)
+   * @returns {number} Loudness in LUFS (-Infinity until the window is filled)
+   */
+  getMomentary() {
+    if (this.recentBlocks.length < this.MOMENTARY_BLOCKS) {
+      return -Infinity;
+    }
+    return LoudnessMeter.powerToLoudness(this.windowPower(this.MOMENTARY_BLOCKS));
+  }
+
+  /**
+   * Short-term loudness (3 s window)
+   * @returns {number} Loudness in LUFS (-Infinity until the window is filled)
+   */
+  getShortTerm() {
+    if (this.recentBlocks.length < this.SHORT_TERM_BLOCKS) {
+      return -Infinity;
+    }
+    return LoudnessMeter.powerToLoudness(this.windowPower(this.SHORT_TERM_BLOCKS));
+  }
+
+  /**
+   * Gated integrated loudness since the last reset (absolute -70 LUFS, relative -10 LU)
+   * @returns {number} Loudness in LUFS (-Infinity if no block passed the gates)
+   */
+  getIntegrated() {
+    const histogram = this.integratedHistogram;
+    if (histogram.count === 0) {
+      return -Infinity;
+    }
+
+    const relativeGate = LoudnessMeter.powerToLoudness(histogram.power / histogram.count) + this.RELATIVE_GATE;
+    let count = 0;
+    let power = 0;
+    for (let i = this.binIndex(relativeGate); i < this.HISTOGRAM_BINS; i++) {
+      count += histogram.counts[i];
+      power += histogram.powers[i];
+    }
+
+    return count > 0 ? LoudnessMeter.powerToLoudness(power / count) : -Infinity;
+  }
+
+  /**
+   * Loudness range since the last reset (EBU Tech 3342)
+   * Spread between the 10th and 95th percentiles of gated short-term loudness
+   * @returns {number} Range in LU (0 until enough short-term values exist)
+   */
+  getLoudnessRange() {
+    const histogram = this.rangeHistogram;
+    if (histogram.count === 0) {
+      return 0;
+    }
+
+    const relativeGate = LoudnessMeter.powerToLoudness(histogram.power / histogram.count) + this.LRA_RELATIVE_GATE;
+    const firstBin = this.binIndex(relativeGate);
+    let count = 0;
+    for (let i = firstBin; i < this.HISTOGRAM_BINS; i++) {
+      count += histogram.counts[i];
+    }
+    if (count === 0) {
+      return 0;
+    }
+
+    const low = this.histogramPercentile(histogram, firstBin, count, 0.10);
+    const high = this.histogramPercentile(histogram, firstBin, count, 0.95);
+    return high - low;
+  }
+
+  /**
+   * Mean power of the newest blocks
+   * @param {number} blocks - Number of 100 ms blocks in the window
+   * @returns {number} Mean power
+   */
+  windowPower(blocks) {
+    let sum = 0;
+    for (let i = this.recentBlocks.length - blocks; i < this.recentBlocks.length; i++) {
+      sum += this.recentBlocks[i];
+    }
+    return sum / blocks;
+  }
+
+  /**
+   * Create an empty loudness histogram
+   * @returns {object} Histogram: { counts, powers, count, power }
+   */
+  createHistogram() {
+    return {
+      counts: new Uint32Array(this.HISTOGRAM_BINS),   // Blocks per bin
+      powers: new Float64Array(this.HISTOGRAM_BINS),  // Summed block power per bin
+      count: 0,                                       // Blocks above the absolute gate
+      power: 0                                        // Summed power of those blocks
+    };
+  }
+
+  /**
+   * Add a block power to a histogram (blocks below the absolute gate are discarded)
+   * @param {object} histogram - Histogram from createHistogram()
+   * @param {number} power - Block power
+   */
+  addToHistogram(histogram, power) {
+    const loudness = LoudnessMeter.powerToLoudness(power);
+    if (loudness <= this.ABSOLUTE_GATE) {
+      return;
+    }
+    const index = Math.min(this.HISTOGRAM_BINS - 1, this.binIndex(loudness));
+    histogram.counts[index]++;
+    histogram.powers[index] += power;
+    histogram.count++;
+    histogram.power += power;
+  }
+
+  /**
+   * Histogram bin containing a loudness value
+   * @param {number} loudness - Loudness in LUFS
+   * @returns {number} Bin index (0 for values at or below the absolute gate)
+   */
+  binIndex(loudness) {
+    return Math.max(0, Math.floor((loudness - this.ABSOLUTE_GATE) / this.HISTOGRAM_STEP));
+  }
+
+  /**
+   * Loudness at a percentile of the histogram above a starting bin
+   * @param {object} histogram - Histogram from createHistogram()
+   * @param {number} firstBin - Lowest bin included
+   * @param {number} count - Number of blocks from firstBin upward
+   * @param {number} fraction - Percentile as a fraction (0-1)
+   * @returns {number} Loudness in LUFS (bin centre)
+   */
+  histogramPercentile(histogram, firstBin, count, fraction) {
+    const threshold = Math.max(1, Math.ceil(fraction * count));
+    let cumulative = 0;
+    for (let i = firstBin; i < this.HISTOGRAM_BINS; i++) {
+      cumulative += histogram.counts[i];
+      if (cumulative >= threshold) {
+        return this.ABSOLUTE_GATE + (i + 0.5) * this.HISTOGRAM_STEP;
+      }
+    }
+    return this.HISTOGRAM_MAX;
+  }
+
+  /**
+   * Convert channel-summed mean-square power to loudness (BS.1770: L = -0.691 + 10·log10(Σ Gi·zi))
+   * @param {number} power - Mean-square power
+   * @returns {number} Loudness in LUFS
+   */
+  static powerToLoudness(power) {
+    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+  }
+}
+
+// Length of one measurement block in seconds (gating blocks advance in these steps)
+LoudnessMeter.BLOCK_DURATION = 0.1;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LoudnessMeter, LoudnessBlockAccumulator };
+}
+
+// === AUDIO WORKLET REGISTRATION ===
+// When loaded with audioWorklet.addModule(), run the accumulator on the audio thread
+// and post each 100 ms block power to the main thread as { power }
+if (typeof registerProcessor === 'function') {
+  class LoudnessWorkletProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+      this.accumulator = new LoudnessBlockAccumulator(
+        options.processorOptions.sampleRate,
+        (power) => this.port.postMessage({ power })
+      );
+    }
+
+    process(inputs) {
+      const input = inputs[0];
+      if (input && input.length > 0) {
+        this.accumulator.process(input);
+      }
+      return true;
+    }
+  }
+
+  registerProcessor('loudness-processor', LoudnessWorkletProcessor);
+}
@@ -0,0 +1,292 @@
+/**
+ * SpectrumMarkers - Numbered cursor markers on the line spectrum with delta readouts
+ *
+ * Up to MAX_MARKERS markers are placed by frequency, so they stay put when the frequency
+ * range or FFT size changes. Each frame the level under every marker is read from the
+ * displayed spectrum (the louder channel per bin). A new marker can snap to the highest
+ * bin near the click, and a tracking marker follows the highest peak within TRACK_OCTAVES
+ * of its position. Deltas are measured from the reference marker (the first marker unless
+ * another one is chosen).
+ */
+class SpectrumMarkers {
+  constructor() {
+    // === SETTINGS ===
+    this.enabled = false;               // Clicks on the spectrum place markers instead of the click readout
+    this.snapToPeak = true;             // New markers move to the highest bin near the click
+
+    // === STATE ===
+    this.markers = [];                  // { id, frequency, level, track } ordered by id; level in ruler dB (null without data)
+    this.referenceId = null;            // Marker the deltas are measured from (null = first marker)
+    this.data = null;                   // Last displayed spectrum in dB (louder channel per bin)
+    this.sampleRate = 0;                // Sample rate of data in Hz
+    this.offsetDB = 0;                  // dB added to bin levels to get ruler levels
+  }
+
+  /**
+   * @param {boolean} enabled - True to place markers with clicks on the spectrum
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+  }
+
+  /**
+   * @param {boolean} snap - True to move new markers to the nearest peak
+   */
+  setSnapToPeak(snap) {
+    this.snapToPeak = Boolean(snap);
+  }
+
+  /**
+   * Add a marker with the lowest free number
+   * With snap to peak on, the marker moves to the highest bin between low and high.
+   *
+   * @param {number} frequency - Clicked frequency in Hz
+   * @param {number} low - Lowest frequency searched for a peak in Hz
+   * @param {number} high - Highest frequency searched for a peak in Hz
+   * @returns {object|null} The new marker, or null when all markers are placed
+   */
+  add(frequency, low = frequency, high = frequency) {
+    if (this.markers.length >= SpectrumMarkers.MAX_MARKERS) {
+      return null;
+    }
+
+    let id = 1;
+    while (this.find(id)) id++;
+    const marker = { id, frequency, level: null, track: false };
+    if (this.snapToPeak && this.data) {
+      const peak = SpectrumMarkers.findPeak(this.data, this.sampleRate, low, high);
+      if (peak) {
+        marker.frequency = peak.frequency;
+      }
+    }
+    this.measure(marker);
+
+    this.markers.push(marker);
+    this.markers.sort((a, b) => a.id - b.id);
+    return marker;
+  }
+
+  /**
+   * Remove a marker (the first marker becomes the reference if it was the reference)
+   * @param {number} id - Marker number
+   */
+  remove(id) {
+    this.markers = this.markers.filter((marker) => marker.id !== id);
+    if (this.referenceId === id) {
+      this.referenceId = null;
+    }
+  }
+
+  /**
+   * Remove all markers
+   */
+  clear() {
+    this.markers = [];
+    this.referenceId = null;
+  }
+
+  /**
+   * @param {number} id - Marker number
+   * @returns {object|undefined} The marker
+   */
+  find(id) {
+    return this.markers.find((marker) => marker.id === id);
+  }
+
+  /**
+   * Let a marker follow the nearest peak (or stay at its frequency)
+   * @param {number} id - Marker number
+   * @param {boolean} track - True to track the peak
+   */
+  setTracking(id, track) {
+    const marker = this.find(id);
+    if (marker) {
+      marker.track = Boolean(track);
+    }
+  }
+
+  /**
+   * Measure the deltas from a marker
+   * @param {number} id - Marker number
+   */
+  setReference(id) {
+    if (this.find(id)) {
+      this.referenceId = id;
+    }
+  }
+
+  /**
+   * @returns {object|null} The marker deltas are measured from
+   */
+  getReference() {
+    return this.find(this.referenceId) || this.markers[0] || null;
+  }
+
+  /**
+   * Difference of a marker from the reference marker
+   * @param {object} marker - Marker
+   * @returns {{frequency: number, level: number|null}|null} Frequency difference in Hz and level
+   *   difference in dB (null without levels), or null for the reference itself
+   */
+  getDelta(marker) {
+    const reference = this.getReference();
+    if (!reference || reference === marker) {
+      return null;
+    }
+    return {
+      frequency: marker.frequency - reference.frequency,
+      level: marker.level !== null && reference.level !== null ? marker.level - reference.level : null
+    };
+  }
+
+  /**
+   * Read the marker levels from a spectrum frame and move tracking markers to their peaks
+   * @param {Float32Array} dataLeft - Displayed left channel bins in dB as reported by the analyser
+   * @param {Float32Array} dataRight - Displayed right channel bins in dB
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @param {number} offsetDB - dB added to bin levels to get ruler levels
+   */
+  update(dataLeft, dataRight, sampleRate, offsetDB) {
+    if (!this.data || this.data.length !== dataLeft.length) {
+      this.data = new Float32Array(dataLeft.length);
+    }
+    for (let i = 0; i < dataLeft.length; i++) {
+      this.data[i] = Math.max(dataLeft[i], dataRight[i]);
+    }
+    this.sampleRate = sampleRate;
+    this.offsetDB = offsetDB;
+
+    const range = Math.pow(2, SpectrumMarkers.TRACK_OCTAVES);
+    this.markers.forEach((marker) => {
+      if (marker.track) {
+        const peak = SpectrumMarkers.findPeak(this.data, sampleRate, marker.frequency / range, marker.frequency * range);
+        if (peak) {
+          marker.frequency = peak.frequency;
+        }
+      }
+      this.measure(marker);
+    });
+  }
+
+  /**
+   * Set a marker's level from the last spectrum (null without one)
+   * @param {object} marker - Marker
+   */
+  measure(marker) {
+    const level = this.data ? SpectrumMarkers.levelAt(this.data, this.sampleRate, marker.frequency) : -Infinity;
+    marker.level = isFinite(level) ? level + this.offsetDB : null;
+  }
+
+  /**
+   * Markers and reference for the session store
+   * @returns {{markers: Array<{id: number, frequency: number, track: boolean}>, referenceId: number|null}} State
+   */
+  toJSON() {
+    return {
+      markers: this.markers.map(({ id, frequency, track }) => ({ id, frequency, track })),
+      referenceId: this.referenceId
+    };
+  }
+
+  /**
+   * Restore markers saved with toJSON (invalid entries are skipped)
+   * @param {object} state - Saved state
+   */
+  restore(state) {
+    this.clear();
+    if (!state || !Array.isArray(state.markers)) return;
+    state.markers.forEach((saved) => {
+      const valid = saved && Number.isInteger(saved.id) && saved.id >= 1 && saved.id <= SpectrumMarkers.MAX_MARKERS &&
+        typeof saved.frequency === 'number' && saved.frequency > 0 && !this.find(saved.id);
+      if (valid) {
+        this.markers.push({ id: saved.id, frequency: saved.frequency, level: null, track: saved.track === true });
+      }
+    });
+    this.markers.sort((a, b) => a.id - b.id);
+    this.setReference(state.referenceId);
+  }
+
+  /**
+   * Highest bin between two frequencies, refined by parabolic interpolation
+   * @param {Float32Array} data - Spectrum in dB (bins from 0 Hz to Nyquist)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} low - Lowest frequency in Hz
+   * @param {number} high - Highest frequency in Hz
+   * @returns {{frequency: number, level: number}|null} Peak, or null without a level in the range
+   */
+  static findPeak(data, sampleRate, low, high) {
+    const binWidth = sampleRate / (2 * data.length);
+    const first = Math.max(1, Math.round(low / binWidth));
+    const last = Math.min(data.length - 2, Math.round(high / binWidth));
+    let best = -1;
+    for (let k = first; k <= last; k++) {
+      if (isFinite(data[k]) && (best < 0 || data[k] > data[best])) best = k;
+    }
+    if (best < 0) {
+      return null;
+    }
+
+    const a = data[best - 1];
+    const b = data[best];
+    const c = data[best + 1];
+    const denominator = a - 2 * b + c;
+    const shift = isFinite(denominator) && denominator !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator)) : 0;
+    return { frequency: (best + shift) * binWidth, level: b - 0.25 * (a - c) * shift };
+  }
+
+  /**
+   * Level at a frequency, interpolated linearly between the neighbouring bins
+   * @param {Float32Array} data - Spectrum in dB
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} frequency - Frequency in Hz
+   * @returns {number} Level in dB (-Infinity outside the spectrum)
+   */
+  static levelAt(data, sampleRate, frequency) {
+    const position = frequency / (sampleRate / (2 * data.length));
+    const k = Math.floor(position);
+    if (k < 0 || k >= data.length - 1) {
+      return -Infinity;
+    }
+    const fraction = position - k;
+    if (!isFinite(data[k]) || !isFinite(data[k + 1])) {
+      return fraction < 0.5 ? data[k] : data[k + 1];
+    }
+    return data[k] + (data[k + 1] - data[k]) * fraction;
+  }
+
+  /**
+   * Format a marker frequency or frequency difference, e.g. "2.51 kHz", "315 Hz" or "-42.5 Hz"
+   * @param {number} frequency - Frequency in Hz
+   * @param {boolean} signed - True to show a + sign (for deltas)
+   * @returns {string} Formatted frequency
+   */
+  static formatFrequency(frequency, signed = false) {
+    const sign = signed && frequency > 0 ? '+' : '';
+    const size = Math.abs(frequency);
+    if (size >= 1000) return `${sign}${(frequency / 1000).toFixed(2)} kHz`;
+    return `${sign}${size >= 100 ? Math.round(frequency) : frequency.toFixed(1)} Hz`;
+  }
+}
+
+// Markers that can be placed at once
+SpectrumMarkers.MAX_MARKERS = 6;
+
+// Clicks within this many pixels of a marker remove it; snapping searches this far either side
+SpectrumMarkers.HIT_RADIUS = 10;
+
+// Search range of a tracking marker either side of its position in octaves
+SpectrumMarkers.TRACK_OCTAVES = 1 / 6;
+
+// Refresh interval of the marker readouts in the settings panel in ms
+SpectrumMarkers.READOUT_INTERVAL = 500;
+
+// Marker colours by number
+SpectrumMarkers.COLORS = ['#ffff00', '#00e676', '#40c4ff', '#ff80ab', '#ffab40', '#b388ff'];
+
+// sessionStorage key of the placed markers (kept for the browser session)
+SpectrumMarkers.STORAGE_KEY = 'spectraBoxMarkers';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpectrumMarkers;
+}
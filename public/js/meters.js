@@ -85,11 +85,16 @@ class LevelMeters {
             peakLeft: '-60.0',
             peakRight: '-60.0',
             rmsLeft: '-60.0',
-            rmsRight: '-60.0'
+            rmsRight: '-60.0',
+            loudnessMomentary: '--',
+            loudnessShortTerm: '--',
+            loudnessIntegrated: '--',
+            loudnessRange: '--'
         };
         
         // === RMS WEIGHTING SETTINGS ===
         this.rmsWeighting = 'Z';                // Current weighting type: 'Z', 'A', or 'C'
+        this.sampleRate = 48000;                // Rate the weighting filters are designed for (set from the AudioContext)
         
         // === WEIGHTING FILTER STATES ===
         // Biquad filter states for A and C weighting (left and right channels)
@@ -98,6 +103,30 @@ class LevelMeters {
         this.cWeightingFiltersLeft = this.initializeCWeightingFilters();
         this.cWeightingFiltersRight = this.initializeCWeightingFilters();
         
+        // === TRUE-PEAK SETTINGS (BS.1770 4x oversampling) ===
+        this.peakMode = 'sample';               // Peak meter mode: 'sample' or 'true' (dBTP)
+        this.truePeak = new TruePeakDetector(); // Oversampling inter-sample peak detector
+        this.truePeakHoldLeft = -60;            // True-peak hold level for left channel (own hold, drawn in orange)
+        this.truePeakHoldRight = -60;           // True-peak hold level for right channel
+        this.truePeakHoldLeftTime = 0;          // Timestamp when left true-peak hold was set
+        this.truePeakHoldRightTime = 0;         // Timestamp when right true-peak hold was set
+        this.maxTruePeak = -Infinity;           // Highest true peak on either channel since last reset (dBTP)
+        this.overThreshold = -1;                // True-peak level that latches the over indicator (dBTP)
+        this.overLatchedLeft = false;           // Left over indicator latched until clicked
+        this.overLatchedRight = false;          // Right over indicator latched until clicked
+        this.overIndicatorHeight = 6;           // Height of the over indicator above each peak meter
+        
+        // === LOUDNESS METER (EBU R128) ===
+        this.loudness = new LoudnessMeter();    // Momentary/short-term/integrated/LRA measurement (fed by the audio graph)
+        this.loudnessMeterEnabled = false;      // Whether the LUFS meter column is drawn
+        this.loudnessColumnWidth = 65;          // Extra meter-area width taken by the LUFS column
+        
+        // === SPL CALIBRATION ===
+        // Set from the analyzer's SplCalibration every frame
+        this.splOffset = null;                  // dB SPL at 0 dBFS RMS (null: RMS readouts stay in dBFS)
+        this.rmsCorrectionLeft = 0;             // Broadband mic correction for the left RMS meter (dB)
+        this.rmsCorrectionRight = 0;            // Broadband mic correction for the right RMS meter (dB)
+        
     // === DEDICATED METER ANALYZERS ===
     // References to dedicated analyzer nodes (independent of spectrogram FFT size)
     this.meterAnalyserLeft = null;          // Dedicated left channel analyzer for meters
@@ -109,6 +138,7 @@ class LevelMeters {
     this.rmsLeftLabel = 'RMS L';            // RMS left meter label (or 'RMS M' in MS mode)
     this.peakRightLabel = 'PK R';           // Peak right meter label (or 'PK S' in MS mode)
     this.rmsRightLabel = 'RMS R';           // RMS right meter label (or 'RMS S' in MS mode)
+    this.channelMode = 'ST';                // Current channel mode ('ST' or 'MS') for label updates
   }
     
     /**
@@ -133,6 +163,10 @@ class LevelMeters {
         this.peakHoldRightTime = currentTime;
         this.rmsHoldLeftTime = currentTime;
         this.rmsHoldRightTime = currentTime;
+        this.truePeakHoldLeft = -60;
+        this.truePeakHoldRight = -60;
+        this.truePeakHoldLeftTime = currentTime;
+        this.truePeakHoldRightTime = currentTime;
     }
 
     
@@ -147,6 +181,7 @@ class LevelMeters {
         this.rmsLeftMeter = this.peakLeftMeter + this.peakMeterWidth + 10;  // Second: RMS Left
         this.rmsRightMeter = this.rmsLeftMeter + this.peakMeterWidth + 10;  // Third: RMS Right
         this.peakRightMeter = this.rmsRightMeter + this.peakMeterWidth + 10;// Fourth: Peak Right
+        this.loudnessMeter = this.peakRightMeter + this.peakMeterWidth + 45;// LUFS column, right of the dB ruler labels
         
         // === PHASE CORRELATION METER POSITION ===
         // Position so bottom of meter aligns with bottom of spectrum plot
@@ -166,19 +201,101 @@ class LevelMeters {
      * @param {string} mode - 'ST' for Stereo mode or 'MS' for Mid-Side mode
      */
     updateMeterLabels(mode) {
+        this.channelMode = mode;
+        const peakPrefix = this.peakMode === 'true' ? 'TP' : 'PK';  // True-peak meters are labelled TP
+        const rmsPrefix = this.splOffset === null ? 'RMS' : 'SPL';   // Calibrated RMS readouts show dB SPL
+        
         if (mode === 'MS') {
             // Mid-Side mode labels
-            this.peakLeftLabel = 'PK M';     // Peak Mid
-            this.rmsLeftLabel = 'RMS M';     // RMS Mid
-            this.peakRightLabel = 'PK S';    // Peak Side
-            this.rmsRightLabel = 'RMS S';    // RMS Side
+            this.peakLeftLabel = `${peakPrefix} M`;     // Peak Mid
+            this.rmsLeftLabel = `${rmsPrefix} M`;       // RMS Mid
+            this.peakRightLabel = `${peakPrefix} S`;    // Peak Side
+            this.rmsRightLabel = `${rmsPrefix} S`;      // RMS Side
         } else {
             // Stereo mode labels (default)
-            this.peakLeftLabel = 'PK L';     // Peak Left
-            this.rmsLeftLabel = 'RMS L';     // RMS Left
-            this.peakRightLabel = 'PK R';    // Peak Right
-            this.rmsRightLabel = 'RMS R';    // RMS Right
+            this.peakLeftLabel = `${peakPrefix} L`;     // Peak Left
+            this.rmsLeftLabel = `${rmsPrefix} L`;       // RMS Left
+            this.peakRightLabel = `${peakPrefix} R`;    // Peak Right
+            this.rmsRightLabel = `${rmsPrefix} R`;      // RMS Right
+        }
+    }
+    
+    /**
+     * Set the peak meter mode from the UI control
+     * @param {string} mode - 'sample' for sample peak or 'true' for 4x oversampled true peak (dBTP)
+     */
+    setPeakMode(mode) {
+        this.peakMode = mode;
+        this.updateMeterLabels(this.channelMode);
+        
+        // Start the true-peak hold fresh so it never shows a sample-peak value
+        this.truePeakHoldLeft = -60;
+        this.truePeakHoldRight = -60;
+    }
+    
+    /**
+     * Set the SPL calibration applied to the RMS meters
+     * The bars keep their dBFS scale; with an offset the RMS readouts show dB SPL
+     * @param {number|null} splOffset - dB SPL at 0 dBFS RMS, or null when not calibrated
+     * @param {number} correctionLeft - Broadband mic correction for the left RMS meter in dB
+     * @param {number} correctionRight - Broadband mic correction for the right RMS meter in dB
+     */
+    setCalibration(splOffset, correctionLeft = 0, correctionRight = 0) {
+        this.rmsCorrectionLeft = correctionLeft;
+        this.rmsCorrectionRight = correctionRight;
+        if (splOffset !== this.splOffset) {
+            this.splOffset = splOffset;
+            this.updateMeterLabels(this.channelMode);
+        }
+    }
+    
+    /**
+     * Set the level that latches the over indicators in true-peak mode
+     * @param {number} thresholdDB - Over threshold in dBTP (-6 to 0)
+     */
+    setOverThreshold(thresholdDB) {
+        this.overThreshold = thresholdDB;
+    }
+    
+    /**
+     * Clear the latched over indicators and the max true-peak readout
+     */
+    resetTruePeak() {
+        this.overLatchedLeft = false;
+        this.overLatchedRight = false;
+        this.maxTruePeak = -Infinity;
+    }
+    
+    /**
+     * Handle a click in the meter area
+     * Clicking an over indicator clears the latches; clicking the max readout resets it
+     * @param {number} x - Click x position in CSS pixels
+     * @param {number} y - Click y position in CSS pixels
+     * @returns {boolean} True if the click was consumed by the meters
+     */
+    handleClick(x, y) {
+        if (this.peakMode !== 'true') {
+            return false;
+        }
+        
+        const indicatorTop = this.analyzer.plotTop;
+        const indicatorBottom = indicatorTop + this.overIndicatorHeight + 2;
+        const onIndicator = (meterX) => x >= meterX && x <= meterX + this.peakMeterWidth &&
+            y >= indicatorTop - 2 && y <= indicatorBottom;
+        if (onIndicator(this.peakLeftMeter) || onIndicator(this.peakRightMeter)) {
+            this.overLatchedLeft = false;
+            this.overLatchedRight = false;
+            return true;
+        }
+        
+        const readoutTop = this.analyzer.plotBottom + 20;
+        if (x >= this.peakLeftMeter && x <= this.peakRightMeter + this.peakMeterWidth &&
+            y >= readoutTop && y <= readoutTop + 14) {
+            this.maxTruePeak = -Infinity;
+            return true;
         }
+        
+        return false;
     }
     
     /**
@@ -236,6 +353,15 @@ class LevelMeters {
         }
     }
     
+    /**
+     * Show or hide the LUFS loudness meter column
+     * The analyzer widens its meter area by loudnessColumnWidth while the column is shown
+     * @param {boolean} enabled - Whether to draw the loudness meter
+     */
+    setLoudnessMeterEnabled(enabled) {
+        this.loudnessMeterEnabled = enabled;
+    }
+    
     /**
      * Clear the meter area of the canvas
      */
@@ -267,13 +393,23 @@ class LevelMeters {
         
         // === CALCULATE INSTANTANEOUS LEVELS ===
         // Peak level = maximum sample value in the current time window
-        const peakLeft = this.calculatePeakLevel(timeDataLeft);    // Get left channel peak level
-        const peakRight = this.calculatePeakLevel(timeDataRight);  // Get right channel peak level
+        // In true-peak mode the level comes from the 4x oversampled signal instead
+        const peakLeft = this.peakMode === 'true' ? this.calculateTruePeakLevel(timeDataLeft) : this.calculatePeakLevel(timeDataLeft);
+        const peakRight = this.peakMode === 'true' ? this.calculateTruePeakLevel(timeDataRight) : this.calculatePeakLevel(timeDataRight);
+        
+        // === TRACK MAX TRUE PEAK AND OVERS ===
+        // Uses the unsmoothed values so a single inter-sample over is never missed
+        if (this.peakMode === 'true') {
+            this.maxTruePeak = Math.max(this.maxTruePeak, peakLeft, peakRight);
+            if (peakLeft > this.overThreshold) this.overLatchedLeft = true;
+            if (peakRight > this.overThreshold) this.overLatchedRight = true;
+        }
         
         // RMS level = root mean square (average energy) in the current time window
         // RMS is better for perceived loudness than peak measurements
-        const rmsLeft = this.calculateRmsLevel(timeDataLeft, 'left');      // Get left channel RMS level
-        const rmsRight = this.calculateRmsLevel(timeDataRight, 'right');   // Get right channel RMS level
+        // The mic correction (0 dB without a mic calibration file) is applied on top
+        const rmsLeft = Math.max(-60, this.calculateRmsLevel(timeDataLeft, 'left') + this.rmsCorrectionLeft);
+        const rmsRight = Math.max(-60, this.calculateRmsLevel(timeDataRight, 'right') + this.rmsCorrectionRight);
         
         // === APPLY ATTACK/DECAY SMOOTHING ===
         // Smoothing prevents meters from jumping around too rapidly
@@ -330,6 +466,19 @@ class LevelMeters {
             this.peakHoldRightTime = currentTime;
         }
         
+        // === UPDATE TRUE-PEAK HOLDS ===
+        // Separate from the sample-peak holds so the two modes never mix
+        if (this.peakMode === 'true') {
+            if (this.peakLevelLeft > this.truePeakHoldLeft || currentTime - this.truePeakHoldLeftTime > holdTimeMs) {
+                this.truePeakHoldLeft = this.peakLevelLeft;
+                this.truePeakHoldLeftTime = currentTime;
+            }
+            if (this.peakLevelRight > this.truePeakHoldRight || currentTime - this.truePeakHoldRightTime > holdTimeMs) {
+                this.truePeakHoldRight = this.peakLevelRight;
+                this.truePeakHoldRightTime = currentTime;
+            }
+        }
+        
         // === UPDATE RMS HOLD LEFT ===
         if (this.rmsLevelLeft > this.rmsHoldLeft) {
             // New RMS peak detected - update hold value and timestamp
@@ -353,6 +502,17 @@ class LevelMeters {
         }
     }
     
+    /**
+     * Calculates the true-peak level from time domain audio data (BS.1770 4x oversampling)
+     * Catches inter-sample peaks that can exceed the largest sample value
+     * 
+     * @param {Float32Array} timeData - Raw audio waveform data (-1.0 to +1.0 values)
+     * @returns {number} True-peak level in dBTP, clamped to the meter minimum
+     */
+    calculateTruePeakLevel(timeData) {
+        return Math.max(-60, this.truePeak.measureDB(timeData));
+    }
+    
     /**
      * Calculates the peak level (maximum amplitude) from time domain audio data
      * Peak level represents the loudest instantaneous sample in the audio buffer
@@ -588,8 +748,16 @@ class LevelMeters {
         // Update RMS displays at slower rate based on ballistics multiplier
         const rmsUpdateInterval = this.getRmsDisplayUpdateInterval();
         if (currentTime - this.lastRmsDisplayUpdate >= rmsUpdateInterval) {
-            this.storedDisplayValues.rmsLeft = this.rmsLevelLeft.toFixed(1);
-            this.storedDisplayValues.rmsRight = this.rmsLevelRight.toFixed(1);
+            const splOffset = this.splOffset === null ? 0 : this.splOffset;
+            this.storedDisplayValues.rmsLeft = (this.rmsLevelLeft + splOffset).toFixed(1);
+            this.storedDisplayValues.rmsRight = (this.rmsLevelRight + splOffset).toFixed(1);
+            
+            // Loudness readouts follow the slower RMS display rate
+            const formatLoudness = (value) => (isFinite(value) ? value.toFixed(1) : '--');
+            this.storedDisplayValues.loudnessMomentary = formatLoudness(this.loudness.getMomentary());
+            this.storedDisplayValues.loudnessShortTerm = formatLoudness(this.loudness.getShortTerm());
+            this.storedDisplayValues.loudnessIntegrated = formatLoudness(this.loudness.getIntegrated());
+            this.storedDisplayValues.loudnessRange = this.loudness.getIntegrated() > -Infinity ? this.loudness.getLoudnessRange().toFixed(1) : '--';
             this.lastRmsDisplayUpdate = currentTime;
         }
     }
@@ -608,8 +776,15 @@ class LevelMeters {
         // === DRAW PEAK METERS ===
         // Peak meters show instantaneous maximum levels - good for detecting clipping
         // Use dynamic labels that change based on Stereo/Mid-Side mode
-        this.drawSingleMeter(this.peakLeftMeter, this.peakLevelLeft, this.peakLeftLabel, this.peakHoldLeft, this.storedDisplayValues.peakLeft);
-        this.drawSingleMeter(this.peakRightMeter, this.peakLevelRight, this.peakRightLabel, this.peakHoldRight, this.storedDisplayValues.peakRight);
+        if (this.peakMode === 'true') {
+            // True-peak meters use their own hold (orange), over indicators and max readout
+            this.drawSingleMeter(this.peakLeftMeter, this.peakLevelLeft, this.peakLeftLabel, -60, this.storedDisplayValues.peakLeft);
+            this.drawSingleMeter(this.peakRightMeter, this.peakLevelRight, this.peakRightLabel, -60, this.storedDisplayValues.peakRight);
+            this.drawTruePeakIndicators();
+        } else {
+            this.drawSingleMeter(this.peakLeftMeter, this.peakLevelLeft, this.peakLeftLabel, this.peakHoldLeft, this.storedDisplayValues.peakLeft);
+            this.drawSingleMeter(this.peakRightMeter, this.peakLevelRight, this.peakRightLabel, this.peakHoldRight, this.storedDisplayValues.peakRight);
+        }
         
         // === DRAW RMS METERS ===
         // RMS meters show average energy levels - better for perceived loudness
@@ -620,6 +795,126 @@ class LevelMeters {
         // === DRAW PHASE CORRELATION METER ===
         // Shows phase relationship between left and right channels
         this.drawCorrelationMeter();
+        
+        // === DRAW LOUDNESS METER ===
+        // K-weighted LUFS meter, always measured on L/R (independent of Mid-Side mode)
+        if (this.loudnessMeterEnabled) {
+            this.drawLoudnessMeter();
+        }
+    }
+    
+    /**
+     * Draws the LUFS loudness meter column
+     * The bar shows momentary loudness, the white marker short-term loudness and the
+     * cyan line the selected target. Numeric M/S/I/LRA readouts sit below the bar.
+     * Uses the same -60..0 scale as the level meters so the shared ruler applies.
+     */
+    drawLoudnessMeter() {
+        const ctx = this.analyzer.ctx;
+        const x = this.loudnessMeter;
+        const meterHeight = this.analyzer.plotHeight - this.correlationMeterHeight - 25;  // Same height as the level meters
+        const meterTop = this.analyzer.plotTop;
+        const meterBottom = meterTop + meterHeight;
+        const levelToY = (level) => {
+            const normalized = (Math.max(this.meterMinDB, Math.min(this.meterMaxDB, level)) - this.meterMinDB) /
+                (this.meterMaxDB - this.meterMinDB);
+            return meterBottom - normalized * meterHeight;
+        };
+        
+        // === DRAW METER BACKGROUND AND BORDER ===
+        ctx.fillStyle = '#222';
+        ctx.fillRect(x, meterTop, this.peakMeterWidth, meterHeight);
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, meterTop, this.peakMeterWidth, meterHeight);
+        
+        // === DRAW MOMENTARY LOUDNESS SEGMENTS ===
+        // Colour relative to target: green up to target, yellow up to +3 LU, red above
+        const momentary = this.loudness.getMomentary();
+        const target = this.loudness.target;
+        if (momentary > this.meterMinDB) {
+            const fillY = levelToY(momentary);
+            for (let y = meterBottom - 2; y >= fillY; y -= 3) {
+                const segmentLevel = this.meterMinDB + ((meterBottom - y) / meterHeight) * (this.meterMaxDB - this.meterMinDB);
+                if (segmentLevel <= target) {
+                    ctx.fillStyle = '#00ff00';
+                } else if (segmentLevel <= target + 3) {
+                    ctx.fillStyle = '#ffff00';
+                } else {
+                    ctx.fillStyle = '#ff0000';
+                }
+                ctx.fillRect(x + 2, y, this.peakMeterWidth - 4, 2);
+            }
+        }
+        
+        // === DRAW SHORT-TERM MARKER ===
+        const shortTerm = this.loudness.getShortTerm();
+        if (shortTerm > this.meterMinDB) {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(x + 2, levelToY(shortTerm) - 1, this.peakMeterWidth - 4, 2);
+        }
+        
+        // === DRAW TARGET LINE ===
+        const targetY = levelToY(target);
+        ctx.strokeStyle = '#00ffff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x - 4, targetY);
+        ctx.lineTo(x + this.peakMeterWidth + 4, targetY);
+        ctx.stroke();
+        
+        // === DRAW SHORT-TERM VALUE AND LABEL ===
+        ctx.fillStyle = '#fff';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(this.storedDisplayValues.loudnessShortTerm, x + this.peakMeterWidth / 2, meterTop - 2);
+        
+        ctx.font = '10px Arial';
+        ctx.textBaseline = 'top';
+        ctx.fillText('LUFS', x + this.peakMeterWidth / 2, meterBottom + 5);
+        
+        // === DRAW NUMERIC READOUTS ===
+        // Stacked in the space beside the phase correlation meter
+        const readouts = [
+            ['M', this.storedDisplayValues.loudnessMomentary],
+            ['S', this.storedDisplayValues.loudnessShortTerm],
+            ['I', this.storedDisplayValues.loudnessIntegrated],
+            ['LRA', this.storedDisplayValues.loudnessRange]
+        ];
+        ctx.textAlign = 'left';
+        readouts.forEach(([label, value], i) => {
+            ctx.fillText(`${label} ${value}`, x - 8, meterBottom + 19 + i * 12);
+        });
+    }
+    
+    /**
+     * Draws the true-peak hold indicators, latched over indicators and max true-peak readout
+     * Over indicators sit at the top of each peak meter and stay red until clicked
+     */
+    drawTruePeakIndicators() {
+        const ctx = this.analyzer.ctx;
+        const meterHeight = this.analyzer.plotHeight - this.correlationMeterHeight - 25;  // Same as drawSingleMeter
+        const meterBottom = this.analyzer.plotTop + meterHeight;
+        
+        // === DRAW TRUE-PEAK HOLD INDICATORS ===
+        this.drawHoldIndicator(this.peakLeftMeter, this.truePeakHoldLeft, meterBottom, this.analyzer.plotTop, '#ff9900');
+        this.drawHoldIndicator(this.peakRightMeter, this.truePeakHoldRight, meterBottom, this.analyzer.plotTop, '#ff9900');
+        
+        // === DRAW OVER INDICATORS ===
+        [[this.peakLeftMeter, this.overLatchedLeft], [this.peakRightMeter, this.overLatchedRight]].forEach(([x, latched]) => {
+            ctx.fillStyle = latched ? '#ff0000' : '#440000';
+            ctx.fillRect(x + 2, this.analyzer.plotTop + 2, this.peakMeterWidth - 4, this.overIndicatorHeight);
+        });
+        
+        // === DRAW MAX TRUE-PEAK READOUT ===
+        // Centred under the meter group, below the phase readout (click to reset)
+        const maxText = isFinite(this.maxTruePeak) ? this.maxTruePeak.toFixed(1) : '--';
+        ctx.fillStyle = this.maxTruePeak > this.overThreshold ? '#ff4444' : '#fff';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`TP max: ${maxText} dBTP`, (this.peakLeftMeter + this.peakRightMeter + this.peakMeterWidth) / 2, this.analyzer.plotBottom + 22);
     }
     
     /**
@@ -738,8 +1033,9 @@ class LevelMeters {
      * @param {number} holdLevel - Hold level in dB
      * @param {number} meterBottom - Bottom edge of the meter
      * @param {number} meterTop - Top edge of the meter
+     * @param {string} [color='#ffffff'] - Indicator colour
      */
-    drawHoldIndicator(x, holdLevel, meterBottom, meterTop) {
+    drawHoldIndicator(x, holdLevel, meterBottom, meterTop, color = '#ffffff') {
         const ctx = this.analyzer.ctx;
         
         // Only draw if hold level is above minimum displayable level
@@ -753,7 +1049,7 @@ class LevelMeters {
             const holdY = meterBottom - (normalizedHoldLevel * actualMeterHeight);
             
             // === DRAW HOLD INDICATOR LINE ===
-            ctx.fillStyle = '#ffffff';                          // Bright white for visibility
+            ctx.fillStyle = color;                              // Bright white for visibility (orange for true peak)
             const indicatorHeight = 2;                          // Same height as meter segments
             // Draw slightly inset from meter edges for consistency with segments
             ctx.fillRect(x + 2, holdY - indicatorHeight/2, this.peakMeterWidth - 4, indicatorHeight);
@@ -827,23 +1123,28 @@ class LevelMeters {
     }
     
     /**
-     * Initialize A-weighting filter cascade (4 biquad stages)
+     * Set the sample rate the weighting filters are designed for
+     * Called once the AudioContext is running so A/C weighting matches the device rate
+     * @param {number} sampleRate - Running sample rate in Hz
+     */
+    setSampleRate(sampleRate) {
+        if (sampleRate === this.sampleRate) return;
+        
+        this.sampleRate = sampleRate;
+        this.aWeightingFiltersLeft = this.initializeAWeightingFilters();
+        this.aWeightingFiltersRight = this.initializeAWeightingFilters();
+        this.cWeightingFiltersLeft = this.initializeCWeightingFilters();
+        this.cWeightingFiltersRight = this.initializeCWeightingFilters();
+    }
+    
+    /**
+     * Initialize A-weighting filter cascade (3 biquad stages)
      * A-weighting approximates human hearing sensitivity curve
      * @returns {Array} Array of biquad filter states
      */
     initializeAWeightingFilters() {
-        // A-weighting filter coefficients for 44.1kHz sample rate
-        // Based on IEC 61672-1 standard, implemented as cascaded biquad sections
-        return [
-            // Stage 1: High-pass ~20Hz (removes very low frequencies)
-            { b0: 0.9995948206, b1: -1.9991896411, b2: 0.9995948206, a1: -1.9991896411, a2: 0.9991897616, x1: 0, x2: 0, y1: 0, y2: 0 },
-            // Stage 2: High-pass ~20Hz (double pole for sharper rolloff)
-            { b0: 0.9995948206, b1: -1.9991896411, b2: 0.9995948206, a1: -1.9991896411, a2: 0.9991897616, x1: 0, x2: 0, y1: 0, y2: 0 },
-            // Stage 3: Peak at ~1kHz (emphasizes frequencies where hearing is most sensitive)
-            { b0: 0.3971894087, b1: 0.0000000000, b2: -0.3971894087, a1: -0.1981346640, a2: 0.2057211826, x1: 0, x2: 0, y1: 0, y2: 0 },
-            // Stage 4: Low-pass ~12kHz (rolls off high frequencies)
-            { b0: 0.0179475827, b1: 0.0358951654, b2: 0.0179475827, a1: -1.5949259280, a2: 0.6667162589, x1: 0, x2: 0, y1: 0, y2: 0 }
-        ];
+        // Coefficients are designed for the current sample rate (IEC 61672-1 poles, bilinear transform)
+        return this.createFilterStates(WeightingFilters.design('A', this.sampleRate));
     }
     
     /**
@@ -852,14 +1153,16 @@ class LevelMeters {
      * @returns {Array} Array of biquad filter states
      */
     initializeCWeightingFilters() {
-        // C-weighting filter coefficients for 44.1kHz sample rate
-        // Based on IEC 61672-1 standard, implemented as cascaded biquad sections
-        return [
-            // Stage 1: High-pass ~31Hz (removes very low frequencies)
-            { b0: 0.9979823923, b1: -1.9959647845, b2: 0.9979823923, a1: -1.9959647845, a2: 0.9959647845, x1: 0, x2: 0, y1: 0, y2: 0 },
-            // Stage 2: Low-pass ~8kHz (gentle high frequency rolloff)
-            { b0: 0.0444858780, b1: 0.0889717560, b2: 0.0444858780, a1: -1.3080101325, a2: 0.4859536445, x1: 0, x2: 0, y1: 0, y2: 0 }
-        ];
+        return this.createFilterStates(WeightingFilters.design('C', this.sampleRate));
+    }
+    
+    /**
+     * Attach zeroed delay lines to designed biquad coefficients
+     * @param {Array} sections - Biquad coefficients from WeightingFilters.design()
+     * @returns {Array} Array of biquad filter states
+     */
+    createFilterStates(sections) {
+        return sections.map(section => Object.assign({ x1: 0, x2: 0, y1: 0, y2: 0 }, section));
     }
     
     /**
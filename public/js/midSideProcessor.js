@@ -117,9 +117,26 @@ class MidSideProcessor {
       throw new Error('MidSideProcessor: Left and right arrays must have the same length');
     }
     
+    const mid = new Float32Array(leftData.length);
+    const side = new Float32Array(leftData.length);
+    this.encodeMidSideInto(leftData, rightData, mid, side);
+    
+    return { mid, side };
+  }
+  
+  /**
+   * Encode stereo L/R channels into caller-provided Mid-Side buffers
+   * 
+   * Same matrix as encodeMidSide() but without allocation or validation, so it can
+   * run on the audio thread (see the AudioWorklet processor at the end of this file).
+   * 
+   * @param {Float32Array} leftData - Left channel samples
+   * @param {Float32Array} rightData - Right channel samples
+   * @param {Float32Array} mid - Output buffer for Mid samples (same length as input)
+   * @param {Float32Array} side - Output buffer for Side samples (same length as input)
+   */
+  encodeMidSideInto(leftData, rightData, mid, side) {
     const length = leftData.length;
-    const mid = new Float32Array(length);
-    const side = new Float32Array(length);
     
     // Apply M/S matrix to each sample
     if (this.energyPreserving) {
@@ -158,8 +175,6 @@ class MidSideProcessor {
         }
       }
     }
-    
-    return { mid, side };
   }
   
   /**
@@ -308,3 +323,43 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = MidSideProcessor;
 }
 
+// AudioWorklet registration
+// When this file is loaded with audioWorklet.addModule() it also registers a processor that
+// encodes the gained stereo input to M/S before the spectrogram and meter analysers.
+// In the page and in Node, registerProcessor is undefined and this block is skipped.
+if (typeof registerProcessor === 'function') {
+  class MidSideWorkletProcessor extends AudioWorkletProcessor {
+    constructor() {
+      super();
+      this.processor = new MidSideProcessor();
+      this.enabled = false;             // false = pass L/R through, true = output M/S
+      
+      // Mode changes arrive from the main thread as { enabled, energyPreserving }
+      this.port.onmessage = (event) => {
+        this.enabled = Boolean(event.data.enabled);
+        this.processor.setEnergyPreserving(Boolean(event.data.energyPreserving));
+      };
+    }
+    
+    process(inputs, outputs) {
+      const input = inputs[0];
+      const output = outputs[0];
+      if (!input || input.length === 0) {
+        return true;                    // No input connected yet - keep the node alive
+      }
+      
+      const left = input[0];
+      const right = input.length > 1 ? input[1] : input[0];
+      
+      if (this.enabled) {
+        this.processor.encodeMidSideInto(left, right, output[0], output[1]);
+      } else {
+        output[0].set(left);
+        output[1].set(right);
+      }
+      return true;
+    }
+  }
+  
+  registerProcessor('mid-side-processor', MidSideWorkletProcessor);
+}
@@ -0,0 +1,175 @@
+/**
+ * OctaveBandAnalyzer - Fractional-octave band integration for RTA display
+ *
+ * Groups FFT bins into ANSI S1.11 / IEC 61260 base-10 fractional-octave bands
+ * (1/1, 1/3, 1/6 or 1/12 octave) and integrates their power into one level per band.
+ * Band centres are referenced to 1 kHz using the octave ratio G = 10^(3/10).
+ */
+class OctaveBandAnalyzer {
+  constructor() {
+    // === CONSTANTS ===
+    this.OCTAVE_RATIO = Math.pow(10, 3 / 10);  // Base-10 octave ratio G (IEC 61260)
+    this.REFERENCE_FREQUENCY = 1000;           // Band centre reference frequency in Hz
+    this.SUPPORTED_RESOLUTIONS = [1, 3, 6, 12];
+
+    // Equivalent noise bandwidth of the spectrum window (in bins), by default the Blackman
+    // window used by AnalyserNode. Summing bin powers over-counts a tone by this factor, so
+    // band sums are divided by it to keep a pure tone at the same level as the line spectrum peak.
+    this.WINDOW_ENBW = 1.7268;
+
+    // ISO 266 R10 preferred numbers used as nominal labels for octave and third-octave bands
+    this.R10_SERIES = [1, 1.25, 1.6, 2, 2.5, 3.15, 4, 5, 6.3, 8];
+
+    this.bandsPerOctave = 3;           // Current resolution (bands per octave)
+    this.bands = null;                 // Cached band definitions
+    this.bandsKey = '';                // Cache key for bands (resolution + frequency range)
+  }
+
+  /**
+   * Set the equivalent noise bandwidth of the window the spectrum was computed with
+   * @param {number} enbw - ENBW in bins (1.7268 for AnalyserNode's Blackman window)
+   */
+  setWindowENBW(enbw) {
+    if (enbw > 0) {
+      this.WINDOW_ENBW = enbw;
+    }
+  }
+
+  /**
+   * Set the band resolution
+   * @param {number} bandsPerOctave - 1, 3, 6 or 12
+   * @returns {boolean} True if the resolution is supported
+   */
+  setResolution(bandsPerOctave) {
+    if (!this.SUPPORTED_RESOLUTIONS.includes(bandsPerOctave)) {
+      return false;
+    }
+    this.bandsPerOctave = bandsPerOctave;
+    return true;
+  }
+
+  /**
+   * Exact mid-band frequency for a band index (IEC 61260 base-10 formula)
+   * Odd resolutions place a band on 1 kHz; even resolutions straddle it.
+   * @param {number} index - Band index relative to the 1 kHz reference
+   * @returns {number} Exact centre frequency in Hz
+   */
+  getCenterFrequency(index) {
+    const b = this.bandsPerOctave;
+    const exponent = b % 2 === 1 ? index / b : (2 * index + 1) / (2 * b);
+    return this.REFERENCE_FREQUENCY * Math.pow(this.OCTAVE_RATIO, exponent);
+  }
+
+  /**
+   * Nominal (labelled) frequency for an exact centre frequency
+   * @param {number} exactFrequency - Exact centre frequency in Hz
+   * @returns {number} Nominal frequency in Hz
+   */
+  getNominalFrequency(exactFrequency) {
+    const decade = Math.pow(10, Math.floor(Math.log10(exactFrequency)));
+    const mantissa = exactFrequency / decade;
+
+    if (this.bandsPerOctave <= 3) {
+      // Nearest R10 preferred number (in log terms), wrapping to the next decade
+      let best = 10;
+      for (const value of this.R10_SERIES) {
+        if (Math.abs(Math.log10(mantissa / value)) < Math.abs(Math.log10(mantissa / best))) {
+          best = value;
+        }
+      }
+      return Math.round(best * decade * 100) / 100;
+    }
+
+    // Finer resolutions have no preferred-number series; use three significant digits
+    return Number(exactFrequency.toPrecision(3));
+  }
+
+  /**
+   * Get the bands whose nominal centre frequency lies inside the display range
+   * @param {number} minFreq - Lowest displayed frequency in Hz
+   * @param {number} maxFreq - Highest displayed frequency in Hz
+   * @returns {Array<object>} Bands: { center, nominal, lower, upper }
+   */
+  getBands(minFreq, maxFreq) {
+    const key = `${this.bandsPerOctave}:${minFreq}:${maxFreq}`;
+    if (this.bands && this.bandsKey === key) {
+      return this.bands;
+    }
+
+    const b = this.bandsPerOctave;
+    const halfBand = Math.pow(this.OCTAVE_RATIO, 1 / (2 * b));
+    const firstIndex = Math.floor(b * Math.log(minFreq / this.REFERENCE_FREQUENCY) / Math.log(this.OCTAVE_RATIO)) - 1;
+    const bands = [];
+
+    // Compare nominal frequencies so e.g. the 20 Hz band (exact 19.95 Hz) is kept for a 20 Hz limit
+    for (let index = firstIndex; ; index++) {
+      const center = this.getCenterFrequency(index);
+      const nominal = this.getNominalFrequency(center);
+      if (nominal > maxFreq) break;
+      if (nominal < minFreq) continue;
+      bands.push({
+        center,
+        nominal,
+        lower: center / halfBand,
+        upper: center * halfBand
+      });
+    }
+
+    this.bands = bands;
+    this.bandsKey = key;
+    return bands;
+  }
+
+  /**
+   * Integrate FFT bin power into band levels
+   * Bins whose centre frequency falls inside a band's edges are summed in linear power.
+   * Bands narrower than one bin use the bin that contains the band centre.
+   *
+   * @param {Float32Array} data - FFT data in dB (from getFloatFrequencyData)
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @param {Array<object>} bands - Bands from getBands()
+   * @returns {Float32Array} Band levels in dB (-Infinity for silent bands)
+   */
+  integrate(data, sampleRate, bands) {
+    const binWidth = sampleRate / (2 * data.length);
+    const levels = new Float32Array(bands.length);
+
+    for (let b = 0; b < bands.length; b++) {
+      const band = bands[b];
+      const firstBin = Math.ceil(band.lower / binWidth);
+      const lastBin = Math.min(data.length - 1, Math.ceil(band.upper / binWidth) - 1);
+
+      let power = 0;
+      if (lastBin >= firstBin) {
+        for (let i = firstBin; i <= lastBin; i++) {
+          power += Math.pow(10, data[i] / 10);
+        }
+        power /= this.WINDOW_ENBW;
+      } else {
+        const bin = Math.min(data.length - 1, Math.round(band.center / binWidth));
+        power = Math.pow(10, data[bin] / 10);
+      }
+
+      levels[b] = power > 0 ? 10 * Math.log10(power) : -Infinity;
+    }
+
+    return levels;
+  }
+
+  /**
+   * Format a nominal frequency for ruler labels (e.g. 31.5, 125, 1k, 12.5k)
+   * @param {number} frequency - Nominal frequency in Hz
+   * @returns {string} Label text
+   */
+  formatLabel(frequency) {
+    if (frequency >= 1000) {
+      return `${Number((frequency / 1000).toPrecision(3))}k`;
+    }
+    return `${Number(frequency.toPrecision(3))}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OctaveBandAnalyzer;
+}
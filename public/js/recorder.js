@@ -0,0 +1,350 @@
+/**
+ * Pre-trigger recorder - rolling audio buffer with WAV export
+ *
+ * PreTriggerRecorder keeps the last pre-roll seconds of the post-gain input in a ring
+ * buffer (on the audio thread when loaded as an AudioWorklet). When triggered - by the
+ * Save Recording button or an alarm - it records the post-roll and hands the pre-roll
+ * plus post-roll to AudioRecorder on the main thread, which encodes it as a 16/24-bit
+ * PCM or 32-bit float WAV file for POST /api/recordings.
+ */
+
+/**
+ * PreTriggerRecorder - Ring buffer of the latest input with triggered capture
+ */
+class PreTriggerRecorder {
+  /**
+   * @param {number} channelCount - Recorded channels (1 or 2)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} preRoll - Seconds kept before the trigger
+   * @param {number} postRoll - Seconds recorded after the trigger
+   * @param {Function} onCapture - Called with { channels, preRollFrames } when a capture completes
+   */
+  constructor(channelCount, sampleRate, preRoll, postRoll, onCapture) {
+    this.channelCount = channelCount;
+    this.sampleRate = sampleRate;
+    this.onCapture = onCapture;
+    this.configure(preRoll, postRoll);
+  }
+
+  /**
+   * Set the pre-roll and post-roll lengths (clears the buffer and cancels a running capture)
+   * @param {number} preRoll - Seconds kept before the trigger
+   * @param {number} postRoll - Seconds recorded after the trigger
+   */
+  configure(preRoll, postRoll) {
+    this.preRollFrames = Math.round(preRoll * this.sampleRate);
+    this.postRollFrames = Math.round(postRoll * this.sampleRate);
+
+    // Room for one processing block beyond the requested length (the post-roll ends on a block boundary)
+    const capacity = this.preRollFrames + this.postRollFrames + PreTriggerRecorder.MAX_BLOCK;
+    this.buffers = [];
+    for (let c = 0; c < this.channelCount; c++) {
+      this.buffers.push(new Float32Array(capacity));
+    }
+    this.writeIndex = 0;
+    this.length = 0;                    // Valid frames in the buffer
+    this.capture = null;                // { preRollFrames, recorded } while recording the post-roll
+  }
+
+  /**
+   * Start a capture: the buffered pre-roll plus the next post-roll seconds
+   * @returns {boolean} False if a capture is already running
+   */
+  trigger() {
+    if (this.capture) {
+      return false;
+    }
+    this.capture = { preRollFrames: Math.min(this.length, this.preRollFrames), recorded: 0 };
+    this.checkCapture();
+    return true;
+  }
+
+  /**
+   * Add one block of input samples
+   * @param {Array<Float32Array>} channels - Input channels (a missing right channel repeats the left)
+   */
+  process(channels) {
+    if (!channels || channels.length === 0) {
+      return;
+    }
+    const frames = channels[0].length;
+    const capacity = this.buffers[0].length;
+
+    for (let c = 0; c < this.channelCount; c++) {
+      const input = channels[Math.min(c, channels.length - 1)];
+      const buffer = this.buffers[c];
+      const first = Math.min(frames, capacity - this.writeIndex);
+      buffer.set(input.subarray(0, first), this.writeIndex);
+      if (first < frames) {
+        buffer.set(input.subarray(first, frames), 0);
+      }
+    }
+    this.writeIndex = (this.writeIndex + frames) % capacity;
+    this.length = Math.min(capacity, this.length + frames);
+
+    if (this.capture) {
+      this.capture.recorded += frames;
+      this.checkCapture();
+    }
+  }
+
+  /**
+   * Hand over the capture once the post-roll has been recorded
+   */
+  checkCapture() {
+    const capture = this.capture;
+    if (capture.recorded < this.postRollFrames) {
+      return;
+    }
+    this.capture = null;
+    this.onCapture({
+      channels: this.read(Math.min(this.length, capture.preRollFrames + capture.recorded)),
+      preRollFrames: capture.preRollFrames
+    });
+  }
+
+  /**
+   * Copy the latest frames out of the ring buffer
+   * @param {number} frames - Number of frames (at most the buffered length)
+   * @returns {Array<Float32Array>} Samples per channel in chronological order
+   */
+  read(frames) {
+    const capacity = this.buffers[0].length;
+    const start = (this.writeIndex - frames + capacity) % capacity;
+    return this.buffers.map((buffer) => {
+      const samples = new Float32Array(frames);
+      const first = Math.min(frames, capacity - start);
+      samples.set(buffer.subarray(start, start + first));
+      if (first < frames) {
+        samples.set(buffer.subarray(0, frames - first), first);
+      }
+      return samples;
+    });
+  }
+}
+
+// Largest processing block (ScriptProcessor fallback buffer size)
+PreTriggerRecorder.MAX_BLOCK = 4096;
+
+/**
+ * AudioRecorder - Recorder settings, capture requests and WAV encoding
+ */
+class AudioRecorder {
+  constructor() {
+    // === SETTINGS ===
+    this.preRoll = 10;                  // Seconds kept before the trigger
+    this.postRoll = 2;                  // Seconds recorded after the trigger
+    this.format = 'pcm24';              // 'pcm16', 'pcm24' or 'float32'
+    this.onAlarm = false;               // Save a recording whenever an alarm triggers
+
+    // === STATE ===
+    this.recorder = null;               // { configure(preRoll, postRoll), trigger() } while the analyzer is running
+    this.sampleRate = 48000;
+    this.pending = null;                // { resolve, reject } of the running capture
+  }
+
+  /**
+   * Connect the recorder node of a running analyzer (null when stopped; a running capture is cancelled)
+   * @param {object|null} recorder - { configure(preRoll, postRoll), trigger() }
+   * @param {number} sampleRate - Sample rate in Hz
+   */
+  attachRecorder(recorder, sampleRate) {
+    this.recorder = recorder;
+    this.sampleRate = sampleRate;
+    if (this.pending) {
+      this.pending.reject(new Error('Recording cancelled'));
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Set the pre-roll length (the buffer starts over)
+   * @param {number} seconds - Seconds kept before the trigger
+   */
+  setPreRoll(seconds) {
+    if (AudioRecorder.PRE_ROLLS.includes(seconds)) {
+      this.preRoll = seconds;
+      this.configureRecorder();
+    }
+  }
+
+  /**
+   * Set the post-roll length (the buffer starts over)
+   * @param {number} seconds - Seconds recorded after the trigger
+   */
+  setPostRoll(seconds) {
+    if (AudioRecorder.POST_ROLLS.includes(seconds)) {
+      this.postRoll = seconds;
+      this.configureRecorder();
+    }
+  }
+
+  /**
+   * Set the WAV sample format
+   * @param {string} format - 'pcm16', 'pcm24' or 'float32'
+   */
+  setFormat(format) {
+    if (AudioRecorder.FORMATS[format]) {
+      this.format = format;
+    }
+  }
+
+  /**
+   * Save a recording whenever an alarm triggers
+   * @param {boolean} enabled - Whether alarms start a recording
+   */
+  setOnAlarm(enabled) {
+    this.onAlarm = enabled;
+  }
+
+  /**
+   * Send the pre-roll and post-roll to the recorder node
+   */
+  configureRecorder() {
+    if (this.recorder) {
+      this.recorder.configure(this.preRoll, this.postRoll);
+    }
+    if (this.pending) {
+      this.pending.reject(new Error('Recording cancelled'));
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Whether a capture is recording its post-roll
+   * @returns {boolean} True while capturing
+   */
+  isCapturing() {
+    return this.pending !== null;
+  }
+
+  /**
+   * Capture the buffered pre-roll and the following post-roll
+   * @returns {Promise<object>} { channels, preRollFrames, sampleRate }
+   */
+  capture() {
+    if (!this.recorder) {
+      return Promise.reject(new Error('Start the analyzer to record'));
+    }
+    if (this.pending) {
+      return Promise.reject(new Error('A recording is already in progress'));
+    }
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+      this.recorder.trigger();
+    });
+  }
+
+  /**
+   * Completed capture from the recorder node
+   * @param {object} data - { channels, preRollFrames }
+   */
+  handleCapture(data) {
+    if (!this.pending) {
+      return;
+    }
+    const { resolve } = this.pending;
+    this.pending = null;
+    resolve({ channels: data.channels, preRollFrames: data.preRollFrames, sampleRate: this.sampleRate });
+  }
+
+  /**
+   * Encode samples as a WAV file
+   * @param {Array<Float32Array>} channels - Samples per channel
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {string} format - 'pcm16', 'pcm24' or 'float32'
+   * @returns {ArrayBuffer} WAV file contents
+   */
+  static encodeWAV(channels, sampleRate, format) {
+    const { audioFormat, bytes } = AudioRecorder.FORMATS[format];
+    const frames = channels[0].length;
+    const blockAlign = channels.length * bytes;
+    const dataSize = frames * blockAlign;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    const writeText = (offset, text) => {
+      for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    // === RIFF HEADER AND FMT CHUNK ===
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, audioFormat, true);
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytes * 8, true);
+    writeText(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // === INTERLEAVED SAMPLES ===
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+      for (const channel of channels) {
+        const sample = Math.max(-1, Math.min(1, channel[i]));
+        if (format === 'float32') {
+          view.setFloat32(offset, channel[i], true);
+        } else if (format === 'pcm24') {
+          const value = Math.round(sample * 8388607);
+          view.setUint8(offset, value & 0xff);
+          view.setUint8(offset + 1, (value >> 8) & 0xff);
+          view.setUint8(offset + 2, (value >> 16) & 0xff);
+        } else {
+          view.setInt16(offset, Math.round(sample * 32767), true);
+        }
+        offset += bytes;
+      }
+    }
+    return buffer;
+  }
+}
+
+// Selectable pre-roll and post-roll lengths in seconds
+AudioRecorder.PRE_ROLLS = [5, 10, 30, 60];
+AudioRecorder.POST_ROLLS = [0, 2, 5, 10];
+
+// WAV sample formats (WAVE_FORMAT_PCM = 1, WAVE_FORMAT_IEEE_FLOAT = 3)
+AudioRecorder.FORMATS = {
+  pcm16: { audioFormat: 1, bytes: 2 },
+  pcm24: { audioFormat: 1, bytes: 3 },
+  float32: { audioFormat: 3, bytes: 4 }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PreTriggerRecorder, AudioRecorder };
+}
+
+// === AUDIO WORKLET REGISTRATION ===
+// When loaded with audioWorklet.addModule(), keep the ring buffer on the audio thread.
+// Port messages: { preRoll, postRoll } reconfigures, { trigger: true } starts a capture;
+// completed captures are posted back as { channels, preRollFrames }.
+if (typeof registerProcessor === 'function') {
+  class PreTriggerRecorderProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+      const { channelCount, sampleRate, preRoll, postRoll } = options.processorOptions;
+      this.recorder = new PreTriggerRecorder(channelCount, sampleRate, preRoll, postRoll, (capture) => {
+        this.port.postMessage(capture, capture.channels.map((channel) => channel.buffer));
+      });
+      this.port.onmessage = (event) => {
+        if (event.data.preRoll !== undefined) this.recorder.configure(event.data.preRoll, event.data.postRoll);
+        if (event.data.trigger) this.recorder.trigger();
+      };
+    }
+
+    process(inputs) {
+      const input = inputs[0];
+      if (input && input.length > 0) {
+        this.recorder.process(input);
+      }
+      return true;
+    }
+  }
+
+  registerProcessor('pre-trigger-recorder', PreTriggerRecorderProcessor);
+}
@@ -0,0 +1,217 @@
+/**
+ * ReferenceTraces - Named reference traces (saved freeze lines) drawn over the spectrum
+ *
+ * A freeze capture is reduced to a point list for the trace library: bins sparser than
+ * POINTS_PER_OCTAVE are kept as they are, denser bins are combined into 1/96-octave
+ * points by their maximum (as the freeze capture itself holds maxima), so a trace does
+ * not depend on the FFT size it was captured with. Levels are stored as displayed (bin
+ * level plus the display calibration). For drawing, a trace is interpolated back onto the
+ * current bins on a logarithmic frequency axis.
+ */
+class ReferenceTraces {
+  constructor() {
+    // === STATE ===
+    this.overlays = new Map();          // Shown traces: id -> { trace, cache } (cache: bins for one FFT size)
+  }
+
+  /**
+   * Show a trace as an overlay (replaces an overlay with the same ID)
+   * @param {object} trace - Trace from the library: { id, name, color, frequencies, left, right }
+   */
+  show(trace) {
+    this.overlays.set(trace.id, { trace, cache: null });
+  }
+
+  /**
+   * Remove a trace overlay
+   * @param {string} id - Trace ID
+   */
+  hide(id) {
+    this.overlays.delete(id);
+  }
+
+  /**
+   * @param {string} id - Trace ID
+   * @returns {boolean} True if the trace is shown
+   */
+  isShown(id) {
+    return this.overlays.has(id);
+  }
+
+  /**
+   * Change the colour of a shown trace
+   * @param {string} id - Trace ID
+   * @param {string} color - Hex colour
+   */
+  setColor(id, color) {
+    const overlay = this.overlays.get(id);
+    if (overlay) {
+      overlay.trace.color = color;
+    }
+  }
+
+  /**
+   * Shown traces on the current bins (cached until the FFT size, sample rate or display
+   * calibration changes)
+   * @param {number} binCount - Number of FFT bins
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @param {number} offsetDB - Display calibration added to bin levels in dB
+   * @returns {Array<{color: string, dataLeft: Float32Array, dataRight: Float32Array}>} Overlays to draw
+   */
+  getOverlays(binCount, sampleRate, offsetDB) {
+    const key = `${binCount}:${sampleRate}:${offsetDB}`;
+    const overlays = [];
+    this.overlays.forEach((overlay) => {
+      if (!overlay.cache || overlay.cache.key !== key) {
+        overlay.cache = { key, ...ReferenceTraces.toBins(overlay.trace, binCount, sampleRate, offsetDB) };
+      }
+      overlays.push({ color: overlay.trace.color, dataLeft: overlay.cache.dataLeft, dataRight: overlay.cache.dataRight });
+    });
+    return overlays;
+  }
+
+  /**
+   * Reduce a freeze capture to trace points
+   * @param {Float32Array} dataLeft - Captured left channel bins in dB (-Infinity where nothing was captured)
+   * @param {Float32Array} dataRight - Captured right channel bins in dB
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @param {number} offsetDB - Display calibration added to bin levels in dB
+   * @returns {{frequencies: Array<number>, left: Array<number|null>, right: Array<number|null>}} Trace
+   *   points in ascending frequency order (levels null where nothing was captured)
+   */
+  static fromSpectrum(dataLeft, dataRight, sampleRate, offsetDB) {
+    const binWidth = sampleRate / (2 * dataLeft.length);
+    const frequencies = [];
+    const left = [];
+    const right = [];
+    const level = (dB) => (isFinite(dB) ? dB + offsetDB : null);
+    const max = (a, b) => (a === null ? b : (b === null ? a : Math.max(a, b)));
+
+    let group = null;
+    for (let i = 1; i < dataLeft.length; i++) {                 // Skip DC
+      const frequency = i * binWidth;
+      const index = Math.floor(Math.log2(frequency) * ReferenceTraces.POINTS_PER_OCTAVE);
+      if (index === group) {
+        // Combined point: the maximum of its bins at the centre of the fractional-octave band
+        const last = frequencies.length - 1;
+        frequencies[last] = Math.pow(2, (index + 0.5) / ReferenceTraces.POINTS_PER_OCTAVE);
+        left[last] = max(left[last], level(dataLeft[i]));
+        right[last] = max(right[last], level(dataRight[i]));
+        continue;
+      }
+      group = index;
+      frequencies.push(frequency);
+      left.push(level(dataLeft[i]));
+      right.push(level(dataRight[i]));
+    }
+    return { frequencies, left, right };
+  }
+
+  /**
+   * Interpolate a trace onto FFT bins (linear in dB on a logarithmic frequency axis)
+   * Bins outside the trace or next to a point without a level are -Infinity (not drawn).
+   *
+   * @param {object} trace - Trace points: { frequencies, left, right }
+   * @param {number} binCount - Number of FFT bins
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @param {number} offsetDB - Display calibration subtracted from the stored levels in dB
+   * @returns {{dataLeft: Float32Array, dataRight: Float32Array}} Levels per bin as the analyser reports them
+   */
+  static toBins(trace, binCount, sampleRate, offsetDB) {
+    const { frequencies } = trace;
+    const dataLeft = new Float32Array(binCount).fill(-Infinity);
+    const dataRight = new Float32Array(binCount).fill(-Infinity);
+    const last = frequencies.length - 1;
+
+    let j = 0;
+    for (let i = 1; i < binCount; i++) {
+      const frequency = (i * sampleRate) / (2 * binCount);
+      if (frequency < frequencies[0] || frequency > frequencies[last]) continue;
+      while (j < last - 1 && frequencies[j + 1] <= frequency) j++;
+
+      const fraction = Math.log(frequency / frequencies[j]) / Math.log(frequencies[j + 1] / frequencies[j]);
+      const interpolate = (levels) => {
+        if (levels[j] === null || levels[j + 1] === null) return -Infinity;
+        return levels[j] + (levels[j + 1] - levels[j]) * fraction - offsetDB;
+      };
+      dataLeft[i] = interpolate(trace.left);
+      dataRight[i] = interpolate(trace.right);
+    }
+    return { dataLeft, dataRight };
+  }
+
+  /**
+   * Parse an exported trace for import
+   * Accepts the JSON export (the trace object, alone or as { trace }) and the CSV export:
+   * one "frequency, left dB, right dB" row per line (commas, semicolons or tabs; a row with
+   * a single level is used for both channels, empty levels mean nothing was captured);
+   * header lines are skipped.
+   *
+   * @param {string} text - File contents
+   * @returns {object} Trace: { frequencies, left, right } plus name, notes and color from a JSON export
+   */
+  static parse(text) {
+    text = String(text).trim();
+    let trace;
+    if (text.startsWith('{')) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new Error('Trace file is not valid JSON');
+      }
+      const source = data.trace || data;
+      trace = { frequencies: source.frequencies, left: source.left, right: source.right };
+      ['name', 'notes', 'color'].forEach((key) => {
+        if (typeof source[key] === 'string') trace[key] = source[key];
+      });
+    } else {
+      const byFrequency = new Map();
+      text.split(/\r?\n/).forEach((line) => {
+        const fields = line.split(/[,;\t]/).map((field) => field.trim());
+        const frequency = Number(fields[0]);
+        if (fields[0] === '' || !isFinite(frequency) || frequency <= 0 || fields.length < 2) return;
+        const level = (field) => (field === undefined || field === '' || !isFinite(Number(field)) ? null : Number(field));
+        const leftLevel = level(fields[1]);
+        byFrequency.set(frequency, [leftLevel, fields.length > 2 ? level(fields[2]) : leftLevel]);
+      });
+      const rows = [...byFrequency.entries()].sort((a, b) => a[0] - b[0]);
+      trace = {
+        frequencies: rows.map(([frequency]) => frequency),
+        left: rows.map(([, levels]) => levels[0]),
+        right: rows.map(([, levels]) => levels[1])
+      };
+    }
+
+    const { frequencies, left, right } = trace;
+    const isLevel = (level) => level === null || (typeof level === 'number' && isFinite(level));
+    if (!Array.isArray(frequencies) || frequencies.length < 2) {
+      throw new Error('No frequency/dB rows found in trace file');
+    }
+    if (frequencies.length > ReferenceTraces.MAX_POINTS) {
+      throw new Error(`Trace file has more than ${ReferenceTraces.MAX_POINTS} points`);
+    }
+    if (!frequencies.every((frequency, i) => typeof frequency === 'number' && frequency > 0 && (i === 0 || frequency > frequencies[i - 1]))) {
+      throw new Error('Trace frequencies must be positive and ascending');
+    }
+    if (!Array.isArray(left) || !Array.isArray(right) || left.length !== frequencies.length ||
+      right.length !== frequencies.length || !left.every(isLevel) || !right.every(isLevel)) {
+      throw new Error('Trace needs a left and right level (or null) per frequency');
+    }
+    return trace;
+  }
+}
+
+// Resolution of combined points (bins closer together are merged)
+ReferenceTraces.POINTS_PER_OCTAVE = 96;
+
+// Points per trace accepted by the trace library
+ReferenceTraces.MAX_POINTS = 4096;
+
+// Overlay colour suggested for new traces
+ReferenceTraces.DEFAULT_COLOR = '#00ccff';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReferenceTraces;
+}
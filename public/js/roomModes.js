@@ -0,0 +1,246 @@
+/**
+ * RoomModeAnalyzer - Low-frequency resonances of a room compared with its axial modes
+ *
+ * A high-resolution spectrum captured with the hold modes (peak hold of a sweep, or the
+ * average of noise) is searched for peaks and dips below MAX_FREQUENCY. The response is
+ * lightly smoothed (1/24 octave) and compared with its one-octave running average; extremes
+ * deviating by at least MIN_DEVIATION dB are resonances. Q is the centre frequency over
+ * the bandwidth between the points 3 dB below a peak (above a dip). Each resonance is
+ * matched to the nearest predicted axial mode
+ *   f = n·c / (2·d),  n = 1, 2, ...  for each room dimension d
+ * within MODE_TOLERANCE.
+ */
+class RoomModeAnalyzer {
+  constructor() {
+    // === SETTINGS ===
+    this.length = 0;                    // Room length in m (0 = not entered)
+    this.width = 0;                     // Room width in m
+    this.height = 0;                    // Room height in m
+    this.method = 'sweep';              // 'sweep' plays a low-frequency sweep, 'listen' captures an external signal
+
+    // === STATE ===
+    this.result = null;                 // { method, sampleRate, fftSize, resonances, modes } of the last analysis
+  }
+
+  /**
+   * Set one room dimension (limited to DIMENSION_RANGE; anything else clears it)
+   * @param {string} dimension - 'length', 'width' or 'height'
+   * @param {number} metres - Dimension in m
+   */
+  setDimension(dimension, metres) {
+    if (!['length', 'width', 'height'].includes(dimension)) return;
+    const [min, max] = RoomModeAnalyzer.DIMENSION_RANGE;
+    this[dimension] = Number.isFinite(metres) && metres >= min ? Math.min(max, metres) : 0;
+    if (this.result) {
+      this.result.modes = this.getAxialModes();
+      this.result.resonances.forEach((resonance) => {
+        resonance.mode = RoomModeAnalyzer.matchMode(resonance.frequency, this.result.modes);
+      });
+    }
+  }
+
+  /**
+   * Set how the response is captured
+   * @param {string} method - One of METHODS
+   */
+  setMethod(method) {
+    if (RoomModeAnalyzer.METHODS.includes(method)) {
+      this.method = method;
+    }
+  }
+
+  /**
+   * Axial modes of the entered dimensions
+   * @returns {Array<object>} Modes { label, frequency } sorted by frequency
+   */
+  getAxialModes() {
+    return RoomModeAnalyzer.axialModes({ length: this.length, width: this.width, height: this.height });
+  }
+
+  /**
+   * Find the resonances of a captured spectrum and match them to the axial modes
+   * @param {Float32Array} data - Held spectrum in dB (bins from 0 Hz to Nyquist)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {object} Result { method, sampleRate, fftSize, resonances, modes }
+   */
+  analyse(data, sampleRate) {
+    const modes = this.getAxialModes();
+    const resonances = RoomModeAnalyzer.findResonances(data, sampleRate).map((resonance) => ({
+      ...resonance,
+      mode: RoomModeAnalyzer.matchMode(resonance.frequency, modes)
+    }));
+    this.result = { method: this.method, sampleRate, fftSize: data.length * 2, resonances, modes };
+    return this.result;
+  }
+
+  /**
+   * The last result as a measurement for the server (see MeasurementService)
+   * @returns {object|null} Measurement or null before the first analysis
+   */
+  toMeasurement() {
+    if (!this.result) {
+      return null;
+    }
+    return {
+      type: 'roomModes',
+      method: this.result.method,
+      sampleRate: this.result.sampleRate,
+      fftSize: this.result.fftSize,
+      room: { length: this.length, width: this.width, height: this.height },
+      resonances: this.result.resonances.map(({ type, frequency, deviationDB, q, mode }) => ({ type, frequency, deviationDB, q, mode })),
+      modes: this.result.modes
+    };
+  }
+
+  /**
+   * Predicted axial modes up to a frequency
+   * @param {object} room - { length, width, height } in m (0 = not entered)
+   * @param {number} maxFrequency - Highest mode frequency in Hz
+   * @param {number} speedOfSound - Speed of sound in m/s
+   * @returns {Array<object>} Modes { label, frequency } sorted by frequency, labelled
+   *   L/W/H with the order (e.g. W2)
+   */
+  static axialModes(room, maxFrequency = RoomModeAnalyzer.MAX_FREQUENCY, speedOfSound = RoomModeAnalyzer.SPEED_OF_SOUND) {
+    const modes = [];
+    [['length', 'L'], ['width', 'W'], ['height', 'H']].forEach(([dimension, prefix]) => {
+      const metres = room[dimension];
+      if (!(metres > 0)) return;
+      for (let order = 1; order * speedOfSound / (2 * metres) <= maxFrequency; order++) {
+        modes.push({ label: `${prefix}${order}`, frequency: order * speedOfSound / (2 * metres) });
+      }
+    });
+    return modes.sort((a, b) => a.frequency - b.frequency);
+  }
+
+  /**
+   * Peaks and dips of a spectrum between MIN_FREQUENCY and MAX_FREQUENCY
+   * @param {Float32Array} data - Spectrum in dB (bins from 0 Hz to Nyquist)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Array<object>} Resonances { type: 'peak'|'dip', frequency, deviationDB, q } sorted by
+   *   frequency, with deviationDB relative to the one-octave average and q null when a -3 dB
+   *   point lies outside the analysed range
+   */
+  static findResonances(data, sampleRate) {
+    const binWidth = sampleRate / (2 * data.length);
+    const last = Math.min(data.length - 1, Math.ceil(RoomModeAnalyzer.MAX_FREQUENCY * 2 / binWidth));
+
+    // === 1/24-OCTAVE SMOOTHED LEVEL AND ONE-OCTAVE AVERAGE (BOTH IN POWER) ===
+    const cumulative = new Float64Array(last + 2);
+    for (let k = 0; k <= last; k++) {
+      cumulative[k + 1] = cumulative[k] + (isFinite(data[k]) ? Math.pow(10, data[k] / 10) : 0);
+    }
+    const average = (k, octaves) => {
+      const half = Math.pow(2, octaves / 2);
+      const lo = Math.max(1, Math.floor(k / half));
+      const hi = Math.min(last, Math.ceil(k * half));
+      const power = (cumulative[hi + 1] - cumulative[lo]) / (hi - lo + 1);
+      return power > 0 ? 10 * Math.log10(power) : -Infinity;
+    };
+    const level = new Float64Array(last + 1);
+    const deviation = new Float64Array(last + 1);
+    for (let k = 1; k <= last; k++) {
+      level[k] = average(k, 1 / 24);
+      deviation[k] = level[k] - average(k, 1);
+    }
+
+    // === EXTREMES DEVIATING BY MIN_DEVIATION ===
+    const first = Math.max(2, Math.ceil(RoomModeAnalyzer.MIN_FREQUENCY / binWidth));
+    const end = Math.min(last - 1, Math.floor(RoomModeAnalyzer.MAX_FREQUENCY / binWidth));
+    const resonances = [];
+    for (let k = first; k <= end; k++) {
+      const isPeak = level[k] > level[k - 1] && level[k] >= level[k + 1] && deviation[k] >= RoomModeAnalyzer.MIN_DEVIATION;
+      const isDip = level[k] < level[k - 1] && level[k] <= level[k + 1] && deviation[k] <= -RoomModeAnalyzer.MIN_DEVIATION;
+      if ((!isPeak && !isDip) || !isFinite(level[k])) continue;
+
+      // Parabolic interpolation of the extreme
+      const a = level[k - 1];
+      const b = level[k];
+      const c = level[k + 1];
+      const denominator = a - 2 * b + c;
+      const shift = denominator !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator)) : 0;
+      const frequency = (k + shift) * binWidth;
+
+      // Q from the -3 dB (peak) or +3 dB (dip) points, interpolated between bins
+      const target = isPeak ? b - 3 : b + 3;
+      const crosses = (i) => (isPeak ? level[i] <= target : level[i] >= target);
+      const edge = (step) => {
+        for (let i = k + step; i >= 1 && i <= last; i += step) {
+          if (crosses(i)) {
+            const fraction = (target - level[i - step]) / (level[i] - level[i - step]);
+            return (i - step + step * fraction) * binWidth;
+          }
+        }
+        return null;
+      };
+      const lower = edge(-1);
+      const upper = edge(1);
+
+      resonances.push({
+        type: isPeak ? 'peak' : 'dip',
+        frequency,
+        deviationDB: deviation[k],
+        q: lower !== null && upper !== null && upper > lower ? frequency / (upper - lower) : null
+      });
+    }
+
+    // Keep the most pronounced ones
+    return resonances
+      .sort((a, b) => Math.abs(b.deviationDB) - Math.abs(a.deviationDB))
+      .slice(0, RoomModeAnalyzer.MAX_RESONANCES)
+      .sort((a, b) => a.frequency - b.frequency);
+  }
+
+  /**
+   * Nearest predicted axial mode of a resonance
+   * @param {number} frequency - Resonance frequency in Hz
+   * @param {Array<object>} modes - Modes from axialModes()
+   * @returns {string|null} Mode label, or null without a mode within MODE_TOLERANCE
+   */
+  static matchMode(frequency, modes) {
+    let best = null;
+    modes.forEach((mode) => {
+      const distance = Math.abs(frequency / mode.frequency - 1);
+      if (distance <= RoomModeAnalyzer.MODE_TOLERANCE && (!best || distance < best.distance)) {
+        best = { label: mode.label, distance };
+      }
+    });
+    return best ? best.label : null;
+  }
+}
+
+// Capture methods
+RoomModeAnalyzer.METHODS = ['sweep', 'listen'];
+
+// Analysed frequency range in Hz
+RoomModeAnalyzer.MIN_FREQUENCY = 20;
+RoomModeAnalyzer.MAX_FREQUENCY = 300;
+
+// FFT size used during a capture (1.5 Hz resolution at 48 kHz)
+RoomModeAnalyzer.FFT_SIZE = 32768;
+
+// Played sweep: range in Hz and duration in s (slow, so each frequency is held long enough)
+RoomModeAnalyzer.SWEEP_RANGE = [15, 400];
+RoomModeAnalyzer.SWEEP_DURATION = 15;
+
+// Time the capture continues after the sweep so the analyser catches up in ms
+RoomModeAnalyzer.RELEASE_TIME = 1000;
+
+// Minimum deviation from the one-octave average for a peak or dip in dB
+RoomModeAnalyzer.MIN_DEVIATION = 3;
+
+// Resonances kept per analysis (most pronounced first)
+RoomModeAnalyzer.MAX_RESONANCES = 20;
+
+// Largest relative distance of a resonance from its axial mode (5 %, just under a semitone)
+RoomModeAnalyzer.MODE_TOLERANCE = 0.05;
+
+// Accepted room dimensions in m
+RoomModeAnalyzer.DIMENSION_RANGE = [1, 100];
+
+// Speed of sound at 20 °C in m/s
+RoomModeAnalyzer.SPEED_OF_SOUND = 343;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RoomModeAnalyzer;
+}
@@ -96,6 +96,10 @@ class ServerManager {
             this.handleUpdateStatusMessage(data);
           } else if (data.type === 'serverShutdown') {
             this.handleServerShutdownMessage(data);
+          } else if (data.type === 'alarm' && window.analyzer) {
+            window.analyzer.handleRemoteAlarm(data.alarm);
+          } else if (data.type === 'feedback' && window.analyzer) {
+            window.analyzer.handleRemoteFeedback(data.feedback);
           }
         } catch (error) {
           console.error('Error parsing WebSocket message:', error);
@@ -35,7 +35,10 @@ class SettingsManager {
         maxFrequency: { element: 'maxFreqSlider', type: 'number', display: 'maxFreqValue', formatter: (v) => `${(v/1000).toFixed(1)} kHz` },
         inputGain: { element: 'gainSlider', type: 'number', display: 'gainValue', formatter: (v) => `${v} dB` },
         holdMode: { element: 'holdModeSelect', type: 'string' },
-        averageTime: { element: 'averageTimeSlider', type: 'number', display: 'averageTimeValue', formatter: (v) => `${v}s` }
+        averageTime: { element: 'averageTimeSlider', type: 'number', display: 'averageTimeValue', formatter: (v) => `${v}s` },
+        tuner: { element: 'tunerToggle', type: 'boolean' },
+        noteGrid: { element: 'noteGridToggle', type: 'boolean' },
+        referenceA4: { element: 'referenceA4Slider', type: 'number', display: 'referenceA4Value', formatter: (v) => `${v} Hz` }
       },
       spectrogramInterface: {
         clickInfoSize: { element: 'clickInfoSizeSelect', type: 'string' },
@@ -51,13 +54,93 @@ class SettingsManager {
         multiPixelSmoothing: { element: 'multiPixelSmoothingSlider', type: 'number', display: 'multiPixelSmoothingValue' },
         frequencyDependentSmoothing: { element: 'frequencyDependentSmoothingToggle', type: 'boolean' },
         noiseFloorSubtraction: { element: 'noiseFloorSubtractionSlider', type: 'number', display: 'noiseFloorSubtractionValue', formatter: (v) => `${v} dB` },
-        peakEnvelope: { element: 'peakEnvelopeToggle', type: 'boolean' }
+        peakEnvelope: { element: 'peakEnvelopeToggle', type: 'boolean' },
+        drawMode: { element: 'drawModeSelect', type: 'string' },
+        rtaResolution: { element: 'rtaResolutionSelect', type: 'number' },
+        fftEngine: { element: 'fftEngineSelect', type: 'string' },
+        fftWindow: { element: 'fftWindowSelect', type: 'string' },
+        fftOverlap: { element: 'fftOverlapSelect', type: 'number' },
+        fftAveraging: { element: 'fftAveragingSelect', type: 'string' },
+        fftAverages: { element: 'fftAveragesSelect', type: 'number' }
       },
       meters: {
         meterSpeed: { element: 'meterSpeedSelect', type: 'string' },
         holdTime: { element: 'holdTimeSlider', type: 'number', display: 'holdTimeValue', formatter: (v) => `${v}s` },
         decibelsSpeed: { element: 'decibelsSpeedSlider', type: 'number', display: 'decibelsSpeedValue', formatter: (v) => `${v}ms` },
-        rmsWeighting: { element: 'rmsWeightingSelect', type: 'string' }
+        rmsWeighting: { element: 'rmsWeightingSelect', type: 'string' },
+        peakMode: { element: 'peakModeSelect', type: 'string' },
+        truePeakThreshold: { element: 'truePeakThresholdSlider', type: 'number', display: 'truePeakThresholdValue', formatter: (v) => `${v.toFixed(1)} dBTP` },
+        loudnessMeter: { element: 'loudnessMeterToggle', type: 'boolean' },
+        goniometer: { element: 'goniometerToggle', type: 'boolean' },
+        goniometerSize: { element: 'goniometerSizeSlider', type: 'number', display: 'goniometerSizeValue', formatter: (v) => `${v}px` },
+        goniometerMode: { element: 'goniometerModeSelect', type: 'string' },
+        bandCorrelation: { element: 'bandCorrelationToggle', type: 'boolean' },
+        bandCorrelationBands: { element: 'bandCorrelationBandsSelect', type: 'string' },
+        loudnessTarget: { element: 'loudnessTargetSelect', type: 'number' }
+      },
+      waterfall: {
+        viewMode: { element: 'viewModeSelect', type: 'string' },
+        colorMap: { element: 'waterfallColorMapSelect', type: 'string' },
+        historyLength: { element: 'waterfallHistorySlider', type: 'number', display: 'waterfallHistoryValue', formatter: (v) => `${v}s` }
+      },
+      transfer: {
+        referenceChannel: { element: 'transferReferenceSelect', type: 'string' },
+        averages: { element: 'transferAveragesSelect', type: 'number' },
+        magnitudeRange: { element: 'transferRangeSlider', type: 'number', display: 'transferRangeValue', formatter: (v) => `±${v} dB` }
+      },
+      generator: {
+        signalType: { element: 'generatorSignalSelect', type: 'string' },
+        sineMode: { element: 'generatorSineModeSelect', type: 'string' },
+        frequency: { element: 'generatorFrequencyInput', type: 'number' },
+        sweepDuration: { element: 'generatorSweepDurationSelect', type: 'number' },
+        level: { element: 'generatorLevelSlider', type: 'number', display: 'generatorLevelValue', formatter: (v) => `${v} dBFS` },
+        loopback: { element: 'generatorLoopbackToggle', type: 'boolean' }
+      },
+      impulse: {
+        method: { element: 'irMethodSelect', type: 'string' },
+        channel: { element: 'irChannelSelect', type: 'string' },
+        tailLength: { element: 'irTailSelect', type: 'number' }
+      },
+      slm: {
+        frequencyWeighting: { element: 'slmFrequencyWeightingSelect', type: 'string' },
+        timeWeighting: { element: 'slmTimeWeightingSelect', type: 'string' },
+        interval: { element: 'slmIntervalSelect', type: 'number' }
+      },
+      logging: {
+        enabled: { element: 'levelLogEnabledToggle', type: 'boolean' },
+        interval: { element: 'levelLogIntervalSelect', type: 'number' },
+        historyRange: { element: 'levelHistoryRangeSelect', type: 'number' }
+      },
+      harmonics: {
+        enabled: { element: 'harmonicsToggle', type: 'boolean' },
+        maxHarmonic: { element: 'harmonicsCountSelect', type: 'number' },
+        notchBandwidth: { element: 'harmonicsNotchSelect', type: 'number' }
+      },
+      feedback: {
+        enabled: { element: 'feedbackToggle', type: 'boolean' },
+        threshold: { element: 'feedbackThresholdSelect', type: 'number' },
+        persistence: { element: 'feedbackPersistenceSelect', type: 'number' }
+      },
+      roomModes: {
+        length: { element: 'roomLengthInput', type: 'number' },
+        width: { element: 'roomWidthInput', type: 'number' },
+        height: { element: 'roomHeightInput', type: 'number' },
+        method: { element: 'roomModeMethodSelect', type: 'string' }
+      },
+      markers: {
+        enabled: { element: 'markerClickToggle', type: 'boolean' },
+        snapToPeak: { element: 'markerSnapToggle', type: 'boolean' }
+      },
+      targetCurve: {
+        curveId: { element: 'targetCurveIdInput', type: 'string' },
+        align: { element: 'targetAlignToggle', type: 'boolean' },
+        deviationRange: { element: 'targetRangeSelect', type: 'number' }
+      },
+      recorder: {
+        preRoll: { element: 'recorderPreRollSelect', type: 'number' },
+        postRoll: { element: 'recorderPostRollSelect', type: 'number' },
+        format: { element: 'recorderFormatSelect', type: 'string' },
+        onAlarm: { element: 'recorderOnAlarmToggle', type: 'boolean' }
       },
       performance: {
         refreshRate: { element: 'refreshRateSlider', type: 'number', display: 'refreshRateValue', formatter: (v) => `${v} FPS` },
@@ -69,10 +152,13 @@ class SettingsManager {
     this.validationSchema = {
       general: {
         minFrequency: { type: 'number', min: 20, max: 500 },
-        maxFrequency: { type: 'number', min: 6000, max: 20000 },
+        maxFrequency: { type: 'number', min: 6000, max: 22050 }, // Nyquist limit, see setSampleRate()
         inputGain: { type: 'number', min: -30, max: 12 },
         holdMode: { type: 'string', enum: ['latch', 'average'] },
-        averageTime: { type: 'number', min: 1, max: 15 }
+        averageTime: { type: 'number', min: 1, max: 15 },
+        tuner: { type: 'boolean' },
+        noteGrid: { type: 'boolean' },
+        referenceA4: { type: 'number', min: 415, max: 466 }
       },
       spectrogramInterface: {
         clickInfoSize: { type: 'string', enum: ['small', 'large'] },
@@ -88,13 +174,93 @@ class SettingsManager {
         multiPixelSmoothing: { type: 'number', min: 1, max: 5 },
         frequencyDependentSmoothing: { type: 'boolean' },
         noiseFloorSubtraction: { type: 'number', min: 0, max: 20 },
-        peakEnvelope: { type: 'boolean' }
+        peakEnvelope: { type: 'boolean' },
+        drawMode: { type: 'string', enum: ['line', 'rta'] },
+        rtaResolution: { type: 'number', enum: [1, 3, 6, 12] },
+        fftEngine: { type: 'string', enum: ['analyser', 'custom'] },
+        fftWindow: { type: 'string', enum: ['hann', 'hamming', 'blackman-harris', 'flattop', 'rectangular'] },
+        fftOverlap: { type: 'number', enum: [0, 50, 75, 90] },
+        fftAveraging: { type: 'string', enum: ['exponential', 'linear', 'peak'] },
+        fftAverages: { type: 'number', enum: [1, 2, 4, 8, 16, 32, 64] }
       },
       meters: {
         meterSpeed: { type: 'string', enum: ['slow', 'medium', 'fast'] },
         holdTime: { type: 'number', min: 0.5, max: 2.0 },
         decibelsSpeed: { type: 'number', min: 10, max: 250 },
-        rmsWeighting: { type: 'string', enum: ['Z', 'A', 'C'] }
+        rmsWeighting: { type: 'string', enum: ['Z', 'A', 'C'] },
+        peakMode: { type: 'string', enum: ['sample', 'true'] },
+        truePeakThreshold: { type: 'number', min: -6, max: 0 },
+        loudnessMeter: { type: 'boolean' },
+        goniometer: { type: 'boolean' },
+        goniometerSize: { type: 'number', min: 120, max: 400 },
+        goniometerMode: { type: 'string', enum: ['dots', 'lines'] },
+        bandCorrelation: { type: 'boolean' },
+        bandCorrelationBands: { type: 'string', enum: ['four', 'octave'] },
+        loudnessTarget: { type: 'number', enum: [-23, -16, -14] }
+      },
+      waterfall: {
+        viewMode: { type: 'string', enum: ['spectrum', 'waterfall', 'transfer', 'impulse', 'slm', 'deviation'] },
+        colorMap: { type: 'string', enum: ['inferno', 'viridis', 'classic', 'grayscale'] },
+        historyLength: { type: 'number', min: 5, max: 60 }
+      },
+      transfer: {
+        referenceChannel: { type: 'string', enum: ['left', 'right'] },
+        averages: { type: 'number', enum: [1, 4, 8, 16, 32, 64] },
+        magnitudeRange: { type: 'number', min: 6, max: 60 }
+      },
+      generator: {
+        signalType: { type: 'string', enum: ['pink', 'white', 'sine', 'sweep'] },
+        sineMode: { type: 'string', enum: ['continuous', 'stepped'] },
+        frequency: { type: 'number', min: 20, max: 20000 },
+        sweepDuration: { type: 'number', enum: [2, 5, 10, 20] },
+        level: { type: 'number', min: -60, max: 0 },
+        loopback: { type: 'boolean' }
+      },
+      impulse: {
+        method: { type: 'string', enum: ['sweep', 'impulse'] },
+        channel: { type: 'string', enum: ['left', 'right'] },
+        tailLength: { type: 'number', enum: [1, 2, 4, 8] }
+      },
+      slm: {
+        frequencyWeighting: { type: 'string', enum: ['A', 'C', 'Z'] },
+        timeWeighting: { type: 'string', enum: ['F', 'S', 'I'] },
+        interval: { type: 'number', enum: [0, 10, 60, 300, 900, 3600] }
+      },
+      logging: {
+        enabled: { type: 'boolean' },
+        interval: { type: 'number', enum: [1, 5, 10, 30, 60] },
+        historyRange: { type: 'number', enum: [3600, 21600, 86400, 604800] }
+      },
+      harmonics: {
+        enabled: { type: 'boolean' },
+        maxHarmonic: { type: 'number', enum: [3, 5, 10, 20] },
+        notchBandwidth: { type: 'number', enum: [10, 20, 50, 100, 200] }
+      },
+      feedback: {
+        enabled: { type: 'boolean' },
+        threshold: { type: 'number', enum: [6, 9, 12, 15, 20] },
+        persistence: { type: 'number', enum: [250, 500, 1000, 2000] }
+      },
+      roomModes: {
+        length: { type: 'number', min: 0, max: 100 },
+        width: { type: 'number', min: 0, max: 100 },
+        height: { type: 'number', min: 0, max: 100 },
+        method: { type: 'string', enum: ['sweep', 'listen'] }
+      },
+      markers: {
+        enabled: { type: 'boolean' },
+        snapToPeak: { type: 'boolean' }
+      },
+      targetCurve: {
+        curveId: { type: 'string', pattern: /^[a-z0-9]{0,32}$/ },
+        align: { type: 'boolean' },
+        deviationRange: { type: 'number', enum: [6, 12, 24] }
+      },
+      recorder: {
+        preRoll: { type: 'number', enum: [5, 10, 30, 60] },
+        postRoll: { type: 'number', enum: [0, 2, 5, 10] },
+        format: { type: 'string', enum: ['pcm16', 'pcm24', 'float32'] },
+        onAlarm: { type: 'boolean' }
       },
       performance: {
         refreshRate: { type: 'number', min: 15, max: 60 },
@@ -168,6 +334,9 @@ class SettingsManager {
       if (settings) {
         this.currentSettings = settings;
         this.lastLoadedPreferences = data.preferences; // Cache complete preferences
+        if (data.preferences.audioSettings?.sampleRate) {
+          this.setSampleRate(data.preferences.audioSettings.sampleRate); // Limit max frequency before applying it
+        }
         this.applySettingsToUI(settings);
         this.serverAvailable = true; // Mark server as available
         console.log('Settings loaded and applied to UI');
@@ -861,6 +1030,26 @@ class SettingsManager {
     return true;
   }
 
+  /**
+   * Apply the running sample rate to Nyquist-limited settings
+   * Updates the maximum frequency limit and keeps the cached preferences in step
+   * so later saves don't overwrite the rate with a stale value
+   * @param {number} sampleRate - Sample rate in Hz
+   */
+  setSampleRate(sampleRate) {
+    const nyquist = sampleRate / 2;
+    this.validationSchema.general.maxFrequency.max = nyquist;
+
+    const maxFreqSlider = document.getElementById('maxFreqSlider');
+    if (maxFreqSlider) {
+      maxFreqSlider.max = nyquist;
+    }
+
+    if (this.lastLoadedPreferences?.audioSettings) {
+      this.lastLoadedPreferences.audioSettings.sampleRate = sampleRate;
+    }
+  }
+
   /**
    * Validate settings object
    * @param {object} settings - Settings to validate
@@ -928,6 +1117,11 @@ class SettingsManager {
       }
     }
 
+    // Pattern validation for strings
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return { success: false, error: `${category}.${key} has an invalid format` };
+    }
+
     // Enum validation
     if (rule.enum && !rule.enum.includes(value)) {
       return { success: false, error: `${category}.${key} must be one of: ${rule.enum.join(', ')}` };
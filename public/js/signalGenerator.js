@@ -0,0 +1,460 @@
+/**
+ * SignalGenerator - Test signal generator (pink/white noise, sine, log sweep)
+ *
+ * Plays through the analyzer's AudioContext, either to an output device or, in
+ * loopback mode, straight into the analysis chain (after the input gain) so the
+ * analyzer can be demonstrated or self-tested without a microphone.
+ * Level is the peak level in dBFS for every signal type. Output always fades in and
+ * out, and the generator is silenced whenever the analyzer stops (mute-on-stop).
+ */
+class SignalGenerator {
+  constructor() {
+    // === SIGNAL SETTINGS ===
+    this.type = 'pink';                 // 'pink', 'white', 'sine' or 'sweep'
+    this.sineMode = 'continuous';       // 'continuous' (fixed frequency) or 'stepped' (third-octave steps)
+    this.frequency = 1000;              // Continuous sine frequency in Hz
+    this.levelDB = -20;                 // Peak output level in dBFS (-60 to 0)
+    this.sweepDuration = 5;             // Log sweep length in seconds (followed by 1 s of silence)
+    this.sweepStart = 20;               // Log sweep start frequency in Hz
+    this.sweepEnd = 20000;              // Log sweep end frequency in Hz (limited to below Nyquist)
+    this.stepDuration = 1;              // Time per stepped-sine frequency in seconds
+    this.noiseDuration = 10;            // Length of the looped noise buffers in seconds
+    this.fadeTime = 0.05;               // Fade in/out time in seconds (avoids clicks)
+
+    // === ROUTING ===
+    this.outputDeviceId = 'default';    // Output device for non-loopback playback
+    this.loopback = false;              // Route into the analyzer instead of an output device
+
+    // === STATE ===
+    this.playing = false;
+    this.oneShot = false;               // Playing a one-shot buffer (measurement sweep) rather than a signal
+    this.context = null;                // Analyzer AudioContext (while running)
+    this.loopbackTarget = null;         // Node after the input gain that loopback feeds
+    this.outputGain = null;             // Level / fade gain node
+    this.source = null;                 // Current oscillator or buffer source
+    this.sink = null;                   // { destination, element } when playing to a chosen device
+    this.stepTimer = null;              // Interval advancing the stepped sine
+    this.stepIndex = 0;
+    this.currentFrequency = null;       // Frequency of the sine currently playing (for display)
+  }
+
+  /**
+   * Connect the generator to a running analyzer
+   * @param {AudioContext} context - Analyzer AudioContext
+   * @param {AudioNode} loopbackTarget - Node that receives the loopback signal
+   */
+  attach(context, loopbackTarget) {
+    this.context = context;
+    this.loopbackTarget = loopbackTarget;
+  }
+
+  /**
+   * Mute-on-stop: silence and release everything when the analyzer stops
+   */
+  detach() {
+    this.stopSource();
+    this.releaseSink();
+    if (this.outputGain) {
+      this.outputGain.disconnect();
+      this.outputGain = null;
+    }
+    this.playing = false;
+    this.oneShot = false;
+    this.context = null;
+    this.loopbackTarget = null;
+  }
+
+  /**
+   * Select the signal type (restarts playback if playing)
+   * @param {string} type - 'pink', 'white', 'sine' or 'sweep'
+   */
+  setType(type) {
+    if (!SignalGenerator.TYPES.includes(type)) return;
+    this.type = type;
+    this.restart();
+  }
+
+  /**
+   * Select continuous or stepped sine (restarts playback if playing)
+   * @param {string} mode - 'continuous' or 'stepped'
+   */
+  setSineMode(mode) {
+    if (mode !== 'continuous' && mode !== 'stepped') return;
+    this.sineMode = mode;
+    if (this.type === 'sine') {
+      this.restart();
+    }
+  }
+
+  /**
+   * Set the continuous sine frequency
+   * @param {number} frequency - Frequency in Hz
+   */
+  setFrequency(frequency) {
+    this.frequency = Math.max(20, Math.min(20000, frequency));
+    if (this.playing && !this.oneShot && this.type === 'sine' && this.sineMode === 'continuous') {
+      this.source.frequency.setTargetAtTime(this.frequency, this.context.currentTime, 0.01);
+      this.currentFrequency = this.frequency;
+    }
+  }
+
+  /**
+   * Set the output level
+   * @param {number} levelDB - Peak level in dBFS
+   */
+  setLevel(levelDB) {
+    this.levelDB = Math.max(-60, Math.min(0, levelDB));
+    if (this.playing && this.outputGain) {
+      this.outputGain.gain.setTargetAtTime(Math.pow(10, this.levelDB / 20), this.context.currentTime, 0.02);
+    }
+  }
+
+  /**
+   * Set the log sweep duration
+   * @param {number} seconds - Sweep length in seconds
+   */
+  setSweepDuration(seconds) {
+    this.sweepDuration = Math.max(1, seconds);
+    if (this.type === 'sweep') {
+      this.restart();
+    }
+  }
+
+  /**
+   * Route the generator into the analyzer (true) or to the output device (false)
+   * @param {boolean} enabled - Loopback state
+   */
+  setLoopback(enabled) {
+    this.loopback = !!enabled;
+    if (this.playing) {
+      this.connectOutput();
+    }
+  }
+
+  /**
+   * Select the output device for non-loopback playback
+   * @param {string} deviceId - Device ID from enumerateDevices() ('default' for the system output)
+   */
+  setOutputDevice(deviceId) {
+    this.outputDeviceId = deviceId || 'default';
+    if (this.playing && !this.loopback) {
+      this.connectOutput();
+    }
+  }
+
+  /**
+   * Start playback with a fade-in
+   * @returns {boolean} False if the analyzer is not running
+   */
+  start() {
+    if (!this.context) return false;
+    if (this.playing) return true;
+
+    this.outputGain = this.context.createGain();
+    this.outputGain.gain.setValueAtTime(0, this.context.currentTime);
+    this.outputGain.gain.linearRampToValueAtTime(Math.pow(10, this.levelDB / 20), this.context.currentTime + this.fadeTime);
+    this.connectOutput();
+    this.startSource();
+    this.playing = true;
+    return true;
+  }
+
+  /**
+   * Stop playback with a fade-out
+   */
+  stop() {
+    if (!this.playing) return;
+    this.playing = false;
+    this.oneShot = false;
+
+    const gain = this.outputGain;
+    const source = this.source;
+    const sink = this.sink;
+    const now = this.context.currentTime;
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setValueAtTime(gain.gain.value, now);
+    gain.gain.linearRampToValueAtTime(0, now + this.fadeTime);
+
+    clearInterval(this.stepTimer);
+    this.stepTimer = null;
+    this.source = null;
+    this.sink = null;
+    this.outputGain = null;
+    this.currentFrequency = null;
+
+    // Release the nodes once the fade has finished
+    setTimeout(() => {
+      source.stop();
+      source.disconnect();
+      gain.disconnect();
+      if (sink) {
+        sink.element.pause();
+        sink.element.srcObject = null;
+      }
+    }, this.fadeTime * 1000 + 20);
+  }
+
+  /**
+   * Play a buffer once (e.g. a measurement sweep) at the generator level and routing
+   * @param {Float32Array} samples - Samples to play (should fade in and out itself)
+   * @returns {Promise<void>|null} Resolves when playback has finished; null if not running or already playing
+   */
+  playOnce(samples) {
+    if (!this.context || this.playing) return null;
+
+    const context = this.context;
+    const buffer = context.createBuffer(1, samples.length, context.sampleRate);
+    buffer.copyToChannel(samples, 0);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+
+    this.outputGain = context.createGain();
+    this.outputGain.gain.setValueAtTime(Math.pow(10, this.levelDB / 20), context.currentTime);
+    this.connectOutput();
+    source.connect(this.outputGain);
+    source.start();
+    this.source = source;
+    this.currentFrequency = null;
+    this.playing = true;
+    this.oneShot = true;
+
+    return new Promise((resolve) => {
+      source.onended = () => {
+        if (this.source === source) {
+          this.stop();
+        }
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Restart playback so a new signal type or setting takes effect
+   */
+  restart() {
+    if (!this.playing || this.oneShot) return;
+    this.stopSource();
+    this.startSource();
+  }
+
+  /**
+   * Create and start the source node for the current signal type
+   */
+  startSource() {
+    const context = this.context;
+    let source;
+
+    if (this.type === 'sine') {
+      source = context.createOscillator();
+      source.type = 'sine';
+      if (this.sineMode === 'stepped') {
+        const frequencies = SignalGenerator.steppedFrequencies(context.sampleRate);
+        this.stepIndex = 0;
+        source.frequency.setValueAtTime(frequencies[0], context.currentTime);
+        this.currentFrequency = frequencies[0];
+        this.stepTimer = setInterval(() => {
+          this.stepIndex = (this.stepIndex + 1) % frequencies.length;
+          this.currentFrequency = frequencies[this.stepIndex];
+          source.frequency.setValueAtTime(this.currentFrequency, context.currentTime);
+        }, this.stepDuration * 1000);
+      } else {
+        source.frequency.setValueAtTime(this.frequency, context.currentTime);
+        this.currentFrequency = this.frequency;
+      }
+    } else {
+      let samples;
+      if (this.type === 'sweep') {
+        const sweep = SignalGenerator.generateLogSweep(context.sampleRate, this.sweepStart, Math.min(this.sweepEnd, context.sampleRate * 0.45), this.sweepDuration);
+        samples = new Float32Array(sweep.length + context.sampleRate);   // Sweep followed by 1 s of silence
+        samples.set(sweep);
+      } else {
+        const length = Math.round(this.noiseDuration * context.sampleRate);
+        samples = this.type === 'pink' ? SignalGenerator.generatePinkNoise(length) : SignalGenerator.generateWhiteNoise(length);
+      }
+      const buffer = context.createBuffer(1, samples.length, context.sampleRate);
+      buffer.copyToChannel(samples, 0);
+      source = context.createBufferSource();
+      source.buffer = buffer;
+      source.loop = true;
+      this.currentFrequency = null;
+    }
+
+    source.connect(this.outputGain);
+    source.start();
+    this.source = source;
+  }
+
+  /**
+   * Stop the current source immediately (used when switching signals)
+   */
+  stopSource() {
+    clearInterval(this.stepTimer);
+    this.stepTimer = null;
+    if (this.source) {
+      this.source.stop();
+      this.source.disconnect();
+      this.source = null;
+    }
+  }
+
+  /**
+   * Connect the level gain to the loopback target or the selected output device
+   * A specific device is reached through a MediaStream played by an <audio> element
+   * with setSinkId(); browsers without setSinkId use the default output.
+   */
+  connectOutput() {
+    this.outputGain.disconnect();
+    this.releaseSink();
+
+    if (this.loopback) {
+      this.outputGain.connect(this.loopbackTarget);
+      return;
+    }
+
+    if (this.outputDeviceId !== 'default' && typeof Audio !== 'undefined' && typeof Audio.prototype.setSinkId === 'function') {
+      const destination = this.context.createMediaStreamDestination();
+      const element = new Audio();
+      element.srcObject = destination.stream;
+      element.setSinkId(this.outputDeviceId)
+        .then(() => element.play())
+        .catch((error) => console.warn('Could not play generator on the selected output:', error));
+      this.outputGain.connect(destination);
+      this.sink = { destination, element };
+      return;
+    }
+
+    this.outputGain.connect(this.context.destination);
+  }
+
+  /**
+   * Stop the <audio> element used for a chosen output device
+   */
+  releaseSink() {
+    if (this.sink) {
+      this.sink.element.pause();
+      this.sink.element.srcObject = null;
+      this.sink = null;
+    }
+  }
+
+  /**
+   * List the available output devices
+   * @returns {Promise<Array<{deviceId: string, label: string}>>} Output devices
+   */
+  static async listOutputDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return [];
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((device) => device.kind === 'audiooutput' && device.deviceId !== 'default')
+      .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Output ${i + 1}` }));
+  }
+
+  /**
+   * Uniform white noise normalised to a peak of 1
+   * @param {number} length - Number of samples
+   * @param {Function} random - Random number source returning [0, 1)
+   * @returns {Float32Array} Samples
+   */
+  static generateWhiteNoise(length, random = Math.random) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      samples[i] = random() * 2 - 1;
+    }
+    return SignalGenerator.normalize(samples);
+  }
+
+  /**
+   * Pink (-3 dB/octave) noise normalised to a peak of 1
+   * Uses Paul Kellet's refined filter, run for a second first so the output starts settled.
+   * @param {number} length - Number of samples
+   * @param {Function} random - Random number source returning [0, 1)
+   * @returns {Float32Array} Samples
+   */
+  static generatePinkNoise(length, random = Math.random) {
+    const samples = new Float32Array(length);
+    const settle = 48000;
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+
+    for (let i = -settle; i < length; i++) {
+      const white = random() * 2 - 1;
+      b0 = 0.99886 * b0 + white * 0.0555179;
+      b1 = 0.99332 * b1 + white * 0.0750759;
+      b2 = 0.96900 * b2 + white * 0.1538520;
+      b3 = 0.86650 * b3 + white * 0.3104856;
+      b4 = 0.55000 * b4 + white * 0.5329522;
+      b5 = -0.7616 * b5 - white * 0.0168980;
+      const pink = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+      b6 = white * 0.115926;
+      if (i >= 0) {
+        samples[i] = pink;
+      }
+    }
+    return SignalGenerator.normalize(samples);
+  }
+
+  /**
+   * Exponential (log) sine sweep with short raised-cosine fades at both ends
+   * x(t) = sin(2π·f1·T / ln(f2/f1) · (e^(t/T·ln(f2/f1)) − 1))
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} startFrequency - Start frequency in Hz
+   * @param {number} endFrequency - End frequency in Hz
+   * @param {number} duration - Sweep length in seconds
+   * @returns {Float32Array} Samples (peak 1)
+   */
+  static generateLogSweep(sampleRate, startFrequency, endFrequency, duration) {
+    const length = Math.round(duration * sampleRate);
+    const samples = new Float32Array(length);
+    const rate = Math.log(endFrequency / startFrequency);
+    const fadeLength = Math.min(Math.round(0.01 * sampleRate), Math.floor(length / 2));
+
+    for (let i = 0; i < length; i++) {
+      const t = i / sampleRate;
+      samples[i] = Math.sin(2 * Math.PI * startFrequency * duration / rate * (Math.exp(t / duration * rate) - 1));
+    }
+    for (let i = 0; i < fadeLength; i++) {
+      const fade = 0.5 - 0.5 * Math.cos(Math.PI * i / fadeLength);
+      samples[i] *= fade;
+      samples[length - 1 - i] *= fade;
+    }
+    return samples;
+  }
+
+  /**
+   * Third-octave frequencies used by the stepped sine (20 Hz up to 20 kHz or Nyquist)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Array<number>} Nominal frequencies in Hz
+   */
+  static steppedFrequencies(sampleRate) {
+    const octaves = new OctaveBandAnalyzer();
+    octaves.setResolution(3);
+    return octaves.getBands(20, Math.min(20000, sampleRate * 0.45)).map((band) => band.nominal);
+  }
+
+  /**
+   * Scale samples in place to a peak of 1
+   * @param {Float32Array} samples - Samples
+   * @returns {Float32Array} The same array
+   */
+  static normalize(samples) {
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    if (peak > 0) {
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] /= peak;
+      }
+    }
+    return samples;
+  }
+}
+
+// Supported signal types
+SignalGenerator.TYPES = ['pink', 'white', 'sine', 'sweep'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SignalGenerator;
+}
@@ -0,0 +1,473 @@
+/**
+ * Sound level meter - IEC 61672 style time-weighted levels, Leq and statistics
+ *
+ * SoundLevelAccumulator runs on the audio thread: it applies the A, C or Z frequency
+ * weighting to the left (or mono) input, runs the Fast (125 ms), Slow
+ * (1 s) and Impulse (35 ms rise, 1.5 s decay) exponential detectors on every sample and
+ * emits one summary per 100 ms block. SoundLevelMeter collects the blocks on the main
+ * thread into Leq, Lmax, Lmin and the L10/L50/L90 percentiles over a sliding interval,
+ * and draws the big-number sound level meter view.
+ *
+ * Levels are kept in dBFS; the view adds the SPL calibration offset when one exists.
+ */
+
+/**
+ * SoundLevelAccumulator - Frequency- and time-weights audio and emits 100 ms block summaries
+ */
+class SoundLevelAccumulator {
+  /**
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Array<object>} sections - Frequency weighting biquads (see SoundLevelMeter.designWeighting)
+   * @param {function(object): void} onBlock - Called with { power, F, S, I } for each block;
+   *   F, S and I hold [end, max, min] mean-square values of the time-weighted level
+   */
+  constructor(sampleRate, sections, onBlock) {
+    this.sampleRate = sampleRate;
+    this.onBlock = onBlock;
+    this.blockLength = Math.round(sampleRate * SoundLevelMeter.BLOCK_DURATION);
+
+    // Exponential detector coefficients (per sample)
+    const coefficient = (tau) => 1 - Math.exp(-1 / (tau * sampleRate));
+    this.fastCoefficient = coefficient(SoundLevelMeter.TIME_CONSTANTS.F);
+    this.slowCoefficient = coefficient(SoundLevelMeter.TIME_CONSTANTS.S);
+    this.impulseRiseCoefficient = coefficient(SoundLevelMeter.TIME_CONSTANTS.I);
+    this.impulseFallCoefficient = coefficient(SoundLevelMeter.IMPULSE_DECAY);
+
+    this.setSections(sections);
+  }
+
+  /**
+   * Replace the frequency weighting filter; restarts the detectors and the settling time
+   * The sections are designed on the main thread because worklet modules cannot see
+   * WeightingFilters.
+   * @param {Array<object>} sections - Biquad sections { b0, b1, b2, a1, a2 } (empty for Z)
+   */
+  setSections(sections) {
+    this.sections = sections;
+    this.filterStates = this.sections.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+    this.fast = 0;
+    this.slow = 0;
+    this.impulse = 0;
+    this.settleSamples = Math.round(this.sampleRate * SoundLevelMeter.SETTLE_TIME);  // Blocks are held back while the detectors settle
+    this.resetBlock();
+  }
+
+  /**
+   * Start a new 100 ms block
+   */
+  resetBlock() {
+    this.samplesInBlock = 0;
+    this.sumSquares = 0;
+    this.extremes = { F: [0, Infinity], S: [0, Infinity], I: [0, Infinity] };  // [max, min] per detector
+  }
+
+  /**
+   * Weight a buffer of samples and emit completed blocks
+   * Only the first channel is measured (the microphone on the left or mono input)
+   * @param {Array<Float32Array>} channels - Channel buffers
+   */
+  process(channels) {
+    const samples = channels[0];
+    const sections = this.sections;
+    const states = this.filterStates;
+    const extremes = this.extremes;
+
+    for (let i = 0; i < samples.length; i++) {
+      // === FREQUENCY WEIGHTING ===
+      let x = samples[i];
+      for (let s = 0; s < sections.length; s++) {
+        const c = sections[s];
+        const state = states[s];
+        const y = c.b0 * x + c.b1 * state.x1 + c.b2 * state.x2 - c.a1 * state.y1 - c.a2 * state.y2;
+        state.x2 = state.x1;
+        state.x1 = x;
+        state.y2 = state.y1;
+        state.y1 = y;
+        x = y;
+      }
+
+      // === TIME WEIGHTING ===
+      const square = x * x;
+      this.fast += (square - this.fast) * this.fastCoefficient;
+      this.slow += (square - this.slow) * this.slowCoefficient;
+      this.impulse += (square - this.impulse) * (square > this.impulse ? this.impulseRiseCoefficient : this.impulseFallCoefficient);
+
+      if (this.settleSamples > 0) {
+        this.settleSamples--;
+        continue;
+      }
+
+      this.sumSquares += square;
+      if (this.fast > extremes.F[0]) extremes.F[0] = this.fast;
+      if (this.fast < extremes.F[1]) extremes.F[1] = this.fast;
+      if (this.slow > extremes.S[0]) extremes.S[0] = this.slow;
+      if (this.slow < extremes.S[1]) extremes.S[1] = this.slow;
+      if (this.impulse > extremes.I[0]) extremes.I[0] = this.impulse;
+      if (this.impulse < extremes.I[1]) extremes.I[1] = this.impulse;
+
+      if (++this.samplesInBlock === this.blockLength) {
+        this.onBlock({
+          power: this.sumSquares / this.blockLength,
+          F: [this.fast, extremes.F[0], extremes.F[1]],
+          S: [this.slow, extremes.S[0], extremes.S[1]],
+          I: [this.impulse, extremes.I[0], extremes.I[1]]
+        });
+        this.resetBlock();
+      }
+    }
+  }
+}
+
+/**
+ * SoundLevelMeter - Leq, Lmax, Lmin and percentile levels over a sliding interval
+ */
+class SoundLevelMeter {
+  /**
+   * @param {object} analyzer - Spectrum analyzer (canvas context and plot area for drawing)
+   */
+  constructor(analyzer) {
+    this.analyzer = analyzer;
+
+    // === SETTINGS ===
+    this.frequencyWeighting = 'A';      // 'A', 'C' or 'Z' (applied in the accumulator)
+    this.timeWeighting = 'F';           // 'F' (Fast), 'S' (Slow) or 'I' (Impulse)
+    this.interval = 300;                // Leq/statistics interval in seconds (0 = since reset)
+
+    // === ACCUMULATOR CONTROL ===
+    this.accumulator = null;            // { setSections } controller for the running accumulator
+    this.sampleRate = 48000;            // Sample rate the weighting filters are designed for
+
+    this.reset();
+  }
+
+  /**
+   * Connect (or disconnect with null) the running accumulator; connecting restarts the statistics
+   * @param {object|null} accumulator - Controller with setSections(sections)
+   * @param {number} sampleRate - Audio context sample rate in Hz
+   */
+  attachAccumulator(accumulator, sampleRate) {
+    this.accumulator = accumulator;
+    if (accumulator) {
+      this.sampleRate = sampleRate;
+      accumulator.setSections(SoundLevelMeter.designWeighting(this.frequencyWeighting, sampleRate));
+      this.reset();
+    }
+  }
+
+  /**
+   * Select the frequency weighting (restarts the measurement)
+   * @param {string} weighting - 'A', 'C' or 'Z'
+   */
+  setFrequencyWeighting(weighting) {
+    if (!SoundLevelMeter.FREQUENCY_WEIGHTINGS.includes(weighting)) return;
+    this.frequencyWeighting = weighting;
+    if (this.accumulator) {
+      this.accumulator.setSections(SoundLevelMeter.designWeighting(weighting, this.sampleRate));
+    }
+    this.reset();
+  }
+
+  /**
+   * Select the time weighting (restarts the measurement)
+   * @param {string} weighting - 'F', 'S' or 'I'
+   */
+  setTimeWeighting(weighting) {
+    if (!Object.prototype.hasOwnProperty.call(SoundLevelMeter.TIME_CONSTANTS, weighting)) return;
+    this.timeWeighting = weighting;
+    this.reset();
+  }
+
+  /**
+   * Select the Leq/statistics interval (restarts the measurement)
+   * @param {number} seconds - Sliding interval in seconds, or 0 for everything since the last reset
+   */
+  setInterval(seconds) {
+    if (!SoundLevelMeter.INTERVALS.includes(seconds)) return;
+    this.interval = seconds;
+    this.reset();
+  }
+
+  /**
+   * Clear all statistics
+   */
+  reset() {
+    const capacity = Math.round(this.interval / SoundLevelMeter.BLOCK_DURATION);
+    this.blocks = capacity > 0 ? {
+      power: new Float64Array(capacity),
+      level: new Int16Array(capacity),  // Histogram bins of the stored blocks (for eviction)
+      max: new Int16Array(capacity),
+      min: new Int16Array(capacity)
+    } : null;
+    this.head = 0;                      // Next ring position
+    this.count = 0;                     // Blocks in the interval
+    this.totalBlocks = 0;               // Blocks since the last reset
+    this.powerSum = 0;                  // Sum of block mean squares in the interval
+    this.levelHistogram = new Uint32Array(SoundLevelMeter.BIN_COUNT);
+    this.maxHistogram = new Uint32Array(SoundLevelMeter.BIN_COUNT);
+    this.minHistogram = new Uint32Array(SoundLevelMeter.BIN_COUNT);
+    this.current = -Infinity;           // Latest time-weighted level in dBFS
+  }
+
+  /**
+   * Add a 100 ms block summary from the accumulator
+   * @param {object} block - { power, F, S, I } as emitted by SoundLevelAccumulator
+   */
+  addBlock(block) {
+    const [end, max, min] = block[this.timeWeighting];
+    const levelBin = SoundLevelMeter.binIndex(SoundLevelMeter.powerToDB(end));
+    const maxBin = SoundLevelMeter.binIndex(SoundLevelMeter.powerToDB(max));
+    const minBin = SoundLevelMeter.binIndex(SoundLevelMeter.powerToDB(min));
+
+    // === EVICT THE OLDEST BLOCK ONCE THE INTERVAL IS FULL ===
+    const blocks = this.blocks;
+    if (blocks) {
+      if (this.count === blocks.power.length) {
+        this.powerSum -= blocks.power[this.head];
+        this.levelHistogram[blocks.level[this.head]]--;
+        this.maxHistogram[blocks.max[this.head]]--;
+        this.minHistogram[blocks.min[this.head]]--;
+      } else {
+        this.count++;
+      }
+      blocks.power[this.head] = block.power;
+      blocks.level[this.head] = levelBin;
+      blocks.max[this.head] = maxBin;
+      blocks.min[this.head] = minBin;
+      this.head = (this.head + 1) % blocks.power.length;
+    } else {
+      this.count++;
+    }
+
+    this.powerSum += block.power;
+    this.levelHistogram[levelBin]++;
+    this.maxHistogram[maxBin]++;
+    this.minHistogram[minBin]++;
+    this.totalBlocks++;
+    this.current = SoundLevelMeter.powerToDB(end);
+  }
+
+  /**
+   * Equivalent continuous level over the interval
+   * @returns {number} Leq in dBFS (-Infinity before the first block)
+   */
+  getLeq() {
+    return this.count > 0 ? SoundLevelMeter.powerToDB(Math.max(0, this.powerSum) / this.count) : -Infinity;
+  }
+
+  /**
+   * Highest time-weighted level in the interval
+   * @returns {number} Lmax in dBFS (-Infinity before the first block)
+   */
+  getMax() {
+    for (let bin = SoundLevelMeter.BIN_COUNT - 1; bin >= 0; bin--) {
+      if (this.maxHistogram[bin] > 0) return SoundLevelMeter.binLevel(bin);
+    }
+    return -Infinity;
+  }
+
+  /**
+   * Lowest time-weighted level in the interval
+   * @returns {number} Lmin in dBFS (-Infinity before the first block)
+   */
+  getMin() {
+    for (let bin = 0; bin < SoundLevelMeter.BIN_COUNT; bin++) {
+      if (this.minHistogram[bin] > 0) return SoundLevelMeter.binLevel(bin);
+    }
+    return -Infinity;
+  }
+
+  /**
+   * Level exceeded for the given percentage of the interval (L10, L50, L90)
+   * @param {number} percent - Exceedance percentage (0-100)
+   * @returns {number} Level in dBFS (-Infinity before the first block)
+   */
+  getPercentile(percent) {
+    if (this.count === 0) return -Infinity;
+    const target = this.count * percent / 100;
+    let exceeded = 0;
+    for (let bin = SoundLevelMeter.BIN_COUNT - 1; bin >= 0; bin--) {
+      exceeded += this.levelHistogram[bin];
+      if (exceeded >= target && exceeded > 0) return SoundLevelMeter.binLevel(bin);
+    }
+    return SoundLevelMeter.binLevel(0);
+  }
+
+  /**
+   * Measurement time covered by the statistics
+   * @returns {number} Seconds (at most the interval)
+   */
+  getDuration() {
+    return this.count * SoundLevelMeter.BLOCK_DURATION;
+  }
+
+  /**
+   * Level designation for the current weightings, e.g. 'LAF' or 'LCS'
+   * @returns {string} Designation
+   */
+  getLabel() {
+    return `L${this.frequencyWeighting}${this.timeWeighting}`;
+  }
+
+  /**
+   * Draw the big-number sound level meter view into the analyzer's plot area
+   * @param {number|null} calibrationOffset - dB SPL at 0 dBFS, or null to show dBFS
+   */
+  draw(calibrationOffset) {
+    const analyzer = this.analyzer;
+    const ctx = analyzer.ctx;
+    const offset = calibrationOffset === null ? 0 : calibrationOffset;
+    const unit = calibrationOffset === null ? 'dBFS' : 'dB';
+    const format = (level) => (isFinite(level) ? (level + offset).toFixed(1) : '--');
+    const centerX = analyzer.plotLeft + analyzer.plotWidth / 2;
+
+    // === CURRENT LEVEL ===
+    const bigSize = Math.max(24, Math.floor(Math.min(analyzer.plotHeight * 0.4, analyzer.plotWidth * 0.2)));
+    const bigY = analyzer.plotTop + analyzer.plotHeight * 0.38;
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `bold ${bigSize}px Arial`;
+    ctx.fillText(format(this.current), centerX, bigY);
+
+    ctx.fillStyle = '#aaa';
+    ctx.font = `${Math.max(12, Math.floor(bigSize / 4))}px Arial`;
+    ctx.fillText(`${this.getLabel()} ${unit}${calibrationOffset === null ? ' (not calibrated)' : ''}`, centerX, bigY + bigSize * 0.7);
+
+    // === STATISTICS TILES ===
+    const label = this.getLabel();
+    const tiles = [
+      [`L${this.frequencyWeighting}eq`, this.getLeq()],
+      [`${label}max`, this.getMax()],
+      [`${label}min`, this.getMin()],
+      [`${label}10`, this.getPercentile(10)],
+      [`${label}50`, this.getPercentile(50)],
+      [`${label}90`, this.getPercentile(90)]
+    ];
+    const tileWidth = analyzer.plotWidth / tiles.length;
+    const valueSize = Math.max(14, Math.floor(Math.min(analyzer.plotHeight * 0.1, tileWidth * 0.28)));
+    const tileY = analyzer.plotBottom - valueSize * 2;
+    tiles.forEach(([name, level], i) => {
+      const x = analyzer.plotLeft + tileWidth * (i + 0.5);
+      ctx.fillStyle = '#aaa';
+      ctx.font = `${Math.max(11, Math.floor(valueSize / 2))}px Arial`;
+      ctx.fillText(name, x, tileY - valueSize * 0.8);
+      ctx.fillStyle = '#fff';
+      ctx.font = `${valueSize}px Arial`;
+      ctx.fillText(format(level), x, tileY);
+    });
+
+    // === INTERVAL ===
+    ctx.fillStyle = '#aaa';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    const elapsed = SoundLevelMeter.formatDuration(this.getDuration());
+    const interval = this.interval === 0 ? 'since reset' : `last ${SoundLevelMeter.formatDuration(this.interval)}`;
+    ctx.fillText(`Statistics: ${interval} (${elapsed} measured)`, analyzer.plotLeft + 6, analyzer.plotTop + 6);
+  }
+
+  /**
+   * Design the frequency weighting filter for the accumulator
+   * @param {string} weighting - 'A', 'C' or 'Z'
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Array<object>} Biquad sections (empty for Z weighting)
+   */
+  static designWeighting(weighting, sampleRate) {
+    return weighting === 'Z' ? [] : WeightingFilters.design(weighting, sampleRate);
+  }
+
+  /**
+   * Format seconds as m:ss or h:mm:ss
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} Formatted duration
+   */
+  static formatDuration(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  /**
+   * Convert a mean-square value to dBFS
+   * @param {number} power - Mean square (full-scale sine RMS² = 0.5)
+   * @returns {number} Level in dBFS (-Infinity for silence)
+   */
+  static powerToDB(power) {
+    return power > 0 ? 10 * Math.log10(power) : -Infinity;
+  }
+
+  /**
+   * Histogram bin of a level (clamped to the histogram range)
+   * @param {number} level - Level in dBFS
+   * @returns {number} Bin index
+   */
+  static binIndex(level) {
+    const bin = Math.floor((level - SoundLevelMeter.MIN_LEVEL) / SoundLevelMeter.BIN_WIDTH);
+    return Math.max(0, Math.min(SoundLevelMeter.BIN_COUNT - 1, isNaN(bin) ? 0 : bin));
+  }
+
+  /**
+   * Centre level of a histogram bin
+   * @param {number} bin - Bin index
+   * @returns {number} Level in dBFS
+   */
+  static binLevel(bin) {
+    return SoundLevelMeter.MIN_LEVEL + (bin + 0.5) * SoundLevelMeter.BIN_WIDTH;
+  }
+}
+
+// Length of one block summary in seconds
+SoundLevelMeter.BLOCK_DURATION = 0.1;
+
+// Detector settling time after start or a weighting change (blocks are not emitted)
+SoundLevelMeter.SETTLE_TIME = 1;
+
+// Exponential time constants in seconds (Impulse uses its own 1.5 s decay)
+SoundLevelMeter.TIME_CONSTANTS = { F: 0.125, S: 1, I: 0.035 };
+SoundLevelMeter.IMPULSE_DECAY = 1.5;
+
+// Supported frequency weightings and Leq intervals (seconds, 0 = since reset)
+SoundLevelMeter.FREQUENCY_WEIGHTINGS = ['A', 'C', 'Z'];
+SoundLevelMeter.INTERVALS = [0, 10, 60, 300, 900, 3600];
+
+// Statistics histogram: 0.1 dB bins from -150 to +10 dBFS
+SoundLevelMeter.MIN_LEVEL = -150;
+SoundLevelMeter.BIN_WIDTH = 0.1;
+SoundLevelMeter.BIN_COUNT = 1600;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SoundLevelMeter, SoundLevelAccumulator };
+}
+
+// === AUDIO WORKLET REGISTRATION ===
+// When loaded with audioWorklet.addModule(), run the accumulator on the audio thread and
+// post each block summary to the main thread. The weighting filter is replaced with
+// { sections } port messages.
+if (typeof registerProcessor === 'function') {
+  class SoundLevelWorkletProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+      this.accumulator = new SoundLevelAccumulator(
+        options.processorOptions.sampleRate,
+        options.processorOptions.sections,
+        (block) => this.port.postMessage(block)
+      );
+      this.port.onmessage = (event) => {
+        if (event.data.sections) this.accumulator.setSections(event.data.sections);
+      };
+    }
+
+    process(inputs) {
+      const input = inputs[0];
+      if (input && input.length > 0) {
+        this.accumulator.process(input);
+      }
+      return true;
+    }
+  }
+
+  registerProcessor('sound-level-processor', SoundLevelWorkletProcessor);
+}
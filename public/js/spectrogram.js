@@ -12,15 +12,22 @@ class StereoSpectrumAnalyzer {
     this.mediaStream = null;            // Input stream from microphone
     this.source = null;                 // Audio source node from media stream
     this.gainNode = null;               // Gain node for manual volume adjustment
+    this.inputBus = null;               // Unity-gain node after the gain; everything analysed is fed from here
     this.splitter = null;               // Channel splitter to separate left/right channels (null for mono inputs)
     this.analyserLeft = null;           // FFT analyzer for left channel (spectrogram)
     this.analyserRight = null;          // FFT analyzer for right channel (spectrogram)
+    this.fftEngineTap = null;           // Node running the custom FFT engine (replaces both analyzers when selected)
         
     // === DEDICATED METER ANALYZERS ===
     // These analyzers are independent of spectrogram FFT size for optimal meter performance
     this.meterAnalyserLeft = null;      // Fixed-size FFT analyzer for left channel meters
     this.meterAnalyserRight = null;     // Fixed-size FFT analyzer for right channel meters
     this.meterSplitter = null;          // Dedicated channel splitter for meters (null for mono inputs)
+    this.loudnessTap = null;            // Node feeding K-weighted blocks to the loudness meter (pre M/S)
+    this.transferTap = null;            // Node running the dual-channel transfer function FFT (pre M/S, stereo only)
+    this.impulseTap = null;             // Node forwarding input blocks to the impulse response recorder (pre M/S)
+    this.soundLevelTap = null;          // Node running the sound level meter detectors (pre M/S, left/mono)
+    this.recorderTap = null;            // Node keeping the pre-trigger recording buffer (pre M/S)
     this.isRunning = false;             // Flag to track if analysis is active
     this.animationId = null;            // ID for requestAnimationFrame loop
         
@@ -82,6 +89,11 @@ class StereoSpectrumAnalyzer {
     // The Web Audio API applies windowing and FFT processing that reduces amplitude readings
     // by approximately 10-20 dB compared to the actual input signal level
     this.amplitudeCalibrationDB = 15.0; // Default calibration offset (adjustable in settings)
+    
+    // === SPECTRUM BACKEND ===
+    // AnalyserNode (default) or the custom FFT engine with selectable window, overlap and averaging;
+    // the custom engine reads true dBFS, so its calibration baseline is 0 dB instead of 15 dB
+    this.fftEngine = new FFTEngine();
         
     // === CLICK POINT DISPLAY STATE ===
     // Controls the interactive frequency/amplitude display when clicking on spectrum
@@ -101,6 +113,11 @@ class StereoSpectrumAnalyzer {
     this.noiseFloorSubtractionDB = 0;           // dB to subtract as estimated noise floor
     this.peakEnvelopeEnabled = true;            // Use peak envelope tracking instead of averaging (enabled by default)
         
+    // === RTA (FRACTIONAL-OCTAVE) DRAW MODE ===
+    // Alternative to the FFT line: integrate bin power into fractional-octave bands and draw bars
+    this.drawMode = 'line';                     // Spectrum draw mode: 'line' (FFT bins) or 'rta' (octave bands)
+    this.octaveBands = new OctaveBandAnalyzer(); // Band definitions and integration (1/3 octave by default)
+        
     // === HOLD MODE STATE ===
     // Controls the visual hold mode for spectrogram amplitude tracking
     this.holdModeEnabled = false;       // Whether hold mode is currently active
@@ -129,15 +146,108 @@ class StereoSpectrumAnalyzer {
       'freezeBtn4': '#aa00ff'         // Purple
     };
         
+    // === REFERENCE TRACES ===
+    // Freeze lines saved to the server-side trace library and shown again as overlays
+    this.referenceTraces = new ReferenceTraces();
+        
+    // === TARGET CURVE ===
+    // Server-side target curve drawn with its tolerance band, and the deviation view mode
+    this.targetCurve = new TargetCurve(this);
+        
+    // === MARKERS ===
+    // Numbered cursor markers on the line spectrum, kept in sessionStorage for the browser session
+    this.markers = new SpectrumMarkers();
+    this.markerReadoutTime = 0;         // Time the marker list readouts were last refreshed
+    this.restoreMarkers();
+        
     // === CREATE LEVEL METERS INSTANCE ===
     // Initialize the level meters component
     this.levelMeters = new LevelMeters(this);
     
+    // === WATERFALL VIEW ===
+    // Scrolling time/frequency heatmap shown instead of the line spectrum in waterfall view mode
+    this.viewMode = 'spectrum';         // Plot view mode: 'spectrum' (line spectrum) or 'waterfall'
+    this.waterfall = new WaterfallView(this);
+    
+    // === GONIOMETER ===
+    // Stereo vectorscope panel drawn over the top-right corner of the plot
+    this.goniometer = new Goniometer(this);
+    
+    // === BAND CORRELATION ===
+    // Per-band phase correlation panel drawn over the top-left corner of the plot
+    this.bandCorrelation = new BandCorrelation(this);
+    
+    // === HARMONIC ANALYSIS ===
+    // Fundamental, harmonic markers and THD/THD+N/SINAD panel in the spectrum view
+    this.harmonics = new HarmonicAnalyzer();
+    this.harmonicAnalyser = null;       // Long-block analyser feeding the harmonic analysis's own FFT
+    
+    // === TUNER ===
+    // Pitch detection with note/cents panel, and the optional note grid on the frequency axis
+    this.tuner = new PitchTuner();
+    
+    // === TRANSFER FUNCTION VIEW ===
+    // Reference vs measurement magnitude, phase and coherence shown in transfer view mode
+    this.transferFunction = new TransferFunction(this);
+    
+    // === IMPULSE RESPONSE / RT60 ===
+    // Sweep or handclap impulse response capture with octave band reverberation times (impulse view mode)
+    this.impulseResponse = new ImpulseResponse(this);
+    this.savedMeasurementId = null;     // Server ID of the last saved RT60 measurement (for export)
+    
+    // === ROOM MODES ===
+    // Low-frequency capture with the hold modes; peaks and dips compared with the axial modes
+    this.roomModes = new RoomModeAnalyzer();
+    this.roomModeCapture = null;        // Running capture { method, fftSize, holdButtonMode }; restored when it ends
+    this.savedRoomModeId = null;        // Server ID of the last saved room mode analysis (for export)
+    
+    // === SPL CALIBRATION ===
+    // Calibrator offset and mic correction of the current input device (stored on the server)
+    this.splCalibration = new SplCalibration();
+    
+    // === SOUND LEVEL METER ===
+    // Time-weighted level, Leq, Lmax/Lmin and percentile statistics (slm view mode)
+    this.soundLevelMeter = new SoundLevelMeter(this);
+    
+    // === LONG-TERM LEVEL LOG ===
+    // Periodic level summaries posted to the server and the history chart of the History tab
+    this.levelLogger = new LevelLogger();
+    this.levelLogPosting = false;       // A POST /api/levels request is in flight
+    const levelHistoryCanvas = document.getElementById('levelHistoryCanvas');
+    this.levelHistoryChart = levelHistoryCanvas ? new LevelHistoryChart(levelHistoryCanvas) : null;
+    
+    // === THRESHOLD ALARMS ===
+    // Rules from the preferences checked against the meters; triggers show the kiosk banner
+    this.alarmMonitor = new AlarmMonitor((alarm, rule) => this.handleAlarm(alarm, rule));
+    this.alarmConfig = { rules: [], webhooks: [] };   // Rules and webhook URLs as stored on the server
+    this.raisedAlarms = new Set();      // "ruleId@time" of alarms raised here (their WebSocket echo is ignored)
+    
+    // === FEEDBACK DETECTION ===
+    // Howl candidates marked on the spectrum, listed in the Feedback tab and pushed to the other clients
+    this.feedback = new FeedbackDetector();
+    this.feedbackReportTime = 0;        // Timestamp of the last candidate report in ms
+    this.feedbackReportPending = false; // The candidates changed since the last report
+    
+    // === PRE-TRIGGER RECORDER ===
+    // Rolling buffer of the input saved as WAV on request or when an alarm triggers
+    this.audioRecorder = new AudioRecorder();
+    
+    // === FILE INPUT ===
+    // A decoded audio file analysed instead of the input device (File tab)
+    this.filePlayer = new FilePlayer();
+    this.fileMode = false;              // Analyse the loaded file rather than the live input
+    this.fileSeeking = false;           // The seek slider is being dragged
+    
+    // === SIGNAL GENERATOR ===
+    // Test signals played to an output device or looped back into the input bus
+    this.signalGenerator = new SignalGenerator();
+    
     // === MID-SIDE MODE STATE ===
     // Controls M/S processing mode for stereo analysis
     this.midSideModeEnabled = false;    // Current M/S mode state (false = Stereo, true = Mid-Side)
     this.isStereoInput = true;          // Track if input is stereo (2 channels) or mono (1 channel)
-    this.msProcessor = null;            // Will hold MidSideProcessor instance when initialized
+    this.msEnergyPreserving = false;    // M/S scaling: false = sum/difference, true = √2 energy-preserving
+    this.msEncoder = null;              // Audio-graph M/S encoder ({ input, output, configure }) for stereo input
         
     // === INITIALIZATION ===
     // Set up all the interactive elements and prepare the display
@@ -194,10 +304,9 @@ class StereoSpectrumAnalyzer {
       msEnergyPreservingToggle.addEventListener('change', async () => {
         const isEnergyPreserving = msEnergyPreservingToggle.checked;
         
-        // Update the M/S processor if it exists
-        if (this.msProcessor) {
-          this.msProcessor.setEnergyPreserving(isEnergyPreserving);
-        }
+        // Update the M/S encoder in the audio graph if it exists
+        this.msEnergyPreserving = isEnergyPreserving;
+        this.updateMidSideEncoder();
         
         // Save the preference
         await this.saveMSEnergyPreservingToSettings(isEnergyPreserving);
@@ -308,6 +417,36 @@ class StereoSpectrumAnalyzer {
                 
         // Adjust layout for the newly active tab
         setTimeout(() => this.adjustSettingsPanelLayout(), 10);
+                
+        // The level history is fetched whenever its tab is opened
+        if (targetTab === 'history') {
+          this.loadLevelHistory();
+        }
+        // Alarm rules and history may have been changed by another client
+        if (targetTab === 'alarms') {
+          this.loadAlarmConfig();
+          this.loadAlarmHistory();
+        }
+        if (targetTab === 'recorder') {
+          this.loadRecordings();
+        }
+        if (targetTab === 'traces') {
+          this.loadTraces();
+        }
+        if (targetTab === 'target') {
+          this.loadTargetCurves();
+        }
+        if (targetTab === 'markers') {
+          this.renderMarkerList();
+        }
+        // Without local detection the list shows what another client reported
+        if (targetTab === 'feedback' && !(this.isRunning && this.feedback.enabled)) {
+          this.loadFeedback();
+        }
+        if (targetTab === 'file') {
+          this.loadFileRecordings();
+          this.updateFileTransport();
+        }
       });
     });
   }
@@ -321,14 +460,7 @@ class StereoSpectrumAnalyzer {
     // FFT size determines frequency resolution vs time resolution trade-off
     // Larger FFT = better frequency resolution but slower updates
     document.getElementById('fftSizeSelect').addEventListener('change', (e) => {
-      this.fftSize = parseInt(e.target.value);        // Update our internal FFT size
-      this.bufferLength = this.fftSize / 2;           // Half the FFT size due to Nyquist limit
-            
-      // If analyzer nodes exist (i.e., we're currently running), update them
-      if (this.analyserLeft && this.analyserRight) {
-        this.analyserLeft.fftSize = this.fftSize;   // Apply new FFT size to left channel
-        this.analyserRight.fftSize = this.fftSize;  // Apply new FFT size to right channel
-      }
+      this.applyFFTSize(parseInt(e.target.value));
     });
         
     // === SPECTROGRAM SMOOTHING SLIDER HANDLER ===
@@ -344,13 +476,63 @@ class StereoSpectrumAnalyzer {
       // Map UI range (1-100) to internal range (0.6-0.98)
       const internalValue = 0.6 + ((uiValue - 1) / 99) * (0.98 - 0.6);
             
-      // Apply smoothing to both analyzer nodes if they exist
-      if (this.analyserLeft && this.analyserRight) {
+      // Apply smoothing to both analyzer nodes if they exist (the custom engine averages instead)
+      if (this.analyserLeft && this.analyserRight && !this.fftEngineTap) {
         this.analyserLeft.smoothingTimeConstant = internalValue;   // Update left channel smoothing
         this.analyserRight.smoothingTimeConstant = internalValue;  // Update right channel smoothing
       }
     });
         
+    // === FFT ENGINE HANDLERS ===
+    // Switching the backend rebuilds a running audio graph; window, overlap and averaging
+    // changes go straight to the running custom engine (its averages restart)
+    const fftEngineSelect = document.getElementById('fftEngineSelect');
+    if (fftEngineSelect) {
+      fftEngineSelect.addEventListener('change', async (e) => {
+        this.fftEngine.setBackend(e.target.value);
+        this.applyFFTEngineBackend();
+        if (this.isRunning && !!this.fftEngineTap !== this.fftEngine.enabled) {
+          this.stop();
+          await this.start();
+        }
+      });
+    }
+        
+    const fftWindowSelect = document.getElementById('fftWindowSelect');
+    if (fftWindowSelect) {
+      fftWindowSelect.addEventListener('change', (e) => {
+        this.fftEngine.setWindow(e.target.value);
+        this.octaveBands.setWindowENBW(this.fftEngine.enbw);    // RTA bands divide by the window's noise bandwidth
+      });
+    }
+        
+    const fftOverlapSelect = document.getElementById('fftOverlapSelect');
+    if (fftOverlapSelect) {
+      fftOverlapSelect.addEventListener('change', (e) => {
+        this.fftEngine.setOverlap(parseInt(e.target.value, 10));
+      });
+    }
+        
+    const fftAveragingSelect = document.getElementById('fftAveragingSelect');
+    if (fftAveragingSelect) {
+      fftAveragingSelect.addEventListener('change', (e) => {
+        this.fftEngine.setAveraging(e.target.value);
+      });
+    }
+        
+    const fftAveragesSelect = document.getElementById('fftAveragesSelect');
+    if (fftAveragesSelect) {
+      fftAveragesSelect.addEventListener('change', (e) => {
+        this.fftEngine.setAverages(parseInt(e.target.value, 10));
+      });
+    }
+        
+    const fftResetBtn = document.getElementById('fftResetBtn');
+    if (fftResetBtn) {
+      fftResetBtn.addEventListener('click', () => this.fftEngine.reset());
+    }
+    this.applyFFTEngineBackend();
+        
     // === MINIMUM FREQUENCY SLIDER HANDLER ===
     // Controls the lowest frequency displayed on the spectrum
     const minFreqSlider = document.getElementById('minFreqSlider');
@@ -522,6 +704,122 @@ class StereoSpectrumAnalyzer {
       // The animation loop will pick up this change automatically
     });
         
+    // === SPECTRUM DRAW MODE DROPDOWN HANDLER ===
+    // Switches between the FFT line and fractional-octave RTA bars
+    const drawModeSelect = document.getElementById('drawModeSelect');
+    if (drawModeSelect) {
+      drawModeSelect.addEventListener('change', (e) => {
+        this.drawMode = e.target.value === 'rta' ? 'rta' : 'line';
+        if (!this.isRunning) {
+          this.drawStaticElements();                                      // Redraw rulers with band labels
+        }
+        // If running, the animation loop will pick up the change automatically
+      });
+    }
+        
+    // === RTA RESOLUTION DROPDOWN HANDLER ===
+    // Selects the band width for RTA mode (1/1, 1/3, 1/6 or 1/12 octave)
+    const rtaResolutionSelect = document.getElementById('rtaResolutionSelect');
+    if (rtaResolutionSelect) {
+      rtaResolutionSelect.addEventListener('change', (e) => {
+        this.octaveBands.setResolution(parseInt(e.target.value));
+        if (!this.isRunning) {
+          this.drawStaticElements();
+        }
+      });
+    }
+        
+    // === HARMONIC ANALYSIS HANDLERS ===
+    // Analysis on/off, highest harmonic included in THD and the THD+N notch bandwidth
+    const harmonicsToggle = document.getElementById('harmonicsToggle');
+    if (harmonicsToggle) {
+      harmonicsToggle.addEventListener('change', (e) => {
+        this.harmonics.setEnabled(e.target.checked);
+      });
+    }
+        
+    const harmonicsCountSelect = document.getElementById('harmonicsCountSelect');
+    if (harmonicsCountSelect) {
+      harmonicsCountSelect.addEventListener('change', (e) => {
+        this.harmonics.setMaxHarmonic(parseInt(e.target.value, 10));
+      });
+    }
+        
+    const harmonicsNotchSelect = document.getElementById('harmonicsNotchSelect');
+    if (harmonicsNotchSelect) {
+      harmonicsNotchSelect.addEventListener('change', (e) => {
+        this.harmonics.setNotchBandwidth(parseInt(e.target.value, 10));
+      });
+    }
+        
+    // === TUNER HANDLERS ===
+    // The note grid replaces the Hz grid and ruler, so a stopped display is redrawn
+    const tunerToggle = document.getElementById('tunerToggle');
+    if (tunerToggle) {
+      tunerToggle.addEventListener('change', (e) => {
+        this.tuner.setEnabled(e.target.checked);
+      });
+    }
+        
+    const noteGridToggle = document.getElementById('noteGridToggle');
+    if (noteGridToggle) {
+      noteGridToggle.addEventListener('change', (e) => {
+        this.tuner.setNoteGrid(e.target.checked);
+        if (!this.isRunning) {
+          this.drawStaticElements();
+        }
+      });
+    }
+        
+    const referenceA4Slider = document.getElementById('referenceA4Slider');
+    const referenceA4Value = document.getElementById('referenceA4Value');
+    if (referenceA4Slider) {
+      referenceA4Slider.addEventListener('input', (e) => {
+        this.tuner.setReferenceA4(parseInt(e.target.value, 10));
+        if (referenceA4Value) {
+          referenceA4Value.textContent = `${this.tuner.referenceA4} Hz`;
+        }
+        if (!this.isRunning) {
+          this.drawStaticElements();
+        }
+      });
+    }
+        
+    // === FEEDBACK DETECTION HANDLERS ===
+    // Switching off clears the candidates here and on the other clients
+    const feedbackToggle = document.getElementById('feedbackToggle');
+    if (feedbackToggle) {
+      feedbackToggle.addEventListener('change', (e) => {
+        const hadCandidates = this.feedback.candidates.length > 0;
+        this.feedback.setEnabled(e.target.checked);
+        if (hadCandidates) {
+          this.reportFeedback();
+        }
+      });
+    }
+        
+    const feedbackThresholdSelect = document.getElementById('feedbackThresholdSelect');
+    if (feedbackThresholdSelect) {
+      feedbackThresholdSelect.addEventListener('change', (e) => {
+        this.feedback.setThreshold(parseInt(e.target.value, 10));
+      });
+    }
+        
+    const feedbackPersistenceSelect = document.getElementById('feedbackPersistenceSelect');
+    if (feedbackPersistenceSelect) {
+      feedbackPersistenceSelect.addEventListener('change', (e) => {
+        this.feedback.setPersistence(parseInt(e.target.value, 10));
+      });
+    }
+        
+    const feedbackClearBtn = document.getElementById('feedbackClearBtn');
+    if (feedbackClearBtn) {
+      feedbackClearBtn.addEventListener('click', () => {
+        this.feedback.reset();
+        this.reportFeedback();
+      });
+    }
+        
     // === INPUT GAIN SLIDER HANDLER ===
     // Controls the input gain applied before spectrum and meter analysis
     // Range: -30 dB to +12 dB in 0.1 dB steps
@@ -531,6 +829,8 @@ class StereoSpectrumAnalyzer {
       const gainDB = parseFloat(e.target.value);                      // Get slider value in dB
       gainValue.textContent = `${gainDB.toFixed(1)} dB`;              // Update displayed value
       this.inputGainDB = gainDB;                                      // Store dB value
+      this.splCalibration.setInputGain(gainDB);                       // dB SPL readings follow the gain
+      this.updateCalibrationControls();
             
       // Update gain node if it exists (i.e., we're currently running)
       if (this.gainNode) {
@@ -546,6 +846,96 @@ class StereoSpectrumAnalyzer {
       this.levelMeters.setRmsWeighting(e.target.value);
     });
         
+    // === PEAK MODE HANDLERS ===
+    // Switch the peak meters between sample peak and true peak (dBTP) and set the over threshold
+    const peakModeSelect = document.getElementById('peakModeSelect');
+    if (peakModeSelect) {
+      peakModeSelect.addEventListener('change', (e) => {
+        this.levelMeters.setPeakMode(e.target.value);
+      });
+    }
+        
+    const truePeakThresholdSlider = document.getElementById('truePeakThresholdSlider');
+    const truePeakThresholdValue = document.getElementById('truePeakThresholdValue');
+    if (truePeakThresholdSlider && truePeakThresholdValue) {
+      truePeakThresholdSlider.addEventListener('input', (e) => {
+        const thresholdDB = parseFloat(e.target.value);
+        truePeakThresholdValue.textContent = `${thresholdDB.toFixed(1)} dBTP`;
+        this.levelMeters.setOverThreshold(thresholdDB);
+      });
+    }
+        
+    // === LOUDNESS METER HANDLERS ===
+    // Show/hide the LUFS column, choose the target preset and reset integrated loudness
+    const loudnessMeterToggle = document.getElementById('loudnessMeterToggle');
+    if (loudnessMeterToggle) {
+      loudnessMeterToggle.addEventListener('change', (e) => {
+        this.levelMeters.setLoudnessMeterEnabled(e.target.checked);
+        this.resizeCanvas();                           // Meter area width changes with the column
+        this.showClickInfo = false;
+        this.clickPoint = null;
+        if (!this.isRunning) {
+          this.drawStaticElements();
+        }
+      });
+    }
+        
+    const loudnessTargetSelect = document.getElementById('loudnessTargetSelect');
+    if (loudnessTargetSelect) {
+      loudnessTargetSelect.addEventListener('change', (e) => {
+        this.levelMeters.loudness.setTarget(parseInt(e.target.value));
+      });
+    }
+        
+    const loudnessResetBtn = document.getElementById('loudnessResetBtn');
+    if (loudnessResetBtn) {
+      loudnessResetBtn.addEventListener('click', () => {
+        this.levelMeters.loudness.reset();
+      });
+    }
+        
+    // === GONIOMETER HANDLERS ===
+    // Show/hide the stereo vectorscope, set its size and choose dot or line rendering
+    const goniometerToggle = document.getElementById('goniometerToggle');
+    if (goniometerToggle) {
+      goniometerToggle.addEventListener('change', (e) => {
+        this.goniometer.setEnabled(e.target.checked);
+      });
+    }
+        
+    const goniometerSizeSlider = document.getElementById('goniometerSizeSlider');
+    const goniometerSizeValue = document.getElementById('goniometerSizeValue');
+    if (goniometerSizeSlider && goniometerSizeValue) {
+      goniometerSizeSlider.addEventListener('input', (e) => {
+        const size = parseInt(e.target.value);
+        goniometerSizeValue.textContent = `${size}px`;
+        this.goniometer.setSize(size);
+      });
+    }
+        
+    const goniometerModeSelect = document.getElementById('goniometerModeSelect');
+    if (goniometerModeSelect) {
+      goniometerModeSelect.addEventListener('change', (e) => {
+        this.goniometer.setRenderMode(e.target.value);
+      });
+    }
+        
+    // === BAND CORRELATION HANDLERS ===
+    // Show/hide the per-band correlation panel and choose the band layout
+    const bandCorrelationToggle = document.getElementById('bandCorrelationToggle');
+    if (bandCorrelationToggle) {
+      bandCorrelationToggle.addEventListener('change', (e) => {
+        this.bandCorrelation.setEnabled(e.target.checked);
+      });
+    }
+        
+    const bandCorrelationBandsSelect = document.getElementById('bandCorrelationBandsSelect');
+    if (bandCorrelationBandsSelect) {
+      bandCorrelationBandsSelect.addEventListener('change', (e) => {
+        this.bandCorrelation.setBandSet(e.target.value);
+      });
+    }
+        
     // === AMPLITUDE CALIBRATION SLIDER HANDLER ===
     // Controls the dB offset applied to correct Web Audio API's internal reference level
     // This compensates for windowing and FFT processing losses in getFloatFrequencyData()
@@ -555,11 +945,12 @@ class StereoSpectrumAnalyzer {
     // - Slider default: 0.0 dB (represents the 15 dB baseline, no additional offset)
     // - Internal calculation: actualCalibration = 15.0 + sliderOffset
     // - This allows fine-tuning around the typical 15 dB Web Audio API offset
+    // - With the custom FFT engine the baseline is 0 dB (its bins already read dBFS)
     const calibrationSlider = document.getElementById('calibrationSlider');
     const calibrationValue = document.getElementById('calibrationValue');
     calibrationSlider.addEventListener('input', (e) => {
       const offsetDB = parseFloat(e.target.value);                        // Get slider offset value (-15 to +15)
-      const actualCalibrationDB = 15.0 + offsetDB;                       // Calculate actual calibration (0 to 30 dB)
+      const actualCalibrationDB = this.fftEngine.baselineCalibrationDB + offsetDB; // Calculate actual calibration (0 to 30 dB)
             
       // Update display to show the offset with appropriate sign
       const displayText = offsetDB >= 0 ? `+${offsetDB.toFixed(1)} dB` : `${offsetDB.toFixed(1)} dB`;
@@ -602,6 +993,7 @@ class StereoSpectrumAnalyzer {
       const newMinDB = parseInt(e.target.value);                          // Get slider value in dB
       spectrogramRangeValue.textContent = `${newMinDB} dB to 0 dB`;       // Update displayed range
       this.adjustableMinDB = newMinDB;                                    // Update internal minimum dB value
+      this.waterfall.repaint();                                           // Recolour waterfall history for the new range
             
       // Clear click info since amplitude scaling has changed
       this.showClickInfo = false;
@@ -613,507 +1005,2846 @@ class StereoSpectrumAnalyzer {
       // If running, the animation loop will pick up the change automatically
     });
         
-    // === REFRESH RATE SLIDER HANDLER ===
-    // Controls the frame rate for performance optimization
-    const refreshRateSlider = document.getElementById('refreshRateSlider');
-    const refreshRateValue = document.getElementById('refreshRateValue');
-    if (refreshRateSlider && refreshRateValue) {
-      refreshRateSlider.addEventListener('input', (e) => {
-        this.refreshRate = parseInt(e.target.value);
-        refreshRateValue.textContent = `${this.refreshRate} FPS`;
+    // === VIEW MODE DROPDOWN HANDLER ===
+    // Switches the plot between the line spectrum and the scrolling waterfall
+    const viewModeSelect = document.getElementById('viewModeSelect');
+    if (viewModeSelect) {
+      viewModeSelect.addEventListener('change', (e) => {
+        this.setViewMode(e.target.value);
       });
     }
         
-    // === V-SYNC TOGGLE HANDLER ===
-    // Controls whether to use V-Sync (requestAnimationFrame) vs fixed rate (setTimeout)
-    const vSyncToggle = document.getElementById('enableVSyncToggle');
-    if (vSyncToggle) {
-      vSyncToggle.addEventListener('change', (e) => {
-        this.enableVSync = e.target.checked;
-        // Note: V-Sync change takes effect on next animation cycle
+    // === TRANSFER FUNCTION HANDLERS ===
+    // Reference channel, averaging, magnitude range and the delay finder for transfer view mode
+    const transferReferenceSelect = document.getElementById('transferReferenceSelect');
+    if (transferReferenceSelect) {
+      transferReferenceSelect.addEventListener('change', (e) => {
+        this.transferFunction.setReferenceChannel(e.target.value);
       });
     }
-  }
-    
-  /**
-     * Adjusts the settings panel layout based on available space
-     * Simplified for touchscreen - maintains consistent width and auto-scaling content
-     */
-  adjustSettingsPanelLayout() {
-    const settingsPanel = document.getElementById('settingsPanel');
-    const canvasContainer = this.canvasContainer;
         
-    if (!settingsPanel || settingsPanel.style.display !== 'block') {
-      return; // Panel not visible, nothing to adjust
+    const transferAveragesSelect = document.getElementById('transferAveragesSelect');
+    if (transferAveragesSelect) {
+      transferAveragesSelect.addEventListener('change', (e) => {
+        this.transferFunction.setAverages(parseInt(e.target.value));
+      });
     }
         
-    // === CALCULATE AVAILABLE HEIGHT FOR SMALL SCREENS ===
-    const viewportHeight = window.innerHeight;
-    const viewportWidth = window.innerWidth;
+    const transferRangeSlider = document.getElementById('transferRangeSlider');
+    const transferRangeValue = document.getElementById('transferRangeValue');
+    if (transferRangeSlider && transferRangeValue) {
+      transferRangeSlider.addEventListener('input', (e) => {
+        const range = parseInt(e.target.value);
+        transferRangeValue.textContent = `±${range} dB`;
+        this.transferFunction.setMagnitudeRange(range);
+      });
+    }
         
-    // For small screens (like 800x480), use most of the available height
-    let maxAvailableHeight;
-    if (viewportHeight <= 600) {
-      maxAvailableHeight = viewportHeight - 50; // Very tight on small screens
-    } else if (viewportHeight <= 768) {
-      maxAvailableHeight = viewportHeight - 70; // Moderate spacing
-    } else {
-      const canvasRect = canvasContainer.getBoundingClientRect();
-      maxAvailableHeight = canvasRect.height - 80; // Original logic for larger screens
+    const transferFindDelayBtn = document.getElementById('transferFindDelayBtn');
+    if (transferFindDelayBtn) {
+      transferFindDelayBtn.addEventListener('click', () => {
+        if (this.transferFunction.alignDelay() === null) {
+          this.updateStatus('Transfer function: no data yet - start the analyzer in Transfer Function view');
+          return;
+        }
+        this.updateTransferDelayDisplay();
+      });
     }
         
-    // === ADJUST PANEL WIDTH FOR SMALL SCREENS ===
-    if (viewportWidth <= 800) {
-      settingsPanel.style.width = `${Math.min(viewportWidth - 20, 780)}px`;
-      settingsPanel.style.minWidth = '300px';
-      settingsPanel.style.maxWidth = `${viewportWidth - 20}px`;
-    } else {
-      settingsPanel.style.width = '780px';
-      settingsPanel.style.minWidth = '780px';
-      settingsPanel.style.maxWidth = '780px';
+    const transferClearDelayBtn = document.getElementById('transferClearDelayBtn');
+    if (transferClearDelayBtn) {
+      transferClearDelayBtn.addEventListener('click', () => {
+        this.transferFunction.setDelay(0);
+        this.updateTransferDelayDisplay();
+      });
     }
         
-    // === GET ACTIVE SETTINGS PAGE ===
-    const activeSettingsPage = document.querySelector('.settings-page.active');
-    if (!activeSettingsPage) return;
+    // === SIGNAL GENERATOR HANDLERS ===
+    // Signal, level and routing of the test signal generator; playback needs a running analyzer
+    const generatorSignalSelect = document.getElementById('generatorSignalSelect');
+    if (generatorSignalSelect) {
+      generatorSignalSelect.addEventListener('change', (e) => {
+        this.signalGenerator.setType(e.target.value);
+      });
+    }
         
-    // === ENSURE CONSISTENT SINGLE-COLUMN LAYOUT ON SMALL SCREENS ===
-    const allSettingsPages = document.querySelectorAll('.settings-page');
-    allSettingsPages.forEach(page => {
-      if (viewportWidth <= 800) {
-        page.classList.remove('two-column');
-      }
-    });
+    const generatorSineModeSelect = document.getElementById('generatorSineModeSelect');
+    if (generatorSineModeSelect) {
+      generatorSineModeSelect.addEventListener('change', (e) => {
+        this.signalGenerator.setSineMode(e.target.value);
+      });
+    }
         
-    if (viewportWidth <= 800) {
-      settingsPanel.classList.remove('two-column');
+    const generatorFrequencyInput = document.getElementById('generatorFrequencyInput');
+    if (generatorFrequencyInput) {
+      generatorFrequencyInput.addEventListener('change', (e) => {
+        const frequency = parseFloat(e.target.value);
+        if (!isNaN(frequency)) {
+          this.signalGenerator.setFrequency(frequency);
+        }
+        e.target.value = this.signalGenerator.frequency;
+      });
     }
         
-    // === SET PANEL HEIGHT ===
-    settingsPanel.style.maxHeight = `${maxAvailableHeight}px`;
+    const generatorSweepDurationSelect = document.getElementById('generatorSweepDurationSelect');
+    if (generatorSweepDurationSelect) {
+      generatorSweepDurationSelect.addEventListener('change', (e) => {
+        this.signalGenerator.setSweepDuration(parseInt(e.target.value));
+      });
+    }
         
-    // === ADJUST CONTENT AREA MAX HEIGHT ===
-    const settingsContent = settingsPanel.querySelector('.settings-content');
-    const tabsHeight = settingsPanel.querySelector('.settings-tabs').offsetHeight;
-    const contentMaxHeight = maxAvailableHeight - tabsHeight - 10; // Minimal padding
-    settingsContent.style.maxHeight = `${contentMaxHeight}px`;
+    const generatorLevelSlider = document.getElementById('generatorLevelSlider');
+    const generatorLevelValue = document.getElementById('generatorLevelValue');
+    if (generatorLevelSlider && generatorLevelValue) {
+      generatorLevelSlider.addEventListener('input', (e) => {
+        const level = parseInt(e.target.value);
+        generatorLevelValue.textContent = `${level} dBFS`;
+        this.signalGenerator.setLevel(level);
+      });
+    }
         
-    // === ENSURE SCROLLING IS ENABLED ===
-    settingsContent.style.overflowY = 'auto';
-    settingsContent.style.overflowX = 'hidden';
+    const generatorOutputSelect = document.getElementById('generatorOutputSelect');
+    if (generatorOutputSelect) {
+      generatorOutputSelect.addEventListener('change', (e) => {
+        this.signalGenerator.setOutputDevice(e.target.value);
+      });
+      this.updateGeneratorOutputs();
+    }
         
-    // === ENSURE CONTENT USES FULL WIDTH ===
-    settingsContent.style.width = '100%';
-    settingsContent.style.boxSizing = 'border-box';
+    const generatorLoopbackToggle = document.getElementById('generatorLoopbackToggle');
+    if (generatorLoopbackToggle) {
+      generatorLoopbackToggle.addEventListener('change', (e) => {
+        this.signalGenerator.setLoopback(e.target.checked);
+      });
+    }
         
-    // === LOG FOR DEBUGGING ===
-    console.log(`Settings panel adjusted: ${viewportWidth}x${viewportHeight}, panel height: ${maxAvailableHeight}px, content height: ${contentMaxHeight}px`);
-  }
-    
-  /**
-     * Adjusts the panel position to ensure it stays within the canvas container bounds
-     * @param {HTMLElement} settingsPanel - The settings panel element
-     * @param {DOMRect} canvasRect - The canvas container bounding rectangle
-     */
-  adjustPanelPosition(settingsPanel, canvasRect) {
-    // Get panel dimensions after applying two-column class
-    const panelRect = settingsPanel.getBoundingClientRect();
-    const panelWidth = settingsPanel.offsetWidth;
+    const generatorPlayBtn = document.getElementById('generatorPlayBtn');
+    if (generatorPlayBtn) {
+      generatorPlayBtn.addEventListener('click', () => {
+        if (this.signalGenerator.playing) {
+          this.signalGenerator.stop();
+        } else if (!this.signalGenerator.start()) {
+          this.updateStatus('Generator: start the analyzer first');
+        }
+        this.updateGeneratorButton();
+      });
+    }
         
-    // === CALCULATE AVAILABLE SPACE ===
-    const availableWidth = canvasRect.width;
-    const currentLeft = 10; // Default left position
+    // === IMPULSE RESPONSE HANDLERS ===
+    // Measurement method, analysed channel and tail length; Measure runs (or cancels) a capture
+    const irMethodSelect = document.getElementById('irMethodSelect');
+    if (irMethodSelect) {
+      irMethodSelect.addEventListener('change', (e) => {
+        this.impulseResponse.setMethod(e.target.value);
+      });
+    }
         
-    // === CHECK IF PANEL WOULD EXTEND BEYOND RIGHT EDGE ===
-    if (currentLeft + panelWidth > availableWidth) {
-      // Move panel to the right edge of available space
-      const newLeft = Math.max(0, availableWidth - panelWidth - 10); // 10px margin from right edge
-      settingsPanel.style.left = `${newLeft}px`;
-    } else {
-      // Keep default position
-      settingsPanel.style.left = '10px';
+    const irChannelSelect = document.getElementById('irChannelSelect');
+    if (irChannelSelect) {
+      irChannelSelect.addEventListener('change', (e) => {
+        this.impulseResponse.setChannel(e.target.value);
+      });
     }
-  }
-    
-  /**
-     * Updates the legend visibility based on the overlapping enabled state
-     * Shows or hides the white overlap indicator in the legend
-     */
-  updateLegendVisibility() {
-    // Use direct DOM manipulation (LegendComponent caused issues with visibility state)
-    const overlapLegendItem = document.getElementById('overlapLegendItem');
-    if (overlapLegendItem) {
-      overlapLegendItem.style.display = this.overlappingEnabled ? 'flex' : 'none';
+        
+    const irTailSelect = document.getElementById('irTailSelect');
+    if (irTailSelect) {
+      irTailSelect.addEventListener('change', (e) => {
+        this.impulseResponse.setTailLength(parseFloat(e.target.value));
+      });
+    }
+        
+    const irMeasureBtn = document.getElementById('irMeasureBtn');
+    if (irMeasureBtn) {
+      irMeasureBtn.addEventListener('click', () => {
+        if (this.impulseResponse.state === 'idle') {
+          this.measureImpulseResponse();
+        } else {
+          this.impulseResponse.cancel();
+          this.updateImpulseResponseControls();
+        }
+      });
+    }
+        
+    const irSaveBtn = document.getElementById('irSaveBtn');
+    if (irSaveBtn) {
+      irSaveBtn.addEventListener('click', () => this.saveImpulseResponseMeasurement());
+    }
+        
+    const irExportJsonBtn = document.getElementById('irExportJsonBtn');
+    if (irExportJsonBtn) {
+      irExportJsonBtn.addEventListener('click', () => {
+        window.location.href = `/api/measurements/${this.savedMeasurementId}?download=true`;
+      });
+    }
+        
+    const irExportCsvBtn = document.getElementById('irExportCsvBtn');
+    if (irExportCsvBtn) {
+      irExportCsvBtn.addEventListener('click', () => {
+        window.location.href = `/api/measurements/${this.savedMeasurementId}?format=csv`;
+      });
+    }
+        
+    // === TRACE LIBRARY HANDLERS ===
+    // Save a freeze line under a name with notes and colour, or import an exported trace
+    const traceSaveBtn = document.getElementById('traceSaveBtn');
+    if (traceSaveBtn) {
+      traceSaveBtn.addEventListener('click', () => this.saveFreezeTrace());
+    }
+        
+    const traceImportFile = document.getElementById('traceImportFile');
+    if (traceImportFile) {
+      traceImportFile.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (file) {
+          await this.importTrace(file);
+        }
+        e.target.value = '';                          // Allow the same file to be imported again
+      });
+    }
+        
+    // === TARGET CURVE HANDLERS ===
+    // The selected curve ID lives in a hidden input so the saved setting survives the list loading later
+    const targetCurveSelect = document.getElementById('targetCurveSelect');
+    const targetCurveIdInput = document.getElementById('targetCurveIdInput');
+    if (targetCurveSelect && targetCurveIdInput) {
+      targetCurveSelect.addEventListener('change', (e) => {
+        targetCurveIdInput.value = e.target.value;
+        targetCurveIdInput.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+      targetCurveIdInput.addEventListener('change', (e) => {
+        this.selectTargetCurve(e.target.value);
+      });
+    }
+        
+    const targetAlignToggle = document.getElementById('targetAlignToggle');
+    if (targetAlignToggle) {
+      targetAlignToggle.addEventListener('change', (e) => {
+        this.targetCurve.setAlign(e.target.checked);
+      });
+    }
+        
+    const targetRangeSelect = document.getElementById('targetRangeSelect');
+    if (targetRangeSelect) {
+      targetRangeSelect.addEventListener('change', (e) => {
+        this.targetCurve.setDeviationRange(parseInt(e.target.value));
+      });
+    }
+        
+    const targetImportFile = document.getElementById('targetImportFile');
+    if (targetImportFile) {
+      targetImportFile.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (file) {
+          await this.importTargetCurve(file);
+        }
+        e.target.value = '';                          // Allow the same file to be imported again
+      });
+    }
+        
+    const targetSaveNewBtn = document.getElementById('targetSaveNewBtn');
+    if (targetSaveNewBtn) {
+      targetSaveNewBtn.addEventListener('click', () => this.saveTargetCurve(false));
+    }
+        
+    const targetUpdateBtn = document.getElementById('targetUpdateBtn');
+    if (targetUpdateBtn) {
+      targetUpdateBtn.addEventListener('click', () => this.saveTargetCurve(true));
+    }
+        
+    const targetDeleteBtn = document.getElementById('targetDeleteBtn');
+    if (targetDeleteBtn) {
+      targetDeleteBtn.addEventListener('click', () => this.deleteTargetCurve());
+    }
+        
+    // === MARKER HANDLERS ===
+    // Clicks place markers while enabled; new markers can snap to the nearest peak
+    const markerClickToggle = document.getElementById('markerClickToggle');
+    if (markerClickToggle) {
+      markerClickToggle.addEventListener('change', (e) => {
+        this.markers.setEnabled(e.target.checked);
+        this.showClickInfo = false;
+        this.clickPoint = null;
+      });
+    }
+        
+    const markerSnapToggle = document.getElementById('markerSnapToggle');
+    if (markerSnapToggle) {
+      markerSnapToggle.addEventListener('change', (e) => {
+        this.markers.setSnapToPeak(e.target.checked);
+      });
+    }
+        
+    const markerClearBtn = document.getElementById('markerClearBtn');
+    if (markerClearBtn) {
+      markerClearBtn.addEventListener('click', () => {
+        this.markers.clear();
+        this.markersChanged();
+      });
+    }
+        
+    // === ROOM MODE HANDLERS ===
+    // Room dimensions and capture method; Start begins a capture, Analyse (listen) or Cancel (sweep) ends it
+    [['roomLengthInput', 'length'], ['roomWidthInput', 'width'], ['roomHeightInput', 'height']].forEach(([id, dimension]) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', (e) => {
+          this.roomModes.setDimension(dimension, parseFloat(e.target.value));
+          this.updateRoomModeResults();
+        });
+      }
+    });
+        
+    const roomModeMethodSelect = document.getElementById('roomModeMethodSelect');
+    if (roomModeMethodSelect) {
+      roomModeMethodSelect.addEventListener('change', (e) => {
+        this.roomModes.setMethod(e.target.value);
+      });
+    }
+        
+    const roomModeCaptureBtn = document.getElementById('roomModeCaptureBtn');
+    if (roomModeCaptureBtn) {
+      roomModeCaptureBtn.addEventListener('click', () => {
+        if (!this.roomModeCapture) {
+          this.startRoomModeCapture();
+        } else {
+          this.finishRoomModeCapture(this.roomModeCapture.method === 'listen');
+        }
+      });
+    }
+        
+    const roomModeSaveBtn = document.getElementById('roomModeSaveBtn');
+    if (roomModeSaveBtn) {
+      roomModeSaveBtn.addEventListener('click', () => this.saveRoomModeMeasurement());
+    }
+        
+    const roomModeExportJsonBtn = document.getElementById('roomModeExportJsonBtn');
+    if (roomModeExportJsonBtn) {
+      roomModeExportJsonBtn.addEventListener('click', () => {
+        window.location.href = `/api/measurements/${this.savedRoomModeId}?download=true`;
+      });
+    }
+        
+    const roomModeExportCsvBtn = document.getElementById('roomModeExportCsvBtn');
+    if (roomModeExportCsvBtn) {
+      roomModeExportCsvBtn.addEventListener('click', () => {
+        window.location.href = `/api/measurements/${this.savedRoomModeId}?format=csv`;
+      });
+    }
+        
+    // === CALIBRATION HANDLERS ===
+    // SPL calibrator measurement and mic correction file import for the current input device
+    const calibrateBtn = document.getElementById('calibrateBtn');
+    if (calibrateBtn) {
+      calibrateBtn.addEventListener('click', () => {
+        if (this.splCalibration.state === 'calibrating') {
+          this.splCalibration.cancel();
+        } else {
+          this.runCalibration();
+        }
+      });
+    }
+        
+    const calibrationClearBtn = document.getElementById('calibrationClearBtn');
+    if (calibrationClearBtn) {
+      calibrationClearBtn.addEventListener('click', async () => {
+        this.splCalibration.setRecord({ ...this.splCalibration.toRecord(), offsetDB: null });
+        await this.saveCalibration();
+        this.updateCalibrationControls();
+      });
+    }
+        
+    const micCalibrationFile = document.getElementById('micCalibrationFile');
+    if (micCalibrationFile) {
+      micCalibrationFile.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+          this.importMicCalibration(file);
+        }
+        e.target.value = '';                                          // Allow re-importing the same file
+      });
+    }
+        
+    const micCalibrationClearBtn = document.getElementById('micCalibrationClearBtn');
+    if (micCalibrationClearBtn) {
+      micCalibrationClearBtn.addEventListener('click', async () => {
+        this.splCalibration.setMicCorrection(null);
+        await this.saveCalibration();
+        this.updateCalibrationControls();
+      });
+    }
+
+    // === SOUND LEVEL METER HANDLERS ===
+    // Weightings and statistics interval; each change restarts the statistics
+    const slmFrequencyWeightingSelect = document.getElementById('slmFrequencyWeightingSelect');
+    if (slmFrequencyWeightingSelect) {
+      slmFrequencyWeightingSelect.addEventListener('change', (e) => {
+        this.soundLevelMeter.setFrequencyWeighting(e.target.value);
+      });
+    }
+
+    const slmTimeWeightingSelect = document.getElementById('slmTimeWeightingSelect');
+    if (slmTimeWeightingSelect) {
+      slmTimeWeightingSelect.addEventListener('change', (e) => {
+        this.soundLevelMeter.setTimeWeighting(e.target.value);
+      });
+    }
+
+    const slmIntervalSelect = document.getElementById('slmIntervalSelect');
+    if (slmIntervalSelect) {
+      slmIntervalSelect.addEventListener('change', (e) => {
+        this.soundLevelMeter.setInterval(parseInt(e.target.value, 10));
+      });
+    }
+
+    const slmResetBtn = document.getElementById('slmResetBtn');
+    if (slmResetBtn) {
+      slmResetBtn.addEventListener('click', () => this.soundLevelMeter.reset());
+    }
+
+    // === LEVEL LOG HANDLERS ===
+    // Logging on/off and interval; history period, refresh and CSV export of the History tab
+    const levelLogEnabledToggle = document.getElementById('levelLogEnabledToggle');
+    if (levelLogEnabledToggle) {
+      levelLogEnabledToggle.addEventListener('change', (e) => {
+        this.levelLogger.setEnabled(e.target.checked);
+      });
+    }
+
+    const levelLogIntervalSelect = document.getElementById('levelLogIntervalSelect');
+    if (levelLogIntervalSelect) {
+      levelLogIntervalSelect.addEventListener('change', (e) => {
+        this.levelLogger.setInterval(parseInt(e.target.value, 10));
+      });
+    }
+
+    const levelHistoryRangeSelect = document.getElementById('levelHistoryRangeSelect');
+    if (levelHistoryRangeSelect) {
+      levelHistoryRangeSelect.addEventListener('change', () => this.loadLevelHistory());
+    }
+
+    const levelHistoryRefreshBtn = document.getElementById('levelHistoryRefreshBtn');
+    if (levelHistoryRefreshBtn) {
+      levelHistoryRefreshBtn.addEventListener('click', () => this.loadLevelHistory());
+    }
+
+    const levelHistoryExportBtn = document.getElementById('levelHistoryExportBtn');
+    if (levelHistoryExportBtn) {
+      levelHistoryExportBtn.addEventListener('click', () => {
+        window.location.href = `${this.getLevelHistoryUrl()}&format=csv`;
+      });
+    }
+
+    // === ALARM HANDLERS ===
+    // New rules, webhook URLs and the alarm history of the Alarms tab (rules are saved on the server)
+    const alarmAddBtn = document.getElementById('alarmAddBtn');
+    if (alarmAddBtn) {
+      alarmAddBtn.addEventListener('click', () => {
+        const metric = document.getElementById('alarmMetricSelect').value;
+        const rule = {
+          id: `alarm-${Date.now().toString(36)}`,
+          name: document.getElementById('alarmNameInput').value.trim() || AlarmMonitor.METRIC_LABELS[metric],
+          enabled: true,
+          metric: metric,
+          operator: document.getElementById('alarmOperatorSelect').value,
+          threshold: parseFloat(document.getElementById('alarmThresholdInput').value),
+          window: parseInt(document.getElementById('alarmWindowInput').value, 10),
+          count: parseInt(document.getElementById('alarmCountInput').value, 10),
+          tone: document.getElementById('alarmToneToggle').checked
+        };
+        this.saveAlarmConfig({ rules: [...this.alarmConfig.rules, rule], webhooks: this.alarmConfig.webhooks });
+      });
+    }
+
+    const alarmWebhooksSaveBtn = document.getElementById('alarmWebhooksSaveBtn');
+    if (alarmWebhooksSaveBtn) {
+      alarmWebhooksSaveBtn.addEventListener('click', () => {
+        const webhooks = document.getElementById('alarmWebhooksInput').value
+          .split('\n')
+          .map((line) => line.trim())
+          .filter((line) => line.length > 0);
+        this.saveAlarmConfig({ rules: this.alarmConfig.rules, webhooks });
+      });
+    }
+
+    const alarmHistoryClearBtn = document.getElementById('alarmHistoryClearBtn');
+    if (alarmHistoryClearBtn) {
+      alarmHistoryClearBtn.addEventListener('click', () => this.clearAlarmHistory());
+    }
+
+    // === RECORDER HANDLERS ===
+    // Pre-roll, post-roll, WAV format, alarm recording and the Save Recording button
+    const recorderPreRollSelect = document.getElementById('recorderPreRollSelect');
+    if (recorderPreRollSelect) {
+      recorderPreRollSelect.addEventListener('change', (e) => {
+        this.audioRecorder.setPreRoll(parseInt(e.target.value, 10));
+        this.updateRecorderControls();
+      });
+    }
+
+    const recorderPostRollSelect = document.getElementById('recorderPostRollSelect');
+    if (recorderPostRollSelect) {
+      recorderPostRollSelect.addEventListener('change', (e) => {
+        this.audioRecorder.setPostRoll(parseInt(e.target.value, 10));
+        this.updateRecorderControls();
+      });
+    }
+
+    const recorderFormatSelect = document.getElementById('recorderFormatSelect');
+    if (recorderFormatSelect) {
+      recorderFormatSelect.addEventListener('change', (e) => {
+        this.audioRecorder.setFormat(e.target.value);
+      });
+    }
+
+    const recorderOnAlarmToggle = document.getElementById('recorderOnAlarmToggle');
+    if (recorderOnAlarmToggle) {
+      recorderOnAlarmToggle.addEventListener('change', (e) => {
+        this.audioRecorder.setOnAlarm(e.target.checked);
+      });
+    }
+
+    const recorderSaveBtn = document.getElementById('recorderSaveBtn');
+    if (recorderSaveBtn) {
+      recorderSaveBtn.addEventListener('click', () => this.saveRecording('manual'));
+    }
+
+    // === FILE INPUT HANDLERS ===
+    // Local file picker, stored recordings, back to live input and the transport controls
+    const fileInput = document.getElementById('fileInput');
+    if (fileInput) {
+      fileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (file) {
+          await this.loadAudioFile(await file.arrayBuffer(), file.name);
+        }
+        e.target.value = '';                                  // Picking the same file again reloads it
+      });
+    }
+
+    const fileRecordingLoadBtn = document.getElementById('fileRecordingLoadBtn');
+    const fileRecordingSelect = document.getElementById('fileRecordingSelect');
+    if (fileRecordingLoadBtn && fileRecordingSelect) {
+      fileRecordingLoadBtn.addEventListener('click', () => {
+        const option = fileRecordingSelect.selectedOptions[0];
+        if (option && option.value) {
+          this.loadRecordingFile(option.value, option.textContent);
+        }
+      });
+    }
+
+    const fileLiveBtn = document.getElementById('fileLiveBtn');
+    if (fileLiveBtn) {
+      fileLiveBtn.addEventListener('click', () => this.useLiveInput());
+    }
+
+    const filePlayBtn = document.getElementById('filePlayBtn');
+    if (filePlayBtn) {
+      filePlayBtn.addEventListener('click', () => {
+        if (this.filePlayer.playing) {
+          this.filePlayer.pause();
+        } else {
+          this.filePlayer.play();
+        }
+        this.updateFileTransport();
+      });
+    }
+
+    const fileSeekSlider = document.getElementById('fileSeekSlider');
+    const filePositionValue = document.getElementById('filePositionValue');
+    if (fileSeekSlider && filePositionValue) {
+      fileSeekSlider.addEventListener('input', (e) => {
+        this.fileSeeking = true;                              // The draw loop leaves the slider alone while dragging
+        filePositionValue.textContent = `${FilePlayer.formatTime(parseFloat(e.target.value))} / ${FilePlayer.formatTime(this.filePlayer.duration)}`;
+      });
+      fileSeekSlider.addEventListener('change', (e) => {
+        this.fileSeeking = false;
+        this.filePlayer.seek(parseFloat(e.target.value));
+        this.updateFileTransport();
+      });
+    }
+
+    const fileLoopToggle = document.getElementById('fileLoopToggle');
+    if (fileLoopToggle) {
+      fileLoopToggle.addEventListener('change', (e) => {
+        this.filePlayer.setLoop(e.target.checked);
+        this.updateFileTransport();
+      });
+    }
+
+    const fileLoopStartInput = document.getElementById('fileLoopStartInput');
+    const fileLoopEndInput = document.getElementById('fileLoopEndInput');
+    if (fileLoopStartInput && fileLoopEndInput) {
+      const setLoopRegion = () => {
+        const start = parseFloat(fileLoopStartInput.value);
+        const end = parseFloat(fileLoopEndInput.value);
+        if (isFinite(start) && isFinite(end)) {
+          this.filePlayer.setLoopRegion(start, end);
+        }
+        this.updateFileTransport();                           // Shows the region as limited to the file
+      };
+      fileLoopStartInput.addEventListener('change', setLoopRegion);
+      fileLoopEndInput.addEventListener('change', setLoopRegion);
+    }
+
+    // Set the loop start or end at the playhead
+    const fileLoopStartBtn = document.getElementById('fileLoopStartBtn');
+    if (fileLoopStartBtn) {
+      fileLoopStartBtn.addEventListener('click', () => {
+        this.filePlayer.setLoopRegion(this.filePlayer.getPosition(), this.filePlayer.loopEnd);
+        this.updateFileTransport();
+      });
+    }
+
+    const fileLoopEndBtn = document.getElementById('fileLoopEndBtn');
+    if (fileLoopEndBtn) {
+      fileLoopEndBtn.addEventListener('click', () => {
+        this.filePlayer.setLoopRegion(this.filePlayer.loopStart, this.filePlayer.getPosition());
+        this.updateFileTransport();
+      });
+    }
+
+    const fileMonitorToggle = document.getElementById('fileMonitorToggle');
+    if (fileMonitorToggle) {
+      fileMonitorToggle.addEventListener('change', (e) => {
+        this.filePlayer.setMonitor(e.target.checked);
+      });
+    }
+
+    // === WATERFALL COLOUR MAP DROPDOWN HANDLER ===
+    // Selects the colour map used to render waterfall levels
+    const waterfallColorMapSelect = document.getElementById('waterfallColorMapSelect');
+    if (waterfallColorMapSelect) {
+      waterfallColorMapSelect.addEventListener('change', (e) => {
+        this.waterfall.setColorMap(e.target.value);
+        // The animation loop will pick up this change automatically
+      });
+    }
+        
+    // === WATERFALL HISTORY LENGTH SLIDER HANDLER ===
+    // Controls how many seconds of history the waterfall shows (5-60 seconds)
+    const waterfallHistorySlider = document.getElementById('waterfallHistorySlider');
+    const waterfallHistoryValue = document.getElementById('waterfallHistoryValue');
+    if (waterfallHistorySlider && waterfallHistoryValue) {
+      waterfallHistorySlider.addEventListener('input', (e) => {
+        const seconds = parseInt(e.target.value);                        // Get slider value in seconds
+        waterfallHistoryValue.textContent = `${seconds}s`;                // Update displayed value
+        this.waterfall.setHistoryLength(seconds);                         // Clears history for the new length
+      });
+    }
+        
+    // === REFRESH RATE SLIDER HANDLER ===
+    // Controls the frame rate for performance optimization
+    const refreshRateSlider = document.getElementById('refreshRateSlider');
+    const refreshRateValue = document.getElementById('refreshRateValue');
+    if (refreshRateSlider && refreshRateValue) {
+      refreshRateSlider.addEventListener('input', (e) => {
+        this.refreshRate = parseInt(e.target.value);
+        refreshRateValue.textContent = `${this.refreshRate} FPS`;
+      });
+    }
+        
+    // === V-SYNC TOGGLE HANDLER ===
+    // Controls whether to use V-Sync (requestAnimationFrame) vs fixed rate (setTimeout)
+    const vSyncToggle = document.getElementById('enableVSyncToggle');
+    if (vSyncToggle) {
+      vSyncToggle.addEventListener('change', (e) => {
+        this.enableVSync = e.target.checked;
+        // Note: V-Sync change takes effect on next animation cycle
+      });
     }
-    // Also update the legend text with current tolerance
-    this.updateOverlapLegendText();
   }
     
   /**
-     * Updates the overlap legend text to show the current tolerance value
+     * Switches the plot between the line spectrum, the waterfall, the transfer function,
+     * the impulse response, the sound level meter and the target deviation view
+     * @param {string} mode - 'spectrum', 'waterfall', 'transfer', 'impulse', 'slm' or 'deviation'
      */
-  updateOverlapLegendText() {
-    const overlapLegendItem = document.getElementById('overlapLegendItem');
-    if (overlapLegendItem) {
-      const legendText = overlapLegendItem.querySelector('span');
-      if (legendText) {
-        legendText.textContent = `Overlap (±${this.overlapToleranceDB.toFixed(1)}dB)`;
-      }
+  setViewMode(mode) {
+    if (!['spectrum', 'waterfall', 'transfer', 'impulse', 'slm', 'deviation'].includes(mode)) {
+      return;
+    }
+    this.viewMode = mode;
+        
+    // Start each waterfall session with an empty history
+    if (mode === 'waterfall') {
+      this.waterfall.reset();
+    }
+        
+    // The transfer function engine only runs while its view is shown
+    this.transferFunction.setActive(mode === 'transfer');
+        
+    // Clear click info since the vertical axis has changed meaning
+    this.showClickInfo = false;
+    this.clickPoint = null;
+        
+    if (!this.isRunning) {
+      this.drawStaticElements();
     }
   }
     
   /**
-     * Updates the channel indicator to show whether input is Mono or Stereo
-     * Also controls visibility of appropriate legend items
-     * @param {string} channelType - 'Mono' or 'Stereo'
+     * Adjusts the settings panel layout based on available space
+     * Simplified for touchscreen - maintains consistent width and auto-scaling content
      */
-  updateChannelIndicator(channelType) {
-    // Use direct DOM manipulation (LegendComponent not used for legend state)
-    const channelIndicator = document.getElementById('channelIndicator');
-    const channelIndicatorText = document.getElementById('channelIndicatorText');
-    // Get the legend container and query within it for more specificity
-    const legendContainer = document.getElementById('legend');
-    const leftChannelItem = legendContainer ? legendContainer.querySelector('.legend-item:nth-child(2)') : null;
-    const rightChannelItem = legendContainer ? legendContainer.querySelector('.legend-item:nth-child(3)') : null;
+  adjustSettingsPanelLayout() {
+    const settingsPanel = document.getElementById('settingsPanel');
+    const canvasContainer = this.canvasContainer;
         
-    if (channelType === 'Mono') {
-      // Show mono indicator, hide left/right channel indicators
-      if (channelIndicator) channelIndicator.style.display = 'flex';
-      if (channelIndicatorText) channelIndicatorText.textContent = 'Mono';
-      if (leftChannelItem) {
-        leftChannelItem.style.display = 'none';
-        console.log('Hiding left channel item for Mono mode');
+    if (!settingsPanel || settingsPanel.style.display !== 'block') {
+      return; // Panel not visible, nothing to adjust
+    }
+        
+    // === CALCULATE AVAILABLE HEIGHT FOR SMALL SCREENS ===
+    const viewportHeight = window.innerHeight;
+    const viewportWidth = window.innerWidth;
+        
+    // For small screens (like 800x480), use most of the available height
+    let maxAvailableHeight;
+    if (viewportHeight <= 600) {
+      maxAvailableHeight = viewportHeight - 50; // Very tight on small screens
+    } else if (viewportHeight <= 768) {
+      maxAvailableHeight = viewportHeight - 70; // Moderate spacing
+    } else {
+      const canvasRect = canvasContainer.getBoundingClientRect();
+      maxAvailableHeight = canvasRect.height - 80; // Original logic for larger screens
+    }
+        
+    // === ADJUST PANEL WIDTH FOR SMALL SCREENS ===
+    if (viewportWidth <= 800) {
+      settingsPanel.style.width = `${Math.min(viewportWidth - 20, 780)}px`;
+      settingsPanel.style.minWidth = '300px';
+      settingsPanel.style.maxWidth = `${viewportWidth - 20}px`;
+    } else {
+      settingsPanel.style.width = '780px';
+      settingsPanel.style.minWidth = '780px';
+      settingsPanel.style.maxWidth = '780px';
+    }
+        
+    // === GET ACTIVE SETTINGS PAGE ===
+    const activeSettingsPage = document.querySelector('.settings-page.active');
+    if (!activeSettingsPage) return;
+        
+    // === ENSURE CONSISTENT SINGLE-COLUMN LAYOUT ON SMALL SCREENS ===
+    const allSettingsPages = document.querySelectorAll('.settings-page');
+    allSettingsPages.forEach(page => {
+      if (viewportWidth <= 800) {
+        page.classList.remove('two-column');
+      }
+    });
+        
+    if (viewportWidth <= 800) {
+      settingsPanel.classList.remove('two-column');
+    }
+        
+    // === SET PANEL HEIGHT ===
+    settingsPanel.style.maxHeight = `${maxAvailableHeight}px`;
+        
+    // === ADJUST CONTENT AREA MAX HEIGHT ===
+    const settingsContent = settingsPanel.querySelector('.settings-content');
+    const tabsHeight = settingsPanel.querySelector('.settings-tabs').offsetHeight;
+    const contentMaxHeight = maxAvailableHeight - tabsHeight - 10; // Minimal padding
+    settingsContent.style.maxHeight = `${contentMaxHeight}px`;
+        
+    // === ENSURE SCROLLING IS ENABLED ===
+    settingsContent.style.overflowY = 'auto';
+    settingsContent.style.overflowX = 'hidden';
+        
+    // === ENSURE CONTENT USES FULL WIDTH ===
+    settingsContent.style.width = '100%';
+    settingsContent.style.boxSizing = 'border-box';
+        
+    // === LOG FOR DEBUGGING ===
+    console.log(`Settings panel adjusted: ${viewportWidth}x${viewportHeight}, panel height: ${maxAvailableHeight}px, content height: ${contentMaxHeight}px`);
+  }
+    
+  /**
+     * Adjusts the panel position to ensure it stays within the canvas container bounds
+     * @param {HTMLElement} settingsPanel - The settings panel element
+     * @param {DOMRect} canvasRect - The canvas container bounding rectangle
+     */
+  adjustPanelPosition(settingsPanel, canvasRect) {
+    // Get panel dimensions after applying two-column class
+    const panelRect = settingsPanel.getBoundingClientRect();
+    const panelWidth = settingsPanel.offsetWidth;
+        
+    // === CALCULATE AVAILABLE SPACE ===
+    const availableWidth = canvasRect.width;
+    const currentLeft = 10; // Default left position
+        
+    // === CHECK IF PANEL WOULD EXTEND BEYOND RIGHT EDGE ===
+    if (currentLeft + panelWidth > availableWidth) {
+      // Move panel to the right edge of available space
+      const newLeft = Math.max(0, availableWidth - panelWidth - 10); // 10px margin from right edge
+      settingsPanel.style.left = `${newLeft}px`;
+    } else {
+      // Keep default position
+      settingsPanel.style.left = '10px';
+    }
+  }
+    
+  /**
+     * Updates the legend visibility based on the overlapping enabled state
+     * Shows or hides the white overlap indicator in the legend
+     */
+  updateLegendVisibility() {
+    // Use direct DOM manipulation (LegendComponent caused issues with visibility state)
+    const overlapLegendItem = document.getElementById('overlapLegendItem');
+    if (overlapLegendItem) {
+      overlapLegendItem.style.display = this.overlappingEnabled ? 'flex' : 'none';
+    }
+    // Also update the legend text with current tolerance
+    this.updateOverlapLegendText();
+  }
+    
+  /**
+     * Updates the overlap legend text to show the current tolerance value
+     */
+  updateOverlapLegendText() {
+    const overlapLegendItem = document.getElementById('overlapLegendItem');
+    if (overlapLegendItem) {
+      const legendText = overlapLegendItem.querySelector('span');
+      if (legendText) {
+        legendText.textContent = `Overlap (±${this.overlapToleranceDB.toFixed(1)}dB)`;
+      }
+    }
+  }
+    
+  /**
+     * Updates the channel indicator to show whether input is Mono or Stereo
+     * Also controls visibility of appropriate legend items
+     * @param {string} channelType - 'Mono' or 'Stereo'
+     */
+  updateChannelIndicator(channelType) {
+    // Use direct DOM manipulation (LegendComponent not used for legend state)
+    const channelIndicator = document.getElementById('channelIndicator');
+    const channelIndicatorText = document.getElementById('channelIndicatorText');
+    // Get the legend container and query within it for more specificity
+    const legendContainer = document.getElementById('legend');
+    const leftChannelItem = legendContainer ? legendContainer.querySelector('.legend-item:nth-child(2)') : null;
+    const rightChannelItem = legendContainer ? legendContainer.querySelector('.legend-item:nth-child(3)') : null;
+        
+    if (channelType === 'Mono') {
+      // Show mono indicator, hide left/right channel indicators
+      if (channelIndicator) channelIndicator.style.display = 'flex';
+      if (channelIndicatorText) channelIndicatorText.textContent = 'Mono';
+      if (leftChannelItem) {
+        leftChannelItem.style.display = 'none';
+        console.log('Hiding left channel item for Mono mode');
+      }
+      if (rightChannelItem) {
+        rightChannelItem.style.display = 'none';
+        console.log('Hiding right channel item for Mono mode');
+      }
+    } else {
+      // Hide mono indicator, show left/right channel indicators
+      if (channelIndicator) channelIndicator.style.display = 'none';
+      if (leftChannelItem) {
+        leftChannelItem.style.display = 'flex';
+        console.log('Showing left channel item for Stereo mode');
+      }
+      if (rightChannelItem) {
+        rightChannelItem.style.display = 'flex';
+        console.log('Showing right channel item for Stereo mode');
+      }
+    }
+  }
+    
+  /**
+     * Applies an FFT size to the analyser nodes (or the custom FFT engine)
+     * @param {number} fftSize - FFT size (power of two, 512 to 32768)
+     */
+  applyFFTSize(fftSize) {
+    this.fftSize = fftSize;                           // Update our internal FFT size
+    this.bufferLength = this.fftSize / 2;             // Half the FFT size due to Nyquist limit
+        
+    // If analyzer nodes exist (i.e., we're currently running), update them
+    this.fftEngine.setFFTSize(this.fftSize);          // The custom engine follows the same size
+    if (this.analyserLeft && this.analyserRight && !this.fftEngineTap) {
+      this.analyserLeft.fftSize = this.fftSize;     // Apply new FFT size to left channel
+      this.analyserRight.fftSize = this.fftSize;    // Apply new FFT size to right channel
+    }
+  }
+    
+  /**
+     * Updates the hold button text based on the current hold mode setting
+     */
+  updateHoldButtonText() {
+    const holdBtn = document.getElementById('holdBtn');
+    if (!holdBtn) return;
+        
+    // Update text based on current hold button mode
+    if (this.holdButtonMode === 'average') {
+      holdBtn.textContent = 'Aver';
+    } else {
+      holdBtn.textContent = 'Peak';
+    }
+  }
+    
+  /**
+     * Sets up hold button event handlers based on the current hold button mode
+     * Supports both latch (toggle) and temporary (while pressed) modes
+     */
+  setupHoldButtonHandlers() {
+    const holdBtn = document.getElementById('holdBtn');
+        
+    // Remove any existing event listeners by cloning the button
+    const newHoldBtn = holdBtn.cloneNode(true);
+    holdBtn.parentNode.replaceChild(newHoldBtn, holdBtn);
+        
+    // Update button text for the current mode
+    this.updateHoldButtonText();
+        
+    // Both latch and average modes use click to toggle
+    newHoldBtn.addEventListener('mousedown', () => this.toggleHoldMode());
+  }
+    
+  /**
+     * Toggles the hold mode on/off (used in latch mode)
+     * Hold mode tracks maximum amplitude values visually for the spectrogram
+     */
+  toggleHoldMode() {
+    if (this.holdModeEnabled) {
+      this.deactivateHoldMode();
+    } else {
+      this.activateHoldMode();
+    }
+  }
+    
+  /**
+     * Activates hold mode and updates UI accordingly
+     */
+  activateHoldMode() {
+    if (this.holdModeEnabled) return; // Already active
+        
+    this.holdModeEnabled = true;
+        
+    // Initialize hold session based on current mode
+    this.initializeHoldSession();
+        
+    // Update button appearance to show active state (green background)
+    const holdBtn = document.getElementById('holdBtn');
+    if (holdBtn) {
+      holdBtn.classList.add('active');
+    }
+  }
+    
+  /**
+     * Deactivates hold mode and updates UI accordingly
+     */
+  deactivateHoldMode() {
+    if (!this.holdModeEnabled) return; // Already inactive
+        
+    this.holdModeEnabled = false;
+        
+    // Clear hold session data
+    this.clearHoldSession();
+        
+    // Update button appearance to show inactive state (gray background)
+    const holdBtn = document.getElementById('holdBtn');
+    if (holdBtn) {
+      holdBtn.classList.remove('active');
+    }
+  }
+    
+  /**
+     * Initializes hold session based on current mode
+     * Called when entering hold mode
+     */
+  initializeHoldSession() {
+    if (this.holdButtonMode === 'latch') {
+      // Initialize arrays with minimum dB values for peak tracking
+      this.heldAmplitudesLeft = new Float32Array(this.bufferLength);
+      this.heldAmplitudesRight = new Float32Array(this.bufferLength);
+      this.heldAmplitudesLeft.fill(-Infinity);
+      this.heldAmplitudesRight.fill(-Infinity);
+    } else if (this.holdButtonMode === 'average') {
+      // Initialize arrays for averaging (linear scale for proper averaging)
+      this.averageAmplitudesLeft = new Float32Array(this.bufferLength);
+      this.averageAmplitudesRight = new Float32Array(this.bufferLength);
+      this.averageAmplitudesLeft.fill(0);
+      this.averageAmplitudesRight.fill(0);
+      this.averageInitialized = false;  // Will be seeded with first real audio data
+            
+      // Initialize display arrays for computed averages (dB scale)
+      this.heldAmplitudesLeft = new Float32Array(this.bufferLength);
+      this.heldAmplitudesRight = new Float32Array(this.bufferLength);
+      this.heldAmplitudesLeft.fill(-Infinity);
+      this.heldAmplitudesRight.fill(-Infinity);
+    }
+  }
+    
+  /**
+     * Clears hold session data
+     * Called when exiting hold mode
+     */
+  clearHoldSession() {
+    this.heldAmplitudesLeft = null;
+    this.heldAmplitudesRight = null;
+        
+    if (this.holdButtonMode === 'average') {
+      this.averageAmplitudesLeft = null;
+      this.averageAmplitudesRight = null;
+      this.averageInitialized = false;
+    }
+  }
+  
+  /**
+   * Load M/S mode setting from server preferences
+   */
+  async loadMidSideModeFromSettings() {
+    try {
+      const response = await fetch('/api/preferences');
+      if (!response.ok) {
+        console.warn('Could not load M/S mode preference');
+        return;
+      }
+      
+      const data = await response.json();
+      const midSideMode = data.preferences?.uiSettings?.general?.midSideMode;
+      
+      if (typeof midSideMode === 'boolean' && midSideMode !== this.midSideModeEnabled) {
+        // Apply the saved M/S mode setting
+        this.midSideModeEnabled = midSideMode;
+        
+        // Update UI to match
+        const msToggleBtn = document.getElementById('msToggleBtn');
+        if (msToggleBtn) {
+          msToggleBtn.textContent = midSideMode ? 'MS' : 'ST';
+          if (midSideMode) {
+            msToggleBtn.classList.add('active');
+            msToggleBtn.title = 'Mid-Side Mode Active (Click to switch to Stereo)';
+          } else {
+            msToggleBtn.classList.remove('active');
+            msToggleBtn.title = 'Stereo Mode Active (Click to switch to Mid-Side)';
+          }
+        }
+        
+        // Update labels
+        this.updateLegendLabels(midSideMode ? 'MS' : 'ST');
+        this.levelMeters.updateMeterLabels(midSideMode ? 'MS' : 'ST');
+        
+        // Switch the audio-graph encoder if the analyzer is already running
+        this.updateMidSideEncoder();
+      }
+    } catch (error) {
+      console.warn('Error loading M/S mode preference:', error);
+    }
+  }
+  
+  /**
+   * Save M/S mode setting to server preferences
+   */
+  async saveMidSideModeToSettings() {
+    try {
+      // First, get current preferences
+      const getResponse = await fetch('/api/preferences');
+      if (!getResponse.ok) {
+        console.warn('Could not load current preferences for M/S mode save');
+        return;
+      }
+      
+      const getData = await getResponse.json();
+      const preferences = getData.preferences || {};
+      
+      // Ensure structure exists
+      if (!preferences.uiSettings) {
+        preferences.uiSettings = {};
+      }
+      if (!preferences.uiSettings.general) {
+        preferences.uiSettings.general = {};
+      }
+      
+      // Update M/S mode setting
+      preferences.uiSettings.general.midSideMode = this.midSideModeEnabled;
+      
+      // Save back to server
+      const saveResponse = await fetch('/api/preferences', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ preferences })
+      });
+      
+      if (!saveResponse.ok) {
+        console.warn('Could not save M/S mode preference');
+      }
+    } catch (error) {
+      console.warn('Error saving M/S mode preference:', error);
+    }
+  }
+  
+  /**
+   * Loads the M/S energy-preserving setting from preferences
+   * and applies it to the M/S processor and UI checkbox
+   */
+  async loadMSEnergyPreservingFromSettings() {
+    try {
+      const response = await fetch('/api/preferences');
+      if (!response.ok) {
+        console.warn('Could not load M/S energy-preserving preference');
+        return;
+      }
+      
+      const data = await response.json();
+      const msEnergyPreserving = data.preferences?.uiSettings?.general?.msEnergyPreserving;
+      
+      if (typeof msEnergyPreserving === 'boolean') {
+        // Apply to the M/S encoder
+        this.msEnergyPreserving = msEnergyPreserving;
+        this.updateMidSideEncoder();
+        
+        // Update toggle UI
+        const toggle = document.getElementById('msEnergyPreservingToggle');
+        if (toggle) {
+          toggle.checked = msEnergyPreserving;
+        }
+      }
+    } catch (error) {
+      console.warn('Error loading M/S energy-preserving preference:', error);
+    }
+  }
+  
+  /**
+   * Applies the running sample rate to everything that depends on it
+   * Designs the meter weighting filters for the rate and limits the maximum display
+   * frequency to Nyquist. Live input also records the rate in preferences; a played
+   * file runs at its own rate and leaves the stored device rate alone
+   * @param {number} sampleRate - AudioContext sample rate in Hz
+   */
+  applySampleRate(sampleRate) {
+    const nyquist = sampleRate / 2;
+    this.levelMeters.setSampleRate(sampleRate);
+    
+    if (typeof window.settingsManager !== 'undefined') {
+      window.settingsManager.setSampleRate(sampleRate);
+    }
+    
+    const maxFreqSlider = document.getElementById('maxFreqSlider');
+    if (maxFreqSlider) {
+      maxFreqSlider.max = nyquist;
+    }
+    
+    // Pull the display range in if it lies above what this rate can represent
+    if (this.maxFreq > nyquist) {
+      this.maxFreq = nyquist;
+      if (maxFreqSlider) {
+        maxFreqSlider.value = nyquist;
+      }
+      const maxFreqValue = document.getElementById('maxFreqValue');
+      if (maxFreqValue) {
+        maxFreqValue.textContent = `${(nyquist / 1000).toFixed(1)} kHz`;
+      }
+    }
+    
+    console.log(`Audio running at ${sampleRate} Hz (Nyquist ${nyquist} Hz)`);
+    if (!this.fileMode) {
+      this.saveSampleRateToSettings(sampleRate);
+    }
+  }
+  
+  /**
+   * Saves the running sample rate to preferences so the server validates
+   * Nyquist-limited settings against it
+   * @param {number} sampleRate - AudioContext sample rate in Hz
+   */
+  async saveSampleRateToSettings(sampleRate) {
+    try {
+      const getResponse = await fetch('/api/preferences');
+      if (!getResponse.ok) {
+        console.warn('Could not load current preferences for sample rate save');
+        return;
+      }
+      
+      const getData = await getResponse.json();
+      const preferences = getData.preferences || {};
+      
+      if (!preferences.audioSettings || preferences.audioSettings.sampleRate === sampleRate) {
+        return;
+      }
+      
+      preferences.audioSettings.sampleRate = sampleRate;
+      
+      // A maximum frequency saved at a higher rate would no longer validate
+      const general = preferences.uiSettings?.general;
+      if (general && general.maxFrequency > sampleRate / 2) {
+        general.maxFrequency = sampleRate / 2;
+      }
+      
+      const saveResponse = await fetch('/api/preferences', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ preferences })
+      });
+      
+      if (!saveResponse.ok) {
+        console.warn('Could not save sample rate preference');
+      }
+    } catch (error) {
+      console.warn('Error saving sample rate preference:', error);
+    }
+  }
+  
+  /**
+   * Saves the M/S energy-preserving setting to preferences
+   * @param {boolean} isEnergyPreserving - Whether to use energy-preserving √2 scaling
+   */
+  async saveMSEnergyPreservingToSettings(isEnergyPreserving) {
+    try {
+      // First, get current preferences
+      const getResponse = await fetch('/api/preferences');
+      if (!getResponse.ok) {
+        console.warn('Could not load current preferences for M/S energy-preserving save');
+        return;
+      }
+      
+      const getData = await getResponse.json();
+      const preferences = getData.preferences || {};
+      
+      // Ensure structure exists
+      if (!preferences.uiSettings) {
+        preferences.uiSettings = {};
+      }
+      if (!preferences.uiSettings.general) {
+        preferences.uiSettings.general = {};
+      }
+      
+      // Update M/S energy-preserving setting
+      preferences.uiSettings.general.msEnergyPreserving = isEnergyPreserving;
+      
+      // Save back to server
+      const saveResponse = await fetch('/api/preferences', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ preferences })
+      });
+      
+      if (!saveResponse.ok) {
+        console.warn('Could not save M/S energy-preserving preference');
+      }
+    } catch (error) {
+      console.warn('Error saving M/S energy-preserving preference:', error);
+    }
+  }
+  
+  /**
+   * Toggles between Stereo (ST) and Mid-Side (MS) processing modes
+   * Updates UI button state, legend labels, and meter labels accordingly
+   */
+  toggleMidSideMode() {
+    // Toggle the state
+    this.midSideModeEnabled = !this.midSideModeEnabled;
+    
+    // Update button appearance
+    const msToggleBtn = document.getElementById('msToggleBtn');
+    if (msToggleBtn) {
+      if (this.midSideModeEnabled) {
+        msToggleBtn.textContent = 'MS';
+        msToggleBtn.classList.add('active');
+        msToggleBtn.title = 'Mid-Side Mode Active (Click to switch to Stereo)';
+      } else {
+        msToggleBtn.textContent = 'ST';
+        msToggleBtn.classList.remove('active');
+        msToggleBtn.title = 'Stereo Mode Active (Click to switch to Mid-Side)';
+      }
+    }
+    
+    // Update legend labels
+    this.updateLegendLabels(this.midSideModeEnabled ? 'MS' : 'ST');
+    
+    // Update meter labels
+    this.levelMeters.updateMeterLabels(this.midSideModeEnabled ? 'MS' : 'ST');
+    
+    // Switch the encoder in the audio graph between L/R pass-through and M/S
+    this.updateMidSideEncoder();
+    
+    // Save preference to server
+    this.saveMidSideModeToSettings();
+  }
+  
+  /**
+   * Creates the Mid/Side encoder placed between the gain node and the channel splitters
+   * Prefers an AudioWorklet running MidSideProcessor.encodeMidSideInto() on the audio thread.
+   * Where AudioWorklet is unavailable (e.g. pages served over plain HTTP to remote clients)
+   * an equivalent splitter → gain matrix → merger graph is used instead.
+   * @returns {Promise<object>} Encoder: { input, output, configure(enabled, energyPreserving) }
+   */
+  async createMidSideEncoder() {
+    if (this.audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+      try {
+        await this.audioContext.audioWorklet.addModule('js/midSideProcessor.js');
+        const node = new AudioWorkletNode(this.audioContext, 'mid-side-processor', {
+          numberOfInputs: 1,
+          numberOfOutputs: 1,
+          outputChannelCount: [2],
+          channelCount: 2,
+          channelCountMode: 'explicit',
+          channelInterpretation: 'discrete'
+        });
+        return {
+          input: node,
+          output: node,
+          configure: (enabled, energyPreserving) => node.port.postMessage({ enabled, energyPreserving })
+        };
+      } catch (error) {
+        console.warn('Mid-Side AudioWorklet unavailable, using gain matrix instead:', error);
+      }
+    }
+    
+    // === GAIN MATRIX FALLBACK ===
+    // out0 = a·L + b·R, out1 = c·L + d·R  (pass-through: a=d=1, b=c=0; M/S: a=b=c=s, d=-s)
+    const splitter = this.audioContext.createChannelSplitter(2);
+    const merger = this.audioContext.createChannelMerger(2);
+    const matrix = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([inputChannel, outputChannel]) => {
+      const gain = this.audioContext.createGain();
+      splitter.connect(gain, inputChannel);
+      gain.connect(merger, 0, outputChannel);
+      return gain;
+    });
+    const [leftToOut0, rightToOut0, leftToOut1, rightToOut1] = matrix;
+    
+    return {
+      input: splitter,
+      output: merger,
+      configure: (enabled, energyPreserving) => {
+        const scale = energyPreserving ? Math.SQRT1_2 : 1;
+        const now = this.audioContext.currentTime;
+        leftToOut0.gain.setValueAtTime(enabled ? scale : 1, now);
+        rightToOut0.gain.setValueAtTime(enabled ? scale : 0, now);
+        leftToOut1.gain.setValueAtTime(enabled ? scale : 0, now);
+        rightToOut1.gain.setValueAtTime(enabled ? -scale : 1, now);
+      }
+    };
+  }
+  
+  /**
+   * Creates the node that feeds the loudness meter with K-weighted 100 ms blocks
+   * Prefers an AudioWorklet running LoudnessBlockAccumulator on the audio thread so no
+   * samples are missed; falls back to a ScriptProcessorNode where AudioWorklet is unavailable.
+   * @param {number} channelCount - 2 for stereo input, 1 for mono
+   * @returns {Promise<AudioNode>} Node to connect the gain output to
+   */
+  async createLoudnessTap(channelCount) {
+    const loudness = this.levelMeters.loudness;
+    
+    if (this.audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+      try {
+        await this.audioContext.audioWorklet.addModule('js/loudness.js');
+        const node = new AudioWorkletNode(this.audioContext, 'loudness-processor', {
+          numberOfInputs: 1,
+          numberOfOutputs: 0,
+          channelCount,
+          channelCountMode: 'explicit',
+          channelInterpretation: 'discrete',
+          processorOptions: { sampleRate: this.audioContext.sampleRate }
+        });
+        node.port.onmessage = (event) => loudness.addBlock(event.data.power);
+        return node;
+      } catch (error) {
+        console.warn('Loudness AudioWorklet unavailable, using ScriptProcessor instead:', error);
+      }
+    }
+    
+    // === SCRIPT PROCESSOR FALLBACK ===
+    const accumulator = new LoudnessBlockAccumulator(this.audioContext.sampleRate, (power) => loudness.addBlock(power));
+    const node = this.audioContext.createScriptProcessor(4096, channelCount, 1);
+    node.onaudioprocess = (event) => {
+      const channels = [];
+      for (let c = 0; c < event.inputBuffer.numberOfChannels; c++) {
+        channels.push(event.inputBuffer.getChannelData(c));
+      }
+      accumulator.process(channels);
+    };
+    node.connect(this.audioContext.destination);   // Only runs while connected; its output stays silent
+    return node;
+  }
+  
+  /**
+   * Creates the node that runs the dual-channel transfer function engine
+   * Prefers an AudioWorklet so the FFTs run on the audio thread; falls back to a
+   * ScriptProcessorNode where AudioWorklet is unavailable. The engine's averaged spectra
+   * are passed to this.transferFunction, which also receives a controller for its settings.
+   * @returns {Promise<AudioNode>} Node to connect the (stereo) gain output to
+   */
+  async createTransferFunctionTap() {
+    const transferFunction = this.transferFunction;
+    const fftSize = transferFunction.fftSize;
+    
+    if (this.audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+      try {
+        await this.audioContext.audioWorklet.addModule('js/transferFunction.js');
+        const node = new AudioWorkletNode(this.audioContext, 'transfer-function-processor', {
+          numberOfInputs: 1,
+          numberOfOutputs: 0,
+          channelCount: 2,
+          channelCountMode: 'explicit',
+          channelInterpretation: 'discrete',
+          processorOptions: { fftSize }
+        });
+        node.port.onmessage = (event) => transferFunction.setSpectra(event.data);
+        transferFunction.attachEngine({
+          setDelay: (delay) => node.port.postMessage({ delay }),
+          setAverages: (averages) => node.port.postMessage({ averages }),
+          setReferenceChannel: (referenceChannel) => node.port.postMessage({ referenceChannel }),
+          setEnabled: (enabled) => node.port.postMessage({ enabled }),
+          reset: () => node.port.postMessage({ reset: true })
+        }, this.audioContext.sampleRate);
+        transferFunction.setActive(this.viewMode === 'transfer');
+        return node;
+      } catch (error) {
+        console.warn('Transfer function AudioWorklet unavailable, using ScriptProcessor instead:', error);
+      }
+    }
+    
+    // === SCRIPT PROCESSOR FALLBACK ===
+    const engine = new TransferFunctionEngine(fftSize, (spectra) => transferFunction.setSpectra(spectra));
+    transferFunction.attachEngine({
+      setDelay: (delay) => engine.setDelay(delay),
+      setAverages: (averages) => engine.setAverages(averages),
+      setReferenceChannel: (channel) => { engine.referenceChannel = channel; },
+      setEnabled: (enabled) => { engine.enabled = enabled; },
+      reset: () => engine.reset()
+    }, this.audioContext.sampleRate);
+    transferFunction.setActive(this.viewMode === 'transfer');
+    
+    const node = this.audioContext.createScriptProcessor(4096, 2, 1);
+    node.onaudioprocess = (event) => {
+      engine.processChannels([event.inputBuffer.getChannelData(0), event.inputBuffer.getChannelData(1)]);
+    };
+    node.connect(this.audioContext.destination);   // Only runs while connected; its output stays silent
+    return node;
+  }
+  
+  /**
+   * Creates the node that forwards input blocks to the impulse response recorder
+   * Blocks are only sent while a measurement is recording. Prefers an AudioWorklet and
+   * falls back to a ScriptProcessorNode where AudioWorklet is unavailable.
+   * @param {number} channelCount - Number of input channels (1 or 2)
+   * @returns {Promise<AudioNode>} Node to connect the input bus to
+   */
+  async createImpulseResponseTap(channelCount) {
+    const impulseResponse = this.impulseResponse;
+    
+    if (this.audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+      try {
+        await this.audioContext.audioWorklet.addModule('js/impulseResponse.js');
+        const node = new AudioWorkletNode(this.audioContext, 'impulse-response-recorder', {
+          numberOfInputs: 1,
+          numberOfOutputs: 0,
+          channelCount,
+          channelCountMode: 'explicit',
+          channelInterpretation: 'discrete'
+        });
+        node.port.onmessage = (event) => impulseResponse.addSamples(event.data);
+        impulseResponse.attachRecorder({
+          setRecording: (recording) => node.port.postMessage({ recording })
+        }, this.audioContext.sampleRate);
+        return node;
+      } catch (error) {
+        console.warn('Impulse response AudioWorklet unavailable, using ScriptProcessor instead:', error);
+      }
+    }
+    
+    // === SCRIPT PROCESSOR FALLBACK ===
+    let recording = false;
+    impulseResponse.attachRecorder({
+      setRecording: (value) => { recording = value; }
+    }, this.audioContext.sampleRate);
+    
+    const node = this.audioContext.createScriptProcessor(4096, channelCount, 1);
+    node.onaudioprocess = (event) => {
+      if (!recording) return;
+      const channels = [];
+      for (let c = 0; c < event.inputBuffer.numberOfChannels; c++) {
+        channels.push(event.inputBuffer.getChannelData(c));
+      }
+      impulseResponse.addSamples(channels);
+    };
+    node.connect(this.audioContext.destination);   // Only runs while connected; its output stays silent
+    return node;
+  }
+
+  /**
+   * Creates the node that runs the custom FFT engine for the spectrum display
+   * Prefers an AudioWorklet so the FFTs run on the audio thread; falls back to a
+   * ScriptProcessorNode running the same SpectrumEngine where AudioWorklet is unavailable.
+   * @param {number} channelCount - 2 for stereo input (L/R or M/S), 1 for mono
+   * @returns {Promise<AudioNode>} Node to connect the input bus or M/S encoder to
+   */
+  async createFFTEngineTap(channelCount) {
+    const fftEngine = this.fftEngine;
+    const sampleRate = this.audioContext.sampleRate;
+    
+    if (this.audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+      try {
+        await this.audioContext.audioWorklet.addModule('js/fftEngine.js');
+        const node = new AudioWorkletNode(this.audioContext, 'spectrum-engine', {
+          numberOfInputs: 1,
+          numberOfOutputs: 0,
+          channelCount,
+          channelCountMode: 'explicit',
+          channelInterpretation: 'discrete',
+          processorOptions: { channelCount, sampleRate, settings: fftEngine.getOptions() }
+        });
+        node.port.onmessage = (event) => fftEngine.handleSpectrum(event.data);
+        fftEngine.attachProcessor({
+          configure: (options) => node.port.postMessage({ options }),
+          reset: () => node.port.postMessage({ reset: true })
+        });
+        return node;
+      } catch (error) {
+        console.warn('FFT engine AudioWorklet unavailable, using ScriptProcessor instead:', error);
+      }
+    }
+    
+    // === SCRIPT PROCESSOR FALLBACK ===
+    const engine = new SpectrumEngine(channelCount, sampleRate, fftEngine.getOptions(),
+      (message) => fftEngine.handleSpectrum(message));
+    fftEngine.attachProcessor({
+      configure: (options) => engine.configure(options),
+      reset: () => engine.reset()
+    });
+    
+    const node = this.audioContext.createScriptProcessor(SpectrumEngine.MAX_BLOCK, channelCount, 1);
+    node.onaudioprocess = (event) => {
+      const channels = [];
+      for (let c = 0; c < event.inputBuffer.numberOfChannels; c++) {
+        channels.push(event.inputBuffer.getChannelData(c));
+      }
+      engine.process(channels);
+    };
+    node.connect(this.audioContext.destination);   // Only runs while connected; its output stays silent
+    return node;
+  }
+  
+  /**
+   * Applies the selected spectrum backend: its calibration baseline, the window bandwidth
+   * used by the RTA bands, and which of the backend-specific controls are enabled
+   */
+  applyFFTEngineBackend() {
+    const custom = this.fftEngine.enabled;
+    const calibrationSlider = document.getElementById('calibrationSlider');
+    const offsetDB = calibrationSlider ? parseFloat(calibrationSlider.value) || 0 : 0;
+    this.amplitudeCalibrationDB = this.fftEngine.baselineCalibrationDB + offsetDB;
+    this.octaveBands.setWindowENBW(this.fftEngine.enbw);
+    
+    ['fftWindowSelect', 'fftOverlapSelect', 'fftAveragingSelect', 'fftAveragesSelect', 'fftResetBtn'].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) element.disabled = !custom;
+    });
+    const smoothingSlider = document.getElementById('smoothingSlider');
+    if (smoothingSlider) {
+      smoothingSlider.disabled = custom;            // AnalyserNode smoothing; the engine averages per frame
+    }
+  }
+
+  /**
+   * Creates the node that keeps the rolling pre-trigger recording buffer
+   * Prefers an AudioWorklet so the buffer lives on the audio thread; falls back to a
+   * ScriptProcessorNode running the same PreTriggerRecorder where AudioWorklet is unavailable.
+   * @param {number} channelCount - 2 for stereo input, 1 for mono
+   * @returns {Promise<AudioNode>} Node to connect the input bus to
+   */
+  async createRecorderTap(channelCount) {
+    const audioRecorder = this.audioRecorder;
+    const sampleRate = this.audioContext.sampleRate;
+    
+    if (this.audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+      try {
+        await this.audioContext.audioWorklet.addModule('js/recorder.js');
+        const node = new AudioWorkletNode(this.audioContext, 'pre-trigger-recorder', {
+          numberOfInputs: 1,
+          numberOfOutputs: 0,
+          channelCount,
+          channelCountMode: 'explicit',
+          channelInterpretation: 'discrete',
+          processorOptions: { channelCount, sampleRate, preRoll: audioRecorder.preRoll, postRoll: audioRecorder.postRoll }
+        });
+        node.port.onmessage = (event) => audioRecorder.handleCapture(event.data);
+        audioRecorder.attachRecorder({
+          configure: (preRoll, postRoll) => node.port.postMessage({ preRoll, postRoll }),
+          trigger: () => node.port.postMessage({ trigger: true })
+        }, sampleRate);
+        return node;
+      } catch (error) {
+        console.warn('Recorder AudioWorklet unavailable, using ScriptProcessor instead:', error);
+      }
+    }
+    
+    // === SCRIPT PROCESSOR FALLBACK ===
+    const recorder = new PreTriggerRecorder(channelCount, sampleRate, audioRecorder.preRoll, audioRecorder.postRoll,
+      (capture) => audioRecorder.handleCapture(capture));
+    audioRecorder.attachRecorder({
+      configure: (preRoll, postRoll) => recorder.configure(preRoll, postRoll),
+      trigger: () => recorder.trigger()
+    }, sampleRate);
+    
+    const node = this.audioContext.createScriptProcessor(PreTriggerRecorder.MAX_BLOCK, channelCount, 1);
+    node.onaudioprocess = (event) => {
+      const channels = [];
+      for (let c = 0; c < event.inputBuffer.numberOfChannels; c++) {
+        channels.push(event.inputBuffer.getChannelData(c));
+      }
+      recorder.process(channels);
+    };
+    node.connect(this.audioContext.destination);   // Only runs while connected; its output stays silent
+    return node;
+  }
+  
+  /**
+   * Creates the node that runs the sound level meter detectors
+   * Prefers an AudioWorklet running SoundLevelAccumulator on the audio thread so every
+   * sample is weighted; falls back to a ScriptProcessorNode where AudioWorklet is unavailable.
+   * @param {number} channelCount - 2 for stereo input, 1 for mono (only the first channel is measured)
+   * @returns {Promise<AudioNode>} Node to connect the input bus to
+   */
+  async createSoundLevelTap(channelCount) {
+    const soundLevelMeter = this.soundLevelMeter;
+    const sampleRate = this.audioContext.sampleRate;
+    const sections = SoundLevelMeter.designWeighting(soundLevelMeter.frequencyWeighting, sampleRate);
+
+    if (this.audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+      try {
+        await this.audioContext.audioWorklet.addModule('js/soundLevelMeter.js');
+        const node = new AudioWorkletNode(this.audioContext, 'sound-level-processor', {
+          numberOfInputs: 1,
+          numberOfOutputs: 0,
+          channelCount,
+          channelCountMode: 'explicit',
+          channelInterpretation: 'discrete',
+          processorOptions: { sampleRate, sections }
+        });
+        node.port.onmessage = (event) => this.handleSoundLevelBlock(event.data);
+        soundLevelMeter.attachAccumulator({
+          setSections: (value) => node.port.postMessage({ sections: value })
+        }, sampleRate);
+        return node;
+      } catch (error) {
+        console.warn('Sound level meter AudioWorklet unavailable, using ScriptProcessor instead:', error);
+      }
+    }
+
+    // === SCRIPT PROCESSOR FALLBACK ===
+    const accumulator = new SoundLevelAccumulator(sampleRate, sections, (block) => this.handleSoundLevelBlock(block));
+    soundLevelMeter.attachAccumulator({
+      setSections: (value) => accumulator.setSections(value)
+    }, sampleRate);
+
+    const node = this.audioContext.createScriptProcessor(4096, channelCount, 1);
+    node.onaudioprocess = (event) => {
+      accumulator.process([event.inputBuffer.getChannelData(0)]);
+    };
+    node.connect(this.audioContext.destination);   // Only runs while connected; its output stays silent
+    return node;
+  }
+  
+  /**
+   * Passes a sound level meter block to the meter statistics and the alarm rules
+   * @param {object} block - Block from SoundLevelAccumulator ({ power, F, S, I })
+   */
+  handleSoundLevelBlock(block) {
+    this.soundLevelMeter.addBlock(block);
+    const offset = this.splCalibration.isCalibrated() ? this.splCalibration.getOffset() : 0;
+    this.alarmMonitor.addBlock(block.power, block[this.soundLevelMeter.timeWeighting][1], offset, Date.now());
+  }
+  
+  /**
+   * Shows the current transfer function alignment delay in the Transfer tab
+   */
+  updateTransferDelayDisplay() {
+    const transferDelayValue = document.getElementById('transferDelayValue');
+    if (transferDelayValue) {
+      const delaySamples = this.transferFunction.delaySamples;
+      const delayMs = delaySamples / this.transferFunction.sampleRate * 1000;
+      transferDelayValue.textContent = `${delayMs.toFixed(2)} ms (${delaySamples} samples)`;
+    }
+  }
+  
+  /**
+   * Runs an impulse response measurement with the selected method and shows the results
+   * Sweeps are played through the signal generator (its level, output and loopback settings apply).
+   */
+  async measureImpulseResponse() {
+    const impulseResponse = this.impulseResponse;
+    const measurement = impulseResponse.method === 'sweep' ?
+      impulseResponse.measureSweep(this.signalGenerator, this.signalGenerator.sweepDuration) :
+      impulseResponse.measureImpulse();
+    
+    this.updateStatus(impulseResponse.method === 'sweep' ? 'RT60: measuring with sweep...' : 'RT60: waiting for impulse (clap or pop)...');
+    this.updateImpulseResponseControls();
+    this.updateGeneratorButton();
+    
+    try {
+      const result = await measurement;
+      this.savedMeasurementId = null;
+      const rt60 = result.broadband.rt60;
+      this.updateStatus(`RT60: ${rt60 === null ? 'decay range too small' : `${rt60.toFixed(2)} s broadband`}`);
+      this.updateImpulseResultsTable();
+    } catch (error) {
+      console.warn('Impulse response measurement failed:', error);
+      this.updateStatus(`RT60: ${error.message}`);
+    }
+    this.updateImpulseResponseControls();
+    this.updateGeneratorButton();
+  }
+  
+  /**
+   * Stores the current RT60 results on the server so they can be exported as JSON or CSV
+   */
+  async saveImpulseResponseMeasurement() {
+    const measurement = this.impulseResponse.toMeasurement();
+    if (!measurement) {
+      this.updateStatus('RT60: nothing to save - measure first');
+      return;
+    }
+    
+    try {
+      const response = await fetch('/api/measurements', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ measurement })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      this.savedMeasurementId = data.measurement.id;
+      this.updateStatus(`RT60: saved as "${data.measurement.name}"`);
+    } catch (error) {
+      console.warn('Could not save RT60 measurement:', error);
+      this.updateStatus('RT60: could not save measurement');
+    }
+    this.updateImpulseResponseControls();
+  }
+  
+  /**
+   * Updates the Impulse tab buttons to match the measurement state
+   */
+  updateImpulseResponseControls() {
+    const irMeasureBtn = document.getElementById('irMeasureBtn');
+    if (irMeasureBtn) {
+      irMeasureBtn.textContent = this.impulseResponse.state === 'idle' ? 'Measure' : 'Cancel';
+    }
+    const irSaveBtn = document.getElementById('irSaveBtn');
+    if (irSaveBtn) {
+      irSaveBtn.disabled = !this.impulseResponse.result;
+    }
+    ['irExportJsonBtn', 'irExportCsvBtn'].forEach((id) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.disabled = !this.savedMeasurementId;
+      }
+    });
+  }
+  
+  /**
+   * Shows the per-band EDT, T20, T30 and RT60 of the last measurement in the Impulse tab
+   */
+  updateImpulseResultsTable() {
+    const irResults = document.getElementById('irResults');
+    const result = this.impulseResponse.result;
+    if (!irResults || !result) return;
+    
+    const format = (value) => (value === null ? '--' : value.toFixed(2));
+    const rows = [...result.bands, { label: 'Broadband', ...result.broadband }].map((row) =>
+      `<tr><td>${row.label}</td><td>${format(row.edt)}</td><td>${format(row.t20)}</td><td>${format(row.t30)}</td><td>${format(row.rt60)}</td></tr>`
+    );
+    irResults.innerHTML = '<table class="ir-results"><tr><th>Band</th><th>EDT (s)</th><th>T20 (s)</th><th>T30 (s)</th><th>RT60 (s)</th></tr>' +
+      rows.join('') + '</table>';
+  }
+  
+  /**
+   * Starts a room mode capture: raises the FFT size to RoomModeAnalyzer.FFT_SIZE and holds the
+   * spectrum, with peak hold while the generator plays a slow low-frequency sweep (sweep), or
+   * with the selected Hold Button Mode until Analyse is pressed (listen)
+   */
+  async startRoomModeCapture() {
+    const method = this.roomModes.method;
+    if (!this.isRunning) {
+      this.updateStatus('Room modes: start the analyzer first');
+      return;
+    }
+    if (method === 'sweep' && this.signalGenerator.playing) {
+      this.updateStatus('Room modes: stop the signal generator first');
+      return;
+    }
+    
+    const capture = { method, fftSize: this.fftSize, holdButtonMode: this.holdButtonMode };
+    this.roomModeCapture = capture;
+    this.deactivateHoldMode();
+    if (this.fftSize < RoomModeAnalyzer.FFT_SIZE) {
+      this.applyFFTSize(RoomModeAnalyzer.FFT_SIZE);
+    }
+    if (method === 'sweep') {
+      this.holdButtonMode = 'latch';                  // Peak hold traces the envelope of the sweep
+      this.updateHoldButtonText();
+    }
+    this.activateHoldMode();
+    this.updateRoomModeControls();
+    
+    if (method === 'listen') {
+      this.updateStatus(`Room modes: capturing with ${this.holdButtonMode === 'average' ? 'average' : 'peak'} hold - press Analyse when done`);
+      return;
+    }
+    
+    const [startFrequency, endFrequency] = RoomModeAnalyzer.SWEEP_RANGE;
+    const sweep = SignalGenerator.generateLogSweep(this.audioContext.sampleRate, startFrequency, endFrequency,
+      RoomModeAnalyzer.SWEEP_DURATION);
+    const playback = this.signalGenerator.playOnce(sweep);
+    if (!playback) {
+      this.finishRoomModeCapture(false);
+      this.updateStatus('Room modes: the signal generator is not available');
+      return;
+    }
+    this.updateGeneratorButton();
+    this.updateStatus('Room modes: measuring with sweep...');
+    await playback;
+    this.updateGeneratorButton();
+    
+    // The analyser lags the played signal; a cancelled capture has already ended
+    await new Promise((resolve) => setTimeout(resolve, RoomModeAnalyzer.RELEASE_TIME));
+    if (this.roomModeCapture === capture) {
+      this.finishRoomModeCapture(true);
+    }
+  }
+  
+  /**
+   * Ends the room mode capture, restores the FFT size and hold mode and analyses the held
+   * left (or mid) spectrum
+   * @param {boolean} analyse - False to discard the capture (cancel)
+   */
+  finishRoomModeCapture(analyse) {
+    const capture = this.roomModeCapture;
+    if (!capture) return;
+    
+    this.roomModeCapture = null;
+    const held = analyse && this.heldAmplitudesLeft ? Float32Array.from(this.heldAmplitudesLeft) : null;
+    if (capture.method === 'sweep' && this.signalGenerator.oneShot) {
+      this.signalGenerator.stop();
+      this.updateGeneratorButton();
+    }
+    this.deactivateHoldMode();
+    this.holdButtonMode = capture.holdButtonMode;
+    this.updateHoldButtonText();
+    if (this.fftSize !== capture.fftSize) {
+      this.applyFFTSize(capture.fftSize);
+    }
+    
+    if (held && this.audioContext) {
+      const result = this.roomModes.analyse(held, this.audioContext.sampleRate);
+      this.savedRoomModeId = null;
+      const peaks = result.resonances.filter((resonance) => resonance.type === 'peak').length;
+      this.updateStatus(`Room modes: ${peaks} peaks and ${result.resonances.length - peaks} dips below ${RoomModeAnalyzer.MAX_FREQUENCY} Hz`);
+      this.updateRoomModeResults();
+    } else {
+      this.updateStatus('Room modes: capture cancelled');
+    }
+    this.updateRoomModeControls();
+  }
+  
+  /**
+   * Stores the current room mode analysis on the server so it can be exported as JSON or CSV
+   */
+  async saveRoomModeMeasurement() {
+    const measurement = this.roomModes.toMeasurement();
+    if (!measurement) {
+      this.updateStatus('Room modes: nothing to save - capture first');
+      return;
+    }
+    
+    try {
+      const response = await fetch('/api/measurements', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ measurement })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      this.savedRoomModeId = data.measurement.id;
+      this.updateStatus(`Room modes: saved as "${data.measurement.name}"`);
+    } catch (error) {
+      console.warn('Could not save room mode analysis:', error);
+      this.updateStatus('Room modes: could not save analysis');
+    }
+    this.updateRoomModeControls();
+  }
+  
+  /**
+   * Updates the Room tab buttons to match the capture state
+   */
+  updateRoomModeControls() {
+    const roomModeCaptureBtn = document.getElementById('roomModeCaptureBtn');
+    if (roomModeCaptureBtn) {
+      const capture = this.roomModeCapture;
+      roomModeCaptureBtn.textContent = !capture ? 'Start' : (capture.method === 'listen' ? 'Analyse' : 'Cancel');
+    }
+    const roomModeSaveBtn = document.getElementById('roomModeSaveBtn');
+    if (roomModeSaveBtn) {
+      roomModeSaveBtn.disabled = !this.roomModes.result;
+    }
+    ['roomModeExportJsonBtn', 'roomModeExportCsvBtn'].forEach((id) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.disabled = !this.savedRoomModeId;
+      }
+    });
+  }
+  
+  /**
+   * Shows the predicted axial modes and the resonances of the last analysis in the Room tab
+   */
+  updateRoomModeResults() {
+    const modes = this.roomModes.getAxialModes();
+    const roomAxialModes = document.getElementById('roomAxialModes');
+    if (roomAxialModes) {
+      roomAxialModes.textContent = modes.length === 0 ? 'Enter length, width and height to predict the axial modes.' :
+        `Axial modes (Hz): ${modes.map((mode) => `${mode.label} ${mode.frequency.toFixed(1)}`).join(', ')}`;
+    }
+    
+    const roomModeResults = document.getElementById('roomModeResults');
+    const result = this.roomModes.result;
+    if (!roomModeResults || !result) return;
+    
+    const rows = result.resonances.map((resonance) =>
+      `<tr><td>${resonance.type === 'peak' ? 'Peak' : 'Dip'}</td><td>${resonance.frequency.toFixed(1)}</td>` +
+      `<td>${resonance.deviationDB > 0 ? '+' : ''}${resonance.deviationDB.toFixed(1)}</td>` +
+      `<td>${resonance.q === null ? '--' : resonance.q.toFixed(1)}</td><td>${resonance.mode || '--'}</td></tr>`
+    );
+    roomModeResults.innerHTML = '<table class="ir-results"><tr><th>Type</th><th>Frequency (Hz)</th><th>Deviation (dB)</th>' +
+      '<th>Q</th><th>Axial Mode</th></tr>' + rows.join('') + '</table>';
+  }
+  
+  /**
+   * Loads the stored SPL calibration of the input device that was just opened
+   * Calibrations are keyed by the selected device ID ('default' for the system default)
+   */
+  async loadCalibration() {
+    const track = this.mediaStream ? this.mediaStream.getAudioTracks()[0] : null;
+    this.splCalibration.setDevice(window.selectedAudioDeviceId || 'default', track ? track.label : '');
+    
+    try {
+      const response = await fetch(`/api/calibrations/${encodeURIComponent(this.splCalibration.deviceId)}`);
+      if (response.status !== 404) {
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.message || `HTTP ${response.status}`);
+        }
+        this.splCalibration.setRecord(data.calibration);
+      }
+    } catch (error) {
+      console.warn('Could not load SPL calibration:', error);
+    }
+    this.updateCalibrationControls();
+  }
+  
+  /**
+   * Stores the calibration of the current input device on the server (removes it once empty)
+   * @returns {Promise<boolean>} True if the server accepted the change
+   */
+  async saveCalibration() {
+    const calibration = this.splCalibration;
+    const url = `/api/calibrations/${encodeURIComponent(calibration.deviceId)}`;
+    
+    try {
+      const response = calibration.hasData() ?
+        await fetch(url, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ calibration: calibration.toRecord() })
+        }) :
+        await fetch(url, { method: 'DELETE' });
+      const data = await response.json();
+      if ((!response.ok || !data.success) && response.status !== 404) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      return true;
+    } catch (error) {
+      console.warn('Could not save SPL calibration:', error);
+      this.updateStatus('Calibration: could not save to the server');
+      return false;
+    }
+  }
+  
+  /**
+   * Measures the 1 kHz calibrator on the left (or mono) input and stores the new offset
+   */
+  async runCalibration() {
+    if (this.midSideModeEnabled && this.isStereoInput) {
+      this.updateStatus('Calibration: switch to stereo (L/R) mode first');
+      return;
+    }
+    
+    const referenceLevel = parseInt(document.getElementById('calibrationReferenceSelect').value);
+    const measurement = this.splCalibration.startCalibration(referenceLevel);
+    this.updateStatus(`Calibration: measuring ${referenceLevel} dB SPL calibrator...`);
+    this.updateCalibrationControls();
+    
+    try {
+      const offsetDB = await measurement;
+      this.updateStatus(`Calibration: ${referenceLevel} dB SPL reads ${(referenceLevel - offsetDB).toFixed(1)} dBFS RMS`);
+      await this.saveCalibration();
+    } catch (error) {
+      console.warn('SPL calibration failed:', error);
+      this.updateStatus(`Calibration: ${error.message}`);
+    }
+    this.updateCalibrationControls();
+  }
+  
+  /**
+   * Imports a microphone calibration file and stores it with the device calibration
+   * @param {File} file - Frequency/dB text file selected by the user
+   */
+  async importMicCalibration(file) {
+    try {
+      const points = SplCalibration.parseCalibrationFile(await file.text());
+      this.splCalibration.setMicCorrection({ name: file.name.substring(0, 200), points });
+      if (await this.saveCalibration()) {
+        this.updateStatus(`Calibration: ${file.name} loaded (${points.length} points)`);
+      }
+    } catch (error) {
+      console.warn('Could not import mic calibration file:', error);
+      this.updateStatus(`Calibration: ${error.message}`);
+    }
+    this.updateCalibrationControls();
+  }
+  
+  /**
+   * Updates the Calibration tab to show the current device, calibration and mic correction
+   */
+  updateCalibrationControls() {
+    const calibration = this.splCalibration;
+    const calibrating = calibration.state === 'calibrating';
+    const setText = (id, text) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = text;
+    };
+    const setDisabled = (id, disabled) => {
+      const element = document.getElementById(id);
+      if (element) element.disabled = disabled;
+    };
+    
+    // Calibrations belong to input devices, so they are not available while analysing a file
+    const live = this.isRunning && !this.fileMode;
+    let deviceName = 'Start the analyzer to calibrate';
+    if (this.isRunning) {
+      deviceName = this.fileMode ? 'Audio file (switch to live input to calibrate)' : calibration.deviceLabel || calibration.deviceId;
+    }
+    setText('calibrationDeviceName', deviceName);
+    // The offset follows input gain changes made after calibrating
+    const gainChange = calibration.currentGainDB - calibration.inputGainDB;
+    setText('calibrationStatusText', calibration.isCalibrated() ?
+      `0 dBFS RMS = ${calibration.getOffset().toFixed(1)} dB SPL (${calibration.referenceLevel} dB calibrator` +
+        `${calibration.calibratedAt ? `, ${calibration.calibratedAt.substring(0, 10)}` : ''}` +
+        `${Math.abs(gainChange) >= 0.05 ? `, compensating ${gainChange > 0 ? '+' : ''}${gainChange.toFixed(1)} dB input gain` : ''})` :
+      'Not calibrated');
+    setText('micCalibrationName', calibration.micCorrection ?
+      `${calibration.micCorrection.name} (${calibration.micCorrection.points.length} points)` : 'None');
+    setText('calibrateBtn', calibrating ? 'Cancel' : 'Calibrate');
+    
+    setDisabled('calibrateBtn', !live);
+    setDisabled('calibrationClearBtn', !live || calibrating || !calibration.isCalibrated());
+    setDisabled('micCalibrationFile', !live);
+    setDisabled('micCalibrationClearBtn', !live || !calibration.micCorrection);
+    
+    const referenceSelect = document.getElementById('calibrationReferenceSelect');
+    if (referenceSelect && calibration.isCalibrated() && !calibrating) {
+      referenceSelect.value = calibration.referenceLevel.toString();
+    }
+  }
+  
+  /**
+   * Offset from displayed spectrum levels to dB SPL (0 without an SPL calibration)
+   * @returns {number} dB to add to display levels for rulers and readouts
+   */
+  getLevelOffset() {
+    const sineBinToRmsDB = this.fftEngine.enabled ? FFTEngine.SINE_BIN_TO_RMS_DB : SplCalibration.SINE_BIN_TO_RMS_DB;
+    return this.splCalibration.getDisplayOffset(this.amplitudeCalibrationDB, sineBinToRmsDB);
+  }
+  
+  /**
+   * Display levels and labels of the horizontal dB grid lines (10 dB steps)
+   * With an SPL calibration the lines sit on round dB SPL values
+   * @returns {Array<{dB: number, label: string}>} Display level and ruler label of each line
+   */
+  getLevelGridLines() {
+    const offset = this.getLevelOffset();
+    const first = offset === 0 ? this.adjustableMinDB : Math.ceil((this.adjustableMinDB + offset) / 10) * 10;
+    const lines = [];
+    for (let level = first; level - offset <= this.maxDB; level += 10) {
+      lines.push({ dB: level - offset, label: level.toString() });
+    }
+    return lines;
+  }
+  
+  /**
+   * Posts the queued level summaries to the long-term log
+   * Summaries stay queued while the server cannot be reached; rejected ones are dropped.
+   */
+  async postLevelLog() {
+    if (this.levelLogPosting) {
+      return;
+    }
+    const samples = this.levelLogger.takePending();
+    if (samples.length === 0) {
+      return;
+    }
+    
+    this.levelLogPosting = true;
+    try {
+      const response = await fetch('/api/levels', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ samples })
+      });
+      if (response.status >= 500) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      if (!response.ok) {
+        const data = await response.json();
+        console.warn('Level summaries rejected by the server:', data.message);
       }
-      if (rightChannelItem) {
-        rightChannelItem.style.display = 'none';
-        console.log('Hiding right channel item for Mono mode');
+    } catch (error) {
+      console.warn('Could not post level summaries, will retry:', error);
+      this.levelLogger.requeue(samples);
+    } finally {
+      this.levelLogPosting = false;
+    }
+  }
+  
+  /**
+   * History query URL for the period selected in the History tab (resolution chosen by the server)
+   * @returns {string} /api/levels/history URL
+   */
+  getLevelHistoryUrl() {
+    const rangeSelect = document.getElementById('levelHistoryRangeSelect');
+    const range = parseInt(rangeSelect ? rangeSelect.value : '86400', 10);
+    const to = Date.now();
+    return `/api/levels/history?from=${to - range * 1000}&to=${to}`;
+  }
+  
+  /**
+   * Fetches the level history for the selected period and draws it in the History tab
+   */
+  async loadLevelHistory() {
+    if (!this.levelHistoryChart) {
+      return;
+    }
+    const status = document.getElementById('levelHistoryStatus');
+    
+    try {
+      const response = await fetch(this.getLevelHistoryUrl());
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
       }
-    } else {
-      // Hide mono indicator, show left/right channel indicators
-      if (channelIndicator) channelIndicator.style.display = 'none';
-      if (leftChannelItem) {
-        leftChannelItem.style.display = 'flex';
-        console.log('Showing left channel item for Stereo mode');
+      this.levelHistoryChart.setHistory(data.history);
+      if (status) {
+        const resolution = data.history.resolution;
+        status.textContent = `${data.history.points.length} points, ${resolution >= 60 ? `${Math.round(resolution / 60)} min` : `${resolution} s`} resolution`;
       }
-      if (rightChannelItem) {
-        rightChannelItem.style.display = 'flex';
-        console.log('Showing right channel item for Stereo mode');
+    } catch (error) {
+      console.warn('Could not load level history:', error);
+      if (status) {
+        status.textContent = 'Could not load the level history';
       }
     }
   }
-    
+  
   /**
-     * Updates the hold button text based on the current hold mode setting
-     */
-  updateHoldButtonText() {
-    const holdBtn = document.getElementById('holdBtn');
-    if (!holdBtn) return;
-        
-    // Update text based on current hold button mode
-    if (this.holdButtonMode === 'average') {
-      holdBtn.textContent = 'Aver';
-    } else {
-      holdBtn.textContent = 'Peak';
+   * Raises a triggered alarm: kiosk banner, optional tone and the server event
+   * (which stores it, notifies the other clients and calls the webhooks)
+   * @param {object} alarm - Triggered alarm from AlarmMonitor
+   * @param {object} rule - Rule that triggered
+   */
+  async handleAlarm(alarm, rule) {
+    this.raisedAlarms.add(`${alarm.ruleId}@${alarm.time}`);
+    this.showAlarmBanner(alarm);
+    if (rule.tone) {
+      this.playAlarmTone();
+    }
+    if (this.audioRecorder.onAlarm) {
+      this.saveRecording(`alarm: ${alarm.name}`);
     }
-  }
     
+    try {
+      const response = await fetch('/api/alarms/events', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ alarm })
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.warn('Could not report alarm to the server:', error);
+    }
+  }
+  
   /**
-     * Sets up hold button event handlers based on the current hold button mode
-     * Supports both latch (toggle) and temporary (while pressed) modes
-     */
-  setupHoldButtonHandlers() {
-    const holdBtn = document.getElementById('holdBtn');
-        
-    // Remove any existing event listeners by cloning the button
-    const newHoldBtn = holdBtn.cloneNode(true);
-    holdBtn.parentNode.replaceChild(newHoldBtn, holdBtn);
-        
-    // Update button text for the current mode
-    this.updateHoldButtonText();
-        
-    // Both latch and average modes use click to toggle
-    newHoldBtn.addEventListener('mousedown', () => this.toggleHoldMode());
+   * Shows an alarm broadcast by the server unless this client raised it itself
+   * @param {object} alarm - Stored alarm from the WebSocket 'alarm' message
+   */
+  handleRemoteAlarm(alarm) {
+    const key = `${alarm.ruleId}@${alarm.time}`;
+    if (this.raisedAlarms.delete(key)) {
+      return;
+    }
+    
+    this.showAlarmBanner(alarm);
+    const rule = this.alarmConfig.rules.find((candidate) => candidate.id === alarm.ruleId);
+    if (rule && rule.tone) {
+      this.playAlarmTone();
+    }
+    if (document.getElementById('alarms-page')?.classList.contains('active')) {
+      this.loadAlarmHistory();
+    }
   }
+  
+  /**
+   * Shows the full-screen alarm banner (replacing the alarm shown before); a click dismisses it
+   * @param {object} alarm - { name, metric, operator, threshold, value, time }
+   */
+  showAlarmBanner(alarm) {
+    let banner = document.getElementById('alarmBanner');
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = 'alarmBanner';
+      banner.className = 'alarm-banner-overlay';
+      banner.addEventListener('click', () => this.hideAlarmBanner());
+      document.body.appendChild(banner);
+    }
     
+    const digits = alarm.metric === 'correlation' ? 2 : 1;
+    const lines = [
+      ['alarm-banner-title', alarm.name || 'Alarm'],
+      ['alarm-banner-detail', `${AlarmMonitor.METRIC_LABELS[alarm.metric]} ${alarm.value.toFixed(digits)}`],
+      ['alarm-banner-detail', `${alarm.operator} ${alarm.threshold} at ${new Date(alarm.time).toLocaleTimeString()}`],
+      ['alarm-banner-hint', 'Tap to dismiss']
+    ];
+    banner.replaceChildren(...lines.map(([className, text]) => {
+      const line = document.createElement('div');
+      line.className = className;
+      line.textContent = text;       // Rule names are user input
+      return line;
+    }));
+  }
+  
   /**
-     * Toggles the hold mode on/off (used in latch mode)
-     * Hold mode tracks maximum amplitude values visually for the spectrogram
-     */
-  toggleHoldMode() {
-    if (this.holdModeEnabled) {
-      this.deactivateHoldMode();
-    } else {
-      this.activateHoldMode();
+   * Removes the alarm banner if shown
+   */
+  hideAlarmBanner() {
+    const banner = document.getElementById('alarmBanner');
+    if (banner) {
+      banner.remove();
     }
   }
+  
+  /**
+   * Plays three short 1 kHz beeps on the default output (only while the analyzer runs)
+   */
+  playAlarmTone() {
+    if (!this.audioContext) {
+      return;
+    }
     
+    const start = this.audioContext.currentTime;
+    const oscillator = this.audioContext.createOscillator();
+    const gain = this.audioContext.createGain();
+    oscillator.frequency.value = 1000;
+    gain.gain.setValueAtTime(0, start);
+    for (let i = 0; i < 3; i++) {
+      gain.gain.setValueAtTime(0.3, start + i * 0.4);
+      gain.gain.setValueAtTime(0, start + i * 0.4 + 0.2);
+    }
+    oscillator.connect(gain);
+    gain.connect(this.audioContext.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 1.2);
+  }
+  
   /**
-     * Activates hold mode and updates UI accordingly
-     */
-  activateHoldMode() {
-    if (this.holdModeEnabled) return; // Already active
-        
-    this.holdModeEnabled = true;
-        
-    // Initialize hold session based on current mode
-    this.initializeHoldSession();
-        
-    // Update button appearance to show active state (green background)
-    const holdBtn = document.getElementById('holdBtn');
-    if (holdBtn) {
-      holdBtn.classList.add('active');
+   * Fetches the alarm rules and webhook URLs and applies them
+   */
+  async loadAlarmConfig() {
+    try {
+      const response = await fetch('/api/alarms/config');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      this.setAlarmConfig(data.alarms);
+    } catch (error) {
+      console.warn('Could not load alarm rules:', error);
     }
   }
+  
+  /**
+   * Stores new alarm rules and webhook URLs on the server and applies them once accepted
+   * @param {object} alarms - { rules, webhooks }
+   */
+  async saveAlarmConfig(alarms) {
+    const status = document.getElementById('alarmStatus');
     
+    try {
+      const response = await fetch('/api/alarms/config', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ alarms })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      this.setAlarmConfig(data.alarms);
+      if (status) {
+        status.textContent = 'Alarm settings saved';
+      }
+    } catch (error) {
+      console.warn('Could not save alarm settings:', error);
+      if (status) {
+        status.textContent = `Not saved: ${error.message}`;
+      }
+    }
+  }
+  
   /**
-     * Deactivates hold mode and updates UI accordingly
-     */
-  deactivateHoldMode() {
-    if (!this.holdModeEnabled) return; // Already inactive
-        
-    this.holdModeEnabled = false;
-        
-    // Clear hold session data
-    this.clearHoldSession();
-        
-    // Update button appearance to show inactive state (gray background)
-    const holdBtn = document.getElementById('holdBtn');
-    if (holdBtn) {
-      holdBtn.classList.remove('active');
+   * Applies alarm rules and webhook URLs to the monitor and the Alarms tab
+   * @param {object} alarms - { rules, webhooks }
+   */
+  setAlarmConfig(alarms) {
+    this.alarmConfig = alarms;
+    this.alarmMonitor.setRules(alarms.rules);
+    
+    const webhooksInput = document.getElementById('alarmWebhooksInput');
+    if (webhooksInput) {
+      webhooksInput.value = alarms.webhooks.join('\n');
+    }
+    
+    const ruleList = document.getElementById('alarmRuleList');
+    if (!ruleList) {
+      return;
+    }
+    if (alarms.rules.length === 0) {
+      ruleList.innerHTML = '<div class="alarm-list-empty">No alarm rules</div>';
+      return;
     }
+    
+    ruleList.replaceChildren(...alarms.rules.map((rule) => {
+      const item = document.createElement('div');
+      item.className = 'alarm-list-item';
+      
+      const label = document.createElement('label');
+      const enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.checked = rule.enabled;
+      enabled.addEventListener('change', () => {
+        const rules = this.alarmConfig.rules.map((candidate) =>
+          (candidate.id === rule.id ? { ...candidate, enabled: enabled.checked } : candidate));
+        this.saveAlarmConfig({ rules, webhooks: this.alarmConfig.webhooks });
+      });
+      label.append(enabled, ` ${rule.name}: ${AlarmMonitor.describe(rule)}${rule.tone ? ' (tone)' : ''}`);
+      
+      const remove = document.createElement('button');
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => {
+        const rules = this.alarmConfig.rules.filter((candidate) => candidate.id !== rule.id);
+        this.saveAlarmConfig({ rules, webhooks: this.alarmConfig.webhooks });
+      });
+      
+      item.append(label, remove);
+      return item;
+    }));
   }
+  
+  /**
+   * Fetches the latest triggered alarms and lists them in the Alarms tab
+   */
+  async loadAlarmHistory() {
+    const historyList = document.getElementById('alarmHistoryList');
+    if (!historyList) {
+      return;
+    }
     
+    try {
+      const response = await fetch('/api/alarms/history?limit=50');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      if (data.alarms.length === 0) {
+        historyList.innerHTML = '<div class="alarm-list-empty">No alarms triggered</div>';
+        return;
+      }
+      historyList.replaceChildren(...data.alarms.map((alarm) => {
+        const item = document.createElement('div');
+        item.className = 'alarm-list-item';
+        const digits = alarm.metric === 'correlation' ? 2 : 1;
+        item.textContent = `${new Date(alarm.time).toLocaleString()}  ${alarm.name}: ` +
+          `${AlarmMonitor.METRIC_LABELS[alarm.metric]} ${alarm.value.toFixed(digits)} (${alarm.operator} ${alarm.threshold})`;
+        return item;
+      }));
+    } catch (error) {
+      console.warn('Could not load alarm history:', error);
+      historyList.innerHTML = '<div class="alarm-list-empty">Could not load the alarm history</div>';
+    }
+  }
+  
   /**
-     * Initializes hold session based on current mode
-     * Called when entering hold mode
-     */
-  initializeHoldSession() {
-    if (this.holdButtonMode === 'latch') {
-      // Initialize arrays with minimum dB values for peak tracking
-      this.heldAmplitudesLeft = new Float32Array(this.bufferLength);
-      this.heldAmplitudesRight = new Float32Array(this.bufferLength);
-      this.heldAmplitudesLeft.fill(-Infinity);
-      this.heldAmplitudesRight.fill(-Infinity);
-    } else if (this.holdButtonMode === 'average') {
-      // Initialize arrays for averaging (linear scale for proper averaging)
-      this.averageAmplitudesLeft = new Float32Array(this.bufferLength);
-      this.averageAmplitudesRight = new Float32Array(this.bufferLength);
-      this.averageAmplitudesLeft.fill(0);
-      this.averageAmplitudesRight.fill(0);
-      this.averageInitialized = false;  // Will be seeded with first real audio data
-            
-      // Initialize display arrays for computed averages (dB scale)
-      this.heldAmplitudesLeft = new Float32Array(this.bufferLength);
-      this.heldAmplitudesRight = new Float32Array(this.bufferLength);
-      this.heldAmplitudesLeft.fill(-Infinity);
-      this.heldAmplitudesRight.fill(-Infinity);
+   * Deletes the alarm history on the server
+   */
+  async clearAlarmHistory() {
+    try {
+      const response = await fetch('/api/alarms/history', { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.warn('Could not clear alarm history:', error);
     }
+    this.loadAlarmHistory();
   }
-    
+  
   /**
-     * Clears hold session data
-     * Called when exiting hold mode
-     */
-  clearHoldSession() {
-    this.heldAmplitudesLeft = null;
-    this.heldAmplitudesRight = null;
-        
-    if (this.holdButtonMode === 'average') {
-      this.averageAmplitudesLeft = null;
-      this.averageAmplitudesRight = null;
-      this.averageInitialized = false;
+   * Runs the feedback detection on a spectrum frame and reports the candidates when they
+   * changed, or every REPORT_INTERVAL while there are any (so levels stay current remotely)
+   * @param {Float32Array} dataLeft - Left (or mid) spectrum in dB
+   * @param {Float32Array|null} dataRight - Right (or side) spectrum in dB (null for mono)
+   * @param {number} sampleRate - Sample rate in Hz
+   */
+  updateFeedback(dataLeft, dataRight, sampleRate) {
+    if (this.feedback.update(dataLeft, dataRight, sampleRate)) {
+      this.feedbackReportPending = true;
+    }
+    const due = Date.now() - this.feedbackReportTime >= FeedbackDetector.REPORT_INTERVAL;
+    if (due && (this.feedbackReportPending || this.feedback.candidates.length > 0)) {
+      this.reportFeedback();
     }
   }
   
   /**
-   * Load M/S mode setting from server preferences
+   * Lists the current candidates in the Feedback tab and posts them to the server,
+   * which broadcasts them to the other clients (an empty list clears them there)
    */
-  async loadMidSideModeFromSettings() {
+  async reportFeedback() {
+    const time = Date.now();
+    this.feedbackReportTime = time;
+    this.feedbackReportPending = false;
+    const offset = this.amplitudeCalibrationDB + this.getLevelOffset();
+    const candidates = this.feedback.candidates.map((candidate) => ({
+      frequency: candidate.frequency,
+      levelDB: candidate.levelDB + offset,               // Display level (dB SPL when calibrated)
+      ratioDB: candidate.ratioDB,
+      growth: candidate.growth,
+      band: candidate.band,
+      notchDepth: candidate.notchDepth
+    }));
+    this.renderFeedbackCandidates(candidates);
+    
     try {
-      const response = await fetch('/api/preferences');
+      const response = await fetch('/api/feedback', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ candidates, time })
+      });
       if (!response.ok) {
-        console.warn('Could not load M/S mode preference');
-        return;
+        const data = await response.json();
+        throw new Error(data.message || `HTTP ${response.status}`);
       }
-      
-      const data = await response.json();
-      const midSideMode = data.preferences?.uiSettings?.general?.midSideMode;
-      
-      if (typeof midSideMode === 'boolean' && midSideMode !== this.midSideModeEnabled) {
-        // Apply the saved M/S mode setting
-        this.midSideModeEnabled = midSideMode;
-        
-        // Update UI to match
-        const msToggleBtn = document.getElementById('msToggleBtn');
-        if (msToggleBtn) {
-          msToggleBtn.textContent = midSideMode ? 'MS' : 'ST';
-          if (midSideMode) {
-            msToggleBtn.classList.add('active');
-            msToggleBtn.title = 'Mid-Side Mode Active (Click to switch to Stereo)';
-          } else {
-            msToggleBtn.classList.remove('active');
-            msToggleBtn.title = 'Stereo Mode Active (Click to switch to Mid-Side)';
-          }
-        }
-        
-        // Update labels
-        this.updateLegendLabels(midSideMode ? 'MS' : 'ST');
-        this.levelMeters.updateMeterLabels(midSideMode ? 'MS' : 'ST');
+    } catch (error) {
+      console.warn('Could not report feedback candidates to the server:', error);
+    }
+  }
+  
+  /**
+   * Fetches the candidates last reported by any client and lists them in the Feedback tab
+   */
+  async loadFeedback() {
+    try {
+      const response = await fetch('/api/feedback');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
       }
+      this.renderFeedbackCandidates(data.feedback.candidates);
     } catch (error) {
-      console.warn('Error loading M/S mode preference:', error);
+      console.warn('Could not load feedback candidates:', error);
     }
   }
   
   /**
-   * Save M/S mode setting to server preferences
+   * Lists candidates broadcast by the server unless this client detects feedback itself
+   * @param {object} feedback - { candidates, time } from the WebSocket 'feedback' message
    */
-  async saveMidSideModeToSettings() {
+  handleRemoteFeedback(feedback) {
+    if (this.isRunning && this.feedback.enabled) {
+      return;
+    }
+    this.renderFeedbackCandidates(feedback.candidates);
+  }
+  
+  /**
+   * Lists feedback candidates in the Feedback tab
+   * @param {Array<object>} candidates - { frequency, levelDB, ratioDB, growth, band, notchDepth }
+   */
+  renderFeedbackCandidates(candidates) {
+    const list = document.getElementById('feedbackCandidateList');
+    if (!list) {
+      return;
+    }
+    if (candidates.length === 0) {
+      list.innerHTML = '<div class="alarm-list-empty">No feedback detected</div>';
+      return;
+    }
+    
+    list.replaceChildren(...candidates.map((candidate) => {
+      const item = document.createElement('div');
+      item.className = 'alarm-list-item';
+      item.textContent = `${this.formatFeedbackFrequency(candidate.frequency)}: cut ${candidate.notchDepth} dB at ` +
+        `${this.octaveBands.formatLabel(candidate.band)} Hz (${candidate.levelDB.toFixed(0)} dB, ` +
+        `${candidate.ratioDB.toFixed(0)} dB above neighbours, ${candidate.growth >= 0 ? '+' : ''}${candidate.growth.toFixed(1)} dB/s)`;
+      return item;
+    }));
+  }
+  
+  /**
+   * Formats a feedback frequency, e.g. "2.51 kHz" or "315 Hz"
+   * @param {number} frequency - Frequency in Hz
+   * @returns {string} Formatted frequency
+   */
+  formatFeedbackFrequency(frequency) {
+    return frequency >= 1000 ? `${(frequency / 1000).toFixed(2)} kHz` : `${Math.round(frequency)} Hz`;
+  }
+  
+  /**
+   * Captures the pre-roll and post-roll and uploads them as a WAV recording
+   * @param {string} trigger - What started the recording ('manual' or the alarm name)
+   */
+  async saveRecording(trigger) {
+    const status = document.getElementById('recorderStatus');
+    const setStatus = (text) => {
+      if (status) status.textContent = text;
+    };
+    const time = Date.now();
+    
     try {
-      // First, get current preferences
-      const getResponse = await fetch('/api/preferences');
-      if (!getResponse.ok) {
-        console.warn('Could not load current preferences for M/S mode save');
-        return;
+      const capturing = this.audioRecorder.capture();
+      this.updateRecorderControls();
+      if (this.audioRecorder.postRoll > 0) {
+        setStatus(`Recording ${this.audioRecorder.postRoll} s after the trigger...`);
       }
+      const capture = await capturing;
+      this.updateRecorderControls();
       
-      const getData = await getResponse.json();
-      const preferences = getData.preferences || {};
-      
-      // Ensure structure exists
-      if (!preferences.uiSettings) {
-        preferences.uiSettings = {};
+      const calibrated = this.splCalibration.isCalibrated();
+      const params = new URLSearchParams({
+        time: String(time),
+        device: this.splCalibration.deviceLabel || this.splCalibration.deviceId,
+        gain: String(this.inputGainDB),
+        trigger: trigger,
+        preRoll: String(capture.preRollFrames / capture.sampleRate)
+      });
+      if (calibrated) {
+        params.set('calibration', String(this.splCalibration.getOffset()));
       }
-      if (!preferences.uiSettings.general) {
-        preferences.uiSettings.general = {};
+      if (this.splCalibration.micCorrection) {
+        params.set('micCorrection', this.splCalibration.micCorrection.name);
       }
       
-      // Update M/S mode setting
-      preferences.uiSettings.general.midSideMode = this.midSideModeEnabled;
-      
-      // Save back to server
-      const saveResponse = await fetch('/api/preferences', {
+      setStatus('Saving recording...');
+      const response = await fetch(`/api/recordings?${params}`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'audio/wav'
         },
-        body: JSON.stringify({ preferences })
+        body: AudioRecorder.encodeWAV(capture.channels, capture.sampleRate, this.audioRecorder.format)
       });
-      
-      if (!saveResponse.ok) {
-        console.warn('Could not save M/S mode preference');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      setStatus(`Saved ${data.recording.duration.toFixed(1)} s recording`);
+      if (document.getElementById('recorder-page')?.classList.contains('active')) {
+        this.loadRecordings();
       }
     } catch (error) {
-      console.warn('Error saving M/S mode preference:', error);
+      console.warn('Could not save recording:', error);
+      setStatus(`Recording not saved: ${error.message}`);
+      this.updateRecorderControls();
     }
   }
   
   /**
-   * Loads the M/S energy-preserving setting from preferences
-   * and applies it to the M/S processor and UI checkbox
+   * Enables the Save Recording button while the analyzer runs and no capture is in progress
    */
-  async loadMSEnergyPreservingFromSettings() {
+  updateRecorderControls() {
+    const recorderSaveBtn = document.getElementById('recorderSaveBtn');
+    if (recorderSaveBtn) {
+      recorderSaveBtn.disabled = !this.audioRecorder.recorder || this.audioRecorder.isCapturing();
+    }
+  }
+  
+  /**
+   * Lists the stored recordings with download and delete buttons in the Recorder tab
+   */
+  async loadRecordings() {
+    const recordingList = document.getElementById('recordingList');
+    if (!recordingList) {
+      return;
+    }
+    
     try {
-      const response = await fetch('/api/preferences');
-      if (!response.ok) {
-        console.warn('Could not load M/S energy-preserving preference');
+      const response = await fetch('/api/recordings');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      if (data.recordings.length === 0) {
+        recordingList.innerHTML = '<div class="recording-list-empty">No recordings</div>';
         return;
       }
       
-      const data = await response.json();
-      const msEnergyPreserving = data.preferences?.uiSettings?.general?.msEnergyPreserving;
-      
-      if (typeof msEnergyPreserving === 'boolean') {
-        // Apply to processor
-        if (this.msProcessor) {
-          this.msProcessor.setEnergyPreserving(msEnergyPreserving);
-        }
-        
-        // Update toggle UI
-        const toggle = document.getElementById('msEnergyPreservingToggle');
-        if (toggle) {
-          toggle.checked = msEnergyPreserving;
-        }
-      }
+      recordingList.replaceChildren(...data.recordings.map((recording) => {
+        const item = document.createElement('div');
+        item.className = 'recording-list-item';
+        
+        const label = document.createElement('span');
+        const calibration = recording.calibration === null ? '' : `, cal ${recording.calibration.toFixed(1)} dB`;
+        label.textContent = `${new Date(recording.time).toLocaleString()}  ${recording.trigger}  ` +
+          `${recording.duration.toFixed(1)} s ${recording.format} ${recording.sampleRate / 1000} kHz${calibration}`;
+        label.title = `${recording.device}, gain ${recording.gain} dB`;
+        
+        const download = document.createElement('a');
+        download.href = `/api/recordings/${recording.id}/wav`;
+        download.textContent = 'Download';
+        
+        const remove = document.createElement('button');
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => this.deleteRecording(recording.id));
+        
+        item.append(label, download, remove);
+        return item;
+      }));
     } catch (error) {
-      console.warn('Error loading M/S energy-preserving preference:', error);
+      console.warn('Could not load recordings:', error);
+      recordingList.innerHTML = '<div class="recording-list-empty">Could not load the recordings</div>';
     }
   }
   
   /**
-   * Saves the M/S energy-preserving setting to preferences
-   * @param {boolean} isEnergyPreserving - Whether to use energy-preserving √2 scaling
+   * Deletes a stored recording and refreshes the list
+   * @param {string} id - Recording ID
    */
-  async saveMSEnergyPreservingToSettings(isEnergyPreserving) {
+  async deleteRecording(id) {
     try {
-      // First, get current preferences
-      const getResponse = await fetch('/api/preferences');
-      if (!getResponse.ok) {
-        console.warn('Could not load current preferences for M/S energy-preserving save');
-        return;
+      const response = await fetch(`/api/recordings/${id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
       }
-      
-      const getData = await getResponse.json();
-      const preferences = getData.preferences || {};
-      
-      // Ensure structure exists
-      if (!preferences.uiSettings) {
-        preferences.uiSettings = {};
+    } catch (error) {
+      console.warn('Could not delete recording:', error);
+    }
+    this.loadRecordings();
+  }
+
+  /**
+   * Decodes an audio file and restarts the analyzer with it as the input
+   * @param {ArrayBuffer} data - Encoded file contents (WAV, FLAC, MP3, ...)
+   * @param {string} name - File name shown in the File tab
+   */
+  async loadAudioFile(data, name) {
+    const status = document.getElementById('fileStatus');
+    const setStatus = (text) => {
+      if (status) status.textContent = text;
+    };
+
+    let buffer;
+    try {
+      setStatus(`Decoding ${name}...`);
+      buffer = await FilePlayer.decode(data);
+    } catch (error) {
+      console.warn('Could not decode audio file:', error);
+      setStatus(`Could not decode ${name}: the format is not supported by this browser`);
+      return;
+    }
+
+    if (this.isRunning) {
+      this.stop();
+    }
+    this.filePlayer.setBuffer(buffer, name);
+    this.fileMode = true;
+    setStatus(`${buffer.numberOfChannels > 1 ? 'Stereo' : 'Mono'}, ${buffer.sampleRate / 1000} kHz, ${FilePlayer.formatTime(buffer.duration)}`);
+    await this.start();
+    this.updateFileTransport();
+  }
+
+  /**
+   * Downloads a stored recording and analyses it
+   * @param {string} id - Recording ID
+   * @param {string} name - Description shown in the File tab
+   */
+  async loadRecordingFile(id, name) {
+    try {
+      const response = await fetch(`/api/recordings/${id}/wav`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
       }
-      if (!preferences.uiSettings.general) {
-        preferences.uiSettings.general = {};
+      await this.loadAudioFile(await response.arrayBuffer(), name);
+    } catch (error) {
+      console.warn('Could not load recording:', error);
+      const status = document.getElementById('fileStatus');
+      if (status) status.textContent = `Could not load the recording: ${error.message}`;
+    }
+  }
+
+  /**
+   * Fills the stored recordings dropdown of the File tab
+   */
+  async loadFileRecordings() {
+    const select = document.getElementById('fileRecordingSelect');
+    if (!select) {
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/recordings');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
       }
-      
-      // Update M/S energy-preserving setting
-      preferences.uiSettings.general.msEnergyPreserving = isEnergyPreserving;
-      
-      // Save back to server
-      const saveResponse = await fetch('/api/preferences', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ preferences })
-      });
-      
-      if (!saveResponse.ok) {
-        console.warn('Could not save M/S energy-preserving preference');
+      const selected = select.value;
+      select.replaceChildren(...data.recordings.map((recording) => {
+        const option = document.createElement('option');
+        option.value = recording.id;
+        option.textContent = `${new Date(recording.time).toLocaleString()}  ${recording.trigger}  ${recording.duration.toFixed(1)} s`;
+        return option;
+      }));
+      if (data.recordings.some((recording) => recording.id === selected)) {
+        select.value = selected;
       }
     } catch (error) {
-      console.warn('Error saving M/S energy-preserving preference:', error);
+      console.warn('Could not load recordings:', error);
+      select.replaceChildren();
     }
+    document.getElementById('fileRecordingLoadBtn').disabled = select.options.length === 0;
   }
-  
+
   /**
-   * Toggles between Stereo (ST) and Mid-Side (MS) processing modes
-   * Updates UI button state, legend labels, and meter labels accordingly
+   * Switches back from the loaded file to the input device (restarts a running analyzer)
    */
-  toggleMidSideMode() {
-    // Toggle the state
-    this.midSideModeEnabled = !this.midSideModeEnabled;
-    
-    // Update button appearance
-    const msToggleBtn = document.getElementById('msToggleBtn');
-    if (msToggleBtn) {
-      if (this.midSideModeEnabled) {
-        msToggleBtn.textContent = 'MS';
-        msToggleBtn.classList.add('active');
-        msToggleBtn.title = 'Mid-Side Mode Active (Click to switch to Stereo)';
-      } else {
-        msToggleBtn.textContent = 'ST';
-        msToggleBtn.classList.remove('active');
-        msToggleBtn.title = 'Stereo Mode Active (Click to switch to Mid-Side)';
+  async useLiveInput() {
+    if (!this.fileMode) {
+      return;
+    }
+    this.fileMode = false;
+    if (this.isRunning) {
+      this.stop();
+      await this.start();
+    }
+    this.updateFileTransport();
+  }
+
+  /**
+   * Shows the loaded file, playback position and loop region in the File tab
+   */
+  updateFileTransport() {
+    const player = this.filePlayer;
+    const active = this.fileMode && this.isRunning;
+    const setText = (id, text) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = text;
+    };
+    const setDisabled = (id, disabled) => {
+      const element = document.getElementById(id);
+      if (element) element.disabled = disabled;
+    };
+
+    setText('fileName', this.fileMode ? player.name : 'None (live input)');
+    setText('filePlayBtn', player.playing ? 'Pause' : 'Play');
+    setDisabled('filePlayBtn', !active);
+    setDisabled('fileLiveBtn', !this.fileMode);
+    ['fileSeekSlider', 'fileLoopStartInput', 'fileLoopEndInput', 'fileLoopStartBtn', 'fileLoopEndBtn']
+      .forEach((id) => setDisabled(id, !this.fileMode));
+
+    const fileSeekSlider = document.getElementById('fileSeekSlider');
+    if (fileSeekSlider && !this.fileSeeking) {
+      const position = player.getPosition();
+      fileSeekSlider.max = player.duration.toFixed(2);
+      fileSeekSlider.value = position.toFixed(2);
+      setText('filePositionValue', `${FilePlayer.formatTime(position)} / ${FilePlayer.formatTime(player.duration)}`);
+    }
+
+    // Loop inputs are left alone while being edited
+    ['fileLoopStartInput', 'fileLoopEndInput'].forEach((id, i) => {
+      const input = document.getElementById(id);
+      if (input && document.activeElement !== input) {
+        input.value = (i === 0 ? player.loopStart : player.loopEnd).toFixed(1);
       }
+    });
+  }
+
+  /**
+   * Shows Play or Stop on the generator button to match the playback state
+   */
+  updateGeneratorButton() {
+    const generatorPlayBtn = document.getElementById('generatorPlayBtn');
+    if (generatorPlayBtn) {
+      generatorPlayBtn.textContent = this.signalGenerator.playing ? 'Stop' : 'Play';
     }
+  }
+  
+  /**
+   * Fills the generator output device dropdown, keeping the current selection if still present
+   * Device labels are only available after audio permission has been granted.
+   */
+  async updateGeneratorOutputs() {
+    const generatorOutputSelect = document.getElementById('generatorOutputSelect');
+    if (!generatorOutputSelect) return;
     
-    // Update legend labels
-    this.updateLegendLabels(this.midSideModeEnabled ? 'MS' : 'ST');
-    
-    // Update meter labels
-    this.levelMeters.updateMeterLabels(this.midSideModeEnabled ? 'MS' : 'ST');
-    
-    // Save preference to server
-    this.saveMidSideModeToSettings();
+    try {
+      const outputs = await SignalGenerator.listOutputDevices();
+      const selected = this.signalGenerator.outputDeviceId;
+      generatorOutputSelect.innerHTML = '<option value="default">Default Output</option>';
+      outputs.forEach((output) => {
+        const option = document.createElement('option');
+        option.value = output.deviceId;
+        option.textContent = output.label;
+        generatorOutputSelect.appendChild(option);
+      });
+      generatorOutputSelect.value = outputs.some((output) => output.deviceId === selected) ? selected : 'default';
+      this.signalGenerator.setOutputDevice(generatorOutputSelect.value);
+    } catch (error) {
+      console.warn('Could not list output devices:', error);
+    }
+  }
+  
+  /**
+   * Applies the current M/S mode and scaling to the audio-graph encoder (if running)
+   */
+  updateMidSideEncoder() {
+    if (this.msEncoder) {
+      this.msEncoder.configure(this.midSideModeEnabled && this.isStereoInput, this.msEnergyPreserving);
+    }
   }
   
   /**
@@ -1233,15 +3964,49 @@ class StereoSpectrumAnalyzer {
       }
     }
         
+    // === CHECK IF CLICK IS ON A METER CONTROL ===
+    // Over indicators and the max true-peak readout reset when clicked
+    if (this.levelMeters.handleClick(clickX, clickY)) {
+      return;
+    }
+        
     // === CHECK IF CLICK IS WITHIN PLOT AREA ===
-    if (clickX < this.plotLeft || clickX > this.plotRight || 
+    // The impulse response and sound level meter views have no frequency axis, so they have no click readout
+    if (this.viewMode === 'impulse' || this.viewMode === 'slm' ||
+            clickX < this.plotLeft || clickX > this.plotRight || 
             clickY < this.plotTop || clickY > this.plotBottom) {
       return; // Click outside plot area
     }
         
+    // === PLACE OR REMOVE A MARKER ===
+    // With markers enabled, clicks on the line spectrum place markers instead of the click readout
+    if (this.markers.enabled && this.viewMode === 'spectrum') {
+      this.handleMarkerClick(clickX);
+      return;
+    }
+        
     // === CONVERT CLICK COORDINATES TO FREQUENCY AND AMPLITUDE ===
+    // In waterfall view the vertical axis is time, so read the level from the stored history;
+    // in transfer view read the magnitude and phase of the response at the clicked frequency,
+    // in deviation view the deviation from the target curve
     const frequency = this.pixelToFrequency(clickX);
-    const amplitude = this.pixelToAmplitude(clickY);
+    let amplitude;
+    let phase;
+    if (this.viewMode === 'waterfall') {
+      amplitude = this.waterfall.amplitudeAt(clickX, clickY);
+    } else if (this.viewMode === 'transfer') {
+      const point = this.transferFunction.valueAt(clickX);
+      amplitude = point && isFinite(point.magnitude) ? Math.round(point.magnitude * 10) / 10 : null;
+      phase = point && amplitude !== null ? Math.round(point.phase) : undefined;
+    } else if (this.viewMode === 'deviation') {
+      const deviation = this.targetCurve.valueAt(clickX);
+      amplitude = deviation !== null ? Math.round(deviation * 10) / 10 : null;
+    } else {
+      amplitude = this.pixelToAmplitude(clickY);
+    }
+    if (amplitude !== null && this.viewMode !== 'transfer' && this.viewMode !== 'deviation') {
+      amplitude = Math.round((amplitude + this.getLevelOffset()) * 10) / 10;  // dB SPL when calibrated
+    }
         
     // === STORE CLICK INFORMATION ===
     this.clickPoint = {
@@ -1249,6 +4014,7 @@ class StereoSpectrumAnalyzer {
       y: clickY,
       frequency: frequency,
       amplitude: amplitude,
+      phase: phase,
       displayX: clickX,
       displayY: clickY,
       textWidth: 0 // Will be calculated when drawing
@@ -1316,7 +4082,9 @@ class StereoSpectrumAnalyzer {
     // Dynamically size the meter area based on actual meter layout needs
     // 4 meters (30px each) + spacing (20+10+10+10) + right padding for dB scale numbers
     // Added extra padding (25px) to prevent dB scale numbers from being cut off in kiosk mode
-    const meterAreaWidth = Math.max(205, Math.min(225, this.canvasWidth * 0.15));
+    // The LUFS loudness meter adds its own column to the right when shown
+    const loudnessWidth = this.levelMeters.loudnessMeterEnabled ? this.levelMeters.loudnessColumnWidth : 0;
+    const meterAreaWidth = Math.max(205, Math.min(225, this.canvasWidth * 0.15)) + loudnessWidth;
     this.plotRight = this.canvasWidth - meterAreaWidth;  // Spectrum ends here, meters begin
         
     this.plotTop = 20;                               // Space for meter labels at top
@@ -1330,54 +4098,72 @@ class StereoSpectrumAnalyzer {
     this.levelMeters.updateLayout();
   }
     
+  /**
+   * Opens the selected input device
+   * @returns {Promise<MediaStream|null>} Input stream (null in generator-only mode)
+   */
+  async openInputStream() {
+    // === NOTIFY USER OF MICROPHONE REQUEST ===
+    this.updateStatus('Requesting audio device access...');
+          
+    // === REQUEST AUDIO ACCESS (using selected device if available) ===
+    // Use the device selected in the dropdown, or default if none selected
+    // No sample rate is requested: the device runs at its native rate and the
+    // AudioContext is created to match it, so nothing gets resampled
+    const audioConstraints = {
+      audio: {
+        echoCancellation: false,       // Disable processing - we want raw audio
+        noiseSuppression: false,       // Disable noise reduction - we want everything
+        autoGainControl: false         // Disable automatic volume adjustment
+      }
+    };
+          
+    // Add device ID if a specific device was selected
+    if (window.selectedAudioDeviceId && window.selectedAudioDeviceId !== 'default') {
+      audioConstraints.audio.deviceId = { exact: window.selectedAudioDeviceId };
+      console.log('Using selected audio device:', window.selectedAudioDeviceId);
+    } else {
+      console.log('Using default audio device');
+    }
+          
+    try {
+      return await navigator.mediaDevices.getUserMedia(audioConstraints);
+    } catch (error) {
+      // With generator loopback enabled the analyzer can run without any input device
+      if (!this.signalGenerator.loopback) {
+        throw error;
+      }
+      console.warn('No audio input available, analysing the generator loopback only:', error);
+      return null;
+    }
+  }
+    
   /**
      * Starts the spectrum analyzer by setting up the Web Audio API chain
-     * This method requests microphone access and creates the audio processing pipeline
+     * This method requests microphone access (or takes the loaded audio file) and creates the audio processing pipeline
      */
   async start() {
     try {
-      // === NOTIFY USER OF MICROPHONE REQUEST ===
-      this.updateStatus('Requesting audio device access...');
-            
-      // === REQUEST AUDIO ACCESS (using selected device if available) ===
-      // Use the device selected in the dropdown, or default if none selected
-      const audioConstraints = {
-        audio: {
-          sampleRate: 44100,             // CD-quality sample rate (44.1 kHz)
-          echoCancellation: false,       // Disable processing - we want raw audio
-          noiseSuppression: false,       // Disable noise reduction - we want everything
-          autoGainControl: false         // Disable automatic volume adjustment
-        }
-      };
-            
-      // Add device ID if a specific device was selected
-      if (window.selectedAudioDeviceId && window.selectedAudioDeviceId !== 'default') {
-        audioConstraints.audio.deviceId = { exact: window.selectedAudioDeviceId };
-        console.log('Using selected audio device:', window.selectedAudioDeviceId);
-      } else {
-        console.log('Using default audio device');
-      }
-            
-      this.mediaStream = await navigator.mediaDevices.getUserMedia(audioConstraints);
+      // === OPEN THE INPUT ===
+      // A loaded audio file replaces the input device, so no microphone access is requested
+      this.mediaStream = this.fileMode ? null : await this.openInputStream();
             
       // === DETECT INPUT CHANNEL COUNT ===
       let inputChannelCount = 2; // Default to stereo
-      if (this.mediaStream.getAudioTracks()[0] && this.mediaStream.getAudioTracks()[0].getSettings) {
+      if (this.fileMode) {
+        inputChannelCount = Math.min(2, this.filePlayer.buffer.numberOfChannels);
+      } else if (this.mediaStream && this.mediaStream.getAudioTracks()[0] && this.mediaStream.getAudioTracks()[0].getSettings) {
         inputChannelCount = this.mediaStream.getAudioTracks()[0].getSettings().channelCount || 1;
       }
       
       // === UPDATE STEREO/MONO STATE FOR M/S PROCESSING ===
       this.isStereoInput = (inputChannelCount === 2);
       
-      // === INITIALIZE MID-SIDE PROCESSOR FOR STEREO INPUT ===
+      // === LOAD MID-SIDE SETTINGS FOR STEREO INPUT ===
       if (this.isStereoInput) {
-        // Create M/S processor instance for stereo input
-        this.msProcessor = new MidSideProcessor();
-        // Load and apply the energy-preserving setting
+        // Load the energy-preserving setting (applied when the encoder is created below)
         await this.loadMSEnergyPreservingFromSettings();
       } else {
-        // Clear M/S processor for mono input
-        this.msProcessor = null;
         // Force stereo mode (disable M/S mode for mono)
         this.midSideModeEnabled = false;
       }
@@ -1406,13 +4192,24 @@ class StereoSpectrumAnalyzer {
       // === CREATE AUDIO CONTEXT ===
       // AudioContext is the main interface for audio processing in browsers
       // It manages the audio processing graph and timing
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-        sampleRate: 44100              // Match the input sample rate
-      });
+      const contextOptions = {};
+      const trackSettings = this.mediaStream?.getAudioTracks()[0]?.getSettings?.() || {};
+      if (this.fileMode) {
+        contextOptions.sampleRate = this.filePlayer.buffer.sampleRate;   // Play the decoded file without resampling
+      } else if (trackSettings.sampleRate) {
+        contextOptions.sampleRate = trackSettings.sampleRate;   // Match the device's native rate
+      }
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)(contextOptions);
+      this.applySampleRate(this.audioContext.sampleRate);
             
       // === CREATE AUDIO SOURCE NODE ===
-      // Convert the media stream into an audio node that can be processed
-      this.source = this.audioContext.createMediaStreamSource(this.mediaStream);
+      // Convert the media stream into an audio node that can be processed (none in generator-only mode);
+      // in file mode the file player's output takes its place
+      if (this.fileMode) {
+        this.source = this.filePlayer.attach(this.audioContext);
+      } else {
+        this.source = this.mediaStream ? this.audioContext.createMediaStreamSource(this.mediaStream) : null;
+      }
             
       // === CREATE GAIN NODE ===
       // Gain node allows manual volume adjustment before analysis
@@ -1422,18 +4219,35 @@ class StereoSpectrumAnalyzer {
       const initialLinearGain = Math.pow(10, this.inputGainDB / 20);
       this.gainNode.gain.setValueAtTime(initialLinearGain, this.audioContext.currentTime);
             
+      // === CREATE INPUT BUS ===
+      // Sums the gained input with the generator loopback; all analysis taps connect here
+      this.inputBus = this.audioContext.createGain();
+      if (this.source) {
+        this.source.connect(this.gainNode);                       // Input feeds the gain node
+      }
+      this.gainNode.connect(this.inputBus);                       // Gain output feeds the input bus
+      this.signalGenerator.attach(this.audioContext, this.inputBus);
+      this.updateGeneratorOutputs();                              // Labels are available now that access is granted
+            
       // === CREATE SPECTROGRAM ANALYZER NODES ===
       // AnalyserNode performs FFT analysis on audio data for spectrum display
       // We need one for each channel to compare left vs right
-      this.analyserLeft = this.audioContext.createAnalyser();
-      this.analyserRight = this.audioContext.createAnalyser();
+      if (this.fftEngine.enabled) {
+        // The custom engine analyses both channels in one node; its channel readers stand in for the analyzers
+        this.fftEngine.setFFTSize(this.fftSize);
+        this.fftEngineTap = await this.createFFTEngineTap(inputChannelCount === 1 ? 1 : 2);
+        [this.analyserLeft, this.analyserRight] = this.fftEngine.channels;
+      } else {
+        this.analyserLeft = this.audioContext.createAnalyser();
+        this.analyserRight = this.audioContext.createAnalyser();
             
-      // === CONFIGURE SPECTROGRAM ANALYZER SETTINGS ===
-      // Set up the FFT parameters for both spectrogram analyzers
-      this.analyserLeft.fftSize = this.fftSize;                    // Number of samples for FFT
-      this.analyserRight.fftSize = this.fftSize;                   
-      this.analyserLeft.smoothingTimeConstant = 0.788;             // Smooth out fluctuations (UI shows 50)
-      this.analyserRight.smoothingTimeConstant = 0.788;
+        // === CONFIGURE SPECTROGRAM ANALYZER SETTINGS ===
+        // Set up the FFT parameters for both spectrogram analyzers
+        this.analyserLeft.fftSize = this.fftSize;                    // Number of samples for FFT
+        this.analyserRight.fftSize = this.fftSize;                   
+        this.analyserLeft.smoothingTimeConstant = 0.788;             // Smooth out fluctuations (UI shows 50)
+        this.analyserRight.smoothingTimeConstant = 0.788;
+      }
             
       // === CREATE DEDICATED METER ANALYZER NODES ===
       // These analyzers are independent of spectrogram FFT size for optimal meter performance
@@ -1459,16 +4273,18 @@ class StereoSpectrumAnalyzer {
         this.updateStatus('Mono input detected - duplicating to stereo...');
         this.updateChannelIndicator('Mono');                    // Update legend to show Mono
                 
-        // Build the signal chain: Input → Gain → Analyzers (both spectrogram and meters)
-        this.source.connect(this.gainNode);                     // Input feeds the gain node
-                
+        // Build the signal chain: Input → Gain → Input Bus → Analyzers (both spectrogram and meters)
         // Connect spectrogram analyzers
-        this.gainNode.connect(this.analyserLeft);               // Gain output to left spectrogram analyzer
-        this.gainNode.connect(this.analyserRight);              // Same gain output to right spectrogram analyzer
+        if (this.fftEngineTap) {
+          this.inputBus.connect(this.fftEngineTap);             // Bus output to the FFT engine (read for both sides)
+        } else {
+          this.inputBus.connect(this.analyserLeft);             // Bus output to left spectrogram analyzer
+          this.inputBus.connect(this.analyserRight);            // Same bus output to right spectrogram analyzer
+        }
                 
         // Connect meter analyzers (same signal to both)
-        this.gainNode.connect(this.meterAnalyserLeft);          // Gain output to left meter analyzer
-        this.gainNode.connect(this.meterAnalyserRight);         // Same gain output to right meter analyzer
+        this.inputBus.connect(this.meterAnalyserLeft);          // Bus output to left meter analyzer
+        this.inputBus.connect(this.meterAnalyserRight);         // Same bus output to right meter analyzer
                 
         // Note: No splitter needed for mono - same gained signal goes to all analyzers
       } else {
@@ -1481,41 +4297,105 @@ class StereoSpectrumAnalyzer {
         this.splitter = this.audioContext.createChannelSplitter(2);      // For spectrogram
         this.meterSplitter = this.audioContext.createChannelSplitter(2); // For meters
                 
+        // Create the M/S encoder (passes L/R through until M/S mode is enabled)
+        this.msEncoder = await this.createMidSideEncoder();
+        this.updateMidSideEncoder();
+                
         // === CONNECT THE AUDIO PROCESSING GRAPH ===
-        // Build the signal chain: Input → Gain → Splitters → Analyzers
-        //                                              ├─→ Spectrogram Splitter ──→ Left/Right Spectrogram Analyzers
-        //                         Input ──→ Gain ──→ ├
-        //                                              └─→ Meter Splitter ──────→ Left/Right Meter Analyzers
-        this.source.connect(this.gainNode);                     // Input feeds the gain node
+        // Build the signal chain: Input → Gain → Input Bus → M/S Encoder → Splitters → Analyzers
+        //                                                                     ├─→ Spectrogram Splitter ──→ Left/Right (or Mid/Side) Spectrogram Analyzers
+        //                         Input ──→ Gain ──→ Bus ──→ M/S Encoder ──→ ├
+        //                                                                     └─→ Meter Splitter ──────→ Left/Right (or Mid/Side) Meter Analyzers
+        this.inputBus.connect(this.msEncoder.input);            // Bus output feeds the M/S encoder
                 
         // Connect to both splitters
-        this.gainNode.connect(this.splitter);                   // Gain output feeds the spectrogram splitter
-        this.gainNode.connect(this.meterSplitter);              // Gain output also feeds the meter splitter
+        this.msEncoder.output.connect(this.splitter);           // Encoder output feeds the spectrogram splitter
+        this.msEncoder.output.connect(this.meterSplitter);      // Encoder output also feeds the meter splitter
                 
         // Connect spectrogram analyzers
-        this.splitter.connect(this.analyserLeft, 0);            // Left channel to left spectrogram analyzer
-        this.splitter.connect(this.analyserRight, 1);           // Right channel to right spectrogram analyzer
+        if (this.fftEngineTap) {
+          this.msEncoder.output.connect(this.fftEngineTap);     // Both encoder channels to the FFT engine
+        } else {
+          this.splitter.connect(this.analyserLeft, 0);          // Left channel to left spectrogram analyzer
+          this.splitter.connect(this.analyserRight, 1);         // Right channel to right spectrogram analyzer
+        }
                 
         // Connect meter analyzers
         this.meterSplitter.connect(this.meterAnalyserLeft, 0);  // Left channel to left meter analyzer
         this.meterSplitter.connect(this.meterAnalyserRight, 1); // Right channel to right meter analyzer
       }
             
+      // === CONNECT THE HARMONIC ANALYSER ===
+      // Longest AnalyserNode block of the left (or mid/mono) channel, windowed by the harmonic analysis itself
+      this.harmonicAnalyser = this.audioContext.createAnalyser();
+      this.harmonicAnalyser.fftSize = HarmonicAnalyzer.BLOCK_SIZE;
+      if (this.splitter) {
+        this.splitter.connect(this.harmonicAnalyser, 0);
+      } else {
+        this.inputBus.connect(this.harmonicAnalyser);
+      }
+            
+      // === CONNECT THE LOUDNESS METER ===
+      // Taps the input bus so loudness is always measured on L/R (or mono), never M/S.
+      // Integrated loudness continues from the previous run until the user resets it.
+      this.levelMeters.loudness.resetWindows();
+      this.goniometer.reset();
+      this.loudnessTap = await this.createLoudnessTap(this.isStereoInput ? 2 : 1);
+      this.inputBus.connect(this.loudnessTap);
+            
+      // === CONNECT THE TRANSFER FUNCTION ENGINE ===
+      // Needs two channels (reference + measurement) taken before the M/S encoder
+      if (this.isStereoInput) {
+        this.transferTap = await this.createTransferFunctionTap();
+        this.inputBus.connect(this.transferTap);
+      }
+            
+      // === CONNECT THE IMPULSE RESPONSE RECORDER ===
+      // Records the L/R (or mono) input for RT60 measurements, taken before the M/S encoder
+      this.impulseTap = await this.createImpulseResponseTap(this.isStereoInput ? 2 : 1);
+      this.inputBus.connect(this.impulseTap);
+            
+      // === CONNECT THE SOUND LEVEL METER ===
+      // Measures the left (or mono) input before the M/S encoder; statistics restart with each run
+      this.soundLevelTap = await this.createSoundLevelTap(this.isStereoInput ? 2 : 1);
+      this.inputBus.connect(this.soundLevelTap);
+      this.alarmMonitor.reset();
+      this.loadAlarmConfig();                                     // Alarm rules (evaluated once loaded)
+            
+      // === CONNECT THE PRE-TRIGGER RECORDER ===
+      // Keeps the last seconds of the post-gain input (L/R, before the M/S encoder)
+      this.recorderTap = await this.createRecorderTap(this.isStereoInput ? 2 : 1);
+      this.inputBus.connect(this.recorderTap);
+      this.updateRecorderControls();
+            
       // === START THE ANALYSIS LOOP ===
       this.isRunning = true;                                      // Set running flag
       this.levelMeters.initialize(this.meterAnalyserLeft, this.meterAnalyserRight); // Initialize level meters with dedicated analyzers
       this.animate();                                             // Start the drawing loop
+      if (this.fileMode) {
+        // Device calibrations do not apply to files: levels read in dBFS
+        this.splCalibration.setDevice('file', `File: ${this.filePlayer.name}`);
+        this.updateCalibrationControls();
+        this.filePlayer.play();
+      } else {
+        this.loadCalibration();                                   // SPL calibration of this device (applied once loaded)
+      }
             
       // === UPDATE USER INTERFACE ===
       document.getElementById('startBtn').disabled = true;        // Disable start button
       document.getElementById('stopBtn').disabled = false;        // Enable stop button
-      this.updateStatus('');                                      // Clear status message
+      if (this.fileMode) {
+        this.updateStatus(`Analysing ${this.filePlayer.name}`);
+      } else {
+        this.updateStatus(this.mediaStream ? '' : 'No input device - analysing generator loopback only');
+      }
+      this.updateFileTransport();
             
     } catch (error) {
       // === HANDLE ERRORS ===
       // Common causes: user denied microphone access, no microphone available
       console.error('Error starting analyzer:', error);
-      this.updateStatus('Error: Could not access microphone');
+      this.updateStatus(this.fileMode ? 'Error: Could not play the audio file' : 'Error: Could not access microphone');
     }
   }
     
@@ -1539,6 +4419,12 @@ class StereoSpectrumAnalyzer {
       this.mediaStream.getTracks().forEach(track => track.stop());
     }
         
+    // === SILENCE THE GENERATOR AND FILE PLAYBACK ===
+    // Mute-on-stop: the generator never keeps playing without the analyzer
+    this.signalGenerator.detach();
+    this.updateGeneratorButton();
+    this.filePlayer.detach();                          // File playback pauses at its current position
+        
     // === CLOSE AUDIO CONTEXT ===
     // Clean up the Web Audio API context and free system resources
     if (this.audioContext) {
@@ -1551,12 +4437,40 @@ class StereoSpectrumAnalyzer {
     this.mediaStream = null;                           // Microphone stream
     this.source = null;                                // Audio source node
     this.gainNode = null;                              // Gain node for volume adjustment
+    this.inputBus = null;                              // Input bus (gain output + generator loopback)
     this.splitter = null;                              // Channel splitter node for spectrogram (null for mono inputs)
     this.analyserLeft = null;                          // Left channel spectrogram analyzer
     this.analyserRight = null;                         // Right channel spectrogram analyzer
+    this.fftEngineTap = null;                          // Custom FFT engine node
+    this.fftEngine.attachProcessor(null);
     this.meterSplitter = null;                         // Channel splitter node for meters (null for mono inputs)
     this.meterAnalyserLeft = null;                     // Left channel meter analyzer
     this.meterAnalyserRight = null;                    // Right channel meter analyzer
+    this.msEncoder = null;                             // M/S encoder (worklet or gain matrix)
+    this.harmonicAnalyser = null;                      // Harmonic analysis block
+    this.harmonics.result = null;
+    this.loudnessTap = null;                           // Loudness block tap (integrated loudness is kept until reset)
+    this.transferTap = null;                           // Transfer function engine node
+    this.transferFunction.attachEngine(null, this.transferFunction.sampleRate);
+    this.impulseTap = null;                            // Impulse response recorder node (cancels any capture)
+    this.impulseResponse.attachRecorder(null, this.impulseResponse.sampleRate);
+    this.updateImpulseResponseControls();
+    this.soundLevelTap = null;                         // Sound level meter detectors (statistics stay on screen)
+    this.soundLevelMeter.attachAccumulator(null);
+    this.levelLogger.reset();                          // Discard the partial log interval
+    this.postLevelLog();                               // Send any summaries still queued
+    this.raisedAlarms.clear();                         // A shown alarm banner stays until dismissed
+    if (this.feedback.candidates.length > 0) {
+      this.feedback.reset();                           // Other clients stop showing the candidates
+      this.reportFeedback();
+    }
+    this.recorderTap = null;                           // Pre-trigger buffer (cancels a capture in progress)
+    this.audioRecorder.attachRecorder(null, this.audioRecorder.sampleRate);
+    this.updateRecorderControls();
+    this.splCalibration.cancel();                      // Abort a running calibrator measurement
+    this.finishRoomModeCapture(false);                 // Restores the FFT size and hold mode
+    this.updateCalibrationControls();
+    this.updateFileTransport();
         
     // === UPDATE USER INTERFACE ===
     document.getElementById('startBtn').disabled = false;   // Enable start button
@@ -1583,6 +4497,9 @@ class StereoSpectrumAnalyzer {
       }
     });
         
+    // === CLEAR WATERFALL HISTORY ===
+    this.waterfall.reset();
+        
     // === CLEAR DISPLAY ===
     // Clear the entire canvas and redraw just the static elements (grid, labels)
     this.ctx.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
@@ -1623,40 +4540,14 @@ class StereoSpectrumAnalyzer {
     this.analyserLeft.getFloatFrequencyData(dataLeft);       // Fill array with left channel spectrum (dB)
     this.analyserRight.getFloatFrequencyData(dataRight);     // Fill array with right channel spectrum (dB)
     
-    // === APPLY MID-SIDE ENCODING TO FREQUENCY DATA IF ENABLED ===
-    // M/S encoding can be applied in frequency domain since both FFT and M/S are linear transforms
-    // For simplicity in frequency domain with magnitude-only data:
-    // Mid power ≈ (L power + R power) / 2, Side power ≈ (L power + R power) / 2
-    // This is an approximation that works reasonably well for visualization
-    if (this.midSideModeEnabled && this.isStereoInput) {
-      // Create temp arrays for M and S
-      const dataMid = new Float32Array(dataLeft.length);
-      const dataSide = new Float32Array(dataLeft.length);
-      
-      for (let i = 0; i < dataLeft.length; i++) {
-        // Convert dB to linear power
-        const powerL = Math.pow(10, dataLeft[i] / 10);
-        const powerR = Math.pow(10, dataRight[i] / 10);
-        
-        // Approximate M and S power in frequency domain
-        // For perfectly correlated signals (L=R): all energy in M, none in S
-        // For perfectly uncorrelated signals: energy split between M and S
-        // For anti-phase (L=-R): all energy in S, none in M
-        // Simple approximation: average the powers for visualization
-        const powerM = (powerL + powerR) / 2;
-        const powerS = Math.abs(powerL - powerR) / 2;
-        
-        // Convert back to dB
-        dataMid[i] = powerM > 0 ? 10 * Math.log10(powerM) : -Infinity;
-        dataSide[i] = powerS > 0 ? 10 * Math.log10(powerS) : -Infinity;
-      }
-      
-      // Replace dataLeft and dataRight with Mid and Side for display
-      for (let i = 0; i < dataLeft.length; i++) {
-        dataLeft[i] = dataMid[i];
-        dataRight[i] = dataSide[i];
-      }
-    }
+    // === APPLY MICROPHONE CORRECTION ===
+    // Frequency-dependent correction from an imported mic calibration file (no-op without one)
+    const sampleRate = this.audioContext.sampleRate;
+    this.splCalibration.applyCorrection(dataLeft, sampleRate);
+    this.splCalibration.applyCorrection(dataRight, sampleRate);
+    
+    // In M/S mode the analysers are fed by the M/S encoder in the audio graph,
+    // so dataLeft/dataRight already hold the true Mid and Side spectra
         
     // === UPDATE HELD AMPLITUDES (IF HOLD MODE IS ACTIVE) ===
     // Track maximum amplitude values for visual hold mode
@@ -1678,21 +4569,42 @@ class StereoSpectrumAnalyzer {
     this.meterAnalyserLeft.getFloatTimeDomainData(timeDataLeft);    // Fill array with left channel waveform
     this.meterAnalyserRight.getFloatTimeDomainData(timeDataRight);  // Fill array with right channel waveform
     
-    // === APPLY MID-SIDE ENCODING IF ENABLED ===
-    // Convert L/R to Mid/Side if M/S mode is active and we have stereo input
-    let meterDataLeft = timeDataLeft;
-    let meterDataRight = timeDataRight;
+    // === UPDATE LEVEL METERS ===
+    // Calculate peak and RMS levels from the time domain data (L/R or M/S depending on mode);
+    // RMS meters get the broadband share of the mic correction and read dB SPL once calibrated
+    this.levelMeters.setCalibration(
+      this.splCalibration.isCalibrated() ? this.splCalibration.getOffset() : null,
+      this.splCalibration.getBroadbandCorrection(dataLeft, sampleRate),
+      this.splCalibration.getBroadbandCorrection(dataRight, sampleRate)
+    );
+    this.levelMeters.updateLevels(timeDataLeft, timeDataRight);
+    this.splCalibration.addFrame(timeDataLeft, dataLeft, sampleRate);  // Running calibrator measurement (if any)
+    this.tuner.update(timeDataLeft, sampleRate);                       // Pitch of the left (or mid) channel (if enabled)
+    this.updateFeedback(dataLeft, this.isStereoInput ? dataRight : null, sampleRate);
     
-    if (this.midSideModeEnabled && this.isStereoInput && this.msProcessor) {
-      // Encode stereo L/R to Mid/Side
-      const msData = this.msProcessor.encodeMidSide(timeDataLeft, timeDataRight);
-      meterDataLeft = msData.mid;   // Mid replaces Left for meter display
-      meterDataRight = msData.side; // Side replaces Right for meter display
+    // === LONG-TERM LEVEL LOG ===
+    // Logged on L/R (M/S frames are decoded); each completed summary is posted to the server.
+    // Audio files are not logged: the history is a record of the live input.
+    const midSideScale = this.midSideModeEnabled && this.isStereoInput ? (this.msEnergyPreserving ? Math.SQRT1_2 : 1) : null;
+    if (!this.fileMode && this.levelLogger.addFrame(timeDataLeft, this.isStereoInput ? timeDataRight : null, midSideScale,
+      this.levelMeters.loudness.getMomentary())) {
+      this.postLevelLog();
+    }
+    this.bandCorrelation.update(timeDataLeft, timeDataRight, this.midSideModeEnabled && this.isStereoInput);
+    
+    // === THRESHOLD ALARMS ===
+    // Sound level rules are evaluated on the sound level meter blocks (handleSoundLevelBlock)
+    this.alarmMonitor.addFrame({
+      peak: AlarmMonitor.peakLevel(timeDataLeft, this.isStereoInput ? timeDataRight : null, midSideScale),
+      shortTerm: this.levelMeters.loudness.getShortTerm(),
+      correlation: this.isStereoInput ? this.levelMeters.correlationLevel : null
+    }, Date.now());
+    
+    // === FILE TRANSPORT ===
+    // Playback position shown while the File tab is open
+    if (this.fileMode && document.getElementById('file-page')?.classList.contains('active')) {
+      this.updateFileTransport();
     }
-        
-    // === UPDATE LEVEL METERS ===
-    // Calculate peak and RMS levels from the time domain data (L/R or M/S depending on mode)
-    this.levelMeters.updateLevels(meterDataLeft, meterDataRight);
         
     // === CLEAR DRAWING AREAS ===
     // Clear the entire canvas to remove old rulers and labels
@@ -1704,21 +4616,90 @@ class StereoSpectrumAnalyzer {
     // Draw the frequency and amplitude grid lines
     this.drawGrid();
         
-    // === DRAW SPECTRUM LINES ===
-    // Draw the frequency response curves for both channels with blending
-    this.drawSpectrum(dataLeft, dataRight);                   // Both channels with white blending for overlaps
-        
-    // Ensure alpha is reset to full opacity for other drawing operations
-    this.ctx.globalAlpha = 1.0;
+    if (this.viewMode === 'waterfall') {
+      // === DRAW WATERFALL ===
+      // Add the current frame to the scrolling history and draw the heatmap
+      this.waterfall.update(dataLeft, dataRight);
+      this.waterfall.draw();
+    } else if (this.viewMode === 'transfer') {
+      // === DRAW TRANSFER FUNCTION ===
+      // Hold tracks the response like the spectrum hold; freeze buttons overlay their captures
+      this.transferFunction.updateHeld(this.holdModeEnabled ? this.holdButtonMode : null, this.averageSmoothingFactor);
+      this.transferFunction.draw(this.getTransferFreezeTraces());
+    } else if (this.viewMode === 'deviation') {
+      // === DRAW TARGET DEVIATION ===
+      // Measured (held or averaged while Hold is on) minus the selected target curve
+      this.updateTargetCurve(dataLeft, dataRight);
+      this.targetCurve.draw();
+    } else if (this.viewMode === 'impulse') {
+      // === DRAW IMPULSE RESPONSE ===
+      // Last measured response with its Schroeder decay curve and reverberation times
+      this.impulseResponse.draw();
+    } else if (this.viewMode === 'slm') {
+      // === DRAW SOUND LEVEL METER ===
+      // Big-number level display, in dB SPL once the input is calibrated
+      this.soundLevelMeter.draw(this.splCalibration.getOffset());
+    } else {
+      // === DRAW SPECTRUM LINES ===
+      // Draw the frequency response curves for both channels with blending
+      this.drawSpectrum(dataLeft, dataRight);                 // Both channels with white blending for overlaps
+          
+      // Ensure alpha is reset to full opacity for other drawing operations
+      this.ctx.globalAlpha = 1.0;
+          
+      // === DRAW FREEZE LINES ===
+      // Draw all active freeze lines as overlays
+      this.drawFreezeLines();
+      
+      // === DRAW TARGET CURVE ===
+      // Selected target curve with its tolerance band, aligned to the measured level
+      if (this.targetCurve.curve) {
+        this.updateTargetCurve(dataLeft, dataRight);
+        this.targetCurve.drawOverlay(this.amplitudeCalibrationDB + this.getLevelOffset());
+      }
+      
+      // === DRAW MARKERS ===
+      // Numbered markers read the displayed trace (the held one while Hold is on)
+      if (this.markers.markers.length > 0) {
+        this.updateMarkers(dataLeft, dataRight);
+        this.drawMarkers();
+      }
+      
+      // === DRAW HARMONIC MARKERS ===
+      // Fundamental and harmonics found by the harmonic analysis, marked on the left (or mid) trace
+      if (this.harmonics.enabled) {
+        this.harmonics.update(this.harmonicAnalyser, sampleRate);
+        this.drawHarmonicMarkers(dataLeft);
+      }
+      
+      // === DRAW FEEDBACK MARKERS ===
+      // Howl candidates with their suggested EQ cut
+      if (this.feedback.enabled) {
+        this.drawFeedbackMarkers();
+      }
+    }
         
-    // === DRAW FREEZE LINES ===
-    // Draw all active freeze lines as overlays
-    this.drawFreezeLines();
+    // === DRAW GONIOMETER ===
+    // Stereo vectorscope from the same time-domain data as the meters (already M/S in Mid-Side mode)
+    this.goniometer.draw(timeDataLeft, timeDataRight, midSideScale);
+    this.bandCorrelation.draw();
         
     // === DRAW LEVEL METERS ===
     // Draw all four level meters (peak left, RMS left, RMS right, peak right)
     this.levelMeters.drawAllMeters();
         
+    // === DRAW HARMONIC ANALYSIS PANEL ===
+    // THD, THD+N and SINAD of the detected fundamental (spectrum view only)
+    if (this.harmonics.enabled && this.viewMode === 'spectrum') {
+      this.drawHarmonicInfo();
+    }
+        
+    // === DRAW TUNER PANEL ===
+    // Note, octave and cents of the detected pitch (frequency views only)
+    if (this.tuner.enabled && (this.viewMode === 'spectrum' || this.viewMode === 'waterfall')) {
+      this.drawTunerInfo();
+    }
+        
     // === DRAW CLICK POINT INFORMATION ===
     // Draw the interactive frequency/amplitude display if active
     if (this.showClickInfo && this.clickPoint) {
@@ -1768,7 +4749,10 @@ class StereoSpectrumAnalyzer {
      * @param {Float32Array} dataRight - FFT frequency data for right channel (dB values)
      */
   drawSpectrumWithMode(dataLeft, dataRight) {
-    if (this.pixelAveragingEnabled) {
+    if (this.drawMode === 'rta') {
+      // === FRACTIONAL-OCTAVE RTA MODE ===
+      this.drawSpectrumRTA(dataLeft, dataRight);
+    } else if (this.pixelAveragingEnabled) {
       // === PIXEL-BASED AVERAGING MODE ===
       if (this.overlappingEnabled) {
         this.drawSpectrumPixelAveragedWithOverlapping(dataLeft, dataRight);
@@ -1891,7 +4875,7 @@ class StereoSpectrumAnalyzer {
       return;
     }
         
-    const sampleRate = this.audioContext.sampleRate;          // Get sample rate (44100 Hz)
+    const sampleRate = this.audioContext.sampleRate;          // Get sample rate (device native rate)
         
     // === COLLECT ALL POINTS WITH OVERLAP INFORMATION ===
     const allPoints = [];
@@ -2028,6 +5012,79 @@ class StereoSpectrumAnalyzer {
     this.drawDynamicColoredLines(pixelData);
   }
     
+  /**
+     * Draws the spectrum as fractional-octave RTA bars
+     * FFT bin power is integrated into bands (see OctaveBandAnalyzer); each band is drawn as a bar
+     * spanning its band edges. Stereo inputs show L/R (or M/S) side by side within each band, or a
+     * single white bar when overlap detection is enabled and both channels are within tolerance.
+     * 
+     * @param {Float32Array} dataLeft - FFT frequency data for left channel (dB values)
+     * @param {Float32Array} dataRight - FFT frequency data for right channel (dB values)
+     */
+  drawSpectrumRTA(dataLeft, dataRight) {
+    const sampleRate = this.audioContext.sampleRate;
+    const bands = this.octaveBands.getBands(this.minFreq, this.maxFreq);
+    const levelsLeft = this.octaveBands.integrate(dataLeft, sampleRate, bands);
+    const levelsRight = this.isStereoInput ? this.octaveBands.integrate(dataRight, sampleRate, bands) : null;
+        
+    for (let b = 0; b < bands.length; b++) {
+      const xStart = Math.max(this.plotLeft, this.frequencyToPixel(bands[b].lower)) + 1;
+      const xEnd = Math.min(this.plotRight, this.frequencyToPixel(bands[b].upper)) - 1;
+      const width = xEnd - xStart;
+      if (width <= 0) continue;
+          
+      // === MONO INPUT: ONE ORANGE BAR PER BAND ===
+      if (!levelsRight) {
+        this.drawRTABar(xStart, width, levelsLeft[b], '#ffaa00');
+        continue;
+      }
+          
+      // === OVERLAPPING CHANNELS: ONE WHITE BAR ===
+      if (this.overlappingEnabled && Math.abs(levelsLeft[b] - levelsRight[b]) <= this.overlapToleranceDB) {
+        this.drawRTABar(xStart, width, Math.max(levelsLeft[b], levelsRight[b]), '#ffffff');
+        continue;
+      }
+          
+      // === STEREO: LEFT (GREEN) AND RIGHT (BLUE) HALVES ===
+      this.drawRTABar(xStart, width / 2, levelsLeft[b], '#00ff00');
+      this.drawRTABar(xStart + width / 2, width / 2, levelsRight[b], '#0080ff');
+    }
+  }
+    
+  /**
+     * Draws one RTA bar from the bottom of the plot up to a band level
+     * @param {number} x - Left edge of the bar in pixels
+     * @param {number} width - Bar width in pixels
+     * @param {number} levelDB - Band level in dB (before calibration)
+     * @param {string} color - Fill colour
+     */
+  drawRTABar(x, width, levelDB, color) {
+    const y = this.amplitudeToPixel(levelDB);
+    if (y >= this.plotBottom) return;          // Band is at or below the display floor
+        
+    this.ctx.fillStyle = color;
+    this.ctx.fillRect(x, y, width, this.plotBottom - y);
+  }
+    
+  /**
+     * Converts a frequency to an X coordinate using the logarithmic frequency axis
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} X coordinate in pixels
+     */
+  frequencyToPixel(frequency) {
+    return this.plotLeft + (Math.log10(frequency / this.minFreq) / Math.log10(this.maxFreq / this.minFreq)) * this.plotWidth;
+  }
+    
+  /**
+     * Converts an uncalibrated dB value to a Y coordinate (applies calibration and clamps to the display range)
+     * @param {number} levelDB - Level in dB as reported by the analyser
+     * @returns {number} Y coordinate in pixels
+     */
+  amplitudeToPixel(levelDB) {
+    const dbValue = Math.max(this.adjustableMinDB, Math.min(this.maxDB, levelDB + this.amplitudeCalibrationDB));
+    return this.plotBottom - ((dbValue - this.adjustableMinDB) / (this.maxDB - this.adjustableMinDB)) * this.plotHeight;
+  }
+    
   /**
      * Generates pixel-averaged FFT data by averaging FFT bins that fall within each pixel column
      * This reduces visual noise at high frequencies where many bins map to few pixels
@@ -2519,30 +5576,45 @@ class StereoSpectrumAnalyzer {
      * Creates a professional oscilloscope-like appearance with frequency and amplitude references
      */
   drawGrid() {
+    // The impulse response view has a time axis and draws its own grid; the sound level meter has none
+    if (this.viewMode === 'impulse' || this.viewMode === 'slm') {
+      return;
+    }
+        
     // === GRID APPEARANCE SETTINGS ===
     this.ctx.strokeStyle = '#333';                            // Dark gray grid lines (subtle)
     this.ctx.lineWidth = 1;                                   // Thin lines for minimal visual impact
         
     // === VERTICAL GRID LINES (FREQUENCY REFERENCE) ===
     // Draw lines at musically/acoustically significant frequencies
-    const freqSteps = [30, 50, 100, 200, 300, 500, 800, 1000, 1500, 2000, 3000, 5000, 8000, 10000, 15000]; // Key frequencies in Hz
-    freqSteps.forEach(freq => {
-      // Only draw lines for frequencies within our display range
-      if (freq >= this.minFreq && freq <= this.maxFreq) {
-        // Convert frequency to x-coordinate using logarithmic scaling
-        const x = this.plotLeft + (Math.log10(freq / this.minFreq) / Math.log10(this.maxFreq / this.minFreq)) * this.plotWidth;
+    if (this.usesNoteGrid()) {
+      this.drawNoteGrid();                                    // Semitone lines instead of the fixed frequencies
+    } else {
+      const freqSteps = [30, 50, 100, 200, 300, 500, 800, 1000, 1500, 2000, 3000, 5000, 8000, 10000, 15000]; // Key frequencies in Hz
+      freqSteps.forEach(freq => {
+        // Only draw lines for frequencies within our display range
+        if (freq >= this.minFreq && freq <= this.maxFreq) {
+          // Convert frequency to x-coordinate using logarithmic scaling
+          const x = this.plotLeft + (Math.log10(freq / this.minFreq) / Math.log10(this.maxFreq / this.minFreq)) * this.plotWidth;
                 
-        // Draw vertical line from top to bottom of plot area
-        this.ctx.beginPath();
-        this.ctx.moveTo(x, this.plotTop);
-        this.ctx.lineTo(x, this.plotBottom);
-        this.ctx.stroke();
-      }
-    });
+          // Draw vertical line from top to bottom of plot area
+          this.ctx.beginPath();
+          this.ctx.moveTo(x, this.plotTop);
+          this.ctx.lineTo(x, this.plotBottom);
+          this.ctx.stroke();
+        }
+      });
+    }
         
     // === HORIZONTAL GRID LINES (dB REFERENCE) ===
+    // The waterfall's vertical axis is time, so dB grid lines only apply to the line spectrum
+    // (the transfer function and target deviation views draw their own grids)
+    if (this.viewMode === 'waterfall' || this.viewMode === 'transfer' || this.viewMode === 'deviation') {
+      return;
+    }
+        
     // Draw lines at 10 dB intervals for amplitude reference (matches ruler spacing)
-    for (let dB = this.adjustableMinDB; dB <= this.maxDB; dB += 10) {
+    this.getLevelGridLines().forEach(({ dB }) => {
       // Convert dB value to y-coordinate using adjustable range
       const y = this.plotBottom - ((dB - this.adjustableMinDB) / (this.maxDB - this.adjustableMinDB)) * this.plotHeight;
             
@@ -2551,7 +5623,7 @@ class StereoSpectrumAnalyzer {
       this.ctx.moveTo(this.plotLeft, y);
       this.ctx.lineTo(this.plotRight, y);
       this.ctx.stroke();
-    }
+    });
   }
     
   /**
@@ -2574,10 +5646,65 @@ class StereoSpectrumAnalyzer {
     this.ctx.textAlign = 'center';                            // Center text on frequency markers
     this.ctx.textBaseline = 'top';                            // Align text top edge
         
+    // === TIME/LEVEL RULER (IMPULSE RESPONSE VIEW) ===
+    if (this.viewMode === 'impulse') {
+      this.impulseResponse.drawRuler();
+      return;
+    }
+    if (this.viewMode === 'slm') {
+      return;
+    }
+        
     // === FREQUENCY RULER (BOTTOM OF SPECTRUM) ===
-    // Display frequency values along the bottom edge
-    const freqLabels = [20, 30, 50, 100, 200, 300, 500, 800, '1k', '1.5k', '2k', '3k', '5k', '8k', '10k', '15k', '20k']; // User-friendly labels
-    const freqValues = [20, 30, 50, 100, 200, 300, 500, 800, 1000, 1500, 2000, 3000, 5000, 8000, 10000, 15000, 20000];  // Actual Hz values
+    // In RTA mode label the band centre frequencies instead of the fixed frequency list
+    if (this.drawMode === 'rta' && this.viewMode !== 'waterfall') {
+      this.drawRTABandLabels();
+    } else if (this.usesNoteGrid()) {
+      this.drawNoteLabels();
+    } else {
+      this.drawFrequencyLabels();
+    }
+        
+    // === TIME RULER (WATERFALL VIEW) ===
+    // In waterfall view the left edge shows history age instead of amplitude
+    if (this.viewMode === 'waterfall') {
+      this.waterfall.drawTimeRuler();
+      return;
+    }
+        
+    // === MAGNITUDE/PHASE RULER (TRANSFER FUNCTION VIEW) ===
+    if (this.viewMode === 'transfer') {
+      this.transferFunction.drawRuler();
+      return;
+    }
+        
+    // === DEVIATION RULER (TARGET DEVIATION VIEW) ===
+    if (this.viewMode === 'deviation') {
+      this.targetCurve.drawRuler();
+      return;
+    }
+        
+    // === dB RULER (LEFT SIDE OF SPECTRUM) ===
+    // Display amplitude values along the left edge
+    this.ctx.textAlign = 'right';                             // Right-align text to plot edge
+    this.ctx.textBaseline = 'middle';                         // Center text vertically on dB lines
+        
+    // Draw dB values at 10 dB intervals for better granularity
+    // Use 10 dB intervals for the adjustable range to 0 dB (round dB SPL values when calibrated)
+    this.getLevelGridLines().forEach(({ dB, label }) => {
+      // Convert dB value to y-coordinate using adjustable range
+      const y = this.plotBottom - ((dB - this.adjustableMinDB) / (this.maxDB - this.adjustableMinDB)) * this.plotHeight;
+      // Draw label to the left of the spectrum plot
+      this.ctx.fillText(label, this.plotLeft - 2, y);
+    });
+  }
+    
+  /**
+     * Draws the fixed frequency labels along the bottom edge of the plot
+     */
+  drawFrequencyLabels() {
+    const freqLabels = [20, 30, 50, 100, 200, 300, 500, 800, '1k', '1.5k', '2k', '3k', '5k', '8k', '10k', '15k', '20k', '30k', '40k']; // User-friendly labels
+    const freqValues = [20, 30, 50, 100, 200, 300, 500, 800, 1000, 1500, 2000, 3000, 5000, 8000, 10000, 15000, 20000, 30000, 40000];  // Actual Hz values
         
     freqLabels.forEach((label, i) => {
       const freq = freqValues[i];
@@ -2589,19 +5716,87 @@ class StereoSpectrumAnalyzer {
         this.ctx.fillText(label.toString(), x, this.plotBottom + 10);
       }
     });
+  }
+    
+  /**
+     * Draws nominal band centre frequencies along the bottom edge of the plot (RTA mode)
+     * Labels that would overlap the previous one are skipped, so finer resolutions stay readable
+     */
+  drawRTABandLabels() {
+    const bands = this.octaveBands.getBands(this.minFreq, this.maxFreq);
+    let lastLabelRight = -Infinity;
+        
+    bands.forEach(band => {
+      const label = this.octaveBands.formatLabel(band.nominal);
+      const x = this.frequencyToPixel(band.center);
+      const halfWidth = this.ctx.measureText(label).width / 2;
+            
+      if (x - halfWidth < lastLabelRight + 4) return;        // Too close to the previous label
+            
+      this.ctx.fillText(label, x, this.plotBottom + 10);
+      lastLabelRight = x + halfWidth;
+    });
+  }
+    
+  /**
+   * Whether the note grid replaces the Hz grid and ruler (RTA bars keep their band labels)
+   * @returns {boolean} True when the note grid is drawn
+   */
+  usesNoteGrid() {
+    return this.tuner.noteGrid && !(this.drawMode === 'rta' && this.viewMode !== 'waterfall');
+  }
+  
+  /**
+   * Draws a vertical grid line per semitone, brighter at each C
+   * Semitone lines are left out when they would be too close together
+   */
+  drawNoteGrid() {
+    const referenceA4 = this.tuner.referenceA4;
+    const first = Math.ceil(69 + 12 * Math.log2(this.minFreq / referenceA4));
+    const last = Math.floor(69 + 12 * Math.log2(this.maxFreq / referenceA4));
+    const semitoneWidth = this.plotWidth / (12 * Math.log2(this.maxFreq / this.minFreq));
+        
+    for (let midi = first; midi <= last; midi++) {
+      const isC = midi % 12 === 0;
+      if (!isC && semitoneWidth < 6) continue;
+      const x = this.frequencyToPixel(PitchTuner.noteFrequency(midi, referenceA4));
+      this.ctx.strokeStyle = isC ? '#444' : '#262626';
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, this.plotTop);
+      this.ctx.lineTo(x, this.plotBottom);
+      this.ctx.stroke();
+    }
+    this.ctx.strokeStyle = '#333';
+  }
+  
+  /**
+   * Draws a piano keyboard strip and the C note names along the bottom edge of the plot
+   * Each key spans its semitone (±50 cents) on the frequency axis.
+   */
+  drawNoteLabels() {
+    const referenceA4 = this.tuner.referenceA4;
+    const first = Math.round(69 + 12 * Math.log2(this.minFreq / referenceA4));
+    const last = Math.round(69 + 12 * Math.log2(this.maxFreq / referenceA4));
+    const textColor = this.ctx.fillStyle;
+        
+    // === PIANO KEYS ===
+    for (let midi = first; midi <= last; midi++) {
+      const left = Math.max(this.plotLeft, this.frequencyToPixel(PitchTuner.noteFrequency(midi - 0.5, referenceA4)));
+      const right = Math.min(this.plotRight, this.frequencyToPixel(PitchTuner.noteFrequency(midi + 0.5, referenceA4)));
+      this.ctx.fillStyle = PitchTuner.isBlackKey(midi) ? '#333' : '#bbb';
+      this.ctx.fillRect(left, this.plotBottom + 1, Math.max(1, right - left - 1), 8);
+    }
         
-    // === dB RULER (LEFT SIDE OF SPECTRUM) ===
-    // Display amplitude values along the left edge
-    this.ctx.textAlign = 'right';                             // Right-align text to plot edge
-    this.ctx.textBaseline = 'middle';                         // Center text vertically on dB lines
-        
-    // Draw dB values at 10 dB intervals for better granularity
-    // Use 10 dB intervals for the adjustable range to 0 dB
-    for (let dB = this.adjustableMinDB; dB <= this.maxDB; dB += 10) {
-      // Convert dB value to y-coordinate using adjustable range
-      const y = this.plotBottom - ((dB - this.adjustableMinDB) / (this.maxDB - this.adjustableMinDB)) * this.plotHeight;
-      // Draw label to the left of the spectrum plot
-      this.ctx.fillText(dB.toString(), this.plotLeft - 2, y);
+    // === OCTAVE LABELS (C1, C2, ...) ===
+    this.ctx.fillStyle = textColor;
+    let lastLabelRight = -Infinity;
+    for (let midi = Math.ceil(first / 12) * 12; midi <= last; midi += 12) {
+      const label = PitchTuner.formatNote({ name: 'C', octave: midi / 12 - 1 });
+      const x = this.frequencyToPixel(PitchTuner.noteFrequency(midi, referenceA4));
+      const halfWidth = this.ctx.measureText(label).width / 2;
+      if (x < this.plotLeft || x - halfWidth < lastLabelRight + 4) continue;
+      this.ctx.fillText(label, x, this.plotBottom + 10);
+      lastLabelRight = x + halfWidth;
     }
   }
     
@@ -2653,12 +5848,17 @@ class StereoSpectrumAnalyzer {
     } else {
       freqText = `${this.clickPoint.frequency}Hz`;
     }
+    if (this.tuner.noteGrid && this.clickPoint.frequency > 0) {
+      const note = PitchTuner.noteFromFrequency(this.clickPoint.frequency, this.tuner.referenceA4);
+      freqText += ` (${PitchTuner.formatNote(note)} ${PitchTuner.formatCents(note.cents)})`;
+    }
         
-    // Format amplitude display
-    const ampText = `${this.clickPoint.amplitude}dB`;
+    // Format amplitude display (no amplitude when a waterfall cell has no data yet)
+    const ampText = this.clickPoint.amplitude === null ? null :
+      `${this.clickPoint.amplitude}dB${this.clickPoint.phase === undefined ? '' : ` ${this.clickPoint.phase}°`}`;
         
     // Combine into display text
-    const displayText = `${freqText}, ${ampText}`;
+    const displayText = ampText === null ? freqText : `${freqText}, ${ampText}`;
         
     // === CONFIGURE TEXT APPEARANCE ===
     this.ctx.fillStyle = '#ffffff';                           // White text for visibility
@@ -2710,28 +5910,402 @@ class StereoSpectrumAnalyzer {
     // Draw close button border
     this.ctx.strokeStyle = '#ffffff';
     this.ctx.lineWidth = 1;
-    this.ctx.strokeRect(closeX, closeY, closeSize, closeSize);
+    this.ctx.strokeRect(closeX, closeY, closeSize, closeSize);
+        
+    // Draw the X symbol
+    this.ctx.strokeStyle = '#ffffff';
+    this.ctx.lineWidth = isLarge ? 3 : 2;                     // Thicker X for larger button
+    const xPadding = isLarge ? 3 : 2;                         // Proportional padding
+    this.ctx.beginPath();
+    this.ctx.moveTo(closeX + xPadding, closeY + xPadding);
+    this.ctx.lineTo(closeX + closeSize - xPadding, closeY + closeSize - xPadding);
+    this.ctx.moveTo(closeX + closeSize - xPadding, closeY + xPadding);
+    this.ctx.lineTo(closeX + xPadding, closeY + closeSize - xPadding);
+    this.ctx.stroke();
+        
+    // === STORE DISPLAY INFORMATION FOR CLICK DETECTION ===
+    this.clickPoint.displayX = displayX;
+    this.clickPoint.displayY = displayY;
+    this.clickPoint.textWidth = textWidth;
+    this.clickPoint.closeX = closeX;
+    this.clickPoint.closeY = closeY;
+    this.clickPoint.closeSize = closeSize;
+  }
+  
+  /**
+   * Removes the marker next to a click, or places a new marker at the clicked frequency
+   * (moved to the highest bin within HIT_RADIUS pixels when snap to peak is on)
+   * @param {number} clickX - Canvas x coordinate of the click
+   */
+  handleMarkerClick(clickX) {
+    const radius = SpectrumMarkers.HIT_RADIUS;
+    const hit = this.markers.markers.find((marker) => Math.abs(this.frequencyToPixel(marker.frequency) - clickX) <= radius);
+    if (hit) {
+      this.markers.remove(hit.id);
+    } else if (!this.markers.add(this.pixelToFrequency(clickX),
+      this.pixelToFrequency(Math.max(this.plotLeft, clickX - radius)), this.pixelToFrequency(Math.min(this.plotRight, clickX + radius)))) {
+      this.updateStatus(`Markers: all ${SpectrumMarkers.MAX_MARKERS} markers are placed - click a marker to remove it`);
+      return;
+    }
+    this.markersChanged();
+  }
+  
+  /**
+   * Stores the markers for the session and lists them again after markers were placed,
+   * removed or changed
+   */
+  markersChanged() {
+    this.saveMarkers();
+    this.renderMarkerList();
+  }
+  
+  /**
+   * Keeps the markers in sessionStorage, so they survive a reload of the page
+   */
+  saveMarkers() {
+    try {
+      sessionStorage.setItem(SpectrumMarkers.STORAGE_KEY, JSON.stringify(this.markers.toJSON()));
+    } catch (error) {
+      console.warn('Could not store markers for the session:', error);
+    }
+  }
+  
+  /**
+   * Restores the markers of this browser session
+   */
+  restoreMarkers() {
+    try {
+      const saved = typeof sessionStorage !== 'undefined' ? sessionStorage.getItem(SpectrumMarkers.STORAGE_KEY) : null;
+      if (saved) {
+        this.markers.restore(JSON.parse(saved));
+      }
+    } catch (error) {
+      console.warn('Could not restore markers from the session:', error);
+    }
+  }
+  
+  /**
+   * Reads the marker levels from the displayed trace: the held (peak or average) trace while
+   * Hold is on, otherwise the live spectrum. The Markers tab readouts are refreshed every
+   * READOUT_INTERVAL (tracking markers are stored for the session at the same time).
+   * @param {Float32Array} dataLeft - Live FFT data for the left channel (dB values)
+   * @param {Float32Array} dataRight - Live FFT data for the right channel (dB values)
+   */
+  updateMarkers(dataLeft, dataRight) {
+    const held = this.holdModeEnabled && this.heldAmplitudesLeft && this.heldAmplitudesRight;
+    this.markers.update(held ? this.heldAmplitudesLeft : dataLeft, held ? this.heldAmplitudesRight : dataRight,
+      this.audioContext.sampleRate, this.amplitudeCalibrationDB + this.getLevelOffset());
+    
+    const now = Date.now();
+    if (now - this.markerReadoutTime >= SpectrumMarkers.READOUT_INTERVAL) {
+      this.markerReadoutTime = now;
+      this.updateMarkerReadouts();
+      if (this.markers.markers.some((marker) => marker.track)) {
+        this.saveMarkers();
+      }
+    }
+  }
+  
+  /**
+   * Draws each marker in the displayed frequency range as a numbered triangle on the trace
+   * with its frequency, level and note
+   */
+  drawMarkers() {
+    const ctx = this.ctx;
+    const offset = this.amplitudeCalibrationDB + this.getLevelOffset();
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    
+    this.markers.markers.forEach((marker) => {
+      if (marker.frequency < this.minFreq || marker.frequency > this.maxFreq) {
+        return;
+      }
+      const x = this.frequencyToPixel(marker.frequency);
+      const y = marker.level !== null ? this.amplitudeToPixel(marker.level - offset) : this.plotTop + 12;
+      const color = SpectrumMarkers.COLORS[(marker.id - 1) % SpectrumMarkers.COLORS.length];
+      
+      // Downward triangle with its tip on the trace
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(x - 5, y - 9);
+      ctx.lineTo(x + 5, y - 9);
+      ctx.closePath();
+      ctx.fill();
+      
+      // Label above the triangle, moved to the left of the marker near the right edge
+      const text = `M${marker.id} ${this.formatMarkerReadout(marker)}`;
+      const width = ctx.measureText(text).width;
+      const labelX = x + width + 6 > this.plotRight ? x - width - 6 : x + 6;
+      const labelY = Math.max(this.plotTop + 14, y - 10);
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+      ctx.fillRect(labelX - 3, labelY - 14, width + 6, 16);
+      ctx.fillStyle = color;
+      ctx.fillText(text, labelX, labelY);
+    });
+  }
+  
+  /**
+   * Frequency, level and note of a marker, e.g. "1.00 kHz  -23.4 dB  C6 +13 ¢"
+   * @param {object} marker - Marker
+   * @returns {string} Readout
+   */
+  formatMarkerReadout(marker) {
+    const note = PitchTuner.noteFromFrequency(marker.frequency, this.tuner.referenceA4);
+    const level = marker.level === null ? '-- dB' : `${marker.level.toFixed(1)} dB`;
+    return `${SpectrumMarkers.formatFrequency(marker.frequency)}  ${level}  ${PitchTuner.formatNote(note)} ${PitchTuner.formatCents(note.cents)}`;
+  }
+  
+  /**
+   * Difference of a marker from the reference marker, e.g. "Δ M1: +250 Hz, -6.1 dB"
+   * @param {object} marker - Marker
+   * @returns {string} Delta readout ("Reference" for the reference marker)
+   */
+  formatMarkerDelta(marker) {
+    const delta = this.markers.getDelta(marker);
+    if (!delta) {
+      return 'Reference';
+    }
+    const level = delta.level === null ? '-- dB' : `${delta.level > 0 ? '+' : ''}${delta.level.toFixed(1)} dB`;
+    return `Δ M${this.markers.getReference().id}: ${SpectrumMarkers.formatFrequency(delta.frequency, true)}, ${level}`;
+  }
+  
+  /**
+   * Lists the markers in the Markers tab with their readouts, delta from the reference
+   * marker and track, reference and delete controls
+   */
+  renderMarkerList() {
+    const markerList = document.getElementById('markerList');
+    if (!markerList) {
+      return;
+    }
+    if (this.markers.markers.length === 0) {
+      markerList.innerHTML = '<div class="recording-list-empty">No markers - enable Click Places Markers and click the spectrum</div>';
+      return;
+    }
+    
+    const reference = this.markers.getReference();
+    markerList.replaceChildren(...this.markers.markers.map((marker) => {
+      const item = document.createElement('div');
+      item.className = 'recording-list-item';
+      
+      const label = document.createElement('span');
+      label.dataset.markerId = marker.id;
+      label.style.color = SpectrumMarkers.COLORS[(marker.id - 1) % SpectrumMarkers.COLORS.length];
+      
+      const trackLabel = document.createElement('label');
+      const track = document.createElement('input');
+      track.type = 'checkbox';
+      track.checked = marker.track;
+      track.addEventListener('change', () => {
+        this.markers.setTracking(marker.id, track.checked);
+        this.saveMarkers();
+      });
+      trackLabel.append(track, ' Track');
+      trackLabel.title = 'Follow the highest peak near the marker';
+      
+      const setReference = document.createElement('button');
+      setReference.textContent = 'Ref';
+      setReference.title = 'Measure the deltas from this marker';
+      setReference.disabled = marker === reference;
+      setReference.addEventListener('click', () => {
+        this.markers.setReference(marker.id);
+        this.markersChanged();
+      });
+      
+      const remove = document.createElement('button');
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => {
+        this.markers.remove(marker.id);
+        this.markersChanged();
+      });
+      
+      item.append(label, trackLabel, setReference, remove);
+      return item;
+    }));
+    this.updateMarkerReadouts();
+  }
+  
+  /**
+   * Refreshes the readouts of the listed markers without rebuilding the list
+   */
+  updateMarkerReadouts() {
+    const markerList = document.getElementById('markerList');
+    if (!markerList) {
+      return;
+    }
+    markerList.querySelectorAll('span[data-marker-id]').forEach((label) => {
+      const marker = this.markers.find(parseInt(label.dataset.markerId));
+      if (marker) {
+        label.textContent = `M${marker.id}  ${this.formatMarkerReadout(marker)}  (${this.formatMarkerDelta(marker)})`;
+      }
+    });
+  }
+
+  /**
+   * Marks the fundamental (F) and its harmonics (H2, H3, ...) on the spectrum trace
+   * @param {Float32Array} data - Displayed left (or mid) spectrum in dB
+   */
+  drawHarmonicMarkers(data) {
+    const result = this.harmonics.result;
+    if (!result) {
+      return;
+    }
+
+    const binWidth = this.audioContext.sampleRate / this.fftSize;
+    const markers = [{ label: 'F', frequency: result.frequency }, ...result.harmonics.map((harmonic) => ({
+      label: `H${harmonic.order}`, frequency: harmonic.frequency
+    }))];
+
+    this.ctx.fillStyle = '#ff9800';
+    this.ctx.font = '11px Arial';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'bottom';
+    markers.forEach(({ label, frequency }) => {
+      if (frequency < this.minFreq || frequency > this.maxFreq) return;
+
+      // Peak of the displayed trace around the marker frequency
+      const bin = Math.round(frequency / binWidth);
+      let level = -Infinity;
+      for (let k = Math.max(0, bin - 1); k <= Math.min(data.length - 1, bin + 1); k++) {
+        level = Math.max(level, data[k]);
+      }
+      const x = this.frequencyToPixel(frequency);
+      const y = this.amplitudeToPixel(level);
+
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, y - 3);
+      this.ctx.lineTo(x - 4, y - 10);
+      this.ctx.lineTo(x + 4, y - 10);
+      this.ctx.closePath();
+      this.ctx.fill();
+      this.ctx.fillText(label, x, Math.max(this.plotTop + 12, y - 12));
+    });
+  }
+
+  /**
+   * Marks the feedback candidates on the spectrum with a vertical line, their frequency
+   * and the suggested cut
+   */
+  drawFeedbackMarkers() {
+    this.ctx.save();
+    this.ctx.strokeStyle = '#f44336';
+    this.ctx.fillStyle = '#f44336';
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([4, 3]);
+    this.ctx.font = 'bold 11px Arial';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'bottom';
+    this.feedback.candidates.forEach((candidate) => {
+      if (candidate.frequency < this.minFreq || candidate.frequency > this.maxFreq) return;
+      const x = this.frequencyToPixel(candidate.frequency);
+      const y = this.amplitudeToPixel(candidate.levelDB);
+      
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, this.plotBottom);
+      this.ctx.lineTo(x, y - 4);
+      this.ctx.stroke();
+      
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, 4, 0, 2 * Math.PI);
+      this.ctx.fill();
+      const labelY = Math.max(this.plotTop + 24, y - 8);
+      this.ctx.fillText(`-${candidate.notchDepth} dB`, x, labelY);
+      this.ctx.fillText(this.formatFeedbackFrequency(candidate.frequency), x, labelY - 12);
+    });
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws the harmonic analysis panel (fundamental, THD, THD+N and SINAD) at the top centre of the plot
+   */
+  drawHarmonicInfo() {
+    const result = this.harmonics.result;
+    const lines = result ? [
+      `F ${result.frequency >= 1000 ? `${(result.frequency / 1000).toFixed(3)}kHz` : `${result.frequency.toFixed(1)}Hz`}, ${result.levelDB.toFixed(1)} dBFS`,
+      `THD (H2-H${this.harmonics.maxHarmonic}) ${HarmonicAnalyzer.formatRatio(result.thd)}`,
+      `THD+N ${HarmonicAnalyzer.formatRatio(result.thdN)}`,
+      `SINAD ${result.sinad.toFixed(1)} dB`
+    ] : ['No dominant tone'];
+
+    // === DRAW PANEL ===
+    const lineHeight = 16;
+    this.ctx.font = '12px Arial';
+    const width = Math.max(...lines.map((line) => this.ctx.measureText(line).width)) + 12;
+    const height = lines.length * lineHeight + 8;
+    const x = this.plotLeft + (this.plotWidth - width) / 2;
+    const y = this.plotTop + 10;
+
+    this.ctx.fillStyle = 'rgba(17, 17, 17, 0.85)';
+    this.ctx.fillRect(x, y, width, height);
+    this.ctx.strokeStyle = '#555';
+    this.ctx.lineWidth = 1;
+    this.ctx.strokeRect(x, y, width, height);
+
+    // === DRAW RESULTS ===
+    this.ctx.fillStyle = '#fff';
+    this.ctx.textAlign = 'left';
+    this.ctx.textBaseline = 'top';
+    lines.forEach((line, i) => this.ctx.fillText(line, x + 6, y + 4 + i * lineHeight));
+  }
+
+  /**
+   * Draws the tuner panel (note, octave, cents meter and frequency) at the top right of the plot
+   * Sits to the left of the goniometer when that is shown.
+   */
+  drawTunerInfo() {
+    const result = this.tuner.result;
+    const inTune = result && Math.abs(result.note.cents) <= PitchTuner.IN_TUNE_CENTS;
+    const width = 150;
+    const height = 84;
+    const right = this.goniometer.enabled ? this.goniometer.getBounds().x - 10 : this.plotRight - 10;
+    const x = right - width;
+    const y = this.plotTop + 10;
+        
+    // === DRAW PANEL ===
+    this.ctx.fillStyle = 'rgba(17, 17, 17, 0.85)';
+    this.ctx.fillRect(x, y, width, height);
+    this.ctx.strokeStyle = '#555';
+    this.ctx.lineWidth = 1;
+    this.ctx.strokeRect(x, y, width, height);
         
-    // Draw the X symbol
-    this.ctx.strokeStyle = '#ffffff';
-    this.ctx.lineWidth = isLarge ? 3 : 2;                     // Thicker X for larger button
-    const xPadding = isLarge ? 3 : 2;                         // Proportional padding
+    // === NOTE NAME ===
+    const color = inTune ? '#4caf50' : '#fff';
+    this.ctx.fillStyle = color;
+    this.ctx.font = 'bold 28px Arial';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'top';
+    this.ctx.fillText(result ? PitchTuner.formatNote(result.note) : '--', x + width / 2, y + 6);
+        
+    // === CENTS METER (-50 TO +50) ===
+    const meterLeft = x + 12;
+    const meterWidth = width - 24;
+    const meterY = y + 48;
+    this.ctx.strokeStyle = '#888';
     this.ctx.beginPath();
-    this.ctx.moveTo(closeX + xPadding, closeY + xPadding);
-    this.ctx.lineTo(closeX + closeSize - xPadding, closeY + closeSize - xPadding);
-    this.ctx.moveTo(closeX + closeSize - xPadding, closeY + xPadding);
-    this.ctx.lineTo(closeX + xPadding, closeY + closeSize - xPadding);
+    this.ctx.moveTo(meterLeft, meterY);
+    this.ctx.lineTo(meterLeft + meterWidth, meterY);
+    [-50, -25, 0, 25, 50].forEach((cents) => {
+      const tickX = meterLeft + (cents + 50) / 100 * meterWidth;
+      const tick = cents === 0 ? 6 : 3;
+      this.ctx.moveTo(tickX, meterY - tick);
+      this.ctx.lineTo(tickX, meterY + tick);
+    });
     this.ctx.stroke();
+    if (result) {
+      const needleX = meterLeft + (result.note.cents + 50) / 100 * meterWidth;
+      this.ctx.fillStyle = inTune ? '#4caf50' : '#ff9800';
+      this.ctx.fillRect(needleX - 1.5, meterY - 7, 3, 14);
+    }
         
-    // === STORE DISPLAY INFORMATION FOR CLICK DETECTION ===
-    this.clickPoint.displayX = displayX;
-    this.clickPoint.displayY = displayY;
-    this.clickPoint.textWidth = textWidth;
-    this.clickPoint.closeX = closeX;
-    this.clickPoint.closeY = closeY;
-    this.clickPoint.closeSize = closeSize;
+    // === FREQUENCY AND DEVIATION ===
+    this.ctx.fillStyle = '#fff';
+    this.ctx.font = '12px Arial';
+    this.ctx.fillText(result ? `${result.frequency.toFixed(1)} Hz  ${PitchTuner.formatCents(result.note.cents)}` : 'No pitch',
+      x + width / 2, y + 62);
   }
-    
+
   /**
      * Updates the status message displayed to the user
      * Used to show microphone access requests, errors, and other information
@@ -2759,7 +6333,8 @@ class StereoSpectrumAnalyzer {
           capturing: false,
           active: false,
           dataLeft: null,
-          dataRight: null
+          dataRight: null,
+          transfer: null
         });
       }
             
@@ -2842,6 +6417,7 @@ class StereoSpectrumAnalyzer {
     freezeData.dataRight = new Float32Array(this.bufferLength);
     freezeData.dataLeft.fill(-Infinity);
     freezeData.dataRight.fill(-Infinity);
+    freezeData.transfer = null;                      // Transfer function capture (transfer view only)
         
     // Update button appearance to show capturing state
     const button = document.getElementById(freezeId);
@@ -2881,6 +6457,7 @@ class StereoSpectrumAnalyzer {
     freezeData.active = false;
     freezeData.dataLeft = null;
     freezeData.dataRight = null;
+    freezeData.transfer = null;
         
     // Update button appearance to show inactive state
     const button = document.getElementById(freezeId);
@@ -2910,40 +6487,468 @@ class StereoSpectrumAnalyzer {
             freezeData.dataRight[i] = dataRight[i];
           }
         }
+        
+        // In transfer view capture the latest averaged response while the button is held
+        if (this.viewMode === 'transfer') {
+          freezeData.transfer = this.transferFunction.snapshot() || freezeData.transfer;
+        }
+      }
+    });
+  }
+    
+  /**
+     * Collects freeze button captures for the transfer function view
+     * @returns {Array<{response: object, color: string}>} Captured responses with their button colours
+     */
+  getTransferFreezeTraces() {
+    const traces = [];
+    this.freezeButtons.forEach((freezeData, freezeId) => {
+      if (freezeData.active && freezeData.transfer) {
+        traces.push({ response: freezeData.transfer, color: this.freezeButtonColors[freezeId] || '#ff0000' });
+      }
+    });
+    return traces;
+  }
+    
+  /**
+     * Saves the freeze line selected in the Traces tab to the trace library
+     * Levels are stored as displayed, so the trace reads the same after a change of FFT size.
+     */
+  async saveFreezeTrace() {
+    const source = document.getElementById('traceSourceSelect');
+    const freezeId = source ? source.value : 'freezeBtn1';
+    const freezeData = this.freezeButtons.get(freezeId);
+    if (!freezeData || !freezeData.dataLeft || !this.audioContext) {
+      this.updateStatus(`Traces: hold freeze button ${freezeId.replace('freezeBtn', '')} to capture a line first`);
+      return;
+    }
+    
+    const value = (id) => {
+      const element = document.getElementById(id);
+      return element ? element.value : '';
+    };
+    const trace = {
+      ...ReferenceTraces.fromSpectrum(freezeData.dataLeft, freezeData.dataRight, this.audioContext.sampleRate,
+        this.amplitudeCalibrationDB),
+      notes: value('traceNotesInput'),
+      color: value('traceColorInput') || ReferenceTraces.DEFAULT_COLOR
+    };
+    if (value('traceNameInput').trim()) {
+      trace.name = value('traceNameInput').trim();
+    }
+    
+    if (await this.postTrace(trace)) {
+      ['traceNameInput', 'traceNotesInput'].forEach((id) => {
+        const element = document.getElementById(id);
+        if (element) element.value = '';
+      });
+    }
+  }
+  
+  /**
+   * Imports an exported trace (CSV or JSON) into the trace library
+   * @param {File} file - Trace file selected by the user
+   */
+  async importTrace(file) {
+    try {
+      const trace = ReferenceTraces.parse(await file.text());
+      if (!trace.name) {
+        trace.name = file.name.replace(/\.[^.]*$/, '').substring(0, 100) || 'Imported trace';
+      }
+      await this.postTrace(trace);
+    } catch (error) {
+      console.warn('Could not import trace file:', error);
+      this.updateStatus(`Traces: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Stores a trace in the library and refreshes the list
+   * @param {object} trace - Trace points with name, notes and colour
+   * @returns {Promise<boolean>} True if the trace was saved
+   */
+  async postTrace(trace) {
+    try {
+      const response = await fetch('/api/traces', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ trace })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      this.updateStatus(`Traces: saved "${data.trace.name}" (${data.trace.frequencies.length} points)`);
+      this.loadTraces();
+      return true;
+    } catch (error) {
+      console.warn('Could not save trace:', error);
+      this.updateStatus(`Traces: could not save trace - ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Lists the trace library in the Traces tab with show, colour, export and delete controls
+   */
+  async loadTraces() {
+    const traceList = document.getElementById('traceList');
+    if (!traceList) {
+      return;
+    }
+    
+    try {
+      const response = await fetch('/api/traces');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      if (data.traces.length === 0) {
+        traceList.innerHTML = '<div class="recording-list-empty">No traces</div>';
+        return;
+      }
+      
+      traceList.replaceChildren(...data.traces.map((trace) => {
+        const item = document.createElement('div');
+        item.className = 'recording-list-item';
+        
+        const show = document.createElement('input');
+        show.type = 'checkbox';
+        show.checked = this.referenceTraces.isShown(trace.id);
+        show.title = 'Show over the spectrum';
+        show.addEventListener('change', () => this.toggleTraceOverlay(trace.id, show.checked));
+        
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = trace.color;
+        color.addEventListener('change', () => this.updateTraceColor(trace.id, color.value));
+        
+        const label = document.createElement('span');
+        label.textContent = `${trace.name}  ${new Date(trace.createdAt).toLocaleString()}`;
+        label.title = trace.notes || `${trace.points} points`;
+        
+        const json = document.createElement('a');
+        json.href = `/api/traces/${trace.id}?download=true`;
+        json.textContent = 'JSON';
+        
+        const csv = document.createElement('a');
+        csv.href = `/api/traces/${trace.id}?format=csv`;
+        csv.textContent = 'CSV';
+        
+        const remove = document.createElement('button');
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => this.deleteTrace(trace.id));
+        
+        item.append(show, color, label, json, csv, remove);
+        return item;
+      }));
+    } catch (error) {
+      console.warn('Could not load traces:', error);
+      traceList.innerHTML = '<div class="recording-list-empty">Could not load the traces</div>';
+    }
+  }
+  
+  /**
+   * Shows a library trace over the spectrum (loaded from the server) or hides it
+   * @param {string} id - Trace ID
+   * @param {boolean} shown - True to show the trace
+   */
+  async toggleTraceOverlay(id, shown) {
+    if (!shown) {
+      this.referenceTraces.hide(id);
+      return;
+    }
+    
+    try {
+      const response = await fetch(`/api/traces/${id}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      this.referenceTraces.show(data.trace);
+    } catch (error) {
+      console.warn('Could not load trace:', error);
+      this.updateStatus(`Traces: could not load trace - ${error.message}`);
+      this.loadTraces();
+    }
+  }
+  
+  /**
+   * Stores a new overlay colour for a library trace
+   * @param {string} id - Trace ID
+   * @param {string} color - Hex colour from the colour input
+   */
+  async updateTraceColor(id, color) {
+    this.referenceTraces.setColor(id, color);
+    try {
+      const response = await fetch(`/api/traces/${id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ color })
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.warn('Could not update trace colour:', error);
+    }
+  }
+  
+  /**
+   * Deletes a library trace (and its overlay) and refreshes the list
+   * @param {string} id - Trace ID
+   */
+  async deleteTrace(id) {
+    this.referenceTraces.hide(id);
+    try {
+      const response = await fetch(`/api/traces/${id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.warn('Could not delete trace:', error);
+    }
+    this.loadTraces();
+  }
+  
+  /**
+   * Fills the target curve list of the Target tab, keeping the selected curve selected
+   */
+  async loadTargetCurves() {
+    const select = document.getElementById('targetCurveSelect');
+    if (!select) {
+      return;
+    }
+    
+    try {
+      const response = await fetch('/api/target-curves');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = 'None';
+      select.replaceChildren(none, ...data.curves.map((curve) => {
+        const option = document.createElement('option');
+        option.value = curve.id;
+        option.textContent = `${curve.name} (±${curve.tolerance} dB)`;
+        return option;
+      }));
+      select.value = this.targetCurve.curve ? this.targetCurve.curve.id : '';
+    } catch (error) {
+      console.warn('Could not load target curves:', error);
+      this.updateStatus(`Target: could not load the curves - ${error.message}`);
+    }
+    this.updateTargetCurveControls();
+  }
+  
+  /**
+   * Loads a target curve from the server and shows it (an empty ID clears the target)
+   * @param {string} id - Curve ID
+   */
+  async selectTargetCurve(id) {
+    if (!id) {
+      this.targetCurve.setCurve(null);
+      this.updateTargetCurveControls();
+      return;
+    }
+    
+    try {
+      const response = await fetch(`/api/target-curves/${id}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      this.targetCurve.setCurve(data.curve);
+    } catch (error) {
+      console.warn('Could not load target curve:', error);
+      this.updateStatus(`Target: could not load the curve - ${error.message}`);
+      this.targetCurve.setCurve(null);
+    }
+    this.updateTargetCurveControls();
+  }
+  
+  /**
+   * Fills the curve editor from an imported frequency/dB file (saved with Save as New)
+   * @param {File} file - Text or CSV file selected by the user
+   */
+  async importTargetCurve(file) {
+    try {
+      const points = SplCalibration.parseCalibrationFile(await file.text());
+      const nameInput = document.getElementById('targetNameInput');
+      const pointsInput = document.getElementById('targetPointsInput');
+      if (nameInput) nameInput.value = file.name.replace(/\.[^.]*$/, '').substring(0, 100);
+      if (pointsInput) pointsInput.value = TargetCurve.formatPoints(points);
+      this.updateStatus(`Target: imported ${points.length} points - check the name and tolerance, then save`);
+    } catch (error) {
+      console.warn('Could not import target curve file:', error);
+      this.updateStatus(`Target: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Stores the curve in the editor as a new curve, or replaces the selected curve with it
+   * @param {boolean} replace - True to update the selected curve
+   */
+  async saveTargetCurve(replace) {
+    const value = (id) => {
+      const element = document.getElementById(id);
+      return element ? element.value : '';
+    };
+    const selected = this.targetCurve.curve;
+    if (replace && !selected) {
+      return;
+    }
+    
+    let curve;
+    try {
+      curve = {
+        name: value('targetNameInput').trim(),
+        tolerance: parseFloat(value('targetToleranceInput')),
+        points: SplCalibration.parseCalibrationFile(value('targetPointsInput'))
+      };
+    } catch (error) {
+      this.updateStatus(`Target: ${error.message}`);
+      return;
+    }
+    
+    try {
+      const response = await fetch(replace ? `/api/target-curves/${selected.id}` : '/api/target-curves', {
+        method: replace ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ curve })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+      this.updateStatus(`Target: saved "${data.curve.name}" (${data.curve.points.length} points)`);
+      
+      // Show the saved curve (the select change also stores it in the settings)
+      this.targetCurve.setCurve(data.curve);
+      await this.loadTargetCurves();
+      const select = document.getElementById('targetCurveSelect');
+      if (select) {
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    } catch (error) {
+      console.warn('Could not save target curve:', error);
+      this.updateStatus(`Target: could not save the curve - ${error.message}`);
+    }
+  }
+  
+  /**
+   * Deletes the selected target curve and clears the selection
+   */
+  async deleteTargetCurve() {
+    const selected = this.targetCurve.curve;
+    if (!selected) {
+      return;
+    }
+    
+    try {
+      const response = await fetch(`/api/target-curves/${selected.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
       }
+      this.updateStatus(`Target: deleted "${selected.name}"`);
+    } catch (error) {
+      console.warn('Could not delete target curve:', error);
+      this.updateStatus(`Target: could not delete the curve - ${error.message}`);
+      return;
+    }
+    
+    this.targetCurve.setCurve(null);
+    await this.loadTargetCurves();
+    const select = document.getElementById('targetCurveSelect');
+    if (select) {
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  }
+  
+  /**
+   * Shows the selected curve in the Target tab editor and enables Update/Delete while a curve is selected
+   */
+  updateTargetCurveControls() {
+    const curve = this.targetCurve.curve;
+    const select = document.getElementById('targetCurveSelect');
+    if (select && select.value !== (curve ? curve.id : '')) {
+      select.value = curve ? curve.id : '';
+    }
+    
+    if (curve) {
+      const fields = {
+        targetNameInput: curve.name,
+        targetToleranceInput: curve.tolerance.toString(),
+        targetPointsInput: TargetCurve.formatPoints(curve.points)
+      };
+      Object.entries(fields).forEach(([id, text]) => {
+        const element = document.getElementById(id);
+        if (element) element.value = text;
+      });
+    }
+    ['targetUpdateBtn', 'targetDeleteBtn'].forEach((id) => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = !curve;
     });
   }
+  
+  /**
+   * Compares the measured trace with the target curve: the held (peak or average) trace while
+   * Hold is on, otherwise the live spectrum
+   * @param {Float32Array} dataLeft - Live FFT data for the left channel (dB values)
+   * @param {Float32Array} dataRight - Live FFT data for the right channel (dB values)
+   */
+  updateTargetCurve(dataLeft, dataRight) {
+    const held = this.holdModeEnabled && this.heldAmplitudesLeft && this.heldAmplitudesRight;
+    this.targetCurve.update(held ? this.heldAmplitudesLeft : dataLeft, held ? this.heldAmplitudesRight : dataRight,
+      this.audioContext.sampleRate, this.amplitudeCalibrationDB + this.getLevelOffset());
+  }
     
   /**
-     * Draws all active freeze lines as colored overlays
+     * Draws all active freeze lines and the shown reference traces as colored overlays
      * Each freeze button can have its own captured amplitude data displayed with its own color
      */
   drawFreezeLines() {
     this.freezeButtons.forEach((freezeData, freezeId) => {
       if (freezeData.active && freezeData.dataLeft && freezeData.dataRight) {
         // Draw freeze lines for this freeze button with its specific color
-        this.drawSingleFreezeLine(freezeData.dataLeft, freezeData.dataRight, freezeId);
+        this.drawSingleFreezeLine(freezeData.dataLeft, freezeData.dataRight, this.freezeButtonColors[freezeId] || '#ff0000');
       }
     });
+        
+    // Reference traces from the library, interpolated onto the current bins
+    this.referenceTraces.getOverlays(this.bufferLength, this.audioContext.sampleRate, this.amplitudeCalibrationDB)
+      .forEach((overlay) => this.drawSingleFreezeLine(overlay.dataLeft, overlay.dataRight, overlay.color));
   }
     
   /**
-     * Draws a single freeze line using the captured amplitude data
+     * Draws a single freeze line (or reference trace) using the captured amplitude data
      * @param {Float32Array} dataLeft - Captured FFT frequency data for left channel (dB values)
      * @param {Float32Array} dataRight - Captured FFT frequency data for right channel (dB values)
-     * @param {string} freezeId - The ID of the freeze button (e.g., "freezeBtn1") for color selection
+     * @param {string} color - Line color (the freeze button's or the trace's)
      */
-  drawSingleFreezeLine(dataLeft, dataRight, freezeId) {
+  drawSingleFreezeLine(dataLeft, dataRight, color) {
     const sampleRate = this.audioContext.sampleRate;
         
     // Set freeze line appearance with button-specific color
-    this.ctx.strokeStyle = this.freezeButtonColors[freezeId] || '#ff0000';  // Use button-specific color or default to red
+    this.ctx.strokeStyle = color;
     this.ctx.lineWidth = 2;
     this.ctx.globalAlpha = 0.8;  // Slightly transparent so it doesn't completely obscure the live spectrum
         
     // === USE SAME DRAWING MODE AS MAIN SPECTROGRAM ===
-    // Apply the same pixel-based averaging and smoothing settings
-    if (this.pixelAveragingEnabled) {
+    // Apply the same RTA banding or pixel-based averaging and smoothing settings
+    if (this.drawMode === 'rta') {
+      this.drawFreezeLineRTA(dataLeft, dataRight, sampleRate);
+    } else if (this.pixelAveragingEnabled) {
       this.drawFreezeLinePixelAveraged(dataLeft, dataRight, sampleRate);
     } else {
       this.drawFreezeLineTraditional(dataLeft, dataRight, sampleRate);
@@ -2982,6 +6987,33 @@ class StereoSpectrumAnalyzer {
     this.ctx.stroke();
   }
     
+  /**
+     * Draws freeze line as a stepped outline over the RTA bands (maximum of both channels)
+     * @param {Float32Array} dataLeft - Captured FFT frequency data for left channel (dB values)
+     * @param {Float32Array} dataRight - Captured FFT frequency data for right channel (dB values)
+     * @param {number} sampleRate - Audio sample rate
+     */
+  drawFreezeLineRTA(dataLeft, dataRight, sampleRate) {
+    const bands = this.octaveBands.getBands(this.minFreq, this.maxFreq);
+    const levelsLeft = this.octaveBands.integrate(dataLeft, sampleRate, bands);
+    const levelsRight = this.octaveBands.integrate(dataRight, sampleRate, bands);
+        
+    this.ctx.beginPath();
+    for (let b = 0; b < bands.length; b++) {
+      const xStart = Math.max(this.plotLeft, this.frequencyToPixel(bands[b].lower));
+      const xEnd = Math.min(this.plotRight, this.frequencyToPixel(bands[b].upper));
+      const y = this.amplitudeToPixel(Math.max(levelsLeft[b], levelsRight[b]));
+            
+      if (b === 0) {
+        this.ctx.moveTo(xStart, y);
+      } else {
+        this.ctx.lineTo(xStart, y);
+      }
+      this.ctx.lineTo(xEnd, y);
+    }
+    this.ctx.stroke();
+  }
+    
   /**
      * Draws freeze line using traditional bin-based approach
      * @param {Float32Array} dataLeft - Captured FFT frequency data for left channel (dB values)
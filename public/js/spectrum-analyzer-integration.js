@@ -579,7 +579,10 @@ function applySettingsToUI(uiSettings) {
       minFrequency: { element: 'minFreqSlider', type: 'number', display: 'minFreqValue', formatter: (v) => `${v} Hz` },
       maxFrequency: { element: 'maxFreqSlider', type: 'number', display: 'maxFreqValue', formatter: (v) => `${(v/1000).toFixed(1)} kHz` },
       inputGain: { element: 'gainSlider', type: 'number', display: 'gainValue', formatter: (v) => `${v} dB` },
-      holdMode: { element: 'holdModeSelect', type: 'string' }
+      holdMode: { element: 'holdModeSelect', type: 'string' },
+      tuner: { element: 'tunerToggle', type: 'boolean' },
+      noteGrid: { element: 'noteGridToggle', type: 'boolean' },
+      referenceA4: { element: 'referenceA4Slider', type: 'number', display: 'referenceA4Value', formatter: (v) => `${v} Hz` }
     },
     spectrogramInterface: {
       clickInfoSize: { element: 'clickInfoSizeSelect', type: 'string' },
@@ -595,13 +598,93 @@ function applySettingsToUI(uiSettings) {
       multiPixelSmoothing: { element: 'multiPixelSmoothingSlider', type: 'number', display: 'multiPixelSmoothingValue' },
       frequencyDependentSmoothing: { element: 'frequencyDependentSmoothingToggle', type: 'boolean' },
       noiseFloorSubtraction: { element: 'noiseFloorSubtractionSlider', type: 'number', display: 'noiseFloorSubtractionValue', formatter: (v) => `${v} dB` },
-      peakEnvelope: { element: 'peakEnvelopeToggle', type: 'boolean' }
+      peakEnvelope: { element: 'peakEnvelopeToggle', type: 'boolean' },
+      drawMode: { element: 'drawModeSelect', type: 'string' },
+      rtaResolution: { element: 'rtaResolutionSelect', type: 'number' },
+      fftEngine: { element: 'fftEngineSelect', type: 'string' },
+      fftWindow: { element: 'fftWindowSelect', type: 'string' },
+      fftOverlap: { element: 'fftOverlapSelect', type: 'number' },
+      fftAveraging: { element: 'fftAveragingSelect', type: 'string' },
+      fftAverages: { element: 'fftAveragesSelect', type: 'number' }
     },
     meters: {
       meterSpeed: { element: 'meterSpeedSelect', type: 'string' },
       holdTime: { element: 'holdTimeSlider', type: 'number', display: 'holdTimeValue', formatter: (v) => `${v}s` },
       decibelsSpeed: { element: 'decibelsSpeedSlider', type: 'number', display: 'decibelsSpeedValue', formatter: (v) => `${v}ms` },
-      rmsWeighting: { element: 'rmsWeightingSelect', type: 'string' }
+      rmsWeighting: { element: 'rmsWeightingSelect', type: 'string' },
+      peakMode: { element: 'peakModeSelect', type: 'string' },
+      truePeakThreshold: { element: 'truePeakThresholdSlider', type: 'number', display: 'truePeakThresholdValue', formatter: (v) => `${v.toFixed(1)} dBTP` },
+      loudnessMeter: { element: 'loudnessMeterToggle', type: 'boolean' },
+      goniometer: { element: 'goniometerToggle', type: 'boolean' },
+      goniometerSize: { element: 'goniometerSizeSlider', type: 'number', display: 'goniometerSizeValue', formatter: (v) => `${v}px` },
+      goniometerMode: { element: 'goniometerModeSelect', type: 'string' },
+      bandCorrelation: { element: 'bandCorrelationToggle', type: 'boolean' },
+      bandCorrelationBands: { element: 'bandCorrelationBandsSelect', type: 'string' },
+      loudnessTarget: { element: 'loudnessTargetSelect', type: 'number' }
+    },
+    waterfall: {
+      viewMode: { element: 'viewModeSelect', type: 'string' },
+      colorMap: { element: 'waterfallColorMapSelect', type: 'string' },
+      historyLength: { element: 'waterfallHistorySlider', type: 'number', display: 'waterfallHistoryValue', formatter: (v) => `${v}s` }
+    },
+    transfer: {
+      referenceChannel: { element: 'transferReferenceSelect', type: 'string' },
+      averages: { element: 'transferAveragesSelect', type: 'number' },
+      magnitudeRange: { element: 'transferRangeSlider', type: 'number', display: 'transferRangeValue', formatter: (v) => `±${v} dB` }
+    },
+    generator: {
+      signalType: { element: 'generatorSignalSelect', type: 'string' },
+      sineMode: { element: 'generatorSineModeSelect', type: 'string' },
+      frequency: { element: 'generatorFrequencyInput', type: 'number' },
+      sweepDuration: { element: 'generatorSweepDurationSelect', type: 'number' },
+      level: { element: 'generatorLevelSlider', type: 'number', display: 'generatorLevelValue', formatter: (v) => `${v} dBFS` },
+      loopback: { element: 'generatorLoopbackToggle', type: 'boolean' }
+    },
+    impulse: {
+      method: { element: 'irMethodSelect', type: 'string' },
+      channel: { element: 'irChannelSelect', type: 'string' },
+      tailLength: { element: 'irTailSelect', type: 'number' }
+    },
+    slm: {
+      frequencyWeighting: { element: 'slmFrequencyWeightingSelect', type: 'string' },
+      timeWeighting: { element: 'slmTimeWeightingSelect', type: 'string' },
+      interval: { element: 'slmIntervalSelect', type: 'number' }
+    },
+    logging: {
+      enabled: { element: 'levelLogEnabledToggle', type: 'boolean' },
+      interval: { element: 'levelLogIntervalSelect', type: 'number' },
+      historyRange: { element: 'levelHistoryRangeSelect', type: 'number' }
+    },
+    harmonics: {
+      enabled: { element: 'harmonicsToggle', type: 'boolean' },
+      maxHarmonic: { element: 'harmonicsCountSelect', type: 'number' },
+      notchBandwidth: { element: 'harmonicsNotchSelect', type: 'number' }
+    },
+    feedback: {
+      enabled: { element: 'feedbackToggle', type: 'boolean' },
+      threshold: { element: 'feedbackThresholdSelect', type: 'number' },
+      persistence: { element: 'feedbackPersistenceSelect', type: 'number' }
+    },
+    roomModes: {
+      length: { element: 'roomLengthInput', type: 'number' },
+      width: { element: 'roomWidthInput', type: 'number' },
+      height: { element: 'roomHeightInput', type: 'number' },
+      method: { element: 'roomModeMethodSelect', type: 'string' }
+    },
+    markers: {
+      enabled: { element: 'markerClickToggle', type: 'boolean' },
+      snapToPeak: { element: 'markerSnapToggle', type: 'boolean' }
+    },
+    targetCurve: {
+      curveId: { element: 'targetCurveIdInput', type: 'string' },
+      align: { element: 'targetAlignToggle', type: 'boolean' },
+      deviationRange: { element: 'targetRangeSelect', type: 'number' }
+    },
+    recorder: {
+      preRoll: { element: 'recorderPreRollSelect', type: 'number' },
+      postRoll: { element: 'recorderPostRollSelect', type: 'number' },
+      format: { element: 'recorderFormatSelect', type: 'string' },
+      onAlarm: { element: 'recorderOnAlarmToggle', type: 'boolean' }
     },
     performance: {
       refreshRate: { element: 'refreshRateSlider', type: 'number', display: 'refreshRateValue', formatter: (v) => `${v} FPS` },
@@ -0,0 +1,324 @@
+/**
+ * TargetCurve - Target (house) curve overlay and deviation view
+ *
+ * The selected curve's frequency/dB points are interpolated linearly on a logarithmic
+ * frequency axis (SplCalibration.interpolate) and drawn over the line spectrum with its
+ * ± tolerance band. The measured trace (the held or averaged trace while Hold is on,
+ * otherwise the live spectrum; the louder channel per bin) is smoothed to 1/6 octave and
+ * compared with the target: the deviation view plots measured minus target. With
+ * alignment on, the target is moved to the measured level (mean deviation over the
+ * curve's range), so only the shape is compared.
+ *
+ * Levels are in the units of the spectrum's dB ruler (dB SPL once the input is calibrated).
+ */
+class TargetCurve {
+  constructor(analyzer) {
+    // Reference to the main analyzer for accessing canvas context, plot area and frequency range
+    this.analyzer = analyzer;
+
+    // === SETTINGS ===
+    this.curve = null;                  // Selected curve { id, name, tolerance, points: [{ frequency, dB }] }
+    this.align = true;                  // Move the target to the measured level
+    this.deviationRange = 12;           // Deviation view spans ±deviationRange dB
+
+    // === STATE ===
+    this.pixels = null;                 // Cached per-pixel target levels and smoothing bin ranges
+    this.pixelsKey = '';                // Cache key for pixels (layout + frequency range + FFT + curve)
+    this.version = 0;                   // Bumped whenever the curve changes
+    this.measured = null;               // Smoothed measured level per pixel (ruler dB, NaN without signal)
+    this.offsetDB = 0;                  // Alignment offset added to the target
+  }
+
+  /**
+   * Select the curve to compare with (null for none)
+   * @param {object|null} curve - Curve from the server
+   */
+  setCurve(curve) {
+    this.curve = curve;
+    this.version++;
+    this.measured = null;
+  }
+
+  /**
+   * @param {boolean} align - True to move the target to the measured level
+   */
+  setAlign(align) {
+    this.align = Boolean(align);
+  }
+
+  /**
+   * @param {number} range - Deviation view range in dB (one of RANGES)
+   */
+  setDeviationRange(range) {
+    if (TargetCurve.RANGES.includes(range)) {
+      this.deviationRange = range;
+    }
+  }
+
+  /**
+   * Target level and smoothing bins of each plot pixel (cached per layout and curve)
+   * @param {number} binCount - Number of FFT bins
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @returns {Array<{x: number, target: number|null, first: number, last: number}>} Pixels; target
+   *   null outside the curve's frequency range
+   */
+  getPixels(binCount, sampleRate) {
+    const analyzer = this.analyzer;
+    const key = `${analyzer.plotLeft}:${analyzer.plotWidth}:${analyzer.minFreq}:${analyzer.maxFreq}:${binCount}:${sampleRate}:${this.version}`;
+    if (this.pixels && this.pixelsKey === key) {
+      return this.pixels;
+    }
+
+    const points = this.curve.points;
+    const binWidth = sampleRate / (2 * binCount);
+    const halfWidth = Math.pow(2, TargetCurve.SMOOTHING_OCTAVES / 2);
+    const logRange = Math.log10(analyzer.maxFreq / analyzer.minFreq);
+    const pixels = [];
+    for (let x = analyzer.plotLeft; x <= analyzer.plotRight; x++) {
+      const frequency = analyzer.minFreq * Math.pow(10, (x - analyzer.plotLeft) / analyzer.plotWidth * logRange);
+      const inRange = frequency >= points[0].frequency && frequency <= points[points.length - 1].frequency;
+      pixels.push({
+        x,
+        target: inRange ? SplCalibration.interpolate(points, frequency) : null,
+        first: Math.max(1, Math.floor(frequency / halfWidth / binWidth)),
+        last: Math.min(binCount - 1, Math.ceil(frequency * halfWidth / binWidth))
+      });
+    }
+
+    this.pixels = pixels;
+    this.pixelsKey = key;
+    return pixels;
+  }
+
+  /**
+   * Smooth the measured trace and align the target (call once per frame before drawing)
+   * @param {Float32Array} dataLeft - Left channel bins in dB as reported by the analyser
+   * @param {Float32Array} dataRight - Right channel bins in dB
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @param {number} offsetDB - dB added to bin levels to get ruler levels
+   */
+  update(dataLeft, dataRight, sampleRate, offsetDB) {
+    if (!this.curve) return;
+    const pixels = this.getPixels(dataLeft.length, sampleRate);
+
+    // Running power sums of the louder channel, so each pixel's 1/6-octave mean is one subtraction
+    const cumulative = new Float64Array(dataLeft.length + 1);
+    for (let k = 0; k < dataLeft.length; k++) {
+      const level = Math.max(dataLeft[k], dataRight[k]);
+      cumulative[k + 1] = cumulative[k] + (isFinite(level) ? Math.pow(10, level / 10) : 0);
+    }
+
+    let deviationSum = 0;
+    let count = 0;
+    this.measured = pixels.map(({ target, first, last }) => {
+      const power = (cumulative[last + 1] - cumulative[first]) / (last - first + 1);
+      const level = power > 0 ? 10 * Math.log10(power) + offsetDB : NaN;
+      if (target !== null && isFinite(level)) {
+        deviationSum += level - target;
+        count++;
+      }
+      return level;
+    });
+    this.offsetDB = this.align && count > 0 ? deviationSum / count : 0;
+  }
+
+  /**
+   * Deviation (measured minus aligned target) at a plot x position (for the click readout)
+   * @param {number} x - Canvas x coordinate
+   * @returns {number|null} Deviation in dB, or null outside the curve or without signal
+   */
+  valueAt(x) {
+    if (!this.curve || !this.measured) return null;
+    const i = Math.max(0, Math.min(this.measured.length - 1, Math.round(x - this.analyzer.plotLeft)));
+    const target = this.pixels[i].target;
+    const deviation = this.measured[i] - (target + this.offsetDB);
+    return target !== null && isFinite(deviation) ? deviation : null;
+  }
+
+  /**
+   * Draw the target and its tolerance band over the line spectrum
+   * @param {number} offsetDB - dB added to bin levels to get ruler levels
+   */
+  drawOverlay(offsetDB) {
+    if (!this.curve || !this.pixels) return;
+    const analyzer = this.analyzer;
+    const ctx = analyzer.ctx;
+    const pixels = this.pixels.filter((pixel) => pixel.target !== null);
+    if (pixels.length === 0) return;
+    const y = (level) => analyzer.amplitudeToPixel(level - offsetDB);
+    const tolerance = this.curve.tolerance;
+
+    // === TOLERANCE BAND ===
+    if (tolerance > 0) {
+      ctx.fillStyle = TargetCurve.COLOR;
+      ctx.globalAlpha = 0.15;
+      ctx.beginPath();
+      pixels.forEach((pixel, i) => {
+        const top = y(pixel.target + this.offsetDB + tolerance);
+        if (i === 0) ctx.moveTo(pixel.x, top); else ctx.lineTo(pixel.x, top);
+      });
+      for (let i = pixels.length - 1; i >= 0; i--) {
+        ctx.lineTo(pixels[i].x, y(pixels[i].target + this.offsetDB - tolerance));
+      }
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // === TARGET ===
+    ctx.strokeStyle = TargetCurve.COLOR;
+    ctx.lineWidth = 2;
+    ctx.globalAlpha = 0.9;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    pixels.forEach((pixel, i) => {
+      const level = y(pixel.target + this.offsetDB);
+      if (i === 0) ctx.moveTo(pixel.x, level); else ctx.lineTo(pixel.x, level);
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1.0;
+  }
+
+  /**
+   * Convert a deviation in dB to a y coordinate of the deviation view
+   * @param {number} deviationDB - Deviation in dB
+   * @returns {number} Canvas y coordinate
+   */
+  deviationToPixel(deviationDB) {
+    const analyzer = this.analyzer;
+    const clamped = Math.max(-this.deviationRange, Math.min(this.deviationRange, deviationDB));
+    return analyzer.plotBottom - (clamped + this.deviationRange) / (2 * this.deviationRange) * analyzer.plotHeight;
+  }
+
+  /**
+   * Draw the deviation view: grid, tolerance band and measured minus target (red outside
+   * the tolerance)
+   */
+  draw() {
+    const analyzer = this.analyzer;
+    const ctx = analyzer.ctx;
+    this.drawGrid();
+
+    if (!this.curve) {
+      this.drawMessage('Select a target curve in the Target tab');
+      return;
+    }
+    if (!this.measured) {
+      this.drawMessage('Waiting for data...');
+      return;
+    }
+
+    // === TOLERANCE BAND ===
+    const tolerance = this.curve.tolerance;
+    if (tolerance > 0) {
+      ctx.fillStyle = TargetCurve.COLOR;
+      ctx.globalAlpha = 0.15;
+      const top = this.deviationToPixel(tolerance);
+      ctx.fillRect(analyzer.plotLeft, top, analyzer.plotWidth, this.deviationToPixel(-tolerance) - top);
+      ctx.globalAlpha = 1.0;
+    }
+
+    // === DEVIATION ===
+    // Sections inside and outside the tolerance go into separate paths so each is stroked once
+    const inside = new Path2D();
+    const outside = new Path2D();
+    let previous = null;
+    this.pixels.forEach((pixel, i) => {
+      const deviation = pixel.target === null ? NaN : this.measured[i] - (pixel.target + this.offsetDB);
+      if (!isFinite(deviation)) {
+        previous = null;
+        return;
+      }
+      const point = { x: pixel.x, y: this.deviationToPixel(deviation), deviation };
+      if (previous) {
+        const path = Math.abs(deviation) <= tolerance ? inside : outside;
+        path.moveTo(previous.x, previous.y);
+        path.lineTo(point.x, point.y);
+      }
+      previous = point;
+    });
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#4caf50';
+    ctx.stroke(inside);
+    ctx.strokeStyle = '#f44336';
+    ctx.stroke(outside);
+
+    // === STATUS ===
+    ctx.fillStyle = '#aaa';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    const alignment = this.align ? `  Offset ${this.offsetDB >= 0 ? '+' : ''}${this.offsetDB.toFixed(1)} dB` : '';
+    ctx.fillText(`${this.curve.name}  ±${tolerance} dB${alignment}`, analyzer.plotRight - 6, analyzer.plotTop + 4);
+  }
+
+  /**
+   * Draw the horizontal deviation grid (the frequency grid is drawn by the analyzer)
+   */
+  drawGrid() {
+    const analyzer = this.analyzer;
+    const ctx = analyzer.ctx;
+    const step = this.deviationRange / 4;
+    ctx.lineWidth = 1;
+    for (let dB = -this.deviationRange; dB <= this.deviationRange; dB += step) {
+      const y = this.deviationToPixel(dB);
+      ctx.strokeStyle = dB === 0 ? '#555' : '#333';
+      ctx.beginPath();
+      ctx.moveTo(analyzer.plotLeft, y);
+      ctx.lineTo(analyzer.plotRight, y);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Draw the deviation (dB) ruler along the left edge of the plot
+   */
+  drawRuler() {
+    const ctx = this.analyzer.ctx;
+    const step = this.deviationRange / 4;
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let dB = -this.deviationRange; dB <= this.deviationRange; dB += step) {
+      ctx.fillText(dB > 0 ? `+${dB}` : `${dB}`, this.analyzer.plotLeft - 2, this.deviationToPixel(dB));
+    }
+  }
+
+  /**
+   * Draw a centred message in the plot area
+   * @param {string} message - Text to show
+   */
+  drawMessage(message) {
+    const analyzer = this.analyzer;
+    const ctx = analyzer.ctx;
+    ctx.fillStyle = '#aaa';
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(message, analyzer.plotLeft + analyzer.plotWidth / 2, analyzer.plotTop + analyzer.plotHeight / 2);
+  }
+
+  /**
+   * Format curve points for the point editor (one "frequency dB" pair per line)
+   * @param {Array<{frequency: number, dB: number}>} points - Curve points
+   * @returns {string} Editor text
+   */
+  static formatPoints(points) {
+    return points.map((point) => `${point.frequency} ${point.dB}`).join('\n');
+  }
+}
+
+// Deviation view ranges in dB
+TargetCurve.RANGES = [6, 12, 24];
+
+// Smoothing of the measured trace in octaves
+TargetCurve.SMOOTHING_OCTAVES = 1 / 6;
+
+// Overlay colour of the target and its tolerance band
+TargetCurve.COLOR = '#00e5ff';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TargetCurve;
+}
@@ -0,0 +1,751 @@
+/**
+ * TransferFunctionEngine - Dual-channel FFT analysis (reference vs measurement)
+ *
+ * Collects the two input channels, optionally delays one of them so the reference
+ * lines up with the measurement, and every half frame computes Hann-windowed FFTs of
+ * both. The auto spectra (Gxx, Gyy) and the cross spectrum (Gxy = conj(X)·Y) are
+ * averaged over the last `averages` frames (a true mean while filling, then an
+ * exponential average) and handed to onSpectra. Runs on the audio thread when loaded
+ * as an AudioWorklet module, or on the main thread from a ScriptProcessorNode.
+ */
+class TransferFunctionEngine {
+  /**
+   * @param {number} fftSize - FFT length (power of two)
+   * @param {Function} onSpectra - Called with { gxx, gyy, gxyRe, gxyIm, frames } after each frame
+   */
+  constructor(fftSize, onSpectra) {
+    this.fftSize = fftSize;
+    this.hopSize = fftSize / 2;                // 50% overlap
+    this.onSpectra = onSpectra;
+
+    // === SETTINGS ===
+    this.enabled = true;                       // Skip all work while the transfer view is hidden
+    this.referenceChannel = 0;                 // Input channel used as reference (0 = left, 1 = right)
+    this.averages = 16;                        // Number of frames averaged
+    this.maxDelay = fftSize;                   // Largest alignment delay in samples (either direction)
+    this.delay = 0;                            // > 0 delays the reference, < 0 delays the measurement
+
+    // Hann window
+    this.window = new Float32Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize);
+    }
+
+    // === INPUT HISTORY ===
+    // Ring buffers long enough for one frame plus the largest delay
+    this.ringSize = fftSize + this.maxDelay;
+    this.referenceRing = new Float32Array(this.ringSize);
+    this.measurementRing = new Float32Array(this.ringSize);
+    this.writeIndex = 0;
+    this.samplesSinceFrame = 0;
+    this.samplesSeen = 0;
+
+    // === FFT WORK BUFFERS ===
+    this.refRe = new Float64Array(fftSize);
+    this.refIm = new Float64Array(fftSize);
+    this.measRe = new Float64Array(fftSize);
+    this.measIm = new Float64Array(fftSize);
+
+    // === AVERAGED SPECTRA ===
+    const bins = fftSize / 2 + 1;
+    this.gxx = new Float64Array(bins);
+    this.gyy = new Float64Array(bins);
+    this.gxyRe = new Float64Array(bins);
+    this.gxyIm = new Float64Array(bins);
+    this.frames = 0;
+  }
+
+  /**
+   * Set the alignment delay and restart averaging
+   * @param {number} samples - > 0 delays the reference, < 0 delays the measurement
+   */
+  setDelay(samples) {
+    this.delay = Math.max(-this.maxDelay, Math.min(this.maxDelay, Math.round(samples)));
+    this.reset();
+  }
+
+  /**
+   * Set the number of averaged frames
+   * @param {number} averages - Frame count (1 = no averaging)
+   */
+  setAverages(averages) {
+    this.averages = Math.max(1, Math.round(averages));
+  }
+
+  /**
+   * Discard the averaged spectra (input history is kept)
+   */
+  reset() {
+    this.gxx.fill(0);
+    this.gyy.fill(0);
+    this.gxyRe.fill(0);
+    this.gxyIm.fill(0);
+    this.frames = 0;
+  }
+
+  /**
+   * Process one block of input channels
+   * Mono blocks use the single channel for both reference and measurement.
+   * @param {Array<Float32Array>} channels - Input channel data
+   */
+  processChannels(channels) {
+    if (channels.length === 0) return;
+    const reference = channels[Math.min(this.referenceChannel, channels.length - 1)];
+    const measurement = channels[Math.min(1 - this.referenceChannel, channels.length - 1)];
+    this.process(reference, measurement);
+  }
+
+  /**
+   * Process one block of reference and measurement samples
+   * @param {Float32Array} reference - Reference channel samples
+   * @param {Float32Array} measurement - Measurement channel samples
+   */
+  process(reference, measurement) {
+    if (!this.enabled) return;
+
+    for (let i = 0; i < reference.length; i++) {
+      this.referenceRing[this.writeIndex] = reference[i];
+      this.measurementRing[this.writeIndex] = measurement[i];
+      this.writeIndex = (this.writeIndex + 1) % this.ringSize;
+      this.samplesSeen++;
+
+      if (++this.samplesSinceFrame >= this.hopSize) {
+        this.samplesSinceFrame = 0;
+        if (this.samplesSeen >= this.fftSize + Math.abs(this.delay)) {
+          this.analyzeFrame();
+        }
+      }
+    }
+  }
+
+  /**
+   * Window and transform the latest frame and update the averaged spectra
+   */
+  analyzeFrame() {
+    const n = this.fftSize;
+    const referenceStart = this.writeIndex - n - Math.max(this.delay, 0) + 2 * this.ringSize;
+    const measurementStart = this.writeIndex - n - Math.max(-this.delay, 0) + 2 * this.ringSize;
+
+    for (let i = 0; i < n; i++) {
+      this.refRe[i] = this.referenceRing[(referenceStart + i) % this.ringSize] * this.window[i];
+      this.measRe[i] = this.measurementRing[(measurementStart + i) % this.ringSize] * this.window[i];
+    }
+    this.refIm.fill(0);
+    this.measIm.fill(0);
+    TransferFunctionEngine.fft(this.refRe, this.refIm);
+    TransferFunctionEngine.fft(this.measRe, this.measIm);
+
+    // Mean over the first `averages` frames, exponential average afterwards
+    this.frames++;
+    const alpha = 1 / Math.min(this.frames, this.averages);
+
+    for (let k = 0; k < this.gxx.length; k++) {
+      const xr = this.refRe[k], xi = this.refIm[k];
+      const yr = this.measRe[k], yi = this.measIm[k];
+      this.gxx[k] += alpha * (xr * xr + xi * xi - this.gxx[k]);
+      this.gyy[k] += alpha * (yr * yr + yi * yi - this.gyy[k]);
+      this.gxyRe[k] += alpha * (xr * yr + xi * yi - this.gxyRe[k]);   // conj(X)·Y
+      this.gxyIm[k] += alpha * (xr * yi - xi * yr - this.gxyIm[k]);
+    }
+
+    this.onSpectra({
+      gxx: Float32Array.from(this.gxx),
+      gyy: Float32Array.from(this.gyy),
+      gxyRe: Float32Array.from(this.gxyRe),
+      gxyIm: Float32Array.from(this.gxyIm),
+      frames: this.frames
+    });
+  }
+
+  /**
+   * In-place iterative radix-2 FFT
+   * @param {Float64Array} re - Real parts (length must be a power of two)
+   * @param {Float64Array} im - Imaginary parts
+   */
+  static fft(re, im) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) {
+        j ^= bit;
+      }
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+      const angle = -2 * Math.PI / size;
+      const stepRe = Math.cos(angle), stepIm = Math.sin(angle);
+      for (let start = 0; start < n; start += size) {
+        let wRe = 1, wIm = 0;
+        for (let k = 0; k < size / 2; k++) {
+          const a = start + k;
+          const b = a + size / 2;
+          const tRe = re[b] * wRe - im[b] * wIm;
+          const tIm = re[b] * wIm + im[b] * wRe;
+          re[b] = re[a] - tRe;
+          im[b] = im[a] - tIm;
+          re[a] += tRe;
+          im[a] += tIm;
+          const nextRe = wRe * stepRe - wIm * stepIm;
+          wIm = wRe * stepIm + wIm * stepRe;
+          wRe = nextRe;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * TransferFunction - Transfer function view (magnitude, phase and coherence)
+ *
+ * Receives averaged spectra from a TransferFunctionEngine and derives
+ * H = Gxy / Gxx and coherence γ² = |Gxy|² / (Gxx·Gyy). The plot area is split into a
+ * magnitude pane (with coherence drawn along its top) and a phase pane below, both on
+ * the analyzer's logarithmic frequency axis. Magnitude is drawn faintly where coherence
+ * is low, since those bins are dominated by noise or reflections.
+ */
+class TransferFunction {
+  constructor(analyzer) {
+    // Reference to the main analyzer for accessing canvas context, plot area and frequency range
+    this.analyzer = analyzer;
+
+    // === ANALYSIS SETTINGS ===
+    this.fftSize = 16384;               // Engine FFT length (~0.34 s at 48 kHz, ~3 Hz resolution)
+    this.sampleRate = 48000;            // Updated when the engine is created
+    this.referenceChannel = 'left';     // 'left' or 'right' input is the reference
+    this.averages = 16;                 // Frames averaged by the engine
+    this.delaySamples = 0;              // Alignment delay applied by the engine
+
+    // === DISPLAY SETTINGS ===
+    this.magnitudeRange = 24;           // Magnitude pane spans ±magnitudeRange dB
+    this.magnitudeFraction = 0.62;      // Share of the plot height used by the magnitude pane
+    this.paneGap = 8;                   // Gap between the magnitude and phase panes
+    this.coherenceThreshold = 0.5;      // Magnitude is drawn faintly below this coherence
+
+    // === STATE ===
+    this.engine = null;                 // { setDelay(n), setAverages(n), setReferenceChannel(c), setEnabled(b), reset() }
+    this.spectra = null;                // Latest averaged spectra from the engine
+    this.response = null;               // Per-bin { re, im, coherence }
+    this.held = null;                   // Per-bin held response while the Hold button is active
+    this.pixelBins = null;              // Cached bin ranges per plot pixel
+    this.pixelBinsKey = '';             // Cache key for pixelBins (layout + frequency range + FFT)
+  }
+
+  /**
+   * Attach the engine controller created by the analyzer and push the current settings to it
+   * @param {object} engine - Engine controller (worklet port wrapper or direct engine wrapper)
+   * @param {number} sampleRate - Running sample rate in Hz
+   */
+  attachEngine(engine, sampleRate) {
+    this.engine = engine;
+    this.sampleRate = sampleRate;
+    this.spectra = null;
+    this.response = null;
+    if (engine) {
+      engine.setReferenceChannel(this.referenceChannel === 'right' ? 1 : 0);
+      engine.setAverages(this.averages);
+      engine.setDelay(this.delaySamples);
+    }
+  }
+
+  /**
+   * Enable or pause analysis in the engine (only needed while the view is shown)
+   * @param {boolean} enabled - Whether the engine should analyse
+   */
+  setActive(enabled) {
+    if (this.engine) {
+      this.engine.setEnabled(enabled);
+    }
+  }
+
+  /**
+   * Select which input channel is the reference
+   * @param {string} channel - 'left' or 'right'
+   */
+  setReferenceChannel(channel) {
+    if (channel !== 'left' && channel !== 'right') return;
+    this.referenceChannel = channel;
+    this.response = null;
+    if (this.engine) {
+      this.engine.setReferenceChannel(channel === 'right' ? 1 : 0);
+      this.engine.reset();
+    }
+  }
+
+  /**
+   * Set the number of averaged frames
+   * @param {number} averages - Frame count
+   */
+  setAverages(averages) {
+    this.averages = Math.max(1, Math.round(averages));
+    if (this.engine) {
+      this.engine.setAverages(this.averages);
+    }
+  }
+
+  /**
+   * Set the magnitude pane range
+   * @param {number} range - Pane spans ±range dB
+   */
+  setMagnitudeRange(range) {
+    this.magnitudeRange = Math.max(6, Math.min(60, range));
+  }
+
+  /**
+   * Set the alignment delay applied to the reference (negative delays the measurement)
+   * @param {number} samples - Delay in samples
+   */
+  setDelay(samples) {
+    this.delaySamples = Math.round(samples);
+    this.response = null;
+    if (this.engine) {
+      this.engine.setDelay(this.delaySamples);
+    }
+  }
+
+  /**
+   * Receive averaged spectra from the engine
+   * @param {object} spectra - { gxx, gyy, gxyRe, gxyIm, frames }
+   */
+  setSpectra(spectra) {
+    this.spectra = spectra;
+    this.response = TransferFunction.compute(spectra);
+  }
+
+  /**
+   * Transfer function and coherence per bin
+   * @param {object} spectra - { gxx, gyy, gxyRe, gxyIm }
+   * @returns {{re: Float32Array, im: Float32Array, coherence: Float32Array}} H = Gxy/Gxx and γ²
+   */
+  static compute(spectra) {
+    const { gxx, gyy, gxyRe, gxyIm } = spectra;
+    const bins = gxx.length;
+    const re = new Float32Array(bins);
+    const im = new Float32Array(bins);
+    const coherence = new Float32Array(bins);
+
+    for (let k = 0; k < bins; k++) {
+      if (gxx[k] <= 0) continue;        // No reference energy: H undefined, leave at zero
+      re[k] = gxyRe[k] / gxx[k];
+      im[k] = gxyIm[k] / gxx[k];
+      if (gyy[k] > 0) {
+        const cross = gxyRe[k] * gxyRe[k] + gxyIm[k] * gxyIm[k];
+        coherence[k] = Math.min(1, cross / (gxx[k] * gyy[k]));
+      }
+    }
+
+    return { re, im, coherence };
+  }
+
+  /**
+   * Find the delay of the measurement relative to the reference
+   * Uses the phase transform (PHAT) weighted cross-correlation: the inverse FFT of
+   * Gxy/|Gxy| has a sharp peak at the lag regardless of the system's magnitude response.
+   * @param {object} spectra - { gxyRe, gxyIm } with fftSize/2 + 1 bins
+   * @returns {number} Lag in samples (positive = measurement arrives after the reference)
+   */
+  static findDelay(spectra) {
+    const bins = spectra.gxyRe.length;
+    const n = (bins - 1) * 2;
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+
+    // Build the full conjugate-symmetric spectrum, conjugated so the forward FFT acts as an inverse
+    for (let k = 0; k < bins; k++) {
+      const magnitude = Math.hypot(spectra.gxyRe[k], spectra.gxyIm[k]);
+      if (magnitude === 0) continue;
+      re[k] = spectra.gxyRe[k] / magnitude;
+      im[k] = -spectra.gxyIm[k] / magnitude;
+      if (k > 0 && k < bins - 1) {
+        re[n - k] = re[k];
+        im[n - k] = -im[k];
+      }
+    }
+    TransferFunctionEngine.fft(re, im);
+
+    let peakIndex = 0;
+    for (let i = 1; i < n; i++) {
+      if (re[i] > re[peakIndex]) {
+        peakIndex = i;
+      }
+    }
+    return peakIndex <= n / 2 ? peakIndex : peakIndex - n;
+  }
+
+  /**
+   * Measure the remaining delay and add it to the alignment
+   * @returns {number|null} New total delay in samples, or null if no data is available yet
+   */
+  alignDelay() {
+    if (!this.spectra) return null;
+    this.setDelay(this.delaySamples + TransferFunction.findDelay(this.spectra));
+    return this.delaySamples;
+  }
+
+  /**
+   * Update the held response for the Hold button
+   * Peak (latch) keeps the bin with the largest magnitude, Average applies the same
+   * exponential average as the spectrum hold to the complex response.
+   * @param {string|null} mode - 'latch', 'average' or null when hold is off
+   * @param {number} alpha - Average mode smoothing factor
+   */
+  updateHeld(mode, alpha) {
+    if (!mode) {
+      this.held = null;
+      return;
+    }
+    if (!this.response) return;
+
+    const live = this.response;
+    if (!this.held || this.held.re.length !== live.re.length) {
+      this.held = { re: Float32Array.from(live.re), im: Float32Array.from(live.im), coherence: Float32Array.from(live.coherence) };
+      return;
+    }
+
+    const held = this.held;
+    for (let k = 0; k < live.re.length; k++) {
+      if (mode === 'latch') {
+        if (live.re[k] * live.re[k] + live.im[k] * live.im[k] > held.re[k] * held.re[k] + held.im[k] * held.im[k]) {
+          held.re[k] = live.re[k];
+          held.im[k] = live.im[k];
+          held.coherence[k] = live.coherence[k];
+        }
+      } else {
+        held.re[k] += alpha * (live.re[k] - held.re[k]);
+        held.im[k] += alpha * (live.im[k] - held.im[k]);
+        held.coherence[k] += alpha * (live.coherence[k] - held.coherence[k]);
+      }
+    }
+  }
+
+  /**
+   * Copy of the current response for a freeze button
+   * @returns {object|null} { re, im, coherence } or null if no data yet
+   */
+  snapshot() {
+    if (!this.response) return null;
+    return {
+      re: Float32Array.from(this.response.re),
+      im: Float32Array.from(this.response.im),
+      coherence: Float32Array.from(this.response.coherence)
+    };
+  }
+
+  /**
+   * Pane geometry inside the plot area
+   * @returns {{magnitudeTop: number, magnitudeBottom: number, phaseTop: number, phaseBottom: number}}
+   */
+  getPanes() {
+    const analyzer = this.analyzer;
+    const magnitudeBottom = analyzer.plotTop + (analyzer.plotHeight - this.paneGap) * this.magnitudeFraction;
+    return {
+      magnitudeTop: analyzer.plotTop,
+      magnitudeBottom,
+      phaseTop: magnitudeBottom + this.paneGap,
+      phaseBottom: analyzer.plotBottom
+    };
+  }
+
+  /**
+   * FFT bin ranges covered by each plot pixel (cached per layout)
+   * @returns {Array<{x: number, first: number, last: number}>}
+   */
+  getPixelBins() {
+    const analyzer = this.analyzer;
+    const key = `${analyzer.plotLeft}:${analyzer.plotWidth}:${analyzer.minFreq}:${analyzer.maxFreq}:${this.sampleRate}:${this.fftSize}`;
+    if (this.pixelBins && this.pixelBinsKey === key) {
+      return this.pixelBins;
+    }
+
+    const binWidth = this.sampleRate / this.fftSize;
+    const lastBin = this.fftSize / 2;
+    const logRange = Math.log10(analyzer.maxFreq / analyzer.minFreq);
+    const toFrequency = (x) => analyzer.minFreq * Math.pow(10, (x - analyzer.plotLeft) / analyzer.plotWidth * logRange);
+    const pixels = [];
+
+    for (let x = analyzer.plotLeft; x <= analyzer.plotRight; x++) {
+      let first = Math.ceil(toFrequency(x - 0.5) / binWidth);
+      let last = Math.min(lastBin, Math.floor(toFrequency(x + 0.5) / binWidth));
+      if (last < first) {
+        // Pixel narrower than a bin: use the bin containing the pixel centre
+        first = last = Math.min(lastBin, Math.round(toFrequency(x) / binWidth));
+      }
+      pixels.push({ x, first, last });
+    }
+
+    this.pixelBins = pixels;
+    this.pixelBinsKey = key;
+    return pixels;
+  }
+
+  /**
+   * Reduce a per-bin response to one point per pixel (complex average of the covered bins)
+   * @param {object} response - { re, im, coherence }
+   * @returns {Array<{x: number, magnitude: number, phase: number, coherence: number}>} dB, degrees, 0-1
+   */
+  getPixelTrace(response) {
+    return this.getPixelBins().map(({ x, first, last }) => {
+      let re = 0, im = 0, coherence = 0;
+      for (let k = first; k <= last; k++) {
+        re += response.re[k];
+        im += response.im[k];
+        coherence += response.coherence[k];
+      }
+      const count = last - first + 1;
+      const magnitude = Math.hypot(re / count, im / count);
+      return {
+        x,
+        magnitude: magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity,
+        phase: Math.atan2(im, re) * 180 / Math.PI,
+        coherence: coherence / count
+      };
+    });
+  }
+
+  /**
+   * Magnitude and phase at a plot x position (for the click readout)
+   * @param {number} x - Canvas x coordinate
+   * @returns {{magnitude: number, phase: number, coherence: number}|null}
+   */
+  valueAt(x) {
+    if (!this.response) return null;
+    const trace = this.getPixelTrace(this.response);
+    const point = trace[Math.max(0, Math.min(trace.length - 1, Math.round(x - this.analyzer.plotLeft)))];
+    return point || null;
+  }
+
+  /**
+   * Convert a magnitude in dB to a y coordinate in the magnitude pane
+   * @param {number} magnitudeDB - Magnitude in dB
+   * @param {object} panes - Pane geometry from getPanes()
+   * @returns {number} Canvas y coordinate
+   */
+  magnitudeToPixel(magnitudeDB, panes) {
+    const clamped = Math.max(-this.magnitudeRange, Math.min(this.magnitudeRange, magnitudeDB));
+    const normalized = (clamped + this.magnitudeRange) / (2 * this.magnitudeRange);
+    return panes.magnitudeBottom - normalized * (panes.magnitudeBottom - panes.magnitudeTop);
+  }
+
+  /**
+   * Convert a phase in degrees to a y coordinate in the phase pane
+   * @param {number} phaseDegrees - Phase in degrees (-180 to +180)
+   * @param {object} panes - Pane geometry from getPanes()
+   * @returns {number} Canvas y coordinate
+   */
+  phaseToPixel(phaseDegrees, panes) {
+    return panes.phaseBottom - (phaseDegrees + 180) / 360 * (panes.phaseBottom - panes.phaseTop);
+  }
+
+  /**
+   * Draw the transfer function view: grid, live (or held) traces, freeze traces and status
+   * @param {Array<{response: object, color: string}>} frozen - Freeze captures to overlay
+   */
+  draw(frozen = []) {
+    const ctx = this.analyzer.ctx;
+    const panes = this.getPanes();
+
+    this.drawGrid(panes);
+
+    if (!this.analyzer.isStereoInput) {
+      this.drawMessage('Transfer function needs a stereo input (reference + measurement)', panes);
+      return;
+    }
+    if (!this.response) {
+      this.drawMessage('Waiting for data...', panes);
+      return;
+    }
+
+    // === FREEZE TRACES ===
+    frozen.forEach(({ response, color }) => {
+      this.drawTrace(this.getPixelTrace(response), panes, { color, alpha: 0.8, showCoherence: false });
+    });
+
+    // === LIVE AND HELD TRACES ===
+    // As in the spectrum view, the held trace is drawn solid and the live trace at 25%
+    const live = this.getPixelTrace(this.response);
+    if (this.held) {
+      this.drawTrace(live, panes, { color: '#4caf50', alpha: 0.25, showCoherence: false });
+      this.drawTrace(this.getPixelTrace(this.held), panes, { color: '#4caf50', alpha: 1, showCoherence: true });
+    } else {
+      this.drawTrace(live, panes, { color: '#4caf50', alpha: 1, showCoherence: true });
+    }
+
+    // === STATUS ===
+    ctx.fillStyle = '#aaa';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    const delayMs = this.delaySamples / this.sampleRate * 1000;
+    ctx.fillText(
+      `Ref ${this.referenceChannel === 'left' ? 'L' : 'R'}  Delay ${delayMs.toFixed(2)} ms  Avg ${Math.min(this.spectra.frames, this.averages)}/${this.averages}`,
+      this.analyzer.plotRight - 6, panes.magnitudeTop + 4
+    );
+  }
+
+  /**
+   * Draw magnitude, phase and optional coherence for one pixel trace
+   * @param {Array<object>} trace - Pixel trace from getPixelTrace()
+   * @param {object} panes - Pane geometry
+   * @param {{color: string, alpha: number, showCoherence: boolean}} style - Trace style
+   */
+  drawTrace(trace, panes, style) {
+    const ctx = this.analyzer.ctx;
+    ctx.lineWidth = style.alpha >= 1 ? 2 : 1;
+    ctx.strokeStyle = style.color;
+
+    // === COHERENCE (0 at the bottom of the magnitude pane, 1 at the top) ===
+    if (style.showCoherence) {
+      ctx.globalAlpha = 0.7;
+      ctx.strokeStyle = '#e91e63';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      trace.forEach((point, i) => {
+        const y = panes.magnitudeBottom - point.coherence * (panes.magnitudeBottom - panes.magnitudeTop);
+        if (i === 0) ctx.moveTo(point.x, y); else ctx.lineTo(point.x, y);
+      });
+      ctx.stroke();
+      ctx.strokeStyle = style.color;
+      ctx.lineWidth = style.alpha >= 1 ? 2 : 1;
+    }
+
+    // === MAGNITUDE ===
+    // Coherent and low-coherence sections go into separate paths so each is stroked once
+    const coherent = new Path2D();
+    const incoherent = new Path2D();
+    for (let i = 1; i < trace.length; i++) {
+      const a = trace[i - 1];
+      const b = trace[i];
+      if (!isFinite(a.magnitude) || !isFinite(b.magnitude)) continue;
+      const path = b.coherence >= this.coherenceThreshold ? coherent : incoherent;
+      path.moveTo(a.x, this.magnitudeToPixel(a.magnitude, panes));
+      path.lineTo(b.x, this.magnitudeToPixel(b.magnitude, panes));
+    }
+    ctx.globalAlpha = style.alpha;
+    ctx.stroke(coherent);
+    ctx.globalAlpha = style.alpha * 0.3;
+    ctx.stroke(incoherent);
+
+    // === PHASE (wrapped to ±180°, no line drawn across a wrap) ===
+    ctx.globalAlpha = style.alpha;
+    ctx.beginPath();
+    trace.forEach((point, i) => {
+      const y = this.phaseToPixel(point.phase, panes);
+      if (i === 0 || Math.abs(point.phase - trace[i - 1].phase) > 180 || point.coherence < this.coherenceThreshold) {
+        ctx.moveTo(point.x, y);
+      } else {
+        ctx.lineTo(point.x, y);
+      }
+    });
+    ctx.stroke();
+    ctx.globalAlpha = 1.0;
+  }
+
+  /**
+   * Draw horizontal grid lines for both panes (the frequency grid is drawn by the analyzer)
+   * @param {object} panes - Pane geometry
+   */
+  drawGrid(panes) {
+    const ctx = this.analyzer.ctx;
+    const step = this.magnitudeRange > 30 ? 12 : 6;
+    ctx.lineWidth = 1;
+
+    for (let dB = -this.magnitudeRange; dB <= this.magnitudeRange; dB += step) {
+      const y = this.magnitudeToPixel(dB, panes);
+      ctx.strokeStyle = dB === 0 ? '#555' : '#333';
+      ctx.beginPath();
+      ctx.moveTo(this.analyzer.plotLeft, y);
+      ctx.lineTo(this.analyzer.plotRight, y);
+      ctx.stroke();
+    }
+    for (let degrees = -180; degrees <= 180; degrees += 90) {
+      const y = this.phaseToPixel(degrees, panes);
+      ctx.strokeStyle = degrees === 0 ? '#555' : '#333';
+      ctx.beginPath();
+      ctx.moveTo(this.analyzer.plotLeft, y);
+      ctx.lineTo(this.analyzer.plotRight, y);
+      ctx.stroke();
+    }
+
+    // Separator between the panes
+    ctx.fillStyle = '#111';
+    ctx.fillRect(this.analyzer.plotLeft, panes.magnitudeBottom + 1, this.analyzer.plotWidth, this.paneGap - 2);
+  }
+
+  /**
+   * Draw the magnitude (dB) and phase (degrees) rulers along the left edge of the plot
+   */
+  drawRuler() {
+    const ctx = this.analyzer.ctx;
+    const panes = this.getPanes();
+    const step = this.magnitudeRange > 30 ? 12 : 6;
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let dB = -this.magnitudeRange; dB <= this.magnitudeRange; dB += step) {
+      ctx.fillText(dB > 0 ? `+${dB}` : `${dB}`, this.analyzer.plotLeft - 2, this.magnitudeToPixel(dB, panes));
+    }
+    for (let degrees = -180; degrees <= 180; degrees += 90) {
+      ctx.fillText(`${degrees}°`, this.analyzer.plotLeft - 2, this.phaseToPixel(degrees, panes));
+    }
+  }
+
+  /**
+   * Draw a centred message in the magnitude pane
+   * @param {string} message - Text to show
+   * @param {object} panes - Pane geometry
+   */
+  drawMessage(message, panes) {
+    const ctx = this.analyzer.ctx;
+    ctx.fillStyle = '#aaa';
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(message, this.analyzer.plotLeft + this.analyzer.plotWidth / 2, (panes.magnitudeTop + panes.magnitudeBottom) / 2);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TransferFunction, TransferFunctionEngine };
+}
+
+// === AUDIO WORKLET REGISTRATION ===
+// When loaded with audioWorklet.addModule(), run the dual-channel FFT engine on the audio
+// thread and post the averaged spectra to the main thread. Settings arrive as port messages.
+if (typeof registerProcessor === 'function') {
+  class TransferFunctionWorkletProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+      this.engine = new TransferFunctionEngine(
+        options.processorOptions.fftSize,
+        (spectra) => this.port.postMessage(spectra)
+      );
+      this.port.onmessage = (event) => {
+        const message = event.data;
+        if (message.delay !== undefined) this.engine.setDelay(message.delay);
+        if (message.averages !== undefined) this.engine.setAverages(message.averages);
+        if (message.referenceChannel !== undefined) this.engine.referenceChannel = message.referenceChannel;
+        if (message.enabled !== undefined) this.engine.enabled = message.enabled;
+        if (message.reset) this.engine.reset();
+      };
+    }
+
+    process(inputs) {
+      const input = inputs[0];
+      if (input && input.length > 0) {
+        this.engine.processChannels(input);
+      }
+      return true;
+    }
+  }
+
+  registerProcessor('transfer-function-processor', TransferFunctionWorkletProcessor);
+}
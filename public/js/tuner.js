@@ -0,0 +1,241 @@
+/**
+ * PitchTuner - Real-time pitch detection with note name, octave and cents deviation
+ *
+ * Detects the fundamental of the left (or mid) meter block with the McLeod Pitch
+ * Method: the normalised square difference function
+ *   NSDF(τ) = 2·r(τ) / Σ(x[j]² + x[j+τ]²)
+ * is computed from an FFT autocorrelation r(τ), and the first key maximum within
+ * PEAK_THRESHOLD of the highest one gives the period (refined by parabolic
+ * interpolation). Taking the first rather than the highest maximum avoids octave errors
+ * on tones with strong harmonics. Notes are equal-tempered relative to the reference A4.
+ */
+class PitchTuner {
+  constructor() {
+    // === SETTINGS ===
+    this.enabled = false;               // Detect the pitch and show the tuner panel
+    this.noteGrid = false;              // Note grid and piano keys on the frequency axis instead of Hz
+    this.referenceA4 = 440;             // Concert pitch in Hz
+
+    // === STATE ===
+    this.result = null;                 // { frequency, clarity, note } of the last detection (null without a clear pitch)
+    this.lastUpdate = 0;                // Timestamp of the last detection in ms
+  }
+
+  /**
+   * Switch pitch detection on or off
+   * @param {boolean} enabled - Whether to detect
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    this.result = null;
+  }
+
+  /**
+   * Show notes instead of Hz on the frequency axis
+   * @param {boolean} enabled - Note grid state
+   */
+  setNoteGrid(enabled) {
+    this.noteGrid = !!enabled;
+  }
+
+  /**
+   * Set the reference pitch (limited to REFERENCE_RANGE)
+   * @param {number} frequency - A4 in Hz
+   */
+  setReferenceA4(frequency) {
+    if (!Number.isFinite(frequency)) return;
+    const [min, max] = PitchTuner.REFERENCE_RANGE;
+    this.referenceA4 = Math.max(min, Math.min(max, frequency));
+    if (this.result) {
+      this.result.note = PitchTuner.noteFromFrequency(this.result.frequency, this.referenceA4);
+    }
+  }
+
+  /**
+   * Detect the pitch of the latest samples when the update interval has passed
+   * @param {Float32Array} samples - Time-domain block (the last BLOCK_SIZE samples are used)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} now - Current time in ms
+   */
+  update(samples, sampleRate, now = Date.now()) {
+    if (!this.enabled || now - this.lastUpdate < PitchTuner.UPDATE_INTERVAL) {
+      return;
+    }
+    this.lastUpdate = now;
+    const block = samples.subarray(Math.max(0, samples.length - PitchTuner.BLOCK_SIZE));
+    const pitch = PitchTuner.detect(block, sampleRate);
+    this.result = pitch ? { ...pitch, note: PitchTuner.noteFromFrequency(pitch.frequency, this.referenceA4) } : null;
+  }
+
+  /**
+   * Find the fundamental frequency of a block (McLeod Pitch Method)
+   * @param {Float32Array} samples - Time-domain block
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {object|null} { frequency, clarity } with clarity the NSDF peak (1 = perfectly periodic);
+   *   null for silence, noise or a pitch outside FREQUENCY_RANGE
+   */
+  static detect(samples, sampleRate) {
+    const size = samples.length;
+
+    // === REMOVE DC AND CHECK THE LEVEL ===
+    let mean = 0;
+    for (let i = 0; i < size; i++) {
+      mean += samples[i];
+    }
+    mean /= size;
+    const x = new Float64Array(size);
+    let energy = 0;
+    for (let i = 0; i < size; i++) {
+      x[i] = samples[i] - mean;
+      energy += x[i] * x[i];
+    }
+    if (size === 0 || energy / size < PitchTuner.MIN_RMS * PitchTuner.MIN_RMS) {
+      return null;
+    }
+
+    // === AUTOCORRELATION (ZERO-PADDED FFT, NO CIRCULAR WRAP) ===
+    let fftSize = 1;
+    while (fftSize < 2 * size) fftSize <<= 1;
+    const re = new Float64Array(fftSize);
+    const im = new Float64Array(fftSize);
+    re.set(x);
+    TransferFunctionEngine.fft(re, im);
+    for (let k = 0; k < fftSize; k++) {
+      re[k] = re[k] * re[k] + im[k] * im[k];
+      im[k] = 0;
+    }
+    TransferFunctionEngine.fft(re, im);   // Real and symmetric: the forward transform is the inverse × fftSize
+
+    // === NORMALISED SQUARE DIFFERENCE FUNCTION ===
+    const minLag = Math.max(2, Math.floor(sampleRate / PitchTuner.FREQUENCY_RANGE[1]));
+    const maxLag = Math.min(Math.floor(size / 2), Math.ceil(sampleRate / PitchTuner.FREQUENCY_RANGE[0]));
+    const nsdf = new Float64Array(maxLag + 2);
+    let m = 2 * energy;
+    for (let tau = 0; tau < nsdf.length; tau++) {
+      if (tau > 0) {
+        m -= x[tau - 1] * x[tau - 1] + x[size - tau] * x[size - tau];
+      }
+      nsdf[tau] = m > 0 ? 2 * (re[tau] / fftSize) / m : 0;
+    }
+
+    // === KEY MAXIMA (ONE PER POSITIVE LOBE AFTER THE ZERO-LAG LOBE) ===
+    const maxima = [];
+    let tau = 1;
+    while (tau <= maxLag && nsdf[tau] > 0) tau++;
+    while (tau <= maxLag) {
+      while (tau <= maxLag && nsdf[tau] <= 0) tau++;
+      let best = -1;
+      while (tau <= maxLag && nsdf[tau] > 0) {
+        if (best < 0 || nsdf[tau] > nsdf[best]) best = tau;
+        tau++;
+      }
+      if (best >= minLag) maxima.push(best);
+    }
+    if (maxima.length === 0) {
+      return null;
+    }
+    const highest = Math.max(...maxima.map((lag) => nsdf[lag]));
+    const lag = maxima.find((candidate) => nsdf[candidate] >= PitchTuner.PEAK_THRESHOLD * highest);
+
+    // === PARABOLIC INTERPOLATION OF THE PERIOD ===
+    const a = nsdf[lag - 1];
+    const b = nsdf[lag];
+    const c = nsdf[lag + 1];
+    const denominator = a - 2 * b + c;
+    const shift = denominator < 0 ? Math.max(-0.5, Math.min(0.5, (a - c) / (2 * denominator))) : 0;
+    const clarity = b - (a - c) * shift / 4;
+    const frequency = sampleRate / (lag + shift);
+
+    if (clarity < PitchTuner.CLARITY_THRESHOLD ||
+        frequency < PitchTuner.FREQUENCY_RANGE[0] || frequency > PitchTuner.FREQUENCY_RANGE[1]) {
+      return null;
+    }
+    return { frequency, clarity };
+  }
+
+  /**
+   * Nearest equal-tempered note of a frequency
+   * @param {number} frequency - Frequency in Hz
+   * @param {number} referenceA4 - A4 in Hz
+   * @returns {object} { midi, name, octave, cents } with cents the deviation from the note (-50 to +50)
+   */
+  static noteFromFrequency(frequency, referenceA4 = 440) {
+    const exact = 69 + 12 * Math.log2(frequency / referenceA4);
+    const midi = Math.round(exact);
+    return {
+      midi,
+      name: PitchTuner.NOTE_NAMES[((midi % 12) + 12) % 12],
+      octave: Math.floor(midi / 12) - 1,
+      cents: (exact - midi) * 100
+    };
+  }
+
+  /**
+   * Frequency of an equal-tempered note
+   * @param {number} midi - MIDI note number (fractional values lie between notes)
+   * @param {number} referenceA4 - A4 in Hz
+   * @returns {number} Frequency in Hz
+   */
+  static noteFrequency(midi, referenceA4 = 440) {
+    return referenceA4 * Math.pow(2, (midi - 69) / 12);
+  }
+
+  /**
+   * Whether a MIDI note is a black piano key
+   * @param {number} midi - MIDI note number
+   * @returns {boolean} True for sharps
+   */
+  static isBlackKey(midi) {
+    return PitchTuner.NOTE_NAMES[((midi % 12) + 12) % 12].length > 1;
+  }
+
+  /**
+   * Format a note with its octave, e.g. "C#4"
+   * @param {object} note - Note from noteFromFrequency()
+   * @returns {string} Note name
+   */
+  static formatNote(note) {
+    return `${note.name}${note.octave}`;
+  }
+
+  /**
+   * Format a cents deviation with its sign, e.g. "+3 ¢"
+   * @param {number} cents - Deviation in cents
+   * @returns {string} Formatted deviation
+   */
+  static formatCents(cents) {
+    const rounded = Math.round(cents);
+    return `${rounded > 0 ? '+' : ''}${rounded} ¢`;
+  }
+}
+
+PitchTuner.NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Detectable pitch range in Hz (A0 to C8, the piano range)
+PitchTuner.FREQUENCY_RANGE = [27.5, 4186];
+
+// Selectable reference A4 in Hz (baroque 415 Hz to high orchestral tunings)
+PitchTuner.REFERENCE_RANGE = [415, 466];
+
+// Samples analysed per detection (85 ms at 48 kHz, two periods of A0)
+PitchTuner.BLOCK_SIZE = 4096;
+
+// First key maximum within this fraction of the highest is the period
+PitchTuner.PEAK_THRESHOLD = 0.9;
+
+// Minimum NSDF peak for a pitch to be shown (lower values are noise or chords)
+PitchTuner.CLARITY_THRESHOLD = 0.8;
+
+// Minimum RMS level (-60 dBFS) below which no pitch is detected
+PitchTuner.MIN_RMS = 0.001;
+
+// Deviation shown as in tune in cents
+PitchTuner.IN_TUNE_CENTS = 5;
+
+// Minimum time between detections in ms
+PitchTuner.UPDATE_INTERVAL = 100;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PitchTuner;
+}
@@ -0,0 +1,427 @@
+/**
+ * WaterfallView - Scrolling time/frequency heatmap for the spectrum analyzer
+ *
+ * Keeps a rolling history of spectrum frames and renders it as a waterfall inside the
+ * analyzer's plot area. Rows are pushed on a fixed clock of one row per 1/refreshRate
+ * seconds rather than one per animation frame: when frames are late or dropped the newest
+ * spectrum fills the missed rows, so every row spans the same time and the time ruler
+ * (placed from the row clock) stays true. The horizontal axis
+ * uses the same logarithmic frequency mapping as the line spectrum and the colour
+ * scale follows the analyzer's adjustable dB range (adjustableMinDB to maxDB).
+ * Stereo inputs are shown as two stacked panes (L/R or M/S), mono as one pane.
+ */
+class WaterfallView {
+  constructor(analyzer) {
+    // Reference to the main analyzer for accessing canvas context, plot area and dB range
+    this.analyzer = analyzer;
+
+    // === DISPLAY SETTINGS ===
+    this.historySeconds = 10;           // Length of visible history in seconds (5-60s)
+    this.colorMap = 'inferno';          // Active colour map name (see WaterfallView.COLOR_MAPS)
+    this.colorLUT = WaterfallView.buildColorLUT(this.colorMap);  // 256-entry RGB lookup table
+    this.paneGap = 6;                   // Vertical gap between stereo panes in pixels
+
+    // === HISTORY STATE ===
+    // Each channel has an offscreen canvas (columns x rows) that scrolls down by one row per
+    // 1/refreshRate seconds of clock time, independent of the frame rate, plus a ring buffer
+    // of dB values so clicks can read back the level under the cursor
+    this.columns = 0;                   // Number of frequency columns (one per plot pixel)
+    this.rows = 0;                      // Number of history rows (historySeconds * refreshRate)
+    this.panes = { left: null, right: null };  // { canvas, ctx, rowImage, history: Float32Array[], head }
+    this.rowTime = null;                // Clock time of the newest row in ms (null = no rows yet)
+    this.frameTime = null;              // Time of the last update in ms (the ruler is drawn for this time)
+    this.columnBins = null;             // Cached FFT bin ranges for each column
+    this.columnBinsKey = '';            // Cache key for columnBins (layout + FFT + frequency range)
+  }
+
+  /**
+   * Set the colour map used for new and existing rows
+   * @param {string} name - Colour map name
+   */
+  setColorMap(name) {
+    if (!WaterfallView.COLOR_MAPS[name]) {
+      return;
+    }
+    this.colorMap = name;
+    this.colorLUT = WaterfallView.buildColorLUT(name);
+    this.repaint();
+  }
+
+  /**
+   * Set the amount of history shown in the waterfall
+   * @param {number} seconds - History length in seconds
+   */
+  setHistoryLength(seconds) {
+    this.historySeconds = Math.max(1, seconds);
+    this.reset();
+  }
+
+  /**
+   * Discard all history; buffers are re-created on the next frame
+   */
+  reset() {
+    this.panes = { left: null, right: null };
+    this.columns = 0;
+    this.rows = 0;
+    this.rowTime = null;
+    this.frameTime = null;
+  }
+
+  /**
+   * @returns {number} Time covered by one history row in ms
+   */
+  getRowInterval() {
+    return 1000 / this.analyzer.refreshRate;
+  }
+
+  /**
+   * Make sure the offscreen buffers match the current plot width and history length
+   */
+  ensureBuffers() {
+    const columns = Math.max(1, Math.round(this.analyzer.plotWidth));
+    const rows = Math.max(2, Math.round(this.historySeconds * this.analyzer.refreshRate));
+
+    if (columns === this.columns && rows === this.rows && this.panes.left) {
+      return;
+    }
+
+    this.columns = columns;
+    this.rows = rows;
+    this.panes.left = this.createPane(columns, rows);
+    this.panes.right = this.createPane(columns, rows);
+    this.rowTime = null;
+  }
+
+  /**
+   * Create an offscreen pane with a cleared history
+   * @param {number} columns - Pane width in pixels
+   * @param {number} rows - Pane height in rows
+   * @returns {object} Pane state
+   */
+  createPane(columns, rows) {
+    const canvas = document.createElement('canvas');
+    canvas.width = columns;
+    canvas.height = rows;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = this.colorForLevel(0);
+    ctx.fillRect(0, 0, columns, rows);
+
+    const history = [];
+    for (let i = 0; i < rows; i++) {
+      history.push(new Float32Array(columns).fill(-Infinity));
+    }
+
+    return { canvas, ctx, rowImage: ctx.createImageData(columns, 1), history, head: 0 };
+  }
+
+  /**
+   * Add one spectrum frame to the history
+   * The frame fills every row clock tick since the previous row (none if it arrives early).
+   *
+   * @param {Float32Array} dataLeft - FFT data for left (or mid) channel in dB
+   * @param {Float32Array} dataRight - FFT data for right (or side) channel in dB
+   * @param {number} now - Frame time in ms
+   */
+  update(dataLeft, dataRight, now = Date.now()) {
+    this.ensureBuffers();
+    this.frameTime = now;
+
+    const interval = this.getRowInterval();
+    let count = 1;
+    if (this.rowTime === null) {
+      this.rowTime = now;
+    } else {
+      count = Math.floor((now - this.rowTime) / interval);
+      if (count < 1) return;
+      if (count >= this.rows) {
+        // Longer gap than the whole history (e.g. a hidden tab): restart the row clock
+        count = this.rows;
+        this.rowTime = now;
+      } else {
+        this.rowTime += count * interval;
+      }
+    }
+
+    const sampleRate = this.analyzer.audioContext.sampleRate;
+    this.pushRows(this.panes.left, this.computeRow(dataLeft, sampleRate, this.columns), count);
+    if (this.analyzer.isStereoInput) {
+      this.pushRows(this.panes.right, this.computeRow(dataRight, sampleRate, this.columns), count);
+    }
+  }
+
+  /**
+   * Scroll a pane down and paint the same row into the freed rows at the top
+   * @param {object} pane - Pane state
+   * @param {Float32Array} row - Calibrated dB value for each column
+   * @param {number} count - Number of rows to add (1 to this.rows)
+   */
+  pushRows(pane, row, count) {
+    for (let i = 0; i < count; i++) {
+      pane.head = (pane.head + 1) % this.rows;
+      pane.history[pane.head].set(row);
+    }
+
+    pane.ctx.drawImage(pane.canvas, 0, count);
+    for (let y = 0; y < count; y++) {
+      this.paintRow(pane, row, y);
+    }
+  }
+
+  /**
+   * Paint a row of dB values into a pane
+   * @param {object} pane - Pane state
+   * @param {Float32Array} row - Calibrated dB value for each column
+   * @param {number} y - Row index in the pane canvas
+   */
+  paintRow(pane, row, y) {
+    const pixels = pane.rowImage.data;
+    for (let x = 0; x < row.length; x++) {
+      const lutIndex = Math.round(this.normalizeLevel(row[x]) * 255) * 3;
+      pixels[x * 4] = this.colorLUT[lutIndex];
+      pixels[x * 4 + 1] = this.colorLUT[lutIndex + 1];
+      pixels[x * 4 + 2] = this.colorLUT[lutIndex + 2];
+      pixels[x * 4 + 3] = 255;
+    }
+    pane.ctx.putImageData(pane.rowImage, 0, y);
+  }
+
+  /**
+   * Redraw every stored row, e.g. after the colour map or dB range changed
+   */
+  repaint() {
+    for (const pane of [this.panes.left, this.panes.right]) {
+      if (!pane) continue;
+      for (let age = 0; age < this.rows; age++) {
+        const index = (pane.head - age + this.rows) % this.rows;
+        this.paintRow(pane, pane.history[index], age);
+      }
+    }
+  }
+
+  /**
+   * Convert FFT data into one calibrated dB value per frequency column
+   * Columns use the analyzer's logarithmic frequency mapping; when several bins fall
+   * into one column the loudest bin is used so narrow peaks stay visible
+   *
+   * @param {Float32Array} data - FFT data in dB
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @param {number} columns - Number of columns to produce
+   * @returns {Float32Array} Calibrated dB value per column
+   */
+  computeRow(data, sampleRate, columns) {
+    const bins = this.getColumnBins(data.length, sampleRate, columns);
+    const row = new Float32Array(columns);
+    const calibration = this.analyzer.amplitudeCalibrationDB;
+
+    for (let x = 0; x < columns; x++) {
+      const start = bins[x * 2];
+      const end = bins[x * 2 + 1];
+      let value = -Infinity;
+      for (let i = start; i <= end; i++) {
+        if (data[i] > value) value = data[i];
+      }
+      row[x] = value + calibration;
+    }
+
+    return row;
+  }
+
+  /**
+   * Get (and cache) the inclusive FFT bin range covered by each column
+   * @param {number} binCount - Number of FFT bins
+   * @param {number} sampleRate - Audio sample rate in Hz
+   * @param {number} columns - Number of columns
+   * @returns {Int32Array} Pairs of [startBin, endBin] per column
+   */
+  getColumnBins(binCount, sampleRate, columns) {
+    const { minFreq, maxFreq } = this.analyzer;
+    const key = `${binCount}:${sampleRate}:${columns}:${minFreq}:${maxFreq}`;
+    if (this.columnBins && this.columnBinsKey === key) {
+      return this.columnBins;
+    }
+
+    const binWidth = sampleRate / (2 * binCount);
+    const logRange = Math.log10(maxFreq / minFreq);
+    const bins = new Int32Array(columns * 2);
+
+    for (let x = 0; x < columns; x++) {
+      const freqLow = minFreq * Math.pow(10, (x / columns) * logRange);
+      const freqHigh = minFreq * Math.pow(10, ((x + 1) / columns) * logRange);
+      const start = Math.min(binCount - 1, Math.round(freqLow / binWidth));
+      const end = Math.min(binCount - 1, Math.max(start, Math.round(freqHigh / binWidth) - 1));
+      bins[x * 2] = start;
+      bins[x * 2 + 1] = end;
+    }
+
+    this.columnBins = bins;
+    this.columnBinsKey = key;
+    return bins;
+  }
+
+  /**
+   * Map a calibrated dB value onto 0..1 using the analyzer's display range
+   * @param {number} dbValue - Calibrated level in dB
+   * @returns {number} Normalized level (0 = adjustableMinDB, 1 = maxDB)
+   */
+  normalizeLevel(dbValue) {
+    const { adjustableMinDB, maxDB } = this.analyzer;
+    if (!(dbValue > adjustableMinDB)) return 0;
+    if (dbValue >= maxDB) return 1;
+    return (dbValue - adjustableMinDB) / (maxDB - adjustableMinDB);
+  }
+
+  /**
+   * Get the CSS colour for a normalized level
+   * @param {number} level - Normalized level (0..1)
+   * @returns {string} CSS rgb() colour
+   */
+  colorForLevel(level) {
+    const index = Math.round(Math.max(0, Math.min(1, level)) * 255) * 3;
+    return `rgb(${this.colorLUT[index]}, ${this.colorLUT[index + 1]}, ${this.colorLUT[index + 2]})`;
+  }
+
+  /**
+   * Get the screen rectangles for the visible panes
+   * @returns {Array<object>} Pane layouts: { key, label, top, height }
+   */
+  getPaneLayout() {
+    const { plotTop, plotHeight, isStereoInput, midSideModeEnabled } = this.analyzer;
+
+    if (!isStereoInput) {
+      return [{ key: 'left', label: 'Mono', top: plotTop, height: plotHeight }];
+    }
+
+    const paneHeight = (plotHeight - this.paneGap) / 2;
+    return [
+      { key: 'left', label: midSideModeEnabled ? 'M' : 'L', top: plotTop, height: paneHeight },
+      { key: 'right', label: midSideModeEnabled ? 'S' : 'R', top: plotTop + paneHeight + this.paneGap, height: paneHeight }
+    ];
+  }
+
+  /**
+   * Look up the stored level under a point in the plot area
+   * @param {number} x - X coordinate in CSS pixels
+   * @param {number} y - Y coordinate in CSS pixels
+   * @returns {number|null} Calibrated level in dB (1 decimal) or null if there is no data
+   */
+  amplitudeAt(x, y) {
+    if (!this.panes.left || this.columns === 0) {
+      return null;
+    }
+
+    const pane = this.getPaneLayout().find(layout => y >= layout.top && y <= layout.top + layout.height);
+    if (!pane) {
+      return null;
+    }
+
+    const column = Math.floor(((x - this.analyzer.plotLeft) / this.analyzer.plotWidth) * this.columns);
+    const age = Math.floor(((y - pane.top) / pane.height) * this.rows);
+    if (column < 0 || column >= this.columns || age < 0 || age >= this.rows) {
+      return null;
+    }
+
+    const state = this.panes[pane.key];
+    const value = state.history[(state.head - age + this.rows) % this.rows][column];
+    return Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+  }
+
+  /**
+   * Draw the waterfall panes into the analyzer's plot area
+   */
+  draw() {
+    const ctx = this.analyzer.ctx;
+    const { plotLeft, plotWidth } = this.analyzer;
+
+    if (!this.panes.left) {
+      return;
+    }
+
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    for (const layout of this.getPaneLayout()) {
+      ctx.drawImage(this.panes[layout.key].canvas, 0, 0, this.columns, this.rows,
+        plotLeft, layout.top, plotWidth, layout.height);
+
+      // Channel label in the top-left corner of the pane
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(plotLeft + 4, layout.top + 4, 40, 16);
+      ctx.fillStyle = '#fff';
+      ctx.font = '12px Arial';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.fillText(layout.label, plotLeft + 8, layout.top + 6);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Position of a moment in the history, from the row clock
+   * @param {number} seconds - Age in seconds before the last update
+   * @returns {number|null} Row position (0 = top edge of the newest row), or null outside the history
+   */
+  rowForAge(seconds) {
+    if (this.rowTime === null || this.rows === 0) {
+      return null;
+    }
+    const row = (seconds * 1000 - (this.frameTime - this.rowTime)) / this.getRowInterval();
+    return row >= 0 && row <= this.rows ? row : null;
+  }
+
+  /**
+   * Draw the time ruler on the left side of the plot (replaces the dB ruler in waterfall view)
+   */
+  drawTimeRuler() {
+    const ctx = this.analyzer.ctx;
+    const step = this.historySeconds > 30 ? 10 : (this.historySeconds > 10 ? 5 : 2);
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+
+    for (const layout of this.getPaneLayout()) {
+      for (let seconds = 0; seconds <= this.historySeconds; seconds += step) {
+        const row = seconds === 0 ? 0 : this.rowForAge(seconds);
+        if (row === null) continue;
+        const y = layout.top + (row / this.rows) * layout.height;
+        ctx.fillText(seconds === 0 ? 'now' : `-${seconds}s`, this.analyzer.plotLeft - 2, y);
+      }
+    }
+  }
+
+  /**
+   * Build a 256-entry RGB lookup table by interpolating a colour map's control points
+   * @param {string} name - Colour map name
+   * @returns {Uint8ClampedArray} Packed RGB triplets
+   */
+  static buildColorLUT(name) {
+    const stops = WaterfallView.COLOR_MAPS[name] || WaterfallView.COLOR_MAPS.inferno;
+    const lut = new Uint8ClampedArray(256 * 3);
+
+    for (let i = 0; i < 256; i++) {
+      const position = (i / 255) * (stops.length - 1);
+      const lower = Math.floor(position);
+      const upper = Math.min(stops.length - 1, lower + 1);
+      const fraction = position - lower;
+      for (let c = 0; c < 3; c++) {
+        lut[i * 3 + c] = Math.round(stops[lower][c] + (stops[upper][c] - stops[lower][c]) * fraction);
+      }
+    }
+
+    return lut;
+  }
+}
+
+// === COLOUR MAPS ===
+// Evenly spaced RGB control points from quietest to loudest
+WaterfallView.COLOR_MAPS = {
+  inferno: [[0, 0, 4], [40, 11, 84], [101, 21, 110], [159, 42, 99], [212, 72, 66], [245, 125, 21], [250, 193, 39], [252, 255, 164]],
+  viridis: [[68, 1, 84], [70, 50, 127], [54, 92, 141], [39, 127, 142], [31, 161, 135], [74, 194, 109], [159, 218, 58], [253, 231, 37]],
+  classic: [[0, 0, 0], [0, 0, 160], [0, 160, 255], [0, 255, 128], [255, 255, 0], [255, 128, 0], [255, 0, 0]],
+  grayscale: [[0, 0, 0], [255, 255, 255]]
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WaterfallView;
+}
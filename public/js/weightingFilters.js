@@ -0,0 +1,122 @@
+/**
+ * WeightingFilters - Frequency weighting filter design for RMS level meters
+ *
+ * Builds IEC 61672-1 A and C weighting filters as cascaded biquad sections for any
+ * sample rate. Each analog pole of the standard transfer function is pre-warped and
+ * mapped with the bilinear transform, then the cascade is normalised to 0 dB at 1 kHz.
+ *
+ *   A(s) = k·s⁴ / ((s + ω1)² (s + ω2) (s + ω3) (s + ω4)²)
+ *   C(s) = k·s² / ((s + ω1)² (s + ω4)²)
+ */
+class WeightingFilters {
+  /**
+   * Design the biquad cascade for a weighting curve
+   * @param {string} type - 'A' or 'C'
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Array<object>} Biquad coefficients: { b0, b1, b2, a1, a2 }
+   */
+  static design(type, sampleRate) {
+    const poles = WeightingFilters.POLE_FREQUENCIES;
+    const highPass = (f) => WeightingFilters.firstOrder('highpass', f, sampleRate);
+    const lowPass = (f) => WeightingFilters.firstOrder('lowpass', f, sampleRate);
+
+    let sections;
+    if (type === 'A') {
+      sections = [
+        // Double high-pass pole at ~20.6 Hz
+        WeightingFilters.combine(highPass(poles.f1), highPass(poles.f1)),
+        // High-pass poles at ~107.7 Hz and ~737.9 Hz (shape the low-mid slope)
+        WeightingFilters.combine(highPass(poles.f2), highPass(poles.f3)),
+        // Double low-pass pole at ~12.2 kHz
+        WeightingFilters.combine(lowPass(poles.f4), lowPass(poles.f4))
+      ];
+    } else if (type === 'C') {
+      sections = [
+        WeightingFilters.combine(highPass(poles.f1), highPass(poles.f1)),
+        WeightingFilters.combine(lowPass(poles.f4), lowPass(poles.f4))
+      ];
+    } else {
+      throw new Error(`Unsupported weighting type: ${type}`);
+    }
+
+    // Normalise the cascade to unity gain at the 1 kHz reference
+    const gain = Math.pow(10, WeightingFilters.magnitudeDB(sections, 1000, sampleRate) / 20);
+    sections[0].b0 /= gain;
+    sections[0].b1 /= gain;
+    sections[0].b2 /= gain;
+
+    return sections;
+  }
+
+  /**
+   * Bilinear-transform a pre-warped first-order analog section
+   * @param {string} kind - 'highpass' for s/(s+ω) or 'lowpass' for ω/(s+ω)
+   * @param {number} frequency - Pole frequency in Hz
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {object} First-order coefficients: { b0, b1, a1 }
+   */
+  static firstOrder(kind, frequency, sampleRate) {
+    const k = 2 * sampleRate;
+    const omega = k * Math.tan(Math.PI * frequency / sampleRate);  // Pre-warped pole
+    const norm = k + omega;
+
+    if (kind === 'highpass') {
+      return { b0: k / norm, b1: -k / norm, a1: (omega - k) / norm };
+    }
+    return { b0: omega / norm, b1: omega / norm, a1: (omega - k) / norm };
+  }
+
+  /**
+   * Multiply two first-order sections into one biquad
+   * @param {object} p - First-order section
+   * @param {object} q - First-order section
+   * @returns {object} Biquad coefficients: { b0, b1, b2, a1, a2 }
+   */
+  static combine(p, q) {
+    return {
+      b0: p.b0 * q.b0,
+      b1: p.b0 * q.b1 + p.b1 * q.b0,
+      b2: p.b1 * q.b1,
+      a1: p.a1 + q.a1,
+      a2: p.a1 * q.a1
+    };
+  }
+
+  /**
+   * Magnitude response of a biquad cascade
+   * @param {Array<object>} sections - Biquad coefficients
+   * @param {number} frequency - Frequency in Hz
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {number} Gain in dB
+   */
+  static magnitudeDB(sections, frequency, sampleRate) {
+    const w = 2 * Math.PI * frequency / sampleRate;
+    const cos1 = Math.cos(w), sin1 = Math.sin(w);
+    const cos2 = Math.cos(2 * w), sin2 = Math.sin(2 * w);
+
+    let gain = 1;
+    for (const s of sections) {
+      // Evaluate numerator and denominator at z = e^{jw}
+      const numRe = s.b0 + s.b1 * cos1 + s.b2 * cos2;
+      const numIm = -(s.b1 * sin1 + s.b2 * sin2);
+      const denRe = 1 + s.a1 * cos1 + s.a2 * cos2;
+      const denIm = -(s.a1 * sin1 + s.a2 * sin2);
+      gain *= Math.sqrt((numRe * numRe + numIm * numIm) / (denRe * denRe + denIm * denIm));
+    }
+
+    return 20 * Math.log10(gain);
+  }
+}
+
+// Analog pole frequencies of the IEC 61672-1 weighting functions (Hz)
+WeightingFilters.POLE_FREQUENCIES = {
+  f1: 20.598997,
+  f2: 107.65265,
+  f3: 737.86223,
+  f4: 12194.217
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeightingFilters;
+}
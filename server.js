@@ -8,13 +8,21 @@ const WebSocket = require('ws');
 // Import services
 const AudioDeviceService = require('./services/audioDeviceService');
 const { PreferencesService } = require('./services/preferencesService');
+const { MeasurementService } = require('./services/measurementService');
+const { CalibrationService } = require('./services/calibrationService');
+const { LevelLogService } = require('./services/levelLogService');
+const { AlarmService } = require('./services/alarmService');
+const { RecordingService } = require('./services/recordingService');
+const { FeedbackService } = require('./services/feedbackService');
+const { TraceService } = require('./services/traceService');
+const { TargetCurveService } = require('./services/targetCurveService');
 const KioskExitService = require('./services/kioskExitService');
 const PlatformDetection = require('./utils/platformDetection');
 const { logger } = require('./utils/logger');
 const PerformanceMonitor = require('./utils/performanceMonitor');
 const VersionManager = require('./utils/versionManager');
 const GitHubService = require('./services/githubService');
-const { createError } = require('./utils/errors');
+const { createError, NotFoundError } = require('./utils/errors');
 
 const app = express();
 
@@ -152,6 +160,36 @@ const kioskExitService = new KioskExitService();
 const performanceMonitor = new PerformanceMonitor();
 const versionManager = new VersionManager();
 const githubService = new GitHubService();
+const measurementService = new MeasurementService();
+const calibrationService = new CalibrationService();
+const levelLogService = new LevelLogService();
+const alarmService = new AlarmService(undefined, broadcastToClients);
+const recordingService = new RecordingService();
+const feedbackService = new FeedbackService(broadcastToClients);
+const traceService = new TraceService();
+const targetCurveService = new TargetCurveService();
+
+/**
+ * Send a message to every connected WebSocket client
+ * @param {object} data - Message object (sent as JSON)
+ */
+function broadcastToClients(data) {
+  const wss = global.spectraboxWebSocketServer;
+  if (!wss) {
+    return;
+  }
+
+  const message = JSON.stringify(data);
+  wss.clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      try {
+        client.send(message);
+      } catch (error) {
+        logger.warn('Failed to send WebSocket message', { type: data.type, error: error.message });
+      }
+    }
+  });
+}
 
 // Set log level from environment variable
 logger.options.level = process.env.LOG_LEVEL || 'info';
@@ -1147,7 +1185,8 @@ app.post('/api/preferences', validatePreferencesRequest, async (req, res) => {
         'Please check the structure of your preferences object';
       if (preferences.uiSettings) {
         const uiValidation = preferencesService.validateUISettings(
-          preferences.uiSettings
+          preferences.uiSettings,
+          preferences.audioSettings && preferences.audioSettings.sampleRate
         );
         if (!uiValidation.success && uiValidation.errors) {
           validationDetails = {
@@ -1165,6 +1204,13 @@ app.post('/api/preferences', validatePreferencesRequest, async (req, res) => {
       });
     }
 
+    // Alarm rules are edited through /api/alarms/config; keep the stored ones so a
+    // settings save from a page loaded before the last alarm change cannot revert them
+    const current = await preferencesService.getPreferences();
+    if (current && current.alarms) {
+      preferences.alarms = current.alarms;
+    }
+
     const saved = await preferencesService.savePreferences(preferences);
 
     if (saved) {
@@ -1235,8 +1281,16 @@ app.post(
         });
       }
 
+      // Load current preferences so Nyquist-limited settings are checked
+      // against the sample rate the analyzer is actually running at
+      const currentPreferences = await preferencesService.getPreferences();
+
       // Validate UI settings with detailed error reporting
-      const uiValidation = preferencesService.validateUISettings(uiSettings);
+      const uiValidation = preferencesService.validateUISettings(
+        uiSettings,
+        currentPreferences.audioSettings &&
+          currentPreferences.audioSettings.sampleRate
+      );
       if (!uiValidation.success) {
         logger.warn('Invalid UI settings data format', {
           requestId: req.id,
@@ -1255,8 +1309,7 @@ app.post(
         });
       }
 
-      // Load current preferences and update only UI settings
-      const currentPreferences = await preferencesService.getPreferences();
+      // Update only UI settings
       const updatedPreferences = {
         ...currentPreferences,
         uiSettings: uiSettings,
@@ -1413,6 +1466,558 @@ app.delete('/api/preferences', validatePreferencesRequest, async (req, res) => {
   }
 });
 
+// Validation middleware for routes that take a JSON body
+const requireJson = (req, res, next) => {
+  if (!req.is('application/json')) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_CONTENT_TYPE',
+      message: 'Content-Type must be application/json',
+      details: {
+        received: req.get('Content-Type') || 'none',
+        expected: 'application/json',
+      },
+    });
+  }
+
+  next();
+};
+
+/**
+ * Send a service error with its status code (unexpected errors are logged and reported generically)
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackCode - Error code for unexpected errors
+ * @param {string} subject - What the request was about (for log and error messages)
+ */
+function sendServiceError(res, error, fallbackCode, subject = 'measurement') {
+  const statusCode = error.statusCode || 500;
+  if (statusCode >= 500) {
+    logger.error(`${subject.charAt(0).toUpperCase()}${subject.slice(1)} request failed`, error);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode >= 500 ? fallbackCode : error.code,
+    message: statusCode >= 500 ? `Failed to process ${subject} request` : error.message,
+    details:
+      process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+}
+
+// POST /api/measurements - Store a measurement (RT60 / impulse response results)
+app.post('/api/measurements', requireJson, async (req, res) => {
+  try {
+    const measurement = await measurementService.saveMeasurement(req.body.measurement);
+    res.status(201).json({
+      success: true,
+      measurement: measurement,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'MEASUREMENT_SAVE_ERROR');
+  }
+});
+
+// GET /api/measurements - List stored measurements
+app.get('/api/measurements', async (req, res) => {
+  try {
+    const measurements = await measurementService.listMeasurements();
+    res.json({
+      success: true,
+      measurements: measurements,
+      count: measurements.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'MEASUREMENT_LIST_ERROR');
+  }
+});
+
+// GET /api/measurements/:id - Export one measurement (?format=csv for CSV, JSON otherwise)
+app.get('/api/measurements/:id', async (req, res) => {
+  try {
+    const measurement = await measurementService.getMeasurement(req.params.id);
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="measurement-${measurement.id}.csv"`);
+      return res.send(MeasurementService.toCSV(measurement));
+    }
+
+    if (req.query.download === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="measurement-${measurement.id}.json"`);
+    }
+    res.json({
+      success: true,
+      measurement: measurement,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'MEASUREMENT_LOAD_ERROR');
+  }
+});
+
+// DELETE /api/measurements/:id - Delete one measurement
+app.delete('/api/measurements/:id', async (req, res) => {
+  try {
+    await measurementService.deleteMeasurement(req.params.id);
+    res.json({
+      success: true,
+      message: 'Measurement deleted',
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'MEASUREMENT_DELETE_ERROR');
+  }
+});
+
+// POST /api/traces - Store a reference trace (saved or imported freeze line)
+app.post('/api/traces', requireJson, async (req, res) => {
+  try {
+    const trace = await traceService.saveTrace(req.body.trace);
+    res.status(201).json({
+      success: true,
+      trace: trace,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'TRACE_SAVE_ERROR', 'trace');
+  }
+});
+
+// GET /api/traces - List the trace library
+app.get('/api/traces', async (req, res) => {
+  try {
+    const traces = await traceService.listTraces();
+    res.json({
+      success: true,
+      traces: traces,
+      count: traces.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'TRACE_LIST_ERROR', 'trace');
+  }
+});
+
+// GET /api/traces/:id - Load or export one trace (?format=csv for CSV, JSON otherwise)
+app.get('/api/traces/:id', async (req, res) => {
+  try {
+    const trace = await traceService.getTrace(req.params.id);
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="trace-${trace.id}.csv"`);
+      return res.send(TraceService.toCSV(trace));
+    }
+
+    if (req.query.download === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="trace-${trace.id}.json"`);
+    }
+    res.json({
+      success: true,
+      trace: trace,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'TRACE_LOAD_ERROR', 'trace');
+  }
+});
+
+// PUT /api/traces/:id - Rename a trace or change its notes or colour
+app.put('/api/traces/:id', requireJson, async (req, res) => {
+  try {
+    const trace = await traceService.updateTrace(req.params.id, req.body);
+    res.json({
+      success: true,
+      trace: trace,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'TRACE_UPDATE_ERROR', 'trace');
+  }
+});
+
+// DELETE /api/traces/:id - Delete one trace
+app.delete('/api/traces/:id', async (req, res) => {
+  try {
+    await traceService.deleteTrace(req.params.id);
+    res.json({
+      success: true,
+      message: 'Trace deleted',
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'TRACE_DELETE_ERROR', 'trace');
+  }
+});
+
+// POST /api/target-curves - Store a new target curve
+app.post('/api/target-curves', requireJson, async (req, res) => {
+  try {
+    const curve = await targetCurveService.saveCurve(req.body.curve);
+    res.status(201).json({
+      success: true,
+      curve: curve,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'TARGET_CURVE_SAVE_ERROR', 'target curve');
+  }
+});
+
+// GET /api/target-curves - List stored target curves
+app.get('/api/target-curves', async (req, res) => {
+  try {
+    const curves = await targetCurveService.listCurves();
+    res.json({
+      success: true,
+      curves: curves,
+      count: curves.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'TARGET_CURVE_LIST_ERROR', 'target curve');
+  }
+});
+
+// GET /api/target-curves/:id - Load one target curve
+app.get('/api/target-curves/:id', async (req, res) => {
+  try {
+    const curve = await targetCurveService.getCurve(req.params.id);
+    res.json({
+      success: true,
+      curve: curve,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'TARGET_CURVE_LOAD_ERROR', 'target curve');
+  }
+});
+
+// PUT /api/target-curves/:id - Replace the name, tolerance and points of a target curve
+app.put('/api/target-curves/:id', requireJson, async (req, res) => {
+  try {
+    const curve = await targetCurveService.updateCurve(req.params.id, req.body.curve);
+    res.json({
+      success: true,
+      curve: curve,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'TARGET_CURVE_UPDATE_ERROR', 'target curve');
+  }
+});
+
+// DELETE /api/target-curves/:id - Delete one target curve
+app.delete('/api/target-curves/:id', async (req, res) => {
+  try {
+    await targetCurveService.deleteCurve(req.params.id);
+    res.json({
+      success: true,
+      message: 'Target curve deleted',
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'TARGET_CURVE_DELETE_ERROR', 'target curve');
+  }
+});
+
+// GET /api/calibrations - List stored SPL calibrations (one per input device)
+app.get('/api/calibrations', async (req, res) => {
+  try {
+    const calibrations = await calibrationService.listCalibrations();
+    res.json({
+      success: true,
+      calibrations: calibrations,
+      count: calibrations.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'CALIBRATION_LIST_ERROR', 'calibration');
+  }
+});
+
+// GET /api/calibrations/:deviceId - Load the calibration of one input device
+app.get('/api/calibrations/:deviceId', async (req, res) => {
+  try {
+    const calibration = await calibrationService.getCalibration(req.params.deviceId);
+    res.json({
+      success: true,
+      calibration: calibration,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'CALIBRATION_LOAD_ERROR', 'calibration');
+  }
+});
+
+// PUT /api/calibrations/:deviceId - Store the calibrator offset and mic correction of one input device
+app.put('/api/calibrations/:deviceId', requireJson, async (req, res) => {
+  try {
+    const calibration = await calibrationService.saveCalibration(req.params.deviceId, req.body.calibration);
+    res.json({
+      success: true,
+      calibration: calibration,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'CALIBRATION_SAVE_ERROR', 'calibration');
+  }
+});
+
+// DELETE /api/calibrations/:deviceId - Remove the calibration of one input device
+app.delete('/api/calibrations/:deviceId', async (req, res) => {
+  try {
+    await calibrationService.deleteCalibration(req.params.deviceId);
+    res.json({
+      success: true,
+      message: 'Calibration deleted',
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'CALIBRATION_DELETE_ERROR', 'calibration');
+  }
+});
+
+// POST /api/levels - Append periodic level summaries (peak, RMS, correlation, loudness) to the long-term log
+app.post('/api/levels', requireJson, async (req, res) => {
+  try {
+    const stored = await levelLogService.appendSamples(req.body.samples);
+    res.status(201).json({
+      success: true,
+      stored: stored,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'LEVEL_LOG_SAVE_ERROR', 'level log');
+  }
+});
+
+// GET /api/levels/history - Downsampled level history (?from&to&resolution, ?format=csv for CSV)
+app.get('/api/levels/history', async (req, res) => {
+  try {
+    const history = await levelLogService.getHistory(req.query);
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="levels-${LevelLogService.dayOf(history.from)}.csv"`);
+      return res.send(LevelLogService.toCSV(history));
+    }
+
+    res.json({
+      success: true,
+      history: history,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'LEVEL_HISTORY_ERROR', 'level log');
+  }
+});
+
+// GET /api/alarms/config - Alarm rules and webhook URLs
+app.get('/api/alarms/config', async (req, res) => {
+  try {
+    const preferences = await preferencesService.getPreferences();
+    res.json({
+      success: true,
+      alarms: preferences.alarms || preferencesService.getDefaultPreferences().alarms,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'ALARM_CONFIG_ERROR', 'alarm');
+  }
+});
+
+// PUT /api/alarms/config - Replace the alarm rules and webhook URLs
+app.put('/api/alarms/config', requireJson, async (req, res) => {
+  try {
+    const alarms = req.body.alarms;
+    const validation = preferencesService.validateAlarmSettings(alarms);
+    if (!validation.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_ALARM_SETTINGS',
+        message: validation.error,
+      });
+    }
+
+    const saved = await preferencesService.updatePreferences({
+      alarms: { rules: alarms.rules, webhooks: alarms.webhooks },
+    });
+    if (!saved) {
+      return res.status(500).json({
+        success: false,
+        error: 'SAVE_FAILED',
+        message: 'Could not write alarm settings to disk',
+      });
+    }
+
+    res.json({
+      success: true,
+      alarms: { rules: alarms.rules, webhooks: alarms.webhooks },
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'ALARM_CONFIG_ERROR', 'alarm');
+  }
+});
+
+// POST /api/alarms/events - Record a triggered alarm, broadcast it and notify the webhooks
+app.post('/api/alarms/events', requireJson, async (req, res) => {
+  try {
+    const alarm = await alarmService.recordAlarm(req.body.alarm);
+    res.status(201).json({
+      success: true,
+      alarm: alarm,
+    });
+
+    // Webhooks are notified after the response so a slow endpoint does not hold up the client
+    preferencesService.getPreferences()
+      .then((preferences) => alarmService.notifyWebhooks(alarm, (preferences.alarms && preferences.alarms.webhooks) || []))
+      .catch((error) => {
+        logger.warn('Alarm webhook notification failed', { error: error.message });
+      });
+  } catch (error) {
+    sendServiceError(res, error, 'ALARM_EVENT_ERROR', 'alarm');
+  }
+});
+
+// GET /api/alarms/history - Triggered alarms, newest first (?limit)
+app.get('/api/alarms/history', async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? AlarmService.MAX_HISTORY : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > AlarmService.MAX_HISTORY) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_HISTORY_QUERY',
+        message: `limit must be an integer from 1 to ${AlarmService.MAX_HISTORY}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      alarms: await alarmService.listHistory(limit),
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'ALARM_HISTORY_ERROR', 'alarm');
+  }
+});
+
+// DELETE /api/alarms/history - Clear the alarm history
+app.delete('/api/alarms/history', async (req, res) => {
+  try {
+    await alarmService.clearHistory();
+    res.json({
+      success: true,
+      message: 'Alarm history cleared',
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'ALARM_HISTORY_ERROR', 'alarm');
+  }
+});
+
+// POST /api/feedback - Report the current feedback candidates and broadcast them
+app.post('/api/feedback', requireJson, (req, res) => {
+  try {
+    const feedback = feedbackService.report(req.body.candidates, req.body.time);
+    res.json({
+      success: true,
+      feedback: feedback,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'FEEDBACK_REPORT_ERROR', 'feedback');
+  }
+});
+
+// GET /api/feedback - Latest reported feedback candidates
+app.get('/api/feedback', (req, res) => {
+  res.json({
+    success: true,
+    feedback: feedbackService.getLatest(),
+  });
+});
+
+// WAV upload body parser (the global JSON parser leaves audio/wav bodies alone)
+const parseRecordingBody = express.raw({ type: 'audio/wav', limit: RecordingService.MAX_BYTES });
+
+// Validation middleware for recording uploads: WAV content type and size limit
+const validateRecordingRequest = (req, res, next) => {
+  if (req.method === 'POST' && !req.is('audio/wav')) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_CONTENT_TYPE',
+      message: 'Content-Type must be audio/wav',
+      details: {
+        received: req.get('Content-Type') || 'none',
+        expected: 'audio/wav',
+      },
+    });
+  }
+
+  parseRecordingBody(req, res, (error) => {
+    if (error) {
+      const tooLarge = error.type === 'entity.too.large';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge ? 'RECORDING_TOO_LARGE' : 'INVALID_RECORDING',
+        message: tooLarge
+          ? `Recordings may be at most ${RecordingService.MAX_BYTES / 1024 / 1024} MB`
+          : 'The recording could not be read',
+      });
+    }
+    next();
+  });
+};
+
+// POST /api/recordings - Store a WAV recording (metadata as ?time&device&gain&calibration&micCorrection&trigger&preRoll)
+app.post('/api/recordings', validateRecordingRequest, async (req, res) => {
+  try {
+    const recording = await recordingService.saveRecording(req.body, req.query);
+    res.status(201).json({
+      success: true,
+      recording: recording,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'RECORDING_SAVE_ERROR', 'recording');
+  }
+});
+
+// GET /api/recordings - List stored recordings
+app.get('/api/recordings', async (req, res) => {
+  try {
+    const recordings = await recordingService.listRecordings();
+    res.json({
+      success: true,
+      recordings: recordings,
+      count: recordings.length,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'RECORDING_LIST_ERROR', 'recording');
+  }
+});
+
+// GET /api/recordings/:id - Metadata of one recording
+app.get('/api/recordings/:id', async (req, res) => {
+  try {
+    const recording = await recordingService.getRecording(req.params.id);
+    res.json({
+      success: true,
+      recording: recording,
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'RECORDING_LOAD_ERROR', 'recording');
+  }
+});
+
+// GET /api/recordings/:id/wav - Download one recording
+app.get('/api/recordings/:id/wav', async (req, res) => {
+  try {
+    const recording = await recordingService.getRecording(req.params.id);
+    res.download(recordingService.getRecordingPath(recording.id, 'wav'), RecordingService.getFileName(recording), (error) => {
+      if (error && !res.headersSent) {
+        sendServiceError(res, error.code === 'ENOENT'
+          ? new NotFoundError(`Recording ${recording.id} not found`, { code: 'RECORDING_NOT_FOUND' })
+          : error, 'RECORDING_LOAD_ERROR', 'recording');
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'RECORDING_LOAD_ERROR', 'recording');
+  }
+});
+
+// DELETE /api/recordings/:id - Delete one recording
+app.delete('/api/recordings/:id', async (req, res) => {
+  try {
+    await recordingService.deleteRecording(req.params.id);
+    res.json({
+      success: true,
+      message: 'Recording deleted',
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'RECORDING_DELETE_ERROR', 'recording');
+  }
+});
+
 // GET /api/system-info - Return system information
 app.get('/api/system-info', (req, res) => {
   try {
@@ -1638,6 +2243,17 @@ app.use('/api/*', (req, res) => {
       '/api/audio-devices',
       '/api/preferences',
       '/api/preferences/ui',
+      '/api/measurements',
+      '/api/calibrations',
+      '/api/levels',
+      '/api/levels/history',
+      '/api/alarms/config',
+      '/api/alarms/events',
+      '/api/alarms/history',
+      '/api/recordings',
+      '/api/feedback',
+      '/api/traces',
+      '/api/target-curves',
       '/api/system-info',
       '/api/kiosk/exit',
       '/api/kiosk/status',
@@ -0,0 +1,228 @@
+const fs = require('fs').promises;
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const crypto = require('crypto');
+const PlatformDetection = require('../utils/platformDetection');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+// Create service-specific logger
+const serviceLogger = logger.child('AlarmService');
+
+/**
+ * AlarmService records alarms triggered by the analyzer's threshold rules and
+ * notifies about them: every alarm is kept in a capped history file, broadcast to
+ * the connected WebSocket clients and POSTed to the configured webhook URLs.
+ * Notification failures are logged and never fail the recording.
+ */
+class AlarmService {
+  /**
+   * @param {string} historyPath - History file (defaults to <config>/alarm-history.json)
+   * @param {Function} broadcast - Sends a message object to all WebSocket clients
+   */
+  constructor(historyPath = path.join(PlatformDetection.getConfigPath(), 'alarm-history.json'), broadcast = () => {}) {
+    this.historyPath = historyPath;
+    this.broadcast = broadcast;
+    this.webhookTimeout = AlarmService.WEBHOOK_TIMEOUT;
+    this.updateQueue = Promise.resolve();   // Serialises read-modify-write cycles of the history file
+  }
+
+  /**
+   * Validate a triggered alarm posted by the client
+   * @param {object} alarm - { ruleId, name, metric, operator, threshold, value, time }
+   * @returns {{success: boolean, error?: string}} Validation result
+   */
+  validateAlarm(alarm) {
+    if (!alarm || typeof alarm !== 'object' || Array.isArray(alarm)) {
+      return { success: false, error: 'alarm must be an object' };
+    }
+    if (typeof alarm.ruleId !== 'string' || !/^[a-z0-9-]{1,40}$/i.test(alarm.ruleId)) {
+      return { success: false, error: 'ruleId must be 1 to 40 letters, digits or dashes' };
+    }
+    if (typeof alarm.name !== 'string' || alarm.name.length > 100) {
+      return { success: false, error: 'name must be a string of at most 100 characters' };
+    }
+    if (!AlarmService.METRICS.includes(alarm.metric)) {
+      return { success: false, error: `metric must be one of: ${AlarmService.METRICS.join(', ')}` };
+    }
+    if (alarm.operator !== 'above' && alarm.operator !== 'below') {
+      return { success: false, error: 'operator must be one of: above, below' };
+    }
+    for (const key of ['threshold', 'value']) {
+      if (typeof alarm[key] !== 'number' || !(Math.abs(alarm[key]) <= 200)) {
+        return { success: false, error: `${key} must be a number between -200 and 200` };
+      }
+    }
+    if (typeof alarm.time !== 'number' || !isFinite(alarm.time)) {
+      return { success: false, error: 'time must be a timestamp in milliseconds' };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Stored alarm history (oldest first); a missing or unreadable file is an empty history
+   * @returns {Promise<Array<object>>} Recorded alarms
+   */
+  async readHistory() {
+    try {
+      const history = JSON.parse(await fs.readFile(this.historyPath, 'utf8'));
+      return Array.isArray(history) ? history : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        serviceLogger.warn('Alarm history unreadable, starting a new one', { error: error.message });
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Write the alarm history (atomic: temporary file first, then rename)
+   * @param {Array<object>} history - Recorded alarms, oldest first
+   * @returns {Promise<void>}
+   */
+  async writeHistory(history) {
+    await fs.mkdir(path.dirname(this.historyPath), { recursive: true });
+    const tempPath = `${this.historyPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(history, null, 2), 'utf8');
+    await fs.rename(tempPath, this.historyPath);
+  }
+
+  /**
+   * Run a change of the history file after the previous one has finished, so concurrent
+   * alarms do not overwrite each other or share the temporary file
+   * @param {function(): Promise<*>} change - Reads and writes the history
+   * @returns {Promise<*>} Result of change
+   */
+  queueUpdate(change) {
+    const update = this.updateQueue.then(change);
+    this.updateQueue = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Record a triggered alarm and broadcast it
+   * @param {object} alarm - Triggered alarm from the client
+   * @returns {Promise<object>} Stored alarm with id and receivedAt added
+   */
+  async recordAlarm(alarm) {
+    const validation = this.validateAlarm(alarm);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, { code: 'INVALID_ALARM' });
+    }
+
+    const stored = {
+      id: crypto.randomUUID(),
+      ruleId: alarm.ruleId,
+      name: alarm.name,
+      metric: alarm.metric,
+      operator: alarm.operator,
+      threshold: alarm.threshold,
+      value: Math.round(alarm.value * 100) / 100,
+      time: Math.round(alarm.time),
+      receivedAt: new Date().toISOString()
+    };
+
+    await this.queueUpdate(async () => {
+      const history = await this.readHistory();
+      history.push(stored);
+      await this.writeHistory(history.slice(-AlarmService.MAX_HISTORY));
+    });
+    serviceLogger.info('Alarm triggered', { ruleId: stored.ruleId, value: stored.value, threshold: stored.threshold });
+
+    try {
+      this.broadcast({ type: 'alarm', alarm: stored });
+    } catch (error) {
+      serviceLogger.warn('Alarm broadcast failed', { error: error.message });
+    }
+
+    return stored;
+  }
+
+  /**
+   * POST a recorded alarm to the webhooks (failures are logged per URL)
+   * @param {object} alarm - Alarm returned by recordAlarm
+   * @param {Array<string>} webhooks - URLs to POST the alarm to
+   * @returns {Promise<Array<boolean>>} Delivery result per URL
+   */
+  notifyWebhooks(alarm, webhooks) {
+    return Promise.all(webhooks.map((url) => this.postWebhook(url, { event: 'spectrabox.alarm', alarm })));
+  }
+
+  /**
+   * POST a JSON payload to a webhook URL
+   * @param {string} url - Webhook URL (http or https)
+   * @param {object} payload - JSON body
+   * @returns {Promise<boolean>} True if the webhook answered with a 2xx status
+   */
+  postWebhook(url, payload) {
+    return new Promise((resolve) => {
+      const body = JSON.stringify(payload);
+      let settled = false;
+      const done = (success, details) => {
+        if (settled) return;
+        settled = true;
+        if (!success) {
+          serviceLogger.warn('Alarm webhook failed', { url, ...details });
+        }
+        resolve(success);
+      };
+
+      let request;
+      try {
+        const client = new URL(url).protocol === 'https:' ? https : http;
+        request = client.request(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+          timeout: this.webhookTimeout
+        }, (response) => {
+          response.resume();
+          done(response.statusCode >= 200 && response.statusCode < 300, { status: response.statusCode });
+        });
+      } catch (error) {
+        done(false, { error: error.message });
+        return;
+      }
+
+      request.on('timeout', () => request.destroy(new Error('Webhook timed out')));
+      request.on('error', (error) => done(false, { error: error.message }));
+      request.end(body);
+    });
+  }
+
+  /**
+   * Recorded alarms, newest first
+   * @param {number} limit - Maximum number of alarms returned
+   * @returns {Promise<Array<object>>} Alarms
+   */
+  async listHistory(limit = AlarmService.MAX_HISTORY) {
+    const history = await this.readHistory();
+    return history.reverse().slice(0, limit);
+  }
+
+  /**
+   * Delete the alarm history
+   * @returns {Promise<void>}
+   */
+  async clearHistory() {
+    await this.queueUpdate(async () => {
+      try {
+        await fs.unlink(this.historyPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    });
+    serviceLogger.info('Alarm history cleared');
+  }
+}
+
+// Metrics an alarm rule can watch (see PreferencesService.getAlarmRuleSchema)
+AlarmService.METRICS = ['leq', 'level', 'peak', 'shortTerm', 'correlation'];
+
+// Alarms kept in the history file
+AlarmService.MAX_HISTORY = 500;
+
+// Milliseconds to wait for a webhook response
+AlarmService.WEBHOOK_TIMEOUT = 5000;
+
+module.exports = { AlarmService };
@@ -0,0 +1,234 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PlatformDetection = require('../utils/platformDetection');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Create service-specific logger
+const serviceLogger = logger.child('CalibrationService');
+
+/**
+ * CalibrationService stores SPL calibrations keyed by audio input device ID: the
+ * calibrator offset (dB SPL at 0 dBFS RMS) with the input gain it was measured at, and an
+ * optional microphone correction table imported from a calibration file. All devices
+ * share one JSON file.
+ */
+class CalibrationService {
+  /**
+   * @param {string} calibrationsPath - Storage file (defaults to <config>/calibrations.json)
+   */
+  constructor(calibrationsPath = path.join(PlatformDetection.getConfigPath(), 'calibrations.json')) {
+    this.calibrationsPath = calibrationsPath;
+    this.updateQueue = Promise.resolve();   // Serialises read-modify-write cycles of the shared file
+  }
+
+  /**
+   * Validate a device ID used as storage key ('__proto__' would not survive as an object key)
+   * @param {string} deviceId - Audio input device ID
+   */
+  validateDeviceId(deviceId) {
+    if (typeof deviceId !== 'string' || deviceId.length === 0 || deviceId.length > 256 || deviceId === '__proto__') {
+      throw new ValidationError('Invalid device ID', { code: 'INVALID_DEVICE_ID', details: { deviceId } });
+    }
+  }
+
+  /**
+   * Check for a UTC timestamp as written by Date.prototype.toISOString
+   * @param {*} value - Value to check
+   * @returns {boolean} True for a valid timestamp
+   */
+  static isTimestamp(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(value)) {
+      return false;
+    }
+    const time = Date.parse(value);
+    return isFinite(time) && new Date(time).toISOString() === value;
+  }
+
+  /**
+   * Validate a calibration before it is stored
+   * @param {object} calibration - Calibration data from the client
+   * @returns {{success: boolean, error?: string}} Validation result
+   */
+  validateCalibration(calibration) {
+    if (!calibration || typeof calibration !== 'object' || Array.isArray(calibration)) {
+      return { success: false, error: 'Calibration must be an object' };
+    }
+    if (calibration.deviceLabel !== undefined && (typeof calibration.deviceLabel !== 'string' || calibration.deviceLabel.length > 200)) {
+      return { success: false, error: 'deviceLabel must be a string of at most 200 characters' };
+    }
+    if (calibration.offsetDB !== null && (typeof calibration.offsetDB !== 'number' || !isFinite(calibration.offsetDB) ||
+        calibration.offsetDB < 0 || calibration.offsetDB > 200)) {
+      return { success: false, error: 'offsetDB must be a number between 0 and 200, or null' };
+    }
+    if (calibration.offsetDB !== null && !CalibrationService.REFERENCE_LEVELS.includes(calibration.referenceLevel)) {
+      return { success: false, error: `referenceLevel must be one of ${CalibrationService.REFERENCE_LEVELS.join(', ')}` };
+    }
+    if (calibration.calibratedAt !== undefined && calibration.calibratedAt !== null &&
+        !CalibrationService.isTimestamp(calibration.calibratedAt)) {
+      return { success: false, error: 'calibratedAt must be an ISO 8601 timestamp such as 2024-01-31T12:00:00.000Z' };
+    }
+    if (calibration.inputGainDB !== undefined && (typeof calibration.inputGainDB !== 'number' ||
+        !(Math.abs(calibration.inputGainDB) <= 60))) {
+      return { success: false, error: 'inputGainDB must be a number between -60 and 60' };
+    }
+
+    const micCorrection = calibration.micCorrection;
+    if (micCorrection !== null && micCorrection !== undefined) {
+      if (typeof micCorrection !== 'object' || typeof micCorrection.name !== 'string' || micCorrection.name.length > 200) {
+        return { success: false, error: 'micCorrection needs a name of at most 200 characters' };
+      }
+      const points = micCorrection.points;
+      if (!Array.isArray(points) || points.length < 2 || points.length > CalibrationService.MAX_POINTS) {
+        return { success: false, error: `micCorrection.points must hold 2 to ${CalibrationService.MAX_POINTS} points` };
+      }
+      for (let i = 0; i < points.length; i++) {
+        const point = points[i];
+        if (!point || typeof point.frequency !== 'number' || typeof point.dB !== 'number' ||
+            !(point.frequency > 0 && point.frequency <= 100000) || !(Math.abs(point.dB) <= 60)) {
+          return { success: false, error: 'Each point needs a frequency (0-100000 Hz) and a dB value (±60)' };
+        }
+        if (i > 0 && point.frequency <= points[i - 1].frequency) {
+          return { success: false, error: 'Points must be sorted by ascending frequency' };
+        }
+      }
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Read all stored calibrations
+   * @returns {Promise<object>} Calibrations keyed by device ID
+   */
+  async loadCalibrations() {
+    try {
+      return JSON.parse(await fs.readFile(this.calibrationsPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write all calibrations (atomic: temporary file first, then rename)
+   * @param {object} calibrations - Calibrations keyed by device ID
+   * @returns {Promise<void>}
+   */
+  async writeCalibrations(calibrations) {
+    await fs.mkdir(path.dirname(this.calibrationsPath), { recursive: true });
+    const tempPath = `${this.calibrationsPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(calibrations, null, 2), 'utf8');
+    await fs.rename(tempPath, this.calibrationsPath);
+  }
+
+  /**
+   * Change the stored calibrations; changes run one after another so concurrent requests
+   * do not overwrite each other or share the temporary file
+   * @param {function(object): *} change - Modifies the calibrations keyed by device ID
+   * @returns {Promise<*>} Result of change
+   */
+  updateCalibrations(change) {
+    const update = this.updateQueue.then(async () => {
+      const calibrations = await this.loadCalibrations();
+      const result = change(calibrations);
+      await this.writeCalibrations(calibrations);
+      return result;
+    });
+    this.updateQueue = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * List stored calibrations
+   * @returns {Promise<Array<object>>} Summaries: { deviceId, deviceLabel, offsetDB, referenceLevel, calibratedAt, micCorrection }
+   */
+  async listCalibrations() {
+    const calibrations = await this.loadCalibrations();
+    return Object.values(calibrations).map((calibration) => ({
+      deviceId: calibration.deviceId,
+      deviceLabel: calibration.deviceLabel,
+      offsetDB: calibration.offsetDB,
+      referenceLevel: calibration.referenceLevel,
+      calibratedAt: calibration.calibratedAt,
+      micCorrection: calibration.micCorrection ? calibration.micCorrection.name : null,
+      updatedAt: calibration.updatedAt
+    }));
+  }
+
+  /**
+   * Load the calibration of one device
+   * @param {string} deviceId - Audio input device ID
+   * @returns {Promise<object>} The calibration
+   */
+  async getCalibration(deviceId) {
+    this.validateDeviceId(deviceId);
+    const calibrations = await this.loadCalibrations();
+    if (!Object.prototype.hasOwnProperty.call(calibrations, deviceId)) {
+      throw new NotFoundError(`No calibration for device ${deviceId}`, { code: 'CALIBRATION_NOT_FOUND' });
+    }
+    return calibrations[deviceId];
+  }
+
+  /**
+   * Store (replace) the calibration of one device
+   * @param {string} deviceId - Audio input device ID
+   * @param {object} calibration - Calibration data from the client
+   * @returns {Promise<object>} The stored calibration
+   */
+  async saveCalibration(deviceId, calibration) {
+    this.validateDeviceId(deviceId);
+    const validation = this.validateCalibration(calibration);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, { code: 'INVALID_CALIBRATION' });
+    }
+
+    const micCorrection = calibration.micCorrection;
+    const stored = {
+      deviceId,
+      deviceLabel: calibration.deviceLabel || '',
+      offsetDB: calibration.offsetDB,
+      referenceLevel: calibration.offsetDB === null ? null : calibration.referenceLevel,
+      calibratedAt: calibration.offsetDB === null ? null : calibration.calibratedAt || new Date().toISOString(),
+      inputGainDB: calibration.offsetDB === null ? 0 : calibration.inputGainDB || 0,
+      micCorrection: micCorrection ? {
+        name: micCorrection.name,
+        points: micCorrection.points.map((point) => ({ frequency: point.frequency, dB: point.dB }))
+      } : null,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.updateCalibrations((calibrations) => {
+      calibrations[deviceId] = stored;
+    });
+
+    serviceLogger.info('Calibration saved', { deviceId, offsetDB: stored.offsetDB, micCorrection: !!stored.micCorrection });
+    return stored;
+  }
+
+  /**
+   * Delete the calibration of one device
+   * @param {string} deviceId - Audio input device ID
+   * @returns {Promise<void>}
+   */
+  async deleteCalibration(deviceId) {
+    this.validateDeviceId(deviceId);
+    await this.updateCalibrations((calibrations) => {
+      if (!Object.prototype.hasOwnProperty.call(calibrations, deviceId)) {
+        throw new NotFoundError(`No calibration for device ${deviceId}`, { code: 'CALIBRATION_NOT_FOUND' });
+      }
+      delete calibrations[deviceId];
+    });
+    serviceLogger.info('Calibration deleted', { deviceId });
+  }
+}
+
+// Calibrator levels in dB SPL
+CalibrationService.REFERENCE_LEVELS = [94, 114];
+
+// Largest mic calibration table accepted
+CalibrationService.MAX_POINTS = 2000;
+
+module.exports = { CalibrationService };
@@ -0,0 +1,102 @@
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+// Create service-specific logger
+const serviceLogger = logger.child('FeedbackService');
+
+/**
+ * FeedbackService relays the feedback (howl) candidates found by the analyzer to the
+ * other WebSocket clients, so the frequencies to notch can be read on a phone at the
+ * mixing desk. Only the latest report is kept (in memory) for clients that connect
+ * or open the feedback list later.
+ */
+class FeedbackService {
+  /**
+   * @param {Function} broadcast - Sends a message object to all WebSocket clients
+   */
+  constructor(broadcast = () => {}) {
+    this.broadcast = broadcast;
+    this.latest = { candidates: [], time: null, receivedAt: null };
+  }
+
+  /**
+   * Validate the candidate list posted by the client
+   * @param {Array<object>} candidates - [{ frequency, levelDB, ratioDB, growth, band, notchDepth }]
+   * @returns {{success: boolean, error?: string}} Validation result
+   */
+  validateCandidates(candidates) {
+    if (!Array.isArray(candidates)) {
+      return { success: false, error: 'candidates must be an array' };
+    }
+    if (candidates.length > FeedbackService.MAX_CANDIDATES) {
+      return { success: false, error: `at most ${FeedbackService.MAX_CANDIDATES} candidates can be reported` };
+    }
+    for (const candidate of candidates) {
+      if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+        return { success: false, error: 'each candidate must be an object' };
+      }
+      for (const key of ['frequency', 'band']) {
+        if (typeof candidate[key] !== 'number' || !(candidate[key] >= 1 && candidate[key] <= 100000)) {
+          return { success: false, error: `${key} must be a frequency between 1 and 100000 Hz` };
+        }
+      }
+      for (const key of ['levelDB', 'ratioDB', 'growth', 'notchDepth']) {
+        if (typeof candidate[key] !== 'number' || !(Math.abs(candidate[key]) <= 200)) {
+          return { success: false, error: `${key} must be a number between -200 and 200` };
+        }
+      }
+    }
+    return { success: true };
+  }
+
+  /**
+   * Store the current candidates and broadcast them
+   * @param {Array<object>} candidates - Feedback candidates from the client (empty when cleared)
+   * @param {number} time - Detection timestamp in milliseconds
+   * @returns {object} Stored report { candidates, time, receivedAt }
+   */
+  report(candidates, time = Date.now()) {
+    const validation = this.validateCandidates(candidates);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, { code: 'INVALID_FEEDBACK' });
+    }
+    if (typeof time !== 'number' || !isFinite(time)) {
+      throw new ValidationError('time must be a timestamp in milliseconds', { code: 'INVALID_FEEDBACK' });
+    }
+
+    const round = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+    this.latest = {
+      candidates: candidates.map((candidate) => ({
+        frequency: round(candidate.frequency, 1),
+        levelDB: round(candidate.levelDB, 1),
+        ratioDB: round(candidate.ratioDB, 1),
+        growth: round(candidate.growth, 1),
+        band: candidate.band,
+        notchDepth: Math.round(candidate.notchDepth)
+      })),
+      time: Math.round(time),
+      receivedAt: new Date().toISOString()
+    };
+    serviceLogger.debug('Feedback candidates reported', { count: this.latest.candidates.length });
+
+    try {
+      this.broadcast({ type: 'feedback', feedback: this.latest });
+    } catch (error) {
+      serviceLogger.warn('Feedback broadcast failed', { error: error.message });
+    }
+    return this.latest;
+  }
+
+  /**
+   * Latest reported candidates
+   * @returns {object} { candidates, time, receivedAt } (no candidates before the first report)
+   */
+  getLatest() {
+    return this.latest;
+  }
+}
+
+// Candidates accepted per report
+FeedbackService.MAX_CANDIDATES = 20;
+
+module.exports = { FeedbackService };
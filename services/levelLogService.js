@@ -0,0 +1,305 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PlatformDetection = require('../utils/platformDetection');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+// Create service-specific logger
+const serviceLogger = logger.child('LevelLogService');
+
+/**
+ * LevelLogService keeps a long-term log of the level summaries posted by the
+ * analyzer (peak, RMS, correlation and loudness per logging interval). Summaries are
+ * appended to one JSON Lines file per UTC day; files older than the retention period
+ * are deleted. History queries are downsampled to a requested time resolution.
+ */
+class LevelLogService {
+  /**
+   * @param {string} logDir - Storage directory (defaults to <config>/level-logs)
+   * @param {number} retentionDays - Days of log files to keep
+   */
+  constructor(logDir = path.join(PlatformDetection.getConfigPath(), 'level-logs'), retentionDays = 30) {
+    this.logDir = logDir;
+    this.retentionDays = retentionDays;
+    this.lastPruneDay = null;           // UTC day of the last retention check (once per day)
+  }
+
+  /**
+   * UTC day of a timestamp, used as the file name key
+   * @param {number} time - Milliseconds since the epoch
+   * @returns {string} Day as YYYY-MM-DD
+   */
+  static dayOf(time) {
+    return new Date(time).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Path of the log file for one UTC day
+   * @param {string} day - Day as YYYY-MM-DD
+   * @returns {string} Full path to the log file
+   */
+  getLogPath(day) {
+    return path.join(this.logDir, `levels-${day}.jsonl`);
+  }
+
+  /**
+   * Validate one level summary
+   * Levels may be null when unavailable (mono input, loudness window not filled yet)
+   * @param {object} sample - Summary from the client
+   * @param {number} now - Current time in milliseconds
+   * @returns {{success: boolean, error?: string}} Validation result
+   */
+  validateSample(sample, now) {
+    if (!sample || typeof sample !== 'object' || Array.isArray(sample)) {
+      return { success: false, error: 'Each sample must be an object' };
+    }
+    if (typeof sample.time !== 'number' || !isFinite(sample.time) ||
+        sample.time < now - this.retentionDays * LevelLogService.DAY || sample.time > now + LevelLogService.DAY) {
+      return { success: false, error: 'time must be a timestamp within the retention period' };
+    }
+    if (typeof sample.duration !== 'number' || !(sample.duration > 0 && sample.duration <= 3600)) {
+      return { success: false, error: 'duration must be between 0 and 3600 seconds' };
+    }
+    for (const key of LevelLogService.LEVEL_KEYS) {
+      const value = sample[key];
+      if (value !== null && (typeof value !== 'number' || !(value >= -200 && value <= 50))) {
+        return { success: false, error: `${key} must be a level between -200 and 50 dB, or null` };
+      }
+    }
+    if (sample.correlation !== null && (typeof sample.correlation !== 'number' || !(Math.abs(sample.correlation) <= 1))) {
+      return { success: false, error: 'correlation must be between -1 and 1, or null' };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Append level summaries to the daily log files
+   * @param {Array<object>} samples - Summaries { time, duration, peakLeft, peakRight, rmsLeft, rmsRight, correlation, loudness }
+   * @returns {Promise<number>} Number of stored summaries
+   */
+  async appendSamples(samples) {
+    if (!Array.isArray(samples) || samples.length === 0 || samples.length > LevelLogService.MAX_SAMPLES_PER_REQUEST) {
+      throw new ValidationError(`samples must be an array of 1 to ${LevelLogService.MAX_SAMPLES_PER_REQUEST} summaries`, {
+        code: 'INVALID_LEVEL_SAMPLES'
+      });
+    }
+
+    const now = Date.now();
+    const lines = new Map();            // Day -> JSON lines
+    for (const sample of samples) {
+      const validation = this.validateSample(sample, now);
+      if (!validation.success) {
+        throw new ValidationError(validation.error, { code: 'INVALID_LEVEL_SAMPLES' });
+      }
+
+      const stored = { time: Math.round(sample.time), duration: sample.duration };
+      for (const key of [...LevelLogService.LEVEL_KEYS, 'correlation']) {
+        stored[key] = sample[key] === null ? null : Math.round(sample[key] * 100) / 100;
+      }
+
+      const day = LevelLogService.dayOf(stored.time);
+      if (!lines.has(day)) lines.set(day, []);
+      lines.get(day).push(JSON.stringify(stored));
+    }
+
+    await fs.mkdir(this.logDir, { recursive: true });
+    for (const [day, dayLines] of lines) {
+      await fs.appendFile(this.getLogPath(day), `${dayLines.join('\n')}\n`, 'utf8');
+    }
+
+    await this.pruneOldLogs(now);
+    return samples.length;
+  }
+
+  /**
+   * Delete log files older than the retention period (checked once per day)
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<void>}
+   */
+  async pruneOldLogs(now) {
+    const today = LevelLogService.dayOf(now);
+    if (this.lastPruneDay === today) {
+      return;
+    }
+    this.lastPruneDay = today;
+
+    const oldestKept = LevelLogService.dayOf(now - this.retentionDays * LevelLogService.DAY);
+    const files = await fs.readdir(this.logDir);
+    for (const file of files) {
+      const match = /^levels-(\d{4}-\d{2}-\d{2})\.jsonl$/.exec(file);
+      if (match && match[1] < oldestKept) {
+        await fs.unlink(path.join(this.logDir, file));
+        serviceLogger.info('Level log expired', { file });
+      }
+    }
+  }
+
+  /**
+   * Read the stored summaries between two timestamps
+   * Lines that cannot be parsed (e.g. cut off by a power loss) are skipped.
+   * @param {number} from - Start time in milliseconds (inclusive)
+   * @param {number} to - End time in milliseconds (exclusive)
+   * @returns {Promise<Array<object>>} Summaries sorted by time
+   */
+  async readSamples(from, to) {
+    const samples = [];
+    for (let dayStart = from - (from % LevelLogService.DAY); dayStart < to; dayStart += LevelLogService.DAY) {
+      let content;
+      try {
+        content = await fs.readFile(this.getLogPath(LevelLogService.dayOf(dayStart)), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+        try {
+          const sample = JSON.parse(line);
+          if (sample.time >= from && sample.time < to) {
+            samples.push(sample);
+          }
+        } catch (error) {
+          serviceLogger.warn('Skipping unreadable level log line', { day: LevelLogService.dayOf(dayStart) });
+        }
+      }
+    }
+    return samples.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Parse a query timestamp (milliseconds since the epoch or an ISO 8601 date)
+   * @param {string|undefined} value - Query parameter
+   * @param {number} fallback - Value used when the parameter is missing
+   * @param {string} name - Parameter name for the error message
+   * @returns {number} Milliseconds since the epoch
+   */
+  static parseTime(value, fallback, name) {
+    if (value === undefined || value === '') {
+      return fallback;
+    }
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!isFinite(time) || Math.abs(time) > LevelLogService.MAX_TIME) {
+      throw new ValidationError(`${name} must be a timestamp in milliseconds or an ISO 8601 date`, {
+        code: 'INVALID_HISTORY_QUERY'
+      });
+    }
+    return time;
+  }
+
+  /**
+   * Downsampled level history
+   * Each point covers `resolution` seconds: peaks are the maximum, RMS and loudness the
+   * energy average and correlation the mean of the summaries in it. Intervals without
+   * summaries are left out.
+   * @param {object} query - { from, to, resolution } query parameters (strings, all optional)
+   * @returns {Promise<object>} { from, to, resolution, points }
+   */
+  async getHistory(query = {}) {
+    const now = Date.now();
+    const to = LevelLogService.parseTime(query.to, now, 'to');
+    const from = LevelLogService.parseTime(query.from, to - LevelLogService.DAY, 'from');
+    if (from >= to || to - from > this.retentionDays * LevelLogService.DAY) {
+      throw new ValidationError(`from must be before to and at most ${this.retentionDays} days earlier`, {
+        code: 'INVALID_HISTORY_QUERY'
+      });
+    }
+
+    const span = (to - from) / 1000;
+    const resolution = query.resolution === undefined || query.resolution === ''
+      ? Math.max(1, Math.ceil(span / LevelLogService.DEFAULT_POINTS))
+      : Number(query.resolution);
+    if (!Number.isInteger(resolution) || resolution < 1 || resolution > 86400 || span / resolution > LevelLogService.MAX_POINTS) {
+      throw new ValidationError(`resolution must be 1 to 86400 seconds and give at most ${LevelLogService.MAX_POINTS} points`, {
+        code: 'INVALID_HISTORY_QUERY'
+      });
+    }
+
+    const samples = await this.readSamples(from, to);
+    const buckets = new Map();
+    for (const sample of samples) {
+      const index = Math.floor((sample.time - from) / (resolution * 1000));
+      if (!buckets.has(index)) buckets.set(index, []);
+      buckets.get(index).push(sample);
+    }
+
+    const points = [...buckets.entries()].map(([index, bucket]) => ({
+      time: from + index * resolution * 1000,
+      count: bucket.length,
+      peakLeft: LevelLogService.reduce(bucket, 'peakLeft', 'max'),
+      peakRight: LevelLogService.reduce(bucket, 'peakRight', 'max'),
+      rmsLeft: LevelLogService.reduce(bucket, 'rmsLeft', 'energy'),
+      rmsRight: LevelLogService.reduce(bucket, 'rmsRight', 'energy'),
+      correlation: LevelLogService.reduce(bucket, 'correlation', 'mean'),
+      loudness: LevelLogService.reduce(bucket, 'loudness', 'energy')
+    }));
+
+    return { from, to, resolution, points };
+  }
+
+  /**
+   * Combine one field of several summaries, ignoring null values
+   * @param {Array<object>} samples - Summaries
+   * @param {string} key - Field name
+   * @param {string} mode - 'max', 'mean' or 'energy' (power average of dB values)
+   * @returns {number|null} Combined value rounded to 0.01, or null without values
+   */
+  static reduce(samples, key, mode) {
+    const values = samples.map((sample) => sample[key]).filter((value) => typeof value === 'number');
+    if (values.length === 0) {
+      return null;
+    }
+
+    let result;
+    if (mode === 'max') {
+      result = Math.max(...values);
+    } else if (mode === 'mean') {
+      result = values.reduce((sum, value) => sum + value, 0) / values.length;
+    } else {
+      const power = values.reduce((sum, value) => sum + Math.pow(10, value / 10), 0) / values.length;
+      result = 10 * Math.log10(power);
+    }
+    return Math.round(result * 100) / 100;
+  }
+
+  /**
+   * Export a history as CSV (one row per point)
+   * @param {object} history - Result of getHistory()
+   * @returns {string} CSV text
+   */
+  static toCSV(history) {
+    const format = (value) => (value === null ? '' : String(value));
+    const lines = ['Time,Summaries,Peak L (dBFS),Peak R (dBFS),RMS L (dBFS),RMS R (dBFS),Correlation,Loudness (LUFS)'];
+    for (const point of history.points) {
+      lines.push([
+        new Date(point.time).toISOString(),
+        point.count,
+        format(point.peakLeft),
+        format(point.peakRight),
+        format(point.rmsLeft),
+        format(point.rmsRight),
+        format(point.correlation),
+        format(point.loudness)
+      ].join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+// One day in milliseconds
+LevelLogService.DAY = 24 * 60 * 60 * 1000;
+
+// Level fields of a summary (dBFS, loudness in LUFS)
+LevelLogService.LEVEL_KEYS = ['peakLeft', 'peakRight', 'rmsLeft', 'rmsRight', 'loudness'];
+
+// Largest timestamp a Date can hold; beyond it toISOString() throws a RangeError
+LevelLogService.MAX_TIME = 8.64e15;
+
+// Largest batch accepted in one request
+LevelLogService.MAX_SAMPLES_PER_REQUEST = 1000;
+
+// History points returned when no resolution is given, and the most a query may return
+LevelLogService.DEFAULT_POINTS = 1000;
+LevelLogService.MAX_POINTS = 10000;
+
+module.exports = { LevelLogService };
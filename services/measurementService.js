@@ -0,0 +1,319 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PlatformDetection = require('../utils/platformDetection');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Create service-specific logger
+const serviceLogger = logger.child('MeasurementService');
+
+/**
+ * MeasurementService stores acoustic measurements (RT60 / impulse response results
+ * and room mode analyses) as one JSON file per measurement and exports them as JSON or CSV.
+ */
+class MeasurementService {
+  /**
+   * @param {string} measurementsDir - Storage directory (defaults to <config>/measurements)
+   */
+  constructor(measurementsDir = path.join(PlatformDetection.getConfigPath(), 'measurements')) {
+    this.measurementsDir = measurementsDir;
+  }
+
+  /**
+   * Path of the file holding one measurement
+   * @param {string} id - Measurement ID
+   * @returns {string} Full path to the measurement file
+   */
+  getMeasurementPath(id) {
+    if (typeof id !== 'string' || !/^[a-z0-9]{1,32}$/.test(id)) {
+      throw new ValidationError('Invalid measurement ID', { code: 'INVALID_MEASUREMENT_ID', details: { id } });
+    }
+    return path.join(this.measurementsDir, `${id}.json`);
+  }
+
+  /**
+   * Validate a decay time result (seconds or null when the decay range was not reached)
+   * @param {*} value - Value to check
+   * @returns {boolean} True if valid
+   */
+  static isDecayTime(value) {
+    return value === null || (typeof value === 'number' && isFinite(value) && value >= 0 && value < 100);
+  }
+
+  /**
+   * Validate a measurement before it is stored
+   * @param {object} measurement - Measurement data from the client
+   * @returns {{success: boolean, error?: string}} Validation result
+   */
+  validateMeasurement(measurement) {
+    if (!measurement || typeof measurement !== 'object' || Array.isArray(measurement)) {
+      return { success: false, error: 'Measurement must be an object' };
+    }
+    if (!MeasurementService.TYPES.includes(measurement.type)) {
+      return { success: false, error: `Unknown measurement type: ${measurement.type}` };
+    }
+    if (measurement.name !== undefined && (typeof measurement.name !== 'string' || measurement.name.length > 100)) {
+      return { success: false, error: 'Name must be a string of at most 100 characters' };
+    }
+    if (typeof measurement.sampleRate !== 'number' || measurement.sampleRate < 8000 || measurement.sampleRate > 384000) {
+      return { success: false, error: 'sampleRate must be a number between 8000 and 384000' };
+    }
+    const methods = MeasurementService.METHODS[measurement.type];
+    if (!methods.includes(measurement.method)) {
+      return { success: false, error: `method must be one of: ${methods.join(', ')}` };
+    }
+
+    return measurement.type === 'roomModes' ?
+      MeasurementService.validateRoomModes(measurement) :
+      MeasurementService.validateDecayBands(measurement);
+  }
+
+  /**
+   * Validate the per-band decay times of an RT60 measurement
+   * @param {object} measurement - RT60 measurement
+   * @returns {{success: boolean, error?: string}} Validation result
+   */
+  static validateDecayBands(measurement) {
+    if (!Array.isArray(measurement.bands) || measurement.bands.length > 31) {
+      return { success: false, error: 'bands must be an array of at most 31 bands' };
+    }
+
+    const results = [...measurement.bands, measurement.broadband];
+    for (const result of results) {
+      if (!result || typeof result !== 'object') {
+        return { success: false, error: 'Each band and the broadband result must be an object' };
+      }
+      for (const key of MeasurementService.DECAY_KEYS) {
+        if (!MeasurementService.isDecayTime(result[key])) {
+          return { success: false, error: `${key} must be a decay time in seconds or null` };
+        }
+      }
+    }
+    for (const band of measurement.bands) {
+      if (typeof band.frequency !== 'number' || typeof band.label !== 'string') {
+        return { success: false, error: 'Each band needs a numeric frequency and a label' };
+      }
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Validate the room dimensions, resonances and predicted axial modes of a room mode analysis
+   * @param {object} measurement - Room mode measurement
+   * @returns {{success: boolean, error?: string}} Validation result
+   */
+  static validateRoomModes(measurement) {
+    const isNumber = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+    if (!MeasurementService.ROOM_FFT_SIZES.includes(measurement.fftSize)) {
+      return { success: false, error: `fftSize must be one of: ${MeasurementService.ROOM_FFT_SIZES.join(', ')}` };
+    }
+    const room = measurement.room;
+    if (!room || typeof room !== 'object' || !['length', 'width', 'height'].every((key) => isNumber(room[key], 0, 100))) {
+      return { success: false, error: 'room must have a length, width and height between 0 and 100 m' };
+    }
+    if (!Array.isArray(measurement.resonances) || measurement.resonances.length > MeasurementService.MAX_RESONANCES) {
+      return { success: false, error: `resonances must be an array of at most ${MeasurementService.MAX_RESONANCES} entries` };
+    }
+    for (const resonance of measurement.resonances) {
+      if (!resonance || typeof resonance !== 'object' || (resonance.type !== 'peak' && resonance.type !== 'dip')) {
+        return { success: false, error: 'Each resonance must be an object of type "peak" or "dip"' };
+      }
+      if (!isNumber(resonance.frequency, 1, 1000) || !isNumber(resonance.deviationDB, -100, 100)) {
+        return { success: false, error: 'Each resonance needs a frequency (1-1000 Hz) and a deviation (-100 to 100 dB)' };
+      }
+      if (resonance.q !== null && !isNumber(resonance.q, 0, 1000)) {
+        return { success: false, error: 'q must be a number between 0 and 1000 or null' };
+      }
+      if (resonance.mode !== null && (typeof resonance.mode !== 'string' || !/^[LWH]\d{1,2}$/.test(resonance.mode))) {
+        return { success: false, error: 'mode must be an axial mode label (e.g. L1) or null' };
+      }
+    }
+    if (!Array.isArray(measurement.modes) || measurement.modes.length > MeasurementService.MAX_RESONANCES * 5) {
+      return { success: false, error: 'modes must be an array of predicted axial modes' };
+    }
+    for (const mode of measurement.modes) {
+      if (!mode || typeof mode.label !== 'string' || !/^[LWH]\d{1,2}$/.test(mode.label) || !isNumber(mode.frequency, 1, 1000)) {
+        return { success: false, error: 'Each mode needs an axial mode label (e.g. L1) and a frequency (1-1000 Hz)' };
+      }
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Store a new measurement
+   * @param {object} measurement - Measurement data from the client
+   * @returns {Promise<object>} The stored measurement including id and createdAt
+   */
+  async saveMeasurement(measurement) {
+    const validation = this.validateMeasurement(measurement);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, { code: 'INVALID_MEASUREMENT' });
+    }
+
+    const createdAt = new Date().toISOString();
+    const pick = (result) => {
+      const picked = {};
+      MeasurementService.DECAY_KEYS.forEach((key) => { picked[key] = result[key]; });
+      return picked;
+    };
+    const stored = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      type: measurement.type,
+      name: measurement.name || `${MeasurementService.TYPE_NAMES[measurement.type]} ${createdAt.substring(0, 19).replace('T', ' ')}`,
+      method: measurement.method,
+      sampleRate: measurement.sampleRate,
+      createdAt
+    };
+    if (measurement.type === 'roomModes') {
+      stored.fftSize = measurement.fftSize;
+      stored.room = { length: measurement.room.length, width: measurement.room.width, height: measurement.room.height };
+      stored.resonances = measurement.resonances.map(({ type, frequency, deviationDB, q, mode }) => ({ type, frequency, deviationDB, q, mode }));
+      stored.modes = measurement.modes.map(({ label, frequency }) => ({ label, frequency }));
+    } else {
+      stored.bands = measurement.bands.map((band) => ({ label: band.label, frequency: band.frequency, ...pick(band) }));
+      stored.broadband = pick(measurement.broadband);
+    }
+
+    await fs.mkdir(this.measurementsDir, { recursive: true });
+
+    // Atomic write: temporary file first, then rename
+    const filePath = this.getMeasurementPath(stored.id);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(stored, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+
+    serviceLogger.info('Measurement saved', { id: stored.id, type: stored.type });
+    return stored;
+  }
+
+  /**
+   * List stored measurements, newest first
+   * @returns {Promise<Array<object>>} Summaries: { id, type, name, method, createdAt }
+   */
+  async listMeasurements() {
+    let files;
+    try {
+      files = await fs.readdir(this.measurementsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const summaries = [];
+    for (const file of files.filter((name) => name.endsWith('.json'))) {
+      try {
+        const measurement = JSON.parse(await fs.readFile(path.join(this.measurementsDir, file), 'utf8'));
+        const { id, type, name, method, createdAt } = measurement;
+        if (typeof id !== 'string' || typeof createdAt !== 'string') {
+          throw new Error('Missing id or createdAt');
+        }
+        summaries.push({ id, type, name, method, createdAt });
+      } catch (error) {
+        serviceLogger.warn('Skipping unreadable measurement file', { file, error: error.message });
+      }
+    }
+
+    return summaries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Load one measurement
+   * @param {string} id - Measurement ID
+   * @returns {Promise<object>} The measurement
+   */
+  async getMeasurement(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.getMeasurementPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`Measurement ${id} not found`, { code: 'MEASUREMENT_NOT_FOUND' });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one measurement
+   * @param {string} id - Measurement ID
+   * @returns {Promise<void>}
+   */
+  async deleteMeasurement(id) {
+    try {
+      await fs.unlink(this.getMeasurementPath(id));
+      serviceLogger.info('Measurement deleted', { id });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`Measurement ${id} not found`, { code: 'MEASUREMENT_NOT_FOUND' });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Quote a CSV text field if it holds a separator, quote or line break (RFC 4180)
+   * @param {string} value - Field text
+   * @returns {string} Field as written to the CSV
+   */
+  static csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Format a measurement as CSV: one row per octave band plus broadband for RT60, one row
+   * per resonance followed by the predicted axial modes for a room mode analysis
+   * @param {object} measurement - Stored measurement
+   * @returns {string} CSV text
+   */
+  static toCSV(measurement) {
+    if (measurement.type === 'roomModes') {
+      const lines = ['Type,Frequency (Hz),Deviation (dB),Q,Axial Mode'];
+      measurement.resonances.forEach((resonance) => lines.push([
+        MeasurementService.csvField(resonance.type),
+        resonance.frequency.toFixed(1),
+        resonance.deviationDB.toFixed(1),
+        resonance.q === null ? '' : resonance.q.toFixed(1),
+        MeasurementService.csvField(resonance.mode || '')
+      ].join(',')));
+      measurement.modes.forEach((mode) => lines.push(`mode,${mode.frequency.toFixed(1)},,,${MeasurementService.csvField(mode.label)}`));
+      return lines.join('\n') + '\n';
+    }
+
+    const format = (value) => (value === null || value === undefined ? '' : value.toFixed(3));
+    const row = (label, frequency, result) => [
+      MeasurementService.csvField(label),
+      frequency,
+      ...MeasurementService.DECAY_KEYS.map((key) => format(result[key]))
+    ].join(',');
+
+    const lines = ['Band,Frequency (Hz),EDT (s),T20 (s),T30 (s),RT60 (s)'];
+    measurement.bands.forEach((band) => lines.push(row(band.label, band.frequency, band)));
+    lines.push(row('Broadband', '', measurement.broadband));
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Supported measurement types
+MeasurementService.TYPES = ['rt60', 'roomModes'];
+
+// Default name prefix per type
+MeasurementService.TYPE_NAMES = { rt60: 'RT60', roomModes: 'Room modes' };
+
+// Capture methods per type
+MeasurementService.METHODS = { rt60: ['sweep', 'impulse'], roomModes: ['sweep', 'listen'] };
+
+// FFT sizes of a room mode analysis
+MeasurementService.ROOM_FFT_SIZES = [16384, 32768];
+
+// Resonances stored per room mode analysis
+MeasurementService.MAX_RESONANCES = 40;
+
+// Decay time results stored per band
+MeasurementService.DECAY_KEYS = ['edt', 't20', 't30', 'rt60'];
+
+module.exports = { MeasurementService };
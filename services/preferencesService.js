@@ -51,7 +51,10 @@ class PreferencesService {
           holdMode: 'latch',
           averageTime: 10,
           midSideMode: false,  // Mid-Side mode (false = Stereo, true = Mid-Side)
-          msEnergyPreserving: false  // Mid-Side √2 scaling (false = simple sum/diff, true = energy-preserving)
+          msEnergyPreserving: false,  // Mid-Side √2 scaling (false = simple sum/diff, true = energy-preserving)
+          tuner: false,
+          noteGrid: false,
+          referenceA4: 440
         },
         // Spectrogram Interface tab settings
         spectrogramInterface: {
@@ -69,14 +72,106 @@ class PreferencesService {
           multiPixelSmoothing: 3,
           frequencyDependentSmoothing: true,
           noiseFloorSubtraction: 0,
-          peakEnvelope: true
+          peakEnvelope: true,
+          drawMode: 'line',
+          rtaResolution: 3,
+          fftEngine: 'analyser',
+          fftWindow: 'hann',
+          fftOverlap: 50,
+          fftAveraging: 'exponential',
+          fftAverages: 8
         },
         // Meters tab settings
         meters: {
           meterSpeed: 'medium',
           holdTime: 0.5,
           decibelsSpeed: 150,
-          rmsWeighting: 'Z'
+          rmsWeighting: 'Z',
+          peakMode: 'sample',
+          truePeakThreshold: -1,
+          loudnessMeter: false,
+          goniometer: false,
+          goniometerSize: 200,
+          goniometerMode: 'dots',
+          bandCorrelation: false,
+          bandCorrelationBands: 'four',
+          loudnessTarget: -23
+        },
+        // Waterfall tab settings
+        waterfall: {
+          viewMode: 'spectrum',
+          colorMap: 'inferno',
+          historyLength: 10
+        },
+        // Transfer tab settings
+        transfer: {
+          referenceChannel: 'left',
+          averages: 16,
+          magnitudeRange: 24
+        },
+        // Generator tab settings (play state and output device are never saved)
+        generator: {
+          signalType: 'pink',
+          sineMode: 'continuous',
+          frequency: 1000,
+          sweepDuration: 5,
+          level: -20,
+          loopback: false
+        },
+        // Impulse tab settings
+        impulse: {
+          method: 'sweep',
+          channel: 'left',
+          tailLength: 2
+        },
+        // Sound level meter tab settings
+        slm: {
+          frequencyWeighting: 'A',
+          timeWeighting: 'F',
+          interval: 300  // Leq/statistics interval in seconds (0 = since reset)
+        },
+        // Level history tab settings
+        logging: {
+          enabled: true,
+          interval: 10,  // Seconds per logged level summary
+          historyRange: 86400
+        },
+        // Harmonic analysis settings (Spectrogram Drawing tab)
+        harmonics: {
+          enabled: false,
+          maxHarmonic: 5,  // Highest harmonic order included in THD
+          notchBandwidth: 50  // THD+N notch width in Hz
+        },
+        // Feedback tab settings
+        feedback: {
+          enabled: false,
+          threshold: 12,  // Minimum peak-to-neighbour ratio in dB
+          persistence: 500  // Milliseconds a peak must last to be reported
+        },
+        // Room tab settings
+        roomModes: {
+          length: 0,  // Room dimensions in m (0 = not entered)
+          width: 0,
+          height: 0,
+          method: 'sweep'
+        },
+        // Markers tab settings (the markers themselves are kept per browser session)
+        markers: {
+          enabled: false,  // Clicks on the spectrum place markers instead of the click readout
+          snapToPeak: true
+        },
+        // Target tab settings
+        targetCurve: {
+          curveId: '',  // Selected target curve ('' = none); one selection per device, as there are no presets
+          align: true,  // Move the target to the measured level
+          deviationRange: 12  // Deviation view range in ± dB
+        },
+        // Recorder tab settings
+        recorder: {
+          preRoll: 10,  // Seconds kept before the trigger
+          postRoll: 2,  // Seconds recorded after the trigger
+          format: 'pcm24',
+          onAlarm: false
         },
         // Performance tab settings
         performance: {
@@ -88,24 +183,33 @@ class PreferencesService {
         port: 3000,
         host: '0.0.0.0'
       },
+      // Threshold alarm rules and the webhook URLs notified when one triggers
+      alarms: {
+        rules: [],
+        webhooks: []
+      },
       lastUpdated: new Date().toISOString()
     };
   }
 
   /**
    * Get UI settings validation schema
+   * @param {number} [sampleRate] - Running sample rate; the maximum display frequency is its Nyquist limit
    * @returns {object} UI settings validation schema
    */
-  getUISettingsSchema() {
+  getUISettingsSchema(sampleRate = this.getDefaultPreferences().audioSettings.sampleRate) {
     return {
       general: {
         minFrequency: { type: 'number', min: 20, max: 500 },
-        maxFrequency: { type: 'number', min: 6000, max: 20000 },
+        maxFrequency: { type: 'number', min: 6000, max: sampleRate / 2 },
         inputGain: { type: 'number', min: -30, max: 12 },
         holdMode: { type: 'string', enum: ['latch', 'average'] },
         averageTime: { type: 'number', min: 1, max: 15 },
         midSideMode: { type: 'boolean' },
-        msEnergyPreserving: { type: 'boolean' }
+        msEnergyPreserving: { type: 'boolean' },
+        tuner: { type: 'boolean' },
+        noteGrid: { type: 'boolean' },
+        referenceA4: { type: 'number', min: 415, max: 466 }
       },
       spectrogramInterface: {
         clickInfoSize: { type: 'string', enum: ['small', 'large'] },
@@ -121,13 +225,93 @@ class PreferencesService {
         multiPixelSmoothing: { type: 'number', min: 1, max: 5 },
         frequencyDependentSmoothing: { type: 'boolean' },
         noiseFloorSubtraction: { type: 'number', min: 0, max: 20 },
-        peakEnvelope: { type: 'boolean' }
+        peakEnvelope: { type: 'boolean' },
+        drawMode: { type: 'string', enum: ['line', 'rta'] },
+        rtaResolution: { type: 'number', enum: [1, 3, 6, 12] },
+        fftEngine: { type: 'string', enum: ['analyser', 'custom'] },
+        fftWindow: { type: 'string', enum: ['hann', 'hamming', 'blackman-harris', 'flattop', 'rectangular'] },
+        fftOverlap: { type: 'number', enum: [0, 50, 75, 90] },
+        fftAveraging: { type: 'string', enum: ['exponential', 'linear', 'peak'] },
+        fftAverages: { type: 'number', enum: [1, 2, 4, 8, 16, 32, 64] }
       },
       meters: {
         meterSpeed: { type: 'string', enum: ['slow', 'medium', 'fast'] },
         holdTime: { type: 'number', min: 0.5, max: 2.0 },
         decibelsSpeed: { type: 'number', min: 10, max: 250 },
-        rmsWeighting: { type: 'string', enum: ['Z', 'A', 'C'] }
+        rmsWeighting: { type: 'string', enum: ['Z', 'A', 'C'] },
+        peakMode: { type: 'string', enum: ['sample', 'true'] },
+        truePeakThreshold: { type: 'number', min: -6, max: 0 },
+        loudnessMeter: { type: 'boolean' },
+        goniometer: { type: 'boolean' },
+        goniometerSize: { type: 'number', min: 120, max: 400 },
+        goniometerMode: { type: 'string', enum: ['dots', 'lines'] },
+        bandCorrelation: { type: 'boolean' },
+        bandCorrelationBands: { type: 'string', enum: ['four', 'octave'] },
+        loudnessTarget: { type: 'number', enum: [-23, -16, -14] }
+      },
+      waterfall: {
+        viewMode: { type: 'string', enum: ['spectrum', 'waterfall', 'transfer', 'impulse', 'slm', 'deviation'] },
+        colorMap: { type: 'string', enum: ['inferno', 'viridis', 'classic', 'grayscale'] },
+        historyLength: { type: 'number', min: 5, max: 60 }
+      },
+      transfer: {
+        referenceChannel: { type: 'string', enum: ['left', 'right'] },
+        averages: { type: 'number', enum: [1, 4, 8, 16, 32, 64] },
+        magnitudeRange: { type: 'number', min: 6, max: 60 }
+      },
+      generator: {
+        signalType: { type: 'string', enum: ['pink', 'white', 'sine', 'sweep'] },
+        sineMode: { type: 'string', enum: ['continuous', 'stepped'] },
+        frequency: { type: 'number', min: 20, max: 20000 },
+        sweepDuration: { type: 'number', enum: [2, 5, 10, 20] },
+        level: { type: 'number', min: -60, max: 0 },
+        loopback: { type: 'boolean' }
+      },
+      impulse: {
+        method: { type: 'string', enum: ['sweep', 'impulse'] },
+        channel: { type: 'string', enum: ['left', 'right'] },
+        tailLength: { type: 'number', enum: [1, 2, 4, 8] }
+      },
+      slm: {
+        frequencyWeighting: { type: 'string', enum: ['A', 'C', 'Z'] },
+        timeWeighting: { type: 'string', enum: ['F', 'S', 'I'] },
+        interval: { type: 'number', enum: [0, 10, 60, 300, 900, 3600] }
+      },
+      logging: {
+        enabled: { type: 'boolean' },
+        interval: { type: 'number', enum: [1, 5, 10, 30, 60] },
+        historyRange: { type: 'number', enum: [3600, 21600, 86400, 604800] }
+      },
+      harmonics: {
+        enabled: { type: 'boolean' },
+        maxHarmonic: { type: 'number', enum: [3, 5, 10, 20] },
+        notchBandwidth: { type: 'number', enum: [10, 20, 50, 100, 200] }
+      },
+      feedback: {
+        enabled: { type: 'boolean' },
+        threshold: { type: 'number', enum: [6, 9, 12, 15, 20] },
+        persistence: { type: 'number', enum: [250, 500, 1000, 2000] }
+      },
+      roomModes: {
+        length: { type: 'number', min: 0, max: 100 },
+        width: { type: 'number', min: 0, max: 100 },
+        height: { type: 'number', min: 0, max: 100 },
+        method: { type: 'string', enum: ['sweep', 'listen'] }
+      },
+      markers: {
+        enabled: { type: 'boolean' },
+        snapToPeak: { type: 'boolean' }
+      },
+      targetCurve: {
+        curveId: { type: 'string', pattern: /^[a-z0-9]{0,32}$/ },
+        align: { type: 'boolean' },
+        deviationRange: { type: 'number', enum: [6, 12, 24] }
+      },
+      recorder: {
+        preRoll: { type: 'number', enum: [5, 10, 30, 60] },
+        postRoll: { type: 'number', enum: [0, 2, 5, 10] },
+        format: { type: 'string', enum: ['pcm16', 'pcm24', 'float32'] },
+        onAlarm: { type: 'boolean' }
       },
       performance: {
         refreshRate: { type: 'number', min: 15, max: 60 },
@@ -141,10 +325,11 @@ class PreferencesService {
    * @param {string} category - Setting category (general, spectrogramInterface, etc.)
    * @param {string} key - Setting key
    * @param {*} value - Value to validate
+   * @param {number} [sampleRate] - Running sample rate used for Nyquist-limited settings
    * @returns {object} Validation result with success flag and error message
    */
-  validateSettingValue(category, key, value) {
-    const schema = this.getUISettingsSchema();
+  validateSettingValue(category, key, value, sampleRate) {
+    const schema = this.getUISettingsSchema(sampleRate);
     
     if (!schema[category]) {
       return { success: false, error: `Unknown settings category: ${category}` };
@@ -180,6 +365,11 @@ class PreferencesService {
       }
     }
     
+    // Pattern validation for strings
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return { success: false, error: `${category}.${key} has an invalid format` };
+    }
+
     // Enum validation
     if (rule.enum && !rule.enum.includes(value)) {
       return { success: false, error: `${category}.${key} must be one of: ${rule.enum.join(', ')}` };
@@ -191,14 +381,15 @@ class PreferencesService {
   /**
    * Validate UI settings structure and values
    * @param {object} uiSettings - UI settings object to validate
+   * @param {number} [sampleRate] - Running sample rate used for Nyquist-limited settings
    * @returns {object} Validation result with success flag and detailed errors
    */
-  validateUISettings(uiSettings) {
+  validateUISettings(uiSettings, sampleRate) {
     if (!uiSettings || typeof uiSettings !== 'object') {
       return { success: false, errors: { general: 'UI settings must be an object' } };
     }
 
-    const schema = this.getUISettingsSchema();
+    const schema = this.getUISettingsSchema(sampleRate);
     const errors = {};
     let hasErrors = false;
 
@@ -225,7 +416,7 @@ class PreferencesService {
           continue;
         }
 
-        const validation = this.validateSettingValue(category, key, value);
+        const validation = this.validateSettingValue(category, key, value, sampleRate);
         if (!validation.success) {
           errors[`${category}.${key}`] = validation.error;
           hasErrors = true;
@@ -236,6 +427,105 @@ class PreferencesService {
     return { success: !hasErrors, errors: hasErrors ? errors : null };
   }
 
+  /**
+   * Get alarm rule validation schema
+   * Same rule format as the UI settings schema; correlation thresholds are further limited to -1..1.
+   * @returns {object} Alarm rule field schema
+   */
+  getAlarmRuleSchema() {
+    return {
+      id: { type: 'string', pattern: /^[a-z0-9-]{1,40}$/i },
+      name: { type: 'string', maxLength: 100 },
+      enabled: { type: 'boolean' },
+      metric: { type: 'string', enum: ['leq', 'level', 'peak', 'shortTerm', 'correlation'] },
+      operator: { type: 'string', enum: ['above', 'below'] },
+      threshold: { type: 'number', min: -200, max: 200 },
+      window: { type: 'number', min: 1, max: 3600 },     // Seconds (Leq averaging time and trigger counting window)
+      count: { type: 'number', integer: true, min: 1, max: 1000 },
+      tone: { type: 'boolean' }
+    };
+  }
+
+  /**
+   * Validate alarm settings (rules and webhook URLs)
+   * @param {object} alarms - { rules, webhooks }
+   * @returns {object} Validation result with success flag and error message
+   */
+  validateAlarmSettings(alarms) {
+    if (!alarms || typeof alarms !== 'object' || Array.isArray(alarms)) {
+      return { success: false, error: 'alarms must be an object' };
+    }
+    if (!Array.isArray(alarms.rules) || alarms.rules.length > PreferencesService.MAX_ALARM_RULES) {
+      return { success: false, error: `alarms.rules must be an array of at most ${PreferencesService.MAX_ALARM_RULES} rules` };
+    }
+    if (!Array.isArray(alarms.webhooks) || alarms.webhooks.length > PreferencesService.MAX_ALARM_WEBHOOKS) {
+      return { success: false, error: `alarms.webhooks must be an array of at most ${PreferencesService.MAX_ALARM_WEBHOOKS} URLs` };
+    }
+
+    const schema = this.getAlarmRuleSchema();
+    const ids = new Set();
+    for (const [index, rule] of alarms.rules.entries()) {
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return { success: false, error: `alarms.rules[${index}] must be an object` };
+      }
+
+      for (const [key, field] of Object.entries(schema)) {
+        const name = `alarms.rules[${index}].${key}`;
+        const value = rule[key];
+
+        if (typeof value !== field.type || (field.type === 'number' && !isFinite(value))) {
+          return { success: false, error: `${name} must be a ${field.type}` };
+        }
+        if (field.integer && !Number.isInteger(value)) {
+          return { success: false, error: `${name} must be an integer` };
+        }
+        if (field.min !== undefined && value < field.min) {
+          return { success: false, error: `${name} must be at least ${field.min}` };
+        }
+        if (field.max !== undefined && value > field.max) {
+          return { success: false, error: `${name} must be at most ${field.max}` };
+        }
+        if (field.maxLength !== undefined && value.length > field.maxLength) {
+          return { success: false, error: `${name} must be at most ${field.maxLength} characters` };
+        }
+        if (field.pattern && !field.pattern.test(value)) {
+          return { success: false, error: `${name} must be 1 to 40 letters, digits or dashes` };
+        }
+        if (field.enum && !field.enum.includes(value)) {
+          return { success: false, error: `${name} must be one of: ${field.enum.join(', ')}` };
+        }
+      }
+
+      const unknown = Object.keys(rule).find((key) => !schema[key]);
+      if (unknown) {
+        return { success: false, error: `Unknown alarm rule setting: ${unknown}` };
+      }
+      if (rule.metric === 'correlation' && Math.abs(rule.threshold) > 1) {
+        return { success: false, error: `alarms.rules[${index}].threshold must be between -1 and 1 for correlation` };
+      }
+      if (ids.has(rule.id)) {
+        return { success: false, error: `Duplicate alarm rule id: ${rule.id}` };
+      }
+      ids.add(rule.id);
+    }
+
+    for (const [index, url] of alarms.webhooks.entries()) {
+      let parsed = null;
+      if (typeof url === 'string' && url.length <= 500) {
+        try {
+          parsed = new URL(url);
+        } catch (error) {
+          parsed = null;
+        }
+      }
+      if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+        return { success: false, error: `alarms.webhooks[${index}] must be an http or https URL of at most 500 characters` };
+      }
+    }
+
+    return { success: true };
+  }
+
   /**
    * Validate preferences data structure and values
    * @param {object} preferences - Preferences object to validate
@@ -278,7 +568,7 @@ class PreferencesService {
     }
 
     // Validate detailed UI settings using the new validation method
-    const uiValidation = this.validateUISettings(uiSettings);
+    const uiValidation = this.validateUISettings(uiSettings, audioSettings.sampleRate);
     if (!uiValidation.success) {
       serviceLogger.warn('UI settings validation failed', { errors: uiValidation.errors });
       return false;
@@ -293,6 +583,15 @@ class PreferencesService {
       return false;
     }
 
+    // Validate alarm rules (optional; preferences saved before alarms existed have none)
+    if (preferences.alarms !== undefined) {
+      const alarmValidation = this.validateAlarmSettings(preferences.alarms);
+      if (!alarmValidation.success) {
+        serviceLogger.warn('Alarm settings validation failed', { error: alarmValidation.error });
+        return false;
+      }
+    }
+
     return true;
   }
 
@@ -726,4 +1025,8 @@ class PreferencesService {
   }
 }
 
+// Largest number of alarm rules and webhook URLs kept in the preferences
+PreferencesService.MAX_ALARM_RULES = 20;
+PreferencesService.MAX_ALARM_WEBHOOKS = 5;
+
 module.exports = { PreferencesService };
\ No newline at end of file
@@ -0,0 +1,274 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PlatformDetection = require('../utils/platformDetection');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Create service-specific logger
+const serviceLogger = logger.child('RecordingService');
+
+/**
+ * RecordingService stores the WAV files saved by the pre-trigger recorder. Each
+ * recording is kept as <id>.wav with its metadata (input device, gain, trigger time,
+ * SPL calibration and the format read from the WAV header) in <id>.json. Only the
+ * newest recordings are kept so alarm-triggered recordings cannot fill the disk.
+ */
+class RecordingService {
+  /**
+   * @param {string} recordingsDir - Storage directory (defaults to <config>/recordings)
+   * @param {number} maxRecordings - Number of recordings kept (older ones are deleted)
+   */
+  constructor(recordingsDir = path.join(PlatformDetection.getConfigPath(), 'recordings'), maxRecordings = 200) {
+    this.recordingsDir = recordingsDir;
+    this.maxRecordings = maxRecordings;
+  }
+
+  /**
+   * Path of a recording's WAV or metadata file
+   * @param {string} id - Recording ID
+   * @param {string} extension - 'wav' or 'json'
+   * @returns {string} Full path
+   */
+  getRecordingPath(id, extension) {
+    if (typeof id !== 'string' || !/^[a-z0-9]{1,32}$/.test(id)) {
+      throw new ValidationError('Invalid recording ID', { code: 'INVALID_RECORDING_ID', details: { id } });
+    }
+    return path.join(this.recordingsDir, `${id}.${extension}`);
+  }
+
+  /**
+   * Read the format of a WAV file (PCM 16/24-bit or 32-bit float, mono or stereo)
+   * @param {Buffer} buffer - WAV file contents
+   * @returns {object} { format, channels, sampleRate, frames, duration }
+   */
+  static parseWAV(buffer) {
+    const invalid = (message) => new ValidationError(message, { code: 'INVALID_RECORDING' });
+    if (!Buffer.isBuffer(buffer) || buffer.length < 44 ||
+        buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw invalid('Recording must be a RIFF/WAVE file');
+    }
+
+    let fmt = null;
+    let dataSize = null;
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+      const id = buffer.toString('ascii', offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+      if (id === 'fmt ' && size >= 16 && offset + 24 <= buffer.length) {
+        fmt = {
+          audioFormat: buffer.readUInt16LE(offset + 8),
+          channels: buffer.readUInt16LE(offset + 10),
+          sampleRate: buffer.readUInt32LE(offset + 12),
+          bitsPerSample: buffer.readUInt16LE(offset + 22)
+        };
+      } else if (id === 'data') {
+        dataSize = Math.min(size, buffer.length - offset - 8);
+        break;
+      }
+      offset += 8 + size + (size % 2);
+    }
+
+    if (!fmt || dataSize === null) {
+      throw invalid('Recording needs a fmt and a data chunk');
+    }
+    const format = Object.keys(RecordingService.FORMATS).find((name) =>
+      RecordingService.FORMATS[name].audioFormat === fmt.audioFormat &&
+      RecordingService.FORMATS[name].bitsPerSample === fmt.bitsPerSample);
+    if (!format) {
+      throw invalid('Recording must be 16-bit or 24-bit PCM or 32-bit float');
+    }
+    if (fmt.channels < 1 || fmt.channels > 2 || fmt.sampleRate < 8000 || fmt.sampleRate > 384000) {
+      throw invalid('Recording must be mono or stereo at 8000 to 384000 Hz');
+    }
+
+    const frames = Math.floor(dataSize / (fmt.channels * fmt.bitsPerSample / 8));
+    if (frames === 0) {
+      throw invalid('Recording contains no audio');
+    }
+    return { format, channels: fmt.channels, sampleRate: fmt.sampleRate, frames, duration: frames / fmt.sampleRate };
+  }
+
+  /**
+   * Read the recording metadata from the upload query parameters
+   * @param {object} query - { time, device, gain, calibration, micCorrection, trigger, preRoll } (strings)
+   * @returns {object} Typed metadata
+   */
+  static parseMetadata(query = {}) {
+    const invalid = (message) => new ValidationError(message, { code: 'INVALID_RECORDING_METADATA' });
+    const text = (value, name, maxLength, fallback) => {
+      if (value === undefined || value === '') return fallback;
+      if (typeof value !== 'string' || value.length > maxLength) {
+        throw invalid(`${name} must be a string of at most ${maxLength} characters`);
+      }
+      return value;
+    };
+    const number = (value, name, min, max) => {
+      if (value === undefined || value === '') return null;
+      const parsed = Number(value);
+      if (typeof value !== 'string' || !isFinite(parsed) || parsed < min || parsed > max) {
+        throw invalid(`${name} must be a number between ${min} and ${max}`);
+      }
+      return parsed;
+    };
+
+    const time = number(query.time, 'time', 0, 8.64e15);
+    if (time === null) {
+      throw invalid('time (trigger timestamp in milliseconds) is required');
+    }
+    return {
+      time: Math.round(time),
+      device: text(query.device, 'device', 200, 'Unknown device'),
+      gain: number(query.gain, 'gain', -100, 100),
+      calibration: number(query.calibration, 'calibration', -200, 200),
+      micCorrection: text(query.micCorrection, 'micCorrection', 200, null),
+      trigger: text(query.trigger, 'trigger', 120, 'manual'),
+      preRoll: number(query.preRoll, 'preRoll', 0, 3600)
+    };
+  }
+
+  /**
+   * Store a recording
+   * @param {Buffer} buffer - WAV file contents
+   * @param {object} query - Metadata query parameters (see parseMetadata)
+   * @returns {Promise<object>} The stored metadata including id and createdAt
+   */
+  async saveRecording(buffer, query) {
+    const wav = RecordingService.parseWAV(buffer);
+    const metadata = RecordingService.parseMetadata(query);
+
+    const stored = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      ...metadata,
+      ...wav,
+      size: buffer.length,
+      createdAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(this.recordingsDir, { recursive: true });
+
+    // Audio first, metadata last: a recording is only listed once both files are complete
+    const wavPath = this.getRecordingPath(stored.id, 'wav');
+    const metadataPath = this.getRecordingPath(stored.id, 'json');
+    await fs.writeFile(`${wavPath}.tmp`, buffer);
+    await fs.rename(`${wavPath}.tmp`, wavPath);
+    await fs.writeFile(`${metadataPath}.tmp`, JSON.stringify(stored, null, 2), 'utf8');
+    await fs.rename(`${metadataPath}.tmp`, metadataPath);
+
+    serviceLogger.info('Recording saved', { id: stored.id, trigger: stored.trigger, duration: stored.duration });
+    try {
+      await this.pruneRecordings();
+    } catch (error) {
+      serviceLogger.warn('Pruning old recordings failed', { error: error.message });
+    }
+    return stored;
+  }
+
+  /**
+   * Delete the oldest recordings beyond the number kept
+   * Recordings already deleted by a concurrent upload's prune are skipped.
+   * @returns {Promise<void>}
+   */
+  async pruneRecordings() {
+    const recordings = await this.listRecordings();
+    for (const recording of recordings.slice(this.maxRecordings)) {
+      try {
+        await this.deleteRecording(recording.id);
+      } catch (error) {
+        if (error.code === 'RECORDING_NOT_FOUND') continue;
+        throw error;
+      }
+      serviceLogger.info('Recording expired', { id: recording.id });
+    }
+  }
+
+  /**
+   * List stored recordings, newest first
+   * @returns {Promise<Array<object>>} Recording metadata
+   */
+  async listRecordings() {
+    let files;
+    try {
+      files = await fs.readdir(this.recordingsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const recordings = [];
+    for (const file of files.filter((name) => name.endsWith('.json'))) {
+      try {
+        const recording = JSON.parse(await fs.readFile(path.join(this.recordingsDir, file), 'utf8'));
+        if (!recording || typeof recording.id !== 'string' || typeof recording.createdAt !== 'string') {
+          throw new Error('Missing id or createdAt');
+        }
+        recordings.push(recording);
+      } catch (error) {
+        serviceLogger.warn('Skipping unreadable recording metadata', { file, error: error.message });
+      }
+    }
+
+    return recordings.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Load one recording's metadata
+   * @param {string} id - Recording ID
+   * @returns {Promise<object>} Metadata
+   */
+  async getRecording(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.getRecordingPath(id, 'json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`Recording ${id} not found`, { code: 'RECORDING_NOT_FOUND' });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one recording (audio and metadata)
+   * @param {string} id - Recording ID
+   * @returns {Promise<void>}
+   */
+  async deleteRecording(id) {
+    try {
+      await fs.unlink(this.getRecordingPath(id, 'json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`Recording ${id} not found`, { code: 'RECORDING_NOT_FOUND' });
+      }
+      throw error;
+    }
+
+    try {
+      await fs.unlink(this.getRecordingPath(id, 'wav'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    serviceLogger.info('Recording deleted', { id });
+  }
+
+  /**
+   * Download file name of a recording, e.g. recording-2026-10-19-153012.wav
+   * @param {object} recording - Recording metadata
+   * @returns {string} File name
+   */
+  static getFileName(recording) {
+    const time = new Date(recording.time).toISOString();
+    return `recording-${time.substring(0, 10)}-${time.substring(11, 19).replace(/:/g, '')}.wav`;
+  }
+}
+
+// Supported sample formats (WAVE_FORMAT_PCM = 1, WAVE_FORMAT_IEEE_FLOAT = 3)
+RecordingService.FORMATS = {
+  pcm16: { audioFormat: 1, bitsPerSample: 16 },
+  pcm24: { audioFormat: 1, bitsPerSample: 24 },
+  float32: { audioFormat: 3, bitsPerSample: 32 }
+};
+
+// Largest accepted upload (70 s of stereo 32-bit float at 192 kHz is about 108 MB)
+RecordingService.MAX_BYTES = 128 * 1024 * 1024;
+
+module.exports = { RecordingService };
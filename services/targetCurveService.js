@@ -0,0 +1,216 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PlatformDetection = require('../utils/platformDetection');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Create service-specific logger
+const serviceLogger = logger.child('TargetCurveService');
+
+/**
+ * TargetCurveService stores target (house) curves as one JSON file per curve. A curve is
+ * a list of frequency/dB points, interpolated by the client on a logarithmic frequency
+ * axis, with the ± tolerance drawn around it.
+ */
+class TargetCurveService {
+  /**
+   * @param {string} curvesDir - Storage directory (defaults to <config>/target-curves)
+   */
+  constructor(curvesDir = path.join(PlatformDetection.getConfigPath(), 'target-curves')) {
+    this.curvesDir = curvesDir;
+  }
+
+  /**
+   * Path of the file holding one curve
+   * @param {string} id - Curve ID
+   * @returns {string} Full path to the curve file
+   */
+  getCurvePath(id) {
+    if (typeof id !== 'string' || !/^[a-z0-9]{1,32}$/.test(id)) {
+      throw new ValidationError('Invalid target curve ID', { code: 'INVALID_TARGET_CURVE_ID', details: { id } });
+    }
+    return path.join(this.curvesDir, `${id}.json`);
+  }
+
+  /**
+   * Validate a curve before it is stored
+   * @param {object} curve - Curve data from the client: { name, tolerance, points: [{ frequency, dB }] }
+   * @returns {{success: boolean, error?: string}} Validation result
+   */
+  validateCurve(curve) {
+    if (!curve || typeof curve !== 'object' || Array.isArray(curve)) {
+      return { success: false, error: 'Target curve must be an object' };
+    }
+    if (typeof curve.name !== 'string' || curve.name.trim() === '' || curve.name.length > 100) {
+      return { success: false, error: 'name must be a string of 1 to 100 characters' };
+    }
+    if (typeof curve.tolerance !== 'number' || !(curve.tolerance >= 0 && curve.tolerance <= TargetCurveService.MAX_TOLERANCE)) {
+      return { success: false, error: `tolerance must be a number between 0 and ${TargetCurveService.MAX_TOLERANCE} dB` };
+    }
+
+    const points = curve.points;
+    if (!Array.isArray(points) || points.length < 2 || points.length > TargetCurveService.MAX_POINTS) {
+      return { success: false, error: `points must hold 2 to ${TargetCurveService.MAX_POINTS} points` };
+    }
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i];
+      if (!point || typeof point.frequency !== 'number' || !(point.frequency > 0 && point.frequency <= 100000) ||
+        typeof point.dB !== 'number' || !(Math.abs(point.dB) <= 200)) {
+        return { success: false, error: 'Each point needs a frequency (0-100000 Hz) and a level (-200 to 200 dB)' };
+      }
+      if (i > 0 && point.frequency <= points[i - 1].frequency) {
+        return { success: false, error: 'points must be in ascending frequency order' };
+      }
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Pick the stored fields of a validated curve
+   * @param {object} curve - Curve data from the client
+   * @returns {object} { name, tolerance, points }
+   */
+  static pick(curve) {
+    return {
+      name: curve.name.trim(),
+      tolerance: curve.tolerance,
+      points: curve.points.map(({ frequency, dB }) => ({ frequency, dB }))
+    };
+  }
+
+  /**
+   * Store a new curve
+   * @param {object} curve - Curve data from the client
+   * @returns {Promise<object>} The stored curve including id, createdAt and updatedAt
+   */
+  async saveCurve(curve) {
+    const validation = this.validateCurve(curve);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, { code: 'INVALID_TARGET_CURVE' });
+    }
+
+    const createdAt = new Date().toISOString();
+    const stored = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      ...TargetCurveService.pick(curve),
+      createdAt,
+      updatedAt: createdAt
+    };
+
+    await this.writeCurve(stored);
+    serviceLogger.info('Target curve saved', { id: stored.id, points: stored.points.length });
+    return stored;
+  }
+
+  /**
+   * Replace the name, tolerance and points of a stored curve
+   * @param {string} id - Curve ID
+   * @param {object} curve - Curve data from the client
+   * @returns {Promise<object>} The updated curve
+   */
+  async updateCurve(id, curve) {
+    const validation = this.validateCurve(curve);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, { code: 'INVALID_TARGET_CURVE' });
+    }
+
+    const existing = await this.getCurve(id);
+    const stored = {
+      id: existing.id,
+      ...TargetCurveService.pick(curve),
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.writeCurve(stored);
+    serviceLogger.info('Target curve updated', { id });
+    return stored;
+  }
+
+  /**
+   * Write a curve file atomically (temporary file first, then rename)
+   * @param {object} curve - Curve to write
+   * @returns {Promise<void>}
+   */
+  async writeCurve(curve) {
+    await fs.mkdir(this.curvesDir, { recursive: true });
+    const filePath = this.getCurvePath(curve.id);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(curve, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * List stored curves by name
+   * @returns {Promise<Array<object>>} Summaries: { id, name, tolerance, points, updatedAt }
+   */
+  async listCurves() {
+    let files;
+    try {
+      files = await fs.readdir(this.curvesDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const summaries = [];
+    for (const file of files.filter((name) => name.endsWith('.json'))) {
+      try {
+        const curve = JSON.parse(await fs.readFile(path.join(this.curvesDir, file), 'utf8'));
+        const { id, name, tolerance, updatedAt } = curve;
+        if (typeof id !== 'string' || typeof name !== 'string' || !Array.isArray(curve.points)) {
+          throw new Error('Missing id, name or points');
+        }
+        summaries.push({ id, name, tolerance, points: curve.points.length, updatedAt });
+      } catch (error) {
+        serviceLogger.warn('Skipping unreadable target curve file', { file, error: error.message });
+      }
+    }
+
+    return summaries.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Load one curve
+   * @param {string} id - Curve ID
+   * @returns {Promise<object>} The curve
+   */
+  async getCurve(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.getCurvePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`Target curve ${id} not found`, { code: 'TARGET_CURVE_NOT_FOUND' });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one curve
+   * @param {string} id - Curve ID
+   * @returns {Promise<void>}
+   */
+  async deleteCurve(id) {
+    try {
+      await fs.unlink(this.getCurvePath(id));
+      serviceLogger.info('Target curve deleted', { id });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`Target curve ${id} not found`, { code: 'TARGET_CURVE_NOT_FOUND' });
+      }
+      throw error;
+    }
+  }
+}
+
+// Points accepted per curve (as for microphone correction files)
+TargetCurveService.MAX_POINTS = 2000;
+
+// Largest ± tolerance in dB
+TargetCurveService.MAX_TOLERANCE = 12;
+
+module.exports = { TargetCurveService };
@@ -0,0 +1,248 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PlatformDetection = require('../utils/platformDetection');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Create service-specific logger
+const serviceLogger = logger.child('TraceService');
+
+/**
+ * TraceService keeps the library of named reference traces (saved freeze lines) as one
+ * JSON file per trace. A trace is a list of frequencies with the left and right level
+ * in dB as displayed when it was saved (null where nothing was captured), plus a name,
+ * notes and the overlay colour. Traces are exported as JSON or CSV.
+ */
+class TraceService {
+  /**
+   * @param {string} tracesDir - Storage directory (defaults to <config>/traces)
+   */
+  constructor(tracesDir = path.join(PlatformDetection.getConfigPath(), 'traces')) {
+    this.tracesDir = tracesDir;
+  }
+
+  /**
+   * Path of the file holding one trace
+   * @param {string} id - Trace ID
+   * @returns {string} Full path to the trace file
+   */
+  getTracePath(id) {
+    if (typeof id !== 'string' || !/^[a-z0-9]{1,32}$/.test(id)) {
+      throw new ValidationError('Invalid trace ID', { code: 'INVALID_TRACE_ID', details: { id } });
+    }
+    return path.join(this.tracesDir, `${id}.json`);
+  }
+
+  /**
+   * Validate the name, notes and colour of a trace (each optional)
+   * @param {object} details - { name, notes, color }
+   * @returns {{success: boolean, error?: string}} Validation result
+   */
+  static validateDetails(details) {
+    if (details.name !== undefined && (typeof details.name !== 'string' || details.name.trim() === '' ||
+      details.name.length > 100)) {
+      return { success: false, error: 'name must be a string of 1 to 100 characters' };
+    }
+    if (details.notes !== undefined && (typeof details.notes !== 'string' || details.notes.length > 1000)) {
+      return { success: false, error: 'notes must be a string of at most 1000 characters' };
+    }
+    if (details.color !== undefined && (typeof details.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(details.color))) {
+      return { success: false, error: 'color must be a hex colour such as #ff8800' };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Validate a trace before it is stored
+   * @param {object} trace - Trace data from the client: { name, notes, color, frequencies, left, right }
+   * @returns {{success: boolean, error?: string}} Validation result
+   */
+  validateTrace(trace) {
+    if (!trace || typeof trace !== 'object' || Array.isArray(trace)) {
+      return { success: false, error: 'Trace must be an object' };
+    }
+    const details = TraceService.validateDetails(trace);
+    if (!details.success) {
+      return details;
+    }
+
+    const { frequencies, left, right } = trace;
+    if (!Array.isArray(frequencies) || frequencies.length < 2 || frequencies.length > TraceService.MAX_POINTS) {
+      return { success: false, error: `frequencies must be an array of 2 to ${TraceService.MAX_POINTS} values` };
+    }
+    for (let i = 0; i < frequencies.length; i++) {
+      const frequency = frequencies[i];
+      if (typeof frequency !== 'number' || !(frequency > 0 && frequency <= 100000)) {
+        return { success: false, error: 'Each frequency must be a number between 0 and 100000 Hz' };
+      }
+      if (i > 0 && frequency <= frequencies[i - 1]) {
+        return { success: false, error: 'frequencies must be in ascending order' };
+      }
+    }
+    for (const [key, levels] of [['left', left], ['right', right]]) {
+      if (!Array.isArray(levels) || levels.length !== frequencies.length) {
+        return { success: false, error: `${key} must have one level per frequency` };
+      }
+      if (!levels.every((level) => level === null || (typeof level === 'number' && Math.abs(level) <= 300))) {
+        return { success: false, error: `${key} levels must be numbers between -300 and 300 dB or null` };
+      }
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Store a new trace
+   * @param {object} trace - Trace data from the client
+   * @returns {Promise<object>} The stored trace including id and createdAt
+   */
+  async saveTrace(trace) {
+    const validation = this.validateTrace(trace);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, { code: 'INVALID_TRACE' });
+    }
+
+    const createdAt = new Date().toISOString();
+    const round = (level) => (level === null ? null : Math.round(level * 100) / 100);
+    const stored = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      name: trace.name ? trace.name.trim() : `Trace ${createdAt.substring(0, 19).replace('T', ' ')}`,
+      notes: trace.notes || '',
+      color: (trace.color || TraceService.DEFAULT_COLOR).toLowerCase(),
+      createdAt,
+      frequencies: trace.frequencies.map((frequency) => Math.round(frequency * 1000) / 1000),
+      left: trace.left.map(round),
+      right: trace.right.map(round)
+    };
+
+    await this.writeTrace(stored);
+    serviceLogger.info('Trace saved', { id: stored.id, points: stored.frequencies.length });
+    return stored;
+  }
+
+  /**
+   * Change the name, notes or colour of a stored trace
+   * @param {string} id - Trace ID
+   * @param {object} details - { name, notes, color } (missing fields are kept)
+   * @returns {Promise<object>} The updated trace
+   */
+  async updateTrace(id, details) {
+    if (!details || typeof details !== 'object' || Array.isArray(details)) {
+      throw new ValidationError('Trace details must be an object', { code: 'INVALID_TRACE' });
+    }
+    const validation = TraceService.validateDetails(details);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, { code: 'INVALID_TRACE' });
+    }
+
+    const trace = await this.getTrace(id);
+    if (details.name !== undefined) trace.name = details.name.trim();
+    if (details.notes !== undefined) trace.notes = details.notes;
+    if (details.color !== undefined) trace.color = details.color.toLowerCase();
+
+    await this.writeTrace(trace);
+    serviceLogger.info('Trace updated', { id });
+    return trace;
+  }
+
+  /**
+   * Write a trace file atomically (temporary file first, then rename)
+   * @param {object} trace - Trace to write
+   * @returns {Promise<void>}
+   */
+  async writeTrace(trace) {
+    await fs.mkdir(this.tracesDir, { recursive: true });
+    const filePath = this.getTracePath(trace.id);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(trace), 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * List stored traces, newest first
+   * @returns {Promise<Array<object>>} Summaries: { id, name, notes, color, createdAt, points }
+   */
+  async listTraces() {
+    let files;
+    try {
+      files = await fs.readdir(this.tracesDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const summaries = [];
+    for (const file of files.filter((name) => name.endsWith('.json'))) {
+      try {
+        const trace = JSON.parse(await fs.readFile(path.join(this.tracesDir, file), 'utf8'));
+        const { id, name, notes, color, createdAt } = trace;
+        if (typeof id !== 'string' || typeof createdAt !== 'string' || !Array.isArray(trace.frequencies)) {
+          throw new Error('Missing id, createdAt or frequencies');
+        }
+        summaries.push({ id, name, notes, color, createdAt, points: trace.frequencies.length });
+      } catch (error) {
+        serviceLogger.warn('Skipping unreadable trace file', { file, error: error.message });
+      }
+    }
+
+    return summaries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Load one trace
+   * @param {string} id - Trace ID
+   * @returns {Promise<object>} The trace
+   */
+  async getTrace(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.getTracePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`Trace ${id} not found`, { code: 'TRACE_NOT_FOUND' });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one trace
+   * @param {string} id - Trace ID
+   * @returns {Promise<void>}
+   */
+  async deleteTrace(id) {
+    try {
+      await fs.unlink(this.getTracePath(id));
+      serviceLogger.info('Trace deleted', { id });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`Trace ${id} not found`, { code: 'TRACE_NOT_FOUND' });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Format a trace as CSV: one row per frequency with the left and right level
+   * (empty where nothing was captured)
+   * @param {object} trace - Stored trace
+   * @returns {string} CSV text
+   */
+  static toCSV(trace) {
+    const format = (level) => (level === null ? '' : level.toFixed(2));
+    const lines = ['Frequency (Hz),Left (dB),Right (dB)'];
+    trace.frequencies.forEach((frequency, i) => {
+      lines.push(`${frequency},${format(trace.left[i])},${format(trace.right[i])}`);
+    });
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Points accepted per trace (the client reduces captures to 1/96-octave resolution)
+TraceService.MAX_POINTS = 4096;
+
+// Overlay colour of traces saved without one
+TraceService.DEFAULT_COLOR = '#00ccff';
+
+module.exports = { TraceService };
@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { AlarmService } = require('../services/alarmService');
+
+describe('AlarmService', () => {
+  let alarmService;
+  let configDir;
+  let broadcasts;
+
+  const alarm = (overrides = {}) => ({
+    ruleId: 'venue-limit',
+    name: 'Venue limit',
+    metric: 'leq',
+    operator: 'above',
+    threshold: 98,
+    value: 98.456,
+    time: Date.now(),
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spectrabox-alarms-'));
+    broadcasts = [];
+    alarmService = new AlarmService(path.join(configDir, 'alarm-history.json'), (message) => broadcasts.push(message));
+  });
+
+  afterEach(async () => {
+    await fs.rm(configDir, { recursive: true, force: true });
+  });
+
+  describe('recordAlarm', () => {
+    test('should store the alarm and broadcast it', async () => {
+      const stored = await alarmService.recordAlarm(alarm());
+
+      expect(stored).toMatchObject({ ruleId: 'venue-limit', value: 98.46 });
+      expect(stored.id).toEqual(expect.any(String));
+      expect(broadcasts).toEqual([{ type: 'alarm', alarm: stored }]);
+      expect(await alarmService.listHistory()).toEqual([stored]);
+    });
+
+    test('should reject invalid alarms', async () => {
+      await expect(alarmService.recordAlarm(null)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(alarmService.recordAlarm(alarm({ metric: 'volume' }))).rejects.toMatchObject({ statusCode: 400 });
+      await expect(alarmService.recordAlarm(alarm({ value: 'loud' }))).rejects.toMatchObject({ statusCode: 400 });
+      await expect(alarmService.recordAlarm(alarm({ ruleId: '../etc' }))).rejects.toMatchObject({ statusCode: 400 });
+      expect(broadcasts).toHaveLength(0);
+    });
+
+    test('should post the alarm to the webhooks', async () => {
+      const received = [];
+      const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          received.push({ method: req.method, type: req.headers['content-type'], body: JSON.parse(body) });
+          res.end('ok');
+        });
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const url = `http://127.0.0.1:${server.address().port}/hook`;
+        const stored = await alarmService.recordAlarm(alarm());
+        expect(await alarmService.notifyWebhooks(stored, [url])).toEqual([true]);
+        expect(received).toEqual([{ method: 'POST', type: 'application/json', body: { event: 'spectrabox.alarm', alarm: stored } }]);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    test('should report webhooks that cannot be reached', async () => {
+      const server = http.createServer();
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      const url = `http://127.0.0.1:${server.address().port}/hook`;
+      await new Promise((resolve) => server.close(resolve));
+
+      const stored = await alarmService.recordAlarm(alarm());
+      expect(await alarmService.notifyWebhooks(stored, [url, 'not a url'])).toEqual([false, false]);
+    });
+  });
+
+  describe('history', () => {
+    test('should list newest first and keep only the latest alarms', async () => {
+      const history = [];
+      for (let i = 0; i < AlarmService.MAX_HISTORY; i++) {
+        history.push({ ...alarm({ time: i }), id: String(i) });
+      }
+      await fs.writeFile(alarmService.historyPath, JSON.stringify(history));
+
+      await alarmService.recordAlarm(alarm({ time: AlarmService.MAX_HISTORY }));
+      const listed = await alarmService.listHistory(3);
+      expect(listed.map((entry) => entry.time)).toEqual([500, 499, 498]);
+      expect(await alarmService.listHistory()).toHaveLength(AlarmService.MAX_HISTORY);
+    });
+
+    test('should keep every alarm recorded at the same time', async () => {
+      const times = [1, 2, 3, 4, 5];
+      await Promise.all(times.map((time) => alarmService.recordAlarm(alarm({ time }))));
+
+      expect((await alarmService.listHistory()).map((entry) => entry.time).sort()).toEqual(times);
+      expect(await fs.readdir(configDir)).toEqual(['alarm-history.json']);
+    });
+
+    test('should treat an unreadable history as empty and clear it', async () => {
+      await fs.writeFile(alarmService.historyPath, '[{"ruleId"');
+      expect(await alarmService.listHistory()).toEqual([]);
+
+      await alarmService.recordAlarm(alarm());
+      await alarmService.clearHistory();
+      expect(await alarmService.listHistory()).toEqual([]);
+      await expect(alarmService.clearHistory()).resolves.toBeUndefined();
+    });
+  });
+});
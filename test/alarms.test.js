@@ -0,0 +1,131 @@
+/**
+ * Alarm Monitor Unit Tests
+ *
+ * Tests for the evaluation of threshold alarm rules on the meter values.
+ */
+
+const { AlarmMonitor } = require('../public/js/alarms.js');
+
+describe('AlarmMonitor', () => {
+  let triggered;
+  let monitor;
+
+  const rule = (overrides = {}) => ({
+    id: 'rule-1',
+    name: 'Test rule',
+    enabled: true,
+    metric: 'peak',
+    operator: 'above',
+    threshold: -1,
+    window: 10,
+    count: 1,
+    tone: false,
+    ...overrides
+  });
+
+  // Mean square of a level in dB
+  const power = (db) => Math.pow(10, db / 10);
+
+  beforeEach(() => {
+    triggered = [];
+    monitor = new AlarmMonitor((alarm) => triggered.push(alarm));
+  });
+
+  test('should trigger once per excursion above the threshold', () => {
+    monitor.setRules([rule()]);
+    monitor.addFrame({ peak: -6 }, 0);
+    monitor.addFrame({ peak: -0.5 }, 100);
+    monitor.addFrame({ peak: -0.2 }, 200);
+
+    expect(triggered).toEqual([{
+      ruleId: 'rule-1', name: 'Test rule', metric: 'peak', operator: 'above', threshold: -1, value: -0.5, time: 100
+    }]);
+
+    // A new excursion within the window does not trigger again; after the window it does
+    monitor.addFrame({ peak: -6 }, 300);
+    monitor.addFrame({ peak: -0.5 }, 400);
+    expect(triggered).toHaveLength(1);
+    monitor.addFrame({ peak: -6 }, 10500);
+    monitor.addFrame({ peak: -0.5 }, 10600);
+    expect(triggered).toHaveLength(2);
+  });
+
+  test('should trigger after N onsets within the window', () => {
+    monitor.setRules([rule({ count: 3 })]);
+    for (const time of [0, 4000, 8000]) {
+      monitor.addFrame({ peak: 0 }, time);
+      monitor.addFrame({ peak: -6 }, time + 100);
+    }
+    expect(triggered).toHaveLength(1);
+    expect(triggered[0].time).toBe(8000);
+
+    // Onsets spread over more than the window never reach the count
+    monitor.reset();
+    triggered = [];
+    for (const time of [20000, 26000, 32000]) {
+      monitor.addFrame({ peak: 0 }, time);
+      monitor.addFrame({ peak: -6 }, time + 100);
+    }
+    expect(triggered).toHaveLength(0);
+  });
+
+  test('should average Leq over the whole window before checking it', () => {
+    monitor.setRules([rule({ metric: 'leq', threshold: 98, window: 1 })]);
+
+    // 10 blocks of 0.1 s: five at 100 dB and five at 90 dB give 97.4 dB
+    for (let i = 0; i < 10; i++) {
+      monitor.addBlock(power(i < 5 ? 100 : 90), 0, 0, i * 100);
+    }
+    expect(triggered).toHaveLength(0);
+
+    // The window slides: the Leq crosses 98 dB once six of the ten blocks are at 100 dB
+    for (let i = 10; i < 15; i++) {
+      monitor.addBlock(power(100), 0, 0, i * 100);
+    }
+    expect(triggered).toHaveLength(0);
+    monitor.addBlock(power(100), 0, 0, 1500);
+    expect(triggered).toHaveLength(1);
+    expect(triggered[0].value).toBeCloseTo(10 * Math.log10((6 * power(100) + 4 * power(90)) / 10), 6);
+  });
+
+  test('should add the calibration offset to sound levels', () => {
+    monitor.setRules([rule({ metric: 'level', operator: 'below', threshold: 30 })]);
+    monitor.addBlock(0, power(-60), 94, 0);
+    expect(triggered).toHaveLength(0);
+    monitor.addBlock(0, power(-60), 94 - 20, 100);
+    expect(triggered[0].value).toBeCloseTo(14, 6);
+  });
+
+  test('should skip disabled rules and unavailable values', () => {
+    monitor.setRules([rule({ enabled: false }), rule({ id: 'rule-2', metric: 'correlation', operator: 'below', threshold: -0.5 })]);
+    monitor.addFrame({ peak: 0, correlation: null }, 0);
+    expect(triggered).toHaveLength(0);
+    monitor.addFrame({ peak: 0, correlation: -0.8 }, 100);
+    expect(triggered.map((alarm) => alarm.ruleId)).toEqual(['rule-2']);
+  });
+
+  test('should keep the state of unchanged rules when the rules are reloaded', () => {
+    monitor.setRules([rule()]);
+    monitor.addFrame({ peak: 0 }, 0);
+    monitor.setRules([rule()]);
+    monitor.addFrame({ peak: 0 }, 100);
+    expect(triggered).toHaveLength(1);
+
+    monitor.setRules([rule({ threshold: -3 })]);
+    monitor.addFrame({ peak: 0 }, 200);
+    expect(triggered).toHaveLength(2);
+  });
+
+  test('should measure the peak of decoded M/S frames', () => {
+    // Left only at 0.5: M = S = 0.5·s
+    const scale = Math.SQRT1_2;
+    const mid = new Float32Array([0.5 * scale, -0.25 * scale]);
+    expect(AlarmMonitor.peakLevel(mid, mid, scale)).toBeCloseTo(-6.02, 2);
+    expect(AlarmMonitor.peakLevel(new Float32Array([0.1, -1]), null, null)).toBeCloseTo(0, 6);
+  });
+
+  test('should describe rules', () => {
+    expect(AlarmMonitor.describe(rule({ metric: 'leq', threshold: 98, window: 300 }))).toBe('Leq 300 s above 98');
+    expect(AlarmMonitor.describe(rule({ count: 3 }))).toBe('Peak above -1, 3× in 10 s');
+  });
+});
@@ -267,7 +267,7 @@ describe('Audio Device Selection UI Tests', () => {
     // Check that all audio constraints are preserved
     const constraints = await page.evaluate(() => window.lastGetUserMediaConstraints);
     
-    expect(constraints.audio.sampleRate).toBe(44100);
+    expect(constraints.audio.sampleRate).toBeUndefined(); // Device runs at its native rate
     expect(constraints.audio.echoCancellation).toBe(false);
     expect(constraints.audio.noiseSuppression).toBe(false);
     expect(constraints.audio.autoGainControl).toBe(false);
@@ -0,0 +1,97 @@
+/**
+ * BandCorrelation Unit Tests
+ *
+ * Tests for the Linkwitz-Riley band split and per-band phase correlation
+ * shown in the band correlation panel.
+ */
+
+global.OctaveBandAnalyzer = require('../public/js/octaveBands.js');
+const BandCorrelation = require('../public/js/bandCorrelation.js');
+
+describe('BandCorrelation', () => {
+  const sampleRate = 48000;
+  const length = 8192;
+  let bandCorrelation;
+
+  function sine(frequency, amplitude, sign = 1) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      samples[i] = sign * amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    return samples;
+  }
+
+  function mix(a, b) {
+    return a.map((value, i) => value + b[i]);
+  }
+
+  beforeEach(() => {
+    bandCorrelation = new BandCorrelation({});
+  });
+
+  describe('getBandEdges', () => {
+    test('should provide four bands by default', () => {
+      const bands = BandCorrelation.getBandEdges('four', sampleRate);
+
+      expect(bands.map((band) => band.label)).toEqual(['Low', 'Low-Mid', 'High-Mid', 'High']);
+    });
+
+    test('should provide octave bands from 31.5 Hz to 16 kHz', () => {
+      const bands = BandCorrelation.getBandEdges('octave', sampleRate);
+
+      expect(bands).toHaveLength(10);
+      expect(bands[0].label).toBe('31.5');
+      expect(bands[9].label).toBe('16k');
+    });
+
+    test('should drop bands above Nyquist', () => {
+      const bands = BandCorrelation.getBandEdges('octave', 22050);
+
+      expect(bands[bands.length - 1].upper).toBeLessThan(11025);
+    });
+  });
+
+  describe('measure', () => {
+    test('should read +1 in the band of an in-phase tone', () => {
+      const tone = sine(60, 0.5);
+      const correlations = bandCorrelation.measure(tone, tone, sampleRate);
+
+      expect(correlations[0]).toBeCloseTo(1, 3);
+    });
+
+    test('should separate out-of-phase bass from in-phase highs', () => {
+      // Bass in anti-phase, highs in phase: broadband looks fine, the Low band does not
+      const left = mix(sine(60, 0.3), sine(8000, 0.3));
+      const right = mix(sine(60, 0.3, -1), sine(8000, 0.3));
+      const correlations = bandCorrelation.measure(left, right, sampleRate);
+
+      expect(correlations[0]).toBeLessThan(-0.9);
+      expect(correlations[3]).toBeGreaterThan(0.9);
+    });
+
+    test('should report silent bands as null', () => {
+      const tone = sine(1000, 0.5);
+      const correlations = bandCorrelation.measure(tone, tone, sampleRate);
+
+      expect(correlations[0]).toBeNull();
+      expect(correlations[2]).toBeCloseTo(1, 3);
+    });
+
+    test('should decode Mid-Side inputs back to L/R', () => {
+      // Side only (M = 0) is fully anti-phase L/R
+      const side = sine(500, 0.5);
+      const correlations = bandCorrelation.measure(new Float32Array(length), side, sampleRate, true);
+
+      expect(correlations[1]).toBeCloseTo(-1, 3);
+    });
+  });
+
+  describe('setBandSet', () => {
+    test('should ignore unknown band layouts', () => {
+      bandCorrelation.setBandSet('octave');
+      bandCorrelation.setBandSet('third-octave');
+
+      expect(bandCorrelation.bandSet).toBe('octave');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * SplCalibration Unit Tests
+ *
+ * Tests for the calibrator measurement, mic calibration file parsing and the
+ * frequency-dependent correction applied to the spectrum and meters.
+ */
+
+const SplCalibration = require('../public/js/calibration.js');
+
+describe('SplCalibration', () => {
+  const sampleRate = 48000;
+
+  /**
+   * Sine block of the given peak amplitude
+   */
+  function sine(amplitude, frequency = 1000, length = 8192) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    return samples;
+  }
+
+  /**
+   * Flat spectrum with a single peak bin at the given frequency
+   */
+  function spectrumWithPeak(frequency, binCount = 2048) {
+    const spectrum = new Float32Array(binCount).fill(-120);
+    spectrum[Math.round(frequency * 2 * binCount / sampleRate)] = -20;
+    return spectrum;
+  }
+
+  describe('parseCalibrationFile', () => {
+    test('should read UMIK-1 style files and skip header lines', () => {
+      const text = [
+        '"Sens Factor =-1.378dB, SERNO: 7000000"',
+        '* Freq(Hz)  SPL(dB)  Phase(degrees)',
+        '10.054\t-2.3812\t0.0',
+        '1000.0\t0.0000\t0.0',
+        '20000.0\t1.5000\t0.0',
+        ''
+      ].join('\r\n');
+
+      expect(SplCalibration.parseCalibrationFile(text)).toEqual([
+        { frequency: 10.054, dB: -2.3812 },
+        { frequency: 1000, dB: 0 },
+        { frequency: 20000, dB: 1.5 }
+      ]);
+    });
+
+    test('should accept comma separated pairs in any order', () => {
+      expect(SplCalibration.parseCalibrationFile('2000,1.0\n100,-0.5\n')).toEqual([
+        { frequency: 100, dB: -0.5 },
+        { frequency: 2000, dB: 1 }
+      ]);
+    });
+
+    test('should reject files without data', () => {
+      expect(() => SplCalibration.parseCalibrationFile('"Sens Factor =-1.378dB"\nhello world')).toThrow('No frequency/dB pairs');
+    });
+  });
+
+  describe('correction', () => {
+    const points = [{ frequency: 100, dB: -2 }, { frequency: 1000, dB: 1 }, { frequency: 10000, dB: 4 }];
+
+    test('should interpolate on a logarithmic frequency axis and hold the end values', () => {
+      expect(SplCalibration.interpolate(points, Math.sqrt(100 * 1000))).toBeCloseTo(-0.5, 6);
+      expect(SplCalibration.interpolate(points, 20)).toBe(-2);
+      expect(SplCalibration.interpolate(points, 20000)).toBe(4);
+    });
+
+    test('should invert the mic response relative to 1 kHz', () => {
+      const calibration = new SplCalibration();
+      calibration.setMicCorrection({ name: 'mic.txt', points });
+
+      expect(calibration.correctionAt(1000)).toBeCloseTo(0, 6);
+      expect(calibration.correctionAt(100)).toBeCloseTo(3, 6);
+      expect(calibration.correctionAt(10000)).toBeCloseTo(-3, 6);
+
+      const data = new Float32Array(1024).fill(-50);
+      calibration.applyCorrection(data, sampleRate);
+      expect(data[Math.round(10000 * 2048 / sampleRate)]).toBeCloseTo(-53, 1);
+    });
+
+    test('should give the broadband correction of the signal energy', () => {
+      const calibration = new SplCalibration();
+      calibration.setMicCorrection({ name: 'mic.txt', points });
+
+      // Only a 10 kHz component: the meters move by the correction at 10 kHz
+      const data = spectrumWithPeak(10000, 1024);
+      calibration.applyCorrection(data, sampleRate);
+      expect(calibration.getBroadbandCorrection(data, sampleRate)).toBeCloseTo(-3, 1);
+
+      calibration.setMicCorrection(null);
+      expect(calibration.getBroadbandCorrection(data, sampleRate)).toBe(0);
+    });
+  });
+
+  describe('calibrator measurement', () => {
+    test('should derive the offset from a 1 kHz tone', async () => {
+      const calibration = new SplCalibration();
+      const done = calibration.startCalibration(94);
+
+      // 0.1 peak sine = -23.01 dBFS RMS
+      for (let t = 0; t <= 3000; t += 100) {
+        calibration.addFrame(sine(0.1), spectrumWithPeak(1000), sampleRate, t);
+      }
+
+      await expect(done).resolves.toBeCloseTo(94 + 23.01, 1);
+      expect(calibration.state).toBe('idle');
+      expect(calibration.isCalibrated()).toBe(true);
+      expect(calibration.referenceLevel).toBe(94);
+    });
+
+    test('should reject a signal that is not a calibrator tone', async () => {
+      const calibration = new SplCalibration();
+      const done = calibration.startCalibration(114);
+
+      for (let t = 0; t <= 3000; t += 100) {
+        calibration.addFrame(sine(0.1, 250), spectrumWithPeak(250), sampleRate, t);
+      }
+
+      await expect(done).rejects.toThrow('No 1 kHz calibrator tone detected');
+      expect(calibration.isCalibrated()).toBe(false);
+    });
+
+    test('should show tone levels in dB SPL on the spectrum', () => {
+      const calibration = new SplCalibration();
+      expect(calibration.getDisplayOffset(15)).toBe(0);
+
+      // A -23.01 dBFS RMS sine has a bin level of -33.56 dB and is displayed at -18.56 dB
+      calibration.setRecord({ offsetDB: 117.01, referenceLevel: 94 });
+      expect(-18.56 + calibration.getDisplayOffset(15)).toBeCloseTo(94, 1);
+
+      // The custom FFT engine shows the same sine at its -20 dBFS peak level without an offset
+      expect(-20 + calibration.getDisplayOffset(0, -10 * Math.log10(2))).toBeCloseTo(94, 1);
+    });
+
+    test('should compensate input gain changes made after calibrating', async () => {
+      const calibration = new SplCalibration();
+      calibration.setInputGain(6);
+      const done = calibration.startCalibration(94);
+      for (let t = 0; t <= 3000; t += 100) {
+        calibration.addFrame(sine(0.1), spectrumWithPeak(1000), sampleRate, t);
+      }
+      const offsetDB = await done;
+      expect(calibration.toRecord().inputGainDB).toBe(6);
+
+      // 4 dB less gain makes the same tone 4 dB quieter in dBFS, so the offset grows by 4 dB
+      calibration.setInputGain(2);
+      expect(calibration.getOffset()).toBeCloseTo(offsetDB + 4, 6);
+      expect(calibration.getDisplayOffset(0, 0)).toBeCloseTo(offsetDB + 4, 6);
+
+      const restored = new SplCalibration();
+      restored.setInputGain(2);
+      restored.setRecord(calibration.toRecord());
+      expect(restored.getOffset()).toBeCloseTo(offsetDB + 4, 6);
+      restored.setRecord({ offsetDB: 110, referenceLevel: 94 });
+      expect(restored.getOffset()).toBe(108);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CalibrationService } = require('../services/calibrationService');
+
+describe('CalibrationService', () => {
+  let calibrationService;
+  let configDir;
+
+  const calibration = () => ({
+    deviceLabel: 'UMIK-1',
+    offsetDB: 121.4,
+    referenceLevel: 94,
+    calibratedAt: '2026-10-01T12:00:00.000Z',
+    micCorrection: {
+      name: '7000000.txt',
+      points: [{ frequency: 20, dB: -1.2 }, { frequency: 1000, dB: 0 }, { frequency: 20000, dB: 2.5 }]
+    }
+  });
+
+  beforeEach(async () => {
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spectrabox-calibrations-'));
+    calibrationService = new CalibrationService(path.join(configDir, 'calibrations.json'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(configDir, { recursive: true, force: true });
+  });
+
+  describe('validateCalibration', () => {
+    test('should accept a calibrator offset with a mic correction', () => {
+      expect(calibrationService.validateCalibration(calibration()).success).toBe(true);
+    });
+
+    test('should accept a mic correction without a calibrator offset', () => {
+      expect(calibrationService.validateCalibration({ ...calibration(), offsetDB: null }).success).toBe(true);
+    });
+
+    test('should reject invalid offsets, reference levels and points', () => {
+      expect(calibrationService.validateCalibration({ ...calibration(), offsetDB: 'loud' }).success).toBe(false);
+      expect(calibrationService.validateCalibration({ ...calibration(), referenceLevel: 100 }).success).toBe(false);
+
+      const unsorted = calibration();
+      unsorted.micCorrection.points.reverse();
+      expect(calibrationService.validateCalibration(unsorted).success).toBe(false);
+
+      const outOfRange = calibration();
+      outOfRange.micCorrection.points[0].dB = 90;
+      expect(calibrationService.validateCalibration(outOfRange).success).toBe(false);
+    });
+  });
+
+  describe('saveCalibration and getCalibration', () => {
+    test('should store calibrations per device', async () => {
+      const stored = await calibrationService.saveCalibration('abc123', calibration());
+      await calibrationService.saveCalibration('default', { ...calibration(), offsetDB: 110, micCorrection: null });
+
+      expect(stored.deviceId).toBe('abc123');
+      expect(await calibrationService.getCalibration('abc123')).toEqual(stored);
+      expect((await calibrationService.getCalibration('default')).offsetDB).toBe(110);
+    });
+
+    test('should replace the previous calibration of a device and drop unknown fields', async () => {
+      await calibrationService.saveCalibration('abc123', calibration());
+      const data = { ...calibration(), offsetDB: 118, injected: true };
+      data.micCorrection.points[0].extra = 'x';
+      await calibrationService.saveCalibration('abc123', data);
+
+      const stored = await calibrationService.getCalibration('abc123');
+      expect(stored.offsetDB).toBe(118);
+      expect(stored.injected).toBeUndefined();
+      expect(stored.micCorrection.points[0]).toEqual({ frequency: 20, dB: -1.2 });
+    });
+
+    test('should keep a valid calibration time and set a missing one', async () => {
+      const calibratedAt = '2024-01-31T12:00:00.000Z';
+      expect((await calibrationService.saveCalibration('abc123', { ...calibration(), calibratedAt })).calibratedAt).toBe(calibratedAt);
+      expect(CalibrationService.isTimestamp((await calibrationService.saveCalibration('abc123', calibration())).calibratedAt)).toBe(true);
+    });
+
+    test('should not lose calibrations saved at the same time', async () => {
+      const deviceIds = ['a', 'b', 'c', 'd', 'e'];
+      await Promise.all(deviceIds.map((deviceId) => calibrationService.saveCalibration(deviceId, calibration())));
+
+      expect((await calibrationService.listCalibrations()).map((summary) => summary.deviceId).sort()).toEqual(deviceIds);
+    });
+
+    test('should store the input gain the offset was measured at', async () => {
+      expect((await calibrationService.saveCalibration('abc123', calibration())).inputGainDB).toBe(0);
+      expect((await calibrationService.saveCalibration('abc123', { ...calibration(), inputGainDB: -6 })).inputGainDB).toBe(-6);
+    });
+
+    test('should throw a ValidationError for invalid data', async () => {
+      await expect(calibrationService.saveCalibration('abc123', { offsetDB: -5 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(calibrationService.saveCalibration('abc123', { ...calibration(), inputGainDB: '6' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(calibrationService.saveCalibration('abc123', { ...calibration(), calibratedAt: 'yesterday' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(calibrationService.saveCalibration('abc123', { ...calibration(), calibratedAt: '2024-02-30T12:00:00.000Z' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(calibrationService.saveCalibration('', calibration())).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('listCalibrations and deleteCalibration', () => {
+    test('should list stored calibrations and delete them', async () => {
+      expect(await calibrationService.listCalibrations()).toEqual([]);
+
+      const stored = await calibrationService.saveCalibration('abc123', calibration());
+      expect(await calibrationService.listCalibrations()).toEqual([{
+        deviceId: 'abc123',
+        deviceLabel: 'UMIK-1',
+        offsetDB: 121.4,
+        referenceLevel: 94,
+        calibratedAt: '2026-10-01T12:00:00.000Z',
+        micCorrection: '7000000.txt',
+        updatedAt: stored.updatedAt
+      }]);
+
+      await calibrationService.deleteCalibration('abc123');
+      expect(await calibrationService.listCalibrations()).toEqual([]);
+    });
+
+    test('should report missing calibrations as not found', async () => {
+      await expect(calibrationService.getCalibration('missing')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(calibrationService.deleteCalibration('missing')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(calibrationService.getCalibration('constructor')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should reject device IDs that cannot be used as keys', async () => {
+      await expect(calibrationService.getCalibration('__proto__')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Feedback Detector Unit Tests
+ *
+ * Tests for the peak-to-neighbour ratio, persistence and growth checks and the EQ suggestions.
+ */
+
+const FeedbackDetector = require('../public/js/feedback.js');
+
+describe('FeedbackDetector', () => {
+  const sampleRate = 48000;
+  const bins = 4096;                                    // 8192-point FFT, 5.86 Hz per bin
+  const binWidth = sampleRate / (2 * bins);
+
+  /**
+   * Spectrum with a -80 dB floor and peaks: [{ bin, levelDB, width }] (width in bins, Gaussian in dB)
+   */
+  function spectrum(peaks = []) {
+    const data = new Float32Array(bins).fill(-80);
+    peaks.forEach(({ bin, levelDB, width = 1 }) => {
+      for (let k = 0; k < bins; k++) {
+        const shape = levelDB + 20 * Math.log10(Math.exp(-0.5 * Math.pow((k - bin) / width, 2)) + 1e-9);
+        data[k] = Math.max(data[k], shape);
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Feed frames every 20 ms; level(t) gives the peak level at t seconds
+   */
+  function run(detector, bin, level, seconds, start = 0) {
+    let changed = false;
+    for (let t = 0; t <= seconds * 1000; t += 20) {
+      changed = detector.update(spectrum([{ bin, levelDB: level(t / 1000) }]), null, sampleRate, start + t) || changed;
+    }
+    return changed;
+  }
+
+  test('should score narrow peaks by their peak-to-neighbour ratio', () => {
+    const peaks = FeedbackDetector.findPeaks(spectrum([{ bin: 400.3, levelDB: -40 }]), sampleRate, 12);
+    expect(peaks).toHaveLength(1);
+    expect(peaks[0].bin).toBe(400);
+    expect(peaks[0].ratioDB).toBeCloseTo(40, 0);
+    expect(peaks[0].frequency).toBeCloseTo(400.3 * binWidth, 0);
+
+    // A broad hump (a resonance or a full instrument tone) has no narrow line
+    expect(FeedbackDetector.findPeaks(spectrum([{ bin: 400, levelDB: -40, width: 40 }]), sampleRate, 12)).toEqual([]);
+  });
+
+  test('should report a growing peak once it has persisted', () => {
+    const detector = new FeedbackDetector();
+    detector.setEnabled(true);
+    const bin = Math.round(2500 / binWidth);
+
+    expect(run(detector, bin, (t) => -50 + 6 * t, 0.4)).toBe(false);
+    expect(detector.candidates).toEqual([]);
+    expect(run(detector, bin, (t) => -47.6 + 6 * t, 0.2, 420)).toBe(true);
+
+    const [candidate] = detector.candidates;
+    expect(candidate.band).toBe(2500);
+    expect(candidate.growth).toBeCloseTo(6, 0);
+    expect(candidate.notchDepth).toBe(18);
+    expect(Math.abs(candidate.frequency - 2500)).toBeLessThan(binWidth);
+  });
+
+  test('should ignore decaying and short-lived peaks', () => {
+    const detector = new FeedbackDetector();
+    detector.setEnabled(true);
+    run(detector, 300, (t) => -40 - 10 * t, 1);
+    expect(detector.candidates).toEqual([]);
+
+    run(detector, 600, () => -40, 0.2, 2000);
+    detector.update(spectrum(), null, sampleRate, 2600);
+    expect(detector.tracks).toEqual([]);
+  });
+
+  test('should only detect when enabled and keep settings to the offered values', () => {
+    const detector = new FeedbackDetector();
+    expect(run(detector, 400, () => -40, 1)).toBe(false);
+
+    detector.setThreshold(10);
+    detector.setPersistence(3);
+    expect(detector.threshold).toBe(12);
+    expect(detector.persistence).toBe(500);
+  });
+
+  test('should suggest the nearest 1/3-octave band and a notch depth', () => {
+    expect(FeedbackDetector.nearestThirdOctave(1000)).toBe(1000);
+    expect(FeedbackDetector.nearestThirdOctave(2700)).toBe(2500);
+    expect(FeedbackDetector.nearestThirdOctave(65)).toBe(63);
+    expect(FeedbackDetector.nearestThirdOctave(12000)).toBe(12500);
+    expect(FeedbackDetector.nearestThirdOctave(31)).toBe(31.5);
+
+    expect(FeedbackDetector.notchDepth(6)).toBe(3);
+    expect(FeedbackDetector.notchDepth(12)).toBe(9);
+    expect(FeedbackDetector.notchDepth(40)).toBe(18);
+  });
+});
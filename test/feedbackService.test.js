@@ -0,0 +1,54 @@
+const { FeedbackService } = require('../services/feedbackService');
+
+describe('FeedbackService', () => {
+  let feedbackService;
+  let broadcasts;
+
+  const candidate = (overrides = {}) => ({
+    frequency: 2512.345,
+    levelDB: -18.26,
+    ratioDB: 21.04,
+    growth: 3.48,
+    band: 2500,
+    notchDepth: 18,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    broadcasts = [];
+    feedbackService = new FeedbackService((message) => broadcasts.push(message));
+  });
+
+  test('should start without candidates', () => {
+    expect(feedbackService.getLatest()).toEqual({ candidates: [], time: null, receivedAt: null });
+  });
+
+  test('should keep the latest report and broadcast it', () => {
+    const report = feedbackService.report([candidate()], 1000.4);
+
+    expect(report.candidates).toEqual([
+      { frequency: 2512.3, levelDB: -18.3, ratioDB: 21, growth: 3.5, band: 2500, notchDepth: 18 }
+    ]);
+    expect(report.time).toBe(1000);
+    expect(broadcasts).toEqual([{ type: 'feedback', feedback: report }]);
+
+    feedbackService.report([], 2000);
+    expect(feedbackService.getLatest().candidates).toEqual([]);
+    expect(broadcasts).toHaveLength(2);
+  });
+
+  test('should reject invalid candidates', () => {
+    expect(() => feedbackService.report(null)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => feedbackService.report([candidate({ frequency: 0 })])).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => feedbackService.report([candidate({ notchDepth: 'deep' })])).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => feedbackService.report([candidate()], 'now')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => feedbackService.report(new Array(FeedbackService.MAX_CANDIDATES + 1).fill(candidate())))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(broadcasts).toHaveLength(0);
+  });
+
+  test('should not fail the report when the broadcast fails', () => {
+    feedbackService = new FeedbackService(() => { throw new Error('socket closed'); });
+    expect(feedbackService.report([candidate()]).candidates).toHaveLength(1);
+  });
+});
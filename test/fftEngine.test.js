@@ -0,0 +1,138 @@
+/**
+ * FFT Engine Unit Tests
+ *
+ * Tests for the window scaling, overlap and averaging of the custom spectrum engine.
+ */
+
+const { SpectrumEngine, FFTEngine } = require('../public/js/fftEngine.js');
+
+describe('SpectrumEngine', () => {
+  const sampleRate = 48000;
+  const size = 4096;
+
+  function options(overrides = {}) {
+    return { fftSize: size, window: 'hann', overlap: 0, averaging: 'exponential', averages: 1, ...overrides };
+  }
+
+  function sine(frequency, amplitude, length) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    return samples;
+  }
+
+  /**
+   * Feed a signal through an engine and return the last spectrum it handed over
+   */
+  function analyse(samples, engineOptions, channelCount = 1) {
+    let last = null;
+    const engine = new SpectrumEngine(channelCount, sampleRate, engineOptions, (message) => { last = message; });
+    for (let offset = 0; offset < samples.length; offset += 128) {
+      engine.process([samples.subarray(offset, offset + 128)]);
+    }
+    return { engine, last };
+  }
+
+  test('should read a bin-centred sine at its peak level with every window', () => {
+    const binWidth = sampleRate / size;
+    const frequency = 100 * binWidth;
+    Object.keys(SpectrumEngine.WINDOWS).forEach((type) => {
+      const { last } = analyse(sine(frequency, 0.5, size), options({ window: type }));
+      expect(last.spectra[0][100]).toBeCloseTo(-6.02, 2);
+    });
+  });
+
+  test('should keep the flat-top window accurate between bins', () => {
+    const frequency = 100.5 * sampleRate / size;
+    const peak = (type) => Math.max(...analyse(sine(frequency, 1, size), options({ window: type })).last.spectra[0]);
+
+    expect(peak('flattop')).toBeCloseTo(0, 1);
+    expect(peak('hann')).toBeLessThan(-1.4);             // Hann scalloping loss is 1.42 dB
+  });
+
+  test('should compute one frame per hop', () => {
+    const samples = sine(1000, 0.5, size * 4);
+    expect(analyse(samples, options({ overlap: 0 })).engine.frames).toBe(4);
+    expect(analyse(samples, options({ overlap: 75 })).engine.frames).toBe(13);
+  });
+
+  test('should average the last N frames linearly and hold peaks', () => {
+    const engine = new SpectrumEngine(1, sampleRate, options({ averaging: 'linear', averages: 2 }), () => {});
+    const frame = (amplitude) => {
+      engine.process([sine(100 * sampleRate / size, amplitude, size)]);
+      return engine.getSpectra()[0][100];
+    };
+
+    expect(frame(1)).toBeCloseTo(0, 3);
+    expect(frame(0.5)).toBeCloseTo(10 * Math.log10((1 + 0.25) / 2), 3);
+    expect(frame(0.5)).toBeCloseTo(-6.02, 2);             // The first frame has left the average
+
+    engine.configure(options({ averaging: 'peak' }));
+    engine.process([sine(100 * sampleRate / size, 1, size)]);
+    engine.process([sine(100 * sampleRate / size, 0.1, size)]);
+    expect(engine.getSpectra()[0][100]).toBeCloseTo(0, 3);
+    engine.reset();
+    engine.process([sine(100 * sampleRate / size, 0.1, size)]);
+    expect(engine.getSpectra()[0][100]).toBeCloseTo(-20, 3);
+  });
+
+  test('should weight exponential averages by 1/N', () => {
+    const engine = new SpectrumEngine(1, sampleRate, options({ averages: 4 }), () => {});
+    const frequency = 100 * sampleRate / size;
+    engine.process([sine(frequency, 1, size)]);
+    engine.process([new Float32Array(size)]);
+    // Start-up frames average linearly: (1 + 0) / 2
+    expect(engine.getSpectra()[0][100]).toBeCloseTo(-3.01, 2);
+  });
+
+  test('should repeat a mono input for the right channel', () => {
+    const { last } = analyse(sine(1000, 0.5, size), options(), 2);
+    expect(Array.from(last.spectra[1])).toEqual(Array.from(last.spectra[0]));
+  });
+
+  test('should report the equivalent noise bandwidth of each window', () => {
+    expect(SpectrumEngine.windowENBW('rectangular')).toBeCloseTo(1, 6);
+    expect(SpectrumEngine.windowENBW('hann')).toBeCloseTo(1.5, 6);
+    expect(SpectrumEngine.windowENBW('flattop')).toBeCloseTo(3.77, 2);
+  });
+});
+
+describe('FFTEngine', () => {
+  test('should serve spectra of the requested length only', () => {
+    const fftEngine = new FFTEngine();
+    const data = new Float32Array(4);
+    fftEngine.channels[0].getFloatFrequencyData(data);
+    expect(data[0]).toBe(-200);
+
+    fftEngine.handleSpectrum({ fftSize: 8, spectra: [Float32Array.from([-10, -20, -30, -40])] });
+    fftEngine.channels[1].getFloatFrequencyData(data);
+    expect(Array.from(data)).toEqual([-10, -20, -30, -40]);
+    const stale = new Float32Array(8);
+    fftEngine.channels[0].getFloatFrequencyData(stale);   // Spectrum of the previous FFT size
+    expect(stale[0]).toBe(-200);
+  });
+
+  test('should pass validated settings to the running engine', () => {
+    const fftEngine = new FFTEngine();
+    const processor = { configure: jest.fn(), reset: jest.fn() };
+    fftEngine.attachProcessor(processor);
+
+    fftEngine.setWindow('flattop');
+    fftEngine.setOverlap(33);
+    fftEngine.setAveraging('peak');
+    expect(processor.configure).toHaveBeenCalledTimes(2);
+    expect(processor.configure).toHaveBeenLastCalledWith(
+      { fftSize: 4096, window: 'flattop', overlap: 50, averaging: 'peak', averages: 8 });
+  });
+
+  test('should use the AnalyserNode offset and ENBW only for that backend', () => {
+    const fftEngine = new FFTEngine();
+    expect(fftEngine.baselineCalibrationDB).toBe(15);
+    expect(fftEngine.enbw).toBeCloseTo(1.7268, 4);
+
+    fftEngine.setBackend('custom');
+    expect(fftEngine.baselineCalibrationDB).toBe(0);
+    expect(fftEngine.enbw).toBeCloseTo(1.5, 6);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * File Player Unit Tests
+ *
+ * Tests for the transport (play, pause, seek, loop region) of the audio file input.
+ */
+
+const FilePlayer = require('../public/js/filePlayer.js');
+
+describe('FilePlayer', () => {
+  let context;
+  let player;
+
+  /**
+   * AudioContext stand-in whose clock is advanced by the tests
+   */
+  function mockContext() {
+    const sources = [];
+    return {
+      currentTime: 0,
+      state: 'running',
+      destination: {},
+      sources,
+      createGain: () => ({ connect: jest.fn(), disconnect: jest.fn() }),
+      createBufferSource() {
+        const source = {
+          connect: jest.fn(),
+          disconnect: jest.fn(),
+          start: jest.fn(),
+          stop: jest.fn(() => source.onended && source.onended())
+        };
+        sources.push(source);
+        return source;
+      }
+    };
+  }
+
+  beforeEach(() => {
+    context = mockContext();
+    player = new FilePlayer();
+    player.setBuffer({ duration: 10, numberOfChannels: 6, sampleRate: 48000 }, 'mix.wav');
+  });
+
+  test('should not play before the analyzer is running', () => {
+    expect(player.play()).toBe(false);
+    expect(new FilePlayer().play()).toBe(false);
+  });
+
+  test('should downmix files with more than two channels', () => {
+    const output = player.attach(context);
+    expect(output.channelCount).toBe(2);
+    expect(output.channelCountMode).toBe('explicit');
+  });
+
+  test('should pause and resume at the playback position', () => {
+    player.attach(context);
+    player.play();
+    expect(context.sources[0].start).toHaveBeenCalledWith(0, 0);
+
+    context.currentTime = 2.5;
+    expect(player.getPosition()).toBeCloseTo(2.5, 6);
+    player.pause();
+    expect(player.playing).toBe(false);
+    expect(context.sources[0].stop).toHaveBeenCalled();
+
+    context.currentTime = 7;
+    expect(player.getPosition()).toBeCloseTo(2.5, 6);
+    player.play();
+    expect(context.sources[1].start).toHaveBeenCalledWith(0, 2.5);
+    context.currentTime = 8;
+    expect(player.getPosition()).toBeCloseTo(3.5, 6);
+  });
+
+  test('should seek with a new source and clamp to the file', () => {
+    player.attach(context);
+    player.play();
+    player.seek(6);
+    expect(player.playing).toBe(true);
+    expect(context.sources[1].start).toHaveBeenCalledWith(0, 6);
+
+    player.pause();
+    player.seek(25);
+    expect(player.getPosition()).toBe(10);
+  });
+
+  test('should stop at the end of the file and play again from the start', () => {
+    player.attach(context);
+    player.play();
+    context.currentTime = 10;
+    context.sources[0].onended();
+
+    expect(player.playing).toBe(false);
+    expect(player.getPosition()).toBe(10);
+    player.play();
+    expect(context.sources[1].start).toHaveBeenCalledWith(0, 0);
+  });
+
+  test('should repeat the loop region', () => {
+    player.setLoopRegion(2, 4);
+    player.setLoop(true);
+    player.attach(context);
+    player.play();
+
+    const source = context.sources[0];
+    expect(source.loop).toBe(true);
+    expect([source.loopStart, source.loopEnd]).toEqual([2, 4]);
+    expect(source.start).toHaveBeenCalledWith(0, 2);       // Outside the region playback starts at the loop start
+
+    context.currentTime = 1;
+    expect(player.getPosition()).toBeCloseTo(3, 6);
+    context.currentTime = 3;
+    expect(player.getPosition()).toBeCloseTo(3, 6);        // Once round the loop later
+    context.currentTime = 3.5;
+    expect(player.getPosition()).toBeCloseTo(3.5, 6);
+  });
+
+  test('should keep the loop region inside the file', () => {
+    player.setLoopRegion(-1, 30);
+    expect([player.loopStart, player.loopEnd]).toEqual([0, 10]);
+    player.setLoopRegion(5, 3);
+    expect([player.loopStart, player.loopEnd]).toEqual([5, 5 + FilePlayer.MIN_LOOP]);
+  });
+
+  test('should release the output when the analyzer stops', () => {
+    const output = player.attach(context);
+    player.play();
+    context.currentTime = 1;
+    player.detach();
+
+    expect(player.playing).toBe(false);
+    expect(player.getPosition()).toBeCloseTo(1, 6);
+    expect(output.disconnect).toHaveBeenCalled();
+    expect(player.play()).toBe(false);
+  });
+
+  test('should format positions', () => {
+    expect(FilePlayer.formatTime(0)).toBe('0:00.0');
+    expect(FilePlayer.formatTime(65.34)).toBe('1:05.3');
+    expect(FilePlayer.formatTime(600)).toBe('10:00.0');
+  });
+});
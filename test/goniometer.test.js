@@ -0,0 +1,118 @@
+/**
+ * Goniometer Unit Tests
+ *
+ * Tests for the L/R to M/S rotation and auto-gain used by the stereo
+ * vectorscope panel.
+ */
+
+const Goniometer = require('../public/js/goniometer.js');
+
+describe('Goniometer', () => {
+  let goniometer;
+
+  beforeEach(() => {
+    goniometer = new Goniometer({});
+  });
+
+  describe('toMidSide', () => {
+    test('should plot mono signals on the vertical axis', () => {
+      const samples = new Float32Array([0.5, -0.25, 1]);
+      const points = Goniometer.toMidSide(samples, samples, null);
+
+      for (let i = 0; i < samples.length; i++) {
+        expect(points.x[i]).toBeCloseTo(0, 6);
+        expect(points.y[i]).toBeCloseTo(samples[i] * Math.SQRT2, 6);
+      }
+    });
+
+    test('should lean a left-only signal 45° towards L', () => {
+      const points = Goniometer.toMidSide(new Float32Array([1]), new Float32Array([0]), null);
+
+      expect(points.x[0]).toBeCloseTo(-Math.SQRT1_2, 6);
+      expect(points.y[0]).toBeCloseTo(Math.SQRT1_2, 6);
+      expect(points.peak).toBeCloseTo(1, 6);
+    });
+
+    test('should plot out-of-phase signals on the horizontal axis', () => {
+      const points = Goniometer.toMidSide(new Float32Array([0.5]), new Float32Array([-0.5]), null);
+
+      expect(points.x[0]).toBeCloseTo(-Math.SQRT1_2, 6);
+      expect(points.y[0]).toBeCloseTo(0, 6);
+    });
+
+    test('should map M/S inputs onto the axes in Mid-Side mode', () => {
+      const points = Goniometer.toMidSide(new Float32Array([0.3]), new Float32Array([0.1]), 1);
+
+      expect(points.x[0]).toBeCloseTo(-0.1 * Math.SQRT1_2, 6);
+      expect(points.y[0]).toBeCloseTo(0.3 * Math.SQRT1_2, 6);
+    });
+
+    test('should plot left-only content the same in stereo and Mid-Side mode', () => {
+      const left = new Float32Array([1, 0.5, -0.25]);
+      const right = new Float32Array(3);
+      const mid = left.map((l, i) => l + right[i]);             // Sum/difference M/S encoding
+      const side = left.map((l, i) => l - right[i]);
+      const stereo = Goniometer.toMidSide(left, right, null);
+      const midSide = Goniometer.toMidSide(mid, side, 1);
+
+      for (let i = 0; i < left.length; i++) {
+        expect(midSide.x[i]).toBeCloseTo(stereo.x[i], 6);
+        expect(midSide.y[i]).toBeCloseTo(stereo.y[i], 6);
+      }
+      expect(midSide.x[0]).toBeLessThan(0);                      // Leans towards L
+    });
+
+    test('should plot energy-preserving M/S at the stereo level', () => {
+      const left = new Float32Array([1, 0.5, -0.25]);
+      const right = new Float32Array([0.2, -0.5, 0]);
+      const mid = left.map((l, i) => (l + right[i]) * Math.SQRT1_2);   // Energy-preserving M/S encoding
+      const side = left.map((l, i) => (l - right[i]) * Math.SQRT1_2);
+      const stereo = Goniometer.toMidSide(left, right, null);
+      const midSide = Goniometer.toMidSide(mid, side, Math.SQRT1_2);
+
+      for (let i = 0; i < left.length; i++) {
+        expect(midSide.x[i]).toBeCloseTo(stereo.x[i], 6);
+        expect(midSide.y[i]).toBeCloseTo(stereo.y[i], 6);
+      }
+      expect(midSide.peak).toBeCloseTo(stereo.peak, 6);
+    });
+
+    test('should only convert the most recent samples', () => {
+      const left = new Float32Array([1, 1, 0.25, 0.5]);
+      const points = Goniometer.toMidSide(left, left, 1, 2);
+
+      expect(Array.from(points.y)).toEqual([0.25, 0.5].map((value) => Math.fround(value * Math.SQRT1_2)));
+    });
+  });
+
+  describe('updateGain', () => {
+    test('should raise the gain for quiet signals up to the limit', () => {
+      for (let i = 0; i < 500; i++) {
+        goniometer.updateGain(0.0001);
+      }
+      expect(goniometer.gain).toBeCloseTo(goniometer.maxGain, 1);
+    });
+
+    test('should settle so the peak reaches the target radius', () => {
+      for (let i = 0; i < 500; i++) {
+        goniometer.updateGain(0.09);
+      }
+      expect(0.09 * goniometer.gain).toBeCloseTo(goniometer.targetRadius, 2);
+    });
+
+    test('should never let a loud block exceed the panel', () => {
+      for (let i = 0; i < 500; i++) {
+        goniometer.updateGain(0.01);
+      }
+      goniometer.updateGain(0.5);
+      expect(0.5 * goniometer.gain).toBeLessThanOrEqual(1);
+    });
+
+    test('should hold the gain through silence', () => {
+      goniometer.updateGain(0.1);
+      const gain = goniometer.gain;
+      goniometer.updateGain(0);
+      expect(goniometer.gain).toBe(gain);
+    });
+  });
+});
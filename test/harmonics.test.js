@@ -0,0 +1,109 @@
+/**
+ * Harmonic Analyzer Unit Tests
+ *
+ * Tests for the fundamental detection and the THD, THD+N and SINAD figures.
+ */
+
+global.TransferFunctionEngine = require('../public/js/transferFunction.js').TransferFunctionEngine;
+const HarmonicAnalyzer = require('../public/js/harmonics.js');
+
+describe('HarmonicAnalyzer', () => {
+  const sampleRate = 48000;
+  const size = HarmonicAnalyzer.BLOCK_SIZE;
+
+  /**
+   * Sum of sines: [{ frequency, amplitude }] plus optional uniform noise
+   */
+  function signal(components, noise = 0) {
+    let state = 1;
+    const random = () => {
+      state = (state * 1664525 + 1013904223) % 4294967296;
+      return state / 4294967296;
+    };
+    const samples = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      samples[i] = components.reduce((sum, { frequency, amplitude }) =>
+        sum + amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate), 0) + noise * (random() * 2 - 1);
+    }
+    return samples;
+  }
+
+  test('should find the fundamental between bins and its level', () => {
+    const result = HarmonicAnalyzer.analyse(signal([{ frequency: 997, amplitude: 0.5 }]), sampleRate, 5, 50);
+
+    expect(result.frequency).toBeCloseTo(997, 1);
+    expect(result.levelDB).toBeCloseTo(-6.02, 2);
+    expect(result.harmonics.map((harmonic) => harmonic.order)).toEqual([2, 3, 4, 5]);
+    expect(result.thd).toBeLessThan(1e-6);
+  });
+
+  test('should measure THD from the selected harmonics', () => {
+    // H2 at 1 % and H3 at 0.5 %: THD = √(0.01² + 0.005²) = 1.118 %
+    const samples = signal([
+      { frequency: 1000, amplitude: 0.5 },
+      { frequency: 2000, amplitude: 0.005 },
+      { frequency: 3000, amplitude: 0.0025 },
+      { frequency: 7000, amplitude: 0.005 }
+    ]);
+
+    const result = HarmonicAnalyzer.analyse(samples, sampleRate, 5, 50);
+    expect(result.thd).toBeCloseTo(0.01118, 4);
+    expect(result.harmonics[0].levelDB).toBeCloseTo(-40, 1);
+    expect(result.harmonics[1].levelDB).toBeCloseTo(-46.02, 1);
+
+    // H7 only counts once it is included
+    expect(HarmonicAnalyzer.analyse(samples, sampleRate, 10, 50).thd).toBeCloseTo(0.015, 4);
+  });
+
+  test('should include noise in THD+N and SINAD', () => {
+    const samples = signal([
+      { frequency: 1000, amplitude: 0.5 },
+      { frequency: 2000, amplitude: 0.005 }
+    ], 0.005);
+
+    const result = HarmonicAnalyzer.analyse(samples, sampleRate, 5, 50);
+    // Noise power: 0.005² / 3 over 0-24 kHz, of which 20 Hz - 20 kHz is in band
+    const noise = 0.005 * 0.005 / 3 * (19980 / 24000);
+    const expected = Math.sqrt((noise + 0.005 * 0.005 / 2) / (0.5 * 0.5 / 2 + noise + 0.005 * 0.005 / 2));
+    expect(result.thdN).toBeCloseTo(expected, 3);
+    expect(result.thdN).toBeGreaterThan(result.thd);
+    expect(result.sinad).toBeCloseTo(-20 * Math.log10(result.thdN), 6);
+  });
+
+  test('should leave components inside the notch out of THD+N', () => {
+    const samples = signal([
+      { frequency: 1000, amplitude: 0.5 },
+      { frequency: 1060, amplitude: 0.05 }
+    ]);
+
+    expect(HarmonicAnalyzer.analyse(samples, sampleRate, 5, 50).thdN).toBeGreaterThan(0.05);
+    expect(HarmonicAnalyzer.analyse(samples, sampleRate, 5, 200).thdN).toBeLessThan(1e-4);
+  });
+
+  test('should report no tone for noise or silence', () => {
+    expect(HarmonicAnalyzer.analyse(signal([], 0.5), sampleRate, 5, 50)).toBeNull();
+    expect(HarmonicAnalyzer.analyse(new Float32Array(size), sampleRate, 5, 50)).toBeNull();
+  });
+
+  test('should only analyse when enabled and the interval has passed', () => {
+    const analyzer = new HarmonicAnalyzer();
+    let samples = signal([{ frequency: 1000, amplitude: 0.5 }]);
+    const analyser = { fftSize: size, getFloatTimeDomainData: jest.fn((buffer) => buffer.set(samples)) };
+    analyzer.update(analyser, sampleRate, 1000);
+    expect(analyser.getFloatTimeDomainData).not.toHaveBeenCalled();
+
+    analyzer.setEnabled(true);
+    analyzer.update(analyser, sampleRate, 1000);
+    expect(analyzer.result.frequency).toBeCloseTo(1000, 1);
+    samples = new Float32Array(size);
+    analyzer.update(analyser, sampleRate, 1100);
+    expect(analyzer.result).not.toBeNull();
+    analyzer.update(analyser, sampleRate, 1300);
+    expect(analyzer.result).toBeNull();
+  });
+
+  test('should format ratios as percent and dB', () => {
+    expect(HarmonicAnalyzer.formatRatio(0.01)).toBe('1.00 % (-40.0 dB)');
+    expect(HarmonicAnalyzer.formatRatio(0.0000105)).toBe('0.00105 % (-99.6 dB)');
+  });
+});
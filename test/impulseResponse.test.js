@@ -0,0 +1,147 @@
+/**
+ * ImpulseResponse Unit Tests
+ *
+ * Tests for sweep deconvolution, Schroeder integration, the EDT/T20/T30 fits
+ * and the octave band reverberation analysis.
+ */
+
+global.OctaveBandAnalyzer = require('../public/js/octaveBands.js');
+global.BandCorrelation = require('../public/js/bandCorrelation.js');
+const SignalGenerator = require('../public/js/signalGenerator.js');
+global.SignalGenerator = SignalGenerator;
+global.TransferFunctionEngine = require('../public/js/transferFunction.js').TransferFunctionEngine;
+const ImpulseResponse = require('../public/js/impulseResponse.js');
+
+describe('ImpulseResponse', () => {
+  const sampleRate = 48000;
+
+  /**
+   * Deterministic white noise (linear congruential generator)
+   */
+  function noise(length, seed = 1) {
+    const samples = new Float32Array(length);
+    let state = seed;
+    for (let i = 0; i < length; i++) {
+      state = (state * 1664525 + 1013904223) % 4294967296;
+      samples[i] = state / 4294967296 * 2 - 1;
+    }
+    return samples;
+  }
+
+  /**
+   * Exponentially decaying noise with a given RT60, a short silent lead-in and a -80 dB noise floor
+   */
+  function syntheticRoom(rt60, length = sampleRate * 1.5, leadIn = 200) {
+    const decay = noise(length, 3);
+    const floor = noise(length, 11);
+    const ir = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const t = (i - leadIn) / sampleRate;
+      const envelope = t < 0 ? 0 : Math.pow(10, -3 * t / rt60);    // -60 dB after rt60 seconds
+      ir[i] = decay[i] * envelope + floor[i] * 1e-4;
+    }
+    return ir;
+  }
+
+  describe('deconvolve', () => {
+    test('should recover a delayed impulse from a recorded sweep', () => {
+      const sweep = SignalGenerator.generateLogSweep(sampleRate, 20, 20000, 0.5);
+      const recording = new Float32Array(sweep.length + sampleRate / 4);
+      recording.set(sweep.map((value) => value * 0.5), 100);
+
+      const inverse = ImpulseResponse.inverseSweep(sweep, sampleRate, 20, 20000);
+      const ir = ImpulseResponse.deconvolve(recording, inverse, sweep.length, 480);
+      const peakIndex = ir.reduce((best, value, i) => (Math.abs(value) > Math.abs(ir[best]) ? i : best), 0);
+
+      expect(peakIndex).toBe(480 + 100);
+      expect(ir[peakIndex]).toBeCloseTo(1, 5);
+      // Away from the peak the response is close to silent
+      expect(Math.abs(ir[peakIndex + 2000])).toBeLessThan(0.01);
+    });
+  });
+
+  describe('schroeder', () => {
+    test('should give a monotonically falling curve starting at 0 dB', () => {
+      const ir = syntheticRoom(0.5);
+      const curve = ImpulseResponse.schroeder(ir, 200, ir.length);
+
+      expect(curve[0]).toBeCloseTo(0, 6);
+      for (let i = 1; i < curve.length; i += 100) {
+        expect(curve[i]).toBeLessThanOrEqual(curve[i - 1]);
+      }
+    });
+  });
+
+  describe('analyzeDecay', () => {
+    test('should measure the decay time of an exponential decay', () => {
+      const result = ImpulseResponse.analyzeDecay(syntheticRoom(0.5), sampleRate);
+
+      expect(result.onset).toBeGreaterThanOrEqual(200);
+      expect(result.onset).toBeLessThan(250);
+      expect(result.t20).toBeCloseTo(0.5, 1);
+      expect(result.t30).toBeCloseTo(0.5, 1);
+      expect(result.edt).toBeCloseTo(0.5, 1);
+      expect(result.rt60).toBe(result.t30);
+    });
+
+    test('should truncate the integration at the noise floor', () => {
+      const ir = syntheticRoom(0.3);
+      const { end } = ImpulseResponse.analyzeDecay(ir, sampleRate);
+
+      // The decay meets the -80 dB floor (plus 5 dB) after roughly 0.3 × 75 / 60 s
+      expect(end / sampleRate).toBeGreaterThan(0.3);
+      expect(end / sampleRate).toBeLessThan(0.45);
+    });
+
+    test('should fall back to T20 when the decay range is too small for T30', () => {
+      // The recording ends about 45 dB down: enough range for T20 (35 dB) but not for T30 (45 dB)
+      const ir = syntheticRoom(2, sampleRate * 1.5);
+
+      const { t30, rt60, t20 } = ImpulseResponse.analyzeDecay(ir, sampleRate);
+      expect(t30).toBeNull();
+      expect(t20).toBeCloseTo(2, 0);
+      expect(rt60).toBe(t20);
+    });
+  });
+
+  describe('analyze', () => {
+    test('should report octave bands from 63 Hz to 8 kHz', () => {
+      const result = ImpulseResponse.analyze(syntheticRoom(0.5), sampleRate);
+
+      expect(result.bands.map((band) => band.label)).toEqual(['63', '125', '250', '500', '1k', '2k', '4k', '8k']);
+      for (const band of result.bands.slice(2)) {
+        expect(band.t30).toBeGreaterThan(0.45);
+        expect(band.t30).toBeLessThan(0.55);
+      }
+      expect(result.broadband.rt60).toBeCloseTo(0.5, 1);
+    });
+  });
+
+  describe('impulse capture', () => {
+    test('should trigger on an impulse and keep the pre-trigger samples', () => {
+      const impulseResponse = new ImpulseResponse({});
+      const recordingStates = [];
+      impulseResponse.attachRecorder({ setRecording: (on) => recordingStates.push(on) }, sampleRate);
+      impulseResponse.setTailLength(0.5);
+
+      let captured = null;
+      impulseResponse.setState('armed');
+      impulseResponse.onCaptured = (recording) => { captured = recording; };
+
+      // One second of quiet input, then an impulse, then silence
+      const block = 128;
+      for (let n = 0; n < sampleRate * 2 / block && !captured; n++) {
+        const samples = new Float32Array(block);
+        if (n === 400) samples[10] = 0.8;
+        impulseResponse.addSamples([samples]);
+      }
+
+      expect(captured).not.toBeNull();
+      expect(recordingStates).toEqual([true, false]);
+      const peakIndex = captured.indexOf(Math.fround(0.8));
+      expect(peakIndex / sampleRate).toBeGreaterThanOrEqual(0.05);
+      expect(peakIndex / sampleRate).toBeLessThan(0.06);
+      expect((captured.length - peakIndex) / sampleRate).toBeGreaterThanOrEqual(0.5);
+    });
+  });
+});
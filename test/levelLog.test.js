@@ -0,0 +1,96 @@
+/**
+ * Level Logger Unit Tests
+ *
+ * Tests for the interval summaries posted to the long-term level log.
+ */
+
+const { LevelLogger } = require('../public/js/levelLog.js');
+
+describe('LevelLogger', () => {
+  const frameLength = 4800;
+  let logger;
+
+  /**
+   * Constant-amplitude frame: alternating +a/-a samples
+   */
+  function frame(amplitude, sign = 1) {
+    const samples = new Float32Array(frameLength);
+    for (let i = 0; i < frameLength; i++) {
+      samples[i] = sign * (i % 2 === 0 ? amplitude : -amplitude);
+    }
+    return samples;
+  }
+
+  beforeEach(() => {
+    logger = new LevelLogger();
+    logger.setInterval(1);
+  });
+
+  test('should summarise one interval of stereo frames', () => {
+    let completed = false;
+    for (let t = 0; t <= 1000; t += 100) {
+      const amplitude = t === 500 ? 0.5 : 0.1;
+      completed = logger.addFrame(frame(amplitude), frame(amplitude / 2, -1), null, -23, t);
+    }
+
+    expect(completed).toBe(true);
+    const [summary] = logger.takePending();
+    expect(summary.time).toBe(1000);
+    expect(summary.duration).toBe(1);
+    expect(summary.peakLeft).toBeCloseTo(-6.02, 2);
+    expect(summary.peakRight).toBeCloseTo(-12.04, 2);
+    expect(summary.rmsLeft).toBeCloseTo(10 * Math.log10((10 * 0.01 + 0.25) / 11), 2);
+    expect(summary.correlation).toBeCloseTo(-1, 6);
+    expect(summary.loudness).toBeCloseTo(-23, 6);
+    expect(logger.takePending()).toEqual([]);
+  });
+
+  test('should decode M/S frames back to left and right', () => {
+    // Left only: M = S = s·L
+    const scale = Math.SQRT1_2;
+    for (let t = 0; t <= 1000; t += 100) {
+      logger.addFrame(frame(0.1 * scale), frame(0.1 * scale), scale, -Infinity, t);
+    }
+
+    const [summary] = logger.takePending();
+    expect(summary.rmsLeft).toBeCloseTo(-20, 2);
+    expect(summary.rmsRight).toBe(LevelLogger.FLOOR_DB);
+    expect(summary.correlation).toBeNull();
+    expect(summary.loudness).toBeNull();
+  });
+
+  test('should log mono input without right channel values', () => {
+    for (let t = 0; t <= 1000; t += 100) {
+      logger.addFrame(frame(0.1), null, null, -30, t);
+    }
+
+    expect(logger.takePending()[0]).toMatchObject({ peakRight: null, rmsRight: null, correlation: null });
+  });
+
+  test('should discard an interval interrupted by a gap', () => {
+    logger.addFrame(frame(0.1), null, null, -30, 0);
+    logger.addFrame(frame(0.1), null, null, -30, 5000);
+    expect(logger.pending).toHaveLength(0);
+
+    logger.addFrame(frame(0.1), null, null, -30, 6000);
+    expect(logger.takePending()[0].duration).toBe(1);
+  });
+
+  test('should keep summaries for a later retry and nothing while disabled', () => {
+    for (let t = 0; t <= 3000; t += 100) {
+      logger.addFrame(frame(0.1), null, null, -30, t);
+    }
+    const samples = logger.takePending();
+    expect(samples).toHaveLength(3);
+
+    logger.requeue(samples);
+    expect(logger.pending).toHaveLength(3);
+
+    logger.takePending();
+    logger.setEnabled(false);
+    for (let t = 4000; t <= 6000; t += 100) {
+      expect(logger.addFrame(frame(0.1), null, null, -30, t)).toBe(false);
+    }
+    expect(logger.pending).toHaveLength(0);
+  });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { LevelLogService } = require('../services/levelLogService');
+
+describe('LevelLogService', () => {
+  let levelLogService;
+  let logDir;
+
+  const HOUR = 60 * 60 * 1000;
+  const now = Date.now();
+  const hourStart = now - (now % HOUR) - 2 * HOUR;   // Start of a full hour in the past
+
+  const sample = (time, overrides = {}) => ({
+    time,
+    duration: 10,
+    peakLeft: -6,
+    peakRight: -8,
+    rmsLeft: -20,
+    rmsRight: -22,
+    correlation: 0.8,
+    loudness: -23,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spectrabox-levels-'));
+    levelLogService = new LevelLogService(logDir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(logDir, { recursive: true, force: true });
+  });
+
+  describe('appendSamples', () => {
+    test('should append summaries to one file per UTC day', async () => {
+      const yesterday = now - 24 * HOUR;
+      expect(await levelLogService.appendSamples([sample(yesterday), sample(now - 1000)])).toBe(2);
+      expect(await levelLogService.appendSamples([sample(now)])).toBe(1);
+
+      const today = await fs.readFile(path.join(logDir, `levels-${LevelLogService.dayOf(now)}.jsonl`), 'utf8');
+      expect(today.trim().split('\n')).toHaveLength(2);
+      expect(await fs.readdir(logDir)).toContain(`levels-${LevelLogService.dayOf(yesterday)}.jsonl`);
+    });
+
+    test('should reject invalid summaries', async () => {
+      await expect(levelLogService.appendSamples([])).rejects.toMatchObject({ statusCode: 400 });
+      await expect(levelLogService.appendSamples([sample(now, { rmsLeft: 'loud' })])).rejects.toMatchObject({ statusCode: 400 });
+      await expect(levelLogService.appendSamples([sample(now, { correlation: 2 })])).rejects.toMatchObject({ statusCode: 400 });
+      await expect(levelLogService.appendSamples([sample(now - 40 * 24 * HOUR)])).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should accept unavailable values as null', async () => {
+      await levelLogService.appendSamples([sample(now, { peakRight: null, rmsRight: null, correlation: null, loudness: null })]);
+      const history = await levelLogService.getHistory({ from: String(now - HOUR), to: String(now + 1000) });
+      expect(history.points[0]).toMatchObject({ peakRight: null, correlation: null, loudness: null, rmsLeft: -20 });
+    });
+
+    test('should delete log files older than the retention period', async () => {
+      await fs.writeFile(path.join(logDir, 'levels-2000-01-01.jsonl'), '');
+      await fs.writeFile(path.join(logDir, 'notes.txt'), '');
+      await levelLogService.appendSamples([sample(now)]);
+
+      const files = await fs.readdir(logDir);
+      expect(files).not.toContain('levels-2000-01-01.jsonl');
+      expect(files).toContain('notes.txt');
+    });
+  });
+
+  describe('getHistory', () => {
+    beforeEach(async () => {
+      // One hour of 10 s summaries: RMS alternates between -20 and -30 dBFS, one loud peak
+      const samples = [];
+      for (let t = 0; t < HOUR; t += 10000) {
+        samples.push(sample(hourStart + t, { rmsLeft: (t / 10000) % 2 === 0 ? -20 : -30, peakLeft: t === 30000 ? -1 : -6 }));
+      }
+      await levelLogService.appendSamples(samples);
+    });
+
+    test('should downsample to the requested resolution', async () => {
+      const history = await levelLogService.getHistory({ from: String(hourStart), to: String(hourStart + HOUR), resolution: '60' });
+
+      expect(history.resolution).toBe(60);
+      expect(history.points).toHaveLength(60);
+      expect(history.points[0]).toMatchObject({ time: hourStart, count: 6, peakLeft: -1, correlation: 0.8 });
+      expect(history.points[1].peakLeft).toBe(-6);
+
+      // Energy average of -20 and -30 dB
+      expect(history.points[0].rmsLeft).toBeCloseTo(10 * Math.log10((0.01 + 0.001) / 2), 2);
+    });
+
+    test('should choose a resolution for about 1000 points when none is given', async () => {
+      const history = await levelLogService.getHistory({ from: String(hourStart - 23 * HOUR), to: String(hourStart + HOUR) });
+      expect(history.resolution).toBe(87);
+      expect(history.points.length).toBeLessThanOrEqual(1000);
+    });
+
+    test('should accept ISO dates and return only the requested period', async () => {
+      const history = await levelLogService.getHistory({
+        from: new Date(hourStart + HOUR / 2).toISOString(),
+        to: new Date(hourStart + HOUR).toISOString(),
+        resolution: '1800'
+      });
+      expect(history.points).toHaveLength(1);
+      expect(history.points[0].count).toBe(180);
+    });
+
+    test('should skip unreadable lines', async () => {
+      await fs.appendFile(path.join(logDir, `levels-${LevelLogService.dayOf(hourStart)}.jsonl`), '{"time": 12');
+      const history = await levelLogService.getHistory({ from: String(hourStart), to: String(hourStart + HOUR), resolution: '3600' });
+      expect(history.points[0].count).toBe(360);
+    });
+
+    test('should reject invalid queries', async () => {
+      await expect(levelLogService.getHistory({ from: 'yesterday' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(levelLogService.getHistory({ from: String(now), to: String(now - HOUR) })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(levelLogService.getHistory({ resolution: '0.5' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(levelLogService.getHistory({ resolution: '1' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('toCSV', () => {
+    test('should export one row per point with empty cells for missing values', () => {
+      const csv = LevelLogService.toCSV({
+        points: [{ time: Date.UTC(2026, 9, 1, 12), count: 6, peakLeft: -1, peakRight: null, rmsLeft: -20, rmsRight: null, correlation: null, loudness: -23 }]
+      });
+      expect(csv.split('\n')[0]).toBe('Time,Summaries,Peak L (dBFS),Peak R (dBFS),RMS L (dBFS),RMS R (dBFS),Correlation,Loudness (LUFS)');
+      expect(csv.split('\n')[1]).toBe('2026-10-01T12:00:00.000Z,6,-1,,-20,,,-23');
+    });
+  });
+});
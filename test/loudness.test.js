@@ -0,0 +1,124 @@
+/**
+ * Loudness Meter Unit Tests
+ *
+ * Tests for BS.1770-4 K-weighting and the EBU R128 momentary, short-term,
+ * integrated and loudness range measurements.
+ */
+
+const { LoudnessMeter, LoudnessBlockAccumulator } = require('../public/js/loudness.js');
+
+describe('Loudness measurement', () => {
+  const sampleRate = 48000;
+  let meter;
+  let accumulator;
+
+  /**
+   * Feed a stereo 1 kHz sine (same level in both channels) in 100 ms chunks
+   */
+  function playTone(levelDBFS, seconds, frequency = 1000) {
+    const amplitude = Math.pow(10, levelDBFS / 20);
+    const chunk = sampleRate / 10;
+    const buffer = new Float32Array(chunk);
+    for (let n = 0; n < seconds * 10; n++) {
+      for (let i = 0; i < chunk; i++) {
+        buffer[i] = amplitude * Math.sin(2 * Math.PI * frequency * (n * chunk + i) / sampleRate);
+      }
+      accumulator.process([buffer, buffer]);
+    }
+  }
+
+  beforeEach(() => {
+    meter = new LoudnessMeter();
+    accumulator = new LoudnessBlockAccumulator(sampleRate, (power) => meter.addBlock(power));
+  });
+
+  describe('K-weighting', () => {
+    test('should match the BS.1770-4 coefficients at 48 kHz', () => {
+      const [shelf, highPass] = LoudnessBlockAccumulator.designKWeighting(48000);
+
+      expect(shelf.b0).toBeCloseTo(1.53512485958697, 10);
+      expect(shelf.b1).toBeCloseTo(-2.69169618940638, 10);
+      expect(shelf.b2).toBeCloseTo(1.19839281085285, 10);
+      expect(shelf.a1).toBeCloseTo(-1.69065929318241, 10);
+      expect(shelf.a2).toBeCloseTo(0.73248077421585, 10);
+
+      expect(highPass.a1).toBeCloseTo(-1.99004745483398, 8);
+      expect(highPass.a2).toBeCloseTo(0.99007225036621, 8);
+    });
+
+    test('should emit one block per 100 ms', () => {
+      const blocks = [];
+      const blockAccumulator = new LoudnessBlockAccumulator(44100, (power) => blocks.push(power));
+      blockAccumulator.process([new Float32Array(44100 * 2 + 128)]);
+      expect(blocks).toHaveLength(20);
+    });
+  });
+
+  describe('measurements', () => {
+    test('should read -23 LUFS for a -23 dBFS stereo 1 kHz tone', () => {
+      playTone(-23, 20);
+
+      expect(meter.getMomentary()).toBeCloseTo(-23, 1);
+      expect(meter.getShortTerm()).toBeCloseTo(-23, 1);
+      expect(meter.getIntegrated()).toBeCloseTo(-23, 1);
+    });
+
+    test('should report -Infinity until each window is filled', () => {
+      expect(meter.getMomentary()).toBe(-Infinity);
+      playTone(-20, 1);
+      expect(meter.getMomentary()).toBeGreaterThan(-Infinity);
+      expect(meter.getShortTerm()).toBe(-Infinity);
+    });
+
+    test('should gate quiet passages out of integrated loudness', () => {
+      // EBU Tech 3341 case 3: -36 / -23 / -36 dBFS for 10 / 60 / 10 s
+      playTone(-36, 10);
+      playTone(-23, 60);
+      playTone(-36, 10);
+
+      expect(Math.abs(meter.getIntegrated() - -23)).toBeLessThanOrEqual(0.1);
+    });
+
+    test('should ignore silence below the absolute gate', () => {
+      playTone(-23, 10);
+      accumulator.process([new Float32Array(sampleRate * 10), new Float32Array(sampleRate * 10)]);
+
+      expect(Math.abs(meter.getIntegrated() - -23)).toBeLessThanOrEqual(0.1);
+    });
+
+    test('should measure loudness range between two levels', () => {
+      // EBU Tech 3342 case 1: 20 s at -20 dBFS then 20 s at -30 dBFS
+      playTone(-20, 20);
+      playTone(-30, 20);
+
+      expect(Math.abs(meter.getLoudnessRange() - 10)).toBeLessThanOrEqual(1);
+    });
+  });
+
+  describe('reset', () => {
+    test('should keep integrated loudness when only the windows are reset', () => {
+      playTone(-23, 5);
+      meter.resetWindows();
+
+      expect(meter.getMomentary()).toBe(-Infinity);
+      expect(meter.getIntegrated()).toBeCloseTo(-23, 1);
+    });
+
+    test('should clear integrated loudness and range on reset', () => {
+      playTone(-23, 5);
+      meter.reset();
+
+      expect(meter.getIntegrated()).toBe(-Infinity);
+      expect(meter.getLoudnessRange()).toBe(0);
+    });
+  });
+
+  describe('setTarget', () => {
+    test('should accept the -23, -16 and -14 LUFS presets only', () => {
+      expect(meter.setTarget(-14)).toBe(true);
+      expect(meter.target).toBe(-14);
+      expect(meter.setTarget(-18)).toBe(false);
+      expect(meter.target).toBe(-14);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Spectrum Markers Unit Tests
+ *
+ * Tests for placing numbered markers, snapping to and tracking peaks, reading levels,
+ * deltas from the reference marker and the session state.
+ */
+
+const SpectrumMarkers = require('../public/js/markers.js');
+
+describe('SpectrumMarkers', () => {
+  const sampleRate = 48000;
+  const bins = 4096;
+  const binWidth = sampleRate / (2 * bins);
+
+  /**
+   * Spectrum at -80 dB with a peak (one bin plus -6 dB neighbours) at each given bin
+   */
+  function spectrum(peaks) {
+    const data = new Float32Array(bins).fill(-80);
+    peaks.forEach(([bin, level]) => {
+      data[bin - 1] = level - 6;
+      data[bin] = level;
+      data[bin + 1] = level - 6;
+    });
+    return data;
+  }
+
+  test('should number markers with the lowest free number up to MAX_MARKERS', () => {
+    const markers = new SpectrumMarkers();
+    markers.setSnapToPeak(false);
+    for (let i = 0; i < SpectrumMarkers.MAX_MARKERS; i++) {
+      expect(markers.add(100 * (i + 1)).id).toBe(i + 1);
+    }
+    expect(markers.add(5000)).toBeNull();
+
+    markers.remove(2);
+    expect(markers.add(5000).id).toBe(2);
+    expect(markers.markers.map((marker) => marker.id)).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  test('should snap new markers to the highest bin in the search range', () => {
+    const markers = new SpectrumMarkers();
+    const data = spectrum([[100, -20], [130, -30]]);
+    markers.update(data, data, sampleRate, 10);
+
+    const marker = markers.add(125 * binWidth, 90 * binWidth, 140 * binWidth);
+    expect(marker.frequency).toBeCloseTo(100 * binWidth, 6);
+    expect(marker.level).toBeCloseTo(-10, 6);
+
+    markers.setSnapToPeak(false);
+    expect(markers.add(125 * binWidth, 90 * binWidth, 140 * binWidth).frequency).toBeCloseTo(125 * binWidth, 6);
+  });
+
+  test('should move tracking markers with their peak and measure deltas from the reference', () => {
+    const markers = new SpectrumMarkers();
+    markers.setSnapToPeak(false);
+    const fixed = markers.add(1000 * binWidth);
+    const tracking = markers.add(500 * binWidth);
+    markers.setTracking(tracking.id, true);
+
+    // The peak moves up by 20 bins (less than 1/6 octave) and the louder channel is read
+    const quiet = new Float32Array(bins).fill(-90);
+    markers.update(spectrum([[520, -20], [1000, -40]]), quiet, sampleRate, 0);
+
+    expect(tracking.frequency).toBeCloseTo(520 * binWidth, 6);
+    expect(tracking.level).toBeCloseTo(-20, 6);
+    expect(fixed.frequency).toBeCloseTo(1000 * binWidth, 6);
+    expect(markers.getDelta(fixed)).toBeNull();
+    expect(markers.getDelta(tracking).frequency).toBeCloseTo(-480 * binWidth, 6);
+    expect(markers.getDelta(tracking).level).toBeCloseTo(20, 6);
+
+    markers.setReference(tracking.id);
+    expect(markers.getDelta(fixed).level).toBeCloseTo(-20, 6);
+    markers.remove(tracking.id);
+    expect(markers.getReference()).toBe(fixed);
+  });
+
+  test('should interpolate the level between bins and leave it empty without data', () => {
+    const data = new Float32Array(bins).fill(-60);
+    data[11] = -40;
+    expect(SpectrumMarkers.levelAt(data, sampleRate, 10.5 * binWidth)).toBeCloseTo(-50, 6);
+    expect(SpectrumMarkers.levelAt(data, sampleRate, sampleRate)).toBe(-Infinity);
+
+    const markers = new SpectrumMarkers();
+    expect(markers.add(1000).level).toBeNull();
+  });
+
+  test('should restore the session state and skip invalid markers', () => {
+    const markers = new SpectrumMarkers();
+    markers.setSnapToPeak(false);
+    markers.add(100);
+    markers.add(2000);
+    markers.setTracking(2, true);
+    markers.setReference(2);
+
+    const restored = new SpectrumMarkers();
+    restored.restore(JSON.parse(JSON.stringify(markers.toJSON())));
+    expect(restored.toJSON()).toEqual({
+      markers: [{ id: 1, frequency: 100, track: false }, { id: 2, frequency: 2000, track: true }],
+      referenceId: 2
+    });
+
+    restored.restore({ markers: [{ id: 9, frequency: 100 }, { id: 1, frequency: -5 }, { id: 3, frequency: 50 }], referenceId: 1 });
+    expect(restored.toJSON()).toEqual({ markers: [{ id: 3, frequency: 50, track: false }], referenceId: null });
+  });
+
+  test('should format frequencies and deltas', () => {
+    expect(SpectrumMarkers.formatFrequency(2512)).toBe('2.51 kHz');
+    expect(SpectrumMarkers.formatFrequency(315.4)).toBe('315 Hz');
+    expect(SpectrumMarkers.formatFrequency(42.46)).toBe('42.5 Hz');
+    expect(SpectrumMarkers.formatFrequency(250, true)).toBe('+250 Hz');
+    expect(SpectrumMarkers.formatFrequency(-1500, true)).toBe('-1.50 kHz');
+  });
+});
@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { MeasurementService } = require('../services/measurementService');
+
+describe('MeasurementService', () => {
+  let measurementService;
+  let measurementsDir;
+
+  const band = (label, frequency, rt60) => ({ label, frequency, edt: rt60 * 0.9, t20: rt60, t30: rt60, rt60 });
+
+  const measurement = () => ({
+    type: 'rt60',
+    method: 'sweep',
+    sampleRate: 48000,
+    bands: [band('125', 125, 0.8), band('1k', 1000, 0.6)],
+    broadband: { edt: 0.55, t20: 0.62, t30: null, rt60: 0.62 }
+  });
+
+  const roomModes = () => ({
+    type: 'roomModes',
+    method: 'sweep',
+    sampleRate: 48000,
+    fftSize: 32768,
+    room: { length: 5, width: 4, height: 0 },
+    resonances: [
+      { type: 'peak', frequency: 34.56, deviationDB: 8.24, q: 7.91, mode: 'L1' },
+      { type: 'dip', frequency: 61.2, deviationDB: -9.5, q: null, mode: null }
+    ],
+    modes: [{ label: 'L1', frequency: 34.3 }, { label: 'W1', frequency: 42.875 }]
+  });
+
+  beforeEach(async () => {
+    measurementsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spectrabox-measurements-'));
+    measurementService = new MeasurementService(measurementsDir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(measurementsDir, { recursive: true, force: true });
+  });
+
+  describe('validateMeasurement', () => {
+    test('should accept an RT60 measurement', () => {
+      expect(measurementService.validateMeasurement(measurement()).success).toBe(true);
+    });
+
+    test('should accept a room mode analysis', () => {
+      expect(measurementService.validateMeasurement(roomModes()).success).toBe(true);
+    });
+
+    test('should reject room mode analyses with invalid results', () => {
+      expect(measurementService.validateMeasurement({ ...roomModes(), method: 'impulse' }).success).toBe(false);
+      expect(measurementService.validateMeasurement({ ...roomModes(), fftSize: 4096 }).success).toBe(false);
+      expect(measurementService.validateMeasurement({ ...roomModes(), room: { length: 5 } }).success).toBe(false);
+
+      const invalid = roomModes();
+      invalid.resonances[0].mode = 'X1';
+      expect(measurementService.validateMeasurement(invalid).success).toBe(false);
+    });
+
+    test('should reject unknown types and invalid decay times', () => {
+      expect(measurementService.validateMeasurement({ ...measurement(), type: 'spl' }).success).toBe(false);
+      expect(measurementService.validateMeasurement({ ...measurement(), method: 'clap' }).success).toBe(false);
+
+      const invalid = measurement();
+      invalid.bands[0].t30 = -1;
+      expect(measurementService.validateMeasurement(invalid).success).toBe(false);
+    });
+  });
+
+  describe('saveMeasurement', () => {
+    test('should store a measurement with an id and default name', async () => {
+      const stored = await measurementService.saveMeasurement(measurement());
+
+      expect(stored.id).toMatch(/^[a-z0-9]+$/);
+      expect(stored.name).toMatch(/^RT60 /);
+      expect(await measurementService.getMeasurement(stored.id)).toEqual(stored);
+    });
+
+    test('should store a room mode analysis', async () => {
+      const data = roomModes();
+      data.resonances[0].extra = 'x';
+      const stored = await measurementService.saveMeasurement(data);
+
+      expect(stored.name).toMatch(/^Room modes /);
+      expect(stored.bands).toBeUndefined();
+      expect(stored.resonances[0]).toEqual({ type: 'peak', frequency: 34.56, deviationDB: 8.24, q: 7.91, mode: 'L1' });
+      expect(await measurementService.getMeasurement(stored.id)).toEqual(stored);
+    });
+
+    test('should drop unknown fields', async () => {
+      const data = measurement();
+      data.bands[0].extra = 'x';
+      data.injected = true;
+      const stored = await measurementService.saveMeasurement(data);
+
+      expect(stored.injected).toBeUndefined();
+      expect(stored.bands[0].extra).toBeUndefined();
+    });
+
+    test('should throw a ValidationError for invalid data', async () => {
+      await expect(measurementService.saveMeasurement({ type: 'rt60' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('listMeasurements and deleteMeasurement', () => {
+    test('should list stored measurements and delete them', async () => {
+      expect(await measurementService.listMeasurements()).toEqual([]);
+
+      const stored = await measurementService.saveMeasurement({ ...measurement(), name: 'Studio A' });
+      const list = await measurementService.listMeasurements();
+      expect(list).toEqual([{ id: stored.id, type: 'rt60', name: 'Studio A', method: 'sweep', createdAt: stored.createdAt }]);
+
+      await measurementService.deleteMeasurement(stored.id);
+      expect(await measurementService.listMeasurements()).toEqual([]);
+    });
+
+    test('should skip malformed measurement files', async () => {
+      const stored = await measurementService.saveMeasurement(measurement());
+      await fs.writeFile(path.join(measurementsDir, 'nodate.json'), JSON.stringify({ id: 'nodate', type: 'rt60' }));
+      await fs.writeFile(path.join(measurementsDir, 'null.json'), 'null');
+      await fs.writeFile(path.join(measurementsDir, 'broken.json'), '{');
+
+      expect((await measurementService.listMeasurements()).map((summary) => summary.id)).toEqual([stored.id]);
+    });
+
+    test('should report missing measurements as not found', async () => {
+      await expect(measurementService.getMeasurement('missing')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(measurementService.deleteMeasurement('missing')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should reject IDs that are not plain names', async () => {
+      await expect(measurementService.getMeasurement('../preferences')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('toCSV', () => {
+    test('should write one row per band plus broadband', () => {
+      const csv = MeasurementService.toCSV(measurement());
+
+      expect(csv.split('\n')).toEqual([
+        'Band,Frequency (Hz),EDT (s),T20 (s),T30 (s),RT60 (s)',
+        '125,125,0.720,0.800,0.800,0.800',
+        '1k,1000,0.540,0.600,0.600,0.600',
+        'Broadband,,0.550,0.620,,0.620',
+        ''
+      ]);
+    });
+
+    test('should quote band labels with separators, quotes or line breaks', () => {
+      const data = measurement();
+      data.bands[0].label = 'Low, "boomy"';
+      data.bands[1].label = 'two\nlines';
+      const csv = MeasurementService.toCSV(data);
+
+      expect(csv).toContain('\n"Low, ""boomy""",125,0.720,');
+      expect(csv).toContain('\n"two\nlines",1000,0.540,');
+      expect(MeasurementService.csvField('1k')).toBe('1k');
+    });
+
+    test('should write one row per resonance followed by the axial modes', () => {
+      expect(MeasurementService.toCSV(roomModes()).split('\n')).toEqual([
+        'Type,Frequency (Hz),Deviation (dB),Q,Axial Mode',
+        'peak,34.6,8.2,7.9,L1',
+        'dip,61.2,-9.5,,',
+        'mode,34.3,,,L1',
+        'mode,42.9,,,W1',
+        ''
+      ]);
+    });
+  });
+});
@@ -523,5 +523,43 @@ describe('MidSideProcessor', () => {
       expect(simple.mid[0]).not.toBeCloseTo(energyPreserving.mid[0], 1);
     });
   });
+  
+  // ===================================================================
+  // IN-PLACE ENCODING TESTS (AUDIOWORKLET PATH)
+  // ===================================================================
+  
+  describe('encodeMidSideInto', () => {
+    test('should match encodeMidSide in both modes', () => {
+      const leftData = new Float32Array([0.5, -0.25, 0.75, 0.1]);
+      const rightData = new Float32Array([0.5, 0.25, -0.5, 0.3]);
+      
+      for (const energyPreserving of [false, true]) {
+        processor.setEnergyPreserving(energyPreserving);
+        const expected = processor.encodeMidSide(leftData, rightData);
+        const mid = new Float32Array(4);
+        const side = new Float32Array(4);
+        
+        processor.encodeMidSideInto(leftData, rightData, mid, side);
+        
+        expect(Array.from(mid)).toEqual(Array.from(expected.mid));
+        expect(Array.from(side)).toEqual(Array.from(expected.side));
+      }
+    });
+    
+    test('should put a fully anti-phase signal entirely in Side', () => {
+      const leftData = new Float32Array(128);
+      const rightData = new Float32Array(128);
+      for (let i = 0; i < 128; i++) {
+        leftData[i] = Math.sin(2 * Math.PI * i / 32);
+        rightData[i] = -leftData[i];
+      }
+      const mid = new Float32Array(128);
+      const side = new Float32Array(128);
+      
+      processor.encodeMidSideInto(leftData, rightData, mid, side);
+      
+      expect(processor.calculateRMS(mid)).toBe(0);
+      expect(processor.calculateRMS(side)).toBeCloseTo(2 * processor.calculateRMS(leftData), 6);
+    });
+  });
 });
-
@@ -0,0 +1,126 @@
+/**
+ * OctaveBandAnalyzer Unit Tests
+ *
+ * Tests for fractional-octave band centres, nominal labels and
+ * FFT power integration used by the RTA draw mode.
+ */
+
+const OctaveBandAnalyzer = require('../public/js/octaveBands.js');
+
+describe('OctaveBandAnalyzer', () => {
+  let bandAnalyzer;
+
+  beforeEach(() => {
+    bandAnalyzer = new OctaveBandAnalyzer();
+  });
+
+  describe('setResolution', () => {
+    test('should accept 1/1, 1/3, 1/6 and 1/12 octave resolutions', () => {
+      for (const resolution of [1, 3, 6, 12]) {
+        expect(bandAnalyzer.setResolution(resolution)).toBe(true);
+        expect(bandAnalyzer.bandsPerOctave).toBe(resolution);
+      }
+    });
+
+    test('should reject unsupported resolutions', () => {
+      expect(bandAnalyzer.setResolution(24)).toBe(false);
+      expect(bandAnalyzer.bandsPerOctave).toBe(3);
+    });
+  });
+
+  describe('band centres', () => {
+    test('should place odd resolutions on 1 kHz', () => {
+      expect(bandAnalyzer.getCenterFrequency(0)).toBeCloseTo(1000, 6);
+      bandAnalyzer.setResolution(1);
+      expect(bandAnalyzer.getCenterFrequency(0)).toBeCloseTo(1000, 6);
+    });
+
+    test('should straddle 1 kHz for even resolutions', () => {
+      bandAnalyzer.setResolution(6);
+      const below = bandAnalyzer.getCenterFrequency(-1);
+      const above = bandAnalyzer.getCenterFrequency(0);
+      expect(below).toBeLessThan(1000);
+      expect(above).toBeGreaterThan(1000);
+      expect(Math.sqrt(below * above)).toBeCloseTo(1000, 6);
+    });
+
+    test('should produce the standard nominal octave bands from 31.5 Hz to 16 kHz', () => {
+      bandAnalyzer.setResolution(1);
+      const nominal = bandAnalyzer.getBands(20, 20000).map(band => band.nominal);
+      expect(nominal).toEqual([31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]);
+    });
+
+    test('should produce the ISO 266 third-octave series', () => {
+      const nominal = bandAnalyzer.getBands(20, 20000).map(band => band.nominal);
+      expect(nominal.slice(0, 6)).toEqual([20, 25, 31.5, 40, 50, 63]);
+      expect(nominal).toContain(3150);
+      expect(nominal).toContain(6300);
+      expect(nominal[nominal.length - 1]).toBe(20000);
+    });
+
+    test('should make adjacent band edges meet', () => {
+      bandAnalyzer.setResolution(12);
+      const bands = bandAnalyzer.getBands(100, 1000);
+      for (let i = 1; i < bands.length; i++) {
+        expect(bands[i].lower).toBeCloseTo(bands[i - 1].upper, 6);
+      }
+    });
+  });
+
+  describe('integrate', () => {
+    const sampleRate = 48000;
+    const binCount = 4096;
+    const binWidth = sampleRate / (2 * binCount);
+
+    test('should keep a windowed tone at its peak level', () => {
+      // Blackman window spreads a tone over neighbouring bins; sum of their power equals peak * ENBW
+      const data = new Float32Array(binCount).fill(-200);
+      const toneBin = Math.round(1000 / binWidth);
+      const sidePower = 0.01 * (bandAnalyzer.WINDOW_ENBW - 1) / 2;
+      data[toneBin - 1] = 10 * Math.log10(sidePower);
+      data[toneBin] = -20;
+      data[toneBin + 1] = 10 * Math.log10(sidePower);
+
+      const bands = bandAnalyzer.getBands(20, 20000);
+      const levels = bandAnalyzer.integrate(data, sampleRate, bands);
+      const band = bands.findIndex(b => b.nominal === 1000);
+
+      expect(levels[band]).toBeCloseTo(-20, 3);
+      expect(Math.max(...levels)).toBe(levels[band]);
+    });
+
+    test('should sum power of all bins inside a band', () => {
+      const data = new Float32Array(binCount).fill(-60);
+      const bands = bandAnalyzer.getBands(20, 20000);
+      const levels = bandAnalyzer.integrate(data, sampleRate, bands);
+      const band = bands.findIndex(b => b.nominal === 8000);
+
+      const binsInBand = Math.ceil(bands[band].upper / binWidth) - Math.ceil(bands[band].lower / binWidth);
+      const expected = -60 + 10 * Math.log10(binsInBand / bandAnalyzer.WINDOW_ENBW);
+      expect(levels[band]).toBeCloseTo(expected, 3);
+    });
+
+    test('should use the nearest bin for bands narrower than one bin', () => {
+      bandAnalyzer.setResolution(12);
+      const data = new Float32Array(binCount).fill(-70);
+      const levels = bandAnalyzer.integrate(data, sampleRate, bandAnalyzer.getBands(20, 40));
+
+      levels.forEach(level => expect(level).toBeGreaterThan(-70 - 10 * Math.log10(bandAnalyzer.WINDOW_ENBW) - 0.001));
+    });
+
+    test('should report silent bands as -Infinity', () => {
+      const data = new Float32Array(binCount).fill(-Infinity);
+      const levels = bandAnalyzer.integrate(data, sampleRate, bandAnalyzer.getBands(20, 20000));
+      levels.forEach(level => expect(level).toBe(-Infinity));
+    });
+  });
+
+  describe('formatLabel', () => {
+    test('should format nominal frequencies for the ruler', () => {
+      expect(bandAnalyzer.formatLabel(31.5)).toBe('31.5');
+      expect(bandAnalyzer.formatLabel(125)).toBe('125');
+      expect(bandAnalyzer.formatLabel(1000)).toBe('1k');
+      expect(bandAnalyzer.formatLabel(12500)).toBe('12.5k');
+    });
+  });
+});
@@ -151,6 +151,198 @@ describe('PreferencesService', () => {
       expect(result.error).toContain('Unknown setting');
     });
 
+    test('should validate waterfall settings', () => {
+      expect(preferencesService.validateSettingValue('waterfall', 'viewMode', 'waterfall').success).toBe(true);
+      expect(preferencesService.validateSettingValue('waterfall', 'colorMap', 'viridis').success).toBe(true);
+      expect(preferencesService.validateSettingValue('waterfall', 'historyLength', 30).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('waterfall', 'viewMode', 'bars').success).toBe(false);
+      expect(preferencesService.validateSettingValue('waterfall', 'historyLength', 120).success).toBe(false);
+    });
+
+    test('should validate transfer function settings', () => {
+      expect(preferencesService.validateSettingValue('waterfall', 'viewMode', 'transfer').success).toBe(true);
+      expect(preferencesService.validateSettingValue('transfer', 'referenceChannel', 'right').success).toBe(true);
+      expect(preferencesService.validateSettingValue('transfer', 'averages', 32).success).toBe(true);
+      expect(preferencesService.validateSettingValue('transfer', 'magnitudeRange', 12).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('transfer', 'referenceChannel', 'mid').success).toBe(false);
+      expect(preferencesService.validateSettingValue('transfer', 'averages', 10).success).toBe(false);
+      expect(preferencesService.validateSettingValue('transfer', 'magnitudeRange', 90).success).toBe(false);
+    });
+
+    test('should validate signal generator settings', () => {
+      expect(preferencesService.validateSettingValue('generator', 'signalType', 'sweep').success).toBe(true);
+      expect(preferencesService.validateSettingValue('generator', 'sineMode', 'stepped').success).toBe(true);
+      expect(preferencesService.validateSettingValue('generator', 'frequency', 440).success).toBe(true);
+      expect(preferencesService.validateSettingValue('generator', 'level', -12).success).toBe(true);
+      expect(preferencesService.validateSettingValue('generator', 'loopback', true).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('generator', 'signalType', 'square').success).toBe(false);
+      expect(preferencesService.validateSettingValue('generator', 'frequency', 10).success).toBe(false);
+      expect(preferencesService.validateSettingValue('generator', 'level', 6).success).toBe(false);
+      expect(preferencesService.validateSettingValue('generator', 'sweepDuration', 3).success).toBe(false);
+    });
+
+    test('should validate impulse response settings', () => {
+      expect(preferencesService.validateSettingValue('waterfall', 'viewMode', 'impulse').success).toBe(true);
+      expect(preferencesService.validateSettingValue('impulse', 'method', 'impulse').success).toBe(true);
+      expect(preferencesService.validateSettingValue('impulse', 'channel', 'right').success).toBe(true);
+      expect(preferencesService.validateSettingValue('impulse', 'tailLength', 4).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('impulse', 'method', 'mls').success).toBe(false);
+      expect(preferencesService.validateSettingValue('impulse', 'tailLength', 3).success).toBe(false);
+    });
+
+    test('should validate sound level meter settings', () => {
+      expect(preferencesService.validateSettingValue('waterfall', 'viewMode', 'slm').success).toBe(true);
+      expect(preferencesService.validateSettingValue('slm', 'frequencyWeighting', 'C').success).toBe(true);
+      expect(preferencesService.validateSettingValue('slm', 'timeWeighting', 'I').success).toBe(true);
+      expect(preferencesService.validateSettingValue('slm', 'interval', 0).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('slm', 'frequencyWeighting', 'B').success).toBe(false);
+      expect(preferencesService.validateSettingValue('slm', 'interval', 120).success).toBe(false);
+    });
+
+    test('should validate level logging settings', () => {
+      expect(preferencesService.validateSettingValue('logging', 'enabled', false).success).toBe(true);
+      expect(preferencesService.validateSettingValue('logging', 'interval', 60).success).toBe(true);
+      expect(preferencesService.validateSettingValue('logging', 'historyRange', 604800).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('logging', 'interval', 2).success).toBe(false);
+      expect(preferencesService.validateSettingValue('logging', 'historyRange', 60).success).toBe(false);
+    });
+
+    test('should validate feedback settings', () => {
+      expect(preferencesService.validateSettingValue('feedback', 'enabled', true).success).toBe(true);
+      expect(preferencesService.validateSettingValue('feedback', 'threshold', 15).success).toBe(true);
+      expect(preferencesService.validateSettingValue('feedback', 'persistence', 250).success).toBe(true);
+
+      expect(preferencesService.validateSettingValue('feedback', 'threshold', 10).success).toBe(false);
+      expect(preferencesService.validateSettingValue('feedback', 'persistence', 0.5).success).toBe(false);
+    });
+
+    test('should validate room mode settings', () => {
+      expect(preferencesService.validateSettingValue('roomModes', 'length', 6.2).success).toBe(true);
+      expect(preferencesService.validateSettingValue('roomModes', 'height', 0).success).toBe(true);
+      expect(preferencesService.validateSettingValue('roomModes', 'method', 'listen').success).toBe(true);
+
+      expect(preferencesService.validateSettingValue('roomModes', 'width', 150).success).toBe(false);
+      expect(preferencesService.validateSettingValue('roomModes', 'method', 'impulse').success).toBe(false);
+    });
+
+    test('should validate target curve settings', () => {
+      expect(preferencesService.validateSettingValue('waterfall', 'viewMode', 'deviation').success).toBe(true);
+      expect(preferencesService.validateSettingValue('targetCurve', 'curveId', '').success).toBe(true);
+      expect(preferencesService.validateSettingValue('targetCurve', 'curveId', 'lq3k2abcd').success).toBe(true);
+      expect(preferencesService.validateSettingValue('targetCurve', 'align', false).success).toBe(true);
+      expect(preferencesService.validateSettingValue('targetCurve', 'deviationRange', 24).success).toBe(true);
+
+      expect(preferencesService.validateSettingValue('targetCurve', 'curveId', '../house').success).toBe(false);
+      expect(preferencesService.validateSettingValue('targetCurve', 'deviationRange', 18).success).toBe(false);
+    });
+
+    test('should validate marker settings', () => {
+      expect(preferencesService.validateSettingValue('markers', 'enabled', true).success).toBe(true);
+      expect(preferencesService.validateSettingValue('markers', 'snapToPeak', false).success).toBe(true);
+
+      expect(preferencesService.validateSettingValue('markers', 'snapToPeak', 'yes').success).toBe(false);
+      expect(preferencesService.validateSettingValue('markers', 'markers', []).success).toBe(false);
+    });
+
+    test('should validate recorder settings', () => {
+      expect(preferencesService.validateSettingValue('recorder', 'preRoll', 60).success).toBe(true);
+      expect(preferencesService.validateSettingValue('recorder', 'postRoll', 0).success).toBe(true);
+      expect(preferencesService.validateSettingValue('recorder', 'format', 'float32').success).toBe(true);
+      expect(preferencesService.validateSettingValue('recorder', 'onAlarm', true).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('recorder', 'preRoll', 120).success).toBe(false);
+      expect(preferencesService.validateSettingValue('recorder', 'format', 'mp3').success).toBe(false);
+    });
+
+    test('should validate tuner settings', () => {
+      expect(preferencesService.validateSettingValue('general', 'tuner', true).success).toBe(true);
+      expect(preferencesService.validateSettingValue('general', 'noteGrid', true).success).toBe(true);
+      expect(preferencesService.validateSettingValue('general', 'referenceA4', 442).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('general', 'referenceA4', 400).success).toBe(false);
+      expect(preferencesService.validateSettingValue('general', 'referenceA4', 480).success).toBe(false);
+    });
+
+    test('should validate FFT engine settings', () => {
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'fftEngine', 'custom').success).toBe(true);
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'fftWindow', 'flattop').success).toBe(true);
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'fftOverlap', 75).success).toBe(true);
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'fftAveraging', 'peak').success).toBe(true);
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'fftAverages', 64).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'fftEngine', 'fftw').success).toBe(false);
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'fftWindow', 'kaiser').success).toBe(false);
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'fftOverlap', 60).success).toBe(false);
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'fftAverages', 3).success).toBe(false);
+    });
+
+    test('should validate harmonic analysis settings', () => {
+      expect(preferencesService.validateSettingValue('harmonics', 'enabled', true).success).toBe(true);
+      expect(preferencesService.validateSettingValue('harmonics', 'maxHarmonic', 20).success).toBe(true);
+      expect(preferencesService.validateSettingValue('harmonics', 'notchBandwidth', 200).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('harmonics', 'maxHarmonic', 7).success).toBe(false);
+      expect(preferencesService.validateSettingValue('harmonics', 'notchBandwidth', 1000).success).toBe(false);
+    });
+
+    test('should validate RTA draw mode settings', () => {
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'drawMode', 'rta').success).toBe(true);
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'rtaResolution', 12).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'drawMode', 'bars').success).toBe(false);
+      expect(preferencesService.validateSettingValue('spectrogramDrawing', 'rtaResolution', 24).success).toBe(false);
+    });
+
+    test('should validate true-peak settings', () => {
+      expect(preferencesService.validateSettingValue('meters', 'peakMode', 'true').success).toBe(true);
+      expect(preferencesService.validateSettingValue('meters', 'truePeakThreshold', -1).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('meters', 'peakMode', 'rms').success).toBe(false);
+      expect(preferencesService.validateSettingValue('meters', 'truePeakThreshold', 1).success).toBe(false);
+    });
+
+    test('should validate goniometer settings', () => {
+      expect(preferencesService.validateSettingValue('meters', 'goniometer', true).success).toBe(true);
+      expect(preferencesService.validateSettingValue('meters', 'goniometerSize', 300).success).toBe(true);
+      expect(preferencesService.validateSettingValue('meters', 'goniometerMode', 'lines').success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('meters', 'goniometerSize', 50).success).toBe(false);
+      expect(preferencesService.validateSettingValue('meters', 'goniometerMode', 'bars').success).toBe(false);
+    });
+
+    test('should validate band correlation settings', () => {
+      expect(preferencesService.validateSettingValue('meters', 'bandCorrelation', true).success).toBe(true);
+      expect(preferencesService.validateSettingValue('meters', 'bandCorrelationBands', 'octave').success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('meters', 'bandCorrelationBands', 'third-octave').success).toBe(false);
+    });
+
+    test('should validate loudness meter settings', () => {
+      expect(preferencesService.validateSettingValue('meters', 'loudnessMeter', true).success).toBe(true);
+      expect(preferencesService.validateSettingValue('meters', 'loudnessTarget', -16).success).toBe(true);
+      
+      expect(preferencesService.validateSettingValue('meters', 'loudnessMeter', 'on').success).toBe(false);
+      expect(preferencesService.validateSettingValue('meters', 'loudnessTarget', -18).success).toBe(false);
+    });
+
+    test('should limit maximum frequency to the Nyquist frequency of the sample rate', () => {
+      expect(preferencesService.validateSettingValue('general', 'maxFrequency', 22050).success).toBe(true);
+      expect(preferencesService.validateSettingValue('general', 'maxFrequency', 24000).success).toBe(false);
+      
+      expect(preferencesService.validateSettingValue('general', 'maxFrequency', 24000, 48000).success).toBe(true);
+      expect(preferencesService.validateSettingValue('general', 'maxFrequency', 40000, 96000).success).toBe(true);
+      
+      const result = preferencesService.validateSettingValue('general', 'maxFrequency', 30000, 48000);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('must be at most 24000');
+    });
+
     test('should validate FFT size enum values', () => {
       const validResult = preferencesService.validateSettingValue('spectrogramDrawing', 'fftSize', 4096);
       expect(validResult.success).toBe(true);
@@ -238,7 +430,7 @@ describe('PreferencesService', () => {
       const invalidSettings = {
         general: {
           minFrequency: 10, // Too low
-          maxFrequency: 25000, // Too high
+          maxFrequency: 25000, // Too high (above 22.05 kHz Nyquist at the default 44.1 kHz)
           inputGain: 0.0,
           holdMode: 'invalid' // Invalid enum
         },
@@ -269,7 +461,7 @@ describe('PreferencesService', () => {
       const result = preferencesService.validateUISettings(invalidSettings);
       expect(result.success).toBe(false);
       expect(result.errors['general.minFrequency']).toContain('must be at least 20');
-      expect(result.errors['general.maxFrequency']).toContain('must be at most 20000');
+      expect(result.errors['general.maxFrequency']).toContain('must be at most 22050');
       expect(result.errors['general.holdMode']).toContain('must be one of');
       expect(result.errors['spectrogramInterface.responsiveness']).toContain('must be at most 100');
       expect(result.errors['spectrogramInterface.overlappingDisplay']).toContain('must be a boolean');
@@ -351,6 +543,15 @@ describe('PreferencesService', () => {
       expect(preferencesService.validatePreferences(validPrefs)).toBe(false);
     });
 
+    test('should check maximum frequency against the saved sample rate', () => {
+      const validPrefs = preferencesService.getDefaultPreferences();
+      validPrefs.uiSettings.general.maxFrequency = 24000;
+      expect(preferencesService.validatePreferences(validPrefs)).toBe(false);
+      
+      validPrefs.audioSettings.sampleRate = 48000;
+      expect(preferencesService.validatePreferences(validPrefs)).toBe(true);
+    });
+
     test('should reject invalid basic uiSettings', () => {
       const validPrefs = preferencesService.getDefaultPreferences();
       
@@ -402,6 +603,63 @@ describe('PreferencesService', () => {
     });
   });
 
+  describe('validateAlarmSettings', () => {
+    const rule = (overrides = {}) => ({
+      id: 'venue-limit',
+      name: 'Venue limit',
+      enabled: true,
+      metric: 'leq',
+      operator: 'above',
+      threshold: 98,
+      window: 300,
+      count: 1,
+      tone: true,
+      ...overrides
+    });
+
+    test('should accept valid rules and webhooks', () => {
+      const result = preferencesService.validateAlarmSettings({
+        rules: [rule(), rule({ id: 'clip', metric: 'peak', threshold: -1, window: 10, count: 3 })],
+        webhooks: ['https://example.com/hooks/alarm', 'http://192.168.1.20:8080/alarm']
+      });
+      expect(result.success).toBe(true);
+    });
+
+    test('should reject invalid rule values', () => {
+      const invalid = [
+        rule({ metric: 'volume' }),
+        rule({ operator: 'over' }),
+        rule({ threshold: '98' }),
+        rule({ window: 0 }),
+        rule({ count: 1.5 }),
+        rule({ id: 'has spaces' }),
+        rule({ metric: 'correlation', threshold: -2 }),
+        rule({ extra: true })
+      ];
+      for (const invalidRule of invalid) {
+        expect(preferencesService.validateAlarmSettings({ rules: [invalidRule], webhooks: [] }).success).toBe(false);
+      }
+    });
+
+    test('should reject duplicate ids and non-http webhooks', () => {
+      expect(preferencesService.validateAlarmSettings({ rules: [rule(), rule()], webhooks: [] }).error)
+        .toContain('Duplicate alarm rule id');
+      expect(preferencesService.validateAlarmSettings({ rules: [], webhooks: ['ftp://example.com'] }).success).toBe(false);
+      expect(preferencesService.validateAlarmSettings({ rules: [], webhooks: ['not a url'] }).success).toBe(false);
+    });
+
+    test('should be checked by validatePreferences when present', () => {
+      const prefs = preferencesService.getDefaultPreferences();
+      expect(prefs.alarms).toEqual({ rules: [], webhooks: [] });
+
+      prefs.alarms.rules.push(rule({ window: 5000 }));
+      expect(preferencesService.validatePreferences(prefs)).toBe(false);
+
+      delete prefs.alarms;
+      expect(preferencesService.validatePreferences(prefs)).toBe(true);
+    });
+  });
+
   describe('loadPreferences', () => {
     test('should create default preferences when file does not exist', async () => {
       const preferences = await preferencesService.loadPreferences();
@@ -0,0 +1,125 @@
+/**
+ * Pre-Trigger Recorder Unit Tests
+ *
+ * Tests for the rolling capture buffer and the WAV encoder.
+ */
+
+const { PreTriggerRecorder, AudioRecorder } = require('../public/js/recorder.js');
+
+describe('PreTriggerRecorder', () => {
+  const sampleRate = 1000;
+  let captures;
+
+  /**
+   * Block of consecutive sample values start, start + 1, ... (scaled to stay below 1)
+   */
+  function block(start, length = 100) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      samples[i] = (start + i) / 100000;
+    }
+    return samples;
+  }
+
+  const sampleIndex = (value) => Math.round(value * 100000);
+
+  beforeEach(() => {
+    captures = [];
+  });
+
+  test('should capture the pre-roll before and the post-roll after the trigger', () => {
+    const recorder = new PreTriggerRecorder(1, sampleRate, 2, 1, (capture) => captures.push(capture));
+    for (let start = 0; start < 5000; start += 100) {
+      recorder.process([block(start)]);
+    }
+
+    recorder.trigger();
+    for (let start = 5000; start < 6000; start += 100) {
+      expect(captures).toHaveLength(0);
+      recorder.process([block(start)]);
+    }
+
+    expect(captures).toHaveLength(1);
+    const [samples] = captures[0].channels;
+    expect(captures[0].preRollFrames).toBe(2000);
+    expect(samples).toHaveLength(3000);
+    expect(sampleIndex(samples[0])).toBe(3000);
+    expect(sampleIndex(samples[2999])).toBe(5999);
+  });
+
+  test('should capture what is buffered when the pre-roll is not filled yet', () => {
+    const recorder = new PreTriggerRecorder(2, sampleRate, 2, 0, (capture) => captures.push(capture));
+    recorder.process([block(0), block(0)]);
+    recorder.trigger();
+
+    expect(captures[0].preRollFrames).toBe(100);
+    expect(captures[0].channels).toHaveLength(2);
+    expect(captures[0].channels[1]).toHaveLength(100);
+  });
+
+  test('should repeat a missing channel and ignore triggers during a capture', () => {
+    const recorder = new PreTriggerRecorder(2, sampleRate, 1, 1, (capture) => captures.push(capture));
+    recorder.process([block(0)]);
+
+    expect(recorder.trigger()).toBe(true);
+    expect(recorder.trigger()).toBe(false);
+    for (let start = 100; start < 1100; start += 100) {
+      recorder.process([block(start)]);
+    }
+
+    expect(captures).toHaveLength(1);
+    expect(captures[0].channels[1]).toEqual(captures[0].channels[0]);
+  });
+});
+
+describe('AudioRecorder', () => {
+  test('should resolve a capture from the recorder node', async () => {
+    const audioRecorder = new AudioRecorder();
+    await expect(audioRecorder.capture()).rejects.toThrow('Start the analyzer');
+
+    const trigger = jest.fn();
+    audioRecorder.attachRecorder({ configure: jest.fn(), trigger }, 48000);
+    const capturing = audioRecorder.capture();
+    expect(trigger).toHaveBeenCalled();
+    expect(audioRecorder.isCapturing()).toBe(true);
+    await expect(audioRecorder.capture()).rejects.toThrow('already in progress');
+
+    audioRecorder.handleCapture({ channels: [new Float32Array(4)], preRollFrames: 2 });
+    await expect(capturing).resolves.toMatchObject({ preRollFrames: 2, sampleRate: 48000 });
+    expect(audioRecorder.isCapturing()).toBe(false);
+  });
+
+  test('should cancel a capture when the analyzer stops', async () => {
+    const audioRecorder = new AudioRecorder();
+    audioRecorder.attachRecorder({ configure: jest.fn(), trigger: jest.fn() }, 48000);
+    const capturing = audioRecorder.capture();
+    audioRecorder.attachRecorder(null, 48000);
+    await expect(capturing).rejects.toThrow('cancelled');
+  });
+
+  test('should encode 16-bit, 24-bit and float WAV files', () => {
+    const channels = [new Float32Array([0.5, -1]), new Float32Array([0.25, 2])];
+
+    const pcm16 = new DataView(AudioRecorder.encodeWAV(channels, 48000, 'pcm16'));
+    expect(pcm16.byteLength).toBe(44 + 8);
+    expect(String.fromCharCode(pcm16.getUint8(0), pcm16.getUint8(1), pcm16.getUint8(2), pcm16.getUint8(3))).toBe('RIFF');
+    expect(pcm16.getUint16(20, true)).toBe(1);
+    expect(pcm16.getUint16(22, true)).toBe(2);
+    expect(pcm16.getUint32(24, true)).toBe(48000);
+    expect(pcm16.getUint16(34, true)).toBe(16);
+    expect(pcm16.getInt16(44, true)).toBe(16384);
+    expect(pcm16.getInt16(46, true)).toBe(8192);
+    expect(pcm16.getInt16(48, true)).toBe(-32767);
+    expect(pcm16.getInt16(50, true)).toBe(32767);           // Clipped
+
+    const pcm24 = new DataView(AudioRecorder.encodeWAV(channels, 48000, 'pcm24'));
+    expect(pcm24.getUint32(40, true)).toBe(12);
+    const int24 = (offset) => (pcm24.getUint8(offset) | (pcm24.getUint8(offset + 1) << 8) | (pcm24.getInt8(offset + 2) << 16));
+    expect(int24(44)).toBe(4194304);
+    expect(int24(50)).toBe(-8388607);
+
+    const float32 = new DataView(AudioRecorder.encodeWAV(channels, 48000, 'float32'));
+    expect(float32.getUint16(20, true)).toBe(3);
+    expect(float32.getFloat32(56, true)).toBe(2);           // Float keeps levels above full scale
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { RecordingService } = require('../services/recordingService');
+
+describe('RecordingService', () => {
+  let recordingService;
+  let recordingsDir;
+
+  /**
+   * Minimal WAV file with silent samples
+   */
+  function wav({ audioFormat = 1, channels = 2, sampleRate = 48000, bitsPerSample = 24, frames = 480 } = {}) {
+    const dataSize = frames * channels * bitsPerSample / 8;
+    const buffer = Buffer.alloc(44 + dataSize);
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(audioFormat, 20);
+    buffer.writeUInt16LE(channels, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * channels * bitsPerSample / 8, 28);
+    buffer.writeUInt16LE(channels * bitsPerSample / 8, 32);
+    buffer.writeUInt16LE(bitsPerSample, 34);
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+    return buffer;
+  }
+
+  const metadata = (overrides = {}) => ({
+    time: '1790000000000',
+    device: 'USB Mic',
+    gain: '6',
+    calibration: '120.5',
+    trigger: 'manual',
+    preRoll: '10',
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    recordingsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spectrabox-recordings-'));
+    recordingService = new RecordingService(recordingsDir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(recordingsDir, { recursive: true, force: true });
+  });
+
+  describe('parseWAV', () => {
+    test('should read the supported formats', () => {
+      expect(RecordingService.parseWAV(wav())).toEqual({ format: 'pcm24', channels: 2, sampleRate: 48000, frames: 480, duration: 0.01 });
+      expect(RecordingService.parseWAV(wav({ bitsPerSample: 16, channels: 1 })).format).toBe('pcm16');
+      expect(RecordingService.parseWAV(wav({ audioFormat: 3, bitsPerSample: 32 })).format).toBe('float32');
+    });
+
+    test('should reject other files', () => {
+      expect(() => RecordingService.parseWAV(Buffer.from('not a wav file at all, just some text to fill 44 bytes'))).toThrow('RIFF/WAVE');
+      expect(() => RecordingService.parseWAV(wav({ bitsPerSample: 8 }))).toThrow('16-bit or 24-bit');
+      expect(() => RecordingService.parseWAV(wav({ channels: 6 }))).toThrow('mono or stereo');
+      expect(() => RecordingService.parseWAV(wav({ frames: 0 }))).toThrow('no audio');
+    });
+  });
+
+  describe('saveRecording', () => {
+    test('should store the WAV file with its metadata', async () => {
+      const buffer = wav();
+      const recording = await recordingService.saveRecording(buffer, metadata());
+
+      expect(recording).toMatchObject({
+        time: 1790000000000, device: 'USB Mic', gain: 6, calibration: 120.5, micCorrection: null,
+        trigger: 'manual', preRoll: 10, format: 'pcm24', channels: 2, sampleRate: 48000, size: buffer.length
+      });
+      expect(await fs.readFile(recordingService.getRecordingPath(recording.id, 'wav'))).toEqual(buffer);
+      expect(await recordingService.getRecording(recording.id)).toEqual(recording);
+    });
+
+    test('should reject missing or invalid metadata', async () => {
+      await expect(recordingService.saveRecording(wav(), metadata({ time: undefined }))).rejects.toMatchObject({ statusCode: 400 });
+      await expect(recordingService.saveRecording(wav(), metadata({ gain: 'loud' }))).rejects.toMatchObject({ statusCode: 400 });
+      await expect(recordingService.saveRecording(wav(), metadata({ trigger: 'x'.repeat(200) }))).rejects.toMatchObject({ statusCode: 400 });
+      expect(await recordingService.listRecordings()).toEqual([]);
+    });
+
+    test('should keep only the newest recordings', async () => {
+      recordingService = new RecordingService(recordingsDir, 2);
+      const first = await recordingService.saveRecording(wav(), metadata());
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      await recordingService.saveRecording(wav(), metadata());
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      await recordingService.saveRecording(wav(), metadata());
+
+      const recordings = await recordingService.listRecordings();
+      expect(recordings).toHaveLength(2);
+      expect(recordings.map((recording) => recording.id)).not.toContain(first.id);
+      expect(await fs.readdir(recordingsDir)).toHaveLength(4);
+    });
+
+    test('should store concurrent uploads at the limit when their prunes overlap', async () => {
+      recordingService = new RecordingService(recordingsDir, 2);
+      await recordingService.saveRecording(wav(), metadata());
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      await recordingService.saveRecording(wav(), metadata());
+      await new Promise((resolve) => setTimeout(resolve, 5));
+
+      const saved = await Promise.all([1, 2, 3].map(() => recordingService.saveRecording(wav(), metadata())));
+      expect(saved).toHaveLength(3);
+      await recordingService.pruneRecordings();
+      expect(await recordingService.listRecordings()).toHaveLength(2);
+    });
+  });
+
+  describe('listRecordings', () => {
+    test('should skip malformed metadata files', async () => {
+      const recording = await recordingService.saveRecording(wav(), metadata());
+      await fs.writeFile(path.join(recordingsDir, 'nodate.json'), JSON.stringify({ id: 'nodate', device: 'USB Mic' }));
+      await fs.writeFile(path.join(recordingsDir, 'null.json'), 'null');
+      await fs.writeFile(path.join(recordingsDir, 'broken.json'), '{');
+
+      expect((await recordingService.listRecordings()).map((summary) => summary.id)).toEqual([recording.id]);
+    });
+  });
+
+  describe('deleteRecording', () => {
+    test('should delete the audio and the metadata', async () => {
+      const recording = await recordingService.saveRecording(wav(), metadata());
+      await recordingService.deleteRecording(recording.id);
+
+      expect(await fs.readdir(recordingsDir)).toEqual([]);
+      await expect(recordingService.getRecording(recording.id)).rejects.toMatchObject({ statusCode: 404 });
+      await expect(recordingService.deleteRecording(recording.id)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should reject invalid IDs', async () => {
+      await expect(recordingService.deleteRecording('../preferences')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  test('should name downloads after the trigger time', () => {
+    expect(RecordingService.getFileName({ time: Date.UTC(2026, 9, 19, 15, 30, 12) })).toBe('recording-2026-10-19-153012.wav');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Reference Traces Unit Tests
+ *
+ * Tests for reducing freeze captures to trace points, drawing them at another FFT size
+ * and importing the CSV and JSON exports.
+ */
+
+const ReferenceTraces = require('../public/js/referenceTraces.js');
+
+describe('ReferenceTraces', () => {
+  const sampleRate = 48000;
+
+  /**
+   * Bins with a level that falls 6 dB per octave from 0 dB at 100 Hz
+   */
+  function slope(bins) {
+    const data = new Float32Array(bins);
+    for (let i = 0; i < bins; i++) {
+      data[i] = -6 * Math.log2((i * sampleRate) / (2 * bins) / 100);
+    }
+    return data;
+  }
+
+  test('should keep sparse bins and combine dense bins by their maximum', () => {
+    const bins = 16384;
+    const data = slope(bins);
+    data[10000] = 20;                                          // Narrow peak at 14.6 kHz
+    const trace = ReferenceTraces.fromSpectrum(data, data, sampleRate, 15);
+
+    expect(trace.frequencies[0]).toBeCloseTo(sampleRate / (2 * bins), 6);
+    expect(trace.frequencies.length).toBeLessThan(ReferenceTraces.MAX_POINTS);
+    expect(trace.frequencies.every((frequency, i) => i === 0 || frequency > trace.frequencies[i - 1])).toBe(true);
+    const highs = trace.left.filter((level, i) => trace.frequencies[i] > 10000);
+    expect(Math.max(...highs)).toBeCloseTo(35, 3);                // The peak survives, with the display offset
+  });
+
+  test('should store missing levels as null and draw them as gaps', () => {
+    const data = slope(1024);
+    data.fill(-Infinity, 100, 200);
+    const trace = ReferenceTraces.fromSpectrum(data, data, sampleRate, 0);
+    expect(trace.left).toContain(null);
+
+    const { dataLeft } = ReferenceTraces.toBins(trace, 1024, sampleRate, 0);
+    expect(dataLeft[150]).toBe(-Infinity);
+    expect(dataLeft[0]).toBe(-Infinity);
+  });
+
+  test('should interpolate a trace onto another FFT size', () => {
+    const trace = ReferenceTraces.fromSpectrum(slope(2048), slope(2048), sampleRate, 15);
+    const { dataLeft, dataRight } = ReferenceTraces.toBins(trace, 8192, sampleRate, 15);
+    const expected = slope(8192);
+
+    [100, 1000, 5000].forEach((bin) => {
+      expect(dataLeft[bin]).toBeCloseTo(expected[bin], 1);
+      expect(dataRight[bin]).toBeCloseTo(expected[bin], 1);
+    });
+  });
+
+  test('should cache overlays until the bins or calibration change', () => {
+    const traces = new ReferenceTraces();
+    const { frequencies, left, right } = ReferenceTraces.fromSpectrum(slope(1024), slope(1024), sampleRate, 0);
+    traces.show({ id: 'a', color: '#00ccff', frequencies, left, right });
+
+    const [first] = traces.getOverlays(1024, sampleRate, 0);
+    expect(traces.getOverlays(1024, sampleRate, 0)[0].dataLeft).toBe(first.dataLeft);
+    expect(traces.getOverlays(1024, sampleRate, 10)[0].dataLeft[100]).toBeCloseTo(first.dataLeft[100] - 10, 3);
+
+    traces.setColor('a', '#ff0000');
+    expect(traces.getOverlays(1024, sampleRate, 10)[0].color).toBe('#ff0000');
+    traces.hide('a');
+    expect(traces.getOverlays(1024, sampleRate, 10)).toEqual([]);
+  });
+
+  test('should parse the CSV and JSON exports', () => {
+    const csv = 'Frequency (Hz),Left (dB),Right (dB)\n1000,-30.00,-31.00\n20,-40.00,\n20000;-50\n';
+    expect(ReferenceTraces.parse(csv)).toEqual({
+      frequencies: [20, 1000, 20000],
+      left: [-40, -30, -50],
+      right: [null, -31, -50]
+    });
+
+    const exported = { success: true, trace: { id: 'x', name: 'FOH', notes: '', color: '#ff8800', frequencies: [20, 1000], left: [-40, null], right: [-41, -31] } };
+    expect(ReferenceTraces.parse(JSON.stringify(exported))).toEqual({
+      frequencies: [20, 1000], left: [-40, null], right: [-41, -31], name: 'FOH', notes: '', color: '#ff8800'
+    });
+
+    expect(() => ReferenceTraces.parse('Frequency,Level\n')).toThrow('No frequency/dB rows');
+    expect(() => ReferenceTraces.parse('{"frequencies": [1000, 20], "left": [0, 0], "right": [0, 0]}')).toThrow('ascending');
+    expect(() => ReferenceTraces.parse('{"frequencies": [20, 1000], "left": [0], "right": [0, 0]}')).toThrow('left and right');
+  });
+});
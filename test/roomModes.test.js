@@ -0,0 +1,87 @@
+/**
+ * Room Mode Analyzer Unit Tests
+ *
+ * Tests for the axial mode prediction and the peak, dip and Q detection.
+ */
+
+const RoomModeAnalyzer = require('../public/js/roomModes.js');
+
+describe('RoomModeAnalyzer', () => {
+  const sampleRate = 48000;
+  const bins = RoomModeAnalyzer.FFT_SIZE / 2;
+  const binWidth = sampleRate / RoomModeAnalyzer.FFT_SIZE;
+
+  /**
+   * Flat response with resonances: [{ frequency, q, gain }] (gain > 0 adds a peak, < 0 cuts a dip)
+   */
+  function response(resonances) {
+    const data = new Float32Array(bins);
+    for (let k = 0; k < bins; k++) {
+      const f = Math.max(k, 1) * binWidth;
+      let power = 0.01;
+      resonances.forEach(({ frequency, q, gain }) => {
+        const shape = 1 / (1 + q * q * Math.pow(f / frequency - frequency / f, 2));
+        power *= 1 + gain * shape;
+      });
+      data[k] = 10 * Math.log10(power);
+    }
+    return data;
+  }
+
+  test('should predict the axial modes of each dimension', () => {
+    const modes = RoomModeAnalyzer.axialModes({ length: 6.86, width: 4.9, height: 0 }, 80);
+    expect(modes.map((mode) => mode.label)).toEqual(['L1', 'W1', 'L2', 'W2', 'L3']);
+    expect(modes[0].frequency).toBeCloseTo(25, 6);
+    expect(modes[1].frequency).toBeCloseTo(35, 6);
+  });
+
+  test('should find peaks and dips with their Q', () => {
+    const resonances = RoomModeAnalyzer.findResonances(response([
+      { frequency: 50, q: 8, gain: 30 },
+      { frequency: 140, q: 6, gain: -0.9 }
+    ]), sampleRate);
+
+    const peak = resonances.find((resonance) => resonance.type === 'peak');
+    expect(peak.frequency).toBeCloseTo(50, 0);
+    expect(peak.deviationDB).toBeGreaterThan(3);
+    expect(peak.q).toBeGreaterThan(6);
+    expect(peak.q).toBeLessThan(10);
+
+    const dip = resonances.find((resonance) => resonance.type === 'dip');
+    expect(dip.frequency).toBeCloseTo(140, 0);
+    expect(dip.deviationDB).toBeLessThan(-3);
+  });
+
+  test('should ignore a flat response and anything above the analysed range', () => {
+    expect(RoomModeAnalyzer.findResonances(response([]), sampleRate)).toEqual([]);
+    expect(RoomModeAnalyzer.findResonances(response([{ frequency: 1000, q: 8, gain: 30 }]), sampleRate)).toEqual([]);
+  });
+
+  test('should label resonances with the nearest axial mode', () => {
+    const analyzer = new RoomModeAnalyzer();
+    analyzer.setDimension('length', 3.43);                 // L1 at 50 Hz
+    const result = analyzer.analyse(response([{ frequency: 51, q: 8, gain: 30 }]), sampleRate);
+    expect(result.fftSize).toBe(RoomModeAnalyzer.FFT_SIZE);
+    expect(result.resonances.find((resonance) => resonance.type === 'peak').mode).toBe('L1');
+
+    analyzer.setDimension('length', 5);                     // Re-matched: L1 at 34.3 Hz, L2 at 68.6 Hz
+    expect(result.resonances.find((resonance) => resonance.type === 'peak').mode).toBeNull();
+    expect(RoomModeAnalyzer.matchMode(70, result.modes)).toBe('L2');
+  });
+
+  test('should keep dimensions in range and build a measurement', () => {
+    const analyzer = new RoomModeAnalyzer();
+    expect(analyzer.toMeasurement()).toBeNull();
+
+    analyzer.setDimension('width', 500);
+    analyzer.setDimension('height', -2);
+    expect(analyzer.width).toBe(100);
+    expect(analyzer.height).toBe(0);
+
+    analyzer.setMethod('listen');
+    analyzer.analyse(response([{ frequency: 60, q: 8, gain: 30 }]), sampleRate);
+    const measurement = analyzer.toMeasurement();
+    expect(measurement).toMatchObject({ type: 'roomModes', method: 'listen', fftSize: 32768, room: { length: 0, width: 100, height: 0 } });
+    expect(measurement.resonances.length).toBeGreaterThan(0);
+  });
+});
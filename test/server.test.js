@@ -1,6 +1,10 @@
 const request = require('supertest');
 const express = require('express');
 const cors = require('cors');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
 
 // Create a test version of the server with mocked services
 function createTestApp() {
@@ -1051,4 +1055,340 @@ describe('Express.js Server API Endpoints', () => {
       expect(app.mockPreferencesService.validatePreferences).toHaveBeenCalledWith(preferences);
     });
   });
-});
\ No newline at end of file
+});
+
+// The analysis routes run against the real server with its data files in a temporary config directory
+describe('Analysis API routes', () => {
+  let app;
+  let configDir;
+
+  beforeAll(async () => {
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spectrabox-server-'));
+    const PlatformDetection = require('../utils/platformDetection');
+    jest.spyOn(PlatformDetection, 'getConfigPath').mockReturnValue(configDir);
+    app = require('../server');
+  });
+
+  afterAll(async () => {
+    await fs.rm(configDir, { recursive: true, force: true });
+  });
+
+  describe('/api/measurements', () => {
+    const measurement = () => ({
+      type: 'rt60',
+      method: 'sweep',
+      sampleRate: 48000,
+      bands: [{ label: '1k', frequency: 1000, edt: 0.5, t20: 0.6, t30: 0.6, rt60: 0.6 }],
+      broadband: { edt: 0.5, t20: 0.6, t30: null, rt60: 0.6 }
+    });
+
+    it('should store, list, export and delete a measurement', async () => {
+      const created = await request(app).post('/api/measurements').send({ measurement: measurement() }).expect(201);
+      const id = created.body.measurement.id;
+
+      const list = await request(app).get('/api/measurements').expect(200);
+      expect(list.body.measurements.map((summary) => summary.id)).toContain(id);
+
+      const csv = await request(app).get(`/api/measurements/${id}?format=csv`).expect(200);
+      expect(csv.headers['content-type']).toMatch(/text\/csv/);
+      expect(csv.text).toContain('1k,1000,0.500,0.600,0.600,0.600');
+
+      await request(app).delete(`/api/measurements/${id}`).expect(200);
+      await request(app).get(`/api/measurements/${id}`).expect(404);
+    });
+
+    it('should reject invalid measurements and non-JSON bodies', async () => {
+      const invalid = await request(app).post('/api/measurements').send({ measurement: { type: 'loudness' } }).expect(400);
+      expect(invalid.body.error).toBe('INVALID_MEASUREMENT');
+
+      const text = await request(app).post('/api/measurements').set('Content-Type', 'text/plain').send('rt60').expect(400);
+      expect(text.body.error).toBe('INVALID_CONTENT_TYPE');
+    });
+
+    it('should report unknown measurements as not found', async () => {
+      const response = await request(app).delete('/api/measurements/missing').expect(404);
+      expect(response.body.error).toBe('MEASUREMENT_NOT_FOUND');
+    });
+  });
+
+  describe('/api/calibrations', () => {
+    const calibration = () => ({ deviceLabel: 'UMIK-1', offsetDB: 121.4, referenceLevel: 94, inputGainDB: 6 });
+
+    it('should store, list, load and delete the calibration of a device', async () => {
+      const stored = await request(app).put('/api/calibrations/mic-1').send({ calibration: calibration() }).expect(200);
+      expect(stored.body.calibration).toMatchObject({ deviceId: 'mic-1', offsetDB: 121.4, inputGainDB: 6 });
+
+      const list = await request(app).get('/api/calibrations').expect(200);
+      expect(list.body.calibrations.map((summary) => summary.deviceId)).toEqual(['mic-1']);
+
+      const loaded = await request(app).get('/api/calibrations/mic-1').expect(200);
+      expect(loaded.body.calibration).toEqual(stored.body.calibration);
+
+      await request(app).delete('/api/calibrations/mic-1').expect(200);
+      await request(app).get('/api/calibrations/mic-1').expect(404);
+    });
+
+    it('should reject invalid calibrations and non-JSON bodies', async () => {
+      const invalid = await request(app).put('/api/calibrations/mic-1').send({ calibration: { ...calibration(), offsetDB: -5 } }).expect(400);
+      expect(invalid.body.error).toBe('INVALID_CALIBRATION');
+
+      const text = await request(app).put('/api/calibrations/mic-1').set('Content-Type', 'text/plain').send('121.4').expect(400);
+      expect(text.body.error).toBe('INVALID_CONTENT_TYPE');
+    });
+
+    it('should report devices without a calibration as not found', async () => {
+      const response = await request(app).delete('/api/calibrations/unknown').expect(404);
+      expect(response.body.error).toBe('CALIBRATION_NOT_FOUND');
+    });
+  });
+
+  describe('/api/levels', () => {
+    const sample = (time) => ({
+      time,
+      duration: 10,
+      peakLeft: -6,
+      peakRight: -8,
+      rmsLeft: -20,
+      rmsRight: -22,
+      correlation: 0.8,
+      loudness: -23
+    });
+
+    it('should store level summaries and return them in the history', async () => {
+      const time = Date.now() - 60 * 1000;
+      const stored = await request(app).post('/api/levels').send({ samples: [sample(time)] }).expect(201);
+      expect(stored.body.stored).toBe(1);
+
+      const history = await request(app).get(`/api/levels/history?from=${time - 1000}&to=${time + 1000}&resolution=10`).expect(200);
+      expect(history.body.history.points).toHaveLength(1);
+      expect(history.body.history.points[0].peakLeft).toBe(-6);
+
+      const csv = await request(app).get(`/api/levels/history?from=${time - 1000}&to=${time + 1000}&format=csv`).expect(200);
+      expect(csv.text.split('\n')).toHaveLength(3);
+    });
+
+    it('should reject invalid summaries, non-JSON bodies and history queries', async () => {
+      const invalid = await request(app).post('/api/levels').send({ samples: [{ time: 'now' }] }).expect(400);
+      expect(invalid.body.error).toBe('INVALID_LEVEL_SAMPLES');
+
+      await request(app).post('/api/levels').set('Content-Type', 'text/plain').send('-6').expect(400);
+
+      const query = await request(app).get('/api/levels/history?from=yesterday').expect(400);
+      expect(query.body.error).toBe('INVALID_HISTORY_QUERY');
+
+      const outOfRange = await request(app).get('/api/levels/history?to=100000000000000000').expect(400);
+      expect(outOfRange.body.error).toBe('INVALID_HISTORY_QUERY');
+    });
+  });
+
+  describe('/api/alarms', () => {
+    const rule = {
+      id: 'venue-limit',
+      name: 'Venue limit',
+      enabled: true,
+      metric: 'leq',
+      operator: 'above',
+      threshold: 98,
+      window: 60,
+      count: 1,
+      tone: false
+    };
+    const alarm = () => ({ ruleId: 'venue-limit', name: 'Venue limit', metric: 'leq', operator: 'above', threshold: 98, value: 99.1, time: Date.now() });
+
+    it('should store the alarm rules and record alarms in the history', async () => {
+      const saved = await request(app).put('/api/alarms/config').send({ alarms: { rules: [rule], webhooks: [] } }).expect(200);
+      expect(saved.body.alarms.rules).toEqual([rule]);
+      expect((await request(app).get('/api/alarms/config').expect(200)).body.alarms.rules).toEqual([rule]);
+
+      const event = await request(app).post('/api/alarms/events').send({ alarm: alarm() }).expect(201);
+      const history = await request(app).get('/api/alarms/history?limit=10').expect(200);
+      expect(history.body.alarms[0]).toEqual(event.body.alarm);
+
+      await request(app).delete('/api/alarms/history').expect(200);
+      expect((await request(app).get('/api/alarms/history').expect(200)).body.alarms).toEqual([]);
+    });
+
+    it('should answer alarm events before the webhooks respond', async () => {
+      let release;
+      let hook;
+      const delivered = new Promise((resolve) => {
+        hook = http.createServer((req, res) => {
+          let body = '';
+          req.on('data', (chunk) => { body += chunk; });
+          req.on('end', () => {
+            release = () => res.end('ok');
+            resolve(JSON.parse(body));
+          });
+        });
+      });
+      await new Promise((resolve) => hook.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const url = `http://127.0.0.1:${hook.address().port}/hook`;
+        await request(app).put('/api/alarms/config').send({ alarms: { rules: [rule], webhooks: [url] } }).expect(200);
+
+        // The webhook holds its response, so the event must be answered without waiting for it
+        const event = await request(app).post('/api/alarms/events').send({ alarm: alarm() }).timeout(2000).expect(201);
+        expect(await delivered).toEqual({ event: 'spectrabox.alarm', alarm: event.body.alarm });
+      } finally {
+        if (release) release();
+        await new Promise((resolve) => hook.close(resolve));
+        await request(app).put('/api/alarms/config').send({ alarms: { rules: [], webhooks: [] } });
+      }
+    });
+
+    it('should reject invalid alarms, settings and history queries', async () => {
+      const invalid = await request(app).post('/api/alarms/events').send({ alarm: { ...alarm(), metric: 'volume' } }).expect(400);
+      expect(invalid.body.error).toBe('INVALID_ALARM');
+
+      const settings = await request(app).put('/api/alarms/config').send({ alarms: { rules: [{ ...rule, window: 0 }], webhooks: [] } }).expect(400);
+      expect(settings.body.error).toBe('INVALID_ALARM_SETTINGS');
+
+      await request(app).post('/api/alarms/events').set('Content-Type', 'text/plain').send('alarm').expect(400);
+      await request(app).get('/api/alarms/history?limit=0').expect(400);
+    });
+  });
+
+  describe('/api/recordings', () => {
+    /**
+     * Silent 16-bit mono WAV file
+     */
+    function wav(frames = 480) {
+      const buffer = Buffer.alloc(44 + frames * 2);
+      buffer.write('RIFF', 0, 'ascii');
+      buffer.writeUInt32LE(36 + frames * 2, 4);
+      buffer.write('WAVEfmt ', 8, 'ascii');
+      buffer.writeUInt32LE(16, 16);
+      buffer.writeUInt16LE(1, 20);
+      buffer.writeUInt16LE(1, 22);
+      buffer.writeUInt32LE(48000, 24);
+      buffer.writeUInt32LE(96000, 28);
+      buffer.writeUInt16LE(2, 32);
+      buffer.writeUInt16LE(16, 34);
+      buffer.write('data', 36, 'ascii');
+      buffer.writeUInt32LE(frames * 2, 40);
+      return buffer;
+    }
+
+    it('should store, list, download and delete a recording', async () => {
+      const created = await request(app)
+        .post('/api/recordings?time=1790000000000&device=USB%20Mic&trigger=manual')
+        .set('Content-Type', 'audio/wav')
+        .send(wav())
+        .expect(201);
+      const id = created.body.recording.id;
+      expect(created.body.recording.device).toBe('USB Mic');
+
+      const list = await request(app).get('/api/recordings').expect(200);
+      expect(list.body.recordings.map((recording) => recording.id)).toEqual([id]);
+
+      const download = await request(app).get(`/api/recordings/${id}/wav`).expect(200);
+      expect(download.headers['content-disposition']).toMatch(/recording-.*\.wav/);
+
+      await request(app).delete(`/api/recordings/${id}`).expect(200);
+      await request(app).get(`/api/recordings/${id}`).expect(404);
+    });
+
+    it('should reject other files, missing metadata and other content types', async () => {
+      const file = await request(app).post('/api/recordings?time=1').set('Content-Type', 'audio/wav').send(Buffer.from('not a wav file')).expect(400);
+      expect(file.body.error).toBe('INVALID_RECORDING');
+
+      const metadata = await request(app).post('/api/recordings').set('Content-Type', 'audio/wav').send(wav()).expect(400);
+      expect(metadata.body.error).toBe('INVALID_RECORDING_METADATA');
+
+      const type = await request(app).post('/api/recordings?time=1').send({ wav: true }).expect(400);
+      expect(type.body.error).toBe('INVALID_CONTENT_TYPE');
+    });
+
+    it('should report unknown recordings as not found', async () => {
+      const response = await request(app).get('/api/recordings/unknown/wav').expect(404);
+      expect(response.body.error).toBe('RECORDING_NOT_FOUND');
+      await request(app).delete('/api/recordings/unknown').expect(404);
+    });
+  });
+
+  describe('/api/feedback', () => {
+    const candidate = { frequency: 2512.345, levelDB: -18.26, ratioDB: 21.04, growth: 3.48, band: 2500, notchDepth: 18 };
+
+    it('should keep the latest feedback report', async () => {
+      const reported = await request(app).post('/api/feedback').send({ candidates: [candidate], time: 1000 }).expect(200);
+      expect(reported.body.feedback.candidates).toHaveLength(1);
+
+      const latest = await request(app).get('/api/feedback').expect(200);
+      expect(latest.body.feedback).toEqual(reported.body.feedback);
+    });
+
+    it('should reject invalid candidates and non-JSON bodies', async () => {
+      const invalid = await request(app).post('/api/feedback').send({ candidates: [{ ...candidate, frequency: 0 }] }).expect(400);
+      expect(invalid.body.error).toBe('INVALID_FEEDBACK');
+
+      await request(app).post('/api/feedback').set('Content-Type', 'text/plain').send('2500').expect(400);
+    });
+  });
+
+  describe('/api/traces', () => {
+    const trace = () => ({ name: 'FOH left', frequencies: [20, 1000, 20000], left: [-40, -30, null], right: [-41, -31, -50] });
+
+    it('should store, list, rename, export and delete a trace', async () => {
+      const created = await request(app).post('/api/traces').send({ trace: trace() }).expect(201);
+      const id = created.body.trace.id;
+
+      const list = await request(app).get('/api/traces').expect(200);
+      expect(list.body.traces.map((summary) => summary.id)).toEqual([id]);
+
+      const renamed = await request(app).put(`/api/traces/${id}`).send({ name: 'FOH left, after EQ' }).expect(200);
+      expect(renamed.body.trace.name).toBe('FOH left, after EQ');
+
+      const csv = await request(app).get(`/api/traces/${id}?format=csv`).expect(200);
+      expect(csv.text).toContain('1000,-30.00,-31.00');
+
+      await request(app).delete(`/api/traces/${id}`).expect(200);
+      await request(app).get(`/api/traces/${id}`).expect(404);
+    });
+
+    it('should reject invalid traces and non-JSON bodies', async () => {
+      const invalid = await request(app).post('/api/traces').send({ trace: { name: 'Empty' } }).expect(400);
+      expect(invalid.body.error).toBe('INVALID_TRACE');
+
+      await request(app).post('/api/traces').set('Content-Type', 'text/plain').send('20,-40').expect(400);
+    });
+
+    it('should report unknown traces as not found', async () => {
+      const response = await request(app).put('/api/traces/unknown').send({ name: 'FOH' }).expect(404);
+      expect(response.body.error).toBe('TRACE_NOT_FOUND');
+      await request(app).delete('/api/traces/unknown').expect(404);
+    });
+  });
+
+  describe('/api/target-curves', () => {
+    const curve = () => ({ name: 'House curve', tolerance: 3, points: [{ frequency: 20, dB: 6 }, { frequency: 20000, dB: -6 }] });
+
+    it('should store, list, update and delete a target curve', async () => {
+      const created = await request(app).post('/api/target-curves').send({ curve: curve() }).expect(201);
+      const id = created.body.curve.id;
+
+      const list = await request(app).get('/api/target-curves').expect(200);
+      expect(list.body.curves.map((summary) => summary.id)).toEqual([id]);
+
+      const updated = await request(app).put(`/api/target-curves/${id}`).send({ curve: { ...curve(), name: 'Flat' } }).expect(200);
+      expect(updated.body.curve.name).toBe('Flat');
+      expect((await request(app).get(`/api/target-curves/${id}`).expect(200)).body.curve).toEqual(updated.body.curve);
+
+      await request(app).delete(`/api/target-curves/${id}`).expect(200);
+      await request(app).get(`/api/target-curves/${id}`).expect(404);
+    });
+
+    it('should reject invalid curves and non-JSON bodies', async () => {
+      const invalid = await request(app).post('/api/target-curves').send({ curve: { ...curve(), tolerance: 20 } }).expect(400);
+      expect(invalid.body.error).toBe('INVALID_TARGET_CURVE');
+
+      await request(app).post('/api/target-curves').set('Content-Type', 'text/plain').send('20 6').expect(400);
+    });
+
+    it('should report unknown target curves as not found', async () => {
+      const response = await request(app).put('/api/target-curves/unknown').send({ curve: curve() }).expect(404);
+      expect(response.body.error).toBe('TARGET_CURVE_NOT_FOUND');
+      await request(app).delete('/api/target-curves/unknown').expect(404);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * SignalGenerator Unit Tests
+ *
+ * Tests for the generated test signals (white and pink noise, log sweep,
+ * stepped sine frequencies) and the generator's setting limits.
+ */
+
+global.OctaveBandAnalyzer = require('../public/js/octaveBands.js');
+const SignalGenerator = require('../public/js/signalGenerator.js');
+const { TransferFunctionEngine } = require('../public/js/transferFunction.js');
+
+describe('SignalGenerator', () => {
+  const sampleRate = 48000;
+
+  /**
+   * Deterministic random source (linear congruential generator)
+   */
+  function seededRandom(seed = 1) {
+    let state = seed;
+    return () => {
+      state = (state * 1664525 + 1013904223) % 4294967296;
+      return state / 4294967296;
+    };
+  }
+
+  /**
+   * Averaged power per octave (bins between lower and 2 × lower) over 16384-sample blocks
+   */
+  function octavePower(samples, lower) {
+    const size = 16384;
+    let power = 0;
+    for (let start = 0; start + size <= samples.length; start += size) {
+      const re = Float64Array.from(samples.subarray(start, start + size));
+      const im = new Float64Array(size);
+      TransferFunctionEngine.fft(re, im);
+      const first = Math.round(lower * size / sampleRate);
+      for (let k = first; k < first * 2; k++) {
+        power += re[k] * re[k] + im[k] * im[k];
+      }
+    }
+    return power;
+  }
+
+  function zeroCrossings(samples, start, end) {
+    let count = 0;
+    for (let i = start + 1; i < end; i++) {
+      if ((samples[i - 1] < 0) !== (samples[i] < 0)) count++;
+    }
+    return count;
+  }
+
+  describe('noise', () => {
+    test('should normalise white noise to a peak of 1', () => {
+      const samples = SignalGenerator.generateWhiteNoise(4096, seededRandom());
+      const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+
+      expect(peak).toBeCloseTo(1, 6);
+    });
+
+    test('should give white noise equal power per hertz', () => {
+      const samples = SignalGenerator.generateWhiteNoise(16384 * 8, seededRandom());
+      const ratio = octavePower(samples, 3200) / octavePower(samples, 200);
+
+      // An octave 4 octaves higher spans 16 times as many bins
+      expect(10 * Math.log10(ratio)).toBeCloseTo(12.04, 0);
+    });
+
+    test('should give pink noise equal power per octave', () => {
+      const samples = SignalGenerator.generatePinkNoise(16384 * 8, seededRandom());
+      const ratio = octavePower(samples, 3200) / octavePower(samples, 200);
+
+      expect(Math.abs(10 * Math.log10(ratio))).toBeLessThan(1);
+    });
+  });
+
+  describe('generateLogSweep', () => {
+    test('should sweep exponentially from start to end frequency', () => {
+      const sweep = SignalGenerator.generateLogSweep(sampleRate, 100, 10000, 2);
+      const window = sampleRate / 10;
+
+      expect(sweep).toHaveLength(sampleRate * 2);
+      // Halfway through a 100 Hz - 10 kHz log sweep the frequency is 1 kHz
+      expect(zeroCrossings(sweep, sampleRate - window / 2, sampleRate + window / 2) / 2 / 0.1).toBeCloseTo(1000, -2);
+      expect(zeroCrossings(sweep, 0, window) / 2 / 0.1).toBeLessThan(200);
+    });
+
+    test('should fade in and out', () => {
+      const sweep = SignalGenerator.generateLogSweep(sampleRate, 20, 20000, 1);
+
+      expect(sweep[0]).toBe(0);
+      expect(Math.abs(sweep[sweep.length - 1])).toBeLessThan(1e-3);
+    });
+  });
+
+  describe('steppedFrequencies', () => {
+    test('should step through third-octave frequencies from 20 Hz to 20 kHz', () => {
+      const frequencies = SignalGenerator.steppedFrequencies(sampleRate);
+
+      expect(frequencies[0]).toBe(20);
+      expect(frequencies[1]).toBe(25);
+      expect(frequencies[frequencies.length - 1]).toBe(20000);
+    });
+
+    test('should stay below Nyquist', () => {
+      const frequencies = SignalGenerator.steppedFrequencies(22050);
+
+      expect(Math.max(...frequencies)).toBeLessThan(11025);
+    });
+  });
+
+  describe('settings', () => {
+    let generator;
+
+    beforeEach(() => {
+      generator = new SignalGenerator();
+    });
+
+    test('should limit the level to -60..0 dBFS', () => {
+      generator.setLevel(6);
+      expect(generator.levelDB).toBe(0);
+      generator.setLevel(-90);
+      expect(generator.levelDB).toBe(-60);
+    });
+
+    test('should ignore unknown signal types', () => {
+      generator.setType('sweep');
+      generator.setType('square');
+
+      expect(generator.type).toBe('sweep');
+    });
+
+    test('should not play before the analyzer is running', () => {
+      expect(generator.start()).toBe(false);
+      expect(generator.playing).toBe(false);
+    });
+  });
+});
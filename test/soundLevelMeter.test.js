@@ -0,0 +1,164 @@
+/**
+ * Sound Level Meter Unit Tests
+ *
+ * Tests for the frequency- and time-weighted detectors and the Leq, Lmax/Lmin
+ * and percentile statistics.
+ */
+
+global.WeightingFilters = require('../public/js/weightingFilters.js');
+const { SoundLevelMeter, SoundLevelAccumulator } = require('../public/js/soundLevelMeter.js');
+
+describe('Sound level meter', () => {
+  const sampleRate = 48000;
+  let meter;
+  let accumulator;
+
+  /**
+   * Play a sine into the accumulator in 100 ms chunks
+   */
+  function playTone(amplitude, seconds, frequency = 1000) {
+    const chunk = sampleRate / 10;
+    const buffer = new Float32Array(chunk);
+    for (let n = 0; n < seconds * 10; n++) {
+      for (let i = 0; i < chunk; i++) {
+        buffer[i] = amplitude * Math.sin(2 * Math.PI * frequency * (n * chunk + i) / sampleRate);
+      }
+      accumulator.process([buffer]);
+    }
+  }
+
+  /**
+   * Block summary with the same level for every detector
+   */
+  function block(level) {
+    const power = Math.pow(10, level / 10);
+    return { power, F: [power, power, power], S: [power, power, power], I: [power, power, power] };
+  }
+
+  /**
+   * Connect a script-processor style accumulator to the meter
+   */
+  function connect(weighting = 'A') {
+    meter.setFrequencyWeighting(weighting);
+    accumulator = new SoundLevelAccumulator(sampleRate, [], (summary) => meter.addBlock(summary));
+    meter.attachAccumulator({ setSections: (sections) => accumulator.setSections(sections) }, sampleRate);
+  }
+
+  beforeEach(() => {
+    meter = new SoundLevelMeter(null);
+  });
+
+  describe('detectors', () => {
+    test('should hold back blocks while the detectors settle', () => {
+      connect();
+      playTone(0.1, 1);
+      expect(meter.totalBlocks).toBe(0);
+
+      playTone(0.1, 1);
+      expect(meter.totalBlocks).toBe(10);
+    });
+
+    test('should read a 1 kHz sine at its RMS level', () => {
+      connect('A');
+      playTone(0.1, 3);
+
+      // 0.1 peak = -23.01 dBFS RMS; A weighting is 0 dB at 1 kHz
+      expect(meter.current).toBeCloseTo(-23.01, 1);
+      expect(meter.getLeq()).toBeCloseTo(-23.01, 1);
+      expect(meter.getLabel()).toBe('LAF');
+    });
+
+    test('should apply the frequency weighting', () => {
+      connect('Z');
+      playTone(0.1, 3, 100);
+      expect(meter.getLeq()).toBeCloseTo(-23.01, 1);
+
+      meter.setFrequencyWeighting('A');
+      playTone(0.1, 3, 100);
+      expect(meter.getLeq()).toBeCloseTo(-23.01 - 19.1, 0);
+    });
+
+    test('should decay at the selected time constant', () => {
+      connect();
+      meter.setTimeWeighting('F');
+      playTone(0.1, 2);
+      playTone(0, 0.5);
+      const fastDrop = -23.01 - meter.current;
+
+      meter.setTimeWeighting('S');
+      playTone(0.1, 3);
+      playTone(0, 0.5);
+      const slowDrop = -23.01 - meter.current;
+
+      // 10·log10(e) = 4.34 dB per time constant: 0.5 s is 4 Fast or 0.5 Slow time constants
+      expect(fastDrop).toBeCloseTo(4 * 4.343, 0);
+      expect(slowDrop).toBeCloseTo(0.5 * 4.343, 0);
+    });
+
+    test('should catch short bursts with the Impulse rise time', () => {
+      connect();
+      playTone(0.001, 1.5);
+      playTone(0.1, 0.1);
+      playTone(0.001, 0.4);
+      const burst = meter.getMax();
+
+      meter.setTimeWeighting('I');
+      playTone(0.001, 1.5);
+      playTone(0.1, 0.1);
+      playTone(0.001, 0.4);
+
+      expect(meter.getMax()).toBeGreaterThan(burst);
+    });
+  });
+
+  describe('statistics', () => {
+    test('should give max, min and exceedance percentiles', () => {
+      for (let level = -100; level <= -10; level += 10) {
+        meter.addBlock(block(level));
+      }
+
+      expect(meter.getMax()).toBeCloseTo(-10, 0);
+      expect(meter.getMin()).toBeCloseTo(-100, 0);
+      expect(meter.getPercentile(10)).toBeCloseTo(-10, 0);
+      expect(meter.getPercentile(50)).toBeCloseTo(-50, 0);
+      expect(meter.getPercentile(90)).toBeCloseTo(-90, 0);
+      expect(meter.getDuration()).toBeCloseTo(1, 6);
+    });
+
+    test('should energy-average the Leq', () => {
+      meter.addBlock(block(-20));
+      meter.addBlock(block(-100));
+      expect(meter.getLeq()).toBeCloseTo(-20 - 10 * Math.log10(2), 3);
+    });
+
+    test('should only keep the selected interval', () => {
+      meter.setInterval(10);
+      for (let i = 0; i < 100; i++) meter.addBlock(block(-20));
+      for (let i = 0; i < 100; i++) meter.addBlock(block(-40));
+
+      expect(meter.getLeq()).toBeCloseTo(-40, 3);
+      expect(meter.getMax()).toBeCloseTo(-40, 0);
+      expect(meter.getDuration()).toBeCloseTo(10, 6);
+    });
+
+    test('should keep everything since the reset with interval 0', () => {
+      meter.setInterval(0);
+      for (let i = 0; i < 100; i++) meter.addBlock(block(-20));
+      for (let i = 0; i < 100; i++) meter.addBlock(block(-40));
+
+      expect(meter.getMax()).toBeCloseTo(-20, 0);
+      expect(meter.getDuration()).toBeCloseTo(20, 6);
+
+      meter.reset();
+      expect(meter.getLeq()).toBe(-Infinity);
+      expect(meter.getPercentile(50)).toBe(-Infinity);
+    });
+
+    test('should ignore unknown settings', () => {
+      meter.setInterval(120);
+      meter.setTimeWeighting('X');
+      meter.setFrequencyWeighting('B');
+      expect([meter.interval, meter.timeWeighting, meter.frequencyWeighting]).toEqual([300, 'F', 'A']);
+    });
+  });
+});
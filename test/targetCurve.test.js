@@ -0,0 +1,76 @@
+/**
+ * Target Curve Unit Tests
+ *
+ * Tests for interpolating a target curve onto the plot, comparing a measured spectrum
+ * with it and aligning the target to the measured level.
+ */
+
+global.SplCalibration = require('../public/js/calibration.js');
+const TargetCurve = require('../public/js/targetCurve.js');
+
+describe('TargetCurve', () => {
+  const sampleRate = 48000;
+  const bins = 4096;
+  const analyzer = { plotLeft: 0, plotRight: 300, plotWidth: 300, minFreq: 20, maxFreq: 20000 };
+
+  const tilt = {
+    id: 'tilt',
+    name: 'Tilt',
+    tolerance: 2,
+    points: [{ frequency: 100, dB: 3 }, { frequency: 10000, dB: -3 }]
+  };
+
+  /**
+   * Plot x position of a frequency (300 pixels for three decades)
+   */
+  const xOf = (frequency) => Math.round(100 * Math.log10(frequency / 20));
+
+  function flat(level) {
+    return new Float32Array(bins).fill(level);
+  }
+
+  test('should interpolate the target on a logarithmic axis within the curve only', () => {
+    const targetCurve = new TargetCurve(analyzer);
+    targetCurve.setCurve(tilt);
+    const pixels = targetCurve.getPixels(bins, sampleRate);
+
+    expect(pixels).toHaveLength(301);
+    expect(pixels[xOf(50)].target).toBeNull();
+    expect(pixels[xOf(1000)].target).toBeCloseTo(0, 1);
+    expect(pixels[xOf(20000)].target).toBeNull();
+    expect(targetCurve.getPixels(bins, sampleRate)).toBe(pixels);
+  });
+
+  test('should report the deviation from the aligned target', () => {
+    const targetCurve = new TargetCurve(analyzer);
+    targetCurve.setCurve(tilt);
+    targetCurve.update(flat(-50), flat(-60), sampleRate, 20);
+
+    // The louder channel is compared; the flat response sits 30 dB above the mean target level
+    expect(targetCurve.offsetDB).toBeCloseTo(-30, 1);
+    expect(targetCurve.valueAt(xOf(1000))).toBeCloseTo(0, 1);
+    expect(targetCurve.valueAt(xOf(200))).toBeCloseTo(-(3 - 6 * Math.log10(2) / 2), 1);
+    expect(targetCurve.valueAt(xOf(5000))).toBeCloseTo(-(3 - 6 * Math.log10(50) / 2), 1);
+    expect(targetCurve.valueAt(xOf(50))).toBeNull();
+  });
+
+  test('should compare absolute levels without alignment', () => {
+    const targetCurve = new TargetCurve(analyzer);
+    targetCurve.setCurve(tilt);
+    targetCurve.setAlign(false);
+    targetCurve.update(flat(-50), flat(-Infinity), sampleRate, 50);
+
+    expect(targetCurve.offsetDB).toBe(0);
+    expect(targetCurve.valueAt(xOf(1000))).toBeCloseTo(0, 1);
+    expect(targetCurve.valueAt(xOf(10000 / 1.2))).toBeGreaterThan(2);
+  });
+
+  test('should format points for the editor and keep the deviation range to known values', () => {
+    expect(TargetCurve.formatPoints(tilt.points)).toBe('100 3\n10000 -3');
+
+    const targetCurve = new TargetCurve(analyzer);
+    targetCurve.setDeviationRange(24);
+    targetCurve.setDeviationRange(18);
+    expect(targetCurve.deviationRange).toBe(24);
+  });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { TargetCurveService } = require('../services/targetCurveService');
+
+describe('TargetCurveService', () => {
+  let targetCurveService;
+  let curvesDir;
+
+  const curve = () => ({
+    name: ' House curve ',
+    tolerance: 3,
+    points: [
+      { frequency: 20, dB: 6 },
+      { frequency: 1000, dB: 0 },
+      { frequency: 20000, dB: -6 }
+    ]
+  });
+
+  beforeEach(async () => {
+    curvesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spectrabox-target-curves-'));
+    targetCurveService = new TargetCurveService(curvesDir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(curvesDir, { recursive: true, force: true });
+  });
+
+  describe('validateCurve', () => {
+    test('should accept a curve', () => {
+      expect(targetCurveService.validateCurve(curve()).success).toBe(true);
+    });
+
+    test('should reject invalid points, names and tolerances', () => {
+      expect(targetCurveService.validateCurve({ ...curve(), points: [{ frequency: 20, dB: 0 }] }).success).toBe(false);
+      expect(targetCurveService.validateCurve({ ...curve(), points: [{ frequency: 100, dB: 0 }, { frequency: 50, dB: 0 }] }).success).toBe(false);
+      expect(targetCurveService.validateCurve({ ...curve(), points: [{ frequency: 20, dB: 0 }, { frequency: 100, dB: 'flat' }] }).success).toBe(false);
+      expect(targetCurveService.validateCurve({ ...curve(), tolerance: 20 }).success).toBe(false);
+      expect(targetCurveService.validateCurve({ ...curve(), name: '' }).success).toBe(false);
+
+      const points = Array.from({ length: TargetCurveService.MAX_POINTS + 1 }, (_, i) => ({ frequency: i + 1, dB: 0 }));
+      expect(targetCurveService.validateCurve({ ...curve(), points }).success).toBe(false);
+    });
+  });
+
+  describe('saveCurve and updateCurve', () => {
+    test('should store a curve with a trimmed name and only the known fields', async () => {
+      const stored = await targetCurveService.saveCurve({ ...curve(), injected: true });
+
+      expect(stored.id).toMatch(/^[a-z0-9]+$/);
+      expect(stored.name).toBe('House curve');
+      expect(stored.points).toEqual(curve().points);
+      expect(stored.injected).toBeUndefined();
+      expect(await targetCurveService.getCurve(stored.id)).toEqual(stored);
+    });
+
+    test('should replace a curve and keep its creation time', async () => {
+      const stored = await targetCurveService.saveCurve(curve());
+      const updated = await targetCurveService.updateCurve(stored.id, {
+        name: 'Flat',
+        tolerance: 1.5,
+        points: [{ frequency: 20, dB: 0 }, { frequency: 20000, dB: 0 }]
+      });
+
+      expect(updated.id).toBe(stored.id);
+      expect(updated.name).toBe('Flat');
+      expect(updated.points).toHaveLength(2);
+      expect(updated.createdAt).toBe(stored.createdAt);
+      await expect(targetCurveService.updateCurve(stored.id, { name: 'Flat' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(targetCurveService.updateCurve('missing', curve())).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('listCurves and deleteCurve', () => {
+    test('should list stored curves by name and delete them', async () => {
+      expect(await targetCurveService.listCurves()).toEqual([]);
+
+      const house = await targetCurveService.saveCurve(curve());
+      const flat = await targetCurveService.saveCurve({ ...curve(), name: 'Flat', tolerance: 0 });
+      expect(await targetCurveService.listCurves()).toEqual([
+        { id: flat.id, name: 'Flat', tolerance: 0, points: 3, updatedAt: flat.updatedAt },
+        { id: house.id, name: 'House curve', tolerance: 3, points: 3, updatedAt: house.updatedAt }
+      ]);
+
+      await targetCurveService.deleteCurve(house.id);
+      expect((await targetCurveService.listCurves()).map((summary) => summary.id)).toEqual([flat.id]);
+    });
+
+    test('should skip malformed curve files', async () => {
+      const stored = await targetCurveService.saveCurve(curve());
+      await fs.writeFile(path.join(curvesDir, 'noname.json'), JSON.stringify({ id: 'noname', points: [] }));
+      await fs.writeFile(path.join(curvesDir, 'null.json'), 'null');
+      await fs.writeFile(path.join(curvesDir, 'broken.json'), '{');
+
+      expect((await targetCurveService.listCurves()).map((summary) => summary.id)).toEqual([stored.id]);
+    });
+
+    test('should report missing curves as not found and reject invalid IDs', async () => {
+      await expect(targetCurveService.getCurve('missing')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(targetCurveService.deleteCurve('missing')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(targetCurveService.getCurve('../preferences')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
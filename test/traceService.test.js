@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { TraceService } = require('../services/traceService');
+
+describe('TraceService', () => {
+  let traceService;
+  let tracesDir;
+
+  const trace = () => ({
+    name: 'FOH left',
+    notes: 'Before EQ',
+    color: '#FF8800',
+    frequencies: [20, 1000, 20000],
+    left: [-40.123, -30, null],
+    right: [-41, -31.456, -50]
+  });
+
+  beforeEach(async () => {
+    tracesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spectrabox-traces-'));
+    traceService = new TraceService(tracesDir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tracesDir, { recursive: true, force: true });
+  });
+
+  describe('validateTrace', () => {
+    test('should accept a trace', () => {
+      expect(traceService.validateTrace(trace()).success).toBe(true);
+    });
+
+    test('should reject invalid points and details', () => {
+      expect(traceService.validateTrace({ ...trace(), frequencies: [20, 20, 30] }).success).toBe(false);
+      expect(traceService.validateTrace({ ...trace(), left: [-40, -30] }).success).toBe(false);
+      expect(traceService.validateTrace({ ...trace(), right: [-41, 'loud', -50] }).success).toBe(false);
+      expect(traceService.validateTrace({ ...trace(), color: 'red' }).success).toBe(false);
+      expect(traceService.validateTrace({ ...trace(), name: ' ' }).success).toBe(false);
+
+      const frequencies = Array.from({ length: TraceService.MAX_POINTS + 1 }, (_, i) => i + 1);
+      const levels = frequencies.map(() => -60);
+      expect(traceService.validateTrace({ frequencies, left: levels, right: levels }).success).toBe(false);
+    });
+  });
+
+  describe('saveTrace and updateTrace', () => {
+    test('should store a trace with rounded levels', async () => {
+      const stored = await traceService.saveTrace({ ...trace(), injected: true });
+
+      expect(stored.id).toMatch(/^[a-z0-9]+$/);
+      expect(stored.color).toBe('#ff8800');
+      expect(stored.left).toEqual([-40.12, -30, null]);
+      expect(stored.right).toEqual([-41, -31.46, -50]);
+      expect(stored.injected).toBeUndefined();
+      expect(await traceService.getTrace(stored.id)).toEqual(stored);
+    });
+
+    test('should default the name and colour', async () => {
+      const { frequencies, left, right } = trace();
+      const stored = await traceService.saveTrace({ frequencies, left, right });
+
+      expect(stored.name).toMatch(/^Trace /);
+      expect(stored.notes).toBe('');
+      expect(stored.color).toBe(TraceService.DEFAULT_COLOR);
+    });
+
+    test('should update the details and keep the points', async () => {
+      const stored = await traceService.saveTrace(trace());
+      const updated = await traceService.updateTrace(stored.id, { name: 'FOH left, after EQ', color: '#00FF00' });
+
+      expect(updated.name).toBe('FOH left, after EQ');
+      expect(updated.notes).toBe('Before EQ');
+      expect(updated.color).toBe('#00ff00');
+      expect(updated.frequencies).toEqual(stored.frequencies);
+      await expect(traceService.updateTrace(stored.id, { notes: 5 })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should throw a ValidationError for invalid data', async () => {
+      await expect(traceService.saveTrace({ name: 'Empty' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('listTraces and deleteTrace', () => {
+    test('should list stored traces and delete them', async () => {
+      expect(await traceService.listTraces()).toEqual([]);
+
+      const stored = await traceService.saveTrace(trace());
+      expect(await traceService.listTraces()).toEqual([
+        { id: stored.id, name: 'FOH left', notes: 'Before EQ', color: '#ff8800', createdAt: stored.createdAt, points: 3 }
+      ]);
+
+      await traceService.deleteTrace(stored.id);
+      expect(await traceService.listTraces()).toEqual([]);
+    });
+
+    test('should skip malformed trace files', async () => {
+      const stored = await traceService.saveTrace(trace());
+      await fs.writeFile(path.join(tracesDir, 'nodate.json'), JSON.stringify({ id: 'nodate', frequencies: [] }));
+      await fs.writeFile(path.join(tracesDir, 'null.json'), 'null');
+      await fs.writeFile(path.join(tracesDir, 'broken.json'), '{');
+
+      expect((await traceService.listTraces()).map((summary) => summary.id)).toEqual([stored.id]);
+    });
+
+    test('should report missing traces as not found and reject invalid IDs', async () => {
+      await expect(traceService.getTrace('missing')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(traceService.deleteTrace('missing')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(traceService.getTrace('../preferences')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('toCSV', () => {
+    test('should write one row per frequency', () => {
+      expect(TraceService.toCSV(trace()).split('\n')).toEqual([
+        'Frequency (Hz),Left (dB),Right (dB)',
+        '20,-40.12,-41.00',
+        '1000,-30.00,-31.46',
+        '20000,,-50.00',
+        ''
+      ]);
+    });
+  });
+});
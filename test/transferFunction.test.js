@@ -0,0 +1,167 @@
+/**
+ * Transfer Function Unit Tests
+ *
+ * Tests for the dual-channel FFT engine (averaged auto and cross spectra),
+ * the derived magnitude, phase and coherence, and the delay finder.
+ */
+
+const { TransferFunction, TransferFunctionEngine } = require('../public/js/transferFunction.js');
+
+describe('Transfer function measurement', () => {
+  const fftSize = 1024;
+  const sampleRate = 48000;
+
+  /**
+   * Deterministic white noise (linear congruential generator)
+   */
+  function noise(length, seed = 1) {
+    const samples = new Float32Array(length);
+    let state = seed;
+    for (let i = 0; i < length; i++) {
+      state = (state * 1664525 + 1013904223) % 4294967296;
+      samples[i] = state / 4294967296 * 2 - 1;
+    }
+    return samples;
+  }
+
+  function delayed(samples, delay, gain = 1) {
+    const output = new Float32Array(samples.length);
+    for (let i = delay; i < samples.length; i++) {
+      output[i] = samples[i - delay] * gain;
+    }
+    return output;
+  }
+
+  /**
+   * Run reference/measurement through an engine in 128-sample blocks and return the last spectra
+   */
+  function analyze(reference, measurement, configure = () => {}) {
+    let spectra = null;
+    const engine = new TransferFunctionEngine(fftSize, (result) => { spectra = result; });
+    configure(engine);
+    for (let start = 0; start + 128 <= reference.length; start += 128) {
+      engine.process(reference.subarray(start, start + 128), measurement.subarray(start, start + 128));
+    }
+    return spectra;
+  }
+
+  describe('TransferFunctionEngine.fft', () => {
+    test('should transform a unit impulse into a flat spectrum', () => {
+      const re = new Float64Array(8);
+      const im = new Float64Array(8);
+      re[0] = 1;
+      TransferFunctionEngine.fft(re, im);
+
+      re.forEach((value) => expect(value).toBeCloseTo(1, 10));
+      im.forEach((value) => expect(value).toBeCloseTo(0, 10));
+    });
+
+    test('should place a cosine in its bin', () => {
+      const re = Float64Array.from({ length: 16 }, (_, i) => Math.cos(2 * Math.PI * 3 * i / 16));
+      const im = new Float64Array(16);
+      TransferFunctionEngine.fft(re, im);
+
+      expect(re[3]).toBeCloseTo(8, 10);
+      expect(re[13]).toBeCloseTo(8, 10);
+      expect(Math.abs(re[4])).toBeLessThan(1e-9);
+    });
+  });
+
+  describe('compute', () => {
+    test('should measure the gain of a scaled copy with full coherence', () => {
+      const reference = noise(fftSize * 20);
+      const spectra = analyze(reference, delayed(reference, 0, 0.5));
+      const { re, im, coherence } = TransferFunction.compute(spectra);
+
+      for (const k of [10, 100, 300]) {
+        expect(20 * Math.log10(Math.hypot(re[k], im[k]))).toBeCloseTo(-6.02, 1);
+        expect(Math.atan2(im[k], re[k])).toBeCloseTo(0, 3);
+        expect(coherence[k]).toBeCloseTo(1, 3);
+      }
+    });
+
+    test('should show low coherence for unrelated signals', () => {
+      const spectra = analyze(noise(fftSize * 40, 1), noise(fftSize * 40, 7), (engine) => engine.setAverages(64));
+      const { coherence } = TransferFunction.compute(spectra);
+
+      const mean = coherence.slice(10, 400).reduce((sum, value) => sum + value, 0) / 390;
+      expect(mean).toBeLessThan(0.2);
+    });
+
+    test('should average over the configured number of frames', () => {
+      const reference = noise(fftSize * 20);
+      const spectra = analyze(reference, reference, (engine) => engine.setAverages(4));
+
+      expect(spectra.frames).toBeGreaterThan(4);
+    });
+  });
+
+  describe('findDelay', () => {
+    test('should find the lag of a delayed measurement', () => {
+      const reference = noise(fftSize * 20);
+      const spectra = analyze(reference, delayed(reference, 37));
+
+      expect(TransferFunction.findDelay(spectra)).toBe(37);
+    });
+
+    test('should report a negative lag when the measurement leads', () => {
+      const measurement = noise(fftSize * 20);
+      const spectra = analyze(delayed(measurement, 12), measurement);
+
+      expect(TransferFunction.findDelay(spectra)).toBe(-12);
+    });
+
+    test('should flatten the phase once the reference is delayed by the lag', () => {
+      const reference = noise(fftSize * 20);
+      const measurement = delayed(reference, 37);
+      const spectra = analyze(reference, measurement, (engine) => engine.setDelay(37));
+      const { re, im, coherence } = TransferFunction.compute(spectra);
+
+      expect(TransferFunction.findDelay(spectra)).toBe(0);
+      for (const k of [50, 200, 400]) {
+        expect(Math.atan2(im[k], re[k])).toBeCloseTo(0, 2);
+        expect(coherence[k]).toBeGreaterThan(0.99);
+      }
+    });
+  });
+
+  describe('engine channel selection', () => {
+    test('should use the selected reference channel', () => {
+      const left = noise(fftSize * 20);
+      const right = delayed(left, 0, 2);
+      let spectra = null;
+      const engine = new TransferFunctionEngine(fftSize, (result) => { spectra = result; });
+      engine.referenceChannel = 1;
+      for (let start = 0; start + 128 <= left.length; start += 128) {
+        engine.processChannels([left.subarray(start, start + 128), right.subarray(start, start + 128)]);
+      }
+      const { re, im } = TransferFunction.compute(spectra);
+
+      // Right is the reference, so H = left / right = 0.5
+      expect(Math.hypot(re[100], im[100])).toBeCloseTo(0.5, 3);
+    });
+  });
+
+  describe('TransferFunction settings', () => {
+    test('should push settings to the attached engine', () => {
+      const calls = [];
+      const engine = {
+        setReferenceChannel: (c) => calls.push(['reference', c]),
+        setAverages: (n) => calls.push(['averages', n]),
+        setDelay: (n) => calls.push(['delay', n]),
+        setEnabled: () => {},
+        reset: () => calls.push(['reset'])
+      };
+      const view = new TransferFunction({});
+      view.attachEngine(engine, sampleRate);
+      view.setReferenceChannel('right');
+      view.setDelay(100);
+
+      expect(calls).toEqual([
+        ['reference', 0], ['averages', 16], ['delay', 0],
+        ['reference', 1], ['reset'],
+        ['delay', 100]
+      ]);
+    });
+  });
+});
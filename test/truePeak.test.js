@@ -0,0 +1,55 @@
+/**
+ * TruePeakDetector Unit Tests
+ *
+ * Tests for BS.1770-4 4x oversampled true-peak estimation used by the
+ * peak meters in true-peak mode.
+ */
+
+const TruePeakDetector = require('../public/js/truePeak.js');
+
+describe('TruePeakDetector', () => {
+  const sampleRate = 48000;
+  let detector;
+
+  function sine(frequency, amplitude, phase = 0, length = 4096) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate + phase);
+    }
+    return samples;
+  }
+
+  function samplePeakDB(samples) {
+    let peak = 0;
+    for (const sample of samples) {
+      peak = Math.max(peak, Math.abs(sample));
+    }
+    return 20 * Math.log10(peak);
+  }
+
+  beforeEach(() => {
+    detector = new TruePeakDetector();
+  });
+
+  test('should find inter-sample peaks missed by the sample peak', () => {
+    // fs/4 sine sampled 45° off its crest: every sample sits 3 dB below the true peak
+    const samples = sine(sampleRate / 4, 1, Math.PI / 4);
+
+    expect(samplePeakDB(samples)).toBeCloseTo(-3.01, 1);
+    expect(Math.abs(detector.measureDB(samples))).toBeLessThanOrEqual(0.5);
+  });
+
+  test('should match the sample peak for low-frequency signals', () => {
+    const samples = sine(997, 0.5);
+
+    expect(detector.measureDB(samples)).toBeCloseTo(samplePeakDB(samples), 1);
+  });
+
+  test('should return -Infinity for silence', () => {
+    expect(detector.measureDB(new Float32Array(1024))).toBe(-Infinity);
+  });
+
+  test('should return a linear amplitude from measure', () => {
+    expect(detector.measure(sine(1000, 0.25))).toBeCloseTo(0.25, 2);
+  });
+});
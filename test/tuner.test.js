@@ -0,0 +1,88 @@
+/**
+ * Pitch Tuner Unit Tests
+ *
+ * Tests for the pitch detection and the note, octave and cents readout.
+ */
+
+global.TransferFunctionEngine = require('../public/js/transferFunction.js').TransferFunctionEngine;
+const PitchTuner = require('../public/js/tuner.js');
+
+describe('PitchTuner', () => {
+  const sampleRate = 48000;
+  const size = PitchTuner.BLOCK_SIZE;
+
+  /**
+   * Tone with harmonics: [amplitude of the fundamental, H2, H3, ...]
+   */
+  function tone(frequency, amplitudes = [0.5]) {
+    const samples = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      samples[i] = amplitudes.reduce((sum, amplitude, h) =>
+        sum + amplitude * Math.sin(2 * Math.PI * (h + 1) * frequency * i / sampleRate), 0);
+    }
+    return samples;
+  }
+
+  test('should detect a sine between samples to a fraction of a cent', () => {
+    [41.2, 110, 329.63, 1760].forEach((frequency) => {
+      const result = PitchTuner.detect(tone(frequency), sampleRate);
+      expect(Math.abs(1200 * Math.log2(result.frequency / frequency))).toBeLessThan(0.5);
+      expect(result.clarity).toBeGreaterThan(0.95);
+    });
+  });
+
+  test('should not jump an octave on tones with strong harmonics', () => {
+    // Weak fundamental as on a low guitar string
+    const result = PitchTuner.detect(tone(82.41, [0.1, 0.4, 0.3, 0.2]), sampleRate);
+    expect(result.frequency).toBeCloseTo(82.41, 0);
+  });
+
+  test('should report no pitch for silence or noise', () => {
+    expect(PitchTuner.detect(new Float32Array(size), sampleRate)).toBeNull();
+
+    let state = 1;
+    const noise = new Float32Array(size).map(() => {
+      state = (state * 1664525 + 1013904223) % 4294967296;
+      return state / 4294967296 - 0.5;
+    });
+    expect(PitchTuner.detect(noise, sampleRate)).toBeNull();
+  });
+
+  test('should name notes with octave and cents', () => {
+    expect(PitchTuner.noteFromFrequency(440)).toEqual({ midi: 69, name: 'A', octave: 4, cents: 0 });
+    const note = PitchTuner.noteFromFrequency(261.63 * Math.pow(2, 10 / 1200));
+    expect(PitchTuner.formatNote(note)).toBe('C4');
+    expect(note.cents).toBeCloseTo(10, 1);
+    expect(PitchTuner.formatCents(note.cents)).toBe('+10 ¢');
+    expect(PitchTuner.formatNote(PitchTuner.noteFromFrequency(29.14))).toBe('A#0');
+    expect(PitchTuner.isBlackKey(70)).toBe(true);
+  });
+
+  test('should follow the reference A4', () => {
+    expect(PitchTuner.noteFromFrequency(442, 442).cents).toBeCloseTo(0, 6);
+    expect(PitchTuner.noteFromFrequency(440, 442).cents).toBeCloseTo(-7.85, 2);
+    expect(PitchTuner.noteFrequency(60, 442)).toBeCloseTo(262.81, 2);
+
+    const tuner = new PitchTuner();
+    tuner.setReferenceA4(500);
+    expect(tuner.referenceA4).toBe(466);
+  });
+
+  test('should only detect when enabled and the interval has passed', () => {
+    const tuner = new PitchTuner();
+    const samples = new Float32Array(8192);
+    samples.set(tone(440), 8192 - size);         // Only the last BLOCK_SIZE samples are analysed
+    tuner.update(samples, sampleRate, 1000);
+    expect(tuner.result).toBeNull();
+
+    tuner.setEnabled(true);
+    tuner.update(samples, sampleRate, 1000);
+    expect(PitchTuner.formatNote(tuner.result.note)).toBe('A4');
+    tuner.update(new Float32Array(8192), sampleRate, 1050);
+    expect(tuner.result).not.toBeNull();
+    tuner.setReferenceA4(442);
+    expect(tuner.result.note.cents).toBeCloseTo(-7.85, 1);
+    tuner.update(new Float32Array(8192), sampleRate, 1100);
+    expect(tuner.result).toBeNull();
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * WaterfallView Unit Tests
+ *
+ * Tests for the scrolling waterfall view's frequency mapping, level
+ * normalization, colour map handling and row clock.
+ */
+
+const WaterfallView = require('../public/js/waterfall.js');
+
+describe('WaterfallView', () => {
+  let analyzer;
+  let waterfall;
+
+  beforeEach(() => {
+    analyzer = {
+      minFreq: 20,
+      maxFreq: 20000,
+      adjustableMinDB: -100,
+      maxDB: 0,
+      amplitudeCalibrationDB: 15,
+      plotLeft: 82,
+      plotTop: 20,
+      plotWidth: 500,
+      plotHeight: 406,
+      refreshRate: 30,
+      isStereoInput: true,
+      midSideModeEnabled: false
+    };
+    waterfall = new WaterfallView(analyzer);
+  });
+
+  describe('Colour maps', () => {
+    test('should build a 256-entry RGB lookup table for every colour map', () => {
+      for (const name of Object.keys(WaterfallView.COLOR_MAPS)) {
+        const lut = WaterfallView.buildColorLUT(name);
+        const stops = WaterfallView.COLOR_MAPS[name];
+
+        expect(lut).toHaveLength(256 * 3);
+        expect(Array.from(lut.slice(0, 3))).toEqual(stops[0]);
+        expect(Array.from(lut.slice(255 * 3))).toEqual(stops[stops.length - 1]);
+      }
+    });
+
+    test('should interpolate between control points', () => {
+      const lut = WaterfallView.buildColorLUT('grayscale');
+      expect(lut[128 * 3]).toBe(128);
+    });
+
+    test('should ignore unknown colour map names', () => {
+      waterfall.setColorMap('unknown');
+      expect(waterfall.colorMap).toBe('inferno');
+
+      waterfall.setColorMap('viridis');
+      expect(waterfall.colorMap).toBe('viridis');
+    });
+  });
+
+  describe('normalizeLevel', () => {
+    test('should map the analyzer dB range onto 0..1', () => {
+      expect(waterfall.normalizeLevel(-100)).toBe(0);
+      expect(waterfall.normalizeLevel(-50)).toBeCloseTo(0.5, 10);
+      expect(waterfall.normalizeLevel(0)).toBe(1);
+    });
+
+    test('should clamp out-of-range and non-finite values', () => {
+      expect(waterfall.normalizeLevel(-140)).toBe(0);
+      expect(waterfall.normalizeLevel(-Infinity)).toBe(0);
+      expect(waterfall.normalizeLevel(NaN)).toBe(0);
+      expect(waterfall.normalizeLevel(12)).toBe(1);
+    });
+
+    test('should follow the adjustable spectrogram range', () => {
+      analyzer.adjustableMinDB = -60;
+      expect(waterfall.normalizeLevel(-30)).toBeCloseTo(0.5, 10);
+    });
+  });
+
+  describe('computeRow', () => {
+    test('should place a tone in the column given by the log frequency mapping', () => {
+      const sampleRate = 48000;
+      const binCount = 2048;
+      const binWidth = sampleRate / (2 * binCount);
+      const data = new Float32Array(binCount).fill(-120);
+      const toneBin = Math.round(1000 / binWidth);
+      data[toneBin] = -20;
+
+      const row = waterfall.computeRow(data, sampleRate, 500);
+      const loudest = row.indexOf(Math.max(...row));
+
+      // Same mapping as StereoSpectrumAnalyzer.pixelToFrequency()
+      const expectedColumn = Math.floor((Math.log10((toneBin * binWidth) / 20) / Math.log10(1000)) * 500);
+      expect(Math.abs(loudest - expectedColumn)).toBeLessThanOrEqual(1);
+      expect(row[loudest]).toBeCloseTo(-20 + analyzer.amplitudeCalibrationDB, 5);
+    });
+
+    test('should keep the loudest bin when several bins share a column', () => {
+      const data = new Float32Array(2048).fill(-90);
+      data[1500] = -10;
+
+      const row = waterfall.computeRow(data, 48000, 100);
+      expect(Math.max(...row)).toBeCloseTo(5, 5);
+    });
+
+    test('should cache column bin ranges until the layout changes', () => {
+      const first = waterfall.getColumnBins(2048, 48000, 100);
+      expect(waterfall.getColumnBins(2048, 48000, 100)).toBe(first);
+
+      analyzer.minFreq = 50;
+      expect(waterfall.getColumnBins(2048, 48000, 100)).not.toBe(first);
+    });
+  });
+
+  describe('getPaneLayout', () => {
+    test('should split stereo input into two labelled panes', () => {
+      const panes = waterfall.getPaneLayout();
+      expect(panes.map(p => p.label)).toEqual(['L', 'R']);
+      expect(panes[1].top).toBeGreaterThan(panes[0].top + panes[0].height);
+    });
+
+    test('should label panes M and S in Mid-Side mode', () => {
+      analyzer.midSideModeEnabled = true;
+      expect(waterfall.getPaneLayout().map(p => p.label)).toEqual(['M', 'S']);
+    });
+
+    test('should use a single full-height pane for mono input', () => {
+      analyzer.isStereoInput = false;
+      const panes = waterfall.getPaneLayout();
+      expect(panes).toHaveLength(1);
+      expect(panes[0].height).toBe(analyzer.plotHeight);
+    });
+  });
+
+  describe('row clock', () => {
+    const interval = 1000 / 30;
+
+    beforeEach(() => {
+      // Offscreen canvases only need the calls the waterfall makes
+      global.document = {
+        createElement: () => ({
+          getContext: () => ({
+            fillRect: () => {},
+            drawImage: () => {},
+            putImageData: () => {},
+            createImageData: (width, height) => ({ data: new Uint8ClampedArray(width * height * 4) })
+          })
+        })
+      };
+      analyzer.audioContext = { sampleRate: 48000 };
+      analyzer.plotWidth = 100;
+    });
+
+    afterEach(() => {
+      delete global.document;
+    });
+
+    function frame(level) {
+      return new Float32Array(1024).fill(level);
+    }
+
+    test('should fill the rows of dropped frames and skip early frames', () => {
+      waterfall.update(frame(-60), frame(-60), 0);
+      waterfall.update(frame(-50), frame(-50), 34);
+      waterfall.update(frame(-40), frame(-40), 140);   // Two frames late: three rows
+      waterfall.update(frame(-30), frame(-30), 150);   // Before the next tick: no row
+
+      const pane = waterfall.panes.left;
+      expect(waterfall.rows).toBe(300);
+      expect(pane.head).toBe(5);
+      expect(waterfall.rowTime).toBeCloseTo(4 * interval, 6);
+      expect([3, 4, 5].map((index) => pane.history[index][0])).toEqual([-25, -25, -25]);
+      expect(pane.history[2][0]).toBe(-35);
+      expect(waterfall.panes.right.head).toBe(5);
+    });
+
+    test('should restart the clock after a gap longer than the history', () => {
+      waterfall.update(frame(-60), frame(-60), 0);
+      waterfall.update(frame(-40), frame(-40), 60000);
+
+      expect(waterfall.panes.left.history.every((row) => row[0] === -25)).toBe(true);
+      expect(waterfall.rowTime).toBe(60000);
+    });
+
+    test('should place the time ruler from the row clock', () => {
+      expect(waterfall.rowForAge(2)).toBeNull();
+
+      waterfall.update(frame(-60), frame(-60), 0);
+      waterfall.update(frame(-60), frame(-60), 50);
+      expect(waterfall.rowForAge(2)).toBeCloseTo((2000 - (50 - interval)) / interval, 6);
+      expect(waterfall.rowForAge(11)).toBeNull();
+
+      const labels = [];
+      analyzer.isStereoInput = false;
+      analyzer.ctx = { fillText: (text, x, y) => labels.push([text, y]) };
+      waterfall.drawTimeRuler();
+      expect(labels[0]).toEqual(['now', analyzer.plotTop]);
+      expect(labels[1][0]).toBe('-2s');
+      expect(labels[1][1]).toBeCloseTo(analyzer.plotTop + waterfall.rowForAge(2) / 300 * analyzer.plotHeight, 6);
+      expect(labels.map((label) => label[0])).toEqual(['now', '-2s', '-4s', '-6s', '-8s', '-10s']);
+    });
+  });
+
+  describe('amplitudeAt', () => {
+    test('should return null before any history exists', () => {
+      expect(waterfall.amplitudeAt(200, 50)).toBeNull();
+    });
+
+    test('should read the newest row at the top of a pane', () => {
+      waterfall.columns = 500;
+      waterfall.rows = 300;
+      const history = Array.from({ length: 300 }, () => new Float32Array(500).fill(-Infinity));
+      history[7][100] = -42.34;
+      waterfall.panes.left = { history, head: 7 };
+      waterfall.panes.right = { history, head: 7 };
+
+      expect(waterfall.amplitudeAt(analyzer.plotLeft + 100.5, analyzer.plotTop)).toBe(-42.3);
+      expect(waterfall.amplitudeAt(analyzer.plotLeft + 300, analyzer.plotTop)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * WeightingFilters Unit Tests
+ *
+ * Tests for sample-rate dependent A and C weighting biquad design used by
+ * the RMS level meters.
+ */
+
+const WeightingFilters = require('../public/js/weightingFilters.js');
+
+describe('WeightingFilters', () => {
+  const sampleRates = [44100, 48000, 96000];
+
+  // IEC 61672-1 nominal response and class 1 tolerance (dB) at selected frequencies
+  const aWeighting = [
+    { frequency: 31.5, level: -39.4, tolerance: 1.5 },
+    { frequency: 100, level: -19.1, tolerance: 1.0 },
+    { frequency: 1000, level: 0, tolerance: 0.01 },
+    { frequency: 4000, level: 1.0, tolerance: 1.0 },
+    { frequency: 10000, level: -2.5, tolerance: 2.0 }
+  ];
+  const cWeighting = [
+    { frequency: 31.5, level: -3.0, tolerance: 1.5 },
+    { frequency: 100, level: -0.3, tolerance: 1.0 },
+    { frequency: 1000, level: 0, tolerance: 0.01 },
+    { frequency: 4000, level: -0.8, tolerance: 1.0 },
+    { frequency: 10000, level: -4.4, tolerance: 2.0 }
+  ];
+
+  describe('design', () => {
+    test.each(sampleRates)('should match the A-weighting curve at %i Hz', (sampleRate) => {
+      const sections = WeightingFilters.design('A', sampleRate);
+      for (const point of aWeighting) {
+        const level = WeightingFilters.magnitudeDB(sections, point.frequency, sampleRate);
+        expect(Math.abs(level - point.level)).toBeLessThanOrEqual(point.tolerance);
+      }
+    });
+
+    test.each(sampleRates)('should match the C-weighting curve at %i Hz', (sampleRate) => {
+      const sections = WeightingFilters.design('C', sampleRate);
+      for (const point of cWeighting) {
+        const level = WeightingFilters.magnitudeDB(sections, point.frequency, sampleRate);
+        expect(Math.abs(level - point.level)).toBeLessThanOrEqual(point.tolerance);
+      }
+    });
+
+    test('should derive different coefficients for different sample rates', () => {
+      const at44 = WeightingFilters.design('A', 44100);
+      const at96 = WeightingFilters.design('A', 96000);
+      expect(at96[2].a1).not.toBeCloseTo(at44[2].a1, 3);
+    });
+
+    test('should produce stable sections', () => {
+      for (const sampleRate of sampleRates) {
+        for (const section of [...WeightingFilters.design('A', sampleRate), ...WeightingFilters.design('C', sampleRate)]) {
+          // Both poles inside the unit circle (biquad stability triangle)
+          expect(Math.abs(section.a2)).toBeLessThan(1);
+          expect(Math.abs(section.a1)).toBeLessThan(1 + section.a2);
+        }
+      }
+    });
+
+    test('should reject unknown weighting types', () => {
+      expect(() => WeightingFilters.design('B', 48000)).toThrow('Unsupported weighting type: B');
+    });
+  });
+});